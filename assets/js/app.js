@@ -7,25 +7,49 @@ class TramiteApp {
     this.isInitialized = false;
     this.modules = new Map();
     this.eventManager = new EventManager();
-    this.storageManager = new StorageManager();
+    this.storageManager = StorageManager.getDefault();
+    this.persistenceManager = PersistenceManager.getDefault();
+    this.operationJournal = OperationJournal.getDefault();
+    this.relationRegistry = RelationRegistry.getDefault();
+    this.searchIndex = SearchIndex.getDefault();
 
     // Servicios principales
     this.tramiteService = null;
     this.documentoService = null;
     this.estadoService = null;
     this.habilitarTramiteService = null;
+    this.campoDocumentoService = null;
+    this.vinculacionService = null;
+    this.periodoAcademicoService = null;
+    this.sedeService = null;
+    this.calendarioService = null;
+    this.radicacionService = null;
+    this.versionDocumentoService = null;
+    this.plantillaDocumentoService = null;
+    this.estadoScheduler = null;
 
     // Controladores principales
     this.tramiteController = null;
     this.documentoController = null;
     this.estadoController = null;
     this.habilitarTramiteController = null;
+    this.catalogoController = null;
+    this.plantillaDocumentoController = null;
 
     // Vistas principales
     this.tramiteView = null;
     this.documentoView = null;
     this.estadoView = null;
     this.habilitarTramiteView = null;
+    this.busquedaView = null;
+    this.catalogoView = null;
+    this.copiaPeriodoView = null;
+    this.cronogramaView = null;
+    this.calendarioICSView = null;
+    this.formularioTramiteView = null;
+    this.radicacionView = null;
+    this.versionDocumentoView = null;
+    this.plantillaDocumentoView = null;
   }
 
   /**
@@ -45,9 +69,21 @@ class TramiteApp {
       // Inicializar vistas
       await this.initializeViews();
 
+      // Informar registros que no pudieron migrarse o cargarse
+      this.reportStorageFailures();
+
+      // Informar registros que apuntan a items que ya no existen
+      this.reportOrphans();
+
       // Configurar eventos globales
       this.setupGlobalEvents();
 
+      // Actualizar los estados según las fechas, ahora y de forma periódica
+      await this.estadoScheduler.start();
+
+      // Configurar atajos de deshacer y rehacer
+      this.setupUndoShortcuts();
+
       // Configurar navegación
       this.setupNavigation();
 
@@ -66,8 +102,14 @@ class TramiteApp {
    * Inicializa los gestores core
    */
   async initializeCoreManagers() {
-    // Configurar cifrado para datos sensibles (opcional)
-    // this.storageManager.enableEncryption('clave-secreta-2024');
+    // El diario de operaciones avisa cuando cambia lo que se puede deshacer
+    this.operationJournal.setEventManager(this.eventManager);
+
+    // La máquina de estados emite estado:changed en cada cambio de estado
+    Estado.getStateMachine().setEventManager(this.eventManager);
+
+    // La de los documentos radicados emite radicacion:changed
+    Radicacion.getStateMachine().setEventManager(this.eventManager);
   }
 
   /**
@@ -79,6 +121,22 @@ class TramiteApp {
     this.documentoService = new DocumentoService();
     this.estadoService = new EstadoService();
     this.habilitarTramiteService = new HabilitarTramiteService();
+    this.campoDocumentoService = new CampoDocumentoService();
+    this.vinculacionService = new VinculacionService();
+    this.periodoAcademicoService = new PeriodoAcademicoService();
+    this.sedeService = new SedeService();
+    this.calendarioService = new CalendarioService();
+    this.radicacionService = new RadicacionService();
+    this.versionDocumentoService = new VersionDocumentoService();
+    this.plantillaDocumentoService = new PlantillaDocumentoService();
+
+    // Los servicios notifican por este gestor los cambios de otras pestañas
+    this.getServices().forEach(service =>
+      service.setEventManager(this.eventManager)
+    );
+
+    // Resolver el adaptador de persistencia (IndexedDB o localStorage)
+    await this.persistenceManager.getAdapter();
 
     // Inicializar servicios
     await Promise.all([
@@ -86,13 +144,272 @@ class TramiteApp {
       this.documentoService.initialize(),
       this.estadoService.initialize(),
       this.habilitarTramiteService.initialize(),
+      this.campoDocumentoService.initialize(),
+      this.vinculacionService.initialize(),
+      this.periodoAcademicoService.initialize(),
+      this.sedeService.initialize(),
+      this.calendarioService.initialize(),
+      this.radicacionService.initialize(),
+      this.versionDocumentoService.initialize(),
+      this.plantillaDocumentoService.initialize(),
     ]);
 
+    // Completar los catálogos con los valores por defecto y los ya usados
+    await this.inicializarCatalogos();
+
     // Registrar servicios en el mapa de módulos
     this.modules.set('tramiteService', this.tramiteService);
     this.modules.set('documentoService', this.documentoService);
     this.modules.set('estadoService', this.estadoService);
     this.modules.set('habilitarTramiteService', this.habilitarTramiteService);
+    this.modules.set('campoDocumentoService', this.campoDocumentoService);
+    this.modules.set('vinculacionService', this.vinculacionService);
+    this.modules.set('periodoAcademicoService', this.periodoAcademicoService);
+    this.modules.set('sedeService', this.sedeService);
+    this.modules.set('calendarioService', this.calendarioService);
+    this.modules.set('radicacionService', this.radicacionService);
+    this.modules.set('versionDocumentoService', this.versionDocumentoService);
+    this.modules.set(
+      'plantillaDocumentoService',
+      this.plantillaDocumentoService
+    );
+
+    // Servicio compartido por DocumentoService y TramiteView
+    window.campoDocumentoService = this.campoDocumentoService;
+
+    // Programador de cambios de estado por fechas (se inicia con la aplicación)
+    this.estadoScheduler = new EstadoScheduler(
+      this.estadoService,
+      this.tramiteService,
+      this.habilitarTramiteService,
+      this.eventManager
+    );
+    this.modules.set('estadoScheduler', this.estadoScheduler);
+
+    // Rechazar los documentos radicados cuya ventana de corrección terminó y
+    // escalar las etapas de aprobación vencidas, con el mismo programador
+    this.estadoScheduler.agregarTarea(() =>
+      this.radicacionService.vencerSubsanaciones()
+    );
+    this.estadoScheduler.agregarTarea(() =>
+      this.radicacionService.escalarVencidas()
+    );
+
+    // Purgar lo que venció en la papelera
+    await this.applyTrashRetention();
+  }
+
+  /**
+   * Obtiene los servicios creados
+   * @returns {Array<BaseService>} Servicios
+   */
+  getServices() {
+    return [
+      this.tramiteService,
+      this.documentoService,
+      this.estadoService,
+      this.habilitarTramiteService,
+      this.campoDocumentoService,
+      this.vinculacionService,
+      this.periodoAcademicoService,
+      this.sedeService,
+      this.calendarioService,
+      this.radicacionService,
+      this.versionDocumentoService,
+      this.plantillaDocumentoService,
+    ].filter(service => service);
+  }
+
+  /**
+   * Completa los catálogos de periodos y sedes
+   * La primera vez agrega los valores por defecto; además agrega los periodos y
+   * sedes que usan habilitaciones creadas antes de existir el catálogo.
+   */
+  async inicializarCatalogos() {
+    try {
+      const habilitaciones = this.habilitarTramiteService.getAll({
+        includeDeleted: true,
+      });
+
+      await this.operationJournal.runBatch(
+        'Completar catálogos de periodos y sedes',
+        async lote => {
+          await this.periodoAcademicoService.asegurarCatalogo(
+            habilitaciones,
+            lote
+          );
+          await this.sedeService.asegurarCatalogo(habilitaciones, lote);
+        }
+      );
+    } catch (error) {
+      console.error('❌ Error al completar los catálogos:', error);
+    }
+  }
+
+  /**
+   * Obtiene los servicios cuyos items eliminados se muestran en la papelera
+   * @returns {Array} [{ entidad, etiqueta, service }]
+   */
+  getTrashServices() {
+    return [
+      { entidad: 'tramite', etiqueta: 'Trámite', service: this.tramiteService },
+      {
+        entidad: 'documento',
+        etiqueta: 'Documento',
+        service: this.documentoService,
+      },
+      {
+        entidad: 'habilitarTramite',
+        etiqueta: 'Habilitación',
+        service: this.habilitarTramiteService,
+      },
+      {
+        entidad: 'vinculacion',
+        etiqueta: 'Vinculación',
+        service: this.vinculacionService,
+      },
+      { entidad: 'estado', etiqueta: 'Estado', service: this.estadoService },
+      {
+        entidad: 'periodoAcademico',
+        etiqueta: 'Periodo académico',
+        service: this.periodoAcademicoService,
+      },
+      { entidad: 'sede', etiqueta: 'Sede', service: this.sedeService },
+      {
+        entidad: 'calendario',
+        etiqueta: 'Día no hábil',
+        service: this.calendarioService,
+      },
+      {
+        entidad: 'radicacion',
+        etiqueta: 'Radicación',
+        service: this.radicacionService,
+      },
+      {
+        entidad: 'plantillaDocumento',
+        etiqueta: 'Plantilla',
+        service: this.plantillaDocumentoService,
+      },
+    ].filter(({ service }) => service);
+  }
+
+  /**
+   * Obtiene los días que se conservan los items en la papelera
+   * @returns {number} Días de retención
+   */
+  getTrashRetentionDays() {
+    return this.storageManager.get(
+      TramiteApp.TRASH_RETENTION_KEY,
+      this.storageManager.storageTypes.LOCAL,
+      BaseService.DEFAULT_RETENTION_DAYS
+    );
+  }
+
+  /**
+   * Cambia y guarda los días de retención de la papelera
+   * @param {number} dias - Días de retención
+   * @returns {Promise<number>} Cantidad de items purgados con el nuevo periodo
+   */
+  async setTrashRetentionDays(dias) {
+    this.storageManager.set(TramiteApp.TRASH_RETENTION_KEY, dias);
+    return this.applyTrashRetention(dias);
+  }
+
+  /**
+   * Aplica el periodo de retención a todos los servicios y purga lo vencido
+   * @param {number} dias - Días de retención
+   * @returns {Promise<number>} Cantidad de items purgados
+   */
+  async applyTrashRetention(dias = this.getTrashRetentionDays()) {
+    let purgados = 0;
+
+    for (const service of this.getServices()) {
+      try {
+        service.setRetentionDays(dias);
+        purgados += await service.purgeExpired();
+      } catch (error) {
+        console.error(
+          `❌ Error al purgar la papelera de ${service.entityName}s:`,
+          error
+        );
+      }
+    }
+
+    return purgados;
+  }
+
+  /**
+   * Habilita el cifrado de los datos personales con una frase de contraseña
+   * Vuelve a cargar las colecciones con campos sensibles, para leer los
+   * registros que ya estaban cifrados, y las reescribe para cifrar los que se
+   * guardaron en claro.
+   * @param {string} frase - Frase de contraseña
+   * @returns {Promise<boolean>} True si quedó habilitado
+   * @throws {StorageIntegrityError} Si la frase no corresponde a los datos cifrados
+   */
+  async enableSecureStorage(frase) {
+    await this.storageManager.enableSecureEncryption(frase);
+
+    for (const service of this.getServices()) {
+      if (service.getSensitiveFields().length === 0) continue;
+      await service.reloadFromStorage();
+      await service.saveToStorage();
+    }
+    return true;
+  }
+
+  /**
+   * Obtiene los reportes de almacenamiento de los servicios
+   * @returns {Array} Reportes de migraciones y fallos por colección
+   */
+  getStorageReports() {
+    return this.getServices()
+      .filter(service => service.getStorageReport())
+      .map(service => service.getStorageReport());
+  }
+
+  /**
+   * Notifica los fallos de migración o carga de datos almacenados
+   */
+  reportStorageFailures() {
+    const reportes = this.getStorageReports().filter(
+      reporte => reporte.failures.length > 0
+    );
+    if (reportes.length === 0) return;
+
+    reportes.forEach(reporte => {
+      console.warn(
+        `⚠️ ${reporte.failures.length} problema(s) en ${reporte.storageKey} (esquema v${reporte.schemaVersion}):`,
+        reporte.failures
+      );
+    });
+
+    const detalle = reportes
+      .map(reporte => `${reporte.entityName}: ${reporte.failures.length}`)
+      .join(', ');
+    this.showWarning(
+      `Algunos registros guardados no se pudieron migrar o cargar (${detalle}). Se conservan sin cambios.`
+    );
+    this.eventManager.emit('storage:failures', { reportes });
+  }
+
+  /**
+   * Avisa si hay registros huérfanos y cómo repararlos
+   */
+  reportOrphans() {
+    const huerfanos = this.relationRegistry.findOrphans();
+    if (huerfanos.length === 0) return;
+
+    const detalle = huerfanos
+      .map(
+        ({ relation, items }) =>
+          `${relation.service.entityName}.${relation.campo}: ${items.length}`
+      )
+      .join(', ');
+    console.warn(`⚠️ Registros con relaciones rotas (${detalle})`);
+    this.showWarning(
+      `Hay registros que apuntan a items que ya no existen (${detalle}). Puede repararlos desde el reporte "Integridad de Datos".`
+    );
   }
 
   /**
@@ -120,6 +437,19 @@ class TramiteApp {
 
     this.habilitarTramiteController = new HabilitarTramiteController();
 
+    this.catalogoController = new CatalogoController(
+      this.periodoAcademicoService,
+      this.sedeService,
+      this.calendarioService,
+      this.eventManager
+    );
+
+    this.plantillaDocumentoController = new PlantillaDocumentoController(
+      this.plantillaDocumentoService,
+      this.documentoService,
+      this.eventManager
+    );
+
     // Los controladores se inicializarán después de que se les asignen las vistas
 
     // Registrar controladores en el mapa de módulos
@@ -130,6 +460,11 @@ class TramiteApp {
       'habilitarTramiteController',
       this.habilitarTramiteController
     );
+    this.modules.set('catalogoController', this.catalogoController);
+    this.modules.set(
+      'plantillaDocumentoController',
+      this.plantillaDocumentoController
+    );
   }
 
   /**
@@ -141,6 +476,15 @@ class TramiteApp {
     this.documentoView = new DocumentoView();
     this.estadoView = new EstadoView();
     this.habilitarTramiteView = new HabilitarTramiteView();
+    this.busquedaView = new BusquedaView();
+    this.catalogoView = new CatalogoView();
+    this.copiaPeriodoView = new CopiaPeriodoView();
+    this.cronogramaView = new CronogramaView();
+    this.calendarioICSView = new CalendarioICSView();
+    this.formularioTramiteView = new FormularioTramiteView();
+    this.radicacionView = new RadicacionView();
+    this.versionDocumentoView = new VersionDocumentoView();
+    this.plantillaDocumentoView = new PlantillaDocumentoView();
 
     // Inicializar vistas
     await Promise.all([
@@ -148,20 +492,48 @@ class TramiteApp {
       this.documentoView.initialize(),
       this.estadoView.initialize(),
       this.habilitarTramiteView.initialize(),
+      this.busquedaView.initialize(),
+      this.catalogoView.initialize(),
+      this.copiaPeriodoView.initialize(),
+      this.cronogramaView.initialize(),
+      this.calendarioICSView.initialize(),
+      this.formularioTramiteView.initialize(),
+      this.radicacionView.initialize(),
+      this.versionDocumentoView.initialize(),
+      this.plantillaDocumentoView.initialize(),
     ]);
 
     // Actualizar los controladores con sus vistas correspondientes
     this.tramiteController.tramiteView = this.tramiteView;
+    this.tramiteController.cronogramaView = this.cronogramaView;
+    this.tramiteController.formularioTramiteView = this.formularioTramiteView;
+    this.tramiteController.radicacionView = this.radicacionView;
+    this.radicacionView.formularioView = this.formularioTramiteView;
     this.documentoController.documentoView = this.documentoView;
+    this.documentoController.versionDocumentoView = this.versionDocumentoView;
     this.estadoController.estadoView = this.estadoView;
     this.habilitarTramiteController.habilitarTramiteView =
       this.habilitarTramiteView;
+    this.habilitarTramiteController.copiaPeriodoView = this.copiaPeriodoView;
+    this.habilitarTramiteController.calendarioICSView = this.calendarioICSView;
+    this.catalogoController.catalogoView = this.catalogoView;
+    this.plantillaDocumentoController.plantillaDocumentoView =
+      this.plantillaDocumentoView;
 
     // Registrar vistas en el mapa de módulos
     this.modules.set('tramiteView', this.tramiteView);
     this.modules.set('documentoView', this.documentoView);
     this.modules.set('estadoView', this.estadoView);
     this.modules.set('habilitarTramiteView', this.habilitarTramiteView);
+    this.modules.set('busquedaView', this.busquedaView);
+    this.modules.set('catalogoView', this.catalogoView);
+    this.modules.set('copiaPeriodoView', this.copiaPeriodoView);
+    this.modules.set('cronogramaView', this.cronogramaView);
+    this.modules.set('calendarioICSView', this.calendarioICSView);
+    this.modules.set('formularioTramiteView', this.formularioTramiteView);
+    this.modules.set('radicacionView', this.radicacionView);
+    this.modules.set('versionDocumentoView', this.versionDocumentoView);
+    this.modules.set('plantillaDocumentoView', this.plantillaDocumentoView);
 
     // Exponer vistas globalmente para acceso desde HTML
     window.tramiteView = this.tramiteView;
@@ -180,6 +552,8 @@ class TramiteApp {
         this.habilitarTramiteService,
         this.eventManager
       ),
+      this.catalogoController.initialize(),
+      this.plantillaDocumentoController.initialize(),
     ]);
   }
 
@@ -219,6 +593,10 @@ class TramiteApp {
       this.handleEstadoChanged(data);
     });
 
+    this.eventManager.on('estado:programador', data => {
+      this.handleProgramadorEstados(data);
+    });
+
     // Eventos de habilitar trámites
     this.eventManager.on('habilitarTramite:created', data => {
       this.handleHabilitarTramiteCreated(data);
@@ -231,6 +609,90 @@ class TramiteApp {
     this.eventManager.on('habilitarTramite:deleted', data => {
       this.handleHabilitarTramiteDeleted(data);
     });
+
+    // Cambios hechos en otras pestañas
+    this.getServices().forEach(service => {
+      this.eventManager.on(`${service.getEventPrefix()}:updated`, data => {
+        if (data && data.remoto) {
+          this.handleRemoteChange(data);
+        }
+      });
+    });
+  }
+
+  /**
+   * Configura Ctrl+Z / Ctrl+Y (Cmd en Mac) para deshacer y rehacer
+   * Dentro de campos de texto se conserva el deshacer nativo del navegador.
+   */
+  setupUndoShortcuts() {
+    document.addEventListener('keydown', event => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+      const target = event.target;
+      if (
+        target &&
+        (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) ||
+          target.isContentEditable)
+      ) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        this.undo();
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        this.redo();
+      }
+    });
+  }
+
+  /**
+   * Deshace la última operación registrada en el diario
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async undo() {
+    const result = await this.operationJournal.undo();
+    this.handleJournalResult(result);
+    return result;
+  }
+
+  /**
+   * Rehace la última operación deshecha
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async redo() {
+    const result = await this.operationJournal.redo();
+    this.handleJournalResult(result);
+    return result;
+  }
+
+  /**
+   * Informa el resultado de deshacer o rehacer y refresca las vistas
+   * @param {Object} result - Resultado del diario de operaciones
+   */
+  handleJournalResult(result) {
+    // Tras un conflicto las vistas también deben mostrar los datos vigentes
+    this.refreshViews();
+
+    if (result.success) {
+      this.showInfo(result.message);
+    } else {
+      this.showWarning(result.errors.join(', '));
+    }
+  }
+
+  /**
+   * Refresca las vistas que muestran datos de los servicios
+   */
+  refreshViews() {
+    if (this.tramiteController) {
+      this.tramiteController.refreshCurrentReport();
+    }
+    if (this.documentoView) {
+      this.documentoView.refreshList();
+    }
   }
 
   /**
@@ -262,6 +724,12 @@ class TramiteApp {
       case 'estado':
         this.navigateToEstado(action, params);
         break;
+      case 'habilitarTramite':
+        this.navigateToHabilitarTramite(action, params);
+        break;
+      case 'campoDocumento':
+        this.navigateToCampoDocumento(action, params);
+        break;
       default:
         console.warn('Módulo de navegación no reconocido:', module);
     }
@@ -272,7 +740,7 @@ class TramiteApp {
    */
   handleHashChange() {
     const hash = window.location.hash.slice(1) || 'tramite:list';
-    const [module, action] = hash.split(':');
+    const [module, action] = hash.split('?')[0].split(':');
     const params = this.parseHashParams();
 
     this.eventManager.emit('navigation:change', { module, action, params });
@@ -310,7 +778,7 @@ class TramiteApp {
         this.tramiteView.showOpcionesModal(params.id);
         break;
       case 'view':
-        this.tramiteView.showOpcionesModal(params.id);
+        this.tramiteController.openRecord('tramites', params.id);
         break;
       default:
     }
@@ -331,13 +799,41 @@ class TramiteApp {
         this.documentoView.showEditForm(params.id);
         break;
       case 'view':
-        this.documentoView.showDetails(params.id);
+        this.tramiteController.openRecord('documentos', params.id);
         break;
       default:
         this.documentoView.showList(params.tramiteId);
     }
   }
 
+  /**
+   * Navega a funcionalidades de trámites habilitados
+   */
+  navigateToHabilitarTramite(action, params) {
+    switch (action) {
+      case 'view':
+        this.tramiteController.openRecord('tramites_habilitados', params.id);
+        break;
+      default:
+        this.tramiteController.handleReportSelection('tramites_habilitados');
+    }
+  }
+
+  /**
+   * Navega a funcionalidades de campos de documentos
+   * Los campos se muestran a través del documento al que pertenecen.
+   */
+  navigateToCampoDocumento(action, params) {
+    const campo = params.id
+      ? this.campoDocumentoService.getById(params.id)
+      : null;
+    if (!campo) {
+      this.showWarning('El campo no existe o está en la papelera');
+      return;
+    }
+    this.tramiteController.openRecord('documentos', campo.documentoId);
+  }
+
   /**
    * Navega a funcionalidades de estados
    */
@@ -373,6 +869,8 @@ class TramiteApp {
    * Maneja eventos de trámites actualizados
    */
   handleTramiteUpdated(data) {
+    if (data && data.remoto) return;
+
     this.showSuccess('Trámite actualizado exitosamente');
 
     // Actualizar vista si es necesario
@@ -392,6 +890,8 @@ class TramiteApp {
    * Maneja eventos de documentos actualizados
    */
   handleDocumentoUpdated(data) {
+    if (data && data.remoto) return;
+
     this.showSuccess('Documento actualizado exitosamente');
   }
 
@@ -406,9 +906,26 @@ class TramiteApp {
    * Maneja eventos de cambios de estado
    */
   handleEstadoChanged(data) {
+    // Los cambios automáticos se informan juntos al terminar el programador
+    if (data.tipoCambio === 'sistema') return;
+
     this.showSuccess(`Estado cambiado a: ${data.nuevoEstado}`);
   }
 
+  /**
+   * Maneja el resultado de la actualización automática de estados
+   */
+  handleProgramadorEstados(data) {
+    if (data.errors.length > 0) {
+      console.warn('⚠️ Estados que no se pudieron actualizar:', data.errors);
+    }
+    if (data.aplicados > 0 && this.tramiteView) {
+      this.tramiteView.showUndoToast(data.message, {
+        onUndo: () => this.tramiteController.refreshCurrentReport(),
+      });
+    }
+  }
+
   /**
    * Maneja eventos de trámites habilitados creados
    */
@@ -420,6 +937,8 @@ class TramiteApp {
    * Maneja eventos de trámites habilitados actualizados
    */
   handleHabilitarTramiteUpdated(data) {
+    if (data && data.remoto) return;
+
     this.showSuccess('Trámite habilitado actualizado exitosamente');
   }
 
@@ -430,6 +949,21 @@ class TramiteApp {
     this.showSuccess('Trámite habilitado eliminado exitosamente');
   }
 
+  /**
+   * Maneja cambios de datos hechos en otra pestaña
+   * @param {Object} data - Datos del evento `<entidad>:updated` remoto
+   */
+  handleRemoteChange(data) {
+    this.refreshViews();
+
+    // Los conflictos ya se informan en la operación que falló
+    if (data.accion !== 'conflict') {
+      this.showInfo(
+        `Se actualizaron datos de ${data.entityName} desde otra pestaña`
+      );
+    }
+  }
+
   /**
    * Obtiene un módulo por nombre
    */
@@ -513,6 +1047,7 @@ class TramiteApp {
       modules: Array.from(this.modules.keys()),
       eventManager: this.eventManager.getDebugInfo(),
       storageManager: this.storageManager.getUsageInfo(),
+      storage: this.getStorageReports(),
       services: {
         tramite: this.tramiteService ? this.tramiteService.getStats() : null,
         documento: this.documentoService
@@ -544,10 +1079,8 @@ class TramiteApp {
     if (this.habilitarTramiteView) this.habilitarTramiteView.cleanup();
 
     // Limpiar servicios
-    if (this.tramiteService) this.tramiteService.cleanup();
-    if (this.documentoService) this.documentoService.cleanup();
-    if (this.estadoService) this.estadoService.cleanup();
-    if (this.habilitarTramiteService) this.habilitarTramiteService.cleanup();
+    if (this.estadoScheduler) this.estadoScheduler.stop();
+    this.getServices().forEach(service => service.cleanup());
 
     // Limpiar gestores core
     if (this.eventManager) this.eventManager.cleanup();
@@ -558,6 +1091,9 @@ class TramiteApp {
   }
 }
 
+// Clave donde se guardan los días de retención de la papelera
+TramiteApp.TRASH_RETENTION_KEY = 'papelera_retencion_dias';
+
 // Crear instancia global de la aplicación
 window.tramiteApp = new TramiteApp();
 
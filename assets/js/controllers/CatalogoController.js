@@ -0,0 +1,293 @@
+/**
+ * Controlador del catálogo de periodos académicos, sedes y días no hábiles
+ * Atiende las acciones del modal de administración (crear, editar, abrir o
+ * cerrar, activar o desactivar, eliminar y, para los días no hábiles,
+ * importar y exportar) y avisa con 'catalogo:changed' para que los
+ * formularios y reportes vuelvan a leer el catálogo.
+ */
+class CatalogoController extends BaseController {
+  constructor(
+    periodoAcademicoService,
+    sedeService,
+    calendarioService,
+    eventManager = null
+  ) {
+    super(eventManager);
+    this.periodoAcademicoService = periodoAcademicoService;
+    this.sedeService = sedeService;
+    this.calendarioService = calendarioService;
+    this.catalogoView = null; // Se asignará después
+  }
+
+  /**
+   * Configura las dependencias del controlador
+   */
+  async setupDependencies() {
+    if (!this.periodoAcademicoService) {
+      throw new Error('PeriodoAcademicoService es requerido');
+    }
+    if (!this.sedeService) {
+      throw new Error('SedeService es requerido');
+    }
+    if (!this.calendarioService) {
+      throw new Error('CalendarioService es requerido');
+    }
+  }
+
+  /**
+   * Configura los event listeners del controlador
+   */
+  setupEventListeners() {
+    this.eventManager.on('catalogo:abrir', () => {
+      this.mostrarCatalogos();
+    });
+
+    this.eventManager.on('catalogo:guardar', data => {
+      this.guardar(data);
+    });
+
+    this.eventManager.on('catalogo:alternar', data => {
+      this.alternar(data);
+    });
+
+    this.eventManager.on('catalogo:eliminar', data => {
+      this.eliminar(data);
+    });
+
+    this.eventManager.on('catalogo:exportar', data => {
+      this.exportarDiasNoHabiles(data);
+    });
+
+    this.eventManager.on('catalogo:importar', data => {
+      this.importarDiasNoHabiles(data);
+    });
+
+    // Deshacer o rehacer puede cambiar el catálogo con el modal abierto
+    this.eventManager.on('journal:changed', () => {
+      if (this.catalogoView && this.catalogoView.isVisible()) {
+        this.catalogoView.renderCatalogos(this.getCatalogos());
+      }
+    });
+  }
+
+  /**
+   * Obtiene el servicio de un tipo de catálogo
+   * @param {string} tipo - 'periodo', 'sede' o 'festivo'
+   * @returns {BaseService} Servicio del catálogo
+   */
+  getService(tipo) {
+    if (tipo === 'festivo') return this.calendarioService;
+    return tipo === 'sede' ? this.sedeService : this.periodoAcademicoService;
+  }
+
+  /**
+   * Crea el modelo de un item nuevo del catálogo
+   * @param {string} tipo - 'periodo', 'sede' o 'festivo'
+   * @param {Object} datos - Datos del formulario
+   * @returns {Object} Instancia del modelo
+   */
+  crearModelo(tipo, datos) {
+    if (tipo === 'festivo') return DiaNoHabil.fromFormData(datos);
+    return tipo === 'sede'
+      ? Sede.fromFormData(datos)
+      : PeriodoAcademico.fromFormData(datos);
+  }
+
+  /**
+   * Obtiene los items de los catálogos con la cantidad de habilitaciones que los usan
+   * Los días no hábiles no los usa ninguna habilitación directamente.
+   * @returns {Object} { periodos, sedes, festivos } con [{ item, enUso }]
+   */
+  getCatalogos() {
+    return {
+      periodos: this.periodoAcademicoService.getOrdenados().map(item => ({
+        item,
+        enUso: this.periodoAcademicoService.getCantidadEnUso(item.id),
+      })),
+      sedes: this.sedeService.getOrdenadas().map(item => ({
+        item,
+        enUso: this.sedeService.getCantidadEnUso(item.id),
+      })),
+      festivos: this.calendarioService
+        .getOrdenados()
+        .map(item => ({ item, enUso: 0 })),
+    };
+  }
+
+  /**
+   * Muestra el modal de administración del catálogo
+   */
+  mostrarCatalogos() {
+    if (!this.catalogoView) {
+      console.error('❌ CatalogoView no está disponible');
+      return;
+    }
+    this.catalogoView.showModal(this.getCatalogos());
+  }
+
+  /**
+   * Vuelve a mostrar el catálogo y avisa del cambio
+   * @param {string} tipo - Catálogo que cambió
+   */
+  refrescar(tipo) {
+    this.catalogoView.renderCatalogos(this.getCatalogos());
+    this.eventManager.emit('catalogo:changed', { tipo });
+  }
+
+  /**
+   * Crea o actualiza un item del catálogo
+   * @param {Object} data - { tipo, id, datos }; sin id se crea un item nuevo
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async guardar({ tipo, id, datos }) {
+    return await this.executeAction(async () => {
+      const service = this.getService(tipo);
+      const result = id
+        ? await service.update(id, datos)
+        : await service.create(this.crearModelo(tipo, datos));
+
+      if (result.success) {
+        this.catalogoView.resetForm(tipo);
+        this.refrescar(tipo);
+        this.catalogoView.showAlert(
+          `${CatalogoController.ETIQUETAS[tipo]} ${service.getDisplayName(
+            result.item
+          )} ${id ? 'actualizado' : 'creado'}`,
+          'success'
+        );
+      } else {
+        this.catalogoView.showAlert(result.errors.join(', '), 'danger');
+      }
+      return result;
+    }, 'guardar el catálogo');
+  }
+
+  /**
+   * Abre o cierra un periodo, o activa o desactiva una sede
+   * @param {Object} data - { tipo, id }
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async alternar({ tipo, id }) {
+    return await this.executeAction(async () => {
+      const service = this.getService(tipo);
+      const item = service.getById(id);
+      if (!item) {
+        this.catalogoView.showAlert(
+          `${CatalogoController.ETIQUETAS[tipo]} no encontrado`,
+          'danger'
+        );
+        return { success: false };
+      }
+
+      const campo = tipo === 'sede' ? 'activa' : 'abierto';
+      const result = await service.update(id, { [campo]: !item[campo] });
+
+      if (result.success) {
+        this.refrescar(tipo);
+      } else {
+        this.catalogoView.showAlert(result.errors.join(', '), 'danger');
+      }
+      return result;
+    }, 'cambiar el catálogo');
+  }
+
+  /**
+   * Envía un item del catálogo a la papelera
+   * No se permite mientras alguna habilitación lo use.
+   * @param {Object} data - { tipo, id }
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async eliminar({ tipo, id }) {
+    return await this.executeAction(async () => {
+      const service = this.getService(tipo);
+      const result = await service.delete(id);
+
+      if (result.success) {
+        this.refrescar(tipo);
+        this.catalogoView.showUndoToast(
+          `${CatalogoController.ETIQUETAS[tipo]} ${service.getDisplayName(
+            result.item
+          )} enviado a la papelera`,
+          { onUndo: () => this.refrescar(tipo) }
+        );
+      } else {
+        this.catalogoView.showAlert(result.errors.join(', '), 'danger');
+      }
+      return result;
+    }, 'eliminar del catálogo');
+  }
+
+  /**
+   * Descarga los días no hábiles en JSON o ICS
+   * @param {Object} data - { formato: 'json' o 'ics', sede } con sede vacía para todas
+   */
+  exportarDiasNoHabiles({ formato, sede }) {
+    try {
+      const esICS = formato === 'ics';
+      const contenido = esICS
+        ? this.calendarioService.exportarICS(sede || null)
+        : this.calendarioService.exportarJSON(sede || null);
+
+      const blob = new Blob([contenido], {
+        type: esICS ? 'text/calendar' : 'application/json',
+      });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `dias_no_habiles${sede ? `_${sede}` : ''}.${
+        esICS ? 'ics' : 'json'
+      }`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('❌ Error al exportar días no hábiles:', error);
+      this.catalogoView.showAlert(
+        'Error al exportar los días no hábiles',
+        'danger'
+      );
+    }
+  }
+
+  /**
+   * Importa días no hábiles desde un archivo JSON o ICS
+   * El formato se elige por la extensión del archivo; la importación completa
+   * se deshace en un paso.
+   * @param {Object} data - { file, sede } con la sede que se asigna a los días sin sede
+   */
+  importarDiasNoHabiles({ file, sede }) {
+    const reader = new FileReader();
+    reader.onload = async e => {
+      const texto = e.target.result;
+      const opciones = { sede: sede || '' };
+      const result = /\.ics$/i.test(file.name)
+        ? await this.calendarioService.importarICS(texto, opciones)
+        : await this.calendarioService.importarJSON(texto, opciones);
+
+      if (result.success) {
+        this.refrescar('festivo');
+        if (result.imported > 0) {
+          this.catalogoView.showUndoToast(result.message, {
+            onUndo: () => this.refrescar('festivo'),
+          });
+        } else {
+          this.catalogoView.showAlert(result.message, 'warning');
+        }
+      } else {
+        this.catalogoView.showAlert(result.errors.join(', '), 'danger');
+      }
+    };
+    reader.onerror = () => {
+      this.catalogoView.showAlert('No se pudo leer el archivo', 'danger');
+    };
+    reader.readAsText(file);
+  }
+}
+
+// Nombre legible de cada catálogo
+CatalogoController.ETIQUETAS = {
+  periodo: 'Periodo académico',
+  sede: 'Sede',
+  festivo: 'Día no hábil',
+};
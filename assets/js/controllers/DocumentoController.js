@@ -8,6 +8,7 @@ class DocumentoController extends BaseController {
     this.documentoService = documentoService;
     this.tramiteService = tramiteService;
     this.documentoView = null; // Se asignará después
+    this.versionDocumentoView = null; // Se asignará después
     this.currentTramiteId = null;
     this.currentDocumento = null;
   }
@@ -53,6 +54,20 @@ class DocumentoController extends BaseController {
     this.eventManager.on('documento:createFromForm', data => {
       this.createDocumentoFromForm(data);
     });
+
+    // Evento específico para actualizar documento desde el formulario
+    this.eventManager.on('documento:updateFromForm', data => {
+      this.updateDocumentoFromForm(data);
+    });
+
+    // Historial de versiones de un documento
+    this.eventManager.on('documento:historial', data => {
+      this.mostrarHistorial(data.documentoId);
+    });
+
+    this.eventManager.on('documento:restaurarVersion', data => {
+      this.restaurarVersion(data);
+    });
   }
 
   /**
@@ -136,6 +151,104 @@ class DocumentoController extends BaseController {
     }, 'actualizar documento');
   }
 
+  /**
+   * Actualiza un documento desde el formulario "Editar Documento"
+   * @param {Object} data - Datos del evento con documentoId, formData y callback
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async updateDocumentoFromForm(data) {
+    return await this.executeAction(async () => {
+      const { documentoId, formData, nota, campos, callback } = data;
+
+      const result = await this.documentoService.updateDocumentoFromForm(
+        documentoId,
+        formData,
+        { nota, campos }
+      );
+
+      if (result.success) {
+        this.eventManager.emit('documento:updatedFromForm', result.item);
+      } else {
+        this.showError(result.errors.join(', '));
+      }
+
+      // Ejecutar callback si está disponible
+      if (callback && typeof callback === 'function') {
+        callback(result);
+      }
+
+      return result;
+    }, 'actualizar documento desde formulario');
+  }
+
+  /**
+   * Muestra el historial de versiones de un documento
+   * @param {string} documentoId - ID del documento
+   */
+  mostrarHistorial(documentoId) {
+    const documento = this.documentoService.getById(documentoId);
+    const versionService = this.documentoService
+      .getRelationRegistry()
+      .getService('VersionDocumento');
+    if (!documento || !versionService || !this.versionDocumentoView) {
+      console.error('❌ No se puede mostrar el historial del documento');
+      return;
+    }
+
+    this.versionDocumentoView.show(
+      documento,
+      versionService.getByDocumentoId(documentoId)
+    );
+  }
+
+  /**
+   * Restaura un documento a una versión anterior
+   * @param {Object} data - { documentoId, version }
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async restaurarVersion(data) {
+    return await this.executeAction(async () => {
+      const { documentoId, version } = data;
+      const result = await this.documentoService.restaurarVersion(
+        documentoId,
+        version
+      );
+
+      if (result.success) {
+        this.eventManager.emit('documento:updatedFromForm', result.item);
+        this.refrescarHistorial(documentoId);
+        this.versionDocumentoView.showUndoToast(result.message, {
+          onUndo: () => this.refrescarHistorial(documentoId),
+        });
+      } else {
+        this.showError(result.errors.join(', '));
+      }
+
+      return result;
+    }, 'restaurar versión del documento');
+  }
+
+  /**
+   * Vuelve a dibujar el historial y el reporte de documentos
+   * @param {string} documentoId - ID del documento
+   */
+  refrescarHistorial(documentoId) {
+    const documento = this.documentoService.getById(documentoId);
+    if (documento) {
+      this.versionDocumentoView.render(
+        documento,
+        this.documentoService
+          .getRelationRegistry()
+          .getService('VersionDocumento')
+          .getByDocumentoId(documentoId)
+      );
+    }
+
+    if (window.tramiteApp && window.tramiteApp.tramiteView) {
+      window.tramiteApp.tramiteView.renderDocumentosReport();
+    }
+  }
+
   /**
    * Elimina un documento
    * @param {string} id - ID del documento
@@ -147,7 +260,13 @@ class DocumentoController extends BaseController {
 
       if (result.success) {
         this.eventManager.emit('documento:deleted', result.item);
-        this.showSuccess(result.message);
+        if (this.documentoView) {
+          this.documentoView.showUndoToast(result.message, {
+            onUndo: () => this.documentoView.refreshList(),
+          });
+        } else {
+          this.showSuccess(result.message);
+        }
       } else {
         this.showError(result.errors.join(', '));
       }
@@ -38,6 +38,10 @@ class EstadoController extends BaseController {
     this.eventManager.on('estado:delete', data => {
       this.deleteEstado(data);
     });
+
+    this.eventManager.on('estado:cambiar', data => {
+      this.cambiarEstado(data);
+    });
   }
 
   /**
@@ -52,6 +56,18 @@ class EstadoController extends BaseController {
    */
   async createEstado(data) {
     return await this.executeAction(async () => {
+      // El nuevo registro también es un cambio desde el estado actual del trámite
+      const transicion = this.estadoService.validarTransicion(
+        data.tramiteId,
+        data.estado,
+        data.motivo,
+        data.habilitacionId || ''
+      );
+      if (!transicion.isValid) {
+        this.showError(transicion.errors.join(', '));
+        return { success: false, errors: transicion.errors };
+      }
+
       const estado = new Estado(data);
       const result = await this.estadoService.create(estado);
 
@@ -87,6 +103,35 @@ class EstadoController extends BaseController {
     }, 'actualizar estado');
   }
 
+  /**
+   * Cambia el estado actual de un trámite
+   * Los cambios que no permite la máquina de estados se rechazan con su motivo.
+   * @param {Object} data - { tramiteId, estado, usuario, motivo, observaciones }
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async cambiarEstado(data) {
+    return await this.executeAction(async () => {
+      const result = await this.estadoService.cambiarEstado(
+        data.tramiteId,
+        data.estado,
+        data.usuario,
+        data.motivo,
+        data.observaciones
+      );
+
+      if (result.success) {
+        this.showSuccess(result.message);
+        if (this.estadoView) {
+          this.estadoView.refreshList();
+        }
+      } else {
+        this.showError(result.errors.join(', '));
+      }
+
+      return result;
+    }, 'cambiar estado');
+  }
+
   /**
    * Elimina un estado
    * @param {string} id - ID del estado
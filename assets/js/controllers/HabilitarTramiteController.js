@@ -6,7 +6,10 @@ class HabilitarTramiteController {
   constructor() {
     this.habilitarTramiteService = null;
     this.habilitarTramiteView = null;
+    this.copiaPeriodoView = null;
+    this.calendarioICSView = null;
     this.eventManager = null;
+    this.textoICS = '';
   }
 
   /**
@@ -39,6 +42,44 @@ class HabilitarTramiteController {
       this.eventManager.on('habilitarTramite:guardar', async data => {
         await this.guardarHabilitarTramite(data);
       });
+
+      // Asistente para copiar un periodo académico
+      this.eventManager.on('copiaPeriodo:abrir', () => {
+        this.mostrarCopiaPeriodo();
+      });
+
+      this.eventManager.on('copiaPeriodo:origen', data => {
+        this.cambiarOrigenCopia(data.origen);
+      });
+
+      this.eventManager.on('copiaPeriodo:previsualizar', opciones => {
+        this.previsualizarCopia(opciones);
+      });
+
+      this.eventManager.on('copiaPeriodo:copiar', async opciones => {
+        await this.copiarPeriodo(opciones);
+      });
+
+      // Exportación e importación de las ventanas en ICS
+      this.eventManager.on('calendarioICS:abrir', () => {
+        this.mostrarCalendarioICS();
+      });
+
+      this.eventManager.on('calendarioICS:exportar', filtros => {
+        this.exportarCalendarioICS(filtros);
+      });
+
+      this.eventManager.on('calendarioICS:archivo', data => {
+        this.leerCalendarioICS(data.file, data.opciones);
+      });
+
+      this.eventManager.on('calendarioICS:previsualizar', opciones => {
+        this.previsualizarImportacionICS(opciones);
+      });
+
+      this.eventManager.on('calendarioICS:importar', async opciones => {
+        await this.importarCalendarioICS(opciones);
+      });
     } else {
       console.error(
         '❌ EventManager no disponible para configurar event listeners'
@@ -115,7 +156,7 @@ class HabilitarTramiteController {
           window.tramiteApp.tramiteView.renderTramitesHabilitadosReport();
         }
 
-        // Verificar que se guardó en localStorage
+        // Verificar las relaciones con los trámites guardados
         setTimeout(() => {
           this.verificarRelaciones();
         }, 500);
@@ -132,6 +173,236 @@ class HabilitarTramiteController {
     }
   }
 
+  /**
+   * Muestra el asistente para copiar un periodo académico
+   * Los origenes son todos los periodos del catálogo; los destinos, los abiertos.
+   */
+  mostrarCopiaPeriodo() {
+    if (!this.copiaPeriodoView) {
+      console.error('❌ CopiaPeriodoView no está disponible');
+      return;
+    }
+
+    const periodoService = window.tramiteApp.getService('periodoAcademico');
+    const origenes = periodoService.getOrdenados().map(periodo => ({
+      periodo,
+      cantidad: this.habilitarTramiteService
+        .getSedesPeriodo(periodo.codigo)
+        .reduce((total, { cantidad }) => total + cantidad, 0),
+    }));
+
+    this.copiaPeriodoView.showModal({
+      origenes,
+      destinos: periodoService.getAbiertos(),
+    });
+  }
+
+  /**
+   * Carga las sedes del periodo origen y actualiza la previsualización
+   * @param {string} origen - Código del periodo origen
+   */
+  cambiarOrigenCopia(origen) {
+    const sedeService = window.tramiteApp.getService('sede');
+    const sedes = origen
+      ? this.habilitarTramiteService
+          .getSedesPeriodo(origen)
+          .map(({ sede, cantidad }) => ({
+            sede,
+            nombre: sedeService.getNombre(sede),
+            cantidad,
+          }))
+      : [];
+
+    this.copiaPeriodoView.renderSedes(sedes);
+    this.previsualizarCopia(this.copiaPeriodoView.getOpciones());
+  }
+
+  /**
+   * Muestra la previsualización de la copia sin guardar nada
+   * @param {Object} opciones - { origen, destino, sedes, estado, justificacion }
+   */
+  previsualizarCopia(opciones) {
+    try {
+      this.copiaPeriodoView.renderPrevisualizacion(
+        this.habilitarTramiteService.previsualizarCopiaPeriodo(opciones)
+      );
+    } catch (error) {
+      console.error('❌ Error al previsualizar la copia del periodo:', error);
+      this.copiaPeriodoView.showAlert(
+        'Error al previsualizar la copia del periodo',
+        'danger'
+      );
+    }
+  }
+
+  /**
+   * Copia las habilitaciones de un periodo a otro
+   * La copia completa se deshace en un solo paso.
+   * @param {Object} opciones - { origen, destino, sedes, estado, justificacion }
+   * @returns {Promise<Object>} Resultado de la copia
+   */
+  async copiarPeriodo(opciones) {
+    const result = await this.habilitarTramiteService.copiarPeriodo(opciones);
+    if (!result.success) {
+      this.habilitarTramiteView.mostrarErrores(result.errors);
+      return result;
+    }
+
+    this.copiaPeriodoView.hide();
+
+    const refrescar = () => {
+      if (window.tramiteApp && window.tramiteApp.tramiteView) {
+        window.tramiteApp.tramiteView.renderTramitesHabilitadosReport();
+      }
+    };
+    refrescar();
+
+    const omitidas =
+      result.omitidas > 0 ? ` (${result.omitidas} omitidas)` : '';
+    this.copiaPeriodoView.showUndoToast(`${result.message}${omitidas}`, {
+      onUndo: refrescar,
+    });
+    if (result.errors.length > 0) {
+      this.habilitarTramiteView.mostrarErrores(result.errors);
+    }
+    return result;
+  }
+
+  /**
+   * Muestra el modal para exportar e importar las ventanas en ICS
+   */
+  mostrarCalendarioICS() {
+    if (!this.calendarioICSView) {
+      console.error('❌ CalendarioICSView no está disponible');
+      return;
+    }
+
+    this.textoICS = '';
+    this.calendarioICSView.showModal({
+      periodos: window.tramiteApp.getService('periodoAcademico').getOrdenados(),
+      sedes: window.tramiteApp.getService('sede').getOrdenadas(),
+      tramites: window.tramiteApp
+        .getService('tramite')
+        .getAll()
+        .sort((a, b) => a.nombre.localeCompare(b.nombre)),
+    });
+  }
+
+  /**
+   * Descarga el calendario ICS de las ventanas que cumplen los filtros
+   * @param {Object} filtros - { periodo, sede, tramiteId }
+   */
+  exportarCalendarioICS(filtros) {
+    try {
+      const { contenido, cantidad } =
+        this.habilitarTramiteService.exportarICS(filtros);
+      if (cantidad === 0) {
+        this.calendarioICSView.showAlert(
+          'No hay ventanas de habilitación con esos filtros',
+          'warning'
+        );
+        return;
+      }
+
+      const blob = new Blob([contenido], { type: 'text/calendar' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `habilitaciones${
+        filtros.periodo ? `_${filtros.periodo}` : ''
+      }${filtros.sede ? `_${filtros.sede}` : ''}.ics`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('❌ Error al exportar el calendario ICS:', error);
+      this.calendarioICSView.showAlert(
+        'Error al exportar el calendario ICS',
+        'danger'
+      );
+    }
+  }
+
+  /**
+   * Lee un archivo ICS y muestra las habilitaciones que propone
+   * @param {File} file - Archivo ICS
+   * @param {Object} opciones - { periodo, sede, estado, justificacion }
+   */
+  leerCalendarioICS(file, opciones) {
+    const reader = new FileReader();
+    reader.onload = e => {
+      this.textoICS = e.target.result;
+      this.previsualizarImportacionICS(opciones);
+    };
+    reader.onerror = () => {
+      this.textoICS = '';
+      this.calendarioICSView.renderPrevisualizacion(null);
+      this.calendarioICSView.showAlert('No se pudo leer el archivo', 'danger');
+    };
+    reader.readAsText(file);
+  }
+
+  /**
+   * Muestra la previsualización de la importación sin guardar nada
+   * @param {Object} opciones - { periodo, sede, estado, justificacion }
+   */
+  previsualizarImportacionICS(opciones) {
+    if (!this.textoICS) return;
+
+    try {
+      this.calendarioICSView.renderPrevisualizacion(
+        this.habilitarTramiteService.previsualizarImportacionICS(
+          this.textoICS,
+          opciones
+        )
+      );
+    } catch (error) {
+      console.error('❌ Error al previsualizar el calendario ICS:', error);
+      this.calendarioICSView.showAlert(
+        'Error al previsualizar el calendario ICS',
+        'danger'
+      );
+    }
+  }
+
+  /**
+   * Importa las habilitaciones propuestas por el archivo ICS leído
+   * La importación completa se deshace en un solo paso.
+   * @param {Object} opciones - { periodo, sede, estado, justificacion }
+   * @returns {Promise<Object>} Resultado de la importación
+   */
+  async importarCalendarioICS(opciones) {
+    const result = await this.habilitarTramiteService.importarICS(
+      this.textoICS,
+      opciones
+    );
+    if (!result.success) {
+      this.habilitarTramiteView.mostrarErrores(result.errors);
+      return result;
+    }
+
+    this.textoICS = '';
+    this.calendarioICSView.hide();
+
+    const refrescar = () => {
+      if (window.tramiteApp && window.tramiteApp.tramiteView) {
+        window.tramiteApp.tramiteView.renderTramitesHabilitadosReport();
+      }
+    };
+    refrescar();
+
+    const omitidas =
+      result.omitidas > 0 ? ` (${result.omitidas} omitidas)` : '';
+    this.calendarioICSView.showUndoToast(`${result.message}${omitidas}`, {
+      onUndo: refrescar,
+    });
+    if (result.errors.length > 0) {
+      this.habilitarTramiteView.mostrarErrores(result.errors);
+    }
+    return result;
+  }
+
   /**
    * Obtiene trámites habilitados por periodo académico
    * @param {string} periodoAcademico - Periodo académico
@@ -152,17 +423,16 @@ class HabilitarTramiteController {
    * Elimina un trámite habilitado
    * @param {string} id - ID del trámite habilitado
    */
-  deleteHabilitarTramite(id) {
+  async deleteHabilitarTramite(id) {
     if (!this.habilitarTramiteService) {
       console.error('❌ HabilitarTramiteService no está disponible');
       return;
     }
 
-    const result = this.habilitarTramiteService.delete(id);
+    const result = await this.habilitarTramiteService.delete(id);
     if (result.success) {
-      this.habilitarTramiteView.showAlert(
-        'Trámite habilitado eliminado exitosamente',
-        'success'
+      this.habilitarTramiteView.showUndoToast(
+        'Trámite habilitado enviado a la papelera'
       );
     } else {
       this.habilitarTramiteView.showAlert(
@@ -195,7 +465,7 @@ class HabilitarTramiteController {
   }
 
   /**
-   * Verifica las relaciones guardadas en localStorage
+   * Verifica las relaciones de los trámites habilitados guardados
    * @returns {Object} Información de las relaciones
    */
   verificarRelaciones() {
@@ -204,17 +474,6 @@ class HabilitarTramiteController {
       return null;
     }
 
-    // Verificar directamente en localStorage
-    const localStorageData = localStorage.getItem('habilitar_tramites');
-
-    if (localStorageData) {
-      try {
-        const parsedData = JSON.parse(localStorageData);
-      } catch (error) {
-        console.error('❌ Error al parsear datos de localStorage:', error);
-      }
-    }
-
     const habilitarTramites = this.habilitarTramiteService.getAll();
     const relaciones = habilitarTramites.map(item => ({
       id: item.id,
@@ -293,74 +552,7 @@ class HabilitarTramiteController {
    */
   async actualizarHabilitado(habilitadoId, formData) {
     try {
-      // Obtener trámites habilitados existentes
-      const habilitadosData = localStorage.getItem('habilitar_tramites');
-      if (!habilitadosData) {
-        return {
-          success: false,
-          errors: ['No se encontraron trámites habilitados'],
-        };
-      }
-
-      const habilitados = JSON.parse(habilitadosData);
-
-      // Fix: Add missing IDs and normalize states
-      let needsUpdate = false;
-      const fixedHabilitados = habilitados.map((hab, index) => {
-        if (!hab.id) {
-          hab.id = `habilitado_${Date.now()}_${index}`;
-          needsUpdate = true;
-        }
-        // Normalizar estados a "Activo" e "Inactivo"
-        if (hab.estado === 'activo') {
-          hab.estado = 'Activo';
-          needsUpdate = true;
-        } else if (hab.estado === 'inactivo') {
-          hab.estado = 'Inactivo';
-          needsUpdate = true;
-        }
-        return hab;
-      });
-
-      // Update localStorage if we added missing IDs or normalized states
-      if (needsUpdate) {
-        localStorage.setItem(
-          'habilitar_tramites',
-          JSON.stringify(fixedHabilitados)
-        );
-      }
-
-      const habilitadoIndex = fixedHabilitados.findIndex(
-        hab => hab.id === habilitadoId
-      );
-
-      if (habilitadoIndex === -1) {
-        return {
-          success: false,
-          errors: ['Trámite habilitado no encontrado'],
-        };
-      }
-
-      // Actualizar el trámite habilitado
-      const habilitadoActualizado = {
-        ...fixedHabilitados[habilitadoIndex],
-        ...formData,
-        fechaModificacion: new Date().toISOString(),
-      };
-
-      fixedHabilitados[habilitadoIndex] = habilitadoActualizado;
-
-      // Guardar en localStorage
-      localStorage.setItem(
-        'habilitar_tramites',
-        JSON.stringify(fixedHabilitados)
-      );
-
-      return {
-        success: true,
-        item: habilitadoActualizado,
-        message: 'Trámite habilitado actualizado exitosamente',
-      };
+      return await this.habilitarTramiteService.update(habilitadoId, formData);
     } catch (error) {
       console.error('Error al actualizar trámite habilitado:', error);
       return {
@@ -376,10 +568,22 @@ class HabilitarTramiteController {
   cleanup() {
     if (this.eventManager) {
       this.eventManager.off('habilitarTramite:guardar');
+      this.eventManager.off('copiaPeriodo:abrir');
+      this.eventManager.off('copiaPeriodo:origen');
+      this.eventManager.off('copiaPeriodo:previsualizar');
+      this.eventManager.off('copiaPeriodo:copiar');
+      this.eventManager.off('calendarioICS:abrir');
+      this.eventManager.off('calendarioICS:exportar');
+      this.eventManager.off('calendarioICS:archivo');
+      this.eventManager.off('calendarioICS:previsualizar');
+      this.eventManager.off('calendarioICS:importar');
     }
 
     this.habilitarTramiteService = null;
     this.habilitarTramiteView = null;
+    this.copiaPeriodoView = null;
+    this.calendarioICSView = null;
     this.eventManager = null;
+    this.textoICS = '';
   }
 }
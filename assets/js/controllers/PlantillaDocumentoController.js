@@ -0,0 +1,333 @@
+/**
+ * Controlador de la biblioteca de plantillas de documentos
+ * Atiende las acciones del modal de plantillas (guardar un documento como
+ * plantilla, crear documentos con ella, actualizarla y llevar el cambio a sus
+ * documentos, eliminarla, importar y exportar) y avisa con
+ * 'documento:createdFromForm' cuando una plantilla crea un documento.
+ */
+class PlantillaDocumentoController extends BaseController {
+  constructor(
+    plantillaDocumentoService,
+    documentoService,
+    eventManager = null
+  ) {
+    super(eventManager);
+    this.plantillaDocumentoService = plantillaDocumentoService;
+    this.documentoService = documentoService;
+    this.plantillaDocumentoView = null; // Se asignará después
+  }
+
+  /**
+   * Configura las dependencias del controlador
+   */
+  async setupDependencies() {
+    if (!this.plantillaDocumentoService) {
+      throw new Error('PlantillaDocumentoService es requerido');
+    }
+    if (!this.documentoService) {
+      throw new Error('DocumentoService es requerido');
+    }
+  }
+
+  /**
+   * Configura los event listeners del controlador
+   */
+  setupEventListeners() {
+    this.eventManager.on('plantilla:abrir', (data = {}) => {
+      this.mostrarPlantillas(data);
+    });
+
+    this.eventManager.on('plantilla:crear', data => {
+      this.crear(data);
+    });
+
+    this.eventManager.on('plantilla:usar', data => {
+      this.usar(data);
+    });
+
+    this.eventManager.on('plantilla:actualizar', data => {
+      this.actualizar(data);
+    });
+
+    this.eventManager.on('plantilla:eliminar', data => {
+      this.eliminar(data);
+    });
+
+    this.eventManager.on('plantilla:exportar', data => {
+      this.exportar(data);
+    });
+
+    this.eventManager.on('plantilla:importar', data => {
+      this.importar(data);
+    });
+
+    // Deshacer o rehacer puede cambiar las plantillas con el modal abierto
+    this.eventManager.on('journal:changed', () => {
+      if (
+        this.plantillaDocumentoView &&
+        this.plantillaDocumentoView.isVisible()
+      ) {
+        this.plantillaDocumentoView.render(this.getPlantillas());
+      }
+    });
+  }
+
+  /**
+   * Obtiene las plantillas activas con sus documentos derivados
+   * @returns {Object} { plantillas: [{ item, derivados, desactualizados }], documentos }
+   */
+  getPlantillas() {
+    return {
+      plantillas: this.plantillaDocumentoService.getActivas().map(item => {
+        const derivados = this.plantillaDocumentoService.getDocumentosDerivados(
+          item.id
+        );
+        return {
+          item,
+          derivados,
+          desactualizados: derivados.filter(
+            documento => documento.plantillaVersion !== item.version
+          ),
+        };
+      }),
+      documentos: this.documentoService
+        .getItems()
+        .sort((a, b) => a.nombreDocumento.localeCompare(b.nombreDocumento)),
+    };
+  }
+
+  /**
+   * Muestra el modal de la biblioteca de plantillas
+   * @param {Object} data - { documentoId } para abrirlo con el formulario de guardar ese documento
+   */
+  mostrarPlantillas({ documentoId } = {}) {
+    if (!this.plantillaDocumentoView) {
+      console.error('❌ PlantillaDocumentoView no está disponible');
+      return;
+    }
+
+    const documento = documentoId
+      ? this.documentoService.getById(documentoId)
+      : null;
+    this.plantillaDocumentoView.showModal(this.getPlantillas(), documento);
+  }
+
+  /**
+   * Vuelve a mostrar la lista de plantillas sin formulario abierto
+   */
+  refrescar() {
+    this.plantillaDocumentoView.limpiarAccion();
+    this.plantillaDocumentoView.render(this.getPlantillas());
+  }
+
+  /**
+   * Vuelve a dibujar el reporte de documentos de la vista de trámites
+   */
+  refrescarDocumentos() {
+    if (window.tramiteApp && window.tramiteApp.tramiteView) {
+      window.tramiteApp.tramiteView.renderDocumentosReport();
+    }
+  }
+
+  /**
+   * Guarda un documento y sus campos como plantilla
+   * @param {Object} data - { documentoId, nombre, descripcion }
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async crear({ documentoId, nombre, descripcion }) {
+    return await this.executeAction(async () => {
+      const result = await this.plantillaDocumentoService.crearDesdeDocumento(
+        documentoId,
+        { nombre, descripcion }
+      );
+
+      if (result.success) {
+        this.refrescar();
+        this.plantillaDocumentoView.showAlert(
+          `Plantilla "${result.item.nombre}" guardada`,
+          'success'
+        );
+      } else {
+        this.plantillaDocumentoView.showAlert(
+          result.errors.join(', '),
+          'danger'
+        );
+      }
+      return result;
+    }, 'guardar la plantilla');
+  }
+
+  /**
+   * Crea un documento con una plantilla
+   * @param {Object} data - { plantillaId, overrides }
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async usar({ plantillaId, overrides }) {
+    return await this.executeAction(async () => {
+      const result = await this.plantillaDocumentoService.instanciar(
+        plantillaId,
+        overrides
+      );
+
+      if (result.success) {
+        this.refrescar();
+        this.refrescarDocumentos();
+        this.eventManager.emit('documento:createdFromForm', result.item);
+        this.plantillaDocumentoView.showUndoToast(result.message, {
+          onUndo: () => {
+            this.refrescar();
+            this.refrescarDocumentos();
+          },
+        });
+      } else {
+        this.plantillaDocumentoView.showAlert(
+          result.errors.join(', '),
+          'danger'
+        );
+      }
+      return result;
+    }, 'crear documento desde plantilla');
+  }
+
+  /**
+   * Actualiza una plantilla con el contenido de un documento
+   * @param {Object} data - { plantillaId, documentoId, propagar }
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async actualizar({ plantillaId, documentoId, propagar }) {
+    return await this.executeAction(async () => {
+      const result =
+        await this.plantillaDocumentoService.actualizarDesdeDocumento(
+          plantillaId,
+          documentoId,
+          { propagar }
+        );
+
+      if (result.success) {
+        this.refrescar();
+        if (result.actualizados.length > 0) {
+          this.refrescarDocumentos();
+        }
+        this.plantillaDocumentoView.showUndoToast(result.message, {
+          onUndo: () => {
+            this.refrescar();
+            this.refrescarDocumentos();
+          },
+        });
+        if (result.errores.length > 0) {
+          this.plantillaDocumentoView.showAlert(
+            `No se actualizaron: ${result.errores.join('; ')}`,
+            'warning'
+          );
+        }
+      } else {
+        this.plantillaDocumentoView.showAlert(
+          result.errors.join(', '),
+          'danger'
+        );
+      }
+      return result;
+    }, 'actualizar la plantilla');
+  }
+
+  /**
+   * Envía una plantilla a la papelera
+   * Los documentos creados con ella se conservan y dejan de referirla.
+   * @param {Object} data - { id }
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async eliminar({ id }) {
+    return await this.executeAction(async () => {
+      const result = await this.plantillaDocumentoService.delete(id);
+
+      if (result.success) {
+        this.refrescar();
+        this.plantillaDocumentoView.showUndoToast(
+          `Plantilla "${result.item.nombre}" enviada a la papelera`,
+          { onUndo: () => this.refrescar() }
+        );
+      } else {
+        this.plantillaDocumentoView.showAlert(
+          result.errors.join(', '),
+          'danger'
+        );
+      }
+      return result;
+    }, 'eliminar la plantilla');
+  }
+
+  /**
+   * Descarga plantillas en un archivo JSON
+   * @param {Object} data - { ids } con null para todas las activas
+   */
+  exportar({ ids }) {
+    try {
+      const contenido = this.plantillaDocumentoService.exportarJSON(ids);
+      const plantilla =
+        ids && ids.length === 1
+          ? this.plantillaDocumentoService.getById(ids[0])
+          : null;
+
+      const blob = new Blob([contenido], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = plantilla
+        ? `plantilla_${plantilla.nombre
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')}.json`
+        : 'plantillas_documentos.json';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('❌ Error al exportar plantillas:', error);
+      this.plantillaDocumentoView.showAlert(
+        'Error al exportar las plantillas',
+        'danger'
+      );
+    }
+  }
+
+  /**
+   * Importa plantillas desde un archivo JSON
+   * La importación completa se deshace en un paso.
+   * @param {Object} data - { file }
+   */
+  importar({ file }) {
+    const reader = new FileReader();
+    reader.onload = async e => {
+      const result = await this.plantillaDocumentoService.importarJSON(
+        e.target.result
+      );
+
+      if (result.success) {
+        this.refrescar();
+        if (result.imported > 0) {
+          this.plantillaDocumentoView.showUndoToast(result.message, {
+            onUndo: () => this.refrescar(),
+          });
+        }
+        if (result.omitidas.length > 0) {
+          this.plantillaDocumentoView.showAlert(
+            `${result.message}: ${result.omitidas.join('; ')}`,
+            'warning'
+          );
+        }
+      } else {
+        this.plantillaDocumentoView.showAlert(
+          result.errors.join(', '),
+          'danger'
+        );
+      }
+    };
+    reader.onerror = () => {
+      this.plantillaDocumentoView.showAlert(
+        'No se pudo leer el archivo',
+        'danger'
+      );
+    };
+    reader.readAsText(file);
+  }
+}
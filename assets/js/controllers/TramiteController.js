@@ -7,6 +7,9 @@ class TramiteController extends BaseController {
     super(eventManager);
     this.tramiteService = tramiteService;
     this.tramiteView = tramiteView;
+    this.cronogramaView = null; // Se asignará después
+    this.formularioTramiteView = null; // Se asignará después
+    this.radicacionView = null; // Se asignará después
     this.isEditing = false;
     this.currentTramiteId = null;
   }
@@ -78,6 +81,15 @@ class TramiteController extends BaseController {
       btnVerDocumentos.addEventListener('click', () => this.verDocumentos());
     }
 
+    const btnVistaPreviaFormulario = document.getElementById(
+      'btnVistaPreviaFormulario'
+    );
+    if (btnVistaPreviaFormulario) {
+      btnVistaPreviaFormulario.addEventListener('click', () =>
+        this.vistaPreviaFormulario()
+      );
+    }
+
     // Event listeners para el formulario
     const form = document.getElementById('formCrearTramite');
     if (form) {
@@ -128,6 +140,24 @@ class TramiteController extends BaseController {
       });
     }
 
+    // Botón historial de versiones del documento
+    const btnHistorialDocumento = document.getElementById(
+      'btnHistorialDocumento'
+    );
+    if (btnHistorialDocumento) {
+      btnHistorialDocumento.addEventListener('click', () => {
+        this.mostrarHistorialDocumento();
+      });
+    }
+
+    // Botón guardar el documento como plantilla
+    const btnGuardarPlantilla = document.getElementById('btnGuardarPlantilla');
+    if (btnGuardarPlantilla) {
+      btnGuardarPlantilla.addEventListener('click', () => {
+        this.guardarDocumentoComoPlantilla();
+      });
+    }
+
     // Event listeners para trámites habilitados
     this.eventManager.on('habilitado:showOpciones', data => {
       this.showOpcionesHabilitado(data.habilitadoId);
@@ -158,6 +188,75 @@ class TramiteController extends BaseController {
       });
     }
 
+    // Botón radicar solicitud en la habilitación
+    const btnRadicarHabilitado = document.getElementById(
+      'btnRadicarHabilitado'
+    );
+    if (btnRadicarHabilitado) {
+      btnRadicarHabilitado.addEventListener('click', () => {
+        this.radicarHabilitado();
+      });
+    }
+
+    // Radicación de solicitudes y revisión de los documentos radicados
+    this.eventManager.on('radicacion:radicar', data => {
+      this.guardarRadicacion(data);
+    });
+
+    this.eventManager.on('radicacion:revisar', data => {
+      this.revisarRadicacion(data);
+    });
+
+    this.eventManager.on('radicacion:filtrar', () => {
+      this.refreshCurrentReport();
+    });
+
+    // Event listeners para la papelera
+    this.eventManager.on('papelera:restore', data => {
+      this.restoreFromPapelera(data.entidad, data.id);
+    });
+
+    this.eventManager.on('papelera:purge', data => {
+      this.purgeFromPapelera(data.entidad, data.id);
+    });
+
+    this.eventManager.on('papelera:empty', () => {
+      this.emptyPapelera();
+    });
+
+    this.eventManager.on('papelera:retention', data => {
+      this.changePapeleraRetention(data.dias);
+    });
+
+    // Reparación de relaciones rotas
+    this.eventManager.on('integridad:repair', () => {
+      this.repairRelaciones();
+    });
+
+    // Aplicar los cambios de estado calculados por fechas
+    this.eventManager.on('programador:ejecutar', () => {
+      this.ejecutarProgramador();
+    });
+
+    // Cambio de filtros y arrastre de fechas en el cronograma
+    this.eventManager.on('cronograma:filtrar', () => {
+      this.refreshCurrentReport();
+    });
+
+    this.eventManager.on('cronograma:mover', data => {
+      this.moverFechaVentana(data);
+    });
+
+    // Cambio de página u orden en los reportes paginados
+    this.eventManager.on('reporte:page', () => {
+      this.refreshCurrentReport();
+    });
+
+    // Los reportes muestran nombres de sede y semestres del catálogo
+    this.eventManager.on('catalogo:changed', () => {
+      this.refreshCurrentReport();
+    });
+
     // Botón toggle estado habilitado
     const btnToggleEstadoHabilitado = document.getElementById(
       'btnToggleEstadoHabilitado'
@@ -193,6 +292,22 @@ class TramiteController extends BaseController {
         case 'tramites_habilitados':
           this.tramiteView.renderTramitesHabilitadosReport();
           break;
+        case 'calendario_habilitaciones':
+        case 'linea_tiempo_habilitaciones':
+          this.loadCronograma(reportType);
+          break;
+        case 'papelera':
+          this.tramiteView.renderPapeleraReport();
+          break;
+        case 'integridad':
+          this.tramiteView.renderIntegridadReport();
+          break;
+        case 'programador':
+          await this.loadProgramador();
+          break;
+        case 'radicaciones':
+          this.loadRadicaciones();
+          break;
         case '':
         default:
           this.tramiteView.showInitialState();
@@ -204,13 +319,360 @@ class TramiteController extends BaseController {
     }
   }
 
+  /**
+   * Vuelve a mostrar el reporte seleccionado con los datos actuales
+   */
+  refreshCurrentReport() {
+    const reportSelector = document.getElementById('reportSelector');
+    if (reportSelector && reportSelector.value) {
+      this.handleReportSelection(reportSelector.value);
+    }
+  }
+
+  /**
+   * Muestra un registro en su reporte y abre sus opciones
+   * Selecciona el reporte, va a la página donde está el registro y lo resalta.
+   * @param {string} reporte - 'tramites', 'documentos' o 'tramites_habilitados'
+   * @param {string} id - ID del registro
+   */
+  async openRecord(reporte, id) {
+    const servicios = {
+      tramites: 'tramite',
+      documentos: 'documento',
+      tramites_habilitados: 'habilitarTramite',
+    };
+    const service = this.getAppService(servicios[reporte]);
+    if (!service || !service.getById(id)) {
+      this.showError('El registro no existe o está en la papelera');
+      return;
+    }
+
+    const reportSelector = document.getElementById('reportSelector');
+    if (reportSelector) {
+      reportSelector.value = reporte;
+    }
+
+    this.tramiteView.goToRecordPage(reporte, service, id);
+    await this.handleReportSelection(reporte);
+    this.tramiteView.highlightRecord(id);
+
+    switch (reporte) {
+      case 'tramites':
+        this.showOpciones(id);
+        break;
+      case 'documentos':
+        this.showOpcionesDocumento(id);
+        break;
+      default:
+        this.showOpcionesHabilitado(id);
+    }
+  }
+
+  /**
+   * Obtiene el servicio de una entidad de la papelera
+   * @param {string} entidad - Nombre de la entidad (tramite, documento, ...)
+   * @returns {BaseService|null} Servicio o null
+   */
+  getPapeleraService(entidad) {
+    const entrada = window.tramiteApp
+      .getTrashServices()
+      .find(trashService => trashService.entidad === entidad);
+    return entrada ? entrada.service : null;
+  }
+
+  /**
+   * Restaura un item de la papelera
+   * @param {string} entidad - Nombre de la entidad
+   * @param {string} id - ID del item
+   */
+  async restoreFromPapelera(entidad, id) {
+    const service = this.getPapeleraService(entidad);
+    if (!service) {
+      this.showError(`Entidad desconocida en la papelera: ${entidad}`);
+      return;
+    }
+
+    const result = await service.restoreDeleted(id);
+    if (result.success) {
+      this.tramiteView.renderPapeleraReport();
+      this.tramiteView.showUndoToast(result.message, {
+        onUndo: () => this.refreshCurrentReport(),
+      });
+    } else {
+      this.tramiteView.showAlert(result.errors.join(', '), 'danger');
+    }
+  }
+
+  /**
+   * Elimina definitivamente un item de la papelera
+   * @param {string} entidad - Nombre de la entidad
+   * @param {string} id - ID del item
+   */
+  async purgeFromPapelera(entidad, id) {
+    const service = this.getPapeleraService(entidad);
+    if (!service) {
+      this.showError(`Entidad desconocida en la papelera: ${entidad}`);
+      return;
+    }
+
+    const result = await service.purge(id);
+    if (result.success) {
+      this.tramiteView.renderPapeleraReport();
+      this.tramiteView.showUndoToast(result.message, {
+        onUndo: () => this.refreshCurrentReport(),
+      });
+    } else {
+      this.tramiteView.showAlert(result.errors.join(', '), 'danger');
+    }
+  }
+
+  /**
+   * Elimina definitivamente todos los items de la papelera
+   */
+  emptyPapelera() {
+    this.tramiteView.showConfirmModal(
+      'Vaciar Papelera',
+      '¿Está seguro de que desea eliminar definitivamente todos los items de la papelera? Podrá deshacerlo con Ctrl+Z mientras no recargue la página.',
+      async () => {
+        const trashServices = window.tramiteApp
+          .getTrashServices()
+          .filter(({ service }) => service.getDeleted().length > 0);
+
+        const errores = [];
+        let purgados = 0;
+        await window.tramiteApp.operationJournal.runBatch(
+          'Vaciar papelera',
+          async lote => {
+            for (const { service } of trashServices) {
+              const result = await service.purge(
+                service.getDeleted().map(item => item.id),
+                lote
+              );
+              if (result.success) {
+                purgados += result.purged;
+              } else {
+                errores.push(...result.errors);
+              }
+            }
+          }
+        );
+
+        this.tramiteView.renderPapeleraReport();
+        if (errores.length > 0) {
+          this.tramiteView.showAlert(errores.join(', '), 'danger');
+        } else {
+          this.tramiteView.showUndoToast(
+            `${purgados} items eliminados definitivamente`,
+            { onUndo: () => this.refreshCurrentReport() }
+          );
+        }
+      },
+      'Vaciar',
+      'Cancelar'
+    );
+  }
+
+  /**
+   * Cambia los días de retención de la papelera
+   * @param {number} dias - Días de retención
+   */
+  async changePapeleraRetention(dias) {
+    try {
+      const purgados = await window.tramiteApp.setTrashRetentionDays(dias);
+      this.tramiteView.renderPapeleraReport();
+      this.tramiteView.showAlert(
+        purgados > 0
+          ? `Retención de ${dias} días guardada; se purgaron ${purgados} items vencidos`
+          : `Retención de ${dias} días guardada`,
+        'success'
+      );
+    } catch (error) {
+      console.error('❌ Error al cambiar la retención de la papelera:', error);
+      this.showError('Error al cambiar la retención de la papelera');
+    }
+  }
+
+  /**
+   * Muestra los cambios de estado que el programador haría según las fechas
+   */
+  async loadProgramador() {
+    const resultado = await window.tramiteApp.estadoScheduler.ejecutar({
+      dryRun: true,
+    });
+    this.tramiteView.renderProgramadorReport(resultado);
+  }
+
+  /**
+   * Muestra la cola de revisión de los documentos radicados
+   */
+  loadRadicaciones() {
+    const service = this.getAppService('radicacion');
+    if (!service || !this.radicacionView) {
+      console.error('❌ La revisión de radicaciones no está disponible');
+      return;
+    }
+
+    const responsables = service.getResponsables();
+    const filtros = this.radicacionView.getFiltros(responsables);
+    this.radicacionView.renderColaRevision(
+      service.getColaRevision(filtros),
+      responsables,
+      filtros
+    );
+  }
+
+  /**
+   * Registra la decisión del revisor sobre una etapa de un documento radicado
+   * @param {Object} data - { radicacionId, documentoId, etapaId, accion, comentario }
+   */
+  async revisarRadicacion({
+    radicacionId,
+    documentoId,
+    etapaId,
+    accion,
+    comentario,
+  }) {
+    try {
+      const service = this.getAppService('radicacion');
+      if (!RadicacionService.ACCIONES_REVISION.includes(accion)) {
+        console.error('❌ Acción de revisión desconocida:', accion);
+        return;
+      }
+
+      const result = await service[accion](
+        radicacionId,
+        documentoId,
+        comentario.trim(),
+        'Usuario',
+        etapaId
+      );
+      if (!result.success) {
+        this.tramiteView.showAlert(result.errors.join(', '), 'danger');
+        return;
+      }
+
+      this.refreshCurrentReport();
+      this.tramiteView.showAlert(result.message, 'success');
+    } catch (error) {
+      console.error('Error al revisar el documento radicado:', error);
+      this.tramiteView.showAlert(
+        'Error al revisar el documento radicado',
+        'danger'
+      );
+    }
+  }
+
+  /**
+   * Muestra el calendario mensual o la línea de tiempo de las habilitaciones
+   * @param {string} reportType - 'calendario_habilitaciones' o 'linea_tiempo_habilitaciones'
+   */
+  loadCronograma(reportType) {
+    const service = this.getAppService('habilitarTramite');
+    if (!service || !this.cronogramaView) {
+      console.error('❌ El cronograma de habilitaciones no está disponible');
+      return;
+    }
+
+    const periodos = service.getPeriodosConHabilitaciones();
+    const filtros = this.cronogramaView.getFiltros(periodos);
+    if (reportType === 'calendario_habilitaciones') {
+      this.cronogramaView.renderCalendario(
+        service.getCalendarioMes(filtros),
+        periodos
+      );
+    } else {
+      this.cronogramaView.renderLineaTiempo(
+        service.getLineaTiempo(filtros),
+        periodos
+      );
+    }
+  }
+
+  /**
+   * Cambia una fecha de ventana arrastrada en la línea de tiempo
+   * Si no pasa la validación la barra vuelve a su lugar al redibujar.
+   * @param {Object} data - { habilitacionId, campo, fecha }
+   */
+  async moverFechaVentana({ habilitacionId, campo, fecha }) {
+    try {
+      const service = this.getAppService('habilitarTramite');
+      const result = await service.moverFechaVentana(
+        habilitacionId,
+        campo,
+        fecha
+      );
+
+      this.refreshCurrentReport();
+      if (result.success) {
+        this.tramiteView.showUndoToast(
+          `${result.item.getFieldLabel(campo)} de ${service.getDisplayName(
+            result.item
+          )} cambiada al ${Tramite.formatDate(fecha)}`,
+          { onUndo: () => this.refreshCurrentReport() }
+        );
+      } else {
+        this.tramiteView.showAlert(result.errors.join(', '), 'danger');
+      }
+    } catch (error) {
+      console.error('❌ Error al cambiar la fecha de la habilitación:', error);
+      this.refreshCurrentReport();
+      this.showError('Error al cambiar la fecha de la habilitación');
+    }
+  }
+
+  /**
+   * Registra los cambios de estado calculados por fechas
+   */
+  ejecutarProgramador() {
+    this.tramiteView.showConfirmModal(
+      'Actualizar Estados',
+      'Se registrarán en el historial los cambios de estado que corresponden a las fechas de cada trámite y habilitación. ¿Desea continuar?',
+      async () => {
+        const result = await window.tramiteApp.estadoScheduler.ejecutar();
+        await this.loadProgramador();
+        // El aviso con opción de deshacer lo muestra la aplicación (estado:programador)
+        if (!result.success) {
+          this.tramiteView.showAlert(result.errors.join(', '), 'danger');
+        }
+      },
+      'Aplicar',
+      'Cancelar'
+    );
+  }
+
+  /**
+   * Repara los registros que apuntan a items que ya no existen
+   */
+  repairRelaciones() {
+    this.tramiteView.showConfirmModal(
+      'Reparar Relaciones',
+      'Los registros huérfanos se enviarán a la papelera o se vaciará su referencia, según la relación. ¿Desea continuar?',
+      async () => {
+        const result = await window.tramiteApp.relationRegistry.repairOrphans();
+        this.tramiteView.renderIntegridadReport();
+        if (result.success) {
+          this.tramiteView.showUndoToast(result.message, {
+            onUndo: () => this.refreshCurrentReport(),
+          });
+        } else {
+          this.tramiteView.showAlert(result.errors.join(', '), 'danger');
+        }
+      },
+      'Reparar',
+      'Cancelar'
+    );
+  }
+
   /**
    * Carga y muestra los trámites
    */
   async loadTramites() {
     try {
-      const tramites = await this.tramiteService.getAll();
-      this.tramiteView.renderTable(tramites);
+      const resultado = this.tramiteView.getReportPage(
+        'tramites',
+        this.tramiteService
+      );
+      this.tramiteView.renderTable(resultado);
     } catch (error) {
       console.error('Error al cargar trámites:', error);
       this.showError('Error al cargar los trámites');
@@ -589,13 +1051,45 @@ class TramiteController extends BaseController {
     }
   }
 
+  /**
+   * Muestra la vista previa del formulario que diligencia el solicitante
+   */
+  vistaPreviaFormulario() {
+    try {
+      if (!this.currentTramiteId) {
+        this.tramiteView.showAlert(
+          'No se ha seleccionado ningún trámite',
+          'warning'
+        );
+        return;
+      }
+
+      const definicion = this.tramiteService.getDefinicionFormulario(
+        this.currentTramiteId
+      );
+      if (!definicion) {
+        this.tramiteView.showAlert('Trámite no encontrado', 'danger');
+        return;
+      }
+
+      this.tramiteView.hideOpcionesModal();
+      this.formularioTramiteView.showModal(definicion);
+    } catch (error) {
+      console.error('Error al abrir la vista previa del formulario:', error);
+      this.tramiteView.showAlert(
+        'Error al abrir la vista previa del formulario',
+        'danger'
+      );
+    }
+  }
+
   /**
    * Genera datos de ejemplo
    * @param {number} count - Número de trámites a generar
    */
-  generateSampleData(count = 5) {
+  async generateSampleData(count = 5) {
     try {
-      const result = this.tramiteService.generateSampleData(count);
+      const result = await this.tramiteService.generateSampleData(count);
       if (result.success) {
         this.tramiteView.showAlert(result.message, 'success');
         this.loadTramites();
@@ -669,11 +1163,13 @@ class TramiteController extends BaseController {
   clearAllData() {
     this.tramiteView.showConfirmModal(
       'Limpiar Todos los Datos',
-      '¿Está seguro de que desea eliminar todos los trámites? Esta acción no se puede deshacer.',
-      () => {
-        const result = this.tramiteService.clearAll();
+      '¿Está seguro de que desea eliminar todos los trámites? Podrá deshacerlo con Ctrl+Z.',
+      async () => {
+        const result = await this.tramiteService.clearAll();
         if (result.success) {
-          this.tramiteView.showAlert(result.message, 'success');
+          this.tramiteView.showUndoToast(result.message, {
+            onUndo: () => this.loadTramites(),
+          });
           this.loadTramites();
         } else {
           this.tramiteView.showAlert(result.errors.join(', '), 'danger');
@@ -714,11 +1210,8 @@ class TramiteController extends BaseController {
    */
   getDocumentoById(documentoId) {
     try {
-      const documentosData = localStorage.getItem('documentos_tramites');
-      if (!documentosData) return null;
-
-      const documentos = JSON.parse(documentosData);
-      return documentos.find(doc => doc.id === documentoId) || null;
+      const documentoService = this.getAppService('documento');
+      return documentoService ? documentoService.getById(documentoId) : null;
     } catch (error) {
       console.error('Error al obtener documento:', error);
       return null;
@@ -759,6 +1252,52 @@ class TramiteController extends BaseController {
     }
   }
 
+  /**
+   * Muestra el historial de versiones del documento seleccionado
+   */
+  mostrarHistorialDocumento() {
+    if (!this.tramiteView.currentDocumentoId) {
+      console.error('❌ No hay documento seleccionado');
+      return;
+    }
+
+    // Cerrar el modal de opciones
+    const modalOpciones = document.getElementById('modalOpcionesDocumento');
+    if (modalOpciones) {
+      const bsModal = bootstrap.Modal.getInstance(modalOpciones);
+      if (bsModal) {
+        bsModal.hide();
+      }
+    }
+
+    this.eventManager.emit('documento:historial', {
+      documentoId: this.tramiteView.currentDocumentoId,
+    });
+  }
+
+  /**
+   * Abre la biblioteca de plantillas para guardar el documento seleccionado
+   */
+  guardarDocumentoComoPlantilla() {
+    if (!this.tramiteView.currentDocumentoId) {
+      console.error('❌ No hay documento seleccionado');
+      return;
+    }
+
+    // Cerrar el modal de opciones
+    const modalOpciones = document.getElementById('modalOpcionesDocumento');
+    if (modalOpciones) {
+      const bsModal = bootstrap.Modal.getInstance(modalOpciones);
+      if (bsModal) {
+        bsModal.hide();
+      }
+    }
+
+    this.eventManager.emit('plantilla:abrir', {
+      documentoId: this.tramiteView.currentDocumentoId,
+    });
+  }
+
   /**
    * Muestra las opciones de un trámite habilitado
    * @param {string} habilitadoId - ID del trámite habilitado
@@ -774,48 +1313,27 @@ class TramiteController extends BaseController {
    */
   getHabilitadoById(habilitadoId) {
     try {
-      const habilitadosData = localStorage.getItem('habilitar_tramites');
-
-      if (!habilitadosData) {
-        return null;
-      }
-
-      const habilitados = JSON.parse(habilitadosData);
-
-      // Fix: Add missing IDs and normalize states
-      let needsUpdate = false;
-      const fixedHabilitados = habilitados.map((hab, index) => {
-        if (!hab.id) {
-          hab.id = `habilitado_${Date.now()}_${index}`;
-          needsUpdate = true;
-        }
-        // Normalizar estados a "Activo" e "Inactivo"
-        if (hab.estado === 'activo') {
-          hab.estado = 'Activo';
-          needsUpdate = true;
-        } else if (hab.estado === 'inactivo') {
-          hab.estado = 'Inactivo';
-          needsUpdate = true;
-        }
-        return hab;
-      });
-
-      // Update localStorage if we added missing IDs or normalized states
-      if (needsUpdate) {
-        localStorage.setItem(
-          'habilitar_tramites',
-          JSON.stringify(fixedHabilitados)
-        );
-      }
-
-      const found = fixedHabilitados.find(hab => hab.id === habilitadoId);
-      return found || null;
+      const habilitarTramiteService = this.getAppService('habilitarTramite');
+      return habilitarTramiteService
+        ? habilitarTramiteService.getById(habilitadoId)
+        : null;
     } catch (error) {
       console.error('Error al obtener trámite habilitado:', error);
       return null;
     }
   }
 
+  /**
+   * Obtiene un servicio registrado en la aplicación
+   * @param {string} name - Nombre del servicio sin sufijo (ej: 'documento')
+   * @returns {BaseService|null} Servicio o null si no está disponible
+   */
+  getAppService(name) {
+    return window.tramiteApp
+      ? window.tramiteApp.getService(name) || null
+      : null;
+  }
+
   /**
    * Edita un trámite habilitado
    */
@@ -856,7 +1374,7 @@ class TramiteController extends BaseController {
   /**
    * Duplica un trámite habilitado con estado "Inactivo"
    */
-  duplicarHabilitado() {
+  async duplicarHabilitado() {
     if (!this.tramiteView.currentHabilitadoId) {
       console.error('❌ No hay ID de trámite habilitado seleccionado');
       return;
@@ -888,8 +1406,14 @@ class TramiteController extends BaseController {
     // Crear el trámite habilitado duplicado usando el modelo
     const habilitarTramiteDuplicado = new HabilitarTramite(habilitadoDuplicado);
 
-    // Guardar en localStorage
-    this.guardarHabilitadoDuplicado(habilitarTramiteDuplicado);
+    // Guardar el duplicado
+    const result = await this.guardarHabilitadoDuplicado(
+      habilitarTramiteDuplicado
+    );
+    if (!result.success) {
+      this.tramiteView.showAlert(result.errors.join(', '), 'danger');
+      return;
+    }
 
     // Cerrar el modal de opciones
     const modal = bootstrap.Modal.getInstance(
@@ -914,30 +1438,99 @@ class TramiteController extends BaseController {
   }
 
   /**
-   * Guarda un trámite habilitado duplicado en localStorage
+   * Guarda un trámite habilitado duplicado
    * @param {HabilitarTramite} habilitarTramite - Trámite habilitado duplicado
+   * @returns {Object} Resultado de la operación
    */
-  guardarHabilitadoDuplicado(habilitarTramite) {
+  async guardarHabilitadoDuplicado(habilitarTramite) {
     try {
-      const habilitadosData = localStorage.getItem('habilitar_tramites');
-      const habilitados = habilitadosData ? JSON.parse(habilitadosData) : [];
+      const habilitarTramiteService = this.getAppService('habilitarTramite');
+      if (!habilitarTramiteService) {
+        return {
+          success: false,
+          errors: ['HabilitarTramiteService no está disponible'],
+        };
+      }
+
+      return await habilitarTramiteService.createDuplicado(habilitarTramite);
+    } catch (error) {
+      console.error('Error al guardar trámite habilitado duplicado:', error);
+      return {
+        success: false,
+        errors: ['Error al guardar el trámite habilitado duplicado'],
+      };
+    }
+  }
+
+  /**
+   * Abre el formulario para radicar una solicitud en el trámite habilitado
+   */
+  radicarHabilitado() {
+    if (!this.tramiteView.currentHabilitadoId) {
+      console.error('❌ No hay ID de trámite habilitado seleccionado');
+      return;
+    }
+
+    const habilitado = this.getHabilitadoById(
+      this.tramiteView.currentHabilitadoId
+    );
+    if (!habilitado) {
+      console.error('❌ Trámite habilitado no encontrado');
+      return;
+    }
+
+    const definicion = this.tramiteService.getDefinicionFormulario(
+      habilitado.tramiteId,
+      habilitado.versionesDocumentos
+    );
+    if (!definicion) {
+      this.tramiteView.showAlert(
+        'El trámite de la habilitación no existe',
+        'danger'
+      );
+      return;
+    }
 
-      // Agregar el trámite duplicado
-      habilitados.push(habilitarTramite);
+    // Cerrar el modal de opciones
+    const modal = bootstrap.Modal.getInstance(
+      document.getElementById('modalOpcionesHabilitado')
+    );
+    if (modal) {
+      modal.hide();
+    }
+
+    this.radicacionView.showRadicar(habilitado, definicion);
+  }
 
-      // Guardar en localStorage
-      localStorage.setItem('habilitar_tramites', JSON.stringify(habilitados));
+  /**
+   * Radica el formulario diligenciado en la habilitación
+   * @param {Object} data - { habilitacionId, envio, solicitante }
+   */
+  async guardarRadicacion({ habilitacionId, envio, solicitante }) {
+    try {
+      const result = await this.getAppService('radicacion').radicar(
+        habilitacionId,
+        envio,
+        solicitante
+      );
+      if (!result.success) {
+        this.tramiteView.showAlert(result.errors.join(', '), 'danger');
+        return;
+      }
 
-      console.log('✅ Trámite habilitado duplicado guardado exitosamente');
+      this.radicacionView.hideRadicar();
+      this.refreshCurrentReport();
+      this.tramiteView.showAlert(result.message, 'success');
     } catch (error) {
-      console.error('Error al guardar trámite habilitado duplicado:', error);
+      console.error('Error al radicar la solicitud:', error);
+      this.tramiteView.showAlert('Error al radicar la solicitud', 'danger');
     }
   }
 
   /**
    * Alterna el estado de un trámite habilitado entre activo e inactivo
    */
-  toggleEstadoHabilitado() {
+  async toggleEstadoHabilitado() {
     if (!this.tramiteView.currentHabilitadoId) {
       console.error('❌ No hay ID de trámite habilitado seleccionado');
       return;
@@ -954,11 +1547,15 @@ class TramiteController extends BaseController {
     // Determinar el nuevo estado
     const nuevoEstado = habilitado.estado === 'Activo' ? 'Inactivo' : 'Activo';
 
-    // Actualizar el estado en localStorage
-    this.actualizarEstadoHabilitado(
+    // Actualizar el estado del trámite habilitado
+    const result = await this.actualizarEstadoHabilitado(
       this.tramiteView.currentHabilitadoId,
       nuevoEstado
     );
+    if (!result.success) {
+      this.tramiteView.showAlert(result.errors.join(', '), 'danger');
+      return;
+    }
 
     // Cerrar el modal de opciones
     const modal = bootstrap.Modal.getInstance(
@@ -984,74 +1581,33 @@ class TramiteController extends BaseController {
   }
 
   /**
-   * Actualiza el estado de un trámite habilitado en localStorage
+   * Actualiza el estado de un trámite habilitado
    * @param {string} habilitadoId - ID del trámite habilitado
-   * @param {string} nuevoEstado - Nuevo estado (activo/inactivo)
+   * @param {string} nuevoEstado - Nuevo estado (Activo/Inactivo)
+   * @returns {Object} Resultado de la operación
    */
-  actualizarEstadoHabilitado(habilitadoId, nuevoEstado) {
+  async actualizarEstadoHabilitado(habilitadoId, nuevoEstado) {
     try {
-      const habilitadosData = localStorage.getItem('habilitar_tramites');
-      if (!habilitadosData) {
-        console.error(
-          '❌ No hay datos de trámites habilitados en localStorage'
-        );
-        return;
+      const habilitarTramiteService = this.getAppService('habilitarTramite');
+      if (!habilitarTramiteService) {
+        return {
+          success: false,
+          errors: ['HabilitarTramiteService no está disponible'],
+        };
       }
 
-      const habilitados = JSON.parse(habilitadosData);
-
-      // Fix: Add missing IDs and normalize states
-      let needsUpdate = false;
-      const fixedHabilitados = habilitados.map((hab, index) => {
-        if (!hab.id) {
-          hab.id = `habilitado_${Date.now()}_${index}`;
-          needsUpdate = true;
-        }
-        // Normalizar estados a "Activo" e "Inactivo"
-        if (hab.estado === 'activo') {
-          hab.estado = 'Activo';
-          needsUpdate = true;
-        } else if (hab.estado === 'inactivo') {
-          hab.estado = 'Inactivo';
-          needsUpdate = true;
-        }
-        return hab;
+      return await habilitarTramiteService.update(habilitadoId, {
+        estado: nuevoEstado,
       });
-
-      // Update localStorage if we added missing IDs or normalized states
-      if (needsUpdate) {
-        localStorage.setItem(
-          'habilitar_tramites',
-          JSON.stringify(fixedHabilitados)
-        );
-      }
-
-      const habilitadoIndex = fixedHabilitados.findIndex(
-        hab => hab.id === habilitadoId
-      );
-
-      if (habilitadoIndex === -1) {
-        console.error(
-          '❌ Trámite habilitado no encontrado para actualizar estado'
-        );
-        return;
-      }
-
-      // Actualizar el estado y fecha de modificación
-      fixedHabilitados[habilitadoIndex].estado = nuevoEstado;
-      fixedHabilitados[habilitadoIndex].fechaModificacion =
-        new Date().toISOString();
-
-      // Guardar en localStorage
-      localStorage.setItem(
-        'habilitar_tramites',
-        JSON.stringify(fixedHabilitados)
-      );
     } catch (error) {
       console.error(
         'Error al actualizar estado del trámite habilitado:',
         error
       );
+      return {
+        success: false,
+        errors: ['Error al actualizar el estado del trámite habilitado'],
+      };
     }
   }
 }
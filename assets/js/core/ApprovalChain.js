@@ -0,0 +1,294 @@
+/**
+ * Cadenas de aprobación de un documento
+ * Una cadena es una lista ordenada de etapas, cada una asignada a un rol o a
+ * un área. Una etapa marcada como paralela se revisa al mismo tiempo que la
+ * anterior, así que las etapas consecutivas en paralelo forman un nivel; un
+ * nivel empieza cuando todas las etapas del nivel anterior están aprobadas.
+ * Cada etapa puede tener un plazo en días hábiles y a quién se escala cuando
+ * el plazo vence.
+ *
+ * El avance de una cadena en un documento radicado es una copia de sus etapas
+ * con el estado de cada una: en_espera, pendiente o aprobada.
+ */
+class ApprovalChain {
+  /**
+   * Normaliza las etapas de una cadena
+   * @param {Array} etapas - Etapas con { id, nombre, asignadoA, tipoAsignacion, paralela, diasSLA, escalarA }
+   * @returns {Array} Etapas normalizadas
+   */
+  static normalize(etapas = []) {
+    return etapas.map((etapa, indice) => ({
+      id:
+        etapa.id ||
+        `etapa_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      nombre: (etapa.nombre || '').trim(),
+      asignadoA: (etapa.asignadoA || '').trim(),
+      tipoAsignacion: etapa.tipoAsignacion === 'area' ? 'area' : 'rol',
+      // La primera etapa abre la cadena, no puede ir en paralelo con otra
+      paralela: indice > 0 && Boolean(etapa.paralela),
+      diasSLA: Math.max(parseInt(etapa.diasSLA) || 0, 0),
+      escalarA: (etapa.escalarA || '').trim(),
+    }));
+  }
+
+  /**
+   * Valida las etapas de una cadena
+   * @param {Array} etapas - Etapas de la cadena
+   * @returns {Object} Objeto con isValid (boolean) y errors (array)
+   */
+  static validate(etapas = []) {
+    const errors = [];
+    const nombres = new Set();
+
+    etapas.forEach((etapa, indice) => {
+      const nombre = etapa.nombre || `#${indice + 1}`;
+
+      if (!etapa.nombre || !etapa.nombre.trim()) {
+        errors.push(`La etapa #${indice + 1} debe tener nombre`);
+      } else if (nombres.has(etapa.nombre.trim().toLowerCase())) {
+        errors.push(`La etapa "${nombre}" está repetida`);
+      } else {
+        nombres.add(etapa.nombre.trim().toLowerCase());
+      }
+
+      if (!etapa.asignadoA || !etapa.asignadoA.trim()) {
+        errors.push(`La etapa "${nombre}" debe estar asignada a un rol o área`);
+      }
+
+      const dias = Number(etapa.diasSLA || 0);
+      if (!Number.isInteger(dias) || dias < 0) {
+        errors.push(
+          `El plazo de la etapa "${nombre}" debe ser un número entero de días`
+        );
+      }
+
+      if (dias > 0 && !(etapa.escalarA || '').trim()) {
+        errors.push(
+          `Indique a quién se escala la etapa "${nombre}" cuando vence su plazo`
+        );
+      }
+
+      if (dias === 0 && (etapa.escalarA || '').trim()) {
+        errors.push(
+          `La etapa "${nombre}" solo se puede escalar si tiene un plazo en días`
+        );
+      }
+
+      if (
+        (etapa.escalarA || '').trim() &&
+        etapa.escalarA.trim() === (etapa.asignadoA || '').trim()
+      ) {
+        errors.push(
+          `La etapa "${nombre}" no se puede escalar a su mismo responsable`
+        );
+      }
+    });
+
+    if (etapas.length > 0 && etapas[0].paralela) {
+      errors.push('La primera etapa no puede ir en paralelo con otra');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Agrupa las etapas en niveles
+   * @param {Array} etapas - Etapas de la cadena
+   * @returns {Array<Array>} Niveles, cada uno con sus etapas en paralelo
+   */
+  static getNiveles(etapas = []) {
+    const niveles = [];
+    etapas.forEach((etapa, indice) => {
+      if (indice === 0 || !etapa.paralela) {
+        niveles.push([]);
+      }
+      niveles[niveles.length - 1].push(etapa);
+    });
+    return niveles;
+  }
+
+  /**
+   * Describe una etapa en una línea
+   * @param {Object} etapa - Etapa de la cadena
+   * @returns {string} Descripción legible
+   */
+  static describe(etapa) {
+    const partes = [
+      `${etapa.nombre}: ${
+        ApprovalChain.TIPOS_ASIGNACION[etapa.tipoAsignacion]
+      } ${etapa.asignadoA}`,
+    ];
+    if (etapa.diasSLA > 0) {
+      partes.push(
+        `${etapa.diasSLA} día(s) hábil(es), luego se escala a ${etapa.escalarA}`
+      );
+    }
+    return partes.join(' · ');
+  }
+
+  /**
+   * Inicia el avance de una cadena: el primer nivel queda pendiente
+   * @param {Array} etapas - Etapas de la cadena
+   * @param {Date} fecha - Fecha de inicio
+   * @param {Function} calcularLimite - (fecha, dias) => fecha límite YYYY-MM-DD
+   * @returns {Array} Avance de la cadena
+   */
+  static start(etapas, fecha, calcularLimite) {
+    const avance = ApprovalChain.getNiveles(etapas).flatMap((nivel, indice) =>
+      nivel.map(etapa => ({
+        ...etapa,
+        nivel: indice + 1,
+        estado: 'en_espera',
+        fechaInicio: '',
+        fechaLimite: '',
+        escalada: false,
+        usuario: '',
+        comentario: '',
+        fechaDecision: '',
+      }))
+    );
+    ApprovalChain.activarNivel(avance, 1, fecha, calcularLimite);
+    return avance;
+  }
+
+  /**
+   * Vuelve a iniciar un avance desde su primer nivel
+   * Se usa cuando el documento vuelve a revisión después de una corrección.
+   * @param {Array} avance - Avance de la cadena
+   * @param {Date} fecha - Fecha de inicio
+   * @param {Function} calcularLimite - (fecha, dias) => fecha límite YYYY-MM-DD
+   * @returns {Array} Avance nuevo
+   */
+  static restart(avance, fecha, calcularLimite) {
+    return ApprovalChain.start(
+      avance.map(etapa => ({
+        id: etapa.id,
+        nombre: etapa.nombre,
+        asignadoA: etapa.asignadoA,
+        tipoAsignacion: etapa.tipoAsignacion,
+        paralela: etapa.paralela,
+        diasSLA: etapa.diasSLA,
+        escalarA: etapa.escalarA,
+      })),
+      fecha,
+      calcularLimite
+    );
+  }
+
+  /**
+   * Deja pendientes las etapas de un nivel
+   * @param {Array} avance - Avance de la cadena
+   * @param {number} nivel - Nivel a activar
+   * @param {Date} fecha - Fecha de inicio
+   * @param {Function} calcularLimite - (fecha, dias) => fecha límite YYYY-MM-DD
+   */
+  static activarNivel(avance, nivel, fecha, calcularLimite) {
+    avance
+      .filter(etapa => etapa.nivel === nivel)
+      .forEach(etapa => {
+        etapa.estado = 'pendiente';
+        etapa.fechaInicio = fecha.toISOString();
+        etapa.fechaLimite =
+          etapa.diasSLA > 0 ? calcularLimite(fecha, etapa.diasSLA) : '';
+      });
+  }
+
+  /**
+   * Obtiene las etapas que esperan decisión
+   * @param {Array} avance - Avance de la cadena
+   * @returns {Array} Etapas pendientes del nivel actual
+   */
+  static getActivas(avance = []) {
+    return avance.filter(etapa => etapa.estado === 'pendiente');
+  }
+
+  /**
+   * Verifica si un responsable puede decidir una etapa
+   * Después de escalada la decide también a quien se escaló.
+   * @param {Object} etapa - Etapa del avance
+   * @param {string} responsable - Rol o área
+   * @returns {boolean} True si le corresponde
+   */
+  static isAsignada(etapa, responsable) {
+    return (
+      etapa.asignadoA === responsable ||
+      (etapa.escalada && etapa.escalarA === responsable)
+    );
+  }
+
+  /**
+   * Aprueba una etapa pendiente y, si su nivel queda completo, activa el siguiente
+   * @param {Array} avance - Avance de la cadena (se modifica)
+   * @param {string} etapaId - ID de la etapa
+   * @param {Object} decision - { usuario, comentario, fecha }
+   * @param {Function} calcularLimite - (fecha, dias) => fecha límite YYYY-MM-DD
+   * @returns {Object} { etapa, completa } completa es true si ya no quedan etapas
+   */
+  static approve(
+    avance,
+    etapaId,
+    { usuario, comentario, fecha },
+    calcularLimite
+  ) {
+    const etapa = avance.find(item => item.id === etapaId);
+    if (!etapa || etapa.estado !== 'pendiente') {
+      throw new Error('La etapa no está pendiente de aprobación');
+    }
+
+    Object.assign(etapa, {
+      estado: 'aprobada',
+      usuario,
+      comentario,
+      fechaDecision: fecha.toISOString(),
+    });
+
+    const nivelCompleto = avance
+      .filter(item => item.nivel === etapa.nivel)
+      .every(item => item.estado === 'aprobada');
+    if (nivelCompleto) {
+      ApprovalChain.activarNivel(
+        avance,
+        etapa.nivel + 1,
+        fecha,
+        calcularLimite
+      );
+    }
+
+    return {
+      etapa,
+      completa: avance.every(item => item.estado === 'aprobada'),
+    };
+  }
+
+  /**
+   * Marca como escaladas las etapas pendientes cuyo plazo venció
+   * @param {Array} avance - Avance de la cadena (se modifica)
+   * @param {string} hoy - Fecha actual YYYY-MM-DD
+   * @returns {Array} Etapas escaladas ahora
+   */
+  static escalate(avance, hoy) {
+    return ApprovalChain.getActivas(avance).filter(etapa => {
+      if (etapa.escalada || !etapa.fechaLimite || etapa.fechaLimite >= hoy) {
+        return false;
+      }
+      etapa.escalada = true;
+      return true;
+    });
+  }
+}
+
+// Tipos de asignación de una etapa y su texto legible
+ApprovalChain.TIPOS_ASIGNACION = {
+  rol: 'Rol',
+  area: 'Área',
+};
+
+// Texto legible del estado de una etapa en el avance
+ApprovalChain.ESTADOS = {
+  en_espera: 'En espera',
+  pendiente: 'Pendiente',
+  aprobada: 'Aprobada',
+};
@@ -5,7 +5,7 @@
 class BaseController {
   constructor(eventManager = null) {
     this.eventManager = eventManager || new EventManager();
-    this.storageManager = new StorageManager();
+    this.storageManager = StorageManager.getDefault();
     this.isInitialized = false;
   }
 
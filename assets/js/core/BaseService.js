@@ -7,7 +7,21 @@ class BaseService {
     this.entityName = entityName;
     this.storageKey = storageKey || `${entityName.toLowerCase()}_data`;
     this.items = [];
+    this.deletedItems = [];
+    this.retentionDays = BaseService.DEFAULT_RETENTION_DAYS;
     this.isInitialized = false;
+    this.adapter = null;
+    this.schemaVersion = 0;
+    this.unloadedRecords = [];
+    this.storageReport = null;
+    this.storedRecords = new Map();
+    this.eventManager = null;
+    this.syncManager = null;
+    this.journal = null;
+    this.relationRegistry = null;
+    this.searchIndex = null;
+    this.unsubscribeSync = null;
+    this.syncQueue = Promise.resolve();
   }
 
   /**
@@ -15,8 +29,15 @@ class BaseService {
    */
   async initialize() {
     try {
+      await this.resolveAdapter();
+      this.registerSecureCollection();
+      this.resetStorageReport();
+      await this.runMigrations();
       await this.loadFromStorage();
+      this.startSync();
       this.isInitialized = true;
+      this.getRelationRegistry().registerService(this);
+      this.getSearchIndex().registerService(this);
     } catch (error) {
       console.error(`❌ Error al inicializar ${this.constructor.name}:`, error);
       throw error;
@@ -24,82 +45,691 @@ class BaseService {
   }
 
   /**
-   * Carga los datos desde el almacenamiento
+   * Asigna el adaptador de persistencia del servicio
+   * Permite inyectar un adaptador distinto al que elige PersistenceManager.
+   * @param {StorageAdapter} adapter - Adaptador a usar
    */
-  async loadFromStorage() {
+  setAdapter(adapter) {
+    this.adapter = adapter;
+  }
+
+  /**
+   * Asigna el EventManager con el que se notifican los cambios de otras pestañas
+   * @param {EventManager} eventManager - Gestor de eventos compartido
+   */
+  setEventManager(eventManager) {
+    this.eventManager = eventManager;
+  }
+
+  /**
+   * Asigna el gestor de almacenamiento que cifra los campos sensibles
+   * @param {StorageManager} storageManager - Gestor a usar
+   */
+  setStorageManager(storageManager) {
+    this.storageManager = storageManager;
+  }
+
+  /**
+   * Obtiene el gestor de almacenamiento, usando el compartido si no fue asignado
+   * @returns {StorageManager} Gestor de almacenamiento
+   */
+  getStorageManager() {
+    if (!this.storageManager) {
+      this.storageManager = StorageManager.getDefault();
+    }
+    return this.storageManager;
+  }
+
+  /**
+   * Define los campos con datos personales de la colección
+   * Método a sobrescribir en las clases hijas. Con el cifrado autenticado
+   * habilitado (StorageManager.enableSecureEncryption) se guardan cifrados con
+   * AES-GCM; en memoria siempre están en claro.
+   * @returns {Array<string>} Campos sensibles
+   */
+  getSensitiveFields() {
+    return [];
+  }
+
+  /**
+   * Registra la colección en el gestor de almacenamiento si tiene campos
+   * sensibles, para que la rotación de clave también la cifre de nuevo
+   */
+  registerSecureCollection() {
+    const campos = this.getSensitiveFields();
+    if (campos.length === 0) return;
+
+    this.getStorageManager().registerSecureCollection(this.storageKey, {
+      campos,
+      cargar: () => this.adapter.loadAll(this.storageKey),
+      // La revisión no cambia; si otra pestaña escribió entretanto, se cancela
+      guardar: registros =>
+        this.adapter.putMany(this.storageKey, registros, {
+          expectedRevisions: Object.fromEntries(
+            registros.map(registro => [
+              registro.id,
+              this.adapter.getRevision(registro),
+            ])
+          ),
+        }),
+    });
+  }
+
+  /**
+   * Escribe registros cifrando antes sus campos sensibles
+   * @param {Array<Object>} registros - Registros en claro
+   * @param {Function} escribir - (registros) => Promise que los guarda
+   * @returns {Promise<*>} Resultado de escribir
+   */
+  async writeRecords(registros, escribir) {
+    const campos = this.getSensitiveFields();
+    if (campos.length === 0) {
+      return escribir(registros);
+    }
+    return this.getStorageManager().writeSecureRecords(
+      this.storageKey,
+      registros,
+      campos,
+      escribir
+    );
+  }
+
+  /**
+   * Descifra los campos sensibles de un registro almacenado
+   * @param {Object} registro - Registro almacenado
+   * @returns {Promise<Object>} Registro en claro
+   * @throws {StorageIntegrityError} Si un campo fue alterado o no hay clave para descifrarlo
+   */
+  async readRecord(registro) {
+    const campos = this.getSensitiveFields();
+    if (campos.length === 0) {
+      return registro;
+    }
+    return this.getStorageManager().readSecureRecord(
+      this.storageKey,
+      registro,
+      campos
+    );
+  }
+
+  /**
+   * Obtiene el prefijo de los eventos de la entidad (ej: 'habilitarTramite')
+   * @returns {string} Prefijo de eventos
+   */
+  getEventPrefix() {
+    return this.entityName.charAt(0).toLowerCase() + this.entityName.slice(1);
+  }
+
+  /**
+   * Emite un evento si el servicio tiene EventManager
+   * @param {string} eventName - Nombre del evento
+   * @param {*} data - Datos del evento
+   */
+  emitEvent(eventName, data) {
+    if (this.eventManager) {
+      this.eventManager.emit(eventName, data);
+    }
+  }
+
+  /**
+   * Asigna el gestor de sincronización entre pestañas
+   * @param {SyncManager} syncManager - Gestor a usar
+   */
+  setSyncManager(syncManager) {
+    this.syncManager = syncManager;
+  }
+
+  /**
+   * Obtiene el gestor de sincronización, usando el compartido si no fue asignado
+   * @returns {SyncManager} Gestor de sincronización
+   */
+  getSyncManager() {
+    if (!this.syncManager) {
+      this.syncManager = SyncManager.getDefault();
+    }
+    return this.syncManager;
+  }
+
+  /**
+   * Comienza a escuchar los cambios de la colección hechos en otras pestañas
+   */
+  startSync() {
+    if (this.unsubscribeSync) return;
+    this.unsubscribeSync = this.getSyncManager().subscribe(
+      this.storageKey,
+      message => this.handleRemoteChange(message)
+    );
+  }
+
+  /**
+   * Deja de escuchar los cambios de otras pestañas
+   */
+  stopSync() {
+    if (this.unsubscribeSync) {
+      this.unsubscribeSync();
+      this.unsubscribeSync = null;
+    }
+  }
+
+  /**
+   * Avisa a las demás pestañas y al índice de búsqueda que la colección cambió
+   * @param {string} accion - 'put', 'delete', 'clear' o 'save'
+   * @param {Array<string>|null} ids - IDs afectados
+   */
+  notifyChange(accion, ids = null) {
+    this.getSearchIndex().invalidate(this, ids);
+    this.getSyncManager().publish(this.storageKey, accion, ids);
+  }
+
+  /**
+   * Atiende un cambio hecho en otra pestaña
+   * Las recargas se encolan para no solaparse cuando llegan varios avisos seguidos.
+   * @param {Object} message - Aviso de SyncManager
+   * @returns {Promise} Promesa de la recarga
+   */
+  handleRemoteChange(message) {
+    const tarea = this.syncQueue.then(() => this.reloadFromStorage(message));
+    this.syncQueue = tarea.catch(() => {});
+    return tarea;
+  }
+
+  /**
+   * Recarga la colección desde el almacenamiento y emite `<entidad>:updated`
+   * @param {Object} message - Aviso que originó la recarga
+   */
+  async reloadFromStorage(message = {}) {
+    try {
+      // Los fallos de carga anteriores se vuelven a registrar al recargar
+      if (this.storageReport) {
+        this.storageReport.failures = this.storageReport.failures.filter(
+          failure => failure.stage !== 'load'
+        );
+      }
+
+      await this.loadFromStorage();
+      this.getSearchIndex().invalidate(this);
+
+      const ids = Array.isArray(message.ids) ? message.ids : null;
+      this.emitEvent(`${this.getEventPrefix()}:updated`, {
+        remoto: true,
+        entityName: this.entityName,
+        storageKey: this.storageKey,
+        accion: message.accion || null,
+        ids,
+        items: ids
+          ? ids.map(id => this.getById(id)).filter(item => item !== null)
+          : [...this.items],
+      });
+    } catch (error) {
+      console.error(
+        `❌ Error al recargar ${this.entityName}s desde otra pestaña:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Resuelve el adaptador de persistencia si no fue asignado
+   * @returns {Promise<StorageAdapter>} Adaptador del servicio
+   */
+  async resolveAdapter() {
+    if (!this.adapter) {
+      this.adapter = await PersistenceManager.getDefault().prepareCollection(
+        this.storageKey
+      );
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Define las migraciones de esquema de la colección
+   * Método a sobrescribir en las clases hijas; cada migración tiene
+   * { version, descripcion, migrate(registro) } y debe ser idempotente.
+   * @returns {Array} Migraciones de la colección
+   */
+  getMigrations() {
+    return [];
+  }
+
+  /**
+   * Obtiene el registro de migraciones
+   * @returns {MigrationRegistry} Registro de migraciones
+   */
+  getMigrationRegistry() {
+    return MigrationRegistry.getDefault();
+  }
+
+  /**
+   * Define las relaciones de la entidad con otras entidades
+   * Método a sobrescribir en las clases hijas; cada relación tiene
+   * { padre, campo, onDelete, descripcion }, donde padre es el entityName del
+   * servicio referenciado y onDelete es 'restrict', 'cascade' o 'nullify'.
+   * @returns {Array} Relaciones de la entidad
+   */
+  getRelations() {
+    return [];
+  }
+
+  /**
+   * Asigna el registro de relaciones del servicio
+   * @param {RelationRegistry} registry - Registro a usar
+   */
+  setRelationRegistry(registry) {
+    this.relationRegistry = registry;
+  }
+
+  /**
+   * Obtiene el registro de relaciones, usando el compartido si no fue asignado
+   * @returns {RelationRegistry} Registro de relaciones
+   */
+  getRelationRegistry() {
+    if (!this.relationRegistry) {
+      this.relationRegistry = RelationRegistry.getDefault();
+    }
+    return this.relationRegistry;
+  }
+
+  /**
+   * Obtiene el calendario de días hábiles registrado
+   * @returns {CalendarioService|null} Calendario o null si no está disponible
+   */
+  getCalendario() {
+    return this.getRelationRegistry().getService('DiaNoHabil');
+  }
+
+  /**
+   * Calcula hasta cuándo llega una advertencia de unos días hábiles
+   * Sin calendario registrado se cuentan días calendario.
+   * @param {number} diasAdvertencia - Días hábiles de la advertencia
+   * @param {string} sede - Código de la sede cuyos días no hábiles se aplican
+   * @returns {Date} Fecha límite de la advertencia
+   */
+  getFechaLimiteAdvertencia(diasAdvertencia, sede = '') {
+    const calendario = this.getCalendario();
+    if (calendario) {
+      return calendario.getFechaLimite(diasAdvertencia, sede);
+    }
+
+    const fechaLimite = new Date();
+    fechaLimite.setDate(fechaLimite.getDate() + diasAdvertencia);
+    return fechaLimite;
+  }
+
+  /**
+   * Define los campos que se indexan para la búsqueda de texto
+   * Método a sobrescribir en las clases hijas; el valor de cada campo es su peso
+   * en la relevancia (p. ej. { nombre: 3, descripcion: 1 }).
+   * @returns {Object} Campos de búsqueda
+   */
+  getSearchFields() {
+    return {};
+  }
+
+  /**
+   * Asigna el índice de búsqueda del servicio
+   * @param {SearchIndex} searchIndex - Índice a usar
+   */
+  setSearchIndex(searchIndex) {
+    this.searchIndex = searchIndex;
+  }
+
+  /**
+   * Obtiene el índice de búsqueda, usando el compartido si no fue asignado
+   * @returns {SearchIndex} Índice de búsqueda
+   */
+  getSearchIndex() {
+    if (!this.searchIndex) {
+      this.searchIndex = SearchIndex.getDefault();
+    }
+    return this.searchIndex;
+  }
+
+  /**
+   * Obtiene la clave de metadatos donde se guarda la versión de esquema
+   * @returns {string} Clave de metadatos
+   */
+  getSchemaMetaKey() {
+    return `esquema_${this.storageKey}`;
+  }
+
+  /**
+   * Ejecuta las migraciones pendientes sobre los datos almacenados
+   * Si algún registro falla, se detiene en la última versión aplicada sin perder datos
+   * y el fallo queda en el reporte de almacenamiento.
+   */
+  async runMigrations() {
+    const registry = this.getMigrationRegistry();
+    this.getMigrations()
+      .filter(migration => !registry.has(this.storageKey, migration.version))
+      .forEach(migration => registry.register(this.storageKey, migration));
+
     try {
-      const data = localStorage.getItem(this.storageKey);
+      const metaKey = this.getSchemaMetaKey();
+      const meta = await this.adapter.getMeta(metaKey);
+      const versionInicial = meta && meta.version ? meta.version : 0;
+      const pendientes = registry.getPending(this.storageKey, versionInicial);
+      this.schemaVersion = versionInicial;
+      this.storageReport.schemaVersion = versionInicial;
 
-      if (data) {
-        let parsedData;
+      if (pendientes.length === 0) return;
+
+      const registros = await this.adapter.loadAll(this.storageKey);
+      if (registros && !Array.isArray(registros)) {
+        this.addStorageFailure(
+          'migration',
+          'Los datos almacenados no son un array',
+          {
+            version: pendientes[0].version,
+          }
+        );
+        return;
+      }
+
+      // Las migraciones trabajan sobre los registros descifrados
+      let datos = [];
+      for (const [index, registro] of (registros || []).entries()) {
         try {
-          parsedData = JSON.parse(data);
-        } catch (parseError) {
+          datos.push(await this.readRecord(registro));
+        } catch (error) {
+          this.addStorageFailure('migration', error.message, {
+            version: pendientes[0].version,
+            index,
+            recordId: registro && registro.id ? registro.id : null,
+          });
+          return;
+        }
+      }
+
+      for (const migration of pendientes) {
+        const fallos = [];
+        const migrados = datos.map((registro, index) => {
+          try {
+            if (!registro || typeof registro !== 'object') {
+              throw new Error('El registro almacenado no es un objeto');
+            }
+            const resultado = migration.migrate({ ...registro });
+            if (!resultado || typeof resultado !== 'object') {
+              throw new Error('La migración no retornó un registro');
+            }
+            return resultado;
+          } catch (error) {
+            fallos.push({
+              version: migration.version,
+              index,
+              recordId: registro && registro.id ? registro.id : null,
+              message: error.message,
+            });
+            return registro;
+          }
+        });
+
+        if (fallos.length > 0) {
+          fallos.forEach(fallo =>
+            this.addStorageFailure('migration', fallo.message, fallo)
+          );
           console.error(
-            `❌ Error al parsear JSON para ${this.storageKey}:`,
-            parseError
+            `❌ Migración ${migration.version} de ${this.storageKey} falló en ${fallos.length} registro(s):`,
+            fallos
           );
-          console.error(`🔍 Datos corruptos:`, data);
-          this.items = [];
-          return;
+          break;
         }
 
+        datos = migrados;
+        this.schemaVersion = migration.version;
+        this.storageReport.migrationsApplied.push({
+          version: migration.version,
+          descripcion: migration.descripcion,
+        });
+      }
+
+      if (this.schemaVersion > versionInicial) {
+        if (datos.length > 0) {
+          await this.writeRecords(datos, cifrados =>
+            this.adapter.saveAll(this.storageKey, cifrados)
+          );
+        }
+        await this.adapter.setMeta(metaKey, {
+          version: this.schemaVersion,
+          fecha: new Date().toISOString(),
+        });
+        this.storageReport.schemaVersion = this.schemaVersion;
+      }
+    } catch (error) {
+      console.error(
+        `❌ Error al ejecutar migraciones de ${this.storageKey}:`,
+        error
+      );
+      this.addStorageFailure('migration', error.message, {
+        version: this.schemaVersion,
+      });
+    }
+  }
+
+  /**
+   * Reinicia el reporte de almacenamiento del servicio
+   */
+  resetStorageReport() {
+    this.storageReport = {
+      entityName: this.entityName,
+      storageKey: this.storageKey,
+      adapter: this.adapter ? this.adapter.name : null,
+      schemaVersion: this.schemaVersion,
+      migrationsApplied: [],
+      failures: [],
+    };
+  }
+
+  /**
+   * Agrega un fallo al reporte de almacenamiento
+   * @param {string} stage - Etapa del fallo ('migration' o 'load')
+   * @param {string} message - Descripción del fallo
+   * @param {Object} details - Datos adicionales (version, index, recordId)
+   */
+  addStorageFailure(stage, message, details = {}) {
+    this.storageReport.failures.push({
+      stage,
+      storageKey: this.storageKey,
+      version: details.version !== undefined ? details.version : null,
+      index: details.index !== undefined ? details.index : null,
+      recordId: details.recordId || null,
+      message,
+    });
+  }
+
+  /**
+   * Obtiene el reporte de migraciones y fallos de carga
+   * @returns {Object} Reporte de almacenamiento
+   */
+  getStorageReport() {
+    return this.storageReport;
+  }
+
+  /**
+   * Carga los datos desde el almacenamiento
+   */
+  async loadFromStorage() {
+    this.items = [];
+    this.deletedItems = [];
+    this.unloadedRecords = [];
+    this.storedRecords.clear();
+
+    try {
+      const parsedData = await this.adapter.loadAll(this.storageKey);
+
+      if (parsedData) {
         if (!Array.isArray(parsedData)) {
           console.error(
             `❌ Los datos para ${this.storageKey} no son un array:`,
             typeof parsedData,
             parsedData
           );
-          this.items = [];
+          this.addStorageFailure(
+            'load',
+            'Los datos almacenados no son un array'
+          );
           return;
         }
 
-        this.items = [];
+        let registrosSinId = 0;
         for (let i = 0; i < parsedData.length; i++) {
           const item = parsedData[i];
           try {
-            const entity = this.createEntityFromData(item);
-            if (entity) {
-              this.items.push(entity);
+            const entity = this.createStoredEntity(await this.readRecord(item));
+            if (!entity) {
+              throw new Error('createEntityFromData no retornó una entidad');
+            }
+            // Los registros eliminados se conservan aparte, en la papelera
+            if (entity.deletedAt) {
+              this.deletedItems.push(entity);
             } else {
-              console.warn(`⚠️ Item ${i + 1} retornó null, omitiendo`);
+              this.items.push(entity);
+            }
+            this.storedRecords.set(
+              entity.id,
+              this.prepareRecord(entity, this.adapter.getRevision(item))
+            );
+            if (item && !item.id) {
+              registrosSinId++;
             }
           } catch (itemError) {
+            // Conservar el registro tal cual para no perderlo en la próxima escritura
             console.error(
               `❌ Error al crear entidad para item ${i + 1}:`,
               item,
               itemError
             );
-            // Continuar con el siguiente item en lugar de fallar completamente
+            this.unloadedRecords.push(item);
+            this.addStorageFailure('load', itemError.message, {
+              version: this.schemaVersion,
+              index: i,
+              recordId: item && item.id ? item.id : null,
+            });
           }
         }
-      } else {
-        this.items = [];
+
+        // Persistir los IDs generados para que sean estables entre recargas
+        if (registrosSinId > 0) {
+          await this.saveToStorage();
+        }
       }
     } catch (error) {
       console.error(
-        `❌ Error general al cargar ${this.entityName}s desde almacenamiento:`,
+        `❌ Error general al cargar ${this.entityName}s desde ${this.adapter.name}:`,
         error
       );
-      console.error(
-        `🔍 Datos problemáticos:`,
-        localStorage.getItem(this.storageKey)
-      );
       this.items = [];
+      this.deletedItems = [];
+      this.addStorageFailure('load', error.message);
     }
   }
 
   /**
-   * Guarda los datos en el almacenamiento
+   * Guarda todos los datos en el almacenamiento
+   * Reescribe la colección completa; para cambios puntuales usar persistItem/removeFromStorage.
    */
   async saveToStorage() {
     try {
-      const dataToSave = this.items.map(item =>
-        this.prepareDataForStorage(item)
+      const registros = this.items
+        .concat(this.deletedItems)
+        .map(item =>
+          this.prepareRecord(item, this.getStoredRevision(item.id) || 0)
+        );
+
+      // Los registros que no se pudieron cargar se conservan tal cual
+      await this.writeRecords(registros, cifrados =>
+        this.adapter.saveAll(
+          this.storageKey,
+          cifrados.concat(this.unloadedRecords)
+        )
+      );
+
+      this.storedRecords.clear();
+      registros.forEach(registro =>
+        this.storedRecords.set(registro.id, registro)
+      );
+      this.notifyChange('save');
+    } catch (error) {
+      console.error(
+        `❌ Error al guardar ${this.entityName}s en almacenamiento:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Guarda un único item en el almacenamiento
+   * @param {Object} item - Item a guardar
+   * @param {string|null|false} tipo - Tipo de operación para el diario (se deduce si es null; false no la registra)
+   * @param {Object|null} lote - Lote del diario al que se suma la escritura
+   */
+  async persistItem(item, tipo = null, lote = null) {
+    await this.persistItems([item], tipo, lote);
+  }
+
+  /**
+   * Guarda varios items en el almacenamiento
+   * @param {Array} items - Items a guardar
+   * @param {string|null|false} tipo - Tipo de operación para el diario (se deduce si es null; false no la registra)
+   * @param {Object|null} lote - Lote del diario al que se suma la escritura
+   */
+  async persistItems(items, tipo = null, lote = null) {
+    try {
+      if (items.length === 0) return;
+
+      // Solo se escriben si nadie cambió la revisión que se cargó
+      const expectedRevisions = {};
+      const registros = items.map(item => {
+        const revision = this.getStoredRevision(item.id);
+        if (revision !== undefined) {
+          expectedRevisions[item.id] = revision;
+        }
+        return this.prepareRecord(item, (revision || 0) + 1);
+      });
+
+      await this.writeRecords(registros, cifrados =>
+        this.adapter.putMany(this.storageKey, cifrados, { expectedRevisions })
+      );
+
+      const cambios = registros.map(registro => ({
+        id: registro.id,
+        antes: this.storedRecords.get(registro.id) || null,
+        despues: registro,
+      }));
+      registros.forEach(registro =>
+        this.storedRecords.set(registro.id, registro)
       );
 
-      localStorage.setItem(this.storageKey, JSON.stringify(dataToSave));
+      const nuevos = cambios.filter(cambio => !cambio.antes).length;
+      if (tipo !== false) {
+        this.recordOperation(
+          tipo ||
+            (nuevos === cambios.length
+              ? 'crear'
+              : nuevos === 0
+              ? 'actualizar'
+              : 'guardar'),
+          cambios,
+          lote
+        );
+      }
+      this.notifyChange(
+        'put',
+        registros.map(registro => registro.id)
+      );
     } catch (error) {
+      if (error instanceof RevisionConflictError) {
+        console.warn(
+          `⚠️ ${this.entityName}s modificados en otra pestaña, se recarga la versión guardada:`,
+          error.conflicts
+        );
+        await this.handleRemoteChange({
+          accion: 'conflict',
+          ids: error.conflicts.map(conflict => conflict.id),
+        });
+        throw error;
+      }
+
       console.error(
         `❌ Error al guardar ${this.entityName}s en almacenamiento:`,
         error
@@ -108,6 +738,40 @@ class BaseService {
     }
   }
 
+  /**
+   * Elimina items del almacenamiento por ID
+   * @param {string|Array<string>} ids - ID o IDs a eliminar
+   * @param {string|null} tipo - Tipo de operación para el diario; null no la registra
+   * @param {Object|null} lote - Lote del diario al que se suma la escritura
+   */
+  async removeFromStorage(ids, tipo = 'eliminar', lote = null) {
+    const listaIds = Array.isArray(ids) ? ids : [ids];
+    try {
+      if (listaIds.length === 0) return;
+      await this.adapter.deleteMany(this.storageKey, listaIds);
+
+      const cambios = listaIds
+        .filter(id => this.storedRecords.has(id))
+        .map(id => ({
+          id,
+          antes: this.storedRecords.get(id),
+          despues: null,
+        }));
+      listaIds.forEach(id => this.storedRecords.delete(id));
+
+      if (tipo) {
+        this.recordOperation(tipo, cambios, lote);
+      }
+      this.notifyChange('delete', listaIds);
+    } catch (error) {
+      console.error(
+        `❌ Error al eliminar ${this.entityName}s del almacenamiento:`,
+        error
+      );
+      throw error;
+    }
+  }
+
   /**
    * Prepara los datos para almacenamiento
    * @param {Object} item - Item a preparar
@@ -124,6 +788,163 @@ class BaseService {
     return preparedItem;
   }
 
+  /**
+   * Obtiene la revisión guardada de un registro
+   * @param {string} id - ID del registro
+   * @returns {number|undefined} Revisión o undefined si el registro no está guardado
+   */
+  getStoredRevision(id) {
+    const registro = this.storedRecords.get(id);
+    return registro ? registro.revision : undefined;
+  }
+
+  /**
+   * Asigna el diario de operaciones del servicio
+   * @param {OperationJournal} journal - Diario a usar
+   */
+  setJournal(journal) {
+    this.journal = journal;
+  }
+
+  /**
+   * Obtiene el diario de operaciones, usando el compartido si no fue asignado
+   * @returns {OperationJournal} Diario de operaciones
+   */
+  getJournal() {
+    if (!this.journal) {
+      this.journal = OperationJournal.getDefault();
+    }
+    return this.journal;
+  }
+
+  /**
+   * Registra una escritura en el diario para poder deshacerla
+   * @param {string} tipo - 'crear', 'actualizar', 'guardar' o 'eliminar'
+   * @param {Array} cambios - [{ id, antes, despues }]
+   * @param {Object|null} lote - Lote del diario al que se suma; null la registra sola
+   */
+  recordOperation(tipo, cambios, lote = null) {
+    if (cambios.length === 0) return;
+
+    const acciones = {
+      crear: 'Crear',
+      actualizar: 'Actualizar',
+      guardar: 'Guardar',
+      eliminar: 'Eliminar',
+      restaurar: 'Restaurar',
+      purgar: 'Eliminar definitivamente',
+    };
+    const descripcion =
+      cambios.length === 1
+        ? `${acciones[tipo]} ${this.entityName}`
+        : `${acciones[tipo]} ${cambios.length} ${this.entityName}s`;
+
+    this.getJournal().record(this, descripcion, cambios, lote);
+  }
+
+  /**
+   * Restaura registros a un estado guardado (lo usa el diario al deshacer o rehacer)
+   * Si un registro guardado ya no coincide con el esperado, otra operación lo
+   * cambió y no se restaura nada. Estas escrituras no se registran en el diario.
+   * @param {Array} registros - [{ id, record, expected }]; record null elimina el
+   * registro y expected null indica que el registro no debe existir
+   */
+  async restoreRecords(registros) {
+    this.validateInitialization();
+
+    const conflicts = registros
+      .filter(
+        ({ id, expected }) =>
+          !this.isSameRecord(this.storedRecords.get(id) || null, expected)
+      )
+      .map(({ id, expected }) => ({
+        id,
+        expected: expected ? expected.revision : null,
+        actual: this.storedRecords.has(id) ? this.getStoredRevision(id) : null,
+      }));
+    if (conflicts.length > 0) {
+      throw new RevisionConflictError(this.storageKey, conflicts);
+    }
+
+    const aGuardar = [];
+    const aEliminar = [];
+
+    registros.forEach(({ id, record }) => {
+      const index = this.items.findIndex(item => item.id === id);
+      this.deletedItems = this.deletedItems.filter(item => item.id !== id);
+
+      if (record) {
+        const entity = this.createStoredEntity(record);
+        if (entity.deletedAt) {
+          if (index !== -1) {
+            this.items.splice(index, 1);
+          }
+          this.deletedItems.push(entity);
+        } else if (index === -1) {
+          this.items.push(entity);
+        } else {
+          this.items[index] = entity;
+        }
+        aGuardar.push(entity);
+      } else {
+        if (index !== -1) {
+          this.items.splice(index, 1);
+        }
+        if (this.storedRecords.has(id)) {
+          aEliminar.push(id);
+        }
+      }
+    });
+
+    await this.persistItems(aGuardar, false);
+    await this.removeFromStorage(aEliminar, null);
+  }
+
+  /**
+   * Compara dos registros guardados sin tener en cuenta su revisión
+   * @param {Object|null} a - Registro guardado
+   * @param {Object|null} b - Registro guardado
+   * @returns {boolean} True si tienen los mismos datos
+   */
+  isSameRecord(a, b) {
+    if (!a || !b) return a === b;
+    return (
+      JSON.stringify({ ...a, revision: null }) ===
+      JSON.stringify({ ...b, revision: null })
+    );
+  }
+
+  /**
+   * Prepara un registro para almacenamiento con su revisión
+   * La revisión aumenta en cada escritura y permite detectar ediciones concurrentes.
+   * @param {Object} item - Item a preparar
+   * @param {number} revision - Revisión del registro
+   * @returns {Object} Registro a guardar
+   */
+  prepareRecord(item, revision) {
+    const registro = { ...this.prepareDataForStorage(item), revision };
+    if (item.deletedAt) {
+      registro.deletedAt = item.deletedAt;
+      registro.deletedBy = item.deletedBy || null;
+    }
+    return registro;
+  }
+
+  /**
+   * Obtiene los mensajes de error de una operación de persistencia fallida
+   * @param {Error} error - Error capturado
+   * @param {string} defaultMessage - Mensaje para errores internos
+   * @returns {Array<string>} Mensajes de error
+   */
+  getPersistenceErrors(error, defaultMessage) {
+    if (error instanceof RevisionConflictError) {
+      return [
+        `El ${this.entityName} fue modificado en otra pestaña. Se cargó la versión más reciente; revise los datos y vuelva a intentarlo.`,
+      ];
+    }
+    return [defaultMessage];
+  }
+
   /**
    * Crea una entidad desde datos
    * @param {Object} data - Datos de la entidad
@@ -136,33 +957,99 @@ class BaseService {
     );
   }
 
+  /**
+   * Crea una entidad desde un registro guardado, conservando los datos de eliminación
+   * @param {Object} data - Registro guardado
+   * @returns {Object} Entidad creada
+   */
+  createStoredEntity(data) {
+    const entity = this.createEntityFromData(data);
+    if (entity && data && data.deletedAt) {
+      entity.deletedAt = data.deletedAt;
+      entity.deletedBy = data.deletedBy || null;
+    }
+    return entity;
+  }
+
+  /**
+   * Obtiene los items sobre los que trabajan las consultas
+   * @param {Object} options - Opciones de consulta
+   * @param {boolean} options.includeDeleted - Incluir los items de la papelera
+   * @returns {Array} Items (sin copiar)
+   */
+  getItems(options = {}) {
+    return options.includeDeleted
+      ? this.items.concat(this.deletedItems)
+      : this.items;
+  }
+
   /**
    * Obtiene todos los items
+   * @param {Object} options - Opciones de consulta ({ includeDeleted })
    * @returns {Array} Array de items
    */
-  getAll() {
+  getAll(options = {}) {
     this.validateInitialization();
-    return [...this.items];
+    return [...this.getItems(options)];
   }
 
   /**
    * Obtiene un item por ID
    * @param {string} id - ID del item
+   * @param {Object} options - Opciones de consulta ({ includeDeleted })
    * @returns {Object|null} Item encontrado o null
    */
-  getById(id) {
+  getById(id, options = {}) {
+    this.validateInitialization();
+    return this.getItems(options).find(item => item.id === id) || null;
+  }
+
+  /**
+   * Obtiene los campos calculados que se pueden usar en las consultas
+   * @returns {Object} { campo: item => valor }
+   */
+  getQueryFields() {
+    return {};
+  }
+
+  /**
+   * Consulta los items con filtros, orden y paginación
+   * @param {Object} spec - { where, sort, limit, offset, cursor } (ver Query)
+   * @param {Object} options - Opciones de consulta ({ includeDeleted })
+   * @returns {Object} { items, total, offset, limit, hasMore, nextCursor }
+   */
+  query(spec = {}, options = {}) {
     this.validateInitialization();
-    return this.items.find(item => item.id === id) || null;
+    return new Query(spec, this.getQueryFields()).run(this.getItems(options));
   }
 
   /**
    * Busca items por criterios
+   * Los textos se buscan como subcadena sin distinguir mayúsculas; un objeto de
+   * operadores ({ $gte: ..., $lte: ... }) se evalúa como en query().
    * @param {Object} criteria - Criterios de búsqueda
+   * @param {Object} options - Opciones de consulta ({ includeDeleted })
    * @returns {Array} Array de items que coinciden
    */
-  search(criteria = {}) {
+  search(criteria = {}, options = {}) {
     this.validateInitialization();
-    return this.items.filter(item => this.matchesCriteria(item, criteria));
+    return this.getItems(options).filter(item =>
+      this.matchesCriteria(item, criteria)
+    );
+  }
+
+  /**
+   * Busca items por texto en los campos de getSearchFields()
+   * No distingue mayúsculas ni tildes y admite palabras incompletas.
+   * @param {string} texto - Texto a buscar
+   * @param {Object} options - Opciones de búsqueda ({ limit })
+   * @returns {Array} Items ordenados por relevancia
+   */
+  searchText(texto, options = {}) {
+    this.validateInitialization();
+    return this.getSearchIndex()
+      .search(texto, { ...options, entidades: [this.entityName] })
+      .map(resultado => resultado.item);
   }
 
   /**
@@ -178,6 +1065,10 @@ class BaseService {
       const itemValue = item[key];
       const criteriaValue = criteria[key];
 
+      if (Query.isOperatorObject(criteriaValue)) {
+        return Query.matchesCondition(itemValue, criteriaValue);
+      }
+
       if (typeof criteriaValue === 'string') {
         return (
           itemValue &&
@@ -192,9 +1083,10 @@ class BaseService {
   /**
    * Crea un nuevo item
    * @param {Object} item - Item a crear
+   * @param {Object|null} lote - Lote del diario al que se suma la escritura
    * @returns {Object} Resultado de la operación
    */
-  async create(item) {
+  async create(item, lote = null) {
     try {
       this.validateInitialization();
 
@@ -222,7 +1114,7 @@ class BaseService {
       // Agregar el item validado
       this.items.push(validatedItem);
 
-      await this.saveToStorage();
+      await this.persistItem(validatedItem, null, lote);
 
       return {
         success: true,
@@ -233,7 +1125,10 @@ class BaseService {
       console.error(`❌ Error al crear ${this.entityName}:`, error);
       return {
         success: false,
-        errors: [`Error interno al crear el ${this.entityName}`],
+        errors: this.getPersistenceErrors(
+          error,
+          `Error interno al crear el ${this.entityName}`
+        ),
       };
     }
   }
@@ -242,9 +1137,10 @@ class BaseService {
    * Actualiza un item existente
    * @param {string} id - ID del item
    * @param {Object} newData - Nuevos datos
+   * @param {Object|null} lote - Lote del diario al que se suma la escritura
    * @returns {Object} Resultado de la operación
    */
-  async update(id, newData) {
+  async update(id, newData, lote = null) {
     try {
       this.validateInitialization();
 
@@ -267,7 +1163,7 @@ class BaseService {
 
       // Actualizar el item
       this.updateItem(item, newData);
-      await this.saveToStorage();
+      await this.persistItem(item, null, lote);
 
       return {
         success: true,
@@ -278,35 +1174,75 @@ class BaseService {
       console.error(`❌ Error al actualizar ${this.entityName}:`, error);
       return {
         success: false,
-        errors: [`Error interno al actualizar el ${this.entityName}`],
+        errors: this.getPersistenceErrors(
+          error,
+          `Error interno al actualizar el ${this.entityName}`
+        ),
       };
     }
   }
 
   /**
-   * Elimina un item
+   * Elimina un item enviándolo a la papelera
+   * El registro se conserva con deletedAt/deletedBy hasta que se restaure o se purgue.
+   * Antes se aplican las relaciones declaradas: si algún dependiente lo impide
+   * (restrict) no se elimina nada y el resultado lista los dependientes.
    * @param {string} id - ID del item
+   * @param {string} usuario - Usuario que elimina
+   * @param {Object|null} lote - Lote del diario al que se suma la eliminación
    * @returns {Object} Resultado de la operación
    */
-  async delete(id) {
+  async delete(id, usuario = 'Usuario', lote = null) {
     try {
       this.validateInitialization();
 
-      const index = this.items.findIndex(item => item.id === id);
-      if (index === -1) {
+      const deletedItem = this.items.find(item => item.id === id);
+      if (!deletedItem) {
         return {
           success: false,
           errors: [`${this.entityName} no encontrado`],
         };
       }
 
-      const deletedItem = this.items.splice(index, 1)[0];
-      await this.saveToStorage();
+      const bloqueos = this.getRelationRegistry().getDeleteBlockers(this, id);
+      if (bloqueos.length > 0) {
+        return {
+          success: false,
+          errors: bloqueos.map(bloqueo => {
+            const padre = bloqueo.service.getById(bloqueo.id);
+            const hijo = bloqueo.relation.service;
+            return `No se puede eliminar: el ${
+              bloqueo.service.entityName
+            } "${bloqueo.service.getDisplayName(padre)}" tiene ${
+              bloqueo.items.length
+            } ${hijo.entityName}(s) relacionados (${bloqueo.items
+              .map(item => hijo.getDisplayName(item))
+              .join(', ')})`;
+          }),
+          dependents: bloqueos.map(bloqueo => ({
+            entityName: bloqueo.relation.service.entityName,
+            campo: bloqueo.relation.campo,
+            ids: bloqueo.items.map(item => item.id),
+          })),
+        };
+      }
+
+      await this.getJournal().runBatch(
+        `Eliminar ${this.entityName}`,
+        loteEliminar =>
+          this.softDelete(
+            deletedItem,
+            usuario,
+            new Date().toISOString(),
+            loteEliminar
+          ),
+        lote
+      );
 
       return {
         success: true,
         item: deletedItem,
-        message: `${this.entityName} eliminado exitosamente`,
+        message: `${this.entityName} enviado a la papelera`,
       };
     } catch (error) {
       console.error(`❌ Error al eliminar ${this.entityName}:`, error);
@@ -317,6 +1253,285 @@ class BaseService {
     }
   }
 
+  /**
+   * Envía un item y sus dependientes a la papelera según las relaciones declaradas
+   * Los dependientes en cascada comparten la fecha de eliminación del item, así
+   * se reconocen al restaurarlo.
+   * @param {Object} item - Item activo
+   * @param {string} usuario - Usuario que elimina
+   * @param {string} fecha - Fecha de eliminación (ISO)
+   * @param {Object|null} lote - Lote del diario al que se suman las escrituras
+   */
+  async softDelete(item, usuario, fecha, lote = null) {
+    // Un item con varios padres puede alcanzarse más de una vez en la cascada
+    if (!this.items.includes(item)) return;
+
+    const dependientes = this.getRelationRegistry().getDependents(
+      this,
+      item.id
+    );
+
+    for (const { relation, items } of dependientes) {
+      if (relation.onDelete === 'cascade') {
+        for (const dependiente of items) {
+          await relation.service.softDelete(dependiente, usuario, fecha, lote);
+        }
+      } else if (relation.onDelete === 'nullify') {
+        await relation.service.nullifyReference(items, relation.campo, lote);
+      }
+    }
+
+    this.items = this.items.filter(activo => activo !== item);
+    item.deletedAt = fecha;
+    item.deletedBy = usuario;
+    this.deletedItems.push(item);
+    await this.persistItem(item, 'eliminar', lote);
+  }
+
+  /**
+   * Deja vacío el campo que apunta a otra entidad
+   * @param {Array} items - Items a modificar
+   * @param {string} campo - Campo de la relación
+   * @param {Object|null} lote - Lote del diario al que se suma la escritura
+   */
+  async nullifyReference(items, campo, lote = null) {
+    items.forEach(item => {
+      item[campo] = null;
+    });
+    await this.persistItems(items, 'actualizar', lote);
+  }
+
+  /**
+   * Obtiene un nombre legible de un item para mensajes y reportes
+   * @param {Object} item - Item
+   * @returns {string} Nombre del item
+   */
+  getDisplayName(item) {
+    if (!item) return '';
+    return (
+      item.nombre ||
+      item.nombreDocumento ||
+      item.tramiteNombre ||
+      item.documentoNombre ||
+      item.id
+    );
+  }
+
+  /**
+   * Obtiene los items de la papelera, del más reciente al más antiguo
+   * @returns {Array} Items eliminados
+   */
+  getDeleted() {
+    this.validateInitialization();
+    return [...this.deletedItems].sort((a, b) =>
+      b.deletedAt.localeCompare(a.deletedAt)
+    );
+  }
+
+  /**
+   * Restaura un item de la papelera
+   * @param {string} id - ID del item
+   * @param {Object|null} lote - Lote del diario al que se suma la restauración
+   * @returns {Object} Resultado de la operación
+   */
+  async restoreDeleted(id, lote = null) {
+    try {
+      this.validateInitialization();
+
+      const item = this.deletedItems.find(deleted => deleted.id === id);
+      if (!item) {
+        return {
+          success: false,
+          errors: [`${this.entityName} no encontrado en la papelera`],
+        };
+      }
+
+      // Un item no se restaura si el item al que apunta no está activo
+      const registry = this.getRelationRegistry();
+      const faltantes = registry.getMissingParents(this, item);
+      if (faltantes.length > 0) {
+        return {
+          success: false,
+          errors: faltantes.map(
+            ({ relation, parentService, valor, enPapelera }) =>
+              enPapelera
+                ? `Restaure primero el ${
+                    relation.padre
+                  } "${parentService.getDisplayName(
+                    enPapelera
+                  )}" desde la papelera`
+                : `El ${relation.padre} relacionado (${valor}) ya no existe`
+          ),
+        };
+      }
+
+      // Mientras estuvo en la papelera pudo crearse otro item equivalente
+      const duplicateCheck = this.checkForDuplicates(item);
+      if (!duplicateCheck.isValid) {
+        return {
+          success: false,
+          errors: duplicateCheck.errors,
+        };
+      }
+
+      await this.getJournal().runBatch(
+        `Restaurar ${this.entityName}`,
+        async loteRestaurar => {
+          const cascada = registry.getCascadedDependents(
+            this,
+            item.id,
+            item.deletedAt
+          );
+
+          this.deletedItems = this.deletedItems.filter(
+            deleted => deleted !== item
+          );
+          delete item.deletedAt;
+          delete item.deletedBy;
+          this.items.push(item);
+          await this.persistItem(item, 'restaurar', loteRestaurar);
+
+          // Restaurar también lo que se eliminó en cascada con el item
+          for (const { relation, items } of cascada) {
+            for (const dependiente of items) {
+              // Ya restaurado por otra relación, o espera a otro padre aún eliminado
+              if (
+                !relation.service.deletedItems.includes(dependiente) ||
+                registry.getMissingParents(relation.service, dependiente)
+                  .length > 0
+              ) {
+                continue;
+              }
+
+              const result = await relation.service.restoreDeleted(
+                dependiente.id,
+                loteRestaurar
+              );
+              if (!result.success) {
+                console.warn(
+                  `⚠️ No se restauró ${relation.service.entityName} ${dependiente.id}:`,
+                  result.errors
+                );
+              }
+            }
+          }
+        },
+        lote
+      );
+
+      return {
+        success: true,
+        item,
+        message: `${this.entityName} restaurado exitosamente`,
+      };
+    } catch (error) {
+      console.error(`❌ Error al restaurar ${this.entityName}:`, error);
+      return {
+        success: false,
+        errors: this.getPersistenceErrors(
+          error,
+          `Error interno al restaurar el ${this.entityName}`
+        ),
+      };
+    }
+  }
+
+  /**
+   * Elimina definitivamente items de la papelera
+   * @param {string|Array<string>} ids - ID o IDs a purgar
+   * @param {Object|null} lote - Lote del diario al que se suma la purga
+   * @returns {Object} Resultado de la operación
+   */
+  async purge(ids, lote = null) {
+    try {
+      this.validateInitialization();
+
+      const listaIds = Array.isArray(ids) ? ids : [ids];
+      const purgados = this.deletedItems.filter(item =>
+        listaIds.includes(item.id)
+      );
+      if (purgados.length === 0) {
+        return {
+          success: false,
+          errors: [`${this.entityName} no encontrado en la papelera`],
+        };
+      }
+
+      this.deletedItems = this.deletedItems.filter(
+        item => !purgados.includes(item)
+      );
+      await this.removeFromStorage(
+        purgados.map(item => item.id),
+        'purgar',
+        lote
+      );
+
+      return {
+        success: true,
+        purged: purgados.length,
+        message:
+          purgados.length === 1
+            ? `${this.entityName} eliminado definitivamente`
+            : `${purgados.length} ${this.entityName}s eliminados definitivamente`,
+      };
+    } catch (error) {
+      console.error(`❌ Error al purgar ${this.entityName}s:`, error);
+      return {
+        success: false,
+        errors: [`Error interno al purgar los ${this.entityName}s`],
+      };
+    }
+  }
+
+  /**
+   * Purga los items que llevan en la papelera más que el periodo de retención
+   * La purga automática no se registra en el diario de operaciones.
+   * @param {Date} ahora - Fecha de referencia
+   * @returns {Promise<number>} Cantidad de items purgados
+   */
+  async purgeExpired(ahora = new Date()) {
+    this.validateInitialization();
+
+    const limite = ahora.getTime() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const vencidos = this.deletedItems.filter(
+      item => new Date(item.deletedAt).getTime() <= limite
+    );
+    if (vencidos.length === 0) return 0;
+
+    this.deletedItems = this.deletedItems.filter(
+      item => !vencidos.includes(item)
+    );
+    await this.removeFromStorage(
+      vencidos.map(item => item.id),
+      null
+    );
+
+    return vencidos.length;
+  }
+
+  /**
+   * Asigna el periodo de retención de la papelera
+   * @param {number} dias - Días que se conservan los items eliminados
+   */
+  setRetentionDays(dias) {
+    if (!Number.isInteger(dias) || dias < 1) {
+      throw new Error(`Periodo de retención inválido: ${dias}`);
+    }
+    this.retentionDays = dias;
+  }
+
+  /**
+   * Obtiene la fecha en que se purgará un item de la papelera
+   * @param {Object} item - Item eliminado
+   * @returns {Date} Fecha de purga
+   */
+  getPurgeDate(item) {
+    return new Date(
+      new Date(item.deletedAt).getTime() +
+        this.retentionDays * 24 * 60 * 60 * 1000
+    );
+  }
+
   /**
    * Valida un item antes de crear
    * @param {Object} item - Item a validar
@@ -377,8 +1592,20 @@ class BaseService {
   async clearAll() {
     try {
       this.validateInitialization();
+      const cambios = Array.from(this.storedRecords.values()).map(registro => ({
+        id: registro.id,
+        antes: registro,
+        despues: null,
+      }));
+
       this.items = [];
-      await this.saveToStorage();
+      this.deletedItems = [];
+      this.unloadedRecords = [];
+      await this.adapter.clear(this.storageKey);
+      this.storedRecords.clear();
+
+      this.recordOperation('eliminar', cambios);
+      this.notifyChange('clear');
       return {
         success: true,
         message: `Todos los ${this.entityName}s han sido eliminados`,
@@ -441,7 +1668,7 @@ class BaseService {
       }
 
       this.items = [...this.items, ...importedItems];
-      await this.saveToStorage();
+      await this.persistItems(importedItems);
 
       return {
         success: true,
@@ -456,4 +1683,16 @@ class BaseService {
       };
     }
   }
+
+  /**
+   * Libera los recursos del servicio
+   */
+  cleanup() {
+    this.stopSync();
+    this.getRelationRegistry().unregisterService(this);
+    this.getSearchIndex().unregisterService(this);
+  }
 }
+
+// Días que se conservan los items en la papelera antes de purgarlos
+BaseService.DEFAULT_RETENTION_DAYS = 30;
@@ -112,6 +112,87 @@ class BaseView {
     return icons[type] || 'info-circle';
   }
 
+  /**
+   * Muestra un aviso con un botón para deshacer la operación recién hecha
+   * Si la operación ya no es la última del diario, el botón no deshace otra distinta.
+   * @param {string} message - Mensaje a mostrar
+   * @param {Object} options - Opciones del aviso
+   * @param {Function} options.onUndo - Se ejecuta después de deshacer con éxito
+   * @param {number} options.duration - Duración en milisegundos
+   */
+  showUndoToast(message, options = {}) {
+    const { onUndo, duration = 8000 } = options;
+    const journal = OperationJournal.getDefault();
+    const entrada = journal.getUndoEntry();
+
+    if (!entrada) {
+      this.showAlert(message, 'success', duration);
+      return;
+    }
+
+    let alertContainer = document.getElementById('alertContainer');
+    if (!alertContainer) {
+      alertContainer = document.createElement('div');
+      alertContainer.id = 'alertContainer';
+      alertContainer.className = 'position-fixed top-0 end-0 p-3';
+      alertContainer.style.zIndex = '9999';
+      document.body.appendChild(alertContainer);
+    }
+
+    const alertId =
+      'alert_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    const alertHTML = `
+      <div id="${alertId}" class="alert alert-success alert-dismissible fade show" role="alert">
+        <div class="d-flex align-items-center">
+          <i class="fas fa-${this.getAlertIcon('success')} me-2"></i>
+          <span>${this.escapeHtml(message)}</span>
+          <button type="button" class="btn btn-sm btn-outline-dark ms-3 btn-deshacer">
+            <i class="fas fa-undo me-1"></i>Deshacer
+          </button>
+        </div>
+        <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
+      </div>
+    `;
+
+    alertContainer.insertAdjacentHTML('beforeend', alertHTML);
+    const alertElement = document.getElementById(alertId);
+
+    const cerrar = () => {
+      if (alertElement && alertElement.parentNode) {
+        new bootstrap.Alert(alertElement).close();
+      }
+    };
+
+    alertElement
+      .querySelector('.btn-deshacer')
+      .addEventListener('click', async () => {
+        cerrar();
+
+        if (journal.getUndoEntry() !== entrada) {
+          this.showAlert(
+            'La operación ya no es la última realizada; use Ctrl+Z para deshacer paso a paso',
+            'warning'
+          );
+          return;
+        }
+
+        const result = await window.tramiteApp.undo();
+        if (result.success && typeof onUndo === 'function') {
+          onUndo();
+        }
+      });
+
+    if (duration > 0) {
+      setTimeout(cerrar, duration);
+    }
+
+    alertElement.addEventListener('closed.bs.alert', () => {
+      if (alertElement.parentNode) {
+        alertElement.parentNode.removeChild(alertElement);
+      }
+    });
+  }
+
   /**
    * Muestra un modal de confirmación
    * @param {string} title - Título del modal
@@ -352,6 +433,43 @@ class BaseView {
     )}`;
   }
 
+  /**
+   * Advierte debajo de un selector de fecha si el día elegido no es hábil
+   * El aviso se crea junto al input la primera vez y se vacía cuando la fecha
+   * es hábil o no hay calendario.
+   * @param {HTMLInputElement} input - Input de tipo fecha
+   * @param {string} sede - Código de la sede cuyos días no hábiles se aplican
+   * @returns {string|null} Motivo por el que el día no es hábil o null
+   */
+  advertirDiaNoHabil(input, sede = '') {
+    if (!input) return null;
+
+    let aviso = document.getElementById(`${input.id}DiaNoHabil`);
+    if (!aviso) {
+      aviso = document.createElement('div');
+      aviso.id = `${input.id}DiaNoHabil`;
+      aviso.className = 'form-text text-warning';
+      input.insertAdjacentElement('afterend', aviso);
+    }
+
+    const calendario = window.tramiteApp
+      ? window.tramiteApp.getService('calendario')
+      : null;
+    const motivo =
+      calendario && input.value
+        ? calendario.getMotivoNoHabil(input.value, sede)
+        : null;
+
+    aviso.innerHTML = motivo
+      ? this.createIconWithText(
+          'fas fa-exclamation-triangle',
+          `Día no hábil: ${motivo}`,
+          'me-1'
+        )
+      : '';
+    return motivo;
+  }
+
   /**
    * Valida un formulario
    * @param {HTMLFormElement} form - Formulario a validar
@@ -0,0 +1,382 @@
+/**
+ * Reglas condicionales entre los campos de un documento
+ * Una regla muestra, oculta o vuelve obligatorio un campo según los valores de
+ * otros campos del mismo documento, referidos por su nombre. Sus condiciones se
+ * combinan con Y (todas) u O (alguna). Los campos se evalúan en orden de
+ * dependencias: un campo oculto cuenta como vacío para las reglas que lo usan,
+ * por eso las dependencias circulares no se permiten.
+ */
+class FieldRuleEngine {
+  /**
+   * Convierte un valor en texto para compararlo
+   * @param {*} valor - Valor del campo
+   * @returns {string|Array<string>} Texto o lista de textos
+   */
+  static toText(valor) {
+    if (Array.isArray(valor)) return valor.map(item => String(item));
+    if (typeof valor === 'boolean') return valor ? 'Sí' : 'No';
+    if (valor === undefined || valor === null) return '';
+    if (typeof valor === 'object') return valor.nombre || '';
+    return String(valor).trim();
+  }
+
+  /**
+   * Compara dos valores como números si ambos lo son, si no como texto
+   * @param {string} a - Primer valor
+   * @param {string} b - Segundo valor
+   * @returns {number} Negativo, cero o positivo
+   */
+  static compare(a, b) {
+    const numeros = [a, b].map(Number);
+    if (a !== '' && b !== '' && numeros.every(Number.isFinite)) {
+      return numeros[0] - numeros[1];
+    }
+    return String(a).localeCompare(String(b));
+  }
+
+  /**
+   * Evalúa una condición con los valores actuales
+   * @param {Object} condicion - { campo, comparador, valor }
+   * @param {Object} valores - Valores por nombre de campo
+   * @returns {boolean} True si se cumple
+   */
+  static evaluateCondition({ campo, comparador, valor }, valores) {
+    const actual = FieldRuleEngine.toText(valores[campo]);
+    const esperado = FieldRuleEngine.toText(valor);
+    const vacio = Array.isArray(actual) ? actual.length === 0 : actual === '';
+    const iguales = Array.isArray(actual)
+      ? actual.length === 1 && actual[0] === esperado
+      : SearchIndex.fold(actual) === SearchIndex.fold(esperado);
+
+    switch (comparador) {
+      case 'igual':
+        return iguales;
+      case 'distinto':
+        return !iguales;
+      case 'contiene':
+        return Array.isArray(actual)
+          ? actual.includes(esperado)
+          : SearchIndex.fold(actual).includes(SearchIndex.fold(esperado));
+      case 'vacio':
+        return vacio;
+      case 'no_vacio':
+        return !vacio;
+      case 'mayor':
+        return !vacio && FieldRuleEngine.compare(actual, esperado) > 0;
+      case 'menor':
+        return !vacio && FieldRuleEngine.compare(actual, esperado) < 0;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Evalúa una regla con los valores actuales
+   * @param {Object} regla - { accion, operador, condiciones }
+   * @param {Object} valores - Valores por nombre de campo
+   * @returns {boolean} True si sus condiciones se cumplen
+   */
+  static evaluateRule(regla, valores) {
+    const resultados = regla.condiciones.map(condicion =>
+      FieldRuleEngine.evaluateCondition(condicion, valores)
+    );
+    return regla.operador === 'o'
+      ? resultados.some(Boolean)
+      : resultados.every(Boolean);
+  }
+
+  /**
+   * Obtiene los nombres de los campos de los que depende un campo
+   * @param {Object} campo - Campo con reglas
+   * @returns {Array<string>} Nombres sin repetir
+   */
+  static getDependencies(campo) {
+    return [
+      ...new Set(
+        (campo.reglas || []).flatMap(regla =>
+          regla.condiciones.map(condicion => condicion.campo)
+        )
+      ),
+    ];
+  }
+
+  /**
+   * Busca una dependencia circular entre los campos
+   * @param {Array} campos - Campos del documento
+   * @returns {Array<string>|null} Ciclo de nombres (el primero se repite al final) o null
+   */
+  static findCycle(campos) {
+    const porNombre = new Map(campos.map(campo => [campo.nombreCampo, campo]));
+    const estado = new Map();
+    const camino = [];
+
+    const visitar = nombre => {
+      estado.set(nombre, 'visitando');
+      camino.push(nombre);
+      for (const dependencia of FieldRuleEngine.getDependencies(
+        porNombre.get(nombre)
+      )) {
+        if (!porNombre.has(dependencia)) continue;
+        if (estado.get(dependencia) === 'visitando') {
+          return [...camino.slice(camino.indexOf(dependencia)), dependencia];
+        }
+        if (!estado.has(dependencia)) {
+          const ciclo = visitar(dependencia);
+          if (ciclo) return ciclo;
+        }
+      }
+      camino.pop();
+      estado.set(nombre, 'visitado');
+      return null;
+    };
+
+    for (const campo of campos) {
+      if (!estado.has(campo.nombreCampo)) {
+        const ciclo = visitar(campo.nombreCampo);
+        if (ciclo) return ciclo;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Valida una regla por sí sola
+   * @param {Object} regla - Regla a validar
+   * @param {string} nombreCampo - Campo al que pertenece
+   * @returns {Array<string>} Errores
+   */
+  static validateRule(regla, nombreCampo) {
+    const errors = [];
+    if (!regla || !FieldRuleEngine.ACCIONES[regla.accion]) {
+      errors.push(
+        `La acción de la regla debe ser: ${Object.values(
+          FieldRuleEngine.ACCIONES
+        ).join(', ')}`
+      );
+    }
+    if (!regla || !FieldRuleEngine.OPERADORES[regla.operador]) {
+      errors.push('El operador de la regla debe ser Y u O');
+    }
+    if (!regla || !Array.isArray(regla.condiciones)) {
+      errors.push('La regla debe tener al menos una condición');
+      return errors;
+    }
+    if (regla.condiciones.length === 0) {
+      errors.push('La regla debe tener al menos una condición');
+    }
+
+    regla.condiciones.forEach(({ campo, comparador, valor }) => {
+      const definicion = FieldRuleEngine.COMPARADORES[comparador];
+      if (!campo) {
+        errors.push('Cada condición debe indicar el campo que compara');
+      } else if (campo === nombreCampo) {
+        errors.push(`El campo "${nombreCampo}" no puede depender de sí mismo`);
+      }
+      if (!definicion) {
+        errors.push(`El comparador "${comparador}" no es válido`);
+      } else if (definicion.requiereValor && FieldTypeRegistry.isEmpty(valor)) {
+        errors.push(
+          `La condición sobre "${campo}" necesita un valor para comparar`
+        );
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Valida las reglas de todos los campos de un documento
+   * Además de la forma de cada regla revisa que los campos referidos existan y
+   * que no haya dependencias circulares.
+   * @param {Array} campos - Campos del documento
+   * @returns {Object} { isValid, errors }
+   */
+  static validateRules(campos) {
+    const nombres = new Set(campos.map(campo => campo.nombreCampo));
+    const errors = [];
+
+    campos.forEach(campo => {
+      (campo.reglas || []).forEach(regla => {
+        errors.push(...FieldRuleEngine.validateRule(regla, campo.nombreCampo));
+      });
+      FieldRuleEngine.getDependencies(campo)
+        .filter(dependencia => dependencia && !nombres.has(dependencia))
+        .forEach(dependencia => {
+          errors.push(
+            `La regla del campo "${campo.nombreCampo}" usa el campo "${dependencia}", que no existe en el documento`
+          );
+        });
+    });
+
+    if (errors.length === 0) {
+      const ciclo = FieldRuleEngine.findCycle(campos);
+      if (ciclo) {
+        errors.push(`Dependencia circular entre campos: ${ciclo.join(' → ')}`);
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Ordena los campos para que cada uno quede después de sus dependencias
+   * @param {Array} campos - Campos sin dependencias circulares
+   * @returns {Array} Campos ordenados
+   */
+  static sortByDependencies(campos) {
+    const porNombre = new Map(campos.map(campo => [campo.nombreCampo, campo]));
+    const ordenados = [];
+    const vistos = new Set();
+
+    const agregar = campo => {
+      if (vistos.has(campo.nombreCampo)) return;
+      vistos.add(campo.nombreCampo);
+      FieldRuleEngine.getDependencies(campo)
+        .filter(dependencia => porNombre.has(dependencia))
+        .forEach(dependencia => agregar(porNombre.get(dependencia)));
+      ordenados.push(campo);
+    };
+
+    campos.forEach(agregar);
+    return ordenados;
+  }
+
+  /**
+   * Evalúa las reglas de los campos con los valores actuales
+   * Sin reglas de mostrar un campo es visible; con ellas, solo si alguna se
+   * cumple. Una regla de ocultar que se cumple lo oculta y una de obligatorio
+   * lo vuelve obligatorio. Un campo oculto nunca es obligatorio.
+   * @param {Array} campos - Campos del documento
+   * @param {Object} valores - Valores por nombre de campo
+   * @returns {Object} { [nombreCampo]: { visible, obligatorio } }
+   */
+  static evaluate(campos, valores = {}) {
+    const efectivos = {};
+    const estados = {};
+
+    FieldRuleEngine.sortByDependencies(campos).forEach(campo => {
+      const reglas = campo.reglas || [];
+      const cumplidas = accion =>
+        reglas
+          .filter(regla => regla.accion === accion)
+          .map(regla => FieldRuleEngine.evaluateRule(regla, efectivos));
+
+      const mostrar = cumplidas('mostrar');
+      const visible =
+        (mostrar.length === 0 || mostrar.some(Boolean)) &&
+        !cumplidas('ocultar').some(Boolean);
+      const obligatorio =
+        visible &&
+        (campo.obligatorio === 'Sí' || cumplidas('requerir').some(Boolean));
+
+      estados[campo.nombreCampo] = { visible, obligatorio };
+      efectivos[campo.nombreCampo] = visible
+        ? valores[campo.nombreCampo]
+        : undefined;
+    });
+
+    return estados;
+  }
+
+  /**
+   * Valida los valores de un documento aplicando sus reglas
+   * Los campos ocultos no se validan y la obligatoriedad es la que resulta de
+   * las reglas.
+   * @param {Array} campos - Campos del documento
+   * @param {Object} valores - Valores por nombre de campo
+   * @returns {Object} { isValid, errors, erroresPorCampo, estados }
+   */
+  static validateValues(campos, valores = {}) {
+    const estados = FieldRuleEngine.evaluate(campos, valores);
+    const registry = FieldTypeRegistry.getDefault();
+    const erroresPorCampo = {};
+    campos
+      .filter(campo => estados[campo.nombreCampo].visible)
+      .forEach(campo => {
+        const { errors } = registry.validateValue(
+          {
+            ...campo,
+            obligatorio: estados[campo.nombreCampo].obligatorio ? 'Sí' : 'No',
+          },
+          valores[campo.nombreCampo]
+        );
+        if (errors.length > 0) erroresPorCampo[campo.nombreCampo] = errors;
+      });
+    const errors = Object.values(erroresPorCampo).flat();
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+      erroresPorCampo,
+      estados,
+    };
+  }
+
+  /**
+   * Describe una regla en texto legible
+   * @param {Object} regla - Regla
+   * @returns {string} Descripción
+   */
+  static describeRule(regla) {
+    const condiciones = regla.condiciones.map(
+      ({ campo, comparador, valor }) => {
+        const definicion = FieldRuleEngine.COMPARADORES[comparador];
+        const texto = `"${campo}" ${
+          definicion ? definicion.etiqueta : comparador
+        }`;
+        return definicion && definicion.requiereValor
+          ? `${texto} "${FieldRuleEngine.toText(valor)}"`
+          : texto;
+      }
+    );
+    return `${FieldRuleEngine.ACCIONES[regla.accion]} ${condiciones.join(
+      ` ${FieldRuleEngine.OPERADORES[regla.operador]} `
+    )}`;
+  }
+
+  /**
+   * Normaliza una regla recibida del formulario o del almacenamiento
+   * @param {Object} regla - Regla recibida
+   * @returns {Object} { accion, operador, condiciones: [{ campo, comparador, valor }] }
+   */
+  static normalizeRule(regla = {}) {
+    return {
+      accion: regla.accion || 'mostrar',
+      operador: regla.operador === 'o' ? 'o' : 'y',
+      condiciones: (regla.condiciones || []).map(condicion => ({
+        campo: (condicion.campo || '').toString().trim(),
+        comparador: condicion.comparador || 'igual',
+        valor:
+          condicion.valor === undefined || condicion.valor === null
+            ? ''
+            : condicion.valor,
+      })),
+    };
+  }
+}
+
+// Acciones de una regla y su texto legible
+FieldRuleEngine.ACCIONES = {
+  mostrar: 'Mostrar si',
+  ocultar: 'Ocultar si',
+  requerir: 'Obligatorio si',
+};
+
+// Operadores para combinar las condiciones de una regla
+FieldRuleEngine.OPERADORES = {
+  y: 'y',
+  o: 'o',
+};
+
+// Comparadores de las condiciones y si necesitan un valor
+FieldRuleEngine.COMPARADORES = {
+  igual: { etiqueta: 'es igual a', requiereValor: true },
+  distinto: { etiqueta: 'es distinto de', requiereValor: true },
+  contiene: { etiqueta: 'contiene', requiereValor: true },
+  mayor: { etiqueta: 'es mayor que', requiereValor: true },
+  menor: { etiqueta: 'es menor que', requiereValor: true },
+  vacio: { etiqueta: 'está vacío', requiereValor: false },
+  no_vacio: { etiqueta: 'tiene valor', requiereValor: false },
+};
@@ -0,0 +1,797 @@
+/**
+ * Registro de los tipos de campo de los documentos
+ * Cada tipo declara su texto legible, icono y color de badge, el esquema de su
+ * configuración (longitudes, rangos, patrón, opciones...) y el validador de los
+ * valores que recibe. La configuración llega como texto desde el editor y se
+ * normaliza con el esquema antes de validarla.
+ */
+class FieldTypeRegistry {
+  constructor() {
+    this.tipos = new Map();
+  }
+
+  /**
+   * Obtiene el registro compartido con los tipos predeterminados
+   * @returns {FieldTypeRegistry} Registro por defecto
+   */
+  static getDefault() {
+    if (!FieldTypeRegistry.defaultInstance) {
+      const registry = new FieldTypeRegistry();
+      FieldTypeRegistry.TIPOS_PREDETERMINADOS.forEach(definicion =>
+        registry.register(definicion)
+      );
+      FieldTypeRegistry.defaultInstance = registry;
+    }
+    return FieldTypeRegistry.defaultInstance;
+  }
+
+  /**
+   * Agrega o reemplaza un tipo de campo
+   * @param {Object} definicion - Definición del tipo
+   * @param {string} definicion.tipo - Clave del tipo
+   * @param {string} definicion.etiqueta - Texto legible
+   * @param {string} definicion.icono - Clase del icono
+   * @param {string} definicion.color - Clase del badge
+   * @param {Object} definicion.configuracion - { clave: { tipo, etiqueta, min, requerido } }
+   *   con tipo 'numero', 'texto', 'fecha', 'opciones', 'lista' o 'booleano'
+   * @param {Function} definicion.validarConfiguracion - (config) => errores adicionales
+   * @param {Function} definicion.validarValor - (valor, config) => errores del valor
+   */
+  register(definicion) {
+    if (!definicion || !definicion.tipo) {
+      throw new Error('El tipo de campo debe tener una clave');
+    }
+    if (typeof definicion.validarValor !== 'function') {
+      throw new Error(
+        `El tipo de campo ${definicion.tipo} debe tener un validador de valores`
+      );
+    }
+
+    this.tipos.set(definicion.tipo, {
+      configuracion: {},
+      validarConfiguracion: () => [],
+      ...definicion,
+    });
+  }
+
+  /**
+   * Obtiene la definición de un tipo
+   * @param {string} tipo - Clave del tipo
+   * @returns {Object|null} Definición o null si no está registrado
+   */
+  get(tipo) {
+    return this.tipos.get(tipo) || null;
+  }
+
+  /**
+   * Indica si un tipo está registrado
+   * @param {string} tipo - Clave del tipo
+   * @returns {boolean} True si está registrado
+   */
+  has(tipo) {
+    return this.tipos.has(tipo);
+  }
+
+  /**
+   * Obtiene los tipos registrados en el orden en que se agregaron
+   * @returns {Array} Definiciones
+   */
+  getAll() {
+    return Array.from(this.tipos.values());
+  }
+
+  /**
+   * Obtiene el texto legible de un tipo
+   * @param {string} tipo - Clave del tipo
+   * @returns {string} Etiqueta o la misma clave si no está registrado
+   */
+  getLabel(tipo) {
+    const definicion = this.get(tipo);
+    return definicion ? definicion.etiqueta : tipo;
+  }
+
+  /**
+   * Obtiene el icono de un tipo
+   * @param {string} tipo - Clave del tipo
+   * @returns {string} Clase del icono
+   */
+  getIcon(tipo) {
+    const definicion = this.get(tipo);
+    return definicion ? definicion.icono : 'fas fa-question';
+  }
+
+  /**
+   * Obtiene el color del badge de un tipo
+   * @param {string} tipo - Clave del tipo
+   * @returns {string} Clase del badge
+   */
+  getBadgeColor(tipo) {
+    const definicion = this.get(tipo);
+    return definicion ? definicion.color : 'bg-secondary';
+  }
+
+  /**
+   * Indica si un valor está vacío
+   * @param {*} valor - Valor del campo
+   * @returns {boolean} True si no hay valor
+   */
+  static isEmpty(valor) {
+    return (
+      valor === undefined ||
+      valor === null ||
+      (typeof valor === 'string' && valor.trim() === '') ||
+      (Array.isArray(valor) && valor.length === 0)
+    );
+  }
+
+  /**
+   * Normaliza la configuración de un tipo con su esquema
+   * Las claves que el esquema no declara y los valores vacíos se descartan;
+   * los números, las listas y las opciones escritas como texto se convierten.
+   * @param {string} tipo - Clave del tipo
+   * @param {Object} configuracion - Configuración recibida
+   * @returns {Object} Configuración normalizada
+   */
+  normalizeConfig(tipo, configuracion = {}) {
+    const definicion = this.get(tipo);
+    if (!definicion) return { ...(configuracion || {}) };
+
+    const normalizada = {};
+    Object.entries(definicion.configuracion).forEach(([clave, esquema]) => {
+      const valor = (configuracion || {})[clave];
+      if (FieldTypeRegistry.isEmpty(valor)) return;
+
+      switch (esquema.tipo) {
+        case 'numero':
+          normalizada[clave] =
+            typeof valor === 'number' ? valor : Number(valor);
+          break;
+        case 'opciones':
+        case 'lista': {
+          const separador = esquema.tipo === 'opciones' ? /\r?\n/ : /[,\n]/;
+          const items = (
+            Array.isArray(valor) ? valor : String(valor).split(separador)
+          )
+            .map(item => String(item).trim())
+            .filter(Boolean);
+          if (items.length > 0) normalizada[clave] = items;
+          break;
+        }
+        case 'booleano':
+          if (valor === true || valor === 'true' || valor === 'Sí') {
+            normalizada[clave] = true;
+          }
+          break;
+        default:
+          normalizada[clave] = String(valor).trim();
+          break;
+      }
+    });
+    return normalizada;
+  }
+
+  /**
+   * Valida la configuración de un tipo
+   * @param {string} tipo - Clave del tipo
+   * @param {Object} configuracion - Configuración normalizada
+   * @returns {Object} { isValid, errors }
+   */
+  validateConfig(tipo, configuracion = {}) {
+    const definicion = this.get(tipo);
+    if (!definicion) {
+      return {
+        isValid: false,
+        errors: [
+          `El tipo de campo debe ser: ${this.getAll()
+            .map(item => item.etiqueta.toLowerCase())
+            .join(', ')}`,
+        ],
+      };
+    }
+
+    const errors = [];
+    Object.entries(definicion.configuracion).forEach(([clave, esquema]) => {
+      const valor = configuracion[clave];
+      if (FieldTypeRegistry.isEmpty(valor)) {
+        if (esquema.requerido) {
+          errors.push(`La configuración "${esquema.etiqueta}" es requerida`);
+        }
+        return;
+      }
+
+      if (esquema.tipo === 'numero') {
+        if (!Number.isFinite(valor)) {
+          errors.push(
+            `La configuración "${esquema.etiqueta}" debe ser un número`
+          );
+        } else if (esquema.min !== undefined && valor < esquema.min) {
+          errors.push(
+            `La configuración "${esquema.etiqueta}" no puede ser menor que ${esquema.min}`
+          );
+        }
+      } else if (
+        esquema.tipo === 'fecha' &&
+        !/^\d{4}-\d{2}-\d{2}$/.test(valor)
+      ) {
+        errors.push(
+          `La configuración "${esquema.etiqueta}" debe tener el formato AAAA-MM-DD`
+        );
+      } else if (
+        esquema.tipo === 'opciones' &&
+        new Set(valor.map(SearchIndex.fold)).size !== valor.length
+      ) {
+        errors.push(
+          `La configuración "${esquema.etiqueta}" tiene opciones repetidas`
+        );
+      }
+    });
+
+    if (errors.length === 0) {
+      errors.push(...definicion.validarConfiguracion(configuracion));
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Describe la configuración de un campo para mostrarla en una lista
+   * @param {string} tipo - Clave del tipo
+   * @param {Object} configuracion - Configuración normalizada
+   * @returns {Array<string>} Textos "Etiqueta: valor"
+   */
+  describeConfig(tipo, configuracion = {}) {
+    const definicion = this.get(tipo);
+    if (!definicion) return [];
+
+    return Object.entries(definicion.configuracion)
+      .filter(([clave]) => !FieldTypeRegistry.isEmpty(configuracion[clave]))
+      .map(([clave, esquema]) => {
+        const valor = configuracion[clave];
+        if (esquema.tipo === 'booleano') return esquema.etiqueta;
+        return `${esquema.etiqueta}: ${
+          Array.isArray(valor) ? valor.join(', ') : valor
+        }`;
+      });
+  }
+
+  /**
+   * Valida el valor que recibe un campo
+   * @param {Object} campo - { nombreCampo, tipoCampo, obligatorio, configuracion }
+   * @param {*} valor - Valor recibido
+   * @returns {Object} { isValid, errors }
+   */
+  validateValue(campo, valor) {
+    const definicion = this.get(campo.tipoCampo);
+    if (!definicion) {
+      return {
+        isValid: false,
+        errors: [`El tipo de campo ${campo.tipoCampo} no está registrado`],
+      };
+    }
+
+    const vacio =
+      FieldTypeRegistry.isEmpty(valor) ||
+      (campo.tipoCampo === 'casilla' && valor === false);
+    if (vacio) {
+      const errors =
+        campo.obligatorio === 'Sí'
+          ? [`El campo "${campo.nombreCampo}" es requerido`]
+          : [];
+      return { isValid: errors.length === 0, errors };
+    }
+
+    const errors = definicion
+      .validarValor(valor, campo.configuracion || {})
+      .map(error => `El campo "${campo.nombreCampo}" ${error}`);
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Valida un rango mínimo-máximo de la configuración
+   * @param {Object} configuracion - Configuración normalizada
+   * @param {string} minimo - Clave del mínimo
+   * @param {string} maximo - Clave del máximo
+   * @param {string} nombre - Nombre del rango en el mensaje
+   * @returns {Array<string>} Errores
+   */
+  static validateRange(configuracion, minimo, maximo, nombre) {
+    const desde = configuracion[minimo];
+    const hasta = configuracion[maximo];
+    if (FieldTypeRegistry.isEmpty(desde) || FieldTypeRegistry.isEmpty(hasta)) {
+      return [];
+    }
+    return desde > hasta
+      ? [`El mínimo de ${nombre} no puede ser mayor que el máximo`]
+      : [];
+  }
+
+  /**
+   * Valida la longitud de un texto
+   * @param {string} texto - Texto recibido
+   * @param {Object} configuracion - { longitudMinima, longitudMaxima }
+   * @returns {Array<string>} Errores
+   */
+  static validateLength(texto, { longitudMinima, longitudMaxima }) {
+    if (longitudMinima !== undefined && texto.length < longitudMinima) {
+      return [`debe tener al menos ${longitudMinima} caracteres`];
+    }
+    if (longitudMaxima !== undefined && texto.length > longitudMaxima) {
+      return [`no puede exceder ${longitudMaxima} caracteres`];
+    }
+    return [];
+  }
+
+  /**
+   * Valida un número contra un rango y una cantidad de decimales
+   * @param {*} valor - Número o texto numérico
+   * @param {Object} configuracion - { minimo, maximo, decimales }
+   * @returns {Array<string>} Errores
+   */
+  static validateNumber(valor, { minimo, maximo, decimales }) {
+    const texto = String(valor).trim();
+    if (!/^-?\d+(\.\d+)?$/.test(texto)) {
+      return ['debe ser un número'];
+    }
+
+    const numero = Number(texto);
+    const errores = [];
+    if (minimo !== undefined && numero < minimo) {
+      errores.push(`no puede ser menor que ${minimo}`);
+    }
+    if (maximo !== undefined && numero > maximo) {
+      errores.push(`no puede ser mayor que ${maximo}`);
+    }
+    const cantidadDecimales = (texto.split('.')[1] || '').length;
+    if (decimales !== undefined && cantidadDecimales > decimales) {
+      errores.push(
+        decimales === 0
+          ? 'no admite decimales'
+          : `admite como máximo ${decimales} decimales`
+      );
+    }
+    return errores;
+  }
+
+  /**
+   * Normaliza un monto escrito con separadores de miles y decimales
+   * Con punto y coma a la vez, el último es el decimal. Con uno solo, si se
+   * repite o va seguido de tres dígitos agrupa miles (1.500.000 en pesos);
+   * si no, es el decimal. Los grupos de miles mal formados se dejan como
+   * vienen para que validateNumber los rechace.
+   * @param {*} valor - Monto escrito (puede traer $ y espacios)
+   * @returns {string} Monto con punto decimal y sin separadores de miles
+   */
+  static normalizeAmount(valor) {
+    const texto = String(valor).replace(/[$\s]/g, '');
+    const punto = texto.lastIndexOf('.');
+    const coma = texto.lastIndexOf(',');
+
+    let decimal = null;
+    let miles = null;
+    if (punto !== -1 && coma !== -1) {
+      decimal = punto > coma ? '.' : ',';
+      miles = punto > coma ? ',' : '.';
+    } else if (punto !== -1 || coma !== -1) {
+      const separador = punto !== -1 ? '.' : ',';
+      const partes = texto.split(separador);
+      if (partes.length > 2 || /^\d{3}$/.test(partes[1])) {
+        miles = separador;
+      } else {
+        decimal = separador;
+      }
+    }
+
+    const posicion = decimal ? texto.lastIndexOf(decimal) : texto.length;
+    let entero = texto.slice(0, posicion);
+    if (miles && entero.includes(miles)) {
+      const grupos =
+        miles === '.' ? /^-?\d{1,3}(\.\d{3})+$/ : /^-?\d{1,3}(,\d{3})+$/;
+      if (!grupos.test(entero)) return texto;
+      entero = entero.split(miles).join('');
+    }
+    return decimal ? `${entero}.${texto.slice(posicion + 1)}` : entero;
+  }
+
+  /**
+   * Calcula el dígito de verificación de un número de identificación (módulo 11)
+   * Es el algoritmo del NIT: cada dígito, de derecha a izquierda, se multiplica
+   * por un primo de la serie y el residuo de la suma entre 11 da el dígito.
+   * @param {string} numero - Número sin dígito de verificación
+   * @returns {number} Dígito de verificación
+   */
+  static getCheckDigit(numero) {
+    const suma = String(numero)
+      .split('')
+      .reverse()
+      .reduce(
+        (total, digito, index) =>
+          total + Number(digito) * FieldTypeRegistry.PESOS_VERIFICACION[index],
+        0
+      );
+    const residuo = suma % 11;
+    return residuo > 1 ? 11 - residuo : residuo;
+  }
+}
+
+// Pesos del dígito de verificación, del dígito de la derecha hacia la izquierda
+FieldTypeRegistry.PESOS_VERIFICACION = [
+  3, 7, 13, 17, 19, 23, 29, 37, 41, 43, 47, 53, 59, 67, 71,
+];
+
+// Esquemas de configuración que comparten varios tipos
+FieldTypeRegistry.CONFIGURACION_LONGITUD = {
+  longitudMinima: { tipo: 'numero', etiqueta: 'Longitud mínima', min: 0 },
+  longitudMaxima: { tipo: 'numero', etiqueta: 'Longitud máxima', min: 1 },
+};
+
+// Esquema de configuración de los valores numéricos
+FieldTypeRegistry.CONFIGURACION_NUMERO = {
+  minimo: { tipo: 'numero', etiqueta: 'Valor mínimo' },
+  maximo: { tipo: 'numero', etiqueta: 'Valor máximo' },
+  decimales: { tipo: 'numero', etiqueta: 'Decimales', min: 0 },
+};
+
+// Tipos de campo que trae la aplicación
+FieldTypeRegistry.TIPOS_PREDETERMINADOS = [
+  {
+    tipo: 'linea_texto',
+    etiqueta: 'Línea de Texto',
+    icono: 'fas fa-font',
+    color: 'bg-primary',
+    configuracion: {
+      ...FieldTypeRegistry.CONFIGURACION_LONGITUD,
+      patron: { tipo: 'texto', etiqueta: 'Patrón (expresión regular)' },
+    },
+    validarConfiguracion: config => {
+      const errores = FieldTypeRegistry.validateRange(
+        config,
+        'longitudMinima',
+        'longitudMaxima',
+        'longitud'
+      );
+      if (config.patron) {
+        try {
+          new RegExp(config.patron);
+        } catch (error) {
+          errores.push('El patrón no es una expresión regular válida');
+        }
+      }
+      return errores;
+    },
+    validarValor: (valor, config) => {
+      const texto = String(valor);
+      const errores = FieldTypeRegistry.validateLength(texto, config);
+      if (config.patron && !new RegExp(`^(?:${config.patron})$`).test(texto)) {
+        errores.push('no tiene el formato esperado');
+      }
+      return errores;
+    },
+  },
+  {
+    tipo: 'parrafo',
+    etiqueta: 'Párrafo',
+    icono: 'fas fa-align-left',
+    color: 'bg-primary',
+    configuracion: { ...FieldTypeRegistry.CONFIGURACION_LONGITUD },
+    validarConfiguracion: config =>
+      FieldTypeRegistry.validateRange(
+        config,
+        'longitudMinima',
+        'longitudMaxima',
+        'longitud'
+      ),
+    validarValor: (valor, config) =>
+      FieldTypeRegistry.validateLength(String(valor), config),
+  },
+  {
+    tipo: 'fecha',
+    etiqueta: 'Fecha',
+    icono: 'fas fa-calendar-alt',
+    color: 'bg-info',
+    configuracion: {
+      fechaMinima: { tipo: 'fecha', etiqueta: 'Fecha mínima' },
+      fechaMaxima: { tipo: 'fecha', etiqueta: 'Fecha máxima' },
+    },
+    validarConfiguracion: config =>
+      FieldTypeRegistry.validateRange(
+        config,
+        'fechaMinima',
+        'fechaMaxima',
+        'fecha'
+      ),
+    validarValor: (valor, config) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(valor)) {
+        return ['debe ser una fecha con el formato AAAA-MM-DD'];
+      }
+      if (config.fechaMinima && valor < config.fechaMinima) {
+        return [`no puede ser anterior a ${config.fechaMinima}`];
+      }
+      if (config.fechaMaxima && valor > config.fechaMaxima) {
+        return [`no puede ser posterior a ${config.fechaMaxima}`];
+      }
+      return [];
+    },
+  },
+  {
+    tipo: 'numerico',
+    etiqueta: 'Numérico',
+    icono: 'fas fa-hashtag',
+    color: 'bg-success',
+    configuracion: { ...FieldTypeRegistry.CONFIGURACION_NUMERO },
+    validarConfiguracion: config =>
+      FieldTypeRegistry.validateRange(config, 'minimo', 'maximo', 'valor'),
+    validarValor: (valor, config) =>
+      FieldTypeRegistry.validateNumber(valor, config),
+  },
+  {
+    tipo: 'correo',
+    etiqueta: 'Correo Electrónico',
+    icono: 'fas fa-envelope',
+    color: 'bg-info',
+    configuracion: {
+      dominios: {
+        tipo: 'lista',
+        etiqueta: 'Dominios permitidos (separados por coma)',
+      },
+    },
+    validarValor: (valor, config) => {
+      const correo = String(valor).trim();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(correo)) {
+        return ['debe ser un correo electrónico válido'];
+      }
+      const dominio = correo.split('@')[1].toLowerCase();
+      if (
+        config.dominios &&
+        !config.dominios.some(permitido => permitido.toLowerCase() === dominio)
+      ) {
+        return [`debe ser de los dominios: ${config.dominios.join(', ')}`];
+      }
+      return [];
+    },
+  },
+  {
+    tipo: 'telefono',
+    etiqueta: 'Teléfono',
+    icono: 'fas fa-phone',
+    color: 'bg-info',
+    configuracion: {
+      longitudMinima: { tipo: 'numero', etiqueta: 'Dígitos mínimos', min: 1 },
+      longitudMaxima: { tipo: 'numero', etiqueta: 'Dígitos máximos', min: 1 },
+    },
+    validarConfiguracion: config =>
+      FieldTypeRegistry.validateRange(
+        config,
+        'longitudMinima',
+        'longitudMaxima',
+        'dígitos'
+      ),
+    validarValor: (valor, { longitudMinima = 7, longitudMaxima = 15 }) => {
+      const telefono = String(valor).trim();
+      if (!/^\+?[\d\s()-]+$/.test(telefono)) {
+        return ['debe contener solo dígitos, espacios, guiones o paréntesis'];
+      }
+      const digitos = telefono.replace(/\D/g, '').length;
+      if (digitos < longitudMinima || digitos > longitudMaxima) {
+        return [
+          `debe tener entre ${longitudMinima} y ${longitudMaxima} dígitos`,
+        ];
+      }
+      return [];
+    },
+  },
+  {
+    tipo: 'documento_identidad',
+    etiqueta: 'Documento de Identidad',
+    icono: 'fas fa-id-card',
+    color: 'bg-warning',
+    configuracion: {
+      ...FieldTypeRegistry.CONFIGURACION_LONGITUD,
+      digitoVerificacion: {
+        tipo: 'booleano',
+        etiqueta: 'Exige dígito de verificación',
+      },
+    },
+    validarConfiguracion: config =>
+      FieldTypeRegistry.validateRange(
+        config,
+        'longitudMinima',
+        'longitudMaxima',
+        'longitud'
+      ),
+    validarValor: (valor, config) => {
+      const texto = String(valor).trim();
+      const partes = config.digitoVerificacion
+        ? /^(\d+)-(\d)$/.exec(texto)
+        : /^(\d+)$/.exec(texto);
+      if (!partes) {
+        return [
+          config.digitoVerificacion
+            ? 'debe tener el formato número-dígito de verificación (sin puntos)'
+            : 'debe contener solo dígitos, sin puntos ni guiones',
+        ];
+      }
+      // El dígito de verificación solo tiene pesos para los primeros dígitos
+      if (
+        config.digitoVerificacion &&
+        partes[1].length > FieldTypeRegistry.PESOS_VERIFICACION.length
+      ) {
+        return [
+          `no puede exceder ${FieldTypeRegistry.PESOS_VERIFICACION.length} dígitos antes del dígito de verificación`,
+        ];
+      }
+      const errores = FieldTypeRegistry.validateLength(partes[1], config);
+      if (
+        config.digitoVerificacion &&
+        FieldTypeRegistry.getCheckDigit(partes[1]) !== Number(partes[2])
+      ) {
+        errores.push('tiene un dígito de verificación incorrecto');
+      }
+      return errores;
+    },
+  },
+  {
+    tipo: 'seleccion_unica',
+    etiqueta: 'Selección Única',
+    icono: 'fas fa-dot-circle',
+    color: 'bg-secondary',
+    configuracion: {
+      opciones: {
+        tipo: 'opciones',
+        etiqueta: 'Opciones (una por línea)',
+        requerido: true,
+      },
+    },
+    validarValor: (valor, config) =>
+      (config.opciones || []).includes(valor)
+        ? []
+        : ['debe ser una de las opciones de la lista'],
+  },
+  {
+    tipo: 'seleccion_multiple',
+    etiqueta: 'Selección Múltiple',
+    icono: 'fas fa-tasks',
+    color: 'bg-secondary',
+    configuracion: {
+      opciones: {
+        tipo: 'opciones',
+        etiqueta: 'Opciones (una por línea)',
+        requerido: true,
+      },
+      seleccionMinima: {
+        tipo: 'numero',
+        etiqueta: 'Selección mínima',
+        min: 0,
+      },
+      seleccionMaxima: {
+        tipo: 'numero',
+        etiqueta: 'Selección máxima',
+        min: 1,
+      },
+    },
+    validarConfiguracion: config => {
+      const errores = FieldTypeRegistry.validateRange(
+        config,
+        'seleccionMinima',
+        'seleccionMaxima',
+        'selección'
+      );
+      if (config.seleccionMinima > config.opciones.length) {
+        errores.push(
+          'La selección mínima no puede ser mayor que la cantidad de opciones'
+        );
+      }
+      return errores;
+    },
+    validarValor: (valor, config) => {
+      const elegidas = Array.isArray(valor) ? valor : [valor];
+      const opciones = config.opciones || [];
+      if (elegidas.some(opcion => !opciones.includes(opcion))) {
+        return ['solo admite opciones de la lista'];
+      }
+      if (new Set(elegidas).size !== elegidas.length) {
+        return ['tiene opciones repetidas'];
+      }
+      if (
+        config.seleccionMinima !== undefined &&
+        elegidas.length < config.seleccionMinima
+      ) {
+        return [`requiere al menos ${config.seleccionMinima} opciones`];
+      }
+      if (
+        config.seleccionMaxima !== undefined &&
+        elegidas.length > config.seleccionMaxima
+      ) {
+        return [`admite como máximo ${config.seleccionMaxima} opciones`];
+      }
+      return [];
+    },
+  },
+  {
+    tipo: 'casilla',
+    etiqueta: 'Casilla de Verificación',
+    icono: 'fas fa-check-square',
+    color: 'bg-dark',
+    configuracion: {},
+    validarValor: valor =>
+      typeof valor === 'boolean' ? [] : ['debe estar marcado o desmarcado'],
+  },
+  {
+    tipo: 'archivo',
+    etiqueta: 'Archivo',
+    icono: 'fas fa-paperclip',
+    color: 'bg-danger',
+    configuracion: {
+      tiposPermitidos: {
+        tipo: 'lista',
+        etiqueta: 'Tipos MIME permitidos (p. ej. application/pdf, image/*)',
+      },
+      tamanoMaximoMB: {
+        tipo: 'numero',
+        etiqueta: 'Tamaño máximo (MB)',
+        min: 0,
+      },
+    },
+    validarConfiguracion: config =>
+      (config.tiposPermitidos || [])
+        .filter(tipo => !/^[\w.+-]+\/(\*|[\w.+-]+)$/.test(tipo))
+        .map(tipo => `El tipo MIME "${tipo}" no es válido`),
+    validarValor: (valor, config) => {
+      if (!valor || typeof valor !== 'object' || !valor.nombre) {
+        return ['debe ser un archivo'];
+      }
+      const errores = [];
+      const tipoArchivo = (valor.tipo || '').toLowerCase();
+      if (
+        config.tiposPermitidos &&
+        !config.tiposPermitidos.some(permitido => {
+          const [grupo, subtipo] = permitido.toLowerCase().split('/');
+          return subtipo === '*'
+            ? tipoArchivo.startsWith(`${grupo}/`)
+            : tipoArchivo === `${grupo}/${subtipo}`;
+        })
+      ) {
+        errores.push(`debe ser de tipo: ${config.tiposPermitidos.join(', ')}`);
+      }
+      if (
+        config.tamanoMaximoMB !== undefined &&
+        (valor.tamano || 0) > config.tamanoMaximoMB * 1024 * 1024
+      ) {
+        errores.push(`no puede pesar más de ${config.tamanoMaximoMB} MB`);
+      }
+      return errores;
+    },
+  },
+  {
+    tipo: 'moneda',
+    etiqueta: 'Moneda',
+    icono: 'fas fa-money-bill-wave',
+    color: 'bg-success',
+    configuracion: {
+      moneda: { tipo: 'texto', etiqueta: 'Código de moneda (p. ej. COP)' },
+      ...FieldTypeRegistry.CONFIGURACION_NUMERO,
+    },
+    validarConfiguracion: config => {
+      const errores = FieldTypeRegistry.validateRange(
+        config,
+        'minimo',
+        'maximo',
+        'valor'
+      );
+      if (config.moneda && !/^[A-Z]{3}$/.test(config.moneda)) {
+        errores.push('El código de moneda debe tener tres letras mayúsculas');
+      }
+      return errores;
+    },
+    validarValor: (valor, config) =>
+      FieldTypeRegistry.validateNumber(
+        FieldTypeRegistry.normalizeAmount(valor),
+        config
+      ),
+  },
+];
@@ -0,0 +1,285 @@
+/**
+ * Utilidades para leer y escribir calendarios iCalendar (ICS, RFC 5545)
+ * Solo maneja eventos (VEVENT) de día completo o con hora, que es lo que
+ * intercambia la aplicación con otros calendarios.
+ */
+class ICalendar {
+  /**
+   * Construye el texto ICS de un calendario
+   * @param {Array} eventos - [{ uid, inicio, fin, resumen, descripcion, categorias, ubicacion,
+   *   modificado, propiedades }] con inicio y fin en formato YYYY-MM-DD; fin es
+   *   exclusivo y por defecto el día siguiente. modificado (fecha ISO) se escribe
+   *   como LAST-MODIFIED y propiedades ({ 'X-NOMBRE': valor }) como propiedades
+   *   extendidas.
+   * @param {Object} options - { nombre } del calendario
+   * @returns {string} Texto ICS con saltos de línea CRLF
+   */
+  static construir(eventos, options = {}) {
+    const dtstamp = ICalendar.formatearFechaHora(new Date());
+    const lineas = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${ICalendar.PRODID}`,
+      'CALSCALE:GREGORIAN',
+    ];
+    if (options.nombre) {
+      lineas.push(`X-WR-CALNAME:${ICalendar.escapar(options.nombre)}`);
+    }
+
+    eventos.forEach(evento => {
+      lineas.push(
+        'BEGIN:VEVENT',
+        `UID:${evento.uid}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART;VALUE=DATE:${ICalendar.formatearFecha(evento.inicio)}`,
+        `DTEND;VALUE=DATE:${ICalendar.formatearFecha(
+          evento.fin || ICalendar.sumarDias(evento.inicio, 1)
+        )}`,
+        `SUMMARY:${ICalendar.escapar(evento.resumen)}`
+      );
+      if (evento.descripcion) {
+        lineas.push(`DESCRIPTION:${ICalendar.escapar(evento.descripcion)}`);
+      }
+      if (evento.categorias && evento.categorias.length > 0) {
+        lineas.push(
+          `CATEGORIES:${evento.categorias.map(ICalendar.escapar).join(',')}`
+        );
+      }
+      if (evento.ubicacion) {
+        lineas.push(`LOCATION:${ICalendar.escapar(evento.ubicacion)}`);
+      }
+      if (evento.modificado) {
+        lineas.push(
+          `LAST-MODIFIED:${ICalendar.formatearFechaHora(
+            new Date(evento.modificado)
+          )}`
+        );
+      }
+      Object.entries(evento.propiedades || {}).forEach(([nombre, valor]) => {
+        if (valor) lineas.push(`${nombre}:${ICalendar.escapar(valor)}`);
+      });
+      lineas.push('END:VEVENT');
+    });
+
+    lineas.push('END:VCALENDAR');
+    return lineas.map(ICalendar.plegar).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Lee los eventos de un texto ICS
+   * @param {string} texto - Contenido del archivo ICS
+   * @returns {Array} [{ uid, inicio, fin, resumen, descripcion, categorias, ubicacion,
+   *   propiedades }] con inicio y fin (exclusivo) en formato YYYY-MM-DD y las
+   *   propiedades extendidas (X-) en propiedades
+   * @throws {Error} Si el texto no es un calendario
+   */
+  static parsear(texto) {
+    const lineas = ICalendar.desplegar(texto || '');
+    if (!lineas.some(linea => linea.toUpperCase() === 'BEGIN:VCALENDAR')) {
+      throw new Error('El archivo no es un calendario ICS');
+    }
+
+    const eventos = [];
+    let actual = null;
+    lineas.forEach(linea => {
+      const separador = linea.indexOf(':');
+      if (separador === -1) return;
+
+      const [nombre] = linea.slice(0, separador).toUpperCase().split(';');
+      const valor = linea.slice(separador + 1);
+
+      if (nombre === 'BEGIN' && valor.toUpperCase() === 'VEVENT') {
+        actual = { categorias: [], propiedades: {} };
+      } else if (nombre === 'END' && valor.toUpperCase() === 'VEVENT') {
+        if (actual && actual.inicio) {
+          eventos.push({
+            ...actual,
+            fin: actual.fin || ICalendar.sumarDias(actual.inicio, 1),
+          });
+        }
+        actual = null;
+      } else if (actual) {
+        ICalendar.asignarPropiedad(actual, nombre, valor);
+      }
+    });
+
+    return eventos;
+  }
+
+  /**
+   * Asigna una propiedad ICS al evento que se está leyendo
+   * Las propiedades extendidas (X-) se guardan en evento.propiedades.
+   * @param {Object} evento - Evento en construcción
+   * @param {string} nombre - Nombre de la propiedad en mayúsculas
+   * @param {string} valor - Valor sin desescapar
+   */
+  static asignarPropiedad(evento, nombre, valor) {
+    switch (nombre) {
+      case 'UID':
+        evento.uid = valor;
+        break;
+      case 'DTSTART':
+        evento.inicio = ICalendar.leerFecha(valor);
+        break;
+      case 'DTEND':
+        evento.fin = ICalendar.leerFecha(valor, { fin: true });
+        break;
+      case 'SUMMARY':
+        evento.resumen = ICalendar.desescapar(valor);
+        break;
+      case 'DESCRIPTION':
+        evento.descripcion = ICalendar.desescapar(valor);
+        break;
+      case 'CATEGORIES':
+        evento.categorias.push(
+          ...valor.split(/(?<!\\),/).map(ICalendar.desescapar)
+        );
+        break;
+      case 'LOCATION':
+        evento.ubicacion = ICalendar.desescapar(valor);
+        break;
+      default:
+        if (nombre.startsWith('X-')) {
+          evento.propiedades[nombre] = ICalendar.desescapar(valor);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Une las líneas plegadas (las que continúan empiezan con espacio o tab)
+   * @param {string} texto - Texto ICS
+   * @returns {Array<string>} Líneas lógicas no vacías
+   */
+  static desplegar(texto) {
+    return texto
+      .replace(/\r\n[ \t]/g, '')
+      .replace(/\n[ \t]/g, '')
+      .split(/\r?\n/)
+      .map(linea => linea.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Pliega una línea larga en fragmentos de 75 octetos
+   * El límite de RFC 5545 se mide en bytes UTF-8 (el espacio inicial de cada
+   * continuación cuenta) y nunca se corta un carácter por la mitad.
+   * @param {string} linea - Línea lógica
+   * @returns {string} Línea plegada con CRLF y espacio
+   */
+  static plegar(linea) {
+    const partes = [];
+    let actual = '';
+    let octetos = 0;
+    for (const caracter of linea) {
+      const codigo = caracter.codePointAt(0);
+      const tamano =
+        codigo < 0x80 ? 1 : codigo < 0x800 ? 2 : codigo < 0x10000 ? 3 : 4;
+      const limite = partes.length === 0 ? 75 : 74;
+      if (octetos + tamano > limite) {
+        partes.push(actual);
+        actual = '';
+        octetos = 0;
+      }
+      actual += caracter;
+      octetos += tamano;
+    }
+    partes.push(actual);
+    return partes.join('\r\n ');
+  }
+
+  /**
+   * Escapa un texto para un valor ICS
+   * @param {string} texto - Texto a escapar
+   * @returns {string} Texto escapado
+   */
+  static escapar(texto) {
+    return (texto || '')
+      .toString()
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Desescapa un valor ICS
+   * @param {string} texto - Valor escapado
+   * @returns {string} Texto original
+   */
+  static desescapar(texto) {
+    return (texto || '').replace(/\\([\\;,nN])/g, (_, caracter) =>
+      caracter.toLowerCase() === 'n' ? '\n' : caracter
+    );
+  }
+
+  /**
+   * Convierte una fecha YYYY-MM-DD al formato de fecha ICS
+   * @param {string} fecha - Fecha en formato YYYY-MM-DD
+   * @returns {string} Fecha en formato YYYYMMDD
+   */
+  static formatearFecha(fecha) {
+    return fecha.replace(/-/g, '');
+  }
+
+  /**
+   * Convierte una fecha y hora al formato UTC de ICS
+   * @param {Date} fecha - Fecha y hora
+   * @returns {string} Fecha en formato YYYYMMDDTHHMMSSZ
+   */
+  static formatearFechaHora(fecha) {
+    return fecha.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+  }
+
+  /**
+   * Lee la fecha de un valor DTSTART o DTEND
+   * Con hora se toma el día local; las horas UTC (…Z) se convierten antes a la
+   * zona del navegador. Como fin, un DTEND de fecha o de medianoche ya es
+   * exclusivo; con otra hora el evento ocupa ese día y se devuelve el siguiente.
+   * @param {string} valor - Valor YYYYMMDD o YYYYMMDDTHHMMSS[Z]
+   * @param {Object} options - { fin } para leer un DTEND
+   * @returns {string|undefined} Fecha en formato YYYY-MM-DD o undefined si no es válida
+   */
+  static leerFecha(valor, { fin = false } = {}) {
+    const partes =
+      /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?/i.exec(
+        valor.trim()
+      );
+    if (!partes) return undefined;
+
+    const [anio, mes, dia, hora, minuto, segundo] = partes
+      .slice(1, 7)
+      .map(parte => Number(parte || 0));
+    const fecha = partes[7]
+      ? new Date(Date.UTC(anio, mes - 1, dia, hora, minuto, segundo))
+      : new Date(anio, mes - 1, dia, hora, minuto, segundo);
+    if (isNaN(fecha.getTime())) return undefined;
+
+    const local = [
+      fecha.getFullYear(),
+      String(fecha.getMonth() + 1).padStart(2, '0'),
+      String(fecha.getDate()).padStart(2, '0'),
+    ].join('-');
+    const medianoche =
+      fecha.getHours() === 0 &&
+      fecha.getMinutes() === 0 &&
+      fecha.getSeconds() === 0;
+    return fin && !medianoche ? ICalendar.sumarDias(local, 1) : local;
+  }
+
+  /**
+   * Suma días a una fecha sin depender de la zona horaria
+   * @param {string} fecha - Fecha en formato YYYY-MM-DD
+   * @param {number} dias - Días a sumar
+   * @returns {string} Fecha resultante en formato YYYY-MM-DD
+   */
+  static sumarDias(fecha, dias) {
+    const [anio, mes, dia] = fecha.split('-').map(Number);
+    return new Date(Date.UTC(anio, mes - 1, dia + dias))
+      .toISOString()
+      .split('T')[0];
+  }
+}
+
+// Identificador del producto que genera los calendarios
+ICalendar.PRODID = '-//Configuracion de Tramites//ES';
@@ -0,0 +1,290 @@
+/**
+ * Adaptador de persistencia sobre IndexedDB
+ * Usa un object store por colección (clave `id`) y escribe registro a registro,
+ * de modo que guardar un elemento no reescribe la colección completa.
+ * Cada registro se guarda como { id, orden, data } para conservar el orden de inserción.
+ */
+class IndexedDBAdapter extends StorageAdapter {
+  constructor(dbName = 'config_tramite') {
+    super('indexedDB');
+    this.dbName = dbName;
+    this.db = null;
+    this.queue = Promise.resolve();
+    this.sequence = 0;
+  }
+
+  /**
+   * Indica si IndexedDB está disponible
+   * @returns {boolean} True si está soportado
+   */
+  static isSupported() {
+    try {
+      return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Abre la base de datos
+   * @param {number} [version] - Versión a abrir; si se omite se usa la actual
+   * @param {string} [newStore] - Object store a crear durante la actualización
+   * @returns {Promise<IDBDatabase>} Conexión abierta
+   */
+  open(version, newStore) {
+    return new Promise((resolve, reject) => {
+      const request = version
+        ? indexedDB.open(this.dbName, version)
+        : indexedDB.open(this.dbName);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (newStore && !db.objectStoreNames.contains(newStore)) {
+          db.createObjectStore(newStore, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Otra pestaña necesita actualizar el esquema: liberar la conexión
+        db.onversionchange = () => {
+          db.close();
+          if (this.db === db) {
+            this.db = null;
+          }
+        };
+        this.db = db;
+        resolve(db);
+      };
+
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => {
+        console.warn(
+          `⚠️ Apertura de ${this.dbName} bloqueada por otra pestaña abierta`
+        );
+      };
+    });
+  }
+
+  /**
+   * Garantiza que exista el object store de una colección
+   * Las actualizaciones de esquema se serializan para evitar aperturas concurrentes.
+   * @param {string} collection - Nombre de la colección
+   * @returns {Promise<IDBDatabase>} Conexión con el store disponible
+   */
+  ensureStore(collection) {
+    const tarea = this.queue.then(async () => {
+      for (let intento = 0; intento < 3; intento++) {
+        if (!this.db) {
+          await this.open();
+        }
+
+        if (this.db.objectStoreNames.contains(collection)) {
+          return this.db;
+        }
+
+        const version = this.db.version + 1;
+        this.db.close();
+        this.db = null;
+
+        try {
+          return await this.open(version, collection);
+        } catch (error) {
+          // Otra pestaña subió la versión primero: reintentar con la actual
+          if (!error || error.name !== 'VersionError') {
+            throw error;
+          }
+        }
+      }
+
+      throw new Error(`No se pudo crear el almacén ${collection}`);
+    });
+
+    this.queue = tarea.catch(() => {});
+    return tarea;
+  }
+
+  /**
+   * Ejecuta una operación dentro de una transacción
+   * @param {string} collection - Nombre de la colección
+   * @param {string} mode - 'readonly' o 'readwrite'
+   * @param {Function} operation - Recibe el store y puede retornar un IDBRequest
+   * @returns {Promise<*>} Resultado del request retornado, al completar la transacción
+   */
+  async transaction(collection, mode, operation) {
+    const db = await this.ensureStore(collection);
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(collection, mode);
+      const request = operation(tx.objectStore(collection));
+
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () =>
+        reject(tx.error || new Error(`Transacción abortada en ${collection}`));
+    });
+  }
+
+  /**
+   * Genera un valor de orden creciente para registros nuevos
+   * @returns {number} Orden
+   */
+  nextOrder() {
+    this.sequence = (this.sequence + 1) % 1000;
+    return Date.now() * 1000 + this.sequence;
+  }
+
+  /**
+   * Envuelve un registro para guardarlo en el store
+   * @param {Object} record - Registro con `id`
+   * @param {number} orden - Posición del registro
+   * @returns {Object} Registro envuelto
+   */
+  wrapRecord(record, orden) {
+    if (!record || record.id === undefined || record.id === null) {
+      throw new Error('No se puede guardar un registro sin id');
+    }
+    return { id: record.id, orden, data: record };
+  }
+
+  /**
+   * Carga todos los registros de una colección en su orden de inserción
+   * @param {string} collection - Nombre de la colección
+   * @returns {Promise<Array>} Registros
+   */
+  async loadAll(collection) {
+    const registros = await this.transaction(collection, 'readonly', store =>
+      store.getAll()
+    );
+
+    return (registros || [])
+      .sort((a, b) => a.orden - b.orden)
+      .map(registro => registro.data);
+  }
+
+  /**
+   * Reemplaza todos los registros de una colección en una sola transacción
+   * @param {string} collection - Nombre de la colección
+   * @param {Array} records - Registros a guardar
+   */
+  async saveAll(collection, records) {
+    const envueltos = records.map((record, index) =>
+      this.wrapRecord(record, index)
+    );
+
+    await this.transaction(collection, 'readwrite', store => {
+      store.clear();
+      envueltos.forEach(registro => store.put(registro));
+    });
+  }
+
+  /**
+   * Inserta o actualiza un registro conservando su posición
+   * @param {string} collection - Nombre de la colección
+   * @param {Object} record - Registro con `id`
+   */
+  async put(collection, record) {
+    await this.putMany(collection, [record]);
+  }
+
+  /**
+   * Inserta o actualiza varios registros en una sola transacción
+   * La verificación de revisiones ocurre dentro de la misma transacción, por lo
+   * que ninguna otra pestaña puede escribir entre la lectura y la escritura.
+   * @param {string} collection - Nombre de la colección
+   * @param {Array} records - Registros con `id`
+   * @param {Object} options - Opciones de escritura (expectedRevisions)
+   * @throws {RevisionConflictError} Si alguna revisión no coincide
+   */
+  async putMany(collection, records, options = {}) {
+    const ordenes = records.map(() => this.nextOrder());
+    records.forEach((record, index) => this.wrapRecord(record, ordenes[index]));
+
+    const esperadas = options.expectedRevisions || {};
+    const conflicts = [];
+
+    try {
+      await this.transaction(collection, 'readwrite', store => {
+        records.forEach((record, index) => {
+          const lectura = store.get(record.id);
+          lectura.onsuccess = () => {
+            const existente = lectura.result;
+            if (
+              !this.checkRevision(
+                store,
+                String(record.id),
+                existente,
+                esperadas,
+                conflicts
+              )
+            ) {
+              return;
+            }
+            store.put(
+              this.wrapRecord(
+                record,
+                existente ? existente.orden : ordenes[index]
+              )
+            );
+          };
+        });
+      });
+    } catch (error) {
+      if (conflicts.length > 0) {
+        throw new RevisionConflictError(collection, conflicts);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Compara la revisión guardada con la esperada y aborta la transacción si difieren
+   * @param {IDBObjectStore} store - Store de la transacción
+   * @param {string} id - ID del registro
+   * @param {Object|undefined} existente - Registro envuelto guardado
+   * @param {Object} esperadas - Revisión esperada por ID
+   * @param {Array} conflicts - Conflictos encontrados
+   * @returns {boolean} True si se puede escribir
+   */
+  checkRevision(store, id, existente, esperadas, conflicts) {
+    if (conflicts.length > 0) return false;
+    if (!Object.prototype.hasOwnProperty.call(esperadas, id)) return true;
+
+    const actual = this.getRevision(existente ? existente.data : null);
+    if (actual === esperadas[id]) return true;
+
+    conflicts.push({ id, expected: esperadas[id], actual });
+    store.transaction.abort();
+    return false;
+  }
+
+  /**
+   * Elimina un registro por ID
+   * @param {string} collection - Nombre de la colección
+   * @param {string} id - ID del registro
+   */
+  async delete(collection, id) {
+    await this.deleteMany(collection, [id]);
+  }
+
+  /**
+   * Elimina varios registros en una sola transacción
+   * @param {string} collection - Nombre de la colección
+   * @param {Array<string>} ids - IDs de los registros
+   */
+  async deleteMany(collection, ids) {
+    await this.transaction(collection, 'readwrite', store => {
+      ids.forEach(id => store.delete(id));
+    });
+  }
+
+  /**
+   * Elimina todos los registros de una colección
+   * @param {string} collection - Nombre de la colección
+   */
+  async clear(collection) {
+    await this.transaction(collection, 'readwrite', store => {
+      store.clear();
+    });
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Adaptador de persistencia sobre localStorage
+ * Guarda cada colección como un array JSON bajo su clave. Se mantiene como
+ * respaldo cuando IndexedDB no está disponible.
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  constructor() {
+    super('localStorage');
+  }
+
+  /**
+   * Indica si localStorage está disponible
+   * @returns {boolean} True si está soportado
+   */
+  static isSupported() {
+    try {
+      return typeof localStorage !== 'undefined';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Carga todos los registros de una colección
+   * @param {string} collection - Clave de la colección
+   * @returns {Promise<Array|null>} Registros o null si no existen o están corruptos
+   */
+  async loadAll(collection) {
+    const data = localStorage.getItem(collection);
+    if (!data) return null;
+
+    try {
+      return JSON.parse(data);
+    } catch (parseError) {
+      console.error(`❌ Error al parsear JSON para ${collection}:`, parseError);
+      console.error(`🔍 Datos corruptos:`, data);
+      return null;
+    }
+  }
+
+  /**
+   * Reemplaza todos los registros de una colección
+   * @param {string} collection - Clave de la colección
+   * @param {Array} records - Registros a guardar
+   */
+  async saveAll(collection, records) {
+    localStorage.setItem(collection, JSON.stringify(records));
+  }
+
+  /**
+   * Inserta o actualiza un registro
+   * @param {string} collection - Clave de la colección
+   * @param {Object} record - Registro con `id`
+   */
+  async put(collection, record) {
+    await this.putMany(collection, [record]);
+  }
+
+  /**
+   * Inserta o actualiza varios registros con una sola escritura
+   * @param {string} collection - Clave de la colección
+   * @param {Array} records - Registros con `id`
+   * @param {Object} options - Opciones de escritura (expectedRevisions)
+   * @throws {RevisionConflictError} Si alguna revisión no coincide
+   */
+  async putMany(collection, records, options = {}) {
+    const actuales = await this.loadAll(collection);
+    const registros = Array.isArray(actuales) ? actuales : [];
+
+    if (options.expectedRevisions) {
+      this.assertRevisions(collection, registros, options.expectedRevisions);
+    }
+
+    records.forEach(record => {
+      const index = registros.findIndex(item => item.id === record.id);
+      if (index === -1) {
+        registros.push(record);
+      } else {
+        registros[index] = record;
+      }
+    });
+
+    await this.saveAll(collection, registros);
+  }
+
+  /**
+   * Elimina un registro por ID
+   * @param {string} collection - Clave de la colección
+   * @param {string} id - ID del registro
+   */
+  async delete(collection, id) {
+    await this.deleteMany(collection, [id]);
+  }
+
+  /**
+   * Elimina varios registros con una sola escritura
+   * @param {string} collection - Clave de la colección
+   * @param {Array<string>} ids - IDs de los registros
+   */
+  async deleteMany(collection, ids) {
+    const actuales = await this.loadAll(collection);
+    if (!Array.isArray(actuales)) return;
+
+    await this.saveAll(
+      collection,
+      actuales.filter(item => !ids.includes(item.id))
+    );
+  }
+
+  /**
+   * Elimina todos los registros de una colección
+   * @param {string} collection - Clave de la colección
+   */
+  async clear(collection) {
+    await this.saveAll(collection, []);
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Registro de migraciones de esquema por colección
+ * Cada colección (clave de almacenamiento) tiene migraciones numeradas desde 1;
+ * una migración recibe un registro en el esquema anterior y retorna el registro
+ * en su versión. Las migraciones deben ser idempotentes.
+ */
+class MigrationRegistry {
+  constructor() {
+    this.migrations = new Map();
+  }
+
+  /**
+   * Obtiene el registro compartido por todos los servicios
+   * @returns {MigrationRegistry} Registro por defecto
+   */
+  static getDefault() {
+    if (!MigrationRegistry.defaultInstance) {
+      MigrationRegistry.defaultInstance = new MigrationRegistry();
+    }
+    return MigrationRegistry.defaultInstance;
+  }
+
+  /**
+   * Registra una migración para una colección
+   * @param {string} storageKey - Clave de almacenamiento de la colección
+   * @param {Object} migration - Migración a registrar
+   * @param {number} migration.version - Versión de esquema que produce (entero >= 1)
+   * @param {string} migration.descripcion - Descripción del cambio
+   * @param {Function} migration.migrate - Recibe un registro y retorna el registro migrado
+   */
+  register(storageKey, migration) {
+    const { version, descripcion, migrate } = migration || {};
+
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(
+        `Versión de migración inválida para ${storageKey}: ${version}`
+      );
+    }
+    if (typeof migrate !== 'function') {
+      throw new Error(
+        `La migración ${version} de ${storageKey} debe definir migrate()`
+      );
+    }
+
+    if (!this.migrations.has(storageKey)) {
+      this.migrations.set(storageKey, new Map());
+    }
+
+    const porVersion = this.migrations.get(storageKey);
+    const existente = porVersion.get(version);
+    if (existente && existente.migrate !== migrate) {
+      throw new Error(
+        `Ya existe la migración ${version} para ${storageKey}: ${existente.descripcion}`
+      );
+    }
+
+    porVersion.set(version, {
+      version,
+      descripcion: descripcion || '',
+      migrate,
+    });
+  }
+
+  /**
+   * Indica si una colección ya tiene registrada una versión
+   * @param {string} storageKey - Clave de almacenamiento de la colección
+   * @param {number} version - Versión de esquema
+   * @returns {boolean} True si existe
+   */
+  has(storageKey, version) {
+    const porVersion = this.migrations.get(storageKey);
+    return porVersion ? porVersion.has(version) : false;
+  }
+
+  /**
+   * Obtiene las migraciones de una colección ordenadas por versión
+   * @param {string} storageKey - Clave de almacenamiento de la colección
+   * @returns {Array} Migraciones
+   */
+  getMigrations(storageKey) {
+    const porVersion = this.migrations.get(storageKey);
+    if (!porVersion) return [];
+    return Array.from(porVersion.values()).sort(
+      (a, b) => a.version - b.version
+    );
+  }
+
+  /**
+   * Obtiene la última versión de esquema registrada para una colección
+   * @param {string} storageKey - Clave de almacenamiento de la colección
+   * @returns {number} Versión (0 si no hay migraciones)
+   */
+  getLatestVersion(storageKey) {
+    const migraciones = this.getMigrations(storageKey);
+    return migraciones.length > 0
+      ? migraciones[migraciones.length - 1].version
+      : 0;
+  }
+
+  /**
+   * Obtiene las migraciones pendientes a partir de una versión
+   * @param {string} storageKey - Clave de almacenamiento de la colección
+   * @param {number} fromVersion - Versión aplicada actualmente
+   * @returns {Array} Migraciones pendientes en orden
+   */
+  getPending(storageKey, fromVersion = 0) {
+    return this.getMigrations(storageKey).filter(
+      migration => migration.version > fromVersion
+    );
+  }
+}
@@ -0,0 +1,309 @@
+/**
+ * Diario de operaciones para deshacer y rehacer
+ * Los servicios registran cada escritura con el estado de los registros antes y
+ * después del cambio; deshacer restaura el estado anterior y rehacer el posterior.
+ * Varias escrituras pueden agruparse en un lote que se deshace en un solo paso:
+ * la tarea recibe el lote y lo pasa a los servicios que llama.
+ */
+class OperationJournal {
+  constructor(options = {}) {
+    this.limit = options.limit || 50;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.eventManager = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Obtiene el diario compartido por todos los servicios
+   * @returns {OperationJournal} Diario por defecto
+   */
+  static getDefault() {
+    if (!OperationJournal.defaultInstance) {
+      OperationJournal.defaultInstance = new OperationJournal();
+    }
+    return OperationJournal.defaultInstance;
+  }
+
+  /**
+   * Asigna el EventManager con el que se notifican los cambios del diario
+   * @param {EventManager} eventManager - Gestor de eventos compartido
+   */
+  setEventManager(eventManager) {
+    this.eventManager = eventManager;
+  }
+
+  /**
+   * Registra una escritura de un servicio
+   * Sin lote, la escritura es una operación propia aunque haya un lote abierto
+   * en otra tarea.
+   * @param {BaseService} service - Servicio que escribió
+   * @param {string} descripcion - Descripción legible de la operación
+   * @param {Array} registros - [{ id, antes, despues }]; null indica que el registro no existe
+   * @param {Object|null} lote - Lote de runBatch() al que pertenece la escritura
+   */
+  record(service, descripcion, registros, lote = null) {
+    if (registros.length === 0) return;
+
+    const cambio = { service, registros };
+    if (lote) {
+      lote.cambios.push(cambio);
+      return;
+    }
+
+    this.push({ descripcion, cambios: [cambio] });
+  }
+
+  /**
+   * Agrega una entrada a la pila de deshacer y descarta lo que se podía rehacer
+   * @param {Object} entrada - { descripcion, cambios }
+   */
+  push(entrada) {
+    this.undoStack.push({ ...entrada, fecha: new Date().toISOString() });
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.notify('journal:changed');
+  }
+
+  /**
+   * Ejecuta una tarea agrupando sus escrituras en un solo paso
+   * La tarea recibe el lote y lo pasa a los servicios que llama; lo que escriban
+   * otras tareas mientras tanto queda como operaciones aparte. Los lotes se
+   * ejecutan uno tras otro (y nunca durante deshacer o rehacer), así que una
+   * tarea que ya tiene un lote debe pasarlo aquí para sumarse a él en lugar de
+   * esperar a que termine.
+   * @param {string} descripcion - Descripción del lote
+   * @param {Function} task - Tarea asíncrona; recibe el lote
+   * @param {Object|null} lote - Lote exterior al que se suma la tarea
+   * @returns {Promise<*>} Resultado de la tarea
+   */
+  runBatch(descripcion, task, lote = null) {
+    if (lote) {
+      return task(lote);
+    }
+
+    return this.enqueue(async () => {
+      const nuevo = { descripcion, cambios: [] };
+      try {
+        return await task(nuevo);
+      } finally {
+        if (nuevo.cambios.length > 0) {
+          this.push(nuevo);
+        }
+      }
+    });
+  }
+
+  /**
+   * Ejecuta una tarea automática cuyas escrituras no se pueden deshacer
+   * Se ordena con los lotes, deshacer y rehacer igual que runBatch(), pero sus
+   * cambios no entran en las pilas del usuario ni descartan lo que se podía
+   * rehacer. Deshacer después una operación sobre los mismos registros se
+   * rechaza por conflicto de revisión.
+   * @param {Function} task - Tarea asíncrona; recibe un lote que no se registra
+   * @returns {Promise<*>} Resultado de la tarea
+   */
+  runUnrecorded(task) {
+    return this.enqueue(() => task({ descripcion: null, cambios: [] }));
+  }
+
+  /**
+   * Indica si hay operaciones para deshacer
+   * @returns {boolean} True si se puede deshacer
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Indica si hay operaciones para rehacer
+   * @returns {boolean} True si se puede rehacer
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Obtiene la próxima entrada a deshacer
+   * @returns {Object|null} Entrada { descripcion, cambios, fecha } o null
+   */
+  getUndoEntry() {
+    return this.undoStack[this.undoStack.length - 1] || null;
+  }
+
+  /**
+   * Obtiene la descripción de la próxima operación a deshacer
+   * @returns {string|null} Descripción o null
+   */
+  peekUndo() {
+    const entrada = this.getUndoEntry();
+    return entrada ? entrada.descripcion : null;
+  }
+
+  /**
+   * Obtiene la descripción de la próxima operación a rehacer
+   * @returns {string|null} Descripción o null
+   */
+  peekRedo() {
+    const entrada = this.redoStack[this.redoStack.length - 1];
+    return entrada ? entrada.descripcion : null;
+  }
+
+  /**
+   * Deshace la última operación
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  undo() {
+    return this.enqueue(() =>
+      this.apply(this.undoStack, this.redoStack, 'antes')
+    );
+  }
+
+  /**
+   * Rehace la última operación deshecha
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  redo() {
+    return this.enqueue(() =>
+      this.apply(this.redoStack, this.undoStack, 'despues')
+    );
+  }
+
+  /**
+   * Serializa lotes, deshacer y rehacer para que no se mezclen entre sí
+   * @param {Function} task - Operación asíncrona
+   * @returns {Promise<*>} Resultado de la operación
+   */
+  enqueue(task) {
+    const tarea = this.queue.then(task);
+    this.queue = tarea.catch(() => {});
+    return tarea;
+  }
+
+  /**
+   * Aplica el estado guardado de una entrada y la mueve a la otra pila
+   * Si un cambio falla, se revierten los ya aplicados de la misma entrada.
+   * @param {Array} origen - Pila de la que se toma la entrada
+   * @param {Array} destino - Pila a la que pasa la entrada
+   * @param {string} estado - 'antes' para deshacer, 'despues' para rehacer
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async apply(origen, destino, estado) {
+    const deshacer = estado === 'antes';
+    const entrada = origen[origen.length - 1];
+    if (!entrada) {
+      return {
+        success: false,
+        errors: [
+          deshacer
+            ? 'No hay operaciones para deshacer'
+            : 'No hay operaciones para rehacer',
+        ],
+      };
+    }
+
+    // Deshacer recorre los cambios en orden inverso
+    const cambios = deshacer ? [...entrada.cambios].reverse() : entrada.cambios;
+    const opuesto = deshacer ? 'despues' : 'antes';
+    const aplicados = [];
+
+    try {
+      for (const cambio of cambios) {
+        await this.restore(cambio, estado);
+        aplicados.push(cambio);
+      }
+    } catch (error) {
+      console.error(
+        `❌ Error al ${deshacer ? 'deshacer' : 'rehacer'} "${
+          entrada.descripcion
+        }":`,
+        error
+      );
+
+      for (const cambio of aplicados.reverse()) {
+        try {
+          await this.restore(cambio, opuesto);
+        } catch (revertError) {
+          console.error('❌ Error al revertir un cambio parcial:', revertError);
+        }
+      }
+
+      // Un registro modificado después de la operación no se puede restaurar
+      if (error instanceof RevisionConflictError) {
+        origen.pop();
+        this.notify('journal:changed');
+      }
+
+      const fallida = cambios.find(cambio => !aplicados.includes(cambio));
+      return {
+        success: false,
+        errors: fallida
+          ? fallida.service.getPersistenceErrors(
+              error,
+              `No se pudo ${deshacer ? 'deshacer' : 'rehacer'} la operación`
+            )
+          : [`No se pudo ${deshacer ? 'deshacer' : 'rehacer'} la operación`],
+      };
+    }
+
+    origen.pop();
+    destino.push(entrada);
+
+    const evento = deshacer ? 'journal:undone' : 'journal:redone';
+    this.notify(evento, { descripcion: entrada.descripcion });
+    this.notify('journal:changed');
+
+    return {
+      success: true,
+      descripcion: entrada.descripcion,
+      message: deshacer
+        ? `Se deshizo: ${entrada.descripcion}`
+        : `Se rehízo: ${entrada.descripcion}`,
+    };
+  }
+
+  /**
+   * Restaura los registros de un cambio en uno de sus estados
+   * Cada registro debe seguir en el estado opuesto; si otra operación no
+   * registrada lo cambió, el servicio rechaza la restauración.
+   * @param {Object} cambio - { service, registros }
+   * @param {string} estado - 'antes' o 'despues'
+   */
+  async restore(cambio, estado) {
+    const opuesto = estado === 'antes' ? 'despues' : 'antes';
+    await cambio.service.restoreRecords(
+      cambio.registros.map(registro => ({
+        id: registro.id,
+        record: registro[estado],
+        expected: registro[opuesto],
+      }))
+    );
+  }
+
+  /**
+   * Descarta todas las operaciones registradas
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notify('journal:changed');
+  }
+
+  /**
+   * Emite un evento del diario si hay EventManager
+   * @param {string} eventName - Nombre del evento
+   * @param {Object} data - Datos adicionales
+   */
+  notify(eventName, data = {}) {
+    if (!this.eventManager) return;
+    this.eventManager.emit(eventName, {
+      ...data,
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undo: this.peekUndo(),
+      redo: this.peekRedo(),
+    });
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Gestor de persistencia de los servicios
+ * Elige el adaptador de almacenamiento (IndexedDB con respaldo en localStorage)
+ * y migra una única vez las colecciones que aún viven en localStorage.
+ */
+class PersistenceManager {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'config_tramite';
+    this.preferIndexedDB = options.preferIndexedDB !== false;
+    this.adapterPromise = null;
+    this.fallbackAdapter = new LocalStorageAdapter();
+    this.preparedCollections = new Map();
+  }
+
+  /**
+   * Obtiene la instancia compartida por todos los servicios
+   * @returns {PersistenceManager} Instancia por defecto
+   */
+  static getDefault() {
+    if (!PersistenceManager.defaultInstance) {
+      PersistenceManager.defaultInstance = new PersistenceManager();
+    }
+    return PersistenceManager.defaultInstance;
+  }
+
+  /**
+   * Obtiene el adaptador principal, creándolo la primera vez
+   * @returns {Promise<StorageAdapter>} Adaptador
+   */
+  getAdapter() {
+    if (!this.adapterPromise) {
+      this.adapterPromise = this.createAdapter();
+    }
+    return this.adapterPromise;
+  }
+
+  /**
+   * Crea el adaptador principal según el soporte del navegador
+   * @returns {Promise<StorageAdapter>} Adaptador
+   */
+  async createAdapter() {
+    if (this.preferIndexedDB && IndexedDBAdapter.isSupported()) {
+      try {
+        const adapter = new IndexedDBAdapter(this.dbName);
+        await adapter.open();
+        return adapter;
+      } catch (error) {
+        console.warn(
+          '⚠️ IndexedDB no disponible, se usará localStorage:',
+          error
+        );
+      }
+    }
+
+    return this.fallbackAdapter;
+  }
+
+  /**
+   * Prepara una colección para su uso y retorna el adaptador que la atiende
+   * Si la migración desde localStorage falla, la colección sigue en localStorage.
+   * @param {string} collection - Clave de almacenamiento de la colección
+   * @returns {Promise<StorageAdapter>} Adaptador de la colección
+   */
+  prepareCollection(collection) {
+    if (!this.preparedCollections.has(collection)) {
+      this.preparedCollections.set(
+        collection,
+        this.resolveCollectionAdapter(collection)
+      );
+    }
+    return this.preparedCollections.get(collection);
+  }
+
+  /**
+   * Resuelve el adaptador de una colección ejecutando la migración pendiente
+   * @param {string} collection - Clave de almacenamiento de la colección
+   * @returns {Promise<StorageAdapter>} Adaptador de la colección
+   */
+  async resolveCollectionAdapter(collection) {
+    const adapter = await this.getAdapter();
+    if (adapter === this.fallbackAdapter) {
+      return adapter;
+    }
+
+    try {
+      await this.migrateFromLocalStorage(adapter, collection);
+      return adapter;
+    } catch (error) {
+      console.error(
+        `❌ Error al migrar ${collection} desde localStorage, se mantiene en localStorage:`,
+        error
+      );
+      return this.fallbackAdapter;
+    }
+  }
+
+  /**
+   * Obtiene la clave que marca una colección como migrada
+   * @param {string} collection - Clave de almacenamiento de la colección
+   * @returns {string} Clave del marcador
+   */
+  getMigrationKey(collection) {
+    return `persistencia_migrada_${collection}`;
+  }
+
+  /**
+   * Mueve los datos de una colección desde localStorage al adaptador
+   * Solo se ejecuta una vez por colección; al terminar se libera la clave original.
+   * @param {StorageAdapter} adapter - Adaptador destino
+   * @param {string} collection - Clave de almacenamiento de la colección
+   * @returns {Promise<number>} Cantidad de registros migrados
+   */
+  async migrateFromLocalStorage(adapter, collection) {
+    const migrationKey = this.getMigrationKey(collection);
+    if (localStorage.getItem(migrationKey)) {
+      return 0;
+    }
+
+    const registros = await this.fallbackAdapter.loadAll(collection);
+    let migrados = 0;
+
+    if (Array.isArray(registros) && registros.length > 0) {
+      const validos = registros.filter(
+        registro => registro && typeof registro === 'object'
+      );
+      if (validos.length < registros.length) {
+        console.warn(
+          `⚠️ ${
+            registros.length - validos.length
+          } registro(s) vacíos o inválidos de ${collection} no se migraron`
+        );
+      }
+
+      const conId = validos.map((registro, index) =>
+        registro.id
+          ? registro
+          : { ...registro, id: `${collection}_${Date.now()}_${index}` }
+      );
+
+      // Conservar lo que ya exista en el destino y agregar al final lo migrado
+      const existentes = (await adapter.loadAll(collection)) || [];
+      const idsExistentes = new Set(existentes.map(item => item.id));
+      const nuevos = conId.filter(registro => !idsExistentes.has(registro.id));
+
+      await adapter.putMany(collection, nuevos);
+      migrados = nuevos.length;
+    }
+
+    localStorage.setItem(
+      migrationKey,
+      JSON.stringify({
+        fecha: new Date().toISOString(),
+        adaptador: adapter.name,
+        registros: migrados,
+      })
+    );
+    localStorage.removeItem(collection);
+
+    return migrados;
+  }
+
+  /**
+   * Obtiene información de los adaptadores en uso
+   * @returns {Promise<Object>} Adaptador por colección
+   */
+  async getInfo() {
+    const adapter = await this.getAdapter();
+    const colecciones = {};
+
+    for (const [collection, promise] of this.preparedCollections) {
+      colecciones[collection] = (await promise).name;
+    }
+
+    return {
+      adaptador: adapter.name,
+      colecciones,
+    };
+  }
+}
@@ -0,0 +1,414 @@
+/**
+ * Consulta sobre los items de un servicio
+ * Filtra con operadores ($eq, $ne, $in, $gt, $gte, $lt, $lte, $contains,
+ * $exists) combinables con $and y $or, ordena por varios campos y pagina por
+ * desplazamiento (limit/offset) o por cursor.
+ *
+ * Ejemplo:
+ *   new Query({
+ *     where: { $or: [{ estado: 'Activo' }, { fechaFin: { $gte: new Date() } }] },
+ *     sort: ['-fechaCreacion', 'nombre'],
+ *     limit: 20,
+ *   }).run(items);
+ */
+class Query {
+  /**
+   * @param {Object} spec - Definición de la consulta
+   * @param {Object} spec.where - Condiciones por campo
+   * @param {string|Array|Object} spec.sort - Orden: 'campo', '-campo' o { campo, orden }
+   * @param {number} spec.limit - Máximo de items por página (sin límite si se omite)
+   * @param {number} spec.offset - Items a saltar
+   * @param {string} spec.cursor - Cursor devuelto por la página anterior (reemplaza offset)
+   * @param {Object} fields - Campos calculados { campo: item => valor }
+   */
+  constructor(spec = {}, fields = {}) {
+    this.where = spec.where || {};
+    this.sort = Query.normalizeSort(spec.sort);
+    this.limit =
+      spec.limit === undefined || spec.limit === null
+        ? null
+        : Math.max(0, parseInt(spec.limit, 10) || 0);
+    this.offset = Math.max(0, parseInt(spec.offset, 10) || 0);
+    this.cursor = spec.cursor || null;
+    this.fields = fields;
+  }
+
+  /**
+   * Convierte las distintas formas de indicar el orden a [{ campo, orden }]
+   * @param {string|Array|Object} sort - Orden indicado en la consulta
+   * @returns {Array} Criterios de orden
+   */
+  static normalizeSort(sort) {
+    if (!sort) return [];
+
+    return (Array.isArray(sort) ? sort : [sort]).map(criterio => {
+      if (typeof criterio === 'string') {
+        return criterio.startsWith('-')
+          ? { campo: criterio.slice(1), orden: 'desc' }
+          : { campo: criterio, orden: 'asc' };
+      }
+
+      const orden = criterio.orden || 'asc';
+      if (!criterio.campo || !['asc', 'desc'].includes(orden)) {
+        throw new Error(
+          `Orden de consulta inválido: ${JSON.stringify(criterio)}`
+        );
+      }
+      return { campo: criterio.campo, orden };
+    });
+  }
+
+  /**
+   * Indica si una condición es un objeto de operadores ({ $gte: ..., ... })
+   * @param {*} condicion - Condición de un campo
+   * @returns {boolean} True si es un objeto de operadores
+   */
+  static isOperatorObject(condicion) {
+    return (
+      condicion !== null &&
+      typeof condicion === 'object' &&
+      !Array.isArray(condicion) &&
+      !(condicion instanceof Date) &&
+      Object.keys(condicion).length > 0 &&
+      Object.keys(condicion).every(key => key.startsWith('$'))
+    );
+  }
+
+  /**
+   * Indica si un valor está vacío (undefined, null o texto vacío)
+   * @param {*} valor - Valor a revisar
+   * @returns {boolean} True si está vacío
+   */
+  static isEmpty(valor) {
+    return valor === undefined || valor === null || valor === '';
+  }
+
+  /**
+   * Convierte un valor a milisegundos si representa una fecha
+   * Una fecha sin hora (AAAA-MM-DD) es el inicio de ese día en la zona local,
+   * no la medianoche UTC que devuelve new Date().
+   * @param {*} valor - Date o texto con formato ISO (AAAA-MM-DD...)
+   * @returns {number|null} Milisegundos o null si no es una fecha
+   */
+  static toTime(valor) {
+    if (valor instanceof Date) return valor.getTime();
+    if (Query.isDay(valor)) {
+      const [anio, mes, dia] = valor.split('-').map(Number);
+      const fecha = new Date(anio, mes - 1, dia);
+      return fecha.getMonth() === mes - 1 ? fecha.getTime() : null;
+    }
+    if (typeof valor === 'string' && Query.DATE_PATTERN.test(valor)) {
+      const time = new Date(valor).getTime();
+      return Number.isNaN(time) ? null : time;
+    }
+    return null;
+  }
+
+  /**
+   * Indica si un valor es una fecha sin hora (AAAA-MM-DD)
+   * @param {*} valor - Valor a revisar
+   * @returns {boolean} True si es una fecha sin hora
+   */
+  static isDay(valor) {
+    return typeof valor === 'string' && Query.DAY_PATTERN.test(valor);
+  }
+
+  /**
+   * Obtiene el inicio del día local de un instante
+   * @param {number} time - Milisegundos
+   * @returns {number} Milisegundos de la medianoche local de ese día
+   */
+  static startOfDay(time) {
+    const fecha = new Date(time);
+    fecha.setHours(0, 0, 0, 0);
+    return fecha.getTime();
+  }
+
+  /**
+   * Compara dos valores no vacíos
+   * Las fechas se comparan en el tiempo y los textos sin distinguir mayúsculas.
+   * Una fecha sin hora abarca todo su día local, así que se compara por días:
+   * { fechaFin: { $gte: new Date() } } incluye lo que termina hoy.
+   * @param {*} a - Primer valor
+   * @param {*} b - Segundo valor
+   * @returns {number} Negativo si a < b, 0 si son iguales, positivo si a > b
+   */
+  static compare(a, b) {
+    const timeA = Query.toTime(a);
+    const timeB = Query.toTime(b);
+    if (timeA !== null && timeB !== null) {
+      if (Query.isDay(a) || Query.isDay(b)) {
+        return Query.startOfDay(timeA) - Query.startOfDay(timeB);
+      }
+      return timeA - timeB;
+    }
+
+    if (a instanceof Date || b instanceof Date) {
+      return (
+        (timeA !== null ? timeA : new Date(a).getTime()) -
+        (timeB !== null ? timeB : new Date(b).getTime())
+      );
+    }
+
+    if (typeof a === 'number' && typeof b === 'number') {
+      return a - b;
+    }
+    if (typeof a === 'boolean' && typeof b === 'boolean') {
+      return Number(a) - Number(b);
+    }
+
+    return String(a).localeCompare(String(b), 'es', {
+      numeric: true,
+      sensitivity: 'base',
+    });
+  }
+
+  /**
+   * Verifica si dos valores son iguales (las fechas por su tiempo)
+   * @param {*} a - Primer valor
+   * @param {*} b - Segundo valor
+   * @returns {boolean} True si son iguales
+   */
+  static isEqual(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+      return (
+        !Query.isEmpty(a) && !Query.isEmpty(b) && Query.compare(a, b) === 0
+      );
+    }
+    return a === b;
+  }
+
+  /**
+   * Verifica si un valor cumple la condición de un campo
+   * Un valor simple se compara por igualdad; un objeto de operadores debe
+   * cumplir todos sus operadores.
+   * @param {*} valor - Valor del campo en el item
+   * @param {*} condicion - Valor esperado u objeto de operadores
+   * @returns {boolean} True si cumple
+   */
+  static matchesCondition(valor, condicion) {
+    if (!Query.isOperatorObject(condicion)) {
+      return Query.isEqual(valor, condicion);
+    }
+
+    return Object.keys(condicion).every(operador =>
+      Query.applyOperator(valor, operador, condicion[operador])
+    );
+  }
+
+  /**
+   * Aplica un operador a un valor
+   * @param {*} valor - Valor del campo en el item
+   * @param {string} operador - Operador ($eq, $in, $gte, ...)
+   * @param {*} operando - Valor del operador
+   * @returns {boolean} True si cumple
+   */
+  static applyOperator(valor, operador, operando) {
+    switch (operador) {
+      case '$eq':
+        return Query.isEqual(valor, operando);
+      case '$ne':
+        return !Query.isEqual(valor, operando);
+      case '$in':
+        if (!Array.isArray(operando)) {
+          throw new Error('El operador $in requiere un array');
+        }
+        return Array.isArray(valor)
+          ? valor.some(v => operando.some(o => Query.isEqual(v, o)))
+          : operando.some(o => Query.isEqual(valor, o));
+      case '$gt':
+      case '$gte':
+      case '$lt':
+      case '$lte': {
+        if (Query.isEmpty(valor) || Query.isEmpty(operando)) return false;
+        const diferencia = Query.compare(valor, operando);
+        if (Number.isNaN(diferencia)) return false;
+        if (operador === '$gt') return diferencia > 0;
+        if (operador === '$gte') return diferencia >= 0;
+        if (operador === '$lt') return diferencia < 0;
+        return diferencia <= 0;
+      }
+      case '$contains':
+        if (Array.isArray(valor)) {
+          return valor.some(v => Query.isEqual(v, operando));
+        }
+        if (Query.isEmpty(valor) || Query.isEmpty(operando)) return false;
+        return String(valor)
+          .toLowerCase()
+          .includes(String(operando).toLowerCase());
+      case '$exists':
+        return !Query.isEmpty(valor) === Boolean(operando);
+      default:
+        throw new Error(`Operador de consulta desconocido: ${operador}`);
+    }
+  }
+
+  /**
+   * Obtiene el valor de un campo de un item
+   * Admite campos calculados y rutas con punto (p. ej. 'historialFechas.length').
+   * @param {Object} item - Item
+   * @param {string} campo - Nombre del campo
+   * @returns {*} Valor del campo
+   */
+  getValue(item, campo) {
+    if (this.fields[campo]) {
+      return this.fields[campo](item);
+    }
+
+    return campo
+      .split('.')
+      .reduce(
+        (valor, parte) =>
+          valor === undefined || valor === null ? undefined : valor[parte],
+        item
+      );
+  }
+
+  /**
+   * Verifica si un item cumple las condiciones
+   * Las condiciones de un mismo objeto se combinan con AND; $and y $or reciben
+   * arrays de condiciones.
+   * @param {Object} item - Item a verificar
+   * @param {Object} where - Condiciones (por defecto las de la consulta)
+   * @returns {boolean} True si cumple
+   */
+  matches(item, where = this.where) {
+    return Object.keys(where).every(key => {
+      if (key === '$and' || key === '$or') {
+        if (!Array.isArray(where[key])) {
+          throw new Error(`El operador ${key} requiere un array`);
+        }
+        return key === '$and'
+          ? where[key].every(condiciones => this.matches(item, condiciones))
+          : where[key].some(condiciones => this.matches(item, condiciones));
+      }
+
+      return Query.matchesCondition(this.getValue(item, key), where[key]);
+    });
+  }
+
+  /**
+   * Obtiene los valores de orden de un item
+   * @param {Object} item - Item
+   * @returns {Array} Un valor por criterio de orden
+   */
+  getSortValues(item) {
+    return this.sort.map(({ campo }) => this.getValue(item, campo));
+  }
+
+  /**
+   * Compara dos items por los criterios de orden y, al empatar, por ID
+   * Los valores vacíos quedan siempre al final.
+   * @param {Object} a - { valores, id } del primer item
+   * @param {Object} b - { valores, id } del segundo item
+   * @returns {number} Negativo si a va antes que b
+   */
+  compareKeys(a, b) {
+    for (let i = 0; i < this.sort.length; i++) {
+      const valorA = a.valores[i];
+      const valorB = b.valores[i];
+      const vacioA = Query.isEmpty(valorA);
+      const vacioB = Query.isEmpty(valorB);
+
+      if (vacioA || vacioB) {
+        if (vacioA && vacioB) continue;
+        return vacioA ? 1 : -1;
+      }
+
+      const diferencia = Query.compare(valorA, valorB) || 0;
+      if (diferencia !== 0) {
+        return this.sort[i].orden === 'desc' ? -diferencia : diferencia;
+      }
+    }
+
+    return String(a.id).localeCompare(String(b.id));
+  }
+
+  /**
+   * Obtiene la firma del orden para validar que un cursor corresponde a la consulta
+   * @returns {string} Firma del orden
+   */
+  getSortSignature() {
+    return this.sort.map(({ campo, orden }) => `${campo}:${orden}`).join(',');
+  }
+
+  /**
+   * Crea el cursor que apunta después de un item
+   * @param {Object} item - Último item de la página
+   * @returns {string} Cursor
+   */
+  encodeCursor(item) {
+    return encodeURIComponent(
+      JSON.stringify({
+        orden: this.getSortSignature(),
+        valores: this.getSortValues(item),
+        id: item.id,
+      })
+    );
+  }
+
+  /**
+   * Lee un cursor de una página anterior
+   * @param {string} cursor - Cursor
+   * @returns {Object} { valores, id }
+   */
+  decodeCursor(cursor) {
+    let posicion;
+    try {
+      posicion = JSON.parse(decodeURIComponent(cursor));
+    } catch (error) {
+      throw new Error('Cursor de consulta inválido');
+    }
+
+    if (!posicion || !Array.isArray(posicion.valores)) {
+      throw new Error('Cursor de consulta inválido');
+    }
+    if (posicion.orden !== this.getSortSignature()) {
+      throw new Error('El cursor pertenece a una consulta con otro orden');
+    }
+    return posicion;
+  }
+
+  /**
+   * Ejecuta la consulta
+   * @param {Array} items - Items sobre los que consultar
+   * @returns {Object} { items, total, offset, limit, hasMore, nextCursor }
+   */
+  run(items) {
+    const filtrados = items.filter(item => this.matches(item));
+    const ordenados = filtrados
+      .map(item => ({ item, valores: this.getSortValues(item), id: item.id }))
+      .sort((a, b) => this.compareKeys(a, b));
+
+    let inicio = this.offset;
+    if (this.cursor) {
+      const posicion = this.decodeCursor(this.cursor);
+      const siguiente = ordenados.findIndex(
+        clave => this.compareKeys(clave, posicion) > 0
+      );
+      inicio = siguiente === -1 ? ordenados.length : siguiente;
+    }
+
+    const fin = this.limit === null ? ordenados.length : inicio + this.limit;
+    const pagina = ordenados.slice(inicio, fin).map(({ item }) => item);
+    const hasMore = inicio + pagina.length < ordenados.length;
+
+    return {
+      items: pagina,
+      total: ordenados.length,
+      offset: Math.min(inicio, ordenados.length),
+      limit: this.limit,
+      hasMore,
+      nextCursor:
+        hasMore && pagina.length > 0
+          ? this.encodeCursor(pagina[pagina.length - 1])
+          : null,
+    };
+  }
+}
+
+// Textos que se comparan como fechas (AAAA-MM-DD con hora opcional)
+Query.DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Fechas sin hora, que se leen como días locales
+Query.DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
@@ -0,0 +1,334 @@
+/**
+ * Registro de relaciones entre servicios
+ * Cada servicio hijo declara en getRelations() los campos que apuntan a otra
+ * entidad y qué hacer cuando esa entidad se elimina:
+ * - restrict: impide eliminar el padre mientras tenga dependientes
+ * - cascade: envía los dependientes a la papelera junto con el padre
+ * - nullify: deja vacío el campo de los dependientes
+ * Por defecto el campo guarda el id del padre; con `clave` puede guardar otro
+ * campo único del padre (p. ej. el código de un periodo académico).
+ */
+class RelationRegistry {
+  constructor() {
+    this.services = new Map();
+    this.overrides = new Map();
+  }
+
+  /**
+   * Obtiene el registro compartido por todos los servicios
+   * @returns {RelationRegistry} Registro por defecto
+   */
+  static getDefault() {
+    if (!RelationRegistry.defaultInstance) {
+      RelationRegistry.defaultInstance = new RelationRegistry();
+    }
+    return RelationRegistry.defaultInstance;
+  }
+
+  /**
+   * Registra un servicio para que participe en las relaciones
+   * @param {BaseService} service - Servicio inicializado
+   */
+  registerService(service) {
+    this.services.set(service.entityName, service);
+  }
+
+  /**
+   * Quita un servicio del registro
+   * @param {BaseService} service - Servicio a quitar
+   */
+  unregisterService(service) {
+    if (this.services.get(service.entityName) === service) {
+      this.services.delete(service.entityName);
+    }
+  }
+
+  /**
+   * Obtiene el servicio registrado para una entidad
+   * @param {string} entityName - Nombre de la entidad
+   * @returns {BaseService|null} Servicio o null
+   */
+  getService(entityName) {
+    return this.services.get(entityName) || null;
+  }
+
+  /**
+   * Cambia el comportamiento al eliminar de una relación declarada
+   * @param {string} hijo - Entidad que declara la relación
+   * @param {string} campo - Campo que apunta al padre
+   * @param {string} onDelete - 'restrict', 'cascade' o 'nullify'
+   */
+  setOnDelete(hijo, campo, onDelete) {
+    if (!RelationRegistry.ON_DELETE.includes(onDelete)) {
+      throw new Error(
+        `Comportamiento inválido para ${hijo}.${campo}: ${onDelete}`
+      );
+    }
+    this.overrides.set(`${hijo}.${campo}`, onDelete);
+  }
+
+  /**
+   * Obtiene todas las relaciones declaradas por los servicios registrados
+   * @returns {Array} [{ service, padre, campo, clave, onDelete, descripcion }]
+   */
+  getRelations() {
+    const relaciones = [];
+
+    this.services.forEach(service => {
+      service.getRelations().forEach(relacion => {
+        const onDelete =
+          this.overrides.get(`${service.entityName}.${relacion.campo}`) ||
+          relacion.onDelete;
+        if (!RelationRegistry.ON_DELETE.includes(onDelete)) {
+          throw new Error(
+            `Comportamiento inválido para ${service.entityName}.${relacion.campo}: ${onDelete}`
+          );
+        }
+
+        relaciones.push({
+          service,
+          padre: relacion.padre,
+          campo: relacion.campo,
+          clave: relacion.clave || 'id',
+          onDelete,
+          descripcion: relacion.descripcion || '',
+        });
+      });
+    });
+
+    return relaciones;
+  }
+
+  /**
+   * Obtiene el valor con el que los dependientes apuntan a un item padre
+   * @param {Object} relation - Relación declarada
+   * @param {BaseService} service - Servicio del item padre
+   * @param {string} id - ID del item padre
+   * @returns {*} Valor de la clave o undefined si el padre no existe
+   */
+  getReferencia(relation, service, id) {
+    if (relation.clave === 'id') return id;
+
+    const padre = service.getById(id, { includeDeleted: true });
+    return padre ? padre[relation.clave] : undefined;
+  }
+
+  /**
+   * Busca el item padre al que apunta un valor de la relación
+   * @param {Object} relation - Relación declarada
+   * @param {BaseService} parentService - Servicio del padre
+   * @param {*} valor - Valor del campo en el dependiente
+   * @param {Object} options - Opciones de consulta ({ includeDeleted })
+   * @returns {Object|null} Item padre o null
+   */
+  findParent(relation, parentService, valor, options = {}) {
+    if (relation.clave === 'id') return parentService.getById(valor, options);
+
+    return (
+      parentService
+        .getAll(options)
+        .find(item => item[relation.clave] === valor) || null
+    );
+  }
+
+  /**
+   * Obtiene los items activos que dependen de un item, agrupados por relación
+   * @param {BaseService} service - Servicio del item padre
+   * @param {string} id - ID del item padre
+   * @returns {Array} [{ relation, items }] solo con relaciones que tienen dependientes
+   */
+  getDependents(service, id) {
+    return this.getRelations()
+      .filter(relation => relation.padre === service.entityName)
+      .map(relation => {
+        const referencia = this.getReferencia(relation, service, id);
+        return {
+          relation,
+          items:
+            referencia === undefined
+              ? []
+              : relation.service
+                  .getAll()
+                  .filter(item => item[relation.campo] === referencia),
+        };
+      })
+      .filter(({ items }) => items.length > 0);
+  }
+
+  /**
+   * Obtiene los dependientes que impiden eliminar un item
+   * Recorre también los dependientes que se eliminarían en cascada.
+   * @param {BaseService} service - Servicio del item
+   * @param {string} id - ID del item
+   * @param {Set} visitados - Items ya revisados (uso interno)
+   * @returns {Array} [{ service, id, relation, items }]
+   */
+  getDeleteBlockers(service, id, visitados = new Set()) {
+    const clave = `${service.entityName}:${id}`;
+    if (visitados.has(clave)) return [];
+    visitados.add(clave);
+
+    const bloqueos = [];
+    this.getDependents(service, id).forEach(({ relation, items }) => {
+      if (relation.onDelete === 'restrict') {
+        bloqueos.push({ service, id, relation, items });
+      } else if (relation.onDelete === 'cascade') {
+        items.forEach(item =>
+          bloqueos.push(
+            ...this.getDeleteBlockers(relation.service, item.id, visitados)
+          )
+        );
+      }
+    });
+
+    return bloqueos;
+  }
+
+  /**
+   * Obtiene los items de la papelera que se eliminaron en cascada con un item
+   * Se reconocen por apuntar al item y tener la misma fecha de eliminación.
+   * @param {BaseService} service - Servicio del item padre
+   * @param {string} id - ID del item padre
+   * @param {string} deletedAt - Fecha de eliminación del item padre
+   * @returns {Array} [{ relation, items }]
+   */
+  getCascadedDependents(service, id, deletedAt) {
+    return this.getRelations()
+      .filter(
+        relation =>
+          relation.padre === service.entityName &&
+          relation.onDelete === 'cascade'
+      )
+      .map(relation => {
+        const referencia = this.getReferencia(relation, service, id);
+        return {
+          relation,
+          items: relation.service
+            .getDeleted()
+            .filter(
+              item =>
+                referencia !== undefined &&
+                item[relation.campo] === referencia &&
+                item.deletedAt === deletedAt
+            ),
+        };
+      })
+      .filter(({ items }) => items.length > 0);
+  }
+
+  /**
+   * Obtiene las referencias de un item a padres que no están activos
+   * @param {BaseService} service - Servicio del item
+   * @param {Object} item - Item a revisar
+   * @returns {Array} [{ relation, parentService, valor, enPapelera }]
+   */
+  getMissingParents(service, item) {
+    return this.getRelations()
+      .filter(relation => relation.service === service)
+      .map(relation => ({
+        relation,
+        parentService: this.getService(relation.padre),
+        valor: item[relation.campo],
+      }))
+      .filter(
+        ({ relation, parentService, valor }) =>
+          valor &&
+          parentService &&
+          !this.findParent(relation, parentService, valor)
+      )
+      .map(faltante => ({
+        ...faltante,
+        enPapelera: this.findParent(
+          faltante.relation,
+          faltante.parentService,
+          faltante.valor,
+          { includeDeleted: true }
+        ),
+      }));
+  }
+
+  /**
+   * Busca items activos que apuntan a un padre que ya no está activo
+   * @returns {Array} [{ relation, items }] solo con relaciones que tienen huérfanos
+   */
+  findOrphans() {
+    return this.getRelations()
+      .map(relation => {
+        const parentService = this.getService(relation.padre);
+        if (!parentService) {
+          return { relation, items: [] };
+        }
+
+        return {
+          relation,
+          items: relation.service.getAll().filter(item => {
+            const valor = item[relation.campo];
+            return valor && !this.findParent(relation, parentService, valor);
+          }),
+        };
+      })
+      .filter(({ items }) => items.length > 0);
+  }
+
+  /**
+   * Repara los huérfanos en un solo paso del diario de operaciones
+   * Las relaciones nullify vacían el campo; las demás envían el item a la papelera.
+   * @param {string} usuario - Usuario que repara
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async repairOrphans(usuario = 'Usuario') {
+    const huerfanos = this.findOrphans();
+    if (huerfanos.length === 0) {
+      return {
+        success: true,
+        repaired: 0,
+        message: 'No hay registros con relaciones rotas',
+      };
+    }
+
+    let reparados = 0;
+    const fecha = new Date().toISOString();
+
+    try {
+      await huerfanos[0].relation.service
+        .getJournal()
+        .runBatch('Reparar relaciones', async lote => {
+          for (const { relation, items } of huerfanos) {
+            if (relation.onDelete === 'nullify') {
+              await relation.service.nullifyReference(
+                items,
+                relation.campo,
+                lote
+              );
+              reparados += items.length;
+              continue;
+            }
+
+            for (const item of items) {
+              // Pudo eliminarse en cascada con un huérfano anterior
+              if (!relation.service.getById(item.id)) continue;
+              await relation.service.softDelete(item, usuario, fecha, lote);
+              reparados++;
+            }
+          }
+        });
+
+      return {
+        success: true,
+        repaired: reparados,
+        message: `${reparados} registros con relaciones rotas reparados`,
+      };
+    } catch (error) {
+      console.error('❌ Error al reparar relaciones:', error);
+      return {
+        success: false,
+        errors: [
+          `Error al reparar las relaciones (${reparados} registros reparados)`,
+        ],
+      };
+    }
+  }
+}
+
+// Comportamientos admitidos al eliminar el padre de una relación
+RelationRegistry.ON_DELETE = ['restrict', 'cascade', 'nullify'];
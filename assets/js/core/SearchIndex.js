@@ -0,0 +1,290 @@
+/**
+ * Índice de búsqueda de texto compartido por los servicios
+ * Indexa en memoria los campos que cada servicio declara en getSearchFields()
+ * sin distinguir mayúsculas ni tildes ("tramite" encuentra "trámite"). Cada
+ * palabra buscada debe coincidir completa o por su comienzo con alguna palabra
+ * del registro, y los resultados se ordenan por el peso de los campos que
+ * coinciden.
+ */
+class SearchIndex {
+  constructor() {
+    this.services = new Map();
+    this.documents = new Map();
+    this.terms = new Map();
+    this.sortedTerms = null;
+    this.pending = new Map();
+  }
+
+  /**
+   * Obtiene el índice compartido por todos los servicios
+   * @returns {SearchIndex} Índice por defecto
+   */
+  static getDefault() {
+    if (!SearchIndex.defaultInstance) {
+      SearchIndex.defaultInstance = new SearchIndex();
+    }
+    return SearchIndex.defaultInstance;
+  }
+
+  /**
+   * Quita tildes y diéresis y pasa a minúsculas
+   * @param {string} texto - Texto a normalizar
+   * @returns {string} Texto normalizado
+   */
+  static fold(texto) {
+    return String(texto)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+  }
+
+  /**
+   * Divide un texto normalizado en palabras
+   * @param {string|Array} texto - Texto o lista de textos (p. ej. etiquetas)
+   * @returns {Array<string>} Palabras
+   */
+  static tokenize(texto) {
+    if (texto === undefined || texto === null) return [];
+    const valor = Array.isArray(texto) ? texto.join(' ') : texto;
+    return SearchIndex.fold(valor)
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Registra un servicio para indexar sus items
+   * Los servicios que no declaran campos de búsqueda se ignoran.
+   * @param {BaseService} service - Servicio inicializado
+   */
+  registerService(service) {
+    if (Object.keys(service.getSearchFields()).length === 0) return;
+
+    this.removeEntity(service.entityName);
+    this.services.set(service.entityName, service);
+    this.pending.set(service.entityName, null);
+  }
+
+  /**
+   * Quita un servicio y sus items del índice
+   * @param {BaseService} service - Servicio a quitar
+   */
+  unregisterService(service) {
+    if (this.services.get(service.entityName) !== service) return;
+
+    this.services.delete(service.entityName);
+    this.pending.delete(service.entityName);
+    this.removeEntity(service.entityName);
+  }
+
+  /**
+   * Marca items de un servicio para volver a indexarlos en la próxima búsqueda
+   * @param {BaseService} service - Servicio que cambió
+   * @param {Array<string>|null} ids - IDs que cambiaron (null si cambió toda la colección)
+   */
+  invalidate(service, ids = null) {
+    const entityName = service.entityName;
+    if (this.services.get(entityName) !== service) return;
+
+    const pendientes = this.pending.get(entityName);
+    if (ids === null || (this.pending.has(entityName) && pendientes === null)) {
+      this.pending.set(entityName, null);
+      return;
+    }
+
+    const conjunto = pendientes || new Set();
+    ids.forEach(id => conjunto.add(id));
+    this.pending.set(entityName, conjunto);
+  }
+
+  /**
+   * Indexa los cambios pendientes de todos los servicios
+   */
+  refresh() {
+    this.pending.forEach((ids, entityName) => {
+      const service = this.services.get(entityName);
+
+      if (ids === null) {
+        this.removeEntity(entityName);
+        service.getAll().forEach(item => this.indexItem(service, item));
+        return;
+      }
+
+      ids.forEach(id => {
+        this.removeDocument(`${entityName}:${id}`);
+        const item = service.getById(id);
+        if (item) this.indexItem(service, item);
+      });
+    });
+    this.pending.clear();
+  }
+
+  /**
+   * Agrega un item al índice
+   * Si una palabra aparece en varios campos cuenta el de mayor peso.
+   * @param {BaseService} service - Servicio del item
+   * @param {Object} item - Item a indexar
+   */
+  indexItem(service, item) {
+    const campos = service.getSearchFields();
+    const tokens = new Map();
+
+    Object.keys(campos).forEach(campo => {
+      SearchIndex.tokenize(item[campo]).forEach(token => {
+        const entrada = tokens.get(token) || { peso: 0, campos: new Set() };
+        entrada.peso = Math.max(entrada.peso, campos[campo]);
+        entrada.campos.add(campo);
+        tokens.set(token, entrada);
+      });
+    });
+
+    const clave = `${service.entityName}:${item.id}`;
+    this.documents.set(clave, { service, item, tokens });
+    tokens.forEach((entrada, token) => {
+      if (!this.terms.has(token)) {
+        this.terms.set(token, new Set());
+        this.sortedTerms = null;
+      }
+      this.terms.get(token).add(clave);
+    });
+  }
+
+  /**
+   * Quita un item del índice
+   * @param {string} clave - Clave del item (entidad:id)
+   */
+  removeDocument(clave) {
+    const documento = this.documents.get(clave);
+    if (!documento) return;
+
+    documento.tokens.forEach((entrada, token) => {
+      const claves = this.terms.get(token);
+      claves.delete(clave);
+      if (claves.size === 0) {
+        this.terms.delete(token);
+        this.sortedTerms = null;
+      }
+    });
+    this.documents.delete(clave);
+  }
+
+  /**
+   * Quita del índice todos los items de una entidad
+   * @param {string} entityName - Nombre de la entidad
+   */
+  removeEntity(entityName) {
+    const prefijo = `${entityName}:`;
+    Array.from(this.documents.keys())
+      .filter(clave => clave.startsWith(prefijo))
+      .forEach(clave => this.removeDocument(clave));
+  }
+
+  /**
+   * Obtiene las palabras indexadas que comienzan con un prefijo
+   * @param {string} prefijo - Prefijo normalizado
+   * @returns {Array<string>} Palabras que coinciden
+   */
+  getTermsWithPrefix(prefijo) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = Array.from(this.terms.keys()).sort();
+    }
+
+    // Búsqueda binaria de la primera palabra >= prefijo
+    let inicio = 0;
+    let fin = this.sortedTerms.length;
+    while (inicio < fin) {
+      const medio = (inicio + fin) >> 1;
+      if (this.sortedTerms[medio] < prefijo) {
+        inicio = medio + 1;
+      } else {
+        fin = medio;
+      }
+    }
+
+    const terminos = [];
+    for (let i = inicio; i < this.sortedTerms.length; i++) {
+      if (!this.sortedTerms[i].startsWith(prefijo)) break;
+      terminos.push(this.sortedTerms[i]);
+    }
+    return terminos;
+  }
+
+  /**
+   * Busca items por texto
+   * Todas las palabras deben coincidir; una coincidencia exacta puntúa más que
+   * una por prefijo.
+   * @param {string} texto - Texto buscado
+   * @param {Object} options - Opciones de búsqueda
+   * @param {Array<string>} options.entidades - Limitar a estas entidades
+   * @param {number} options.limit - Máximo de resultados
+   * @returns {Array} [{ entityName, service, item, score, campos }] por relevancia
+   */
+  search(texto, options = {}) {
+    const consulta = SearchIndex.tokenize(texto);
+    if (consulta.length === 0) return [];
+
+    this.refresh();
+
+    let resultados = null;
+    for (const token of consulta) {
+      const coincidencias = new Map();
+      this.getTermsWithPrefix(token).forEach(termino => {
+        const factor = termino === token ? SearchIndex.EXACT_MATCH_BOOST : 1;
+        this.terms.get(termino).forEach(clave => {
+          const entrada = this.documents.get(clave).tokens.get(termino);
+          const puntaje = entrada.peso * factor;
+          const previa = coincidencias.get(clave);
+          if (!previa || previa.puntaje < puntaje) {
+            coincidencias.set(clave, { puntaje, campos: entrada.campos });
+          }
+        });
+      });
+
+      if (resultados === null) {
+        resultados = new Map();
+        coincidencias.forEach(({ puntaje, campos }, clave) =>
+          resultados.set(clave, { score: puntaje, campos: new Set(campos) })
+        );
+      } else {
+        resultados.forEach((resultado, clave) => {
+          const coincidencia = coincidencias.get(clave);
+          if (!coincidencia) {
+            resultados.delete(clave);
+            return;
+          }
+          resultado.score += coincidencia.puntaje;
+          coincidencia.campos.forEach(campo => resultado.campos.add(campo));
+        });
+      }
+
+      if (resultados.size === 0) break;
+    }
+
+    const lista = Array.from(resultados.entries())
+      .map(([clave, { score, campos }]) => {
+        const { service, item } = this.documents.get(clave);
+        return {
+          entityName: service.entityName,
+          service,
+          item,
+          score,
+          campos: Array.from(campos),
+        };
+      })
+      .filter(
+        resultado =>
+          !options.entidades || options.entidades.includes(resultado.entityName)
+      )
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          a.service
+            .getDisplayName(a.item)
+            .localeCompare(b.service.getDisplayName(b.item), 'es')
+      );
+
+    return options.limit ? lista.slice(0, options.limit) : lista;
+  }
+}
+
+// Multiplicador del peso cuando la palabra coincide completa y no solo su comienzo
+SearchIndex.EXACT_MATCH_BOOST = 2;
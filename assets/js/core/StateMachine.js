@@ -0,0 +1,299 @@
+/**
+ * Máquina de estados declarativa
+ * Cada transición indica desde qué estados se puede llegar a un estado destino,
+ * si el cambio exige motivo y una guarda opcional que decide si el cambio se
+ * permite en el contexto dado (p. ej. las fechas del trámite). Los estados
+ * terminales no admiten ninguna transición de salida. Al completarse un cambio
+ * se ejecutan los hooks registrados y se emiten los eventos declarados.
+ */
+class StateMachine {
+  /**
+   * @param {Object} definicion - Definición de la máquina
+   * @param {Array<string>} definicion.estados - Estados válidos
+   * @param {Array<string>} definicion.terminales - Estados sin salida
+   * @param {Array<Object>} definicion.transiciones - [{ desde, hacia, requiereMotivo, guard, eventos }]
+   * @param {Object} definicion.etiquetas - Texto legible de cada estado
+   * @param {string} definicion.evento - Evento que se emite en cada cambio
+   */
+  constructor(definicion = {}) {
+    this.estados = [...(definicion.estados || [])];
+    this.terminales = new Set(definicion.terminales || []);
+    this.etiquetas = { ...(definicion.etiquetas || {}) };
+    this.evento = definicion.evento || null;
+    this.transiciones = new Map();
+    this.hooks = [];
+    this.eventManager = null;
+
+    (definicion.transiciones || []).forEach(transicion =>
+      this.addTransition(transicion)
+    );
+  }
+
+  /**
+   * Asigna el EventManager con el que se notifican los cambios
+   * @param {EventManager} eventManager - Gestor de eventos compartido
+   */
+  setEventManager(eventManager) {
+    this.eventManager = eventManager;
+  }
+
+  /**
+   * Obtiene la clave interna de una transición
+   * @param {string|null} desde - Estado de origen (null si aún no hay estado)
+   * @param {string} hacia - Estado destino
+   * @returns {string} Clave de la transición
+   */
+  static getKey(desde, hacia) {
+    return `${desde === null ? '' : desde}->${hacia}`;
+  }
+
+  /**
+   * Agrega o reemplaza transiciones
+   * @param {Object} transicion - Transición a agregar
+   * @param {string|null|Array} transicion.desde - Estado(s) de origen; null es "sin estado previo"
+   * @param {string} transicion.hacia - Estado destino
+   * @param {boolean} transicion.requiereMotivo - Si el cambio exige motivo
+   * @param {Function} transicion.guard - (contexto) => true o mensaje de error
+   * @param {Array<string>} transicion.eventos - Eventos adicionales al completarse
+   */
+  addTransition(transicion) {
+    const origenes = Array.isArray(transicion.desde)
+      ? transicion.desde
+      : [transicion.desde];
+
+    [...origenes, transicion.hacia]
+      .filter(estado => estado !== null)
+      .forEach(estado => {
+        if (!this.estados.includes(estado)) {
+          throw new Error(`Estado desconocido en la transición: ${estado}`);
+        }
+      });
+
+    origenes.forEach(desde => {
+      if (this.terminales.has(desde)) {
+        throw new Error(
+          `El estado ${desde} es terminal y no puede tener transiciones de salida`
+        );
+      }
+      this.transiciones.set(StateMachine.getKey(desde, transicion.hacia), {
+        desde,
+        hacia: transicion.hacia,
+        requiereMotivo: Boolean(transicion.requiereMotivo),
+        guard: transicion.guard || null,
+        eventos: transicion.eventos || [],
+      });
+    });
+  }
+
+  /**
+   * Quita una transición
+   * @param {string|null} desde - Estado de origen
+   * @param {string} hacia - Estado destino
+   */
+  removeTransition(desde, hacia) {
+    this.transiciones.delete(StateMachine.getKey(desde, hacia));
+  }
+
+  /**
+   * Obtiene una transición declarada
+   * @param {string|null} desde - Estado de origen
+   * @param {string} hacia - Estado destino
+   * @returns {Object|null} Transición o null si no está permitida
+   */
+  getTransition(desde, hacia) {
+    return this.transiciones.get(StateMachine.getKey(desde, hacia)) || null;
+  }
+
+  /**
+   * Verifica si un estado es terminal
+   * @param {string} estado - Estado a verificar
+   * @returns {boolean} True si no admite cambios
+   */
+  isTerminal(estado) {
+    return this.terminales.has(estado);
+  }
+
+  /**
+   * Obtiene el texto legible de un estado
+   * @param {string|null} estado - Estado
+   * @returns {string} Etiqueta del estado
+   */
+  getEtiqueta(estado) {
+    if (estado === null) return 'Sin estado';
+    return this.etiquetas[estado] || estado;
+  }
+
+  /**
+   * Obtiene los estados a los que se puede pasar desde un estado
+   * Sin contexto solo se consideran las transiciones declaradas; con contexto
+   * también se evalúan las guardas.
+   * @param {string|null} desde - Estado de origen
+   * @param {Object|null} contexto - Contexto para las guardas
+   * @returns {Array<string>} Estados destino permitidos
+   */
+  getDestinos(desde, contexto = null) {
+    return this.estados.filter(hacia => {
+      const transicion = this.getTransition(desde, hacia);
+      if (!transicion) return false;
+      return (
+        contexto === null || this.evaluarGuard(transicion, contexto) === true
+      );
+    });
+  }
+
+  /**
+   * Evalúa la guarda de una transición
+   * @param {Object} transicion - Transición declarada
+   * @param {Object} contexto - Contexto del cambio
+   * @returns {true|string} True o el mensaje que explica el rechazo
+   */
+  evaluarGuard(transicion, contexto) {
+    if (!transicion.guard) return true;
+
+    const resultado = transicion.guard(contexto);
+    if (resultado === true) return true;
+    return typeof resultado === 'string'
+      ? resultado
+      : `La condición del cambio de "${this.getEtiqueta(
+          transicion.desde
+        )}" a "${this.getEtiqueta(transicion.hacia)}" no se cumple`;
+  }
+
+  /**
+   * Valida un cambio de estado
+   * @param {string|null} desde - Estado actual (null si aún no hay estado)
+   * @param {string} hacia - Estado destino
+   * @param {Object} contexto - Contexto del cambio ({ motivo, ... })
+   * @returns {Object} Objeto con isValid (boolean) y errors (array)
+   */
+  validate(desde, hacia, contexto = {}) {
+    const errors = [];
+
+    if (!this.estados.includes(hacia)) {
+      errors.push(
+        `El estado "${hacia}" no es válido. Estados válidos: ${this.estados.join(
+          ', '
+        )}`
+      );
+    } else if (this.isTerminal(desde)) {
+      errors.push(
+        `El estado "${this.getEtiqueta(desde)}" es final y no admite cambios`
+      );
+    } else {
+      const transicion = this.getTransition(desde, hacia);
+
+      if (!transicion) {
+        const destinos = this.getDestinos(desde).map(estado =>
+          this.getEtiqueta(estado)
+        );
+        errors.push(
+          `No se permite pasar de "${this.getEtiqueta(
+            desde
+          )}" a "${this.getEtiqueta(hacia)}". ` +
+            (destinos.length > 0
+              ? `Desde "${this.getEtiqueta(
+                  desde
+                )}" solo se puede pasar a: ${destinos.join(', ')}`
+              : `"${this.getEtiqueta(desde)}" no admite cambios`)
+        );
+      } else {
+        if (
+          transicion.requiereMotivo &&
+          (!contexto.motivo || contexto.motivo.toString().trim() === '')
+        ) {
+          errors.push(
+            `El cambio de "${this.getEtiqueta(desde)}" a "${this.getEtiqueta(
+              hacia
+            )}" requiere un motivo`
+          );
+        }
+
+        const guard = this.evaluarGuard(transicion, contexto);
+        if (guard !== true) {
+          errors.push(guard);
+        }
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Busca la secuencia más corta de cambios permitidos entre dos estados
+   * Sirve para cambios automáticos que deben pasar por estados intermedios
+   * (p. ej. de pendiente a finalizado pasando por activo).
+   * @param {string|null} desde - Estado de origen
+   * @param {string} hacia - Estado destino
+   * @param {Object} contexto - Contexto para las guardas
+   * @returns {Array<string>|null} Estados a recorrer sin incluir el origen, o null si no hay camino
+   */
+  findPath(desde, hacia, contexto = {}) {
+    if (desde === hacia) return [];
+
+    const previos = new Map([[desde, undefined]]);
+    const pendientes = [desde];
+
+    while (pendientes.length > 0) {
+      const actual = pendientes.shift();
+      if (this.isTerminal(actual)) continue;
+
+      for (const siguiente of this.getDestinos(actual, contexto)) {
+        if (previos.has(siguiente)) continue;
+        previos.set(siguiente, actual);
+
+        if (siguiente === hacia) {
+          const camino = [];
+          for (let paso = hacia; paso !== desde; paso = previos.get(paso)) {
+            camino.unshift(paso);
+          }
+          return camino;
+        }
+        pendientes.push(siguiente);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Registra un hook que se ejecuta después de cada cambio
+   * @param {Function} callback - (cambio) => void
+   * @returns {Function} Función para quitar el hook
+   */
+  onTransition(callback) {
+    this.hooks.push(callback);
+    return () => {
+      this.hooks = this.hooks.filter(hook => hook !== callback);
+    };
+  }
+
+  /**
+   * Notifica un cambio completado a los hooks y al EventManager
+   * @param {string|null} desde - Estado anterior
+   * @param {string} hacia - Estado nuevo
+   * @param {Object} datos - Datos adicionales del cambio
+   */
+  notifyTransition(desde, hacia, datos = {}) {
+    const cambio = { ...datos, estadoAnterior: desde, nuevoEstado: hacia };
+
+    this.hooks.forEach(hook => {
+      try {
+        hook(cambio);
+      } catch (error) {
+        console.error('❌ Error en hook de cambio de estado:', error);
+      }
+    });
+
+    if (!this.eventManager) return;
+
+    const transicion = this.getTransition(desde, hacia);
+    const eventos = [
+      ...(this.evento ? [this.evento] : []),
+      ...(transicion ? transicion.eventos : []),
+    ];
+    eventos.forEach(evento => this.eventManager.emit(evento, cambio));
+  }
+}
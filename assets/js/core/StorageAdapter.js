@@ -0,0 +1,171 @@
+/**
+ * Error por edición concurrente de un registro
+ * Se lanza cuando la revisión guardada de un registro no coincide con la que
+ * conocía quien intenta escribirlo (otra pestaña lo modificó o eliminó antes).
+ */
+class RevisionConflictError extends Error {
+  constructor(collection, conflicts) {
+    super(
+      `Conflicto de edición en ${collection}: ${conflicts
+        .map(conflict => conflict.id)
+        .join(', ')}`
+    );
+    this.name = 'RevisionConflictError';
+    this.collection = collection;
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ * Adaptador base de persistencia
+ * Define la interfaz que usan los servicios para leer y escribir sus colecciones.
+ * Cada colección se identifica por la clave de almacenamiento del servicio
+ * y sus registros por el campo `id`.
+ */
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Indica si el adaptador puede usarse en el navegador actual
+   * @returns {boolean} True si está soportado
+   */
+  static isSupported() {
+    return true;
+  }
+
+  /**
+   * Carga todos los registros de una colección en su orden de inserción
+   * @param {string} collection - Nombre de la colección
+   * @returns {Promise<Array|null>} Registros o null si la colección no existe
+   */
+  async loadAll(collection) {
+    throw new Error('loadAll debe ser implementado en la clase hija');
+  }
+
+  /**
+   * Reemplaza todos los registros de una colección
+   * @param {string} collection - Nombre de la colección
+   * @param {Array} records - Registros a guardar
+   */
+  async saveAll(collection, records) {
+    throw new Error('saveAll debe ser implementado en la clase hija');
+  }
+
+  /**
+   * Inserta o actualiza un registro
+   * @param {string} collection - Nombre de la colección
+   * @param {Object} record - Registro con `id`
+   */
+  async put(collection, record) {
+    throw new Error('put debe ser implementado en la clase hija');
+  }
+
+  /**
+   * Inserta o actualiza varios registros
+   * Con `options.expectedRevisions` ({ id: revisión }) no escribe nada si algún
+   * registro tiene en el almacenamiento una revisión distinta a la esperada.
+   * @param {string} collection - Nombre de la colección
+   * @param {Array} records - Registros con `id`
+   * @param {Object} options - Opciones de escritura
+   * @throws {RevisionConflictError} Si alguna revisión no coincide
+   */
+  async putMany(collection, records, options = {}) {
+    if (options.expectedRevisions) {
+      this.assertRevisions(
+        collection,
+        (await this.loadAll(collection)) || [],
+        options.expectedRevisions
+      );
+    }
+
+    for (const record of records) {
+      await this.put(collection, record);
+    }
+  }
+
+  /**
+   * Obtiene la revisión de un registro guardado
+   * @param {Object|null} record - Registro guardado
+   * @returns {number|null} Revisión (0 si no tiene) o null si el registro no existe
+   */
+  getRevision(record) {
+    if (!record) return null;
+    return Number.isInteger(record.revision) ? record.revision : 0;
+  }
+
+  /**
+   * Verifica que las revisiones guardadas coincidan con las esperadas
+   * @param {string} collection - Nombre de la colección
+   * @param {Array} currentRecords - Registros guardados
+   * @param {Object} expectedRevisions - Revisión esperada por ID
+   * @throws {RevisionConflictError} Si alguna revisión no coincide
+   */
+  assertRevisions(collection, currentRecords, expectedRevisions) {
+    const conflicts = Object.keys(expectedRevisions)
+      .map(id => {
+        const actual = this.getRevision(
+          currentRecords.find(record => record && String(record.id) === id)
+        );
+        return { id, expected: expectedRevisions[id], actual };
+      })
+      .filter(conflict => conflict.actual !== conflict.expected);
+
+    if (conflicts.length > 0) {
+      throw new RevisionConflictError(collection, conflicts);
+    }
+  }
+
+  /**
+   * Elimina un registro por ID
+   * @param {string} collection - Nombre de la colección
+   * @param {string} id - ID del registro
+   */
+  async delete(collection, id) {
+    throw new Error('delete debe ser implementado en la clase hija');
+  }
+
+  /**
+   * Elimina varios registros por ID
+   * @param {string} collection - Nombre de la colección
+   * @param {Array<string>} ids - IDs de los registros
+   */
+  async deleteMany(collection, ids) {
+    for (const id of ids) {
+      await this.delete(collection, id);
+    }
+  }
+
+  /**
+   * Elimina todos los registros de una colección
+   * @param {string} collection - Nombre de la colección
+   */
+  async clear(collection) {
+    throw new Error('clear debe ser implementado en la clase hija');
+  }
+
+  /**
+   * Obtiene un valor de metadatos de persistencia (ej: versión de esquema)
+   * @param {string} key - Clave del metadato
+   * @returns {Promise<*>} Valor guardado o null
+   */
+  async getMeta(key) {
+    const registros =
+      (await this.loadAll(StorageAdapter.META_COLLECTION)) || [];
+    const registro = registros.find(item => item.id === key);
+    return registro ? registro.value : null;
+  }
+
+  /**
+   * Guarda un valor de metadatos de persistencia
+   * @param {string} key - Clave del metadato
+   * @param {*} value - Valor a guardar
+   */
+  async setMeta(key, value) {
+    await this.put(StorageAdapter.META_COLLECTION, { id: key, value });
+  }
+}
+
+// Colección reservada para metadatos de persistencia
+StorageAdapter.META_COLLECTION = 'persistencia_meta';
@@ -1,3 +1,15 @@
+/**
+ * Error de integridad en datos cifrados
+ * Se lanza cuando un valor cifrado fue alterado, no está cifrado o la clave no corresponde.
+ */
+class StorageIntegrityError extends Error {
+  constructor(message, key = null) {
+    super(message);
+    this.name = 'StorageIntegrityError';
+    this.key = key;
+  }
+}
+
 /**
  * Gestor de almacenamiento centralizado para el sistema
  * Proporciona métodos para manejar localStorage, sessionStorage y otros tipos de almacenamiento
@@ -14,6 +26,25 @@ class StorageManager {
     this.memoryStorage = new Map();
     this.encryptionEnabled = false;
     this.encryptionKey = null;
+
+    // Cifrado autenticado (AES-GCM) con clave derivada por PBKDF2
+    this.secureKey = null;
+    this.secureConfigKey = 'storage_cifrado_config';
+    this.secureQueue = Promise.resolve();
+
+    // Colecciones de los servicios con campos cifrados (se incluyen en la rotación)
+    this.secureCollections = new Map();
+  }
+
+  /**
+   * Obtiene la instancia compartida por la aplicación y los servicios
+   * @returns {StorageManager} Instancia por defecto
+   */
+  static getDefault() {
+    if (!StorageManager.defaultInstance) {
+      StorageManager.defaultInstance = new StorageManager();
+    }
+    return StorageManager.defaultInstance;
   }
 
   /**
@@ -48,7 +79,7 @@ class StorageManager {
     }
 
     try {
-      // Implementación simple de cifrado XOR (para producción usar algo más robusto)
+      // Ofuscación XOR sin autenticación; para datos personales usar setSecure()
       let encrypted = '';
       for (let i = 0; i < data.length; i++) {
         const charCode =
@@ -91,51 +122,750 @@ class StorageManager {
   }
 
   /**
-   * Guarda datos en el almacenamiento especificado
+   * Indica si el navegador soporta el cifrado autenticado (WebCrypto)
+   * @returns {boolean} True si está soportado
+   */
+  static isSecureEncryptionSupported() {
+    try {
+      return (
+        typeof crypto !== 'undefined' &&
+        !!crypto.subtle &&
+        typeof crypto.getRandomValues === 'function'
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Habilita el cifrado autenticado AES-GCM con una clave derivada de una frase
+   * La primera vez genera la sal y un verificador; las siguientes comprueba que
+   * la frase corresponda a los datos ya cifrados. Con la clave activa se cifran
+   * los valores guardados con setSecure() y los campos sensibles de las
+   * colecciones de los servicios (BaseService.getSensitiveFields()).
+   * @param {string} passphrase - Frase de contraseña
+   * @param {Object} options - Opciones adicionales
+   * @param {number} options.iterations - Iteraciones de PBKDF2 (solo al crear la configuración)
+   * @returns {Promise<boolean>} True si quedó habilitado
+   * @throws {StorageIntegrityError} Si la frase no corresponde a la configuración guardada
+   */
+  async enableSecureEncryption(passphrase, options = {}) {
+    if (!passphrase || typeof passphrase !== 'string') {
+      throw new Error('Se requiere una frase de contraseña válida');
+    }
+    if (!StorageManager.isSecureEncryptionSupported()) {
+      throw new Error('WebCrypto no está disponible en este navegador');
+    }
+
+    return this.runSecure(async () => {
+      const config = this.getSecureConfig();
+
+      if (!config) {
+        const nueva = await this.createSecureKey(
+          passphrase,
+          options.iterations
+        );
+        this.saveSecureConfig(nueva.config);
+        this.secureKey = nueva.key;
+        return true;
+      }
+
+      const key = await this.deriveKey(
+        passphrase,
+        this.fromBase64(config.sal),
+        config.iteraciones
+      );
+
+      try {
+        await this.decryptWithKey(
+          key,
+          config.verificador,
+          this.secureConfigKey
+        );
+      } catch (error) {
+        throw new StorageIntegrityError(
+          'La frase de contraseña no corresponde a los datos cifrados',
+          this.secureConfigKey
+        );
+      }
+
+      this.secureKey = key;
+      return true;
+    });
+  }
+
+  /**
+   * Deshabilita el cifrado autenticado (los datos cifrados se conservan)
+   */
+  disableSecureEncryption() {
+    this.secureKey = null;
+  }
+
+  /**
+   * Indica si el cifrado autenticado está habilitado
+   * @returns {boolean} True si hay una clave activa
+   */
+  isSecureEncryptionEnabled() {
+    return this.secureKey !== null;
+  }
+
+  /**
+   * Indica si un valor almacenado está cifrado con AES-GCM
+   * @param {*} data - Valor almacenado
+   * @returns {boolean} True si tiene el formato cifrado
+   */
+  isSecureEncrypted(data) {
+    return (
+      typeof data === 'string' && data.startsWith(StorageManager.SECURE_PREFIX)
+    );
+  }
+
+  /**
+   * Serializa las operaciones cifradas para que una rotación no se mezcle con
+   * lecturas o escrituras que usen la clave anterior
+   * @param {Function} task - Operación asíncrona
+   * @returns {Promise<*>} Resultado de la operación
+   */
+  runSecure(task) {
+    const tarea = this.secureQueue.then(task);
+    this.secureQueue = tarea.catch(() => {});
+    return tarea;
+  }
+
+  /**
+   * Verifica que haya una clave de cifrado activa
+   */
+  assertSecureKey() {
+    if (!this.secureKey) {
+      throw new Error(
+        'El cifrado autenticado no está habilitado (use enableSecureEncryption)'
+      );
+    }
+  }
+
+  /**
+   * Obtiene la configuración de cifrado guardada (sal, iteraciones y verificador)
+   * @returns {Object|null} Configuración o null si no existe
+   * @throws {StorageIntegrityError} Si la configuración está corrupta
+   */
+  getSecureConfig() {
+    const data = localStorage.getItem(this.secureConfigKey);
+    if (!data) return null;
+
+    try {
+      const config = JSON.parse(data);
+      if (!config.sal || !config.verificador || !config.iteraciones) {
+        throw new Error('Faltan campos obligatorios');
+      }
+      return config;
+    } catch (error) {
+      throw new StorageIntegrityError(
+        `Configuración de cifrado corrupta: ${error.message}`,
+        this.secureConfigKey
+      );
+    }
+  }
+
+  /**
+   * Guarda la configuración de cifrado (no contiene la clave)
+   * @param {Object} config - Configuración a guardar
+   */
+  saveSecureConfig(config) {
+    localStorage.setItem(this.secureConfigKey, JSON.stringify(config));
+  }
+
+  /**
+   * Genera una sal nueva, deriva la clave y prepara su configuración
+   * @param {string} passphrase - Frase de contraseña
+   * @param {number} iterations - Iteraciones de PBKDF2
+   * @returns {Promise<Object>} { key, config }
+   */
+  async createSecureKey(
+    passphrase,
+    iterations = StorageManager.PBKDF2_ITERATIONS
+  ) {
+    const sal = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this.deriveKey(passphrase, sal, iterations);
+
+    return {
+      key,
+      config: {
+        version: 1,
+        algoritmo: 'AES-GCM',
+        kdf: 'PBKDF2-SHA-256',
+        iteraciones: iterations,
+        sal: this.toBase64(sal),
+        verificador: await this.encryptWithKey(
+          key,
+          StorageManager.SECURE_VERIFIER,
+          this.secureConfigKey
+        ),
+        fecha: new Date().toISOString(),
+      },
+    };
+  }
+
+  /**
+   * Deriva una clave AES-GCM de 256 bits a partir de una frase
+   * @param {string} passphrase - Frase de contraseña
+   * @param {Uint8Array} salt - Sal
+   * @param {number} iterations - Iteraciones de PBKDF2
+   * @returns {Promise<CryptoKey>} Clave no exportable
+   */
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Cifra un texto con AES-GCM usando un IV aleatorio
+   * La clave de almacenamiento se autentica como dato adicional, de modo que
+   * un valor cifrado no puede moverse a otra clave sin detectarse.
+   * @param {CryptoKey} key - Clave AES-GCM
+   * @param {string} plaintext - Texto a cifrar
+   * @param {string} context - Clave de almacenamiento del valor
+   * @returns {Promise<string>} Valor cifrado con formato `aesgcm:v1:<iv>:<datos>`
+   */
+  async encryptWithKey(key, plaintext, context) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const cifrado = await crypto.subtle.encrypt(
+      {
+        name: 'AES-GCM',
+        iv,
+        additionalData: new TextEncoder().encode(context),
+      },
+      key,
+      new TextEncoder().encode(plaintext)
+    );
+
+    return `${StorageManager.SECURE_PREFIX}${this.toBase64(iv)}:${this.toBase64(
+      new Uint8Array(cifrado)
+    )}`;
+  }
+
+  /**
+   * Descifra y verifica un valor cifrado con AES-GCM
+   * @param {CryptoKey} key - Clave AES-GCM
+   * @param {string} data - Valor cifrado
+   * @param {string} context - Clave de almacenamiento del valor
+   * @returns {Promise<string>} Texto descifrado
+   * @throws {StorageIntegrityError} Si el valor fue alterado o la clave no corresponde
+   */
+  async decryptWithKey(key, data, context) {
+    if (!this.isSecureEncrypted(data)) {
+      throw new StorageIntegrityError(
+        `El valor de ${context} no está cifrado con AES-GCM`,
+        context
+      );
+    }
+
+    let iv;
+    let cifrado;
+    try {
+      const [ivTexto, datosTexto] = data
+        .slice(StorageManager.SECURE_PREFIX.length)
+        .split(':');
+      iv = this.fromBase64(ivTexto);
+      cifrado = this.fromBase64(datosTexto);
+    } catch (error) {
+      iv = null;
+    }
+
+    if (!iv || iv.length !== 12 || !cifrado || cifrado.length === 0) {
+      throw new StorageIntegrityError(
+        `El valor cifrado de ${context} tiene un formato inválido`,
+        context
+      );
+    }
+
+    try {
+      const plano = await crypto.subtle.decrypt(
+        {
+          name: 'AES-GCM',
+          iv,
+          additionalData: new TextEncoder().encode(context),
+        },
+        key,
+        cifrado
+      );
+      return new TextDecoder().decode(plano);
+    } catch (error) {
+      throw new StorageIntegrityError(
+        `No se pudo verificar la integridad de ${context}: datos alterados o clave incorrecta`,
+        context
+      );
+    }
+  }
+
+  /**
+   * Guarda datos cifrados con AES-GCM
    * @param {string} key - Clave para los datos
    * @param {*} value - Valor a guardar
    * @param {string} storageType - Tipo de almacenamiento
+   * @param {Object} options - Opciones adicionales (ttl, compress)
+   * @returns {Promise<boolean>} True si se guardó
+   */
+  async setSecure(key, value, storageType = this.defaultType, options = {}) {
+    return this.runSecure(async () => {
+      this.assertSecureKey();
+
+      const serializedData = JSON.stringify(this.buildMetadata(value, options));
+      const encryptedData = await this.encryptWithKey(
+        this.secureKey,
+        serializedData,
+        key
+      );
+
+      this.writeRaw(key, encryptedData, storageType);
+      return true;
+    });
+  }
+
+  /**
+   * Obtiene y verifica datos cifrados con AES-GCM
+   * @param {string} key - Clave de los datos
+   * @param {string} storageType - Tipo de almacenamiento
+   * @param {*} defaultValue - Valor por defecto si no existen los datos
+   * @returns {Promise<*>} Datos descifrados o valor por defecto
+   * @throws {StorageIntegrityError} Si los datos fueron alterados, no están cifrados o la clave no corresponde
+   */
+  async getSecure(key, storageType = this.defaultType, defaultValue = null) {
+    return this.runSecure(async () => {
+      this.assertSecureKey();
+
+      const storedData = this.readRaw(key, storageType);
+      if (!storedData) {
+        return defaultValue;
+      }
+
+      const decryptedData = await this.decryptWithKey(
+        this.secureKey,
+        storedData,
+        key
+      );
+
+      return this.unwrapMetadata(
+        key,
+        JSON.parse(decryptedData),
+        storageType,
+        defaultValue
+      );
+    });
+  }
+
+  /**
+   * Registra una colección con campos cifrados para incluirla en las rotaciones
+   * @param {string} nombre - Clave de almacenamiento de la colección
+   * @param {Object} coleccion - { campos, cargar: () => Promise<Array>, guardar: registros => Promise }
+   */
+  registerSecureCollection(nombre, coleccion) {
+    this.secureCollections.set(nombre, coleccion);
+  }
+
+  /**
+   * Obtiene el contexto con el que se autentica un campo cifrado
+   * Liga el valor a su colección, registro y campo.
+   * @param {string} coleccion - Clave de almacenamiento de la colección
+   * @param {string} id - ID del registro
+   * @param {string} campo - Nombre del campo
+   * @returns {string} Contexto
+   */
+  getFieldContext(coleccion, id, campo) {
+    return `${coleccion}:${id}:${campo}`;
+  }
+
+  /**
+   * Cifra los campos sensibles de unos registros y los escribe
+   * Sin clave activa se escriben tal cual. Cifrado y escritura van en la cola de
+   * operaciones cifradas para que una rotación no quede entre ambos.
+   * @param {string} coleccion - Clave de almacenamiento de la colección
+   * @param {Array<Object>} registros - Registros a escribir
+   * @param {Array<string>} campos - Campos sensibles
+   * @param {Function} escribir - (registros) => Promise que los guarda
+   * @returns {Promise<*>} Resultado de escribir
+   */
+  async writeSecureRecords(coleccion, registros, campos, escribir) {
+    return this.runSecure(async () => {
+      if (!this.secureKey) {
+        return escribir(registros);
+      }
+
+      const cifrados = [];
+      for (const registro of registros) {
+        cifrados.push(
+          await this.sealRecord(this.secureKey, coleccion, registro, campos)
+        );
+      }
+      return escribir(cifrados);
+    });
+  }
+
+  /**
+   * Descifra y verifica los campos sensibles de un registro leído
+   * Los campos sin cifrar (guardados antes de habilitar el cifrado) se dejan igual.
+   * @param {string} coleccion - Clave de almacenamiento de la colección
+   * @param {Object} registro - Registro almacenado
+   * @param {Array<string>} campos - Campos sensibles
+   * @returns {Promise<Object>} Registro con los campos descifrados
+   * @throws {StorageIntegrityError} Si un campo fue alterado, la clave no corresponde o no hay clave activa
+   */
+  async readSecureRecord(coleccion, registro, campos) {
+    if (
+      !registro ||
+      !campos.some(campo => this.isSecureEncrypted(registro[campo]))
+    ) {
+      return registro;
+    }
+
+    return this.runSecure(async () => {
+      if (!this.secureKey) {
+        throw new StorageIntegrityError(
+          `El registro ${registro.id} de ${coleccion} está cifrado; habilite el cifrado con la frase de contraseña`,
+          coleccion
+        );
+      }
+      return this.openRecord(this.secureKey, coleccion, registro, campos);
+    });
+  }
+
+  /**
+   * Cifra con una clave los campos de un registro que aún no están cifrados
+   * @param {CryptoKey} key - Clave AES-GCM
+   * @param {string} coleccion - Clave de almacenamiento de la colección
+   * @param {Object} registro - Registro en claro
+   * @param {Array<string>} campos - Campos sensibles
+   * @returns {Promise<Object>} Copia del registro con los campos cifrados
+   */
+  async sealRecord(key, coleccion, registro, campos) {
+    const cifrado = { ...registro };
+    for (const campo of campos) {
+      if (
+        cifrado[campo] === undefined ||
+        this.isSecureEncrypted(cifrado[campo])
+      )
+        continue;
+      cifrado[campo] = await this.encryptWithKey(
+        key,
+        JSON.stringify(cifrado[campo]),
+        this.getFieldContext(coleccion, registro.id, campo)
+      );
+    }
+    return cifrado;
+  }
+
+  /**
+   * Descifra con una clave los campos cifrados de un registro
+   * @param {CryptoKey} key - Clave AES-GCM
+   * @param {string} coleccion - Clave de almacenamiento de la colección
+   * @param {Object} registro - Registro almacenado
+   * @param {Array<string>} campos - Campos sensibles
+   * @returns {Promise<Object>} Copia del registro con los campos en claro
+   * @throws {StorageIntegrityError} Si un campo fue alterado o la clave no corresponde
+   */
+  async openRecord(key, coleccion, registro, campos) {
+    const abierto = { ...registro };
+    for (const campo of campos) {
+      if (!this.isSecureEncrypted(abierto[campo])) continue;
+      abierto[campo] = JSON.parse(
+        await this.decryptWithKey(
+          key,
+          abierto[campo],
+          this.getFieldContext(coleccion, registro.id, campo)
+        )
+      );
+    }
+    return abierto;
+  }
+
+  /**
+   * Cambia la frase de contraseña y vuelve a cifrar todos los valores cifrados
+   * Incluye los registros de las colecciones registradas. Primero descifra todo
+   * con la clave actual; si algún valor falla la verificación, la rotación se
+   * cancela sin modificar nada.
+   * @param {string} newPassphrase - Nueva frase de contraseña
    * @param {Object} options - Opciones adicionales
+   * @param {number} options.iterations - Iteraciones de PBKDF2 para la nueva clave
+   * @returns {Promise<Object>} Resultado de la rotación
+   * @throws {StorageIntegrityError} Si algún valor no se pudo descifrar
    */
-  set(key, value, storageType = this.defaultType, options = {}) {
-    try {
-      const { ttl, compress } = options;
+  async rotateEncryptionKey(newPassphrase, options = {}) {
+    if (!newPassphrase || typeof newPassphrase !== 'string') {
+      throw new Error('Se requiere una frase de contraseña válida');
+    }
+
+    return this.runSecure(async () => {
+      this.assertSecureKey();
 
-      let dataToStore = value;
+      const pendientes = [];
+      const fallidas = [];
 
-      // Comprimir si se solicita
-      if (compress && typeof value === 'string' && value.length > 1000) {
-        dataToStore = this.compressData(value);
+      for (const storageType of Object.values(this.storageTypes)) {
+        for (const key of this.keys(storageType)) {
+          const storedData = this.readRaw(key, storageType);
+          if (!this.isSecureEncrypted(storedData)) continue;
+
+          try {
+            pendientes.push({
+              key,
+              storageType,
+              anterior: storedData,
+              plano: await this.decryptWithKey(this.secureKey, storedData, key),
+            });
+          } catch (error) {
+            fallidas.push(`${storageType}:${key}`);
+          }
+        }
       }
 
-      // Agregar metadatos si es necesario
-      const metadata = {
-        value: dataToStore,
-        timestamp: Date.now(),
-        compressed: compress || false,
-      };
+      // Registros de las colecciones con campos cifrados
+      const colecciones = [];
+      for (const [nombre, coleccion] of this.secureCollections) {
+        const abiertos = [];
+        for (const registro of (await coleccion.cargar()) || []) {
+          if (
+            !registro ||
+            !coleccion.campos.some(campo =>
+              this.isSecureEncrypted(registro[campo])
+            )
+          ) {
+            continue;
+          }
 
-      if (ttl) {
-        metadata.expiresAt = Date.now() + ttl;
+          try {
+            abiertos.push({
+              anterior: registro,
+              plano: await this.openRecord(
+                this.secureKey,
+                nombre,
+                registro,
+                coleccion.campos
+              ),
+            });
+          } catch (error) {
+            fallidas.push(`${nombre}:${registro.id}`);
+          }
+        }
+        if (abiertos.length > 0) {
+          colecciones.push({ nombre, coleccion, abiertos });
+        }
       }
 
-      const serializedData = JSON.stringify(metadata);
-      const encryptedData = this.encrypt(serializedData);
+      if (fallidas.length > 0) {
+        throw new StorageIntegrityError(
+          `Rotación cancelada, no se pudieron verificar: ${fallidas.join(', ')}`
+        );
+      }
 
-      switch (storageType) {
-        case this.storageTypes.LOCAL:
-          localStorage.setItem(key, encryptedData);
-          break;
-        case this.storageTypes.SESSION:
-          sessionStorage.setItem(key, encryptedData);
-          break;
-        case this.storageTypes.MEMORY:
-          this.memoryStorage.set(key, encryptedData);
-          break;
-        default:
-          throw new Error(`Tipo de almacenamiento no válido: ${storageType}`);
+      const nueva = await this.createSecureKey(
+        newPassphrase,
+        options.iterations
+      );
+      for (const pendiente of pendientes) {
+        pendiente.nuevo = await this.encryptWithKey(
+          nueva.key,
+          pendiente.plano,
+          pendiente.key
+        );
+      }
+      let registros = 0;
+      for (const { nombre, coleccion, abiertos } of colecciones) {
+        for (const abierto of abiertos) {
+          abierto.nuevo = await this.sealRecord(
+            nueva.key,
+            nombre,
+            abierto.plano,
+            coleccion.campos
+          );
+        }
+        registros += abiertos.length;
+      }
+
+      // Escribir solo cuando todo está cifrado; si una escritura falla, restaurar
+      const escritos = [];
+      const coleccionesEscritas = [];
+      try {
+        pendientes.forEach(pendiente => {
+          this.writeRaw(pendiente.key, pendiente.nuevo, pendiente.storageType);
+          escritos.push(pendiente);
+        });
+        for (const item of colecciones) {
+          coleccionesEscritas.push(item);
+          await item.coleccion.guardar(
+            item.abiertos.map(abierto => abierto.nuevo)
+          );
+        }
+        this.saveSecureConfig(nueva.config);
+      } catch (error) {
+        escritos.forEach(pendiente =>
+          this.writeRaw(
+            pendiente.key,
+            pendiente.anterior,
+            pendiente.storageType
+          )
+        );
+        for (const item of coleccionesEscritas) {
+          await item.coleccion.guardar(
+            item.abiertos.map(abierto => abierto.anterior)
+          );
+        }
+        throw error;
       }
 
+      this.secureKey = nueva.key;
+
+      return {
+        success: true,
+        reencrypted: pendientes.length,
+        reencryptedRecords: registros,
+        message: `${pendientes.length} claves y ${registros} registros cifrados nuevamente`,
+      };
+    });
+  }
+
+  /**
+   * Codifica bytes en base64
+   * @param {Uint8Array} bytes - Bytes a codificar
+   * @returns {string} Texto en base64
+   */
+  toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  /**
+   * Decodifica base64 a bytes
+   * @param {string} text - Texto en base64
+   * @returns {Uint8Array} Bytes decodificados
+   */
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  /**
+   * Construye los metadatos con los que se guarda un valor
+   * @param {*} value - Valor a guardar
+   * @param {Object} options - Opciones (ttl, compress)
+   * @returns {Object} Metadatos
+   */
+  buildMetadata(value, options = {}) {
+    const { ttl, compress } = options;
+
+    let dataToStore = value;
+
+    // Comprimir si se solicita
+    if (compress && typeof value === 'string' && value.length > 1000) {
+      dataToStore = this.compressData(value);
+    }
+
+    const metadata = {
+      value: dataToStore,
+      timestamp: Date.now(),
+      compressed: compress || false,
+    };
+
+    if (ttl) {
+      metadata.expiresAt = Date.now() + ttl;
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Extrae el valor de sus metadatos, descartándolo si expiró
+   * @param {string} key - Clave de los datos
+   * @param {Object} metadata - Metadatos guardados
+   * @param {string} storageType - Tipo de almacenamiento
+   * @param {*} defaultValue - Valor por defecto si expiró
+   * @returns {*} Valor
+   */
+  unwrapMetadata(key, metadata, storageType, defaultValue) {
+    // Verificar si los datos han expirado
+    if (metadata.expiresAt && Date.now() > metadata.expiresAt) {
+      this.remove(key, storageType);
+      return defaultValue;
+    }
+
+    let result = metadata.value;
+
+    // Descomprimir si es necesario
+    if (metadata.compressed) {
+      result = this.decompressData(result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Lee el valor almacenado sin interpretarlo
+   * @param {string} key - Clave de los datos
+   * @param {string} storageType - Tipo de almacenamiento
+   * @returns {string|null} Valor almacenado
+   */
+  readRaw(key, storageType) {
+    switch (storageType) {
+      case this.storageTypes.LOCAL:
+        return localStorage.getItem(key);
+      case this.storageTypes.SESSION:
+        return sessionStorage.getItem(key);
+      case this.storageTypes.MEMORY:
+        return this.memoryStorage.has(key) ? this.memoryStorage.get(key) : null;
+      default:
+        throw new Error(`Tipo de almacenamiento no válido: ${storageType}`);
+    }
+  }
+
+  /**
+   * Escribe un valor ya serializado
+   * @param {string} key - Clave de los datos
+   * @param {string} data - Valor serializado
+   * @param {string} storageType - Tipo de almacenamiento
+   */
+  writeRaw(key, data, storageType) {
+    switch (storageType) {
+      case this.storageTypes.LOCAL:
+        localStorage.setItem(key, data);
+        break;
+      case this.storageTypes.SESSION:
+        sessionStorage.setItem(key, data);
+        break;
+      case this.storageTypes.MEMORY:
+        this.memoryStorage.set(key, data);
+        break;
+      default:
+        throw new Error(`Tipo de almacenamiento no válido: ${storageType}`);
+    }
+  }
+
+  /**
+   * Guarda datos en el almacenamiento especificado
+   * @param {string} key - Clave para los datos
+   * @param {*} value - Valor a guardar
+   * @param {string} storageType - Tipo de almacenamiento
+   * @param {Object} options - Opciones adicionales
+   */
+  set(key, value, storageType = this.defaultType, options = {}) {
+    try {
+      const serializedData = JSON.stringify(this.buildMetadata(value, options));
+      const encryptedData = this.encrypt(serializedData);
+
+      this.writeRaw(key, encryptedData, storageType);
+
       return true;
     } catch (error) {
       console.error(`❌ Error al guardar datos en ${storageType}:`, error);
@@ -152,43 +882,24 @@ class StorageManager {
    */
   get(key, storageType = this.defaultType, defaultValue = null) {
     try {
-      let storedData = null;
-
-      switch (storageType) {
-        case this.storageTypes.LOCAL:
-          storedData = localStorage.getItem(key);
-          break;
-        case this.storageTypes.SESSION:
-          storedData = sessionStorage.getItem(key);
-          break;
-        case this.storageTypes.MEMORY:
-          storedData = this.memoryStorage.get(key);
-          break;
-        default:
-          throw new Error(`Tipo de almacenamiento no válido: ${storageType}`);
-      }
+      const storedData = this.readRaw(key, storageType);
 
       if (!storedData) {
         return defaultValue;
       }
 
-      const decryptedData = this.decrypt(storedData);
-      const metadata = JSON.parse(decryptedData);
-
-      // Verificar si los datos han expirado
-      if (metadata.expiresAt && Date.now() > metadata.expiresAt) {
-        this.remove(key, storageType);
-        return defaultValue;
+      // Los valores AES-GCM solo se leen con getSecure(); nunca retornar el texto cifrado
+      if (this.isSecureEncrypted(storedData)) {
+        throw new StorageIntegrityError(
+          `${key} está cifrado con AES-GCM, use getSecure()`,
+          key
+        );
       }
 
-      let result = metadata.value;
-
-      // Descomprimir si es necesario
-      if (metadata.compressed) {
-        result = this.decompressData(result);
-      }
+      const decryptedData = this.decrypt(storedData);
+      const metadata = JSON.parse(decryptedData);
 
-      return result;
+      return this.unwrapMetadata(key, metadata, storageType, defaultValue);
     } catch (error) {
       console.error(`❌ Error al obtener datos de ${storageType}:`, error);
       return defaultValue;
@@ -437,6 +1148,9 @@ class StorageManager {
       let cleanedCount = 0;
 
       keys.forEach(key => {
+        // Los valores cifrados con AES-GCM no se pueden leer de forma síncrona
+        if (this.isSecureEncrypted(this.readRaw(key, storageType))) return;
+
         try {
           const storedData = this.get(key, storageType);
           if (storedData === null) {
@@ -538,5 +1252,15 @@ class StorageManager {
     this.memoryStorage.clear();
     this.encryptionEnabled = false;
     this.encryptionKey = null;
+    this.secureKey = null;
   }
 }
+
+// Prefijo de los valores cifrados con AES-GCM
+StorageManager.SECURE_PREFIX = 'aesgcm:v1:';
+
+// Iteraciones de PBKDF2 para derivar la clave
+StorageManager.PBKDF2_ITERATIONS = 600000;
+
+// Texto conocido con el que se verifica la frase de contraseña
+StorageManager.SECURE_VERIFIER = 'config_tramite';
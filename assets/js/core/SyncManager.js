@@ -0,0 +1,171 @@
+/**
+ * Sincronización de colecciones entre pestañas
+ * Avisa a las demás pestañas cuando un servicio escribe en su colección, usando
+ * BroadcastChannel o, si no está disponible, eventos `storage` sobre una clave
+ * de señal en localStorage. Cada pestaña ignora sus propios avisos.
+ */
+class SyncManager {
+  constructor(options = {}) {
+    this.channelName = options.channelName || 'config_tramite';
+    this.signalKey = options.signalKey || 'persistencia_cambio';
+    this.tabId = `tab_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+    this.listeners = new Map();
+    this.channel = null;
+    this.started = false;
+
+    this.handleStorageEvent = this.handleStorageEvent.bind(this);
+  }
+
+  /**
+   * Obtiene la instancia compartida por todos los servicios
+   * @returns {SyncManager} Instancia por defecto
+   */
+  static getDefault() {
+    if (!SyncManager.defaultInstance) {
+      SyncManager.defaultInstance = new SyncManager();
+    }
+    return SyncManager.defaultInstance;
+  }
+
+  /**
+   * Indica si el navegador soporta BroadcastChannel
+   * @returns {boolean} True si está soportado
+   */
+  static isBroadcastSupported() {
+    try {
+      return typeof BroadcastChannel !== 'undefined';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Comienza a escuchar los avisos de otras pestañas
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    if (SyncManager.isBroadcastSupported()) {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.onmessage = event => this.handleMessage(event.data);
+    }
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('storage', this.handleStorageEvent);
+    }
+  }
+
+  /**
+   * Deja de escuchar los avisos y libera el canal
+   */
+  stop() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('storage', this.handleStorageEvent);
+    }
+    this.listeners.clear();
+    this.started = false;
+  }
+
+  /**
+   * Registra un callback para los cambios de una colección hechos en otra pestaña
+   * @param {string} storageKey - Clave de almacenamiento de la colección
+   * @param {Function} callback - Recibe { origen, storageKey, accion, ids, fecha }
+   * @returns {Function} Función para cancelar la suscripción
+   */
+  subscribe(storageKey, callback) {
+    this.start();
+
+    if (!this.listeners.has(storageKey)) {
+      this.listeners.set(storageKey, new Set());
+    }
+    this.listeners.get(storageKey).add(callback);
+
+    return () => {
+      const callbacks = this.listeners.get(storageKey);
+      if (callbacks) callbacks.delete(callback);
+    };
+  }
+
+  /**
+   * Avisa a las demás pestañas que una colección cambió
+   * @param {string} storageKey - Clave de almacenamiento de la colección
+   * @param {string} accion - 'put', 'delete', 'clear' o 'save'
+   * @param {Array<string>|null} ids - IDs afectados (null si cambió toda la colección)
+   */
+  publish(storageKey, accion, ids = null) {
+    this.start();
+
+    const message = {
+      origen: this.tabId,
+      storageKey,
+      accion,
+      ids,
+      fecha: Date.now(),
+    };
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        // El evento `storage` solo se dispara en las otras pestañas
+        localStorage.setItem(this.signalKey, JSON.stringify(message));
+      }
+    } catch (error) {
+      console.error(`❌ Error al notificar cambios de ${storageKey}:`, error);
+    }
+  }
+
+  /**
+   * Procesa los eventos `storage` de otras pestañas
+   * @param {StorageEvent} event - Evento del navegador
+   */
+  handleStorageEvent(event) {
+    // localStorage.clear() en otra pestaña: recargar todas las colecciones
+    if (event.key === null) {
+      Array.from(this.listeners.keys()).forEach(storageKey =>
+        this.handleMessage({
+          origen: null,
+          storageKey,
+          accion: 'clear',
+          ids: null,
+          fecha: Date.now(),
+        })
+      );
+      return;
+    }
+
+    if (event.key !== this.signalKey || !event.newValue) return;
+
+    try {
+      this.handleMessage(JSON.parse(event.newValue));
+    } catch (error) {
+      console.error('❌ Aviso de sincronización inválido:', error);
+    }
+  }
+
+  /**
+   * Entrega un aviso a los callbacks de su colección
+   * @param {Object} message - Aviso recibido
+   */
+  handleMessage(message) {
+    if (!message || !message.storageKey || message.origen === this.tabId) {
+      return;
+    }
+
+    const callbacks = this.listeners.get(message.storageKey);
+    if (!callbacks) return;
+
+    callbacks.forEach(callback => {
+      try {
+        callback(message);
+      } catch (error) {
+        console.error(`❌ Error al sincronizar ${message.storageKey}:`, error);
+      }
+    });
+  }
+}
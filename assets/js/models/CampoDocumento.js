@@ -13,6 +13,16 @@ class CampoDocumento {
     this.nombreCampo = data.nombreCampo || '';
     this.tipoCampo = data.tipoCampo || 'linea_texto';
     this.obligatorio = data.obligatorio || 'No';
+    this.configuracion = FieldTypeRegistry.getDefault().normalizeConfig(
+      this.tipoCampo,
+      data.configuracion
+    );
+    this.reglas = (data.reglas || []).map(FieldRuleEngine.normalizeRule);
+    // Posición en el documento; los campos con el mismo orden quedan en el
+    // orden en que se crearon
+    this.orden = parseInt(data.orden) || 0;
+    // Sección (fieldset) en la que se agrupa el campo; vacía si no tiene
+    this.seccion = (data.seccion || '').trim();
     this.fechaCreacion = data.fechaCreacion || new Date().toISOString();
     this.fechaModificacion = data.fechaModificacion || new Date().toISOString();
     this.estado = data.estado || 'activo';
@@ -57,11 +67,12 @@ class CampoDocumento {
       errors.push('El nombre del campo no puede exceder 100 caracteres');
     }
 
-    const tiposValidos = ['linea_texto', 'fecha', 'numerico'];
-    if (this.tipoCampo && !tiposValidos.includes(this.tipoCampo)) {
-      errors.push(
-        'El tipo de campo debe ser: línea de texto, fecha o numérico'
-      );
+    if (this.tipoCampo) {
+      errors.push(...this.validarConfiguracion().errors);
+    }
+
+    if (this.seccion.length > 100) {
+      errors.push('La sección no puede exceder 100 caracteres');
     }
 
     const obligatorioValidos = ['Sí', 'No'];
@@ -69,6 +80,10 @@ class CampoDocumento {
       errors.push('El campo obligatorio debe ser: Sí o No');
     }
 
+    this.reglas.forEach(regla => {
+      errors.push(...FieldRuleEngine.validateRule(regla, this.nombreCampo));
+    });
+
     return {
       isValid: errors.length === 0,
       errors: errors,
@@ -98,11 +113,12 @@ class CampoDocumento {
       errors.push('El nombre del campo no puede exceder 100 caracteres');
     }
 
-    const tiposValidos = ['linea_texto', 'fecha', 'numerico'];
-    if (this.tipoCampo && !tiposValidos.includes(this.tipoCampo)) {
-      errors.push(
-        'El tipo de campo debe ser: línea de texto, fecha o numérico'
-      );
+    if (this.tipoCampo) {
+      errors.push(...this.validarConfiguracion().errors);
+    }
+
+    if (this.seccion.length > 100) {
+      errors.push('La sección no puede exceder 100 caracteres');
     }
 
     const obligatorioValidos = ['Sí', 'No'];
@@ -110,12 +126,36 @@ class CampoDocumento {
       errors.push('El campo obligatorio debe ser: Sí o No');
     }
 
+    this.reglas.forEach(regla => {
+      errors.push(...FieldRuleEngine.validateRule(regla, this.nombreCampo));
+    });
+
     return {
       isValid: errors.length === 0,
       errors: errors,
     };
   }
 
+  /**
+   * Valida el tipo de campo y su configuración con el registro de tipos
+   * @returns {Object} Objeto con isValid (boolean) y errors (array)
+   */
+  validarConfiguracion() {
+    return FieldTypeRegistry.getDefault().validateConfig(
+      this.tipoCampo,
+      this.configuracion
+    );
+  }
+
+  /**
+   * Valida un valor recibido para el campo
+   * @param {*} valor - Valor del campo
+   * @returns {Object} Objeto con isValid (boolean) y errors (array)
+   */
+  validarValor(valor) {
+    return FieldTypeRegistry.getDefault().validateValue(this, valor);
+  }
+
   /**
    * Actualiza la fecha de modificación
    */
@@ -134,6 +174,10 @@ class CampoDocumento {
       nombreCampo: this.nombreCampo,
       tipoCampo: this.tipoCampo,
       obligatorio: this.obligatorio,
+      configuracion: { ...this.configuracion },
+      reglas: this.reglas.map(regla => FieldRuleEngine.normalizeRule(regla)),
+      orden: this.orden,
+      seccion: this.seccion,
       fechaCreacion: this.fechaCreacion,
       fechaModificacion: this.fechaModificacion,
       estado: this.estado,
@@ -153,8 +197,12 @@ class CampoDocumento {
       nombreCampo: formData.nombreCampo,
       tipoCampo: formData.tipoCampo,
       obligatorio: formData.obligatorio,
+      configuracion: formData.configuracion,
+      reglas: formData.reglas,
+      orden: formData.orden,
+      seccion: formData.seccion,
       estado: 'activo',
-      version: '1.0',
+      version: formData.version || '1.0',
     });
   }
 
@@ -174,17 +222,47 @@ class CampoDocumento {
     });
   }
 
+  /**
+   * Ordena los campos de un documento
+   * Los campos quedan por su orden y, a la vez, juntos los de cada sección:
+   * una sección aparece donde está su primer campo.
+   * @param {Array<Object>} campos - Campos o sus datos
+   * @returns {Array<Object>} Campos ordenados (el array original no cambia)
+   */
+  static ordenar(campos) {
+    const porOrden = [...campos].sort(
+      (a, b) => (parseInt(a.orden) || 0) - (parseInt(b.orden) || 0)
+    );
+    return CampoDocumento.agruparPorSeccion(porOrden).flatMap(
+      grupo => grupo.campos
+    );
+  }
+
+  /**
+   * Agrupa los campos por sección en el orden en que aparecen
+   * @param {Array<Object>} campos - Campos o sus datos, ya ordenados
+   * @returns {Array<Object>} [{ seccion, campos }] con seccion vacía para los campos sin sección
+   */
+  static agruparPorSeccion(campos) {
+    const grupos = [];
+    campos.forEach(campo => {
+      const seccion = (campo.seccion || '').trim();
+      const grupo = grupos.find(item => item.seccion === seccion);
+      if (grupo) {
+        grupo.campos.push(campo);
+      } else {
+        grupos.push({ seccion, campos: [campo] });
+      }
+    });
+    return grupos;
+  }
+
   /**
    * Obtiene el nombre legible del tipo de campo
    * @returns {string} Nombre legible del tipo
    */
   getTipoCampoLegible() {
-    const tipos = {
-      linea_texto: 'Línea de Texto',
-      fecha: 'Fecha',
-      numerico: 'Numérico',
-    };
-    return tipos[this.tipoCampo] || this.tipoCampo;
+    return FieldTypeRegistry.getDefault().getLabel(this.tipoCampo);
   }
 
   /**
@@ -192,12 +270,7 @@ class CampoDocumento {
    * @returns {string} Clase del icono
    */
   getTipoCampoIcono() {
-    const iconos = {
-      linea_texto: 'fas fa-font',
-      fecha: 'fas fa-calendar-alt',
-      numerico: 'fas fa-hashtag',
-    };
-    return iconos[this.tipoCampo] || 'fas fa-question';
+    return FieldTypeRegistry.getDefault().getIcon(this.tipoCampo);
   }
 
   /**
@@ -205,11 +278,6 @@ class CampoDocumento {
    * @returns {string} Clase del badge
    */
   getTipoCampoBadgeColor() {
-    const colores = {
-      linea_texto: 'bg-primary',
-      fecha: 'bg-info',
-      numerico: 'bg-success',
-    };
-    return colores[this.tipoCampo] || 'bg-secondary';
+    return FieldTypeRegistry.getDefault().getBadgeColor(this.tipoCampo);
   }
 }
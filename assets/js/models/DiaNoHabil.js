@@ -0,0 +1,133 @@
+/**
+ * Modelo de datos para Días No Hábiles
+ * Clase que representa un festivo nacional o un cierre institucional del
+ * calendario; sin sede aplica a todas las sedes.
+ */
+class DiaNoHabil {
+  /**
+   * Constructor de la clase DiaNoHabil
+   * @param {Object} data - Datos del día no hábil
+   */
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.fecha = data.fecha || '';
+    this.descripcion = (data.descripcion || '').toString().trim();
+    this.tipo = data.tipo || 'nacional';
+    this.sede = data.sede || '';
+    this.fechaModificacion = data.fechaModificacion || new Date().toISOString();
+  }
+
+  /**
+   * Genera un ID único para el día no hábil
+   * @returns {string} ID único
+   */
+  generateId() {
+    return (
+      'festivo_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9)
+    );
+  }
+
+  /**
+   * Valida que todos los campos requeridos estén completos
+   * @returns {Object} Objeto con isValid (boolean) y errors (array)
+   */
+  validate() {
+    const errors = [];
+
+    ['fecha', 'descripcion'].forEach(field => {
+      if (!this[field] || this[field].toString().trim() === '') {
+        errors.push(`El campo ${this.getFieldLabel(field)} es requerido`);
+      }
+    });
+
+    if (this.fecha && !/^\d{4}-\d{2}-\d{2}$/.test(this.fecha)) {
+      errors.push('La fecha debe tener el formato AAAA-MM-DD');
+    }
+
+    if (!Object.keys(DiaNoHabil.TIPOS).includes(this.tipo)) {
+      errors.push(
+        `El tipo de día no hábil no es válido. Tipos válidos: ${Object.values(
+          DiaNoHabil.TIPOS
+        ).join(', ')}`
+      );
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Obtiene la etiqueta legible de un campo
+   * @param {string} field - Nombre del campo
+   * @returns {string} Etiqueta del campo
+   */
+  getFieldLabel(field) {
+    const labels = {
+      fecha: 'Fecha',
+      descripcion: 'Descripción',
+      tipo: 'Tipo',
+      sede: 'Sede',
+    };
+    return labels[field] || field;
+  }
+
+  /**
+   * Indica si el día no hábil aplica a una sede
+   * @param {string} sede - Código de la sede; vacío para todas
+   * @returns {boolean} True si aplica
+   */
+  aplicaA(sede = '') {
+    return !this.sede || this.sede === sede;
+  }
+
+  /**
+   * Actualiza los datos del día no hábil
+   * @param {Object} newData - Nuevos datos
+   */
+  update(newData) {
+    Object.keys(newData).forEach(key => {
+      if (this.hasOwnProperty(key) && key !== 'id') {
+        this[key] = newData[key];
+      }
+    });
+    this.descripcion = this.descripcion.toString().trim();
+    this.fechaModificacion = new Date().toISOString();
+  }
+
+  /**
+   * Convierte el objeto a un formato JSON
+   * @returns {Object} Objeto JSON del día no hábil
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      fecha: this.fecha,
+      descripcion: this.descripcion,
+      tipo: this.tipo,
+      sede: this.sede,
+      fechaModificacion: this.fechaModificacion,
+    };
+  }
+
+  /**
+   * Crea un día no hábil desde datos del formulario
+   * @param {Object} formData - Datos del formulario
+   * @returns {DiaNoHabil} Nueva instancia del día no hábil
+   */
+  static fromFormData(formData) {
+    return new DiaNoHabil({
+      fecha: formData.fecha,
+      descripcion: formData.descripcion,
+      tipo: formData.tipo,
+      sede: formData.sede,
+    });
+  }
+}
+
+// Tipos de día no hábil y su texto legible
+DiaNoHabil.TIPOS = {
+  nacional: 'Festivo nacional',
+  institucional: 'Cierre institucional',
+};
@@ -32,6 +32,13 @@ class Documento {
     this.requiereAprobacion = data.requiereAprobacion || 'No';
     this.vigenciaEnDias = data.vigenciaEnDias || 0;
     this.permitePlazosAmpliados = data.permitePlazosAmpliados || 'No';
+    // Etapas de aprobación (ApprovalChain); vacía para una sola aprobación
+    this.cadenaAprobacion = ApprovalChain.normalize(
+      data.cadenaAprobacion || []
+    );
+    // Plantilla de la que se creó el documento y versión que tenía entonces
+    this.plantillaId = data.plantillaId || '';
+    this.plantillaVersion = parseInt(data.plantillaVersion) || 0;
   }
 
   /**
@@ -128,6 +135,16 @@ class Documento {
       errors.push('¿Requiere aprobación? debe ser "Sí" o "No"');
     }
 
+    // Validar la cadena de aprobación, que solo aplica si requiere aprobación
+    if (this.cadenaAprobacion.length > 0) {
+      if (this.requiereAprobacion !== 'Sí') {
+        errors.push(
+          'La cadena de aprobación solo aplica si el documento requiere aprobación'
+        );
+      }
+      errors.push(...ApprovalChain.validate(this.cadenaAprobacion).errors);
+    }
+
     // Validar que permitePlazosAmpliados sea Sí o No
     if (
       this.permitePlazosAmpliados &&
@@ -161,8 +178,11 @@ class Documento {
       tipoFormatoEsperado: 'Tipo de Formato Esperado',
       obligatoriedad: 'Obligatoriedad',
       requiereAprobacion: '¿Requiere aprobación?',
-      vigenciaEnDias: 'Vigencia en días',
+      vigenciaEnDias: 'Vigencia en días hábiles',
       permitePlazosAmpliados: '¿Permite plazos ampliados?',
+      cadenaAprobacion: 'Cadena de aprobación',
+      plantillaId: 'Plantilla',
+      plantillaVersion: 'Versión de la plantilla',
     };
     return labels[field] || field;
   }
@@ -194,6 +214,9 @@ class Documento {
       requiereAprobacion: this.requiereAprobacion,
       vigenciaEnDias: this.vigenciaEnDias,
       permitePlazosAmpliados: this.permitePlazosAmpliados,
+      cadenaAprobacion: this.cadenaAprobacion.map(etapa => ({ ...etapa })),
+      plantillaId: this.plantillaId,
+      plantillaVersion: this.plantillaVersion,
     };
   }
 
@@ -208,6 +231,8 @@ class Documento {
           this[key] = [...newData[key]];
         } else if (key === 'tags' && Array.isArray(newData[key])) {
           this[key] = [...newData[key]];
+        } else if (key === 'cadenaAprobacion' && Array.isArray(newData[key])) {
+          this[key] = ApprovalChain.normalize(newData[key]);
         } else {
           this[key] = newData[key];
         }
@@ -357,6 +382,53 @@ class Documento {
     return this.datosRequeridos.filter(dato => dato.requerido !== false);
   }
 
+  /**
+   * Calcula la fecha en que vence el documento según su vigencia
+   * La vigencia se cuenta en días hábiles desde la entrega; sin calendario se
+   * cuentan días calendario.
+   * @param {Date|string} fechaEntrega - Fecha de entrega del documento
+   * @param {CalendarioService|null} calendario - Calendario de días hábiles
+   * @param {string} sede - Código de la sede cuyos días no hábiles se aplican
+   * @returns {string|null} Fecha de vencimiento (YYYY-MM-DD) o null si no tiene vigencia
+   */
+  calcularFechaVencimiento(
+    fechaEntrega = new Date(),
+    calendario = null,
+    sede = ''
+  ) {
+    const vigencia = parseInt(this.vigenciaEnDias) || 0;
+    if (vigencia <= 0) return null;
+
+    if (calendario) {
+      return calendario.sumarDiasHabiles(fechaEntrega, vigencia, sede);
+    }
+    return ICalendar.sumarDias(
+      CalendarioService.toFecha(fechaEntrega),
+      vigencia
+    );
+  }
+
+  /**
+   * Obtiene las etapas con que se aprueba el documento
+   * Si requiere aprobación y no tiene cadena, la aprueba en una sola etapa su
+   * responsable de validación.
+   * @param {string} responsable - Responsable que reemplaza al del documento (p. ej. el de la vinculación)
+   * @returns {Array} Etapas de la cadena; vacía si no requiere aprobación
+   */
+  getCadenaAprobacion(responsable = '') {
+    if (this.requiereAprobacion !== 'Sí') return [];
+    if (this.cadenaAprobacion.length > 0) return this.cadenaAprobacion;
+
+    return ApprovalChain.normalize([
+      {
+        id: 'etapa_validacion',
+        nombre: 'Validación',
+        asignadoA: responsable || this.responsableValidacion,
+        tipoAsignacion: 'rol',
+      },
+    ]);
+  }
+
   /**
    * Verifica si el documento está activo
    * @returns {boolean} True si está activo
@@ -462,6 +534,9 @@ class Documento {
       requiereAprobacion: formData.requiereAprobacion,
       vigenciaEnDias: parseInt(formData.vigenciaEnDias) || 0,
       permitePlazosAmpliados: formData.permitePlazosAmpliados,
+      cadenaAprobacion: formData.cadenaAprobacion || [],
+      plantillaId: formData.plantillaId,
+      plantillaVersion: formData.plantillaVersion,
       estado: 'activo',
       version: '1.0',
       tags: [],
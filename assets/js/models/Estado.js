@@ -10,6 +10,7 @@ class Estado {
   constructor(data = {}) {
     this.id = data.id || this.generateId();
     this.tramiteId = data.tramiteId || '';
+    this.habilitacionId = data.habilitacionId || ''; // Vacío si el estado es del trámite
     this.estado = data.estado || 'activo';
     this.estadoAnterior = data.estadoAnterior || null;
     this.fechaCambio = data.fechaCambio || new Date().toISOString();
@@ -47,19 +48,11 @@ class Estado {
     });
 
     // Validar que el estado sea válido
-    const estadosValidos = [
-      'activo',
-      'inactivo',
-      'pendiente',
-      'finalizado',
-      'subsanación',
-      'sin_fechas',
-    ];
-    if (!estadosValidos.includes(this.estado)) {
+    if (!Estado.ESTADOS.includes(this.estado)) {
       errors.push(
         `El estado "${
           this.estado
-        }" no es válido. Estados válidos: ${estadosValidos.join(', ')}`
+        }" no es válido. Estados válidos: ${Estado.ESTADOS.join(', ')}`
       );
     }
 
@@ -84,6 +77,7 @@ class Estado {
   getFieldLabel(field) {
     const labels = {
       tramiteId: 'ID del trámite',
+      habilitacionId: 'Habilitación',
       estado: 'Estado',
       estadoAnterior: 'Estado anterior',
       fechaCambio: 'Fecha de cambio',
@@ -106,6 +100,7 @@ class Estado {
     return {
       id: this.id,
       tramiteId: this.tramiteId,
+      habilitacionId: this.habilitacionId,
       estado: this.estado,
       estadoAnterior: this.estadoAnterior,
       fechaCambio: this.fechaCambio,
@@ -140,21 +135,37 @@ class Estado {
 
   /**
    * Cambia el estado del trámite
+   * El cambio debe estar permitido por la máquina de estados; si no lo está se
+   * lanza un error con el motivo del rechazo.
    * @param {string} nuevoEstado - Nuevo estado
    * @param {string} usuario - Usuario que realiza el cambio
    * @param {string} motivo - Motivo del cambio
    * @param {string} observaciones - Observaciones adicionales
+   * @param {Object} contexto - Contexto para las guardas ({ registro, fecha, maquina })
+   * @returns {boolean} False si el estado ya era el mismo
    */
   cambiarEstado(
     nuevoEstado,
     usuario = 'Usuario',
     motivo = '',
-    observaciones = ''
+    observaciones = '',
+    contexto = {}
   ) {
     if (nuevoEstado === this.estado) {
       return false; // No hay cambio
     }
 
+    const maquina = contexto.maquina || Estado.getStateMachine();
+    const validacion = maquina.validate(this.estado, nuevoEstado, {
+      ...contexto,
+      estado: this,
+      usuario,
+      motivo,
+    });
+    if (!validacion.isValid) {
+      throw new Error(validacion.errors.join('. '));
+    }
+
     this.estadoAnterior = this.estado;
     this.estado = nuevoEstado;
     this.usuario = usuario;
@@ -225,13 +236,19 @@ class Estado {
    * Marca el trámite como en subsanación
    * @param {string} usuario - Usuario que marca como en subsanación
    * @param {string} motivo - Motivo del cambio
+   * @param {Object} contexto - Contexto con el registro para verificar el periodo
    */
-  marcarEnSubsanacion(usuario = 'Usuario', motivo = 'Cambio a subsanación') {
+  marcarEnSubsanacion(
+    usuario = 'Usuario',
+    motivo = 'Cambio a subsanación',
+    contexto = {}
+  ) {
     return this.cambiarEstado(
       'subsanación',
       usuario,
       motivo,
-      'Trámite marcado como en subsanación'
+      'Trámite marcado como en subsanación',
+      contexto
     );
   }
 
@@ -441,18 +458,39 @@ class Estado {
 
   /**
    * Obtiene el texto del estado
+   * @param {string} estado - Estado a mostrar (por defecto el actual)
    * @returns {string} Texto del estado
    */
-  getEstadoText() {
-    const textos = {
-      activo: 'Activo',
-      inactivo: 'Inactivo',
-      pendiente: 'Pendiente',
-      finalizado: 'Finalizado',
-      subsanación: 'Subsanación',
-      sin_fechas: 'Sin Fechas',
-    };
-    return textos[this.estado] || this.estado;
+  getEstadoText(estado = this.estado) {
+    return Estado.ETIQUETAS[estado] || estado;
+  }
+
+  /**
+   * Obtiene los estados a los que se puede pasar desde el actual
+   * @param {Object|null} contexto - Contexto para evaluar las guardas
+   * @returns {Array<string>} Estados destino permitidos
+   */
+  getTransicionesPermitidas(contexto = null) {
+    return Estado.getStateMachine().getDestinos(this.estado, contexto);
+  }
+
+  /**
+   * Obtiene la máquina de estados compartida
+   * Se construye con Estado.TRANSICIONES; las transiciones pueden ajustarse con
+   * addTransition() y removeTransition() sobre la instancia devuelta.
+   * @returns {StateMachine} Máquina de estados por defecto
+   */
+  static getStateMachine() {
+    if (!Estado.stateMachine) {
+      Estado.stateMachine = new StateMachine({
+        estados: Estado.ESTADOS,
+        terminales: Estado.TERMINALES,
+        etiquetas: Estado.ETIQUETAS,
+        transiciones: Estado.TRANSICIONES,
+        evento: 'estado:changed',
+      });
+    }
+    return Estado.stateMachine;
   }
 
   /**
@@ -532,6 +570,7 @@ class Estado {
   static fromFormData(formData) {
     return new Estado({
       tramiteId: formData.tramiteId,
+      habilitacionId: formData.habilitacionId || '',
       estado: formData.estado,
       usuario: formData.usuario || 'Usuario',
       motivo: formData.motivo || '',
@@ -561,3 +600,76 @@ class Estado {
     });
   }
 }
+
+// Estados válidos de un trámite
+Estado.ESTADOS = [
+  'activo',
+  'inactivo',
+  'pendiente',
+  'finalizado',
+  'subsanación',
+  'sin_fechas',
+];
+
+// Estados que no admiten ningún cambio posterior
+Estado.TERMINALES = ['finalizado'];
+
+// Texto legible de cada estado
+Estado.ETIQUETAS = {
+  activo: 'Activo',
+  inactivo: 'Inactivo',
+  pendiente: 'Pendiente',
+  finalizado: 'Finalizado',
+  subsanación: 'Subsanación',
+  sin_fechas: 'Sin Fechas',
+};
+
+// Transiciones permitidas; desde null es el primer estado de un trámite.
+// La guarda de subsanación recibe en el contexto el trámite o la habilitación
+// (registro) cuyo periodo de subsanación se verifica.
+Estado.TRANSICIONES = [
+  {
+    desde: [null, 'pendiente', 'activo', 'inactivo'],
+    hacia: 'sin_fechas',
+  },
+  {
+    desde: [null, 'sin_fechas', 'activo', 'inactivo'],
+    hacia: 'pendiente',
+  },
+  {
+    desde: [null, 'sin_fechas', 'pendiente', 'inactivo', 'subsanación'],
+    hacia: 'activo',
+  },
+  {
+    desde: [null, 'sin_fechas', 'pendiente', 'activo', 'subsanación'],
+    hacia: 'inactivo',
+    requiereMotivo: true,
+  },
+  {
+    desde: [null, 'activo', 'inactivo'],
+    hacia: 'subsanación',
+    requiereMotivo: true,
+    eventos: ['estado:subsanacion'],
+    guard: ({ registro, fecha }) => {
+      if (!registro) {
+        return 'No se puede verificar el periodo de subsanación sin el trámite';
+      }
+      const periodo = registro.getPeriodoSubsanacion();
+      if (!periodo.inicio || !periodo.fin) {
+        return 'El trámite no tiene configurado un periodo de subsanación';
+      }
+      if (registro.getEstadoPorFechas(fecha || new Date()) !== 'subsanación') {
+        return `Solo se puede pasar a subsanación dentro del periodo de subsanación (${Tramite.formatDate(
+          periodo.inicio
+        )} - ${Tramite.formatDate(periodo.fin)})`;
+      }
+      return true;
+    },
+  },
+  {
+    desde: ['activo', 'inactivo', 'subsanación'],
+    hacia: 'finalizado',
+    requiereMotivo: true,
+    eventos: ['estado:finalizado'],
+  },
+];
@@ -18,8 +18,11 @@ class HabilitarTramite {
     this.fechaFinalizacion = data.fechaFinalizacion || '';
     this.fechaInicioCorreccion = data.fechaInicioCorreccion || '';
     this.fechaFinCorreccion = data.fechaFinCorreccion || '';
+    this.justificacionConflictos = data.justificacionConflictos || '';
+    // Versión de cada documento vinculado al crear la habilitación { [documentoId]: '2.0' }
+    this.versionesDocumentos = { ...(data.versionesDocumentos || {}) };
     this.fechaModificacion = data.fechaModificacion || new Date().toISOString();
-    this.estado = data.estado || 'Activo';
+    this.estado = HabilitarTramite.normalizarEstado(data.estado);
   }
 
   /**
@@ -104,6 +107,7 @@ class HabilitarTramite {
       fechaFinalizacion: 'Fecha de Finalización',
       fechaInicioCorreccion: 'Fecha de Inicio de Corrección',
       fechaFinCorreccion: 'Fecha de Fin de Corrección',
+      justificacionConflictos: 'Justificación de conflictos',
     };
     return labels[field] || field;
   }
@@ -124,11 +128,42 @@ class HabilitarTramite {
       fechaFinalizacion: this.fechaFinalizacion,
       fechaInicioCorreccion: this.fechaInicioCorreccion,
       fechaFinCorreccion: this.fechaFinCorreccion,
+      justificacionConflictos: this.justificacionConflictos,
+      versionesDocumentos: { ...this.versionesDocumentos },
       fechaModificacion: this.fechaModificacion,
       estado: this.estado,
     };
   }
 
+  /**
+   * Calcula el estado de la habilitación según sus fechas
+   * El periodo de corrección cumple el papel de la subsanación del trámite.
+   * @param {Date} fechaReferencia - Fecha a evaluar (por defecto hoy)
+   * @returns {string} sin_fechas, pendiente, activo, inactivo, subsanación o finalizado
+   */
+  getEstadoPorFechas(fechaReferencia = new Date()) {
+    return Tramite.calcularEstadoPorFechas(
+      {
+        fechaInicio: this.fechaInicio,
+        fechaFinalizacion: this.fechaFinalizacion,
+        fechaInicioSubsanacion: this.fechaInicioCorreccion,
+        fechaFinSubsanacion: this.fechaFinCorreccion,
+      },
+      fechaReferencia
+    );
+  }
+
+  /**
+   * Obtiene el periodo de corrección de la habilitación
+   * @returns {Object} { inicio, fin } en formato YYYY-MM-DD
+   */
+  getPeriodoSubsanacion() {
+    return {
+      inicio: this.fechaInicioCorreccion,
+      fin: this.fechaFinCorreccion,
+    };
+  }
+
   /**
    * Actualiza los datos del trámite habilitado
    * @param {Object} newData - Nuevos datos
@@ -166,34 +201,86 @@ class HabilitarTramite {
       fechaFinalizacion: formData.fechaFinalizacion,
       fechaInicioCorreccion: formData.fechaInicioCorreccion,
       fechaFinCorreccion: formData.fechaFinCorreccion,
+      justificacionConflictos: formData.justificacionConflictos || '',
       estado: 'Activo', // Estado por defecto al crear desde formulario
     });
   }
 
   /**
-   * Calcula el semestre basado en el periodo académico
+   * Busca un periodo en el catálogo de periodos académicos
+   * @param {string} periodoAcademico - Código del periodo
+   * @returns {PeriodoAcademico|null} Periodo o null si no está en el catálogo
+   */
+  static getPeriodoCatalogo(periodoAcademico) {
+    try {
+      const periodoService = window.tramiteApp
+        ? window.tramiteApp.getService('periodoAcademico')
+        : null;
+      if (!periodoService || !periodoService.isInitialized) return null;
+
+      return periodoService.getByCodigo(periodoAcademico, {
+        includeDeleted: true,
+      });
+    } catch (error) {
+      console.error('❌ Error al consultar el catálogo de periodos:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Calcula el semestre del periodo académico
+   * Se toma del catálogo; si el periodo no está en él, se deduce del código
+   * (AAAA-1 o AAAA-2).
    * @param {string} periodoAcademico - Periodo académico (ej: 2025-1, 2025-2)
-   * @returns {string} Semestre calculado
+   * @returns {string} Semestre calculado o vacío si no se puede deducir
    */
   static calcularSemestre(periodoAcademico) {
     if (!periodoAcademico) return '';
 
-    const ultimoCaracter = periodoAcademico.slice(-1);
-    return ultimoCaracter === '1' ? 'Semestre 1' : 'Semestre 2';
+    const periodo = HabilitarTramite.getPeriodoCatalogo(periodoAcademico);
+    if (periodo) return periodo.getSemestreTexto();
+
+    const partes = /-([12])$/.exec(periodoAcademico);
+    return partes ? `Semestre ${partes[1]}` : '';
+  }
+
+  /**
+   * Obtiene las fechas límite de un periodo académico
+   * Se toman del catálogo; si el periodo no está en él, se deducen del código.
+   * @param {string} periodoAcademico - Código del periodo
+   * @returns {Object|null} { inicio, fin } en formato YYYY-MM-DD o null si no se conocen
+   */
+  static getLimitesPeriodo(periodoAcademico) {
+    const periodo = HabilitarTramite.getPeriodoCatalogo(periodoAcademico);
+    if (periodo) return periodo.getLimites();
+
+    return PeriodoAcademico.inferirLimites(periodoAcademico);
+  }
+
+  /**
+   * Normaliza el estado a "Activo" o "Inactivo"
+   * @param {string} estado - Estado recibido
+   * @returns {string} Estado normalizado
+   */
+  static normalizarEstado(estado) {
+    if (estado === 'activo') return 'Activo';
+    if (estado === 'inactivo') return 'Inactivo';
+    return estado || 'Activo';
   }
 
   /**
-   * Verifica si el trámite existe en el localStorage
+   * Verifica si el trámite existe en el servicio de trámites
    * @param {string} tramiteId - ID del trámite a verificar
-   * @returns {Object|null} Datos del trámite si existe, null si no
+   * @returns {Object|null} Trámite si existe, null si no
    */
   static verificarTramiteExiste(tramiteId) {
     try {
-      const tramitesData = localStorage.getItem('tramites_data');
-      if (!tramitesData) return null;
+      const tramiteService = window.tramiteApp
+        ? window.tramiteApp.getService('tramite')
+        : null;
+      if (!tramiteService) return null;
 
-      const tramites = JSON.parse(tramitesData);
-      return tramites.find(tramite => tramite.id === tramiteId) || null;
+      return tramiteService.getById(tramiteId);
     } catch (error) {
       console.error('❌ Error al verificar trámite:', error);
       return null;
@@ -0,0 +1,173 @@
+/**
+ * Modelo de datos para Periodos Académicos
+ * Clase que representa un periodo del catálogo (semestral o intersemestral)
+ * con sus fechas límite; solo en los periodos abiertos se habilitan trámites.
+ */
+class PeriodoAcademico {
+  /**
+   * Constructor de la clase PeriodoAcademico
+   * @param {Object} data - Datos del periodo académico
+   */
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.codigo = (data.codigo || '').toString().trim();
+    this.fechaInicio = data.fechaInicio || '';
+    this.fechaFin = data.fechaFin || '';
+    this.tipo = data.tipo || 'semestral';
+    this.abierto = data.abierto !== undefined ? Boolean(data.abierto) : true;
+    this.fechaModificacion = data.fechaModificacion || new Date().toISOString();
+  }
+
+  /**
+   * Genera un ID único para el periodo académico
+   * @returns {string} ID único
+   */
+  generateId() {
+    return (
+      'periodo_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9)
+    );
+  }
+
+  /**
+   * Valida que todos los campos requeridos estén completos
+   * @returns {Object} Objeto con isValid (boolean) y errors (array)
+   */
+  validate() {
+    const errors = [];
+
+    ['codigo', 'fechaInicio', 'fechaFin'].forEach(field => {
+      if (!this[field] || this[field].toString().trim() === '') {
+        errors.push(`El campo ${this.getFieldLabel(field)} es requerido`);
+      }
+    });
+
+    if (!Object.keys(PeriodoAcademico.TIPOS).includes(this.tipo)) {
+      errors.push(
+        `El tipo de periodo no es válido. Tipos válidos: ${Object.values(
+          PeriodoAcademico.TIPOS
+        ).join(', ')}`
+      );
+    }
+
+    if (
+      this.fechaInicio &&
+      this.fechaFin &&
+      this.fechaInicio >= this.fechaFin
+    ) {
+      errors.push('La fecha de inicio debe ser anterior a la fecha de fin');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Obtiene la etiqueta legible de un campo
+   * @param {string} field - Nombre del campo
+   * @returns {string} Etiqueta del campo
+   */
+  getFieldLabel(field) {
+    const labels = {
+      codigo: 'Código',
+      fechaInicio: 'Fecha de Inicio',
+      fechaFin: 'Fecha de Fin',
+      tipo: 'Tipo',
+      abierto: 'Abierto',
+    };
+    return labels[field] || field;
+  }
+
+  /**
+   * Obtiene el texto del semestre que corresponde al periodo
+   * Un periodo semestral que inicia en el primer semestre del año es el
+   * semestre 1; si inicia en el segundo, el semestre 2.
+   * @returns {string} Semestre 1, Semestre 2 o Intersemestral
+   */
+  getSemestreTexto() {
+    if (this.tipo === 'intersemestral') {
+      return PeriodoAcademico.TIPOS.intersemestral;
+    }
+    if (!this.fechaInicio) return '';
+
+    const mes = parseInt(this.fechaInicio.split('-')[1], 10);
+    return mes <= 6 ? 'Semestre 1' : 'Semestre 2';
+  }
+
+  /**
+   * Obtiene las fechas límite del periodo
+   * @returns {Object} { inicio, fin } en formato YYYY-MM-DD
+   */
+  getLimites() {
+    return { inicio: this.fechaInicio, fin: this.fechaFin };
+  }
+
+  /**
+   * Actualiza los datos del periodo académico
+   * @param {Object} newData - Nuevos datos
+   */
+  update(newData) {
+    Object.keys(newData).forEach(key => {
+      if (this.hasOwnProperty(key) && key !== 'id') {
+        this[key] = key === 'abierto' ? Boolean(newData[key]) : newData[key];
+      }
+    });
+    this.codigo = this.codigo.toString().trim();
+    this.fechaModificacion = new Date().toISOString();
+  }
+
+  /**
+   * Convierte el objeto a un formato JSON
+   * @returns {Object} Objeto JSON del periodo académico
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      codigo: this.codigo,
+      fechaInicio: this.fechaInicio,
+      fechaFin: this.fechaFin,
+      tipo: this.tipo,
+      abierto: this.abierto,
+      fechaModificacion: this.fechaModificacion,
+    };
+  }
+
+  /**
+   * Crea un periodo académico desde datos del formulario
+   * @param {Object} formData - Datos del formulario
+   * @returns {PeriodoAcademico} Nueva instancia del periodo académico
+   */
+  static fromFormData(formData) {
+    return new PeriodoAcademico({
+      codigo: formData.codigo,
+      fechaInicio: formData.fechaInicio,
+      fechaFin: formData.fechaFin,
+      tipo: formData.tipo,
+      abierto: formData.abierto,
+    });
+  }
+
+  /**
+   * Deduce las fechas límite de un código con formato AAAA-1 o AAAA-2
+   * El periodo 1 va de enero a junio y el 2 de julio a diciembre. Se usa para
+   * los periodos por defecto y los que ya estaban en uso antes del catálogo.
+   * @param {string} codigo - Código del periodo
+   * @returns {Object|null} { inicio, fin } o null si el código no tiene ese formato
+   */
+  static inferirLimites(codigo) {
+    const partes = /^(\d{4})-([12])$/.exec(codigo || '');
+    if (!partes) return null;
+
+    const [, anio, numero] = partes;
+    return numero === '1'
+      ? { inicio: `${anio}-01-01`, fin: `${anio}-06-30` }
+      : { inicio: `${anio}-07-01`, fin: `${anio}-12-31` };
+  }
+}
+
+// Tipos de periodo y su texto legible
+PeriodoAcademico.TIPOS = {
+  semestral: 'Semestral',
+  intersemestral: 'Intersemestral',
+};
@@ -0,0 +1,280 @@
+/**
+ * Modelo de datos para Plantillas de Documentos
+ * Clase que representa un documento reutilizable (por ejemplo "Cédula" o
+ * "Recibo de pago"): los datos del documento y sus campos, sin trámite. Una
+ * plantilla se instancia en documentos nuevos, que guardan de qué plantilla y
+ * de qué versión de ella salieron. Los campos se identifican por su nombre,
+ * que es también como se refieren a ellos las reglas condicionales.
+ */
+class PlantillaDocumento {
+  /**
+   * Constructor de la clase PlantillaDocumento
+   * @param {Object} data - Datos de la plantilla
+   */
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.nombre = (data.nombre || '').trim();
+    this.descripcion = data.descripcion || '';
+    // Se incrementa cada vez que cambian los datos o los campos
+    this.version = parseInt(data.version) || 1;
+    this.datos = PlantillaDocumento.extraerDatos(data.datos || {});
+    this.campos = (data.campos || []).map(campo =>
+      PlantillaDocumento.extraerCampo(campo)
+    );
+    // Contenido de las versiones anteriores, para saber qué cambió desde la
+    // versión de la que salió cada documento
+    this.anteriores = (data.anteriores || []).map(contenido =>
+      PlantillaDocumento.extraerContenido(contenido)
+    );
+    this.estado = data.estado || 'activo';
+    this.fechaCreacion = data.fechaCreacion || new Date().toISOString();
+    this.fechaModificacion = data.fechaModificacion || new Date().toISOString();
+  }
+
+  /**
+   * Genera un ID único para la plantilla
+   * @returns {string} ID único
+   */
+  generateId() {
+    return (
+      'plantilla_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9)
+    );
+  }
+
+  /**
+   * Valida la plantilla, sus campos y las reglas entre ellos
+   * @returns {Object} Objeto con isValid (boolean) y errors (array)
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.nombre) {
+      errors.push('El nombre de la plantilla es requerido');
+    }
+
+    if (!this.datos.tipoDocumental) {
+      errors.push('La plantilla debe indicar el tipo documental');
+    }
+
+    const nombres = new Set();
+    this.campos.forEach(campo => {
+      const nombre = campo.nombreCampo.trim().toLowerCase();
+      if (nombres.has(nombre)) {
+        errors.push(`El campo "${campo.nombreCampo}" está repetido`);
+      }
+      nombres.add(nombre);
+
+      const validacion = new CampoDocumento({
+        ...campo,
+        documentoId: this.id,
+      }).validateCrearCampo();
+      validacion.errors.forEach(error =>
+        errors.push(`${campo.nombreCampo || 'Campo'}: ${error}`)
+      );
+    });
+
+    errors.push(
+      ...FieldRuleEngine.validateRules(
+        this.campos.map(campo => new CampoDocumento(campo))
+      ).errors
+    );
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Convierte el objeto a JSON
+   * @returns {Object} Objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      nombre: this.nombre,
+      descripcion: this.descripcion,
+      version: this.version,
+      datos: PlantillaDocumento.extraerDatos(this.datos),
+      campos: this.campos.map(campo => PlantillaDocumento.extraerCampo(campo)),
+      anteriores: this.anteriores.map(contenido =>
+        PlantillaDocumento.extraerContenido(contenido)
+      ),
+      estado: this.estado,
+      fechaCreacion: this.fechaCreacion,
+      fechaModificacion: this.fechaModificacion,
+    };
+  }
+
+  /**
+   * Actualiza los datos de la plantilla
+   * @param {Object} newData - Nuevos datos
+   */
+  update(newData) {
+    Object.keys(newData).forEach(key => {
+      if (!this.hasOwnProperty(key)) return;
+      if (key === 'datos') {
+        this.datos = PlantillaDocumento.extraerDatos(newData.datos);
+      } else if (key === 'campos') {
+        this.campos = newData.campos.map(campo =>
+          PlantillaDocumento.extraerCampo(campo)
+        );
+      } else {
+        this[key] = newData[key];
+      }
+    });
+    this.fechaModificacion = new Date().toISOString();
+  }
+
+  /**
+   * Verifica si el contenido (datos o campos) es distinto del de otra plantilla
+   * @param {Object} otra - Plantilla o sus datos ({ datos, campos })
+   * @returns {boolean} True si cambió algo que se instancia en los documentos
+   */
+  cambiaContenido(otra) {
+    return (
+      JSON.stringify(this.toJSON().datos) !==
+        JSON.stringify(PlantillaDocumento.extraerDatos(otra.datos || {})) ||
+      JSON.stringify(this.toJSON().campos) !==
+        JSON.stringify(
+          (otra.campos || []).map(campo =>
+            PlantillaDocumento.extraerCampo(campo)
+          )
+        )
+    );
+  }
+
+  /**
+   * Obtiene el contenido que tenía la plantilla en una versión
+   * @param {number} version - Número de versión
+   * @returns {Object|null} { version, datos, campos } o null si no se conserva
+   */
+  getContenido(version) {
+    if (version === this.version) {
+      return PlantillaDocumento.extraerContenido(this);
+    }
+    return (
+      this.anteriores.find(contenido => contenido.version === version) || null
+    );
+  }
+
+  /**
+   * Verifica si la plantilla está activa
+   * @returns {boolean} True si está activa
+   */
+  isActivo() {
+    return this.estado === 'activo';
+  }
+
+  /**
+   * Obtiene los datos del formulario "Crear Documento" para instanciarla
+   * @param {Object} overrides - Datos que reemplazan los de la plantilla
+   * @returns {Object} Datos del formulario
+   */
+  getFormData(overrides = {}) {
+    return {
+      ...PlantillaDocumento.extraerDatos(this.datos),
+      ...overrides,
+      plantillaId: this.id,
+      plantillaVersion: this.version,
+    };
+  }
+
+  /**
+   * Obtiene los campos para crearlos en un documento
+   * @returns {Array<Object>} Campos con { nombreCampo, tipoCampo, obligatorio, configuracion, reglas, orden, seccion }
+   */
+  getCampos() {
+    return CampoDocumento.ordenar(this.campos).map(campo =>
+      PlantillaDocumento.extraerCampo(campo)
+    );
+  }
+
+  /**
+   * Toma de un documento los datos que guarda una plantilla
+   * @param {Object} documento - Documento o sus datos
+   * @returns {Object} Datos de la plantilla
+   */
+  static extraerDatos(documento) {
+    const datos = {};
+    PlantillaDocumento.DATOS_PLANTILLA.forEach(campo => {
+      if (documento[campo] === undefined) return;
+      datos[campo] = Array.isArray(documento[campo])
+        ? documento[campo].map(valor =>
+            typeof valor === 'object' ? { ...valor } : valor
+          )
+        : documento[campo];
+    });
+    return datos;
+  }
+
+  /**
+   * Toma de un campo lo que guarda una plantilla
+   * @param {Object} campo - CampoDocumento o sus datos
+   * @returns {Object} { nombreCampo, tipoCampo, obligatorio, configuracion, reglas, orden, seccion }
+   */
+  static extraerCampo(campo) {
+    return {
+      nombreCampo: campo.nombreCampo || '',
+      tipoCampo: campo.tipoCampo || '',
+      obligatorio: campo.obligatorio || 'No',
+      configuracion: { ...(campo.configuracion || {}) },
+      reglas: (campo.reglas || []).map(regla =>
+        JSON.parse(JSON.stringify(regla))
+      ),
+      orden: parseInt(campo.orden) || 0,
+      seccion: (campo.seccion || '').trim(),
+    };
+  }
+
+  /**
+   * Toma el contenido de una versión de la plantilla
+   * @param {Object} contenido - Plantilla o { version, datos, campos }
+   * @returns {Object} { version, datos, campos }
+   */
+  static extraerContenido(contenido) {
+    return {
+      version: parseInt(contenido.version) || 1,
+      datos: PlantillaDocumento.extraerDatos(contenido.datos || {}),
+      campos: (contenido.campos || []).map(campo =>
+        PlantillaDocumento.extraerCampo(campo)
+      ),
+    };
+  }
+
+  /**
+   * Crea una plantilla desde un documento y sus campos
+   * @param {Documento} documento - Documento de origen
+   * @param {Array<CampoDocumento>} campos - Campos activos del documento
+   * @param {Object} data - { nombre, descripcion }
+   * @returns {PlantillaDocumento} Plantilla sin guardar
+   */
+  static fromDocumento(documento, campos, { nombre, descripcion } = {}) {
+    return new PlantillaDocumento({
+      nombre: nombre || documento.nombreDocumento,
+      descripcion: descripcion || documento.descripcionDocumento,
+      datos: documento,
+      campos,
+    });
+  }
+}
+
+// Datos del documento que guarda una plantilla; el nombre del documento es solo
+// una sugerencia: cada documento instanciado tiene el suyo y no se propaga
+PlantillaDocumento.DATOS_PLANTILLA = [
+  'nombreDocumento',
+  'tipoDocumental',
+  'descripcionDocumento',
+  'areaSolicitante',
+  'responsableValidacion',
+  'tipoFormatoEsperado',
+  'tamanoMaximoPermitido',
+  'obligatoriedad',
+  'requiereAprobacion',
+  'vigenciaEnDias',
+  'permitePlazosAmpliados',
+  'cadenaAprobacion',
+];
+
+// Formato de los archivos JSON con los que se comparten las plantillas
+PlantillaDocumento.FORMATO_ARCHIVO = 'plantilla-documento';
@@ -0,0 +1,362 @@
+/**
+ * Modelo de datos para Radicaciones
+ * Clase que representa la solicitud que radica un solicitante en una
+ * habilitación: los documentos diligenciados (archivo y valores de sus campos)
+ * y la revisión de cada uno. Cada documento tiene su propio estado, que cambia
+ * según Radicacion.TRANSICIONES, y cada cambio queda en el historial.
+ */
+class Radicacion {
+  /**
+   * Constructor de la clase Radicacion
+   * @param {Object} data - Datos de la radicación
+   */
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.habilitacionId = data.habilitacionId || '';
+    this.tramiteId = data.tramiteId || '';
+    this.tramiteNombre = data.tramiteNombre || '';
+    this.periodoAcademico = data.periodoAcademico || '';
+    this.sede = data.sede || '';
+    this.solicitante = {
+      nombre: '',
+      identificacion: '',
+      correo: '',
+      ...(data.solicitante || {}),
+    };
+    this.fechaRadicacion = data.fechaRadicacion || new Date().toISOString();
+    this.fechaModificacion = data.fechaModificacion || new Date().toISOString();
+    // [{ documentoId, nombreDocumento, responsableValidacion, requiereAprobacion,
+    //    archivo, valores, secciones, estado, fechaLimite, aprobaciones }]
+    // secciones es { [nombreCampo]: sección } de los valores que están en una
+    // aprobaciones es el avance de la cadena de aprobación (ApprovalChain)
+    this.documentos = (data.documentos || []).map(documento => ({
+      ...documento,
+      aprobaciones: (documento.aprobaciones || []).map(etapa => ({ ...etapa })),
+    }));
+    // [{ documentoId, estado, estadoAnterior, fechaCambio, usuario, motivo, tipoCambio, etapaId }]
+    this.historial = [...(data.historial || [])];
+    this.estado = data.estado || this.calcularEstado();
+  }
+
+  /**
+   * Genera un ID único para la radicación
+   * @returns {string} ID único
+   */
+  generateId() {
+    return 'rad_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Valida que la radicación tenga habilitación, solicitante y documentos
+   * @returns {Object} Objeto con isValid (boolean) y errors (array)
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.habilitacionId) {
+      errors.push('La radicación debe tener una habilitación');
+    }
+
+    if (!this.solicitante.nombre.trim()) {
+      errors.push('El nombre del solicitante es requerido');
+    }
+
+    if (!this.solicitante.identificacion.trim()) {
+      errors.push('La identificación del solicitante es requerida');
+    }
+
+    if (
+      this.solicitante.correo &&
+      !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(this.solicitante.correo)
+    ) {
+      errors.push('El correo del solicitante no es válido');
+    }
+
+    if (this.documentos.length === 0) {
+      errors.push('La radicación debe tener al menos un documento');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Convierte el objeto a JSON
+   * @returns {Object} Objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      habilitacionId: this.habilitacionId,
+      tramiteId: this.tramiteId,
+      tramiteNombre: this.tramiteNombre,
+      periodoAcademico: this.periodoAcademico,
+      sede: this.sede,
+      solicitante: { ...this.solicitante },
+      fechaRadicacion: this.fechaRadicacion,
+      fechaModificacion: this.fechaModificacion,
+      documentos: this.documentos.map(documento => ({
+        ...documento,
+        aprobaciones: documento.aprobaciones.map(etapa => ({ ...etapa })),
+      })),
+      historial: this.historial.map(cambio => ({ ...cambio })),
+      estado: this.estado,
+    };
+  }
+
+  /**
+   * Obtiene un documento de la radicación
+   * @param {string} documentoId - ID del documento
+   * @returns {Object|null} Documento radicado o null si no está
+   */
+  getDocumento(documentoId) {
+    return (
+      this.documentos.find(
+        documento => documento.documentoId === documentoId
+      ) || null
+    );
+  }
+
+  /**
+   * Cambia el estado de un documento y lo registra en el historial
+   * El cambio debe estar permitido por la máquina de estados; si no lo está se
+   * lanza un error con el motivo del rechazo.
+   * @param {string} documentoId - ID del documento
+   * @param {string} nuevoEstado - Nuevo estado
+   * @param {Object} cambio - { usuario, motivo, tipoCambio, etapaId, contexto }
+   * @returns {Object} Entrada del historial
+   */
+  cambiarEstadoDocumento(
+    documentoId,
+    nuevoEstado,
+    {
+      usuario = 'Usuario',
+      motivo = '',
+      tipoCambio = 'manual',
+      etapaId = '',
+      contexto = {},
+    }
+  ) {
+    const documento = this.getDocumento(documentoId);
+    if (!documento) {
+      throw new Error('El documento no hace parte de la radicación');
+    }
+
+    const maquina = contexto.maquina || Radicacion.getStateMachine();
+    const validacion = maquina.validate(documento.estado, nuevoEstado, {
+      ...contexto,
+      radicacion: this,
+      documento,
+      usuario,
+      motivo,
+    });
+    if (!validacion.isValid) {
+      throw new Error(validacion.errors.join('. '));
+    }
+
+    const entrada = {
+      documentoId,
+      estado: nuevoEstado,
+      estadoAnterior: documento.estado,
+      fechaCambio: new Date().toISOString(),
+      usuario,
+      motivo,
+      tipoCambio,
+      etapaId,
+    };
+    documento.estado = nuevoEstado;
+    this.historial.push(entrada);
+    this.estado = this.calcularEstado();
+    this.fechaModificacion = entrada.fechaCambio;
+
+    return entrada;
+  }
+
+  /**
+   * Registra en el historial un hecho de la cadena de aprobación que no cambia
+   * el estado del documento, como la aprobación de una etapa intermedia o su
+   * escalamiento
+   * @param {string} documentoId - ID del documento
+   * @param {Object} evento - { usuario, motivo, tipoCambio, etapaId }
+   * @returns {Object} Entrada del historial
+   */
+  registrarEvento(
+    documentoId,
+    { usuario = 'Usuario', motivo = '', tipoCambio = 'manual', etapaId = '' }
+  ) {
+    const documento = this.getDocumento(documentoId);
+    if (!documento) {
+      throw new Error('El documento no hace parte de la radicación');
+    }
+
+    const entrada = {
+      documentoId,
+      estado: documento.estado,
+      estadoAnterior: documento.estado,
+      fechaCambio: new Date().toISOString(),
+      usuario,
+      motivo,
+      tipoCambio,
+      etapaId,
+    };
+    this.historial.push(entrada);
+    this.fechaModificacion = entrada.fechaCambio;
+
+    return entrada;
+  }
+
+  /**
+   * Obtiene el historial de un documento, del cambio más antiguo al más reciente
+   * @param {string} documentoId - ID del documento
+   * @returns {Array} Entradas del historial
+   */
+  getHistorial(documentoId) {
+    return this.historial.filter(cambio => cambio.documentoId === documentoId);
+  }
+
+  /**
+   * Calcula el estado de la radicación con los estados de sus documentos
+   * Mientras algún documento espera revisión la radicación está en revisión;
+   * después, si alguno debe corregirse está en subsanación; si alguno quedó
+   * rechazado está rechazada; y si todos se aprobaron está aprobada.
+   * @returns {string} en_revision, en_subsanacion, rechazada o aprobada
+   */
+  calcularEstado() {
+    const estados = this.documentos.map(documento => documento.estado);
+    if (estados.some(estado => estado === 'pendiente' || !estado)) {
+      return 'en_revision';
+    }
+    if (estados.some(estado => Radicacion.POR_CORREGIR.includes(estado))) {
+      return 'en_subsanacion';
+    }
+    if (estados.includes('rechazado')) return 'rechazada';
+    return 'aprobada';
+  }
+
+  /**
+   * Obtiene el texto de un estado de documento
+   * @param {string} estado - Estado del documento
+   * @returns {string} Texto del estado
+   */
+  static getEtiqueta(estado) {
+    return Radicacion.getStateMachine().getEtiqueta(estado);
+  }
+
+  /**
+   * Obtiene el texto del estado de la radicación
+   * @returns {string} Texto del estado
+   */
+  getEstadoText() {
+    return Radicacion.ESTADOS_RADICACION[this.estado] || this.estado;
+  }
+
+  /**
+   * Obtiene la máquina de estados compartida de los documentos radicados
+   * @returns {StateMachine} Máquina de estados
+   */
+  static getStateMachine() {
+    if (!Radicacion.stateMachine) {
+      Radicacion.stateMachine = new StateMachine({
+        estados: Radicacion.ESTADOS,
+        terminales: Radicacion.TERMINALES,
+        etiquetas: Radicacion.ETIQUETAS,
+        transiciones: Radicacion.TRANSICIONES,
+        evento: 'radicacion:changed',
+      });
+    }
+    return Radicacion.stateMachine;
+  }
+}
+
+// Estados de un documento radicado
+Radicacion.ESTADOS = [
+  'pendiente',
+  'aprobado',
+  'rechazado',
+  'en_correccion',
+  'en_subsanacion',
+];
+
+// Estados que no admiten ningún cambio posterior
+Radicacion.TERMINALES = ['aprobado'];
+
+// Estados en que el solicitante debe volver a enviar el documento
+Radicacion.POR_CORREGIR = ['en_correccion', 'en_subsanacion'];
+
+// Texto legible de cada estado de documento
+Radicacion.ETIQUETAS = {
+  pendiente: 'Pendiente de revisión',
+  aprobado: 'Aprobado',
+  rechazado: 'Rechazado',
+  en_correccion: 'Corrección solicitada',
+  en_subsanacion: 'En subsanación',
+};
+
+// Texto legible del estado de la radicación
+Radicacion.ESTADOS_RADICACION = {
+  en_revision: 'En revisión',
+  en_subsanacion: 'En subsanación',
+  rechazada: 'Rechazada',
+  aprobada: 'Aprobada',
+};
+
+// Transiciones permitidas; desde null es la radicación del documento.
+// Las guardas de la subsanación reciben en el contexto la habilitación cuya
+// ventana de corrección se verifica y la fecha del cambio.
+Radicacion.TRANSICIONES = [
+  { desde: [null, 'en_correccion'], hacia: 'pendiente' },
+  { desde: [null, 'pendiente'], hacia: 'aprobado' },
+  { desde: 'pendiente', hacia: 'en_correccion', requiereMotivo: true },
+  { desde: 'pendiente', hacia: 'rechazado', requiereMotivo: true },
+  {
+    desde: 'rechazado',
+    hacia: 'en_subsanacion',
+    eventos: ['radicacion:subsanacion'],
+    guard: ({ habilitacion, fecha }) => {
+      if (!habilitacion) {
+        return 'No se puede verificar la ventana de corrección sin la habilitación';
+      }
+      const periodo = habilitacion.getPeriodoSubsanacion();
+      if (!periodo.inicio || !periodo.fin) {
+        return 'La habilitación no tiene ventana de corrección';
+      }
+      if (
+        habilitacion.getEstadoPorFechas(fecha || new Date()) === 'finalizado'
+      ) {
+        return `La ventana de corrección ya terminó (${Tramite.formatDate(
+          periodo.inicio
+        )} - ${Tramite.formatDate(periodo.fin)})`;
+      }
+      return true;
+    },
+  },
+  {
+    desde: 'en_subsanacion',
+    hacia: 'pendiente',
+    guard: ({ habilitacion, fecha }) => {
+      if (!habilitacion) {
+        return 'No se puede verificar la ventana de corrección sin la habilitación';
+      }
+      if (
+        habilitacion.getEstadoPorFechas(fecha || new Date()) !== 'subsanación'
+      ) {
+        const periodo = habilitacion.getPeriodoSubsanacion();
+        return `Solo se puede subsanar dentro de la ventana de corrección (${Tramite.formatDate(
+          periodo.inicio
+        )} - ${Tramite.formatDate(periodo.fin)})`;
+      }
+      return true;
+    },
+  },
+  {
+    desde: 'en_subsanacion',
+    hacia: 'rechazado',
+    guard: ({ habilitacion, fecha }) =>
+      Boolean(habilitacion) &&
+      habilitacion.getEstadoPorFechas(fecha || new Date()) === 'finalizado'
+        ? true
+        : 'La ventana de corrección todavía no ha terminado',
+  },
+];
@@ -0,0 +1,101 @@
+/**
+ * Modelo de datos para Sedes
+ * Clase que representa una sede del catálogo; solo las sedes activas se
+ * ofrecen al habilitar trámites.
+ */
+class Sede {
+  /**
+   * Constructor de la clase Sede
+   * @param {Object} data - Datos de la sede
+   */
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.codigo = (data.codigo || '').toString().trim();
+    this.nombre = (data.nombre || '').toString().trim();
+    this.activa = data.activa !== undefined ? Boolean(data.activa) : true;
+    this.fechaModificacion = data.fechaModificacion || new Date().toISOString();
+  }
+
+  /**
+   * Genera un ID único para la sede
+   * @returns {string} ID único
+   */
+  generateId() {
+    return 'sede_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Valida que todos los campos requeridos estén completos
+   * @returns {Object} Objeto con isValid (boolean) y errors (array)
+   */
+  validate() {
+    const errors = [];
+
+    ['codigo', 'nombre'].forEach(field => {
+      if (!this[field] || this[field].toString().trim() === '') {
+        errors.push(`El campo ${this.getFieldLabel(field)} es requerido`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Obtiene la etiqueta legible de un campo
+   * @param {string} field - Nombre del campo
+   * @returns {string} Etiqueta del campo
+   */
+  getFieldLabel(field) {
+    const labels = {
+      codigo: 'Código',
+      nombre: 'Nombre',
+      activa: 'Activa',
+    };
+    return labels[field] || field;
+  }
+
+  /**
+   * Actualiza los datos de la sede
+   * @param {Object} newData - Nuevos datos
+   */
+  update(newData) {
+    Object.keys(newData).forEach(key => {
+      if (this.hasOwnProperty(key) && key !== 'id') {
+        this[key] = key === 'activa' ? Boolean(newData[key]) : newData[key];
+      }
+    });
+    this.codigo = this.codigo.toString().trim();
+    this.nombre = this.nombre.toString().trim();
+    this.fechaModificacion = new Date().toISOString();
+  }
+
+  /**
+   * Convierte el objeto a un formato JSON
+   * @returns {Object} Objeto JSON de la sede
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      codigo: this.codigo,
+      nombre: this.nombre,
+      activa: this.activa,
+      fechaModificacion: this.fechaModificacion,
+    };
+  }
+
+  /**
+   * Crea una sede desde datos del formulario
+   * @param {Object} formData - Datos del formulario
+   * @returns {Sede} Nueva instancia de la sede
+   */
+  static fromFormData(formData) {
+    return new Sede({
+      codigo: formData.codigo,
+      nombre: formData.nombre,
+      activa: formData.activa,
+    });
+  }
+}
@@ -16,6 +16,15 @@ class Tramite {
     this.fechaModificacion = data.fechaModificacion || new Date().toISOString();
     this.estado = data.estado || 'activo';
     this.observaciones = data.observaciones || '';
+
+    // Fechas de vigencia y subsanación
+    this.fechaInicio = data.fechaInicio || '';
+    this.fechaFinalizacion = data.fechaFinalizacion || '';
+    this.fechaInicioSubsanacion = data.fechaInicioSubsanacion || '';
+    this.fechaFinSubsanacion = data.fechaFinSubsanacion || '';
+    this.historialFechas = Array.isArray(data.historialFechas)
+      ? data.historialFechas
+      : [];
   }
 
   /**
@@ -76,6 +85,11 @@ class Tramite {
       fechaModificacion: this.fechaModificacion,
       estado: this.estado,
       observaciones: this.observaciones,
+      fechaInicio: this.fechaInicio,
+      fechaFinalizacion: this.fechaFinalizacion,
+      fechaInicioSubsanacion: this.fechaInicioSubsanacion,
+      fechaFinSubsanacion: this.fechaFinSubsanacion,
+      historialFechas: this.historialFechas,
     };
   }
 
@@ -100,6 +114,130 @@ class Tramite {
     return this.estado === 'activo';
   }
 
+  /**
+   * Asigna nuevas fechas y las registra en el historial
+   * @param {Object} fechas - fechaInicio, fechaFinalizacion, fechaInicioSubsanacion y fechaFinSubsanacion
+   * @param {string} usuario - Usuario que realiza el cambio
+   */
+  agregarFechas(fechas, usuario = 'Usuario') {
+    this.fechaInicio = fechas.fechaInicio || '';
+    this.fechaFinalizacion = fechas.fechaFinalizacion || '';
+    this.fechaInicioSubsanacion = fechas.fechaInicioSubsanacion || '';
+    this.fechaFinSubsanacion = fechas.fechaFinSubsanacion || '';
+    this.fechaModificacion = new Date().toISOString();
+
+    this.historialFechas = [
+      ...this.historialFechas,
+      {
+        fechaInicio: this.fechaInicio,
+        fechaFinalizacion: this.fechaFinalizacion,
+        fechaInicioSubsanacion: this.fechaInicioSubsanacion,
+        fechaFinSubsanacion: this.fechaFinSubsanacion,
+        fechaCambio: this.fechaModificacion,
+        usuario,
+      },
+    ];
+  }
+
+  /**
+   * Obtiene el historial de fechas del más reciente al más antiguo
+   * @returns {Array} Registros del historial
+   */
+  getHistorialFechasOrdenado() {
+    return [...this.historialFechas].sort(
+      (a, b) => new Date(b.fechaCambio) - new Date(a.fechaCambio)
+    );
+  }
+
+  /**
+   * Calcula el estado del trámite según sus fechas
+   * @param {Date} fechaReferencia - Fecha a evaluar (por defecto hoy)
+   * @returns {string} sin_fechas, pendiente, activo, inactivo, subsanación o finalizado
+   */
+  getEstadoPorFechas(fechaReferencia = new Date()) {
+    return Tramite.calcularEstadoPorFechas(
+      {
+        fechaInicio: this.fechaInicio,
+        fechaFinalizacion: this.fechaFinalizacion,
+        fechaInicioSubsanacion: this.fechaInicioSubsanacion,
+        fechaFinSubsanacion: this.fechaFinSubsanacion,
+      },
+      fechaReferencia
+    );
+  }
+
+  /**
+   * Obtiene el periodo de subsanación del trámite
+   * @returns {Object} { inicio, fin } en formato YYYY-MM-DD
+   */
+  getPeriodoSubsanacion() {
+    return {
+      inicio: this.fechaInicioSubsanacion,
+      fin: this.fechaFinSubsanacion,
+    };
+  }
+
+  /**
+   * Calcula el estado que corresponde a unas fechas de vigencia y subsanación
+   * Lo usan también las habilitaciones, que tienen su propio periodo.
+   * @param {Object} periodo - { fechaInicio, fechaFinalizacion, fechaInicioSubsanacion, fechaFinSubsanacion }
+   * @param {Date} fechaReferencia - Fecha a evaluar (por defecto hoy)
+   * @returns {string} sin_fechas, pendiente, activo, inactivo, subsanación o finalizado
+   */
+  static calcularEstadoPorFechas(periodo, fechaReferencia = new Date()) {
+    if (
+      !periodo.fechaInicio ||
+      !periodo.fechaFinalizacion ||
+      !periodo.fechaInicioSubsanacion ||
+      !periodo.fechaFinSubsanacion
+    ) {
+      return 'sin_fechas';
+    }
+
+    // Comparar como YYYY-MM-DD en hora local para evitar desfases de zona horaria
+    const hoy = [
+      fechaReferencia.getFullYear(),
+      String(fechaReferencia.getMonth() + 1).padStart(2, '0'),
+      String(fechaReferencia.getDate()).padStart(2, '0'),
+    ].join('-');
+
+    if (hoy < periodo.fechaInicio) return 'pendiente';
+    if (hoy <= periodo.fechaFinalizacion) return 'activo';
+    if (hoy < periodo.fechaInicioSubsanacion) return 'inactivo';
+    if (hoy <= periodo.fechaFinSubsanacion) return 'subsanación';
+    return 'finalizado';
+  }
+
+  /**
+   * Verifica si el trámite está en periodo de subsanación
+   * @returns {boolean} True si está en subsanación
+   */
+  isEnSubsanacion() {
+    return this.getEstadoPorFechas() === 'subsanación';
+  }
+
+  /**
+   * Formatea una fecha para mostrar
+   * @param {string} fecha - Fecha en formato ISO o YYYY-MM-DD
+   * @returns {string} Fecha en formato DD/MM/YYYY o '-' si no hay fecha
+   */
+  static formatDate(fecha) {
+    if (!fecha) return '-';
+
+    // Las fechas YYYY-MM-DD se muestran tal cual para no desplazarlas por zona horaria
+    const soloFecha = /^(\d{4})-(\d{2})-(\d{2})$/.exec(fecha);
+    if (soloFecha) {
+      return `${soloFecha[3]}/${soloFecha[2]}/${soloFecha[1]}`;
+    }
+
+    const date = new Date(fecha);
+    if (isNaN(date.getTime())) return '-';
+
+    const day = date.getDate().toString().padStart(2, '0');
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    return `${day}/${month}/${date.getFullYear()}`;
+  }
+
   /**
    * Crea un trámite desde datos del formulario
    * @param {Object} formData - Datos del formulario
@@ -0,0 +1,249 @@
+/**
+ * Modelo de datos para Versiones de Documentos
+ * Clase que representa una revisión inmutable de un documento: la copia de
+ * sus datos y de sus campos tal como quedaron al guardarlo, con el autor, la
+ * fecha y la nota del cambio. Cada vez que se guarda un documento se registra
+ * una versión nueva; las anteriores no se modifican.
+ */
+class VersionDocumento {
+  /**
+   * Constructor de la clase VersionDocumento
+   * @param {Object} data - Datos de la versión
+   */
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.documentoId = data.documentoId || '';
+    this.numero = parseInt(data.numero) || 1;
+    this.autor = data.autor || 'Usuario';
+    this.fecha = data.fecha || new Date().toISOString();
+    this.nota = data.nota || '';
+    // Documento.toJSON() al guardar
+    this.datos = { ...(data.datos || {}) };
+    // CampoDocumento.toJSON() de los campos activos al guardar
+    this.campos = (data.campos || []).map(campo => ({ ...campo }));
+  }
+
+  /**
+   * Genera un ID único para la versión
+   * @returns {string} ID único
+   */
+  generateId() {
+    return (
+      'verdoc_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9)
+    );
+  }
+
+  /**
+   * Valida que la versión tenga documento y datos
+   * @returns {Object} Objeto con isValid (boolean) y errors (array)
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.documentoId) {
+      errors.push('La versión debe pertenecer a un documento');
+    }
+
+    if (this.numero < 1) {
+      errors.push('El número de versión debe ser mayor que cero');
+    }
+
+    if (Object.keys(this.datos).length === 0) {
+      errors.push('La versión debe tener los datos del documento');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Convierte el objeto a JSON
+   * @returns {Object} Objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      documentoId: this.documentoId,
+      numero: this.numero,
+      autor: this.autor,
+      fecha: this.fecha,
+      nota: this.nota,
+      datos: { ...this.datos },
+      campos: this.campos.map(campo => ({ ...campo })),
+    };
+  }
+
+  /**
+   * Obtiene el texto de la versión (el mismo que guarda Documento.version)
+   * @returns {string} Versión, p. ej. "3.0"
+   */
+  getVersionText() {
+    return VersionDocumento.toVersionText(this.numero);
+  }
+
+  /**
+   * Crea el documento tal como quedó en esta versión
+   * @returns {Documento} Documento de la versión
+   */
+  getDocumento() {
+    return new Documento(this.datos);
+  }
+
+  /**
+   * Crea los campos tal como quedaron en esta versión
+   * @returns {Array<CampoDocumento>} Campos de la versión
+   */
+  getCampos() {
+    return this.campos.map(campo => new CampoDocumento(campo));
+  }
+
+  /**
+   * Convierte un número de versión al texto que guarda Documento.version
+   * @param {number} numero - Número de versión
+   * @returns {string} Texto de la versión
+   */
+  static toVersionText(numero) {
+    return `${numero}.0`;
+  }
+
+  /**
+   * Lee el número de versión de Documento.version
+   * @param {string} version - Texto de la versión (p. ej. "1.0")
+   * @returns {number} Número de versión
+   */
+  static toNumero(version) {
+    return parseInt(version) || 1;
+  }
+
+  /**
+   * Compara dos versiones campo por campo
+   * Los campos del documento se comparan por su ID, así que un campo
+   * renombrado aparece como modificado y no como eliminado y agregado.
+   * @param {VersionDocumento} desde - Versión anterior
+   * @param {VersionDocumento} hasta - Versión posterior
+   * @returns {Object} { documento: [{ campo, etiqueta, antes, despues }], campos: [{ id, nombreCampo, cambio, detalles }] }
+   */
+  static comparar(desde, hasta) {
+    const etiquetas = new Documento();
+    const documento = VersionDocumento.DATOS_COMPARADOS.map(campo => ({
+      campo,
+      etiqueta: etiquetas.getFieldLabel(campo),
+      antes: VersionDocumento.formatearValor(campo, desde.datos[campo]),
+      despues: VersionDocumento.formatearValor(campo, hasta.datos[campo]),
+    })).filter(diferencia => diferencia.antes !== diferencia.despues);
+
+    const anteriores = new Map(desde.campos.map(campo => [campo.id, campo]));
+    const posteriores = new Map(hasta.campos.map(campo => [campo.id, campo]));
+    const campos = [];
+
+    hasta.campos.forEach(campo => {
+      const anterior = anteriores.get(campo.id);
+      if (!anterior) {
+        campos.push({
+          id: campo.id,
+          nombreCampo: campo.nombreCampo,
+          cambio: 'agregado',
+          detalles: [],
+        });
+        return;
+      }
+
+      const detalles = VersionDocumento.CAMPOS_COMPARADOS.map(propiedad => ({
+        campo: propiedad,
+        etiqueta: VersionDocumento.ETIQUETAS_CAMPO[propiedad],
+        antes: VersionDocumento.formatearValor(propiedad, anterior[propiedad]),
+        despues: VersionDocumento.formatearValor(propiedad, campo[propiedad]),
+      })).filter(diferencia => diferencia.antes !== diferencia.despues);
+      if (detalles.length > 0) {
+        campos.push({
+          id: campo.id,
+          nombreCampo: campo.nombreCampo,
+          cambio: 'modificado',
+          detalles,
+        });
+      }
+    });
+
+    desde.campos
+      .filter(campo => !posteriores.has(campo.id))
+      .forEach(campo =>
+        campos.push({
+          id: campo.id,
+          nombreCampo: campo.nombreCampo,
+          cambio: 'eliminado',
+          detalles: [],
+        })
+      );
+
+    return { documento, campos };
+  }
+
+  /**
+   * Convierte un valor guardado en texto comparable y legible
+   * @param {string} campo - Nombre del dato
+   * @param {*} valor - Valor guardado
+   * @returns {string} Texto del valor
+   */
+  static formatearValor(campo, valor) {
+    if (valor === undefined || valor === null || valor === '') return '';
+    if (campo === 'cadenaAprobacion') {
+      return valor.map(etapa => ApprovalChain.describe(etapa)).join(' → ');
+    }
+    if (campo === 'reglas') {
+      return valor.map(regla => FieldRuleEngine.describeRule(regla)).join('; ');
+    }
+    if (campo === 'tipoCampo') {
+      return FieldTypeRegistry.getDefault().getLabel(valor);
+    }
+    if (Array.isArray(valor)) return valor.join(', ');
+    if (typeof valor === 'object') {
+      return Object.entries(valor)
+        .filter(([, dato]) => dato !== '' && dato !== null)
+        .map(([clave, dato]) => `${clave}: ${dato}`)
+        .join(', ');
+    }
+    return String(valor);
+  }
+}
+
+// Datos del documento que se comparan entre versiones
+VersionDocumento.DATOS_COMPARADOS = [
+  'nombreDocumento',
+  'tipoDocumental',
+  'descripcionDocumento',
+  'areaSolicitante',
+  'responsableValidacion',
+  'tipoFormatoEsperado',
+  'tamanoMaximoPermitido',
+  'obligatoriedad',
+  'requiereAprobacion',
+  'vigenciaEnDias',
+  'permitePlazosAmpliados',
+  'cadenaAprobacion',
+  'estado',
+  'tags',
+];
+
+// Propiedades de los campos del documento que se comparan entre versiones
+VersionDocumento.CAMPOS_COMPARADOS = [
+  'nombreCampo',
+  'tipoCampo',
+  'obligatorio',
+  'configuracion',
+  'reglas',
+  'orden',
+  'seccion',
+];
+
+// Texto legible de las propiedades comparadas de los campos
+VersionDocumento.ETIQUETAS_CAMPO = {
+  nombreCampo: 'Nombre',
+  tipoCampo: 'Tipo',
+  obligatorio: 'Obligatorio',
+  configuracion: 'Configuración',
+  reglas: 'Reglas',
+  orden: 'Posición',
+  seccion: 'Sección',
+};
@@ -0,0 +1,70 @@
+/**
+ * Modelo de datos para Vinculaciones entre trámites y documentos
+ * Clase que representa un documento vinculado a un trámite
+ */
+class Vinculacion {
+  /**
+   * Constructor de la clase Vinculacion
+   * @param {Object} data - Datos de la vinculación
+   */
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.tramiteId = data.tramiteId || '';
+    this.tramiteNombre = data.tramiteNombre || '';
+    this.documentoId = data.documentoId || '';
+    this.documentoNombre = data.documentoNombre || '';
+    this.documentoTipo = data.documentoTipo || '';
+    this.fechaVinculacion = data.fechaVinculacion || new Date().toISOString();
+    this.areaSolicitante = data.areaSolicitante || '';
+    this.responsableValidacion = data.responsableValidacion || '';
+    this.seEnviaMatfin = data.seEnviaMatfin || '';
+  }
+
+  /**
+   * Genera un ID único para la vinculación
+   * @returns {string} ID único
+   */
+  generateId() {
+    return 'vin_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Valida que la vinculación tenga trámite y documento
+   * @returns {Object} Objeto con isValid (boolean) y errors (array)
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.tramiteId) {
+      errors.push('La vinculación debe tener un trámite');
+    }
+
+    if (!this.documentoId) {
+      errors.push('La vinculación debe tener un documento');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Convierte el objeto a JSON
+   * @returns {Object} Objeto JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      tramiteId: this.tramiteId,
+      tramiteNombre: this.tramiteNombre,
+      documentoId: this.documentoId,
+      documentoNombre: this.documentoNombre,
+      documentoTipo: this.documentoTipo,
+      fechaVinculacion: this.fechaVinculacion,
+      areaSolicitante: this.areaSolicitante,
+      responsableValidacion: this.responsableValidacion,
+      seEnviaMatfin: this.seEnviaMatfin,
+    };
+  }
+}
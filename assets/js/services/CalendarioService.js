@@ -0,0 +1,460 @@
+/**
+ * Servicio del calendario de días hábiles
+ * Guarda los días no hábiles (festivos nacionales y cierres institucionales,
+ * generales o de una sede) y ofrece la aritmética de días hábiles que usan
+ * las advertencias de vencimiento, la vigencia de los documentos y la
+ * validación de las ventanas de fechas. Los sábados y domingos nunca son
+ * hábiles. Las fechas se manejan como texto YYYY-MM-DD.
+ */
+class CalendarioService extends BaseService {
+  constructor() {
+    super('DiaNoHabil', 'dias_no_habiles');
+  }
+
+  /**
+   * Inicializa el servicio
+   */
+  async initialize() {
+    await super.initialize();
+  }
+
+  /**
+   * Crea una entidad desde datos
+   * @param {Object} data - Datos de la entidad
+   * @returns {DiaNoHabil} Entidad creada
+   */
+  createEntityFromData(data) {
+    return new DiaNoHabil(data);
+  }
+
+  /**
+   * Define las relaciones con otras entidades
+   * @returns {Array} Relaciones de la entidad
+   */
+  getRelations() {
+    return [
+      {
+        padre: 'Sede',
+        campo: 'sede',
+        clave: 'codigo',
+        onDelete: 'restrict',
+        descripcion:
+          'Una sede con días no hábiles propios no se puede eliminar',
+      },
+    ];
+  }
+
+  /**
+   * Define los campos que se indexan para la búsqueda de texto
+   * @returns {Object} Peso de cada campo
+   */
+  getSearchFields() {
+    return {
+      descripcion: 2,
+      fecha: 1,
+    };
+  }
+
+  /**
+   * Obtiene un nombre legible del día no hábil
+   * @param {DiaNoHabil} dia - Día no hábil
+   * @returns {string} Fecha y descripción
+   */
+  getDisplayName(dia) {
+    return dia ? `${Tramite.formatDate(dia.fecha)} ${dia.descripcion}` : '';
+  }
+
+  /**
+   * Valida un item antes de crear
+   * @param {DiaNoHabil|Object} dia - Día no hábil a validar
+   * @returns {Object} Resultado de la validación
+   */
+  validateItem(dia) {
+    const diaObj = dia instanceof DiaNoHabil ? dia : new DiaNoHabil(dia);
+
+    const validation = diaObj.validate();
+    if (!validation.isValid) {
+      return { isValid: false, errors: validation.errors };
+    }
+
+    if (diaObj.sede && !this.getSedeCatalogo(diaObj.sede)) {
+      return {
+        isValid: false,
+        errors: [`La sede ${diaObj.sede} no está en el catálogo`],
+      };
+    }
+
+    return { isValid: true, data: diaObj };
+  }
+
+  /**
+   * Busca una sede en el catálogo de sedes
+   * @param {string} codigo - Código de la sede
+   * @returns {Sede|null} Sede o null si no está (o no hay catálogo)
+   */
+  getSedeCatalogo(codigo) {
+    const sedeService = this.getRelationRegistry().getService('Sede');
+    return sedeService ? sedeService.getByCodigo(codigo) : null;
+  }
+
+  /**
+   * Verifica que la fecha no esté ya registrada para la misma sede
+   * @param {DiaNoHabil} dia - Día no hábil a verificar
+   * @returns {Object} Resultado de la verificación
+   */
+  checkForDuplicates(dia) {
+    const existente = this.getByFecha(dia.fecha, dia.sede);
+    if (existente && existente.id !== dia.id) {
+      return {
+        isValid: false,
+        errors: [
+          `El ${Tramite.formatDate(dia.fecha)} ya está registrado como ${
+            existente.descripcion
+          }`,
+        ],
+      };
+    }
+
+    return { isValid: true, errors: [] };
+  }
+
+  /**
+   * Valida datos de actualización
+   * @param {DiaNoHabil} dia - Día no hábil existente
+   * @param {Object} newData - Nuevos datos
+   * @returns {Object} Resultado de la validación
+   */
+  validateUpdateData(dia, newData) {
+    const resultado = new DiaNoHabil({ ...dia.toJSON(), ...newData });
+    const errors = [
+      ...resultado.validate().errors,
+      ...(this.checkForDuplicates(resultado).errors || []),
+    ];
+    if (
+      resultado.sede &&
+      resultado.sede !== dia.sede &&
+      !this.getSedeCatalogo(resultado.sede)
+    ) {
+      errors.push(`La sede ${resultado.sede} no está en el catálogo`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Obtiene el día no hábil registrado en una fecha para una sede exacta
+   * @param {string} fecha - Fecha en formato YYYY-MM-DD
+   * @param {string} sede - Código de la sede; vacío para los generales
+   * @returns {DiaNoHabil|null} Día no hábil o null
+   */
+  getByFecha(fecha, sede = '') {
+    this.validateInitialization();
+    return (
+      this.items.find(dia => dia.fecha === fecha && dia.sede === sede) || null
+    );
+  }
+
+  /**
+   * Obtiene los días no hábiles ordenados por fecha
+   * @param {string|null} sede - Código de la sede para ver solo los suyos; null para todos
+   * @returns {Array} Días no hábiles
+   */
+  getOrdenados(sede = null) {
+    const where = sede === null ? {} : { sede };
+    return this.query({ where, sort: ['fecha', 'sede'] }).items;
+  }
+
+  /**
+   * Obtiene los días no hábiles que aplican a una sede indexados por fecha
+   * @param {string} sede - Código de la sede; vacío para solo los generales
+   * @returns {Map} fecha => DiaNoHabil
+   */
+  getIndice(sede = '') {
+    const indice = new Map();
+    this.items
+      .filter(dia => dia.aplicaA(sede))
+      .forEach(dia => {
+        // Un día propio de la sede tiene prioridad sobre el general
+        if (!indice.has(dia.fecha) || dia.sede) {
+          indice.set(dia.fecha, dia);
+        }
+      });
+    return indice;
+  }
+
+  /**
+   * Obtiene el motivo por el que una fecha no es hábil
+   * @param {string|Date} fecha - Fecha a revisar
+   * @param {string} sede - Código de la sede; vacío para solo los generales
+   * @param {Map} indice - Índice de getIndice ya calculado (uso interno)
+   * @returns {string|null} Motivo o null si la fecha es hábil
+   */
+  getMotivoNoHabil(fecha, sede = '', indice = null) {
+    const dia = CalendarioService.toFecha(fecha);
+    if (!dia) return null;
+
+    const diaSemana = CalendarioService.getDiaSemana(dia);
+    if (diaSemana === 0) return 'Domingo';
+    if (diaSemana === 6) return 'Sábado';
+
+    const noHabil = (indice || this.getIndice(sede)).get(dia);
+    return noHabil ? noHabil.descripcion : null;
+  }
+
+  /**
+   * Indica si una fecha es hábil
+   * @param {string|Date} fecha - Fecha a revisar
+   * @param {string} sede - Código de la sede
+   * @returns {boolean} True si es día hábil
+   */
+  esDiaHabil(fecha, sede = '') {
+    return this.getMotivoNoHabil(fecha, sede) === null;
+  }
+
+  /**
+   * Suma días hábiles a una fecha
+   * La fecha de partida no cuenta: un día hábil después del viernes es el lunes.
+   * @param {string|Date} fecha - Fecha de partida
+   * @param {number} dias - Días hábiles a sumar
+   * @param {string} sede - Código de la sede
+   * @returns {string} Fecha resultante en formato YYYY-MM-DD
+   */
+  sumarDiasHabiles(fecha, dias, sede = '') {
+    let actual = CalendarioService.toFecha(fecha);
+    if (!actual || dias <= 0) return actual;
+
+    const indice = this.getIndice(sede);
+    let contados = 0;
+    for (let i = 0; i < CalendarioService.DIAS_MAXIMOS_BUSQUEDA; i++) {
+      actual = ICalendar.sumarDias(actual, 1);
+      if (this.getMotivoNoHabil(actual, sede, indice) === null) {
+        contados++;
+        if (contados === dias) return actual;
+      }
+    }
+
+    console.warn(
+      `⚠️ No se encontraron ${dias} días hábiles desde ${fecha} en el calendario`
+    );
+    return actual;
+  }
+
+  /**
+   * Cuenta los días hábiles de un rango, incluidos sus extremos
+   * @param {string|Date} desde - Primer día del rango
+   * @param {string|Date} hasta - Último día del rango
+   * @param {string} sede - Código de la sede
+   * @returns {number} Días hábiles del rango
+   */
+  contarDiasHabiles(desde, hasta, sede = '') {
+    const inicio = CalendarioService.toFecha(desde);
+    const fin = CalendarioService.toFecha(hasta);
+    if (!inicio || !fin || inicio > fin) return 0;
+
+    const indice = this.getIndice(sede);
+    let total = 0;
+    for (let actual = inicio; actual <= fin; ) {
+      if (this.getMotivoNoHabil(actual, sede, indice) === null) total++;
+      actual = ICalendar.sumarDias(actual, 1);
+    }
+    return total;
+  }
+
+  /**
+   * Calcula el último momento del plazo de unos días hábiles desde una fecha
+   * @param {number} dias - Días hábiles del plazo
+   * @param {string} sede - Código de la sede
+   * @param {Date} desde - Fecha de partida (por defecto ahora)
+   * @returns {Date} Final del último día hábil del plazo
+   */
+  getFechaLimite(dias, sede = '', desde = new Date()) {
+    const [anio, mes, dia] = this.sumarDiasHabiles(desde, dias, sede)
+      .split('-')
+      .map(Number);
+    return new Date(anio, mes - 1, dia, 23, 59, 59, 999);
+  }
+
+  /**
+   * Exporta los días no hábiles a JSON
+   * @param {string|null} sede - Código de la sede para exportar solo los suyos; null para todos
+   * @returns {string} JSON con [{ fecha, descripcion, tipo, sede }]
+   */
+  exportarJSON(sede = null) {
+    return JSON.stringify(
+      this.getOrdenados(sede).map(({ fecha, descripcion, tipo, sede }) => ({
+        fecha,
+        descripcion,
+        tipo,
+        sede,
+      })),
+      null,
+      2
+    );
+  }
+
+  /**
+   * Exporta los días no hábiles a un calendario ICS
+   * @param {string|null} sede - Código de la sede para exportar solo los suyos; null para todos
+   * @returns {string} Texto ICS
+   */
+  exportarICS(sede = null) {
+    return ICalendar.construir(
+      this.getOrdenados(sede).map(dia => ({
+        uid: `${dia.id}@config-tramite`,
+        inicio: dia.fecha,
+        resumen: dia.descripcion,
+        categorias: [dia.tipo],
+        ubicacion: dia.sede,
+      })),
+      { nombre: 'Días no hábiles' }
+    );
+  }
+
+  /**
+   * Importa días no hábiles desde JSON
+   * @param {string} texto - JSON con [{ fecha, descripcion, tipo, sede }]
+   * @param {Object} opciones - { sede } que se asigna a los que no traen sede
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async importarJSON(texto, opciones = {}) {
+    let datos;
+    try {
+      datos = JSON.parse(texto);
+    } catch (error) {
+      return { success: false, errors: ['El archivo no es un JSON válido'] };
+    }
+    if (!Array.isArray(datos)) {
+      return {
+        success: false,
+        errors: ['El JSON debe contener una lista de días no hábiles'],
+      };
+    }
+
+    return await this.importarDias(
+      datos.map(dato => ({
+        fecha: dato.fecha,
+        descripcion: dato.descripcion,
+        tipo: dato.tipo || 'nacional',
+        sede: dato.sede || opciones.sede || '',
+      }))
+    );
+  }
+
+  /**
+   * Importa días no hábiles desde un calendario ICS
+   * Un evento de varios días genera un día no hábil por cada día. La
+   * categoría indica el tipo y la ubicación la sede, si coinciden con un tipo
+   * válido y una sede del catálogo; si no, se usan los de las opciones.
+   * @param {string} texto - Contenido del archivo ICS
+   * @param {Object} opciones - { sede, tipo } por defecto
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async importarICS(texto, opciones = {}) {
+    let eventos;
+    try {
+      eventos = ICalendar.parsear(texto);
+    } catch (error) {
+      return { success: false, errors: [error.message] };
+    }
+
+    const datos = [];
+    eventos.forEach(evento => {
+      const tipo =
+        evento.categorias.find(categoria => DiaNoHabil.TIPOS[categoria]) ||
+        opciones.tipo ||
+        'nacional';
+      const sede =
+        evento.ubicacion && this.getSedeCatalogo(evento.ubicacion)
+          ? evento.ubicacion
+          : opciones.sede || '';
+
+      // El fin del evento es exclusivo
+      let fecha = evento.inicio;
+      for (let i = 0; i < CalendarioService.DIAS_MAXIMOS_BUSQUEDA; i++) {
+        datos.push({ fecha, descripcion: evento.resumen, tipo, sede });
+        fecha = ICalendar.sumarDias(fecha, 1);
+        if (fecha >= evento.fin) break;
+      }
+    });
+
+    return await this.importarDias(datos);
+  }
+
+  /**
+   * Registra una lista de días no hábiles en una sola operación
+   * Se omiten los inválidos y los que ya están registrados.
+   * @param {Array} datos - [{ fecha, descripcion, tipo, sede }]
+   * @returns {Promise<Object>} { success, imported, omitidos, errors, message }
+   */
+  async importarDias(datos) {
+    try {
+      this.validateInitialization();
+
+      const errors = [];
+      let importados = 0;
+      await this.getJournal().runBatch(
+        'Importar días no hábiles',
+        async lote => {
+          for (const dato of datos) {
+            const result = await this.create(new DiaNoHabil(dato), lote);
+            if (result.success) {
+              importados++;
+            } else {
+              errors.push(`${dato.fecha || '?'}: ${result.errors.join(', ')}`);
+            }
+          }
+        }
+      );
+
+      return {
+        success: true,
+        imported: importados,
+        omitidos: datos.length - importados,
+        errors,
+        message: `${importados} días no hábiles importados${
+          datos.length > importados
+            ? `, ${datos.length - importados} omitidos`
+            : ''
+        }`,
+      };
+    } catch (error) {
+      console.error('❌ Error al importar días no hábiles:', error);
+      return {
+        success: false,
+        errors: ['Error al importar los días no hábiles'],
+      };
+    }
+  }
+
+  /**
+   * Convierte una fecha al formato YYYY-MM-DD
+   * Un Date se toma en la hora local; un texto con hora se recorta.
+   * @param {string|Date} fecha - Fecha a convertir
+   * @returns {string} Fecha en formato YYYY-MM-DD o vacío si no hay fecha
+   */
+  static toFecha(fecha) {
+    if (!fecha) return '';
+    if (fecha instanceof Date) {
+      const mes = (fecha.getMonth() + 1).toString().padStart(2, '0');
+      const dia = fecha.getDate().toString().padStart(2, '0');
+      return `${fecha.getFullYear()}-${mes}-${dia}`;
+    }
+    return fecha.toString().slice(0, 10);
+  }
+
+  /**
+   * Obtiene el día de la semana de una fecha sin depender de la zona horaria
+   * @param {string} fecha - Fecha en formato YYYY-MM-DD
+   * @returns {number} 0 (domingo) a 6 (sábado)
+   */
+  static getDiaSemana(fecha) {
+    const [anio, mes, dia] = fecha.split('-').map(Number);
+    return new Date(Date.UTC(anio, mes - 1, dia)).getUTCDay();
+  }
+}
+
+// Días que se recorren como máximo al buscar días hábiles o expandir eventos
+CalendarioService.DIAS_MAXIMOS_BUSQUEDA = 3660;
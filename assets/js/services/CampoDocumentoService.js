@@ -7,6 +7,78 @@ class CampoDocumentoService extends BaseService {
     super('CampoDocumento', 'campos_documentos');
   }
 
+  /**
+   * Crea una entidad desde datos
+   * @param {Object} data - Datos de la entidad
+   * @returns {CampoDocumento} Entidad creada
+   */
+  createEntityFromData(data) {
+    return new CampoDocumento(data);
+  }
+
+  /**
+   * Define las migraciones de esquema de los campos
+   * @returns {Array} Migraciones
+   */
+  getMigrations() {
+    return [
+      {
+        version: 1,
+        descripcion: 'Orden y sección de los campos',
+        // Con el mismo orden los campos quedan en el orden en que se crearon
+        migrate: data => ({
+          ...data,
+          orden: data.orden || 0,
+          seccion: data.seccion || '',
+        }),
+      },
+    ];
+  }
+
+  /**
+   * Valida un item antes de crear
+   * @param {CampoDocumento} campo - Campo a validar
+   * @returns {Object} Resultado de la validación
+   */
+  validateItem(campo) {
+    return campo.validate();
+  }
+
+  /**
+   * Define las relaciones con otras entidades
+   * @returns {Array} Relaciones de la entidad
+   */
+  getRelations() {
+    return [
+      {
+        padre: 'Documento',
+        campo: 'documentoId',
+        onDelete: 'cascade',
+        descripcion: 'Los campos se eliminan con el documento',
+      },
+    ];
+  }
+
+  /**
+   * Define los campos que se indexan para la búsqueda de texto
+   * @returns {Object} Peso de cada campo
+   */
+  getSearchFields() {
+    return {
+      nombreCampo: 3,
+      tipoCampo: 1,
+    };
+  }
+
+  /**
+   * Obtiene un nombre legible del campo
+   * @param {CampoDocumento} campo - Campo
+   * @returns {string} Nombre del campo
+   */
+  getDisplayName(campo) {
+    return campo ? campo.nombreCampo : '';
+  }
+
   /**
    * Crea un nuevo campo de documento
    * @param {Object} campoData - Datos del campo
@@ -18,6 +90,9 @@ class CampoDocumentoService extends BaseService {
 
       // Crear campo desde los datos
       const campo = new CampoDocumento(campoData);
+      if (!campo.orden) {
+        campo.orden = this.getSiguienteOrden(campo.documentoId);
+      }
 
       // Validar el campo
       const validation = campo.validate();
@@ -46,7 +121,7 @@ class CampoDocumentoService extends BaseService {
 
       // Agregar el campo
       this.items.push(campo);
-      await this.saveToStorage();
+      await this.persistItem(campo);
 
       return {
         success: true,
@@ -66,14 +141,18 @@ class CampoDocumentoService extends BaseService {
    * Crea un campo desde el formulario
    * @param {Object} formData - Datos del formulario
    * @param {string} documentoId - ID del documento
+   * @param {Object|null} lote - Lote del diario al que se suma la escritura
    * @returns {Object} Resultado de la operación
    */
-  async createCampoFromForm(formData, documentoId) {
+  async createCampoFromForm(formData, documentoId, lote = null) {
     try {
       this.validateInitialization();
 
       // Crear campo desde los datos del formulario
       const campo = CampoDocumento.fromFormData(formData, documentoId);
+      if (!campo.orden) {
+        campo.orden = this.getSiguienteOrden(documentoId);
+      }
 
       // Validar el campo
       const validation = campo.validateCrearCampo();
@@ -102,7 +181,7 @@ class CampoDocumentoService extends BaseService {
 
       // Agregar el campo
       this.items.push(campo);
-      await this.saveToStorage();
+      await this.persistItem(campo, null, lote);
 
       return {
         success: true,
@@ -120,14 +199,18 @@ class CampoDocumentoService extends BaseService {
 
   /**
    * Obtiene todos los campos de un documento específico
+   * Vienen en el orden del documento, con los de cada sección juntos.
    * @param {string} documentoId - ID del documento
    * @returns {Array} Array de campos del documento
    */
   getCamposByDocumentoId(documentoId) {
     try {
       this.validateInitialization();
-      return this.items.filter(
-        campo => campo.documentoId === documentoId && campo.estado === 'activo'
+      return CampoDocumento.ordenar(
+        this.items.filter(
+          campo =>
+            campo.documentoId === documentoId && campo.estado === 'activo'
+        )
       );
     } catch (error) {
       console.error('❌ Error al obtener campos del documento:', error);
@@ -135,6 +218,16 @@ class CampoDocumentoService extends BaseService {
     }
   }
 
+  /**
+   * Obtiene el orden que le corresponde a un campo nuevo: después de todos
+   * @param {string} documentoId - ID del documento
+   * @returns {number} Orden del campo nuevo
+   */
+  getSiguienteOrden(documentoId) {
+    const campos = this.getCamposByDocumentoId(documentoId);
+    return Math.max(campos.length, ...campos.map(campo => campo.orden)) + 1;
+  }
+
   /**
    * Elimina un campo específico
    * @param {string} campoId - ID del campo
@@ -153,8 +246,28 @@ class CampoDocumentoService extends BaseService {
       }
 
       const campo = this.items[campoIndex];
+      const dependientes = this.getCamposByDocumentoId(
+        campo.documentoId
+      ).filter(
+        otro =>
+          otro.id !== campo.id &&
+          FieldRuleEngine.getDependencies(otro).includes(campo.nombreCampo)
+      );
+      if (dependientes.length > 0) {
+        return {
+          success: false,
+          errors: [
+            `No se puede eliminar el campo "${
+              campo.nombreCampo
+            }" porque lo usan las reglas de: ${dependientes
+              .map(otro => otro.nombreCampo)
+              .join(', ')}`,
+          ],
+        };
+      }
+
       this.items.splice(campoIndex, 1);
-      await this.saveToStorage();
+      await this.removeFromStorage(campo.id);
 
       return {
         success: true,
@@ -178,13 +291,15 @@ class CampoDocumentoService extends BaseService {
     try {
       this.validateInitialization();
 
-      const camposOriginales = this.items.length;
+      const camposEliminados = this.items.filter(
+        campo => campo.documentoId === documentoId
+      );
       this.items = this.items.filter(
         campo => campo.documentoId !== documentoId
       );
 
-      if (this.items.length < camposOriginales) {
-        await this.saveToStorage();
+      if (camposEliminados.length > 0) {
+        await this.removeFromStorage(camposEliminados.map(campo => campo.id));
         return {
           success: true,
           message: `Campos del documento eliminados exitosamente`,
@@ -222,26 +337,38 @@ class CampoDocumentoService extends BaseService {
         };
       }
 
-      // Actualizar campos
+      // Validar el campo con los cambios y las reglas del documento antes de aplicarlos
       const campo = this.items[campoIndex];
+      const cambios = {};
       Object.keys(updateData).forEach(key => {
         if (updateData[key] !== undefined) {
-          campo[key] = updateData[key];
+          cambios[key] = updateData[key];
         }
       });
-
-      campo.updateModificationDate();
-
-      // Validar el campo actualizado
-      const validation = campo.validate();
-      if (!validation.isValid) {
+      // El constructor normaliza la configuración y las reglas con el tipo, que puede haber cambiado
+      const actualizado = new CampoDocumento({ ...campo.toJSON(), ...cambios });
+
+      const validation = actualizado.validate();
+      if (validation.isValid) {
+        validation.errors.push(
+          ...FieldRuleEngine.validateRules(
+            this.getCamposByDocumentoId(campo.documentoId).map(otro =>
+              otro.id === campo.id ? actualizado : otro
+            )
+          ).errors
+        );
+      }
+      if (validation.errors.length > 0) {
         return {
           success: false,
           errors: validation.errors,
         };
       }
 
-      await this.saveToStorage();
+      Object.assign(campo, actualizado.toJSON());
+      campo.updateModificationDate();
+
+      await this.persistItem(campo);
 
       return {
         success: true,
@@ -252,11 +379,118 @@ class CampoDocumentoService extends BaseService {
       console.error('❌ Error al actualizar campo:', error);
       return {
         success: false,
-        errors: ['Error al actualizar el campo'],
+        errors: this.getPersistenceErrors(
+          error,
+          'Error al actualizar el campo'
+        ),
+      };
+    }
+  }
+
+  /**
+   * Deja los campos de un documento como estaban en una versión anterior
+   * Los campos de la versión se actualizan o se vuelven a crear (los que no
+   * traen ID se crean), y los que no estaban en ella se inactivan. Los campos que cambian quedan con la versión
+   * nueva del documento.
+   * @param {string} documentoId - ID del documento
+   * @param {Array} campos - Campos de la versión (CampoDocumento.toJSON())
+   * @param {string} version - Versión nueva del documento
+   * @param {Object|null} lote - Lote del diario al que se suman las escrituras
+   * @returns {Object} Resultado de la operación con el número de campos cambiados
+   */
+  async restaurarCampos(documentoId, campos, version, lote = null) {
+    try {
+      this.validateInitialization();
+
+      const propiedades = [...VersionDocumento.CAMPOS_COMPARADOS, 'estado'];
+      const comparable = campo =>
+        JSON.stringify(propiedades.map(propiedad => campo[propiedad]));
+
+      let cambios = 0;
+      const conservados = [];
+      for (const data of campos) {
+        const restaurado = new CampoDocumento({
+          ...data,
+          documentoId,
+          estado: 'activo',
+        });
+        const actual = this.getById(restaurado.id);
+
+        if (!actual) {
+          // Si el campo está en la papelera se crea otro con los mismos datos
+          if (this.getById(restaurado.id, { includeDeleted: true })) {
+            restaurado.id = restaurado.generateId();
+          }
+          restaurado.version = version;
+          restaurado.updateModificationDate();
+          this.items.push(restaurado);
+          await this.persistItem(restaurado, null, lote);
+          cambios++;
+        } else if (comparable(actual) !== comparable(restaurado)) {
+          propiedades.forEach(propiedad => {
+            actual[propiedad] = restaurado[propiedad];
+          });
+          actual.version = version;
+          actual.updateModificationDate();
+          await this.persistItem(actual, null, lote);
+          cambios++;
+        }
+        conservados.push(restaurado.id);
+      }
+
+      for (const campo of this.getCamposByDocumentoId(documentoId)) {
+        if (!conservados.includes(campo.id)) {
+          campo.estado = 'inactivo';
+          campo.version = version;
+          campo.updateModificationDate();
+          await this.persistItem(campo, null, lote);
+          cambios++;
+        }
+      }
+
+      return {
+        success: true,
+        cambios,
+        message: `${cambios} campo(s) restaurado(s)`,
+      };
+    } catch (error) {
+      console.error('❌ Error al restaurar los campos del documento:', error);
+      return {
+        success: false,
+        errors: this.getPersistenceErrors(
+          error,
+          'Error al restaurar los campos del documento'
+        ),
       };
     }
   }
 
+  /**
+   * Evalúa las reglas de los campos de un documento con unos valores
+   * @param {string} documentoId - ID del documento
+   * @param {Object} valores - Valores por nombre de campo
+   * @returns {Object} { [nombreCampo]: { visible, obligatorio } }
+   */
+  evaluarReglas(documentoId, valores = {}) {
+    return FieldRuleEngine.evaluate(
+      this.getCamposByDocumentoId(documentoId),
+      valores
+    );
+  }
+
+  /**
+   * Valida los valores de un documento aplicando las reglas de sus campos
+   * @param {string} documentoId - ID del documento
+   * @param {Object} valores - Valores por nombre de campo
+   * @returns {Object} { isValid, errors, erroresPorCampo, estados }
+   */
+  validarValores(documentoId, valores = {}) {
+    return FieldRuleEngine.validateValues(
+      this.getCamposByDocumentoId(documentoId),
+      valores
+    );
+  }
+
   /**
    * Obtiene estadísticas de campos por documento
    * @returns {Object} Estadísticas
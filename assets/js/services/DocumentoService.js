@@ -23,6 +23,95 @@ class DocumentoService extends BaseService {
     return new Documento(data);
   }
 
+  /**
+   * Define los campos que se guardan cifrados
+   * El responsable de validación y las observaciones son datos personales.
+   * @returns {Array<string>} Campos sensibles
+   */
+  getSensitiveFields() {
+    return ['responsableValidacion', 'observaciones'];
+  }
+
+  /**
+   * Define las migraciones de esquema de los documentos
+   * @returns {Array} Migraciones
+   */
+  getMigrations() {
+    return [
+      {
+        version: 1,
+        descripcion: 'Campos del formulario "Crear Documento"',
+        migrate: data => ({
+          ...data,
+          nombreDocumento: data.nombreDocumento || '',
+          descripcionDocumento: data.descripcionDocumento || '',
+          tipoFormatoEsperado: data.tipoFormatoEsperado || '',
+          tamanoMaximoPermitido: data.tamanoMaximoPermitido || '',
+          obligatoriedad: data.obligatoriedad || 'No',
+          requiereAprobacion: data.requiereAprobacion || 'No',
+          // Las ediciones anteriores guardaban la vigencia como texto
+          vigenciaEnDias: parseInt(data.vigenciaEnDias) || 0,
+          permitePlazosAmpliados: data.permitePlazosAmpliados || 'No',
+        }),
+      },
+      {
+        version: 2,
+        descripcion: 'Cadena de aprobación por etapas',
+        migrate: data => ({
+          ...data,
+          cadenaAprobacion: data.cadenaAprobacion || [],
+        }),
+      },
+      {
+        version: 3,
+        descripcion: 'Plantilla de la que se creó el documento',
+        migrate: data => ({
+          ...data,
+          plantillaId: data.plantillaId || '',
+          plantillaVersion: data.plantillaVersion || 0,
+        }),
+      },
+    ];
+  }
+
+  /**
+   * Define las relaciones con otras entidades
+   * @returns {Array} Relaciones de la entidad
+   */
+  getRelations() {
+    return [
+      {
+        padre: 'Tramite',
+        campo: 'tramiteId',
+        onDelete: 'cascade',
+        descripcion: 'Los documentos propios de un trámite se eliminan con él',
+      },
+      {
+        padre: 'PlantillaDocumento',
+        campo: 'plantillaId',
+        onDelete: 'nullify',
+        descripcion:
+          'Los documentos de una plantilla eliminada dejan de estar ligados a ella',
+      },
+    ];
+  }
+
+  /**
+   * Define los campos que se indexan para la búsqueda de texto
+   * @returns {Object} Peso de cada campo
+   */
+  getSearchFields() {
+    return {
+      nombreDocumento: 3,
+      tipoDocumental: 2,
+      tags: 2,
+      descripcionDocumento: 1,
+      areaSolicitante: 1,
+      responsableValidacion: 1,
+      observaciones: 1,
+    };
+  }
+
   /**
    * Valida un item antes de crear
    * @param {Documento} documento - Documento a validar
@@ -82,14 +171,30 @@ class DocumentoService extends BaseService {
     return { isValid: true, errors: [] };
   }
 
+  /**
+   * Calcula la fecha de vencimiento de un documento entregado en una fecha
+   * @param {Documento} documento - Documento con su vigencia en días hábiles
+   * @param {Date|string} fechaEntrega - Fecha de entrega (por defecto hoy)
+   * @param {string} sede - Código de la sede cuyos días no hábiles se aplican
+   * @returns {string|null} Fecha de vencimiento (YYYY-MM-DD) o null si no tiene vigencia
+   */
+  getFechaVencimiento(documento, fechaEntrega = new Date(), sede = '') {
+    return documento.calcularFechaVencimiento(
+      fechaEntrega,
+      this.getCalendario(),
+      sede
+    );
+  }
+
   /**
    * Obtiene documentos por trámite
    * @param {string} tramiteId - ID del trámite
+   * @param {Object} options - Opciones de consulta ({ includeDeleted })
    * @returns {Array} Array de documentos del trámite
    */
-  getByTramiteId(tramiteId) {
+  getByTramiteId(tramiteId, options = {}) {
     this.validateInitialization();
-    return this.items.filter(doc => doc.tramiteId === tramiteId);
+    return this.getItems(options).filter(doc => doc.tramiteId === tramiteId);
   }
 
   /**
@@ -219,27 +324,40 @@ class DocumentoService extends BaseService {
     return responsables.sort();
   }
 
+  /**
+   * Obtiene los roles y áreas conocidos para asignar etapas de aprobación
+   * Incluye los responsables de validación, las áreas solicitantes y los ya
+   * usados en las cadenas de aprobación.
+   * @returns {Array<string>} Roles y áreas ordenados alfabéticamente
+   */
+  getAsignacionesAprobacion() {
+    this.validateInitialization();
+    const asignaciones = new Set();
+    this.items.forEach(doc => {
+      [
+        doc.responsableValidacion,
+        doc.areaSolicitante,
+        ...doc.cadenaAprobacion.flatMap(etapa => [
+          etapa.asignadoA,
+          etapa.escalarA,
+        ]),
+      ]
+        .filter(Boolean)
+        .forEach(asignacion => asignaciones.add(asignacion));
+    });
+    return Array.from(asignaciones).sort((a, b) => a.localeCompare(b));
+  }
+
   /**
    * Busca documentos por texto
    * @param {string} searchText - Texto a buscar
    * @returns {Array} Array de documentos que coinciden
    */
   searchByText(searchText) {
-    this.validateInitialization();
     if (!searchText || searchText.trim() === '') {
       return this.getAll();
     }
-
-    const searchLower = searchText.toLowerCase();
-    return this.items.filter(doc => {
-      return (
-        doc.tipoDocumental.toLowerCase().includes(searchLower) ||
-        doc.areaSolicitante.toLowerCase().includes(searchLower) ||
-        doc.responsableValidacion.toLowerCase().includes(searchLower) ||
-        doc.observaciones.toLowerCase().includes(searchLower) ||
-        doc.tags.some(tag => tag.toLowerCase().includes(searchLower))
-      );
-    });
+    return this.searchText(searchText);
   }
 
   /**
@@ -294,9 +412,9 @@ class DocumentoService extends BaseService {
    * Genera datos de ejemplo
    * @param {number} count - Número de documentos a generar
    * @param {string} tramiteId - ID del trámite
-   * @returns {Object} Resultado de la operación
+   * @returns {Promise<Object>} Resultado de la operación
    */
-  generateSampleData(count = 3, tramiteId) {
+  async generateSampleData(count = 3, tramiteId) {
     try {
       this.validateInitialization();
 
@@ -363,8 +481,9 @@ class DocumentoService extends BaseService {
         sampleDocumentos.push(documento);
       }
 
+      // Solo quedan en memoria si se guardaron
+      await this.persistItems(sampleDocumentos);
       this.items = [...this.items, ...sampleDocumentos];
-      this.saveToStorage();
 
       return {
         success: true,
@@ -376,7 +495,10 @@ class DocumentoService extends BaseService {
       console.error('❌ Error al generar documentos de ejemplo:', error);
       return {
         success: false,
-        errors: ['Error al generar documentos de ejemplo'],
+        errors: this.getPersistenceErrors(
+          error,
+          'Error al generar documentos de ejemplo'
+        ),
       };
     }
   }
@@ -423,7 +545,7 @@ class DocumentoService extends BaseService {
       }
 
       this.items = [...this.items, ...importedDocumentos];
-      await this.saveToStorage();
+      await this.persistItems(importedDocumentos);
 
       return {
         success: true,
@@ -452,7 +574,11 @@ class DocumentoService extends BaseService {
       this.items = this.items.filter(doc => doc.tramiteId !== tramiteId);
 
       const removedCount = documentosOriginales.length - this.items.length;
-      await this.saveToStorage();
+      await this.removeFromStorage(
+        documentosOriginales
+          .filter(doc => doc.tramiteId === tramiteId)
+          .map(doc => doc.id)
+      );
 
       return {
         success: true,
@@ -472,18 +598,22 @@ class DocumentoService extends BaseService {
    * Crea un documento desde el formulario "Crear Documento"
    * @param {Object} formData - Datos del formulario
    * @param {Array} camposDocumento - Campos personalizados del documento
+   * @param {Object|null} lote - Lote del diario al que se suman las escrituras
    * @returns {Object} Resultado de la operación
    */
-  async createDocumentoFromForm(formData, camposDocumento = []) {
+  async createDocumentoFromForm(formData, camposDocumento = [], lote = null) {
     try {
       this.validateInitialization();
 
       // Crear documento desde los datos del formulario
       const documento = Documento.fromCrearDocumentoFormData(formData);
 
-      // Validar el documento
+      // Validar el documento y las reglas entre sus campos
       const validation = documento.validateCrearDocumento();
-      if (!validation.isValid) {
+      validation.errors.push(
+        ...FieldRuleEngine.validateRules(camposDocumento).errors
+      );
+      if (validation.errors.length > 0) {
         return {
           success: false,
           errors: validation.errors,
@@ -504,14 +634,34 @@ class DocumentoService extends BaseService {
         };
       }
 
-      // Agregar el documento
-      this.items.push(documento);
-      await this.saveToStorage();
+      // El documento, sus campos y la versión inicial se deshacen juntos
+      await this.getJournal().runBatch(
+        `Crear documento "${documento.nombreDocumento}"`,
+        async loteCreacion => {
+          // Solo queda en memoria si se guardó
+          await this.persistItem(documento, null, loteCreacion);
+          this.items.push(documento);
+
+          // Guardar campos del documento si existen
+          if (camposDocumento && camposDocumento.length > 0) {
+            await this.guardarCamposDocumento(
+              documento.id,
+              camposDocumento,
+              loteCreacion
+            );
+          }
 
-      // Guardar campos del documento si existen
-      if (camposDocumento && camposDocumento.length > 0) {
-        await this.guardarCamposDocumento(documento.id, camposDocumento);
-      }
+          await this.registrarVersion(
+            documento,
+            {
+              autor: formData.autor,
+              nota: 'Versión inicial',
+            },
+            loteCreacion
+          );
+        },
+        lote
+      );
 
       return {
         success: true,
@@ -522,18 +672,340 @@ class DocumentoService extends BaseService {
       console.error('❌ Error al crear documento desde formulario:', error);
       return {
         success: false,
-        errors: ['Error al crear el documento'],
+        errors: this.getPersistenceErrors(error, 'Error al crear el documento'),
+      };
+    }
+  }
+
+  /**
+   * Actualiza un documento desde el formulario "Editar Documento"
+   * Cada cambio guardado queda como una versión nueva del documento. Si se
+   * envían los campos, reemplazan los del documento en el orden recibido.
+   * @param {string} documentoId - ID del documento
+   * @param {Object} formData - Datos del formulario
+   * @param {Object} revision - { autor, nota, campos } de la versión
+   * @returns {Object} Resultado de la operación
+   */
+  async updateDocumentoFromForm(documentoId, formData, revision = {}) {
+    try {
+      this.validateInitialization();
+
+      const documento = this.getById(documentoId);
+      if (!documento) {
+        return {
+          success: false,
+          errors: ['Documento no encontrado'],
+        };
+      }
+
+      const datos = {
+        ...formData,
+        vigenciaEnDias: parseInt(formData.vigenciaEnDias) || 0,
+      };
+
+      // Validar el documento con los nuevos datos
+      const validation = new Documento({
+        ...documento.toJSON(),
+        ...datos,
+      }).validateCrearDocumento();
+      if (!validation.isValid) {
+        return {
+          success: false,
+          errors: validation.errors,
+        };
+      }
+
+      // Verificar duplicados por nombre
+      const existingDocumento = this.items.find(
+        doc =>
+          doc.id !== documentoId &&
+          doc.nombreDocumento === datos.nombreDocumento
+      );
+
+      if (existingDocumento) {
+        return {
+          success: false,
+          errors: [
+            `Ya existe un documento con el nombre "${datos.nombreDocumento}"`,
+          ],
+        };
+      }
+
+      const campos = revision.campos
+        ? this.prepararCamposFormulario(documentoId, revision.campos)
+        : null;
+      if (campos && campos.errors.length > 0) {
+        return {
+          success: false,
+          errors: campos.errors,
+        };
+      }
+
+      await this.guardarRevision(documento, datos, {
+        ...revision,
+        campos: campos ? campos.campos : null,
+      });
+
+      return {
+        success: true,
+        item: documento,
+        message: `Documento "${documento.nombreDocumento}" actualizado exitosamente (versión ${documento.version})`,
+      };
+    } catch (error) {
+      console.error(
+        '❌ Error al actualizar documento desde formulario:',
+        error
+      );
+      return {
+        success: false,
+        errors: this.getPersistenceErrors(
+          error,
+          'Error al actualizar el documento'
+        ),
       };
     }
   }
 
+  /**
+   * Prepara los campos del formulario "Editar Documento" para guardarlos
+   * Cada campo recibe su posición en la lista; los que no existen en el
+   * documento (agregados en el formulario) se guardan con un ID nuevo.
+   * @param {string} documentoId - ID del documento
+   * @param {Array<Object>} campos - Campos en el orden del formulario
+   * @returns {Object} { campos, errors }
+   */
+  prepararCamposFormulario(documentoId, campos) {
+    const campoService = this.getCampoService();
+    const existentes = campoService
+      ? campoService.getCamposByDocumentoId(documentoId).map(campo => campo.id)
+      : [];
+
+    const preparados = campos.map((campo, index) => ({
+      ...campo,
+      id: existentes.includes(campo.id) ? campo.id : undefined,
+      documentoId,
+      orden: index + 1,
+    }));
+
+    const errors = [];
+    const nombres = new Set();
+    preparados.forEach(campo => {
+      const nombre = (campo.nombreCampo || '').trim().toLowerCase();
+      if (nombres.has(nombre)) {
+        errors.push(`El campo "${campo.nombreCampo}" está repetido`);
+      }
+      nombres.add(nombre);
+      new CampoDocumento(campo)
+        .validateCrearCampo()
+        .errors.forEach(error =>
+          errors.push(`${campo.nombreCampo || 'Campo'}: ${error}`)
+        );
+    });
+    errors.push(
+      ...FieldRuleEngine.validateRules(
+        preparados.map(campo => new CampoDocumento(campo))
+      ).errors
+    );
+
+    return { campos: preparados, errors };
+  }
+
+  /**
+   * Restaura un documento y sus campos a una versión anterior
+   * La versión restaurada no reemplaza a las posteriores: se guarda como una
+   * versión nueva con los datos de la anterior.
+   * @param {string} documentoId - ID del documento
+   * @param {number|string} version - Versión a restaurar
+   * @param {Object} revision - { autor, nota } de la versión nueva
+   * @returns {Object} Resultado de la operación
+   */
+  async restaurarVersion(documentoId, version, revision = {}) {
+    try {
+      this.validateInitialization();
+
+      const documento = this.getById(documentoId);
+      const versiones =
+        this.getRelationRegistry().getService('VersionDocumento');
+      const anterior = versiones
+        ? versiones.getVersion(documentoId, version)
+        : null;
+      if (!documento || !anterior) {
+        return {
+          success: false,
+          errors: ['La versión que se quiere restaurar no existe'],
+        };
+      }
+
+      const datos = {};
+      VersionDocumento.DATOS_COMPARADOS.forEach(campo => {
+        if (anterior.datos[campo] !== undefined) {
+          datos[campo] = anterior.datos[campo];
+        }
+      });
+
+      const validation = new Documento({
+        ...documento.toJSON(),
+        ...datos,
+      }).validateCrearDocumento();
+      validation.errors.push(
+        ...FieldRuleEngine.validateRules(anterior.getCampos()).errors
+      );
+      if (validation.errors.length > 0) {
+        return { success: false, errors: validation.errors };
+      }
+
+      const existingDocumento = this.items.find(
+        doc =>
+          doc.id !== documentoId &&
+          doc.nombreDocumento === datos.nombreDocumento
+      );
+      if (existingDocumento) {
+        return {
+          success: false,
+          errors: [
+            `Ya existe un documento con el nombre "${datos.nombreDocumento}"`,
+          ],
+        };
+      }
+
+      await this.guardarRevision(documento, datos, {
+        autor: revision.autor,
+        nota:
+          revision.nota || `Restaurada la versión ${anterior.getVersionText()}`,
+        campos: anterior.campos,
+      });
+
+      return {
+        success: true,
+        item: documento,
+        message: `Documento "${
+          documento.nombreDocumento
+        }" restaurado a la versión ${anterior.getVersionText()} (versión ${
+          documento.version
+        })`,
+      };
+    } catch (error) {
+      console.error('❌ Error al restaurar la versión del documento:', error);
+      return {
+        success: false,
+        errors: this.getPersistenceErrors(
+          error,
+          'Error al restaurar la versión del documento'
+        ),
+      };
+    }
+  }
+
+  /**
+   * Guarda un cambio del documento como una versión nueva
+   * El documento, sus campos y la versión se guardan en un solo lote, así que
+   * deshacer el cambio los revierte juntos. Los documentos que no tienen
+   * historial registran primero su estado anterior como versión base.
+   * @param {Documento} documento - Documento a modificar
+   * @param {Object} datos - Datos nuevos del documento
+   * @param {Object} revision - { autor, nota, campos } campos son los de una versión a restaurar
+   * @param {Object|null} lote - Lote del diario al que se suma la versión
+   */
+  async guardarRevision(
+    documento,
+    datos,
+    { autor = 'Usuario', nota = '', campos = null } = {},
+    lote = null
+  ) {
+    const versiones = this.getRelationRegistry().getService('VersionDocumento');
+    if (!versiones) {
+      documento.update(datos);
+      await this.persistItem(documento, null, lote);
+      return;
+    }
+
+    await this.getJournal().runBatch(
+      `Versión nueva de "${documento.nombreDocumento}"`,
+      async loteRevision => {
+        let ultima = versiones.getUltima(documento.id);
+        if (!ultima) {
+          await this.registrarVersion(
+            documento,
+            {
+              autor: 'Sistema',
+              nota: 'Versión anterior al historial de versiones',
+            },
+            loteRevision
+          );
+          ultima = versiones.getUltima(documento.id);
+        }
+
+        const numero =
+          Math.max(
+            ultima ? ultima.numero : 0,
+            VersionDocumento.toNumero(documento.version)
+          ) + 1;
+        documento.update({
+          ...datos,
+          version: VersionDocumento.toVersionText(numero),
+        });
+        await this.persistItem(documento, null, loteRevision);
+
+        if (campos) {
+          const resultado = await this.getCampoService().restaurarCampos(
+            documento.id,
+            campos,
+            documento.version,
+            loteRevision
+          );
+          if (!resultado.success) {
+            throw new Error(resultado.errors.join(', '));
+          }
+        }
+
+        await this.registrarVersion(documento, { autor, nota }, loteRevision);
+      },
+      lote
+    );
+  }
+
+  /**
+   * Registra el estado actual del documento y sus campos como versión
+   * @param {Documento} documento - Documento guardado
+   * @param {Object} revision - { autor, nota }
+   * @param {Object|null} lote - Lote del diario al que se suma la versión
+   */
+  async registrarVersion(documento, revision, lote = null) {
+    const versiones = this.getRelationRegistry().getService('VersionDocumento');
+    if (!versiones) return;
+
+    const campoService = this.getCampoService();
+    const result = await versiones.registrar(
+      documento,
+      campoService ? campoService.getCamposByDocumentoId(documento.id) : [],
+      revision,
+      lote
+    );
+    if (!result.success) {
+      throw new Error(result.errors.join(', '));
+    }
+  }
+
+  /**
+   * Obtiene el servicio de campos de documentos
+   * @returns {CampoDocumentoService|null} Servicio o null si no está disponible
+   */
+  getCampoService() {
+    return (
+      this.getRelationRegistry().getService('CampoDocumento') ||
+      window.campoDocumentoService ||
+      null
+    );
+  }
+
   /**
    * Guarda los campos personalizados de un documento
    * @param {string} documentoId - ID del documento
    * @param {Array} camposDocumento - Array de campos del documento
+   * @param {Object|null} lote - Lote del diario al que se suman los campos
    * @returns {Promise<Object>} Resultado de la operación
    */
-  async guardarCamposDocumento(documentoId, camposDocumento) {
+  async guardarCamposDocumento(documentoId, camposDocumento, lote = null) {
     try {
       // Obtener o crear el servicio de campos de documentos
       if (!window.campoDocumentoService) {
@@ -541,17 +1013,31 @@ class DocumentoService extends BaseService {
         await window.campoDocumentoService.initialize();
       }
 
+      // Las reglas pueden referirse a cualquier campo del documento
+      const validacionReglas = FieldRuleEngine.validateRules([
+        ...window.campoDocumentoService.getCamposByDocumentoId(documentoId),
+        ...camposDocumento,
+      ]);
+      if (!validacionReglas.isValid) {
+        return { success: false, errors: validacionReglas.errors };
+      }
+
       // Guardar cada campo
       for (const campoData of camposDocumento) {
         const campoFormData = {
           nombreCampo: campoData.nombreCampo,
           tipoCampo: campoData.tipoCampo,
           obligatorio: campoData.obligatorio,
+          configuracion: campoData.configuracion,
+          reglas: campoData.reglas,
+          seccion: campoData.seccion,
+          version: this.getById(documentoId)?.version,
         };
 
         const result = await window.campoDocumentoService.createCampoFromForm(
           campoFormData,
-          documentoId
+          documentoId,
+          lote
         );
 
         if (!result.success) {
@@ -0,0 +1,280 @@
+/**
+ * Programador de cambios automáticos de estado
+ * Calcula el estado que corresponde a cada trámite y habilitación según sus
+ * fechas (sin_fechas → pendiente → activo → inactivo → subsanación →
+ * finalizado) y registra en el historial los cambios que falten, con
+ * tipoCambio 'sistema'. Se ejecuta al iniciar la aplicación y cada cierto
+ * tiempo; ejecutar({ dryRun: true }) solo informa lo que cambiaría.
+ * En cada ejecución corren además las tareas agregadas con agregarTarea().
+ *
+ * Un cambio manual se respeta mientras las fechas sigan en la misma fase en
+ * que se hizo; cuando pasan a otra fase el programador vuelve a decidir.
+ */
+class EstadoScheduler {
+  constructor(
+    estadoService,
+    tramiteService,
+    habilitarTramiteService,
+    eventManager = null
+  ) {
+    this.estadoService = estadoService;
+    this.tramiteService = tramiteService;
+    this.habilitarTramiteService = habilitarTramiteService;
+    this.eventManager = eventManager;
+    this.timer = null;
+    this.ejecucion = null;
+    this.tareas = [];
+  }
+
+  /**
+   * Agrega una tarea que corre en cada ejecución, después de los estados
+   * @param {Function} tarea - () => Promise
+   */
+  agregarTarea(tarea) {
+    this.tareas.push(tarea);
+  }
+
+  /**
+   * Obtiene los registros cuyo estado depende de sus fechas
+   * Las habilitaciones inactivas se omiten: fueron deshabilitadas a mano.
+   * @returns {Array} [{ entidad, etiqueta, service, registro, tramiteId, habilitacionId }]
+   */
+  getRegistros() {
+    const tramites = this.tramiteService.getAll().map(tramite => ({
+      entidad: 'tramite',
+      etiqueta: 'Trámite',
+      service: this.tramiteService,
+      registro: tramite,
+      tramiteId: tramite.id,
+      habilitacionId: '',
+    }));
+
+    const habilitaciones = this.habilitarTramiteService
+      ? this.habilitarTramiteService
+          .getAll()
+          .filter(habilitacion => habilitacion.estado !== 'Inactivo')
+          .map(habilitacion => ({
+            entidad: 'habilitarTramite',
+            etiqueta: 'Habilitación',
+            service: this.habilitarTramiteService,
+            registro: habilitacion,
+            tramiteId: habilitacion.tramiteId,
+            habilitacionId: habilitacion.id,
+          }))
+      : [];
+
+    return [...tramites, ...habilitaciones];
+  }
+
+  /**
+   * Calcula los cambios de estado pendientes
+   * @param {Date} fecha - Fecha a evaluar (por defecto ahora)
+   * @returns {Array} [{ entidad, etiqueta, nombre, tramiteId, habilitacionId, estadoActual, estadoCalculado, pasos, errors }]
+   */
+  calcularCambios(fecha = new Date()) {
+    const maquina = this.estadoService.getStateMachine();
+    const cambios = [];
+
+    this.getRegistros().forEach(
+      ({ entidad, etiqueta, service, registro, tramiteId, habilitacionId }) => {
+        const estadoCalculado = registro.getEstadoPorFechas(fecha);
+        const actual = this.estadoService.getEstadoActual(
+          tramiteId,
+          habilitacionId
+        );
+        const estadoActual = actual ? actual.estado : null;
+
+        if (estadoActual === estadoCalculado) return;
+        if (
+          actual &&
+          actual.isManual() &&
+          registro.getEstadoPorFechas(new Date(actual.fechaCambio)) ===
+            estadoCalculado
+        ) {
+          return;
+        }
+
+        const contexto = {
+          registro,
+          fecha,
+          motivo: EstadoScheduler.MOTIVO,
+          maquina,
+        };
+        const pasos = maquina.findPath(estadoActual, estadoCalculado, contexto);
+        let errors = [];
+        if (!pasos) {
+          const validacion = maquina.validate(
+            estadoActual,
+            estadoCalculado,
+            contexto
+          );
+          errors = validacion.isValid
+            ? [
+                `No hay una secuencia de cambios permitida de "${maquina.getEtiqueta(
+                  estadoActual
+                )}" a "${maquina.getEtiqueta(estadoCalculado)}"`,
+              ]
+            : validacion.errors;
+        }
+
+        cambios.push({
+          entidad,
+          etiqueta,
+          nombre: service.getDisplayName(registro),
+          tramiteId,
+          habilitacionId,
+          estadoActual,
+          estadoCalculado,
+          pasos: pasos || [],
+          errors,
+        });
+      }
+    );
+
+    return cambios;
+  }
+
+  /**
+   * Aplica los cambios de estado pendientes
+   * Todos los cambios de una ejecución se deshacen en un solo paso.
+   * @param {Object} options - { dryRun } para solo calcular sin guardar
+   * @returns {Promise<Object>} { success, cambios, aplicados, errors, message }
+   */
+  async ejecutar(options = {}) {
+    if (options.dryRun) {
+      const cambios = this.calcularCambios();
+      const aplicables = cambios.filter(cambio => cambio.errors.length === 0);
+      return {
+        success: true,
+        dryRun: true,
+        cambios,
+        aplicados: 0,
+        errors: [],
+        message:
+          aplicables.length > 0
+            ? `${aplicables.length} estados se actualizarían por sus fechas`
+            : 'Los estados ya están al día',
+      };
+    }
+
+    // Una ejecución periódica y otra manual no deben pisarse
+    if (!this.ejecucion) {
+      this.ejecucion = this.aplicarCambios()
+        .then(async resultado => {
+          await this.ejecutarTareas();
+          return resultado;
+        })
+        .finally(() => {
+          this.ejecucion = null;
+        });
+    }
+    return this.ejecucion;
+  }
+
+  /**
+   * Ejecuta las tareas agregadas, una después de otra
+   * El fallo de una tarea no impide las siguientes.
+   */
+  async ejecutarTareas() {
+    for (const tarea of this.tareas) {
+      try {
+        await tarea();
+      } catch (error) {
+        console.error('❌ Error en una tarea del programador:', error);
+      }
+    }
+  }
+
+  /**
+   * Registra en el historial los cambios calculados
+   * @returns {Promise<Object>} Resultado de la ejecución
+   */
+  async aplicarCambios() {
+    try {
+      let cambios = [];
+      const errors = [];
+      let aplicados = 0;
+
+      // Se calcula ya dentro del lote: si había otro lote en curso (p. ej. una
+      // copia de periodo), se parte de lo que dejó guardado
+      await this.estadoService.getJournal().runUnrecorded(async lote => {
+        cambios = this.calcularCambios();
+        const aplicables = cambios.filter(cambio => cambio.errors.length === 0);
+        for (const cambio of aplicables) {
+          let completo = true;
+          for (const paso of cambio.pasos) {
+            const result = await this.estadoService.registrarCambioSistema(
+              cambio.tramiteId,
+              paso,
+              EstadoScheduler.MOTIVO,
+              {
+                habilitacionId: cambio.habilitacionId,
+                razonCambio: `Estado calculado por fechas: ${cambio.estadoCalculado}`,
+              },
+              lote
+            );
+            if (!result.success) {
+              errors.push(`${cambio.nombre}: ${result.errors.join(', ')}`);
+              completo = false;
+              break;
+            }
+          }
+          if (completo) aplicados++;
+        }
+      });
+
+      const resultado = {
+        success: errors.length === 0,
+        dryRun: false,
+        cambios,
+        aplicados,
+        errors,
+        message:
+          aplicados > 0
+            ? `${aplicados} estados actualizados automáticamente por sus fechas`
+            : 'Los estados ya están al día',
+      };
+
+      if (this.eventManager && (aplicados > 0 || errors.length > 0)) {
+        this.eventManager.emit('estado:programador', resultado);
+      }
+      return resultado;
+    } catch (error) {
+      console.error(
+        '❌ Error en la actualización automática de estados:',
+        error
+      );
+      return {
+        success: false,
+        errors: ['Error en la actualización automática de estados'],
+      };
+    }
+  }
+
+  /**
+   * Ejecuta el programador ahora y luego de forma periódica
+   * @param {number} intervalo - Milisegundos entre ejecuciones
+   * @returns {Promise<Object>} Resultado de la primera ejecución
+   */
+  async start(intervalo = EstadoScheduler.INTERVALO_MS) {
+    this.stop();
+    this.timer = setInterval(() => this.ejecutar(), intervalo);
+    return this.ejecutar();
+  }
+
+  /**
+   * Detiene las ejecuciones periódicas
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Tiempo entre ejecuciones periódicas (ms)
+EstadoScheduler.INTERVALO_MS = 60 * 60 * 1000;
+
+// Motivo con el que se registran los cambios automáticos
+EstadoScheduler.MOTIVO = 'Cambio automático por fechas';
@@ -5,6 +5,7 @@
 class EstadoService extends BaseService {
   constructor() {
     super('Estado', 'estados_tramites');
+    this.stateMachine = null;
   }
 
   /**
@@ -23,6 +24,129 @@ class EstadoService extends BaseService {
     return new Estado(data);
   }
 
+  /**
+   * Define los campos que se guardan cifrados
+   * Quién hizo cada cambio y sus observaciones.
+   * @returns {Array<string>} Campos sensibles
+   */
+  getSensitiveFields() {
+    return ['usuario', 'observaciones'];
+  }
+
+  /**
+   * Define las relaciones con otras entidades
+   * @returns {Array} Relaciones de la entidad
+   */
+  getRelations() {
+    return [
+      {
+        padre: 'Tramite',
+        campo: 'tramiteId',
+        onDelete: 'cascade',
+        descripcion: 'El historial de estados se elimina con el trámite',
+      },
+      {
+        padre: 'HabilitarTramite',
+        campo: 'habilitacionId',
+        onDelete: 'cascade',
+        descripcion:
+          'El historial de estados de una habilitación se elimina con ella',
+      },
+    ];
+  }
+
+  /**
+   * Asigna la máquina de estados que decide qué cambios se permiten
+   * @param {StateMachine} stateMachine - Máquina a usar
+   */
+  setStateMachine(stateMachine) {
+    this.stateMachine = stateMachine;
+  }
+
+  /**
+   * Obtiene la máquina de estados, usando la del modelo si no fue asignada
+   * @returns {StateMachine} Máquina de estados
+   */
+  getStateMachine() {
+    if (!this.stateMachine) {
+      this.stateMachine = Estado.getStateMachine();
+    }
+    return this.stateMachine;
+  }
+
+  /**
+   * Obtiene el trámite o la habilitación a la que pertenece un estado
+   * @param {string} tramiteId - ID del trámite
+   * @param {string} habilitacionId - ID de la habilitación (vacío para el trámite)
+   * @returns {Tramite|HabilitarTramite|null} Registro o null si no está disponible
+   */
+  getRegistro(tramiteId, habilitacionId = '') {
+    const registry = this.getRelationRegistry();
+    const service = registry.getService(
+      habilitacionId ? 'HabilitarTramite' : 'Tramite'
+    );
+    return service ? service.getById(habilitacionId || tramiteId) : null;
+  }
+
+  /**
+   * Obtiene el contexto con el que se evalúan las guardas de un cambio
+   * @param {string} tramiteId - ID del trámite
+   * @param {string} motivo - Motivo del cambio
+   * @param {string} habilitacionId - ID de la habilitación (vacío para el trámite)
+   * @returns {Object} Contexto del cambio
+   */
+  getContextoTransicion(tramiteId, motivo = '', habilitacionId = '') {
+    return {
+      registro: this.getRegistro(tramiteId, habilitacionId),
+      fecha: new Date(),
+      motivo,
+      maquina: this.getStateMachine(),
+    };
+  }
+
+  /**
+   * Valida el cambio del estado actual de un trámite a un nuevo estado
+   * @param {string} tramiteId - ID del trámite
+   * @param {string} nuevoEstado - Estado destino
+   * @param {string} motivo - Motivo del cambio
+   * @param {string} habilitacionId - ID de la habilitación (vacío para el trámite)
+   * @returns {Object} Objeto con isValid (boolean) y errors (array)
+   */
+  validarTransicion(tramiteId, nuevoEstado, motivo = '', habilitacionId = '') {
+    const estadoActual = this.getEstadoActual(tramiteId, habilitacionId);
+    return this.getStateMachine().validate(
+      estadoActual ? estadoActual.estado : null,
+      nuevoEstado,
+      this.getContextoTransicion(tramiteId, motivo, habilitacionId)
+    );
+  }
+
+  /**
+   * Obtiene los estados a los que puede pasar un trámite ahora
+   * @param {string} tramiteId - ID del trámite
+   * @param {string} habilitacionId - ID de la habilitación (vacío para el trámite)
+   * @returns {Array<string>} Estados destino permitidos
+   */
+  getTransicionesPermitidas(tramiteId, habilitacionId = '') {
+    const estadoActual = this.getEstadoActual(tramiteId, habilitacionId);
+    return this.getStateMachine().getDestinos(
+      estadoActual ? estadoActual.estado : null,
+      this.getContextoTransicion(tramiteId, '', habilitacionId)
+    );
+  }
+
+  /**
+   * Obtiene un nombre legible del estado
+   * @param {Estado} estado - Estado
+   * @returns {string} Nombre del estado
+   */
+  getDisplayName(estado) {
+    if (!estado) return '';
+    return `${estado.estado} (${new Date(estado.fechaCambio).toLocaleDateString(
+      'es-ES'
+    )})`;
+  }
+
   /**
    * Valida un item antes de crear
    * @param {Estado} estado - Estado a validar
@@ -38,16 +162,17 @@ class EstadoService extends BaseService {
    * @returns {Object} Resultado de la verificación
    */
   checkForDuplicates(estado) {
-    // Solo puede haber un estado activo por trámite
-    const existingEstado = this.items.find(
-      e => e.tramiteId === estado.tramiteId && e.estado === estado.estado
+    // Un nuevo registro del historial no puede repetir el estado actual
+    const estadoActual = this.getEstadoActual(
+      estado.tramiteId,
+      estado.habilitacionId
     );
 
-    if (existingEstado) {
+    if (estadoActual && estadoActual.estado === estado.estado) {
       return {
         isValid: false,
         errors: [
-          `Ya existe un estado "${estado.estado}" para el trámite ${estado.tramiteId}`,
+          `El estado actual del trámite ${estado.tramiteId} ya es "${estado.estado}"`,
         ],
       };
     }
@@ -62,55 +187,94 @@ class EstadoService extends BaseService {
    * @returns {Object} Resultado de la validación
    */
   validateUpdateData(estado, newData) {
-    // Si se está cambiando el estado, verificar que no haya duplicados
+    // Si se está cambiando el estado, verificar que la transición esté permitida
     if (newData.estado && newData.estado !== estado.estado) {
-      const existingEstado = this.items.find(
-        e =>
-          e.tramiteId === estado.tramiteId &&
-          e.estado === newData.estado &&
-          e.id !== estado.id
+      const transicion = this.getStateMachine().validate(
+        estado.estado,
+        newData.estado,
+        this.getContextoTransicion(
+          estado.tramiteId,
+          newData.motivo,
+          estado.habilitacionId
+        )
       );
-
-      if (existingEstado) {
-        return {
-          isValid: false,
-          errors: [
-            `Ya existe un estado "${newData.estado}" para el trámite ${estado.tramiteId}`,
-          ],
-        };
+      if (!transicion.isValid) {
+        return transicion;
       }
     }
 
     return { isValid: true, errors: [] };
   }
 
+  /**
+   * Actualiza un estado y notifica el cambio si el estado es otro
+   * @param {string} id - ID del estado
+   * @param {Object} newData - Nuevos datos
+   * @param {Object|null} lote - Lote del diario al que se suma la escritura
+   * @returns {Object} Resultado de la operación
+   */
+  async update(id, newData, lote = null) {
+    const item = this.getById(id);
+    const estadoAnterior = item ? item.estado : null;
+
+    const result = await super.update(id, newData, lote);
+    if (result.success && result.item.estado !== estadoAnterior) {
+      this.notificarTransicion(estadoAnterior, result.item);
+    }
+    return result;
+  }
+
+  /**
+   * Notifica un cambio de estado a los hooks de la máquina de estados
+   * @param {string|null} estadoAnterior - Estado anterior
+   * @param {Estado} estado - Estado con el cambio aplicado
+   */
+  notificarTransicion(estadoAnterior, estado) {
+    this.getStateMachine().notifyTransition(estadoAnterior, estado.estado, {
+      tramiteId: estado.tramiteId,
+      habilitacionId: estado.habilitacionId,
+      tipoCambio: estado.tipoCambio,
+      usuario: estado.usuario,
+      motivo: estado.motivo,
+      estado,
+    });
+  }
+
   /**
    * Obtiene estados por trámite
    * @param {string} tramiteId - ID del trámite
+   * @param {Object} options - Opciones de consulta ({ includeDeleted })
    * @returns {Array} Array de estados del trámite
    */
-  getByTramiteId(tramiteId) {
+  getByTramiteId(tramiteId, options = {}) {
     this.validateInitialization();
-    return this.items.filter(estado => estado.tramiteId === tramiteId);
+    return this.getItems(options).filter(
+      estado => estado.tramiteId === tramiteId
+    );
   }
 
   /**
-   * Obtiene el estado actual de un trámite
+   * Obtiene el estado actual de un trámite o de una de sus habilitaciones
    * @param {string} tramiteId - ID del trámite
+   * @param {string} habilitacionId - ID de la habilitación (vacío para el trámite)
    * @returns {Estado|null} Estado actual o null
    */
-  getEstadoActual(tramiteId) {
+  getEstadoActual(tramiteId, habilitacionId = '') {
     this.validateInitialization();
-    const estados = this.getByTramiteId(tramiteId);
+    const estados = this.getByTramiteId(tramiteId).filter(
+      estado => (estado.habilitacionId || '') === habilitacionId
+    );
 
     if (estados.length === 0) {
       return null;
     }
 
-    // Ordenar por fecha de cambio descendente y tomar el más reciente
-    return estados.sort(
-      (a, b) => new Date(b.fechaCambio) - new Date(a.fechaCambio)
-    )[0];
+    // El más reciente; con la misma fecha gana el registrado después
+    return estados.reduce((actual, estado) =>
+      new Date(estado.fechaCambio) >= new Date(actual.fechaCambio)
+        ? estado
+        : actual
+    );
   }
 
   /**
@@ -240,14 +404,11 @@ class EstadoService extends BaseService {
    * @returns {Array} Array de estados en el rango especificado
    */
   getByRangoFechas(fechaInicio, fechaFin) {
-    this.validateInitialization();
-    const inicio = new Date(fechaInicio);
-    const fin = new Date(fechaFin);
-
-    return this.items.filter(estado => {
-      const fechaCambio = new Date(estado.fechaCambio);
-      return fechaCambio >= inicio && fechaCambio <= fin;
-    });
+    return this.query({
+      where: {
+        fechaCambio: { $gte: new Date(fechaInicio), $lte: new Date(fechaFin) },
+      },
+    }).items;
   }
 
   /**
@@ -256,12 +417,7 @@ class EstadoService extends BaseService {
    * @returns {Array} Array de estados con el motivo especificado
    */
   getByMotivo(motivo) {
-    this.validateInitialization();
-    return this.items.filter(
-      estado =>
-        estado.motivo &&
-        estado.motivo.toLowerCase().includes(motivo.toLowerCase())
-    );
+    return this.query({ where: { motivo: { $contains: motivo } } }).items;
   }
 
   /**
@@ -275,21 +431,19 @@ class EstadoService extends BaseService {
 
   /**
    * Obtiene estados que expiran pronto
-   * @param {number} diasAdvertencia - Número de días para la advertencia (por defecto 7)
+   * @param {number} diasAdvertencia - Número de días hábiles para la advertencia (por defecto 7)
    * @returns {Array} Array de estados que expiran pronto
    */
   getEstadosQueExpiranPronto(diasAdvertencia = 7) {
-    this.validateInitialization();
-    const fechaLimite = new Date();
-    fechaLimite.setDate(fechaLimite.getDate() + diasAdvertencia);
+    const ahora = new Date();
+    const fechaLimite = this.getFechaLimiteAdvertencia(diasAdvertencia);
 
-    return this.items.filter(estado => {
-      if (estado.esPermanente || !estado.fechaExpiracion) {
-        return false;
-      }
-      const expiracion = new Date(estado.fechaExpiracion);
-      return expiracion <= fechaLimite && expiracion > new Date();
-    });
+    return this.query({
+      where: {
+        esPermanente: { $ne: true },
+        fechaExpiracion: { $gt: ahora, $lte: fechaLimite },
+      },
+    }).items;
   }
 
   /**
@@ -298,15 +452,13 @@ class EstadoService extends BaseService {
    * @returns {Array} Array de estados ordenados por fecha de cambio
    */
   getHistorialOrdenado(tramiteId) {
-    this.validateInitialization();
-    const estados = this.getByTramiteId(tramiteId);
-    return estados.sort(
-      (a, b) => new Date(b.fechaCambio) - new Date(a.fechaCambio)
-    );
+    return this.query({ where: { tramiteId }, sort: '-fechaCambio' }).items;
   }
 
   /**
    * Cambia el estado de un trámite
+   * Solo se aplican los cambios que permite la máquina de estados; si el cambio
+   * no está permitido el resultado explica por qué.
    * @param {string} tramiteId - ID del trámite
    * @param {string} nuevoEstado - Nuevo estado
    * @param {string} usuario - Usuario que realiza el cambio
@@ -325,6 +477,21 @@ class EstadoService extends BaseService {
       this.validateInitialization();
 
       const estadoActual = this.getEstadoActual(tramiteId);
+      if (estadoActual && estadoActual.estado === nuevoEstado) {
+        return {
+          success: false,
+          errors: ['No se realizó ningún cambio en el estado'],
+        };
+      }
+
+      const validacion = this.validarTransicion(tramiteId, nuevoEstado, motivo);
+      if (!validacion.isValid) {
+        return {
+          success: false,
+          errors: validacion.errors,
+        };
+      }
+
       if (!estadoActual) {
         // Crear nuevo estado si no existe
         const nuevoEstadoObj = new Estado({
@@ -336,36 +503,129 @@ class EstadoService extends BaseService {
           tipoCambio: 'manual',
         });
 
-        return await this.create(nuevoEstadoObj);
+        const result = await this.create(nuevoEstadoObj);
+        if (result.success) {
+          this.notificarTransicion(null, result.item);
+        }
+        return result;
       } else {
-        // Actualizar estado existente
-        const cambioRealizado = estadoActual.cambiarEstado(
+        // El cambio se valida y se aplica sobre una copia: el registro en
+        // memoria solo se reemplaza cuando la escritura terminó
+        const estadoAnterior = estadoActual.estado;
+        const copia = new Estado(estadoActual.toJSON());
+        copia.cambiarEstado(
           nuevoEstado,
           usuario,
           motivo,
-          observaciones
+          observaciones,
+          this.getContextoTransicion(tramiteId, motivo)
         );
+        await this.persistItem(copia);
 
-        if (cambioRealizado) {
-          return await this.update(estadoActual.id, {
-            estado: nuevoEstado,
-            usuario,
-            motivo,
-            observaciones,
-            fechaCambio: new Date().toISOString(),
-          });
+        // Una recarga desde otra pestaña puede haber cambiado las instancias
+        const index = this.items.findIndex(item => item.id === copia.id);
+        if (index === -1) {
+          this.items.push(copia);
         } else {
-          return {
-            success: false,
-            errors: ['No se realizó ningún cambio en el estado'],
-          };
+          this.items[index] = copia;
         }
+        this.notificarTransicion(estadoAnterior, copia);
+
+        return {
+          success: true,
+          item: copia,
+          message: `${this.entityName} actualizado exitosamente`,
+        };
       }
     } catch (error) {
       console.error('❌ Error al cambiar estado:', error);
       return {
         success: false,
-        errors: ['Error al cambiar el estado del trámite'],
+        errors: this.getPersistenceErrors(
+          error,
+          'Error al cambiar el estado del trámite'
+        ),
+      };
+    }
+  }
+
+  /**
+   * Registra en el historial un cambio de estado hecho por el sistema
+   * A diferencia de cambiarEstado() no modifica el registro actual: agrega uno
+   * nuevo con tipoCambio 'sistema', así el historial conserva cada paso.
+   * @param {string} tramiteId - ID del trámite
+   * @param {string} nuevoEstado - Nuevo estado
+   * @param {string} motivo - Motivo del cambio
+   * @param {Object} options - { habilitacionId, razonCambio, usuario }
+   * @param {Object|null} lote - Lote del diario al que se suma el cambio
+   * @returns {Object} Resultado de la operación
+   */
+  async registrarCambioSistema(
+    tramiteId,
+    nuevoEstado,
+    motivo,
+    options = {},
+    lote = null
+  ) {
+    try {
+      this.validateInitialization();
+
+      const habilitacionId = options.habilitacionId || '';
+      const validacion = this.validarTransicion(
+        tramiteId,
+        nuevoEstado,
+        motivo,
+        habilitacionId
+      );
+      if (!validacion.isValid) {
+        return {
+          success: false,
+          errors: validacion.errors,
+        };
+      }
+
+      const estadoActual = this.getEstadoActual(tramiteId, habilitacionId);
+
+      // Varios pasos seguidos pueden caer en el mismo milisegundo; cada uno debe
+      // quedar después del anterior para que el historial conserve el orden
+      const fechaCambio = new Date(
+        Math.max(
+          Date.now(),
+          estadoActual ? new Date(estadoActual.fechaCambio).getTime() + 1 : 0
+        )
+      ).toISOString();
+
+      const result = await this.create(
+        new Estado({
+          tramiteId,
+          habilitacionId,
+          estado: nuevoEstado,
+          fechaCambio,
+          estadoAnterior: estadoActual ? estadoActual.estado : null,
+          usuario: options.usuario || 'Sistema',
+          motivo,
+          tipoCambio: 'sistema',
+          esPermanente: true,
+          razonCambio: options.razonCambio || '',
+        }),
+        lote
+      );
+
+      if (result.success) {
+        this.notificarTransicion(
+          estadoActual ? estadoActual.estado : null,
+          result.item
+        );
+      }
+      return result;
+    } catch (error) {
+      console.error(
+        '❌ Error al registrar cambio de estado del sistema:',
+        error
+      );
+      return {
+        success: false,
+        errors: ['Error al registrar el cambio de estado del sistema'],
       };
     }
   }
@@ -591,9 +851,9 @@ class EstadoService extends BaseService {
    * Genera datos de ejemplo
    * @param {number} count - Número de estados a generar
    * @param {string} tramiteId - ID del trámite
-   * @returns {Object} Resultado de la operación
+   * @returns {Promise<Object>} Resultado de la operación
    */
-  generateSampleData(count = 3, tramiteId) {
+  async generateSampleData(count = 3, tramiteId) {
     try {
       this.validateInitialization();
 
@@ -630,8 +890,9 @@ class EstadoService extends BaseService {
         sampleEstados.push(estado);
       }
 
+      // Solo quedan en memoria si se guardaron
+      await this.persistItems(sampleEstados);
       this.items = [...this.items, ...sampleEstados];
-      this.saveToStorage();
 
       return {
         success: true,
@@ -643,7 +904,10 @@ class EstadoService extends BaseService {
       console.error('❌ Error al generar estados de ejemplo:', error);
       return {
         success: false,
-        errors: ['Error al generar estados de ejemplo'],
+        errors: this.getPersistenceErrors(
+          error,
+          'Error al generar estados de ejemplo'
+        ),
       };
     }
   }
@@ -690,7 +954,7 @@ class EstadoService extends BaseService {
       }
 
       this.items = [...this.items, ...importedEstados];
-      await this.saveToStorage();
+      await this.persistItems(importedEstados);
 
       return {
         success: true,
@@ -719,7 +983,11 @@ class EstadoService extends BaseService {
       this.items = this.items.filter(estado => estado.tramiteId !== tramiteId);
 
       const removedCount = estadosOriginales.length - this.items.length;
-      await this.saveToStorage();
+      await this.removeFromStorage(
+        estadosOriginales
+          .filter(estado => estado.tramiteId === tramiteId)
+          .map(estado => estado.id)
+      );
 
       return {
         success: true,
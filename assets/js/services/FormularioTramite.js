@@ -0,0 +1,237 @@
+/**
+ * Formulario que diligencia el solicitante de un trámite
+ * Arma la definición del formulario con los documentos vinculados al trámite
+ * (su archivo y sus campos), valida las respuestas y construye el objeto de
+ * envío. La definición es un objeto plano, así que se puede guardar o enviar a
+ * otro sitio (por ejemplo el portal de estudiantes) y validar allí con los
+ * métodos estáticos, sin los servicios.
+ *
+ * Las respuestas se organizan por ID de documento:
+ * { [documentoId]: { archivo: { nombre, tipo, tamano } | null, valores: { [nombreCampo]: valor } } }
+ */
+class FormularioTramite {
+  /**
+   * @param {TramiteService} tramiteService - Servicio de trámites
+   */
+  constructor(tramiteService) {
+    this.tramiteService = tramiteService;
+  }
+
+  /**
+   * Obtiene la definición del formulario de un trámite
+   * Incluye los documentos activos vinculados, una sola vez cada uno y en el
+   * orden en que se vincularon. Un documento con versión fijada (la de una
+   * habilitación) se arma con los datos y campos de esa versión.
+   * @param {Tramite} tramite - Trámite
+   * @param {Object} versiones - { [documentoId]: version } versiones fijadas
+   * @returns {Object} { tramiteId, codigo, nombre, descripcion, documentos }
+   */
+  getDefinicion(tramite, versiones = {}) {
+    const registry = this.tramiteService.getRelationRegistry();
+    const documentoService = registry.getService('Documento');
+    const campoDocumentoService = registry.getService('CampoDocumento');
+    const versionService = registry.getService('VersionDocumento');
+
+    const documentos = [];
+    registry
+      .getService('Vinculacion')
+      .getByTramiteId(tramite.id)
+      .forEach(vinculacion => {
+        const vigente = documentoService.getById(vinculacion.documentoId);
+        if (!vigente || documentos.some(item => item.id === vigente.id)) {
+          return;
+        }
+
+        const fijada =
+          versiones[vigente.id] && versionService
+            ? versionService.getVersion(vigente.id, versiones[vigente.id])
+            : null;
+        const documento = fijada ? fijada.getDocumento() : vigente;
+        if (!documento.isActivo()) return;
+
+        documentos.push(
+          FormularioTramite.getDefinicionDocumento(
+            documento,
+            fijada
+              ? fijada.getCampos().filter(campo => campo.estado === 'activo')
+              : campoDocumentoService.getCamposByDocumentoId(documento.id)
+          )
+        );
+      });
+
+    return {
+      tramiteId: tramite.id,
+      codigo: tramite.codigo,
+      nombre: tramite.nombre,
+      descripcion: tramite.descripcion,
+      documentos,
+    };
+  }
+
+  /**
+   * Obtiene la definición de un documento del formulario
+   * Los campos van en el orden del documento, con los de cada sección juntos.
+   * @param {Documento} documento - Documento
+   * @param {Array<CampoDocumento>} campos - Campos activos del documento
+   * @returns {Object} { id, version, nombre, descripcion, tipoDocumental, obligatorio, formatos, tamanoMaximoMB, campos }
+   */
+  static getDefinicionDocumento(documento, campos) {
+    const tamano = parseFloat(documento.tamanoMaximoPermitido);
+    return {
+      id: documento.id,
+      version: documento.version,
+      nombre: documento.nombreDocumento || documento.tipoDocumental,
+      descripcion: documento.descripcionDocumento,
+      tipoDocumental: documento.tipoDocumental,
+      obligatorio: documento.obligatoriedad === 'Sí',
+      formatos: FormularioTramite.getFormatos(documento.tipoFormatoEsperado),
+      tamanoMaximoMB: tamano > 0 ? tamano : null,
+      campos: CampoDocumento.ordenar(campos).map(campo => campo.toJSON()),
+    };
+  }
+
+  /**
+   * Lee los formatos esperados de un documento
+   * @param {string} tipoFormatoEsperado - Formatos separados por coma (p. ej. "pdf, .jpg")
+   * @returns {Array<string>} Extensiones en minúscula y sin punto
+   */
+  static getFormatos(tipoFormatoEsperado) {
+    const formatos = (tipoFormatoEsperado || '')
+      .split(/[,;\s]+/)
+      .map(formato => formato.trim().replace(/^\./, '').toLowerCase())
+      .filter(Boolean);
+    return Array.from(new Set(formatos));
+  }
+
+  /**
+   * Obtiene los datos de un archivo elegido que se validan y se envían
+   * @param {File|null} file - Archivo elegido
+   * @returns {Object|null} { nombre, tipo, tamano } o null si no hay archivo
+   */
+  static describirArchivo(file) {
+    return file
+      ? { nombre: file.name, tipo: file.type, tamano: file.size }
+      : null;
+  }
+
+  /**
+   * Valida el archivo de un documento con su obligatoriedad, formatos y tamaño
+   * @param {Object} documento - Documento de la definición
+   * @param {Object|null} archivo - { nombre, tipo, tamano }
+   * @returns {Array<string>} Errores
+   */
+  static validarArchivo(documento, archivo) {
+    if (!archivo || !archivo.nombre) {
+      return documento.obligatorio ? ['Debe adjuntar el archivo'] : [];
+    }
+
+    const errores = [];
+    const extension = archivo.nombre.includes('.')
+      ? archivo.nombre.split('.').pop().toLowerCase()
+      : '';
+    if (
+      documento.formatos.length > 0 &&
+      !documento.formatos.includes(extension)
+    ) {
+      errores.push(
+        `El archivo debe tener formato: ${documento.formatos.join(', ')}`
+      );
+    }
+    if (
+      documento.tamanoMaximoMB &&
+      (archivo.tamano || 0) > documento.tamanoMaximoMB * 1024 * 1024
+    ) {
+      errores.push(
+        `El archivo no puede pesar más de ${documento.tamanoMaximoMB} MB`
+      );
+    }
+    return errores;
+  }
+
+  /**
+   * Valida las respuestas de todo el formulario
+   * Los errores de cada documento se devuelven aparte para mostrarlos junto a
+   * su archivo y sus campos.
+   * @param {Object} definicion - Definición del formulario
+   * @param {Object} respuestas - Respuestas por ID de documento
+   * @returns {Object} { isValid, errors, documentos: { [documentoId]: { archivo, campos, estados } } }
+   */
+  static validar(definicion, respuestas = {}) {
+    const errors = [];
+    const documentos = {};
+
+    definicion.documentos.forEach(documento => {
+      const respuesta = respuestas[documento.id] || {};
+      const archivo = FormularioTramite.validarArchivo(
+        documento,
+        respuesta.archivo
+      );
+      const campos = FieldRuleEngine.validateValues(
+        documento.campos,
+        respuesta.valores || {}
+      );
+
+      documentos[documento.id] = {
+        archivo,
+        campos: campos.erroresPorCampo,
+        estados: campos.estados,
+      };
+      errors.push(
+        ...[...archivo, ...campos.errors].map(
+          error => `${documento.nombre}: ${error}`
+        )
+      );
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+      documentos,
+    };
+  }
+
+  /**
+   * Construye el objeto de envío con las respuestas
+   * Solo incluye los valores de los campos visibles que tienen valor, en el
+   * orden del formulario, y la sección de los que están en una.
+   * @param {Object} definicion - Definición del formulario
+   * @param {Object} respuestas - Respuestas por ID de documento
+   * @returns {Object} { tramiteId, tramiteCodigo, tramiteNombre, fechaEnvio, documentos }
+   */
+  static construirEnvio(definicion, respuestas = {}) {
+    return {
+      tramiteId: definicion.tramiteId,
+      tramiteCodigo: definicion.codigo,
+      tramiteNombre: definicion.nombre,
+      fechaEnvio: new Date().toISOString(),
+      documentos: definicion.documentos.map(documento => {
+        const respuesta = respuestas[documento.id] || {};
+        const valores = respuesta.valores || {};
+        const estados = FieldRuleEngine.evaluate(documento.campos, valores);
+
+        const visibles = {};
+        const secciones = {};
+        documento.campos
+          .filter(
+            campo =>
+              estados[campo.nombreCampo].visible &&
+              !FieldTypeRegistry.isEmpty(valores[campo.nombreCampo])
+          )
+          .forEach(campo => {
+            visibles[campo.nombreCampo] = valores[campo.nombreCampo];
+            if (campo.seccion) {
+              secciones[campo.nombreCampo] = campo.seccion;
+            }
+          });
+
+        return {
+          documentoId: documento.id,
+          nombreDocumento: documento.nombre,
+          archivo: respuesta.archivo || null,
+          valores: visibles,
+          secciones,
+        };
+      }),
+    };
+  }
+}
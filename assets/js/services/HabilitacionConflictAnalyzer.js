@@ -0,0 +1,240 @@
+/**
+ * Analizador de conflictos de fechas entre habilitaciones
+ * Detecta situaciones que no impiden guardar pero suelen ser errores de
+ * configuración:
+ * - solapamiento: el mismo trámite habilitado en la misma sede con ventanas
+ *   que se cruzan (incluida la corrección)
+ * - correccion: la corrección empieza antes de que termine la ventana principal
+ * - periodo: fechas fuera de los límites del periodo académico
+ * - calendario: una ventana sin ningún día hábil en la sede
+ * Una habilitación con conflictos solo se guarda si trae una justificación.
+ */
+class HabilitacionConflictAnalyzer {
+  /**
+   * @param {HabilitarTramiteService} habilitarTramiteService - Servicio con las habilitaciones existentes
+   */
+  constructor(habilitarTramiteService) {
+    this.habilitarTramiteService = habilitarTramiteService;
+  }
+
+  /**
+   * Obtiene la ventana completa de una habilitación (principal y corrección)
+   * @param {HabilitarTramite|Object} habilitacion - Habilitación
+   * @returns {Object|null} { inicio, fin } en formato YYYY-MM-DD o null si faltan fechas
+   */
+  static getVentana(habilitacion) {
+    const fechas = [
+      habilitacion.fechaInicio,
+      habilitacion.fechaFinalizacion,
+      habilitacion.fechaInicioCorreccion,
+      habilitacion.fechaFinCorreccion,
+    ].filter(Boolean);
+    if (!habilitacion.fechaInicio || fechas.length < 2) return null;
+
+    return {
+      inicio: habilitacion.fechaInicio,
+      fin: fechas.reduce((max, fecha) => (fecha > max ? fecha : max)),
+    };
+  }
+
+  /**
+   * Analiza los conflictos de una habilitación
+   * @param {HabilitarTramite|Object} habilitacion - Habilitación nueva o editada
+   * @param {Object} options - { excluirId } para no compararla consigo misma al
+   *   editar y { adicionales } con habilitaciones aún no guardadas que también
+   *   se comparan (por ejemplo, las demás filas de una copia de periodo)
+   * @returns {Array} [{ tipo, mensaje, habilitacionId }]
+   */
+  analizar(habilitacion, options = {}) {
+    return [
+      ...this.getSolapamientos(
+        habilitacion,
+        options.excluirId || null,
+        options.adicionales || []
+      ),
+      ...this.getConflictosCorreccion(habilitacion),
+      ...this.getConflictosPeriodo(habilitacion),
+      ...this.getConflictosCalendario(habilitacion),
+    ];
+  }
+
+  /**
+   * Busca habilitaciones activas del mismo trámite y sede cuyas ventanas se cruzan
+   * @param {HabilitarTramite|Object} habilitacion - Habilitación a revisar
+   * @param {string|null} excluirId - ID a omitir
+   * @param {Array} adicionales - Habilitaciones no guardadas que también se comparan
+   * @returns {Array} Conflictos de solapamiento
+   */
+  getSolapamientos(habilitacion, excluirId, adicionales = []) {
+    const ventana = HabilitacionConflictAnalyzer.getVentana(habilitacion);
+    if (!ventana || !habilitacion.tramiteId || !habilitacion.sede) return [];
+
+    return [...this.habilitarTramiteService.getAll(), ...adicionales]
+      .filter(
+        otra =>
+          otra.id !== excluirId &&
+          otra.estado !== 'Inactivo' &&
+          otra.tramiteId === habilitacion.tramiteId &&
+          otra.sede === habilitacion.sede
+      )
+      .map(otra => ({
+        otra,
+        ventanaOtra: HabilitacionConflictAnalyzer.getVentana(otra),
+      }))
+      .filter(
+        ({ ventanaOtra }) =>
+          ventanaOtra &&
+          ventana.inicio <= ventanaOtra.fin &&
+          ventanaOtra.inicio <= ventana.fin
+      )
+      .map(({ otra, ventanaOtra }) => ({
+        tipo: 'solapamiento',
+        mensaje: `Se cruza con la habilitación del periodo ${
+          otra.periodoAcademico
+        } en la sede ${otra.sede} (${Tramite.formatDate(
+          ventanaOtra.inicio
+        )} - ${Tramite.formatDate(ventanaOtra.fin)})`,
+        habilitacionId: otra.id,
+      }));
+  }
+
+  /**
+   * Verifica que la corrección empiece después de la ventana principal
+   * @param {HabilitarTramite|Object} habilitacion - Habilitación a revisar
+   * @returns {Array} Conflictos de corrección
+   */
+  getConflictosCorreccion(habilitacion) {
+    if (
+      !habilitacion.fechaFinalizacion ||
+      !habilitacion.fechaInicioCorreccion ||
+      habilitacion.fechaInicioCorreccion > habilitacion.fechaFinalizacion
+    ) {
+      return [];
+    }
+
+    return [
+      {
+        tipo: 'correccion',
+        mensaje: `La corrección inicia el ${Tramite.formatDate(
+          habilitacion.fechaInicioCorreccion
+        )}, antes de que termine la ventana principal (${Tramite.formatDate(
+          habilitacion.fechaFinalizacion
+        )})`,
+        habilitacionId: null,
+      },
+    ];
+  }
+
+  /**
+   * Verifica que las fechas estén dentro del periodo académico
+   * @param {HabilitarTramite|Object} habilitacion - Habilitación a revisar
+   * @returns {Array} Conflictos de periodo
+   */
+  getConflictosPeriodo(habilitacion) {
+    const limites = HabilitarTramite.getLimitesPeriodo(
+      habilitacion.periodoAcademico
+    );
+    if (!limites) return [];
+
+    const fuera = HabilitacionConflictAnalyzer.CAMPOS_FECHA.filter(campo => {
+      const fecha = habilitacion[campo];
+      return fecha && (fecha < limites.inicio || fecha > limites.fin);
+    });
+    if (fuera.length === 0) return [];
+
+    const etiquetas = fuera.map(campo =>
+      HabilitarTramite.prototype.getFieldLabel(campo)
+    );
+    return [
+      {
+        tipo: 'periodo',
+        mensaje: `${etiquetas.join(', ')} fuera del periodo ${
+          habilitacion.periodoAcademico
+        } (${Tramite.formatDate(limites.inicio)} - ${Tramite.formatDate(
+          limites.fin
+        )})`,
+        habilitacionId: null,
+      },
+    ];
+  }
+
+  /**
+   * Verifica que cada ventana tenga al menos un día hábil en la sede
+   * Sin calendario registrado no se revisa.
+   * @param {HabilitarTramite|Object} habilitacion - Habilitación a revisar
+   * @returns {Array} Conflictos de calendario
+   */
+  getConflictosCalendario(habilitacion) {
+    const calendario = this.habilitarTramiteService.getCalendario();
+    if (!calendario) return [];
+
+    return HabilitacionConflictAnalyzer.VENTANAS.filter(
+      ({ inicio, fin }) =>
+        habilitacion[inicio] &&
+        habilitacion[fin] &&
+        habilitacion[inicio] <= habilitacion[fin] &&
+        calendario.contarDiasHabiles(
+          habilitacion[inicio],
+          habilitacion[fin],
+          habilitacion.sede
+        ) === 0
+    ).map(({ nombre, inicio, fin }) => ({
+      tipo: 'calendario',
+      mensaje: `La ${nombre} (${Tramite.formatDate(
+        habilitacion[inicio]
+      )} - ${Tramite.formatDate(
+        habilitacion[fin]
+      )}) no tiene días hábiles en la sede`,
+      habilitacionId: null,
+    }));
+  }
+
+  /**
+   * Valida que una habilitación con conflictos traiga justificación
+   * @param {HabilitarTramite|Object} habilitacion - Habilitación a guardar
+   * @param {Object} options - { excluirId }
+   * @returns {Object} { isValid, errors, conflictos }
+   */
+  validar(habilitacion, options = {}) {
+    const conflictos = this.analizar(habilitacion, options);
+    const justificada =
+      (habilitacion.justificacionConflictos || '').trim() !== '';
+
+    if (conflictos.length === 0 || justificada) {
+      return { isValid: true, errors: [], conflictos };
+    }
+
+    return {
+      isValid: false,
+      errors: [
+        ...conflictos.map(conflicto => conflicto.mensaje),
+        'Para guardar con estos conflictos indique una justificación',
+      ],
+      conflictos,
+    };
+  }
+}
+
+// Campos de fecha que se comparan con los límites del periodo académico
+HabilitacionConflictAnalyzer.CAMPOS_FECHA = [
+  'fechaInicio',
+  'fechaFinalizacion',
+  'fechaInicioCorreccion',
+  'fechaFinCorreccion',
+];
+
+// Ventanas de una habilitación; cada una debe tener días hábiles
+HabilitacionConflictAnalyzer.VENTANAS = [
+  {
+    tipo: 'principal',
+    nombre: 'ventana principal',
+    inicio: 'fechaInicio',
+    fin: 'fechaFinalizacion',
+  },
+  {
+    tipo: 'correccion',
+    nombre: 'corrección',
+    inicio: 'fechaInicioCorreccion',
+    fin: 'fechaFinCorreccion',
+  },
+];
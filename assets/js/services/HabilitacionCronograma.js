@@ -0,0 +1,267 @@
+/**
+ * Cronograma de las ventanas de las habilitaciones
+ * Prepara los datos de la línea de tiempo (barras agrupadas por sede o por
+ * trámite) y del calendario mensual de un periodo, y valida el cambio de una
+ * fecha al arrastrar el borde de una barra. La ventana principal y la de
+ * corrección son barras distintas.
+ */
+class HabilitacionCronograma {
+  /**
+   * @param {HabilitarTramiteService} habilitarTramiteService - Servicio de habilitaciones
+   */
+  constructor(habilitarTramiteService) {
+    this.habilitarTramiteService = habilitarTramiteService;
+  }
+
+  /**
+   * Obtiene las barras de una habilitación (una por ventana con fechas)
+   * @param {HabilitarTramite} habilitacion - Habilitación
+   * @returns {Array} [{ habilitacionId, tipo, nombre, campoInicio, campoFin, inicio, fin }]
+   */
+  static getBarras(habilitacion) {
+    return HabilitacionConflictAnalyzer.VENTANAS.filter(
+      ventana => habilitacion[ventana.inicio] && habilitacion[ventana.fin]
+    ).map(ventana => ({
+      habilitacionId: habilitacion.id,
+      tipo: ventana.tipo,
+      nombre: ventana.nombre,
+      campoInicio: ventana.inicio,
+      campoFin: ventana.fin,
+      inicio: habilitacion[ventana.inicio],
+      fin: habilitacion[ventana.fin],
+    }));
+  }
+
+  /**
+   * Obtiene el día de la semana de una fecha, empezando en lunes
+   * @param {string} fecha - Fecha en formato YYYY-MM-DD
+   * @returns {number} 0 (lunes) a 6 (domingo)
+   */
+  static getDiaSemana(fecha) {
+    const [anio, mes, dia] = fecha.split('-').map(Number);
+    return (new Date(Date.UTC(anio, mes - 1, dia)).getUTCDay() + 6) % 7;
+  }
+
+  /**
+   * Obtiene los periodos que tienen habilitaciones, del más reciente al más antiguo
+   * @returns {Array<string>} Códigos de periodo
+   */
+  getPeriodos() {
+    const periodos = new Set(
+      this.habilitarTramiteService
+        .getAll()
+        .map(habilitacion => habilitacion.periodoAcademico)
+        .filter(Boolean)
+    );
+    return Array.from(periodos).sort((a, b) => b.localeCompare(a));
+  }
+
+  /**
+   * Obtiene las habilitaciones de un periodo
+   * @param {string} periodoAcademico - Código del periodo; vacío para todos
+   * @returns {Array} Habilitaciones
+   */
+  getHabilitaciones(periodoAcademico) {
+    return this.habilitarTramiteService
+      .getAll()
+      .filter(
+        habilitacion =>
+          !periodoAcademico ||
+          habilitacion.periodoAcademico === periodoAcademico
+      );
+  }
+
+  /**
+   * Calcula el rango de días que muestra la línea de tiempo
+   * Son los límites del periodo, ampliados si alguna ventana se sale de ellos.
+   * @param {string} periodoAcademico - Código del periodo; vacío para todos
+   * @param {Array} barras - Barras que se van a mostrar
+   * @returns {Object|null} { inicio, fin, dias } o null si no hay fechas
+   */
+  getRango(periodoAcademico, barras) {
+    const limites = periodoAcademico
+      ? HabilitarTramite.getLimitesPeriodo(periodoAcademico)
+      : null;
+    const fechas = [
+      ...(limites ? [limites.inicio, limites.fin] : []),
+      ...barras.flatMap(barra => [barra.inicio, barra.fin]),
+    ].sort();
+    if (fechas.length === 0) return null;
+
+    const inicio = fechas[0];
+    const fin = fechas[fechas.length - 1];
+    return {
+      inicio,
+      fin,
+      dias: HabilitacionPeriodoCopier.diferenciaDias(inicio, fin) + 1,
+    };
+  }
+
+  /**
+   * Obtiene el nombre del grupo de una habilitación
+   * @param {HabilitarTramite} habilitacion - Habilitación
+   * @param {string} agrupar - 'sede' o 'tramite'
+   * @returns {Object} { clave, nombre }
+   */
+  getGrupo(habilitacion, agrupar) {
+    if (agrupar === 'tramite') {
+      return {
+        clave: habilitacion.tramiteId,
+        nombre: habilitacion.tramiteNombre || habilitacion.tramiteId,
+      };
+    }
+
+    const sedeService = window.tramiteApp
+      ? window.tramiteApp.getService('sede')
+      : null;
+    return {
+      clave: habilitacion.sede,
+      nombre: sedeService
+        ? sedeService.getNombre(habilitacion.sede)
+        : habilitacion.sede,
+    };
+  }
+
+  /**
+   * Prepara la línea de tiempo de un periodo
+   * @param {Object} opciones - { periodo, agrupar: 'sede' o 'tramite' }
+   * @returns {Object} { periodo, agrupar, rango, grupos: [{ clave, nombre, filas: [{ habilitacion, barras }] }] }
+   */
+  getLineaTiempo({ periodo = '', agrupar = 'sede' } = {}) {
+    const grupos = new Map();
+    const barras = [];
+
+    this.getHabilitaciones(periodo).forEach(habilitacion => {
+      const barrasHabilitacion = HabilitacionCronograma.getBarras(habilitacion);
+      if (barrasHabilitacion.length === 0) return;
+
+      const { clave, nombre } = this.getGrupo(habilitacion, agrupar);
+      if (!grupos.has(clave)) {
+        grupos.set(clave, { clave, nombre, filas: [] });
+      }
+      grupos
+        .get(clave)
+        .filas.push({ habilitacion, barras: barrasHabilitacion });
+      barras.push(...barrasHabilitacion);
+    });
+
+    const ordenados = Array.from(grupos.values()).sort((a, b) =>
+      a.nombre.localeCompare(b.nombre)
+    );
+    ordenados.forEach(grupo =>
+      grupo.filas.sort(
+        (a, b) =>
+          a.barras[0].inicio.localeCompare(b.barras[0].inicio) ||
+          (a.habilitacion.tramiteNombre || '').localeCompare(
+            b.habilitacion.tramiteNombre || ''
+          )
+      )
+    );
+
+    return {
+      periodo,
+      agrupar,
+      rango: this.getRango(periodo, barras),
+      grupos: ordenados,
+    };
+  }
+
+  /**
+   * Prepara el calendario de un mes con las ventanas que pasan por cada día
+   * Las semanas empiezan en lunes e incluyen los días de los meses vecinos
+   * necesarios para completarlas.
+   * @param {Object} opciones - { periodo, mes } con mes en formato YYYY-MM; sin
+   *   mes se usa el de getMesInicial()
+   * @returns {Object} { periodo, mes, semanas: [[{ fecha, delMes, barras }]] }
+   *   donde cada barra trae además la habilitación, esInicio y esFin
+   */
+  getMes({ periodo = '', mes = null } = {}) {
+    mes = mes || this.getMesInicial(periodo);
+    const primerDia = `${mes}-01`;
+    const ultimoDia = ICalendar.sumarDias(
+      ICalendar.sumarDias(primerDia, 31).slice(0, 7) + '-01',
+      -1
+    );
+    const desde = ICalendar.sumarDias(
+      primerDia,
+      -HabilitacionCronograma.getDiaSemana(primerDia)
+    );
+    const hasta = ICalendar.sumarDias(
+      ultimoDia,
+      6 - HabilitacionCronograma.getDiaSemana(ultimoDia)
+    );
+
+    const barras = this.getHabilitaciones(periodo).flatMap(habilitacion =>
+      HabilitacionCronograma.getBarras(habilitacion)
+        .filter(barra => barra.inicio <= hasta && barra.fin >= desde)
+        .map(barra => ({ ...barra, habilitacion }))
+    );
+
+    const semanas = [];
+    for (
+      let fecha = desde;
+      fecha <= hasta;
+      fecha = ICalendar.sumarDias(fecha, 1)
+    ) {
+      if (HabilitacionCronograma.getDiaSemana(fecha) === 0) {
+        semanas.push([]);
+      }
+      semanas[semanas.length - 1].push({
+        fecha,
+        delMes: fecha.startsWith(mes),
+        barras: barras
+          .filter(barra => barra.inicio <= fecha && barra.fin >= fecha)
+          .map(barra => ({
+            ...barra,
+            esInicio: barra.inicio === fecha,
+            esFin: barra.fin === fecha,
+          })),
+      });
+    }
+
+    return { periodo, mes, semanas };
+  }
+
+  /**
+   * Obtiene el mes en que se abre el calendario de un periodo
+   * Es el mes actual si cae dentro del periodo; si no, el mes de inicio.
+   * @param {string} periodoAcademico - Código del periodo; vacío para todos
+   * @returns {string} Mes en formato YYYY-MM
+   */
+  getMesInicial(periodoAcademico) {
+    const hoy = CalendarioService.toFecha(new Date());
+    const limites = periodoAcademico
+      ? HabilitarTramite.getLimitesPeriodo(periodoAcademico)
+      : null;
+    if (!limites || (hoy >= limites.inicio && hoy <= limites.fin)) {
+      return hoy.slice(0, 7);
+    }
+    return limites.inicio.slice(0, 7);
+  }
+
+  /**
+   * Valida el cambio de una fecha de ventana al arrastrar el borde de su barra
+   * Se aplica la misma validación que al guardar la habilitación desde el
+   * formulario (HabilitarTramite.validate).
+   * @param {HabilitarTramite} habilitacion - Habilitación que se modifica
+   * @param {string} campo - Campo de fecha del borde arrastrado
+   * @param {string} fecha - Nueva fecha en formato YYYY-MM-DD
+   * @returns {Object} { isValid, errors }
+   */
+  validarMovimiento(habilitacion, campo, fecha) {
+    if (!HabilitacionConflictAnalyzer.CAMPOS_FECHA.includes(campo)) {
+      return {
+        isValid: false,
+        errors: [`El campo ${campo} no es una fecha de la habilitación`],
+      };
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(fecha || '')) {
+      return { isValid: false, errors: ['La fecha no es válida'] };
+    }
+
+    return new HabilitarTramite({
+      ...habilitacion.toJSON(),
+      [campo]: fecha,
+    }).validate();
+  }
+}
@@ -0,0 +1,417 @@
+/**
+ * Exporta e importa las ventanas de las habilitaciones en formato ICS
+ * Cada habilitación genera un evento por ventana (principal y corrección) con
+ * un UID derivado de su ID, de modo que al volver a exportar los calendarios
+ * que ya lo importaron actualizan los eventos en lugar de duplicarlos. Al
+ * importar, los eventos se agrupan por trámite, sede y periodo y se proponen
+ * como habilitaciones nuevas que se guardan en una sola operación.
+ */
+class HabilitacionICS {
+  /**
+   * @param {HabilitarTramiteService} habilitarTramiteService - Servicio de habilitaciones
+   */
+  constructor(habilitarTramiteService) {
+    this.habilitarTramiteService = habilitarTramiteService;
+  }
+
+  /**
+   * Genera el UID estable del evento de una ventana
+   * @param {string} habilitacionId - ID de la habilitación
+   * @param {string} tipo - Tipo de ventana ('principal' o 'correccion')
+   * @returns {string} UID del evento
+   */
+  static getUid(habilitacionId, tipo) {
+    return `${habilitacionId}-${tipo}@${HabilitacionICS.DOMINIO_UID}`;
+  }
+
+  /**
+   * Obtiene un servicio del registro de relaciones
+   * @param {string} entityName - Nombre de la entidad
+   * @returns {BaseService|null} Servicio o null si no está registrado
+   */
+  getServicio(entityName) {
+    return this.habilitarTramiteService
+      .getRelationRegistry()
+      .getService(entityName);
+  }
+
+  /**
+   * Obtiene las habilitaciones que cumplen los filtros de exportación
+   * @param {Object} filtros - { sede, periodo, tramiteId }; vacío para todos
+   * @returns {Array} Habilitaciones ordenadas por periodo, sede y trámite
+   */
+  getHabilitaciones({ sede = '', periodo = '', tramiteId = '' } = {}) {
+    return this.habilitarTramiteService
+      .getAll()
+      .filter(
+        habilitacion =>
+          (!sede || habilitacion.sede === sede) &&
+          (!periodo || habilitacion.periodoAcademico === periodo) &&
+          (!tramiteId || habilitacion.tramiteId === tramiteId)
+      )
+      .sort(
+        (a, b) =>
+          a.periodoAcademico.localeCompare(b.periodoAcademico) ||
+          a.sede.localeCompare(b.sede) ||
+          (a.tramiteNombre || '').localeCompare(b.tramiteNombre || '')
+      );
+  }
+
+  /**
+   * Convierte una habilitación en los eventos de sus ventanas
+   * @param {HabilitarTramite} habilitacion - Habilitación
+   * @returns {Array} Eventos para ICalendar.construir
+   */
+  getEventos(habilitacion) {
+    const tramite = habilitacion.getTramiteRelacionado();
+    const nombre = habilitacion.tramiteNombre || (tramite && tramite.nombre);
+    const codigo = tramite ? tramite.codigo : '';
+    const sedeService = this.getServicio('Sede');
+    const sedeNombre = sedeService
+      ? sedeService.getNombre(habilitacion.sede)
+      : habilitacion.sede;
+
+    return HabilitacionCronograma.getBarras(habilitacion).map(barra => ({
+      uid: HabilitacionICS.getUid(habilitacion.id, barra.tipo),
+      inicio: barra.inicio,
+      fin: ICalendar.sumarDias(barra.fin, 1),
+      resumen: `${nombre} - ${HabilitacionICS.VENTANAS[barra.tipo]}`,
+      descripcion: [
+        `Trámite: ${nombre}${codigo ? ` (${codigo})` : ''}`,
+        `Sede: ${sedeNombre}`,
+        `Periodo académico: ${habilitacion.periodoAcademico}`,
+        `Estado: ${habilitacion.estado}`,
+      ].join('\n'),
+      categorias: [
+        habilitacion.periodoAcademico,
+        HabilitacionICS.VENTANAS[barra.tipo],
+      ],
+      ubicacion: sedeNombre,
+      modificado: habilitacion.fechaModificacion,
+      propiedades: {
+        'X-TRAMITE-CODIGO': codigo,
+        'X-TRAMITE-SEDE': habilitacion.sede,
+        'X-TRAMITE-PERIODO': habilitacion.periodoAcademico,
+        'X-TRAMITE-VENTANA': barra.tipo,
+      },
+    }));
+  }
+
+  /**
+   * Exporta las ventanas de las habilitaciones a un calendario ICS
+   * @param {Object} filtros - { sede, periodo, tramiteId }; vacío para todos
+   * @returns {Object} { contenido, cantidad } con el texto ICS y la cantidad de eventos
+   */
+  exportar(filtros = {}) {
+    const eventos = this.getHabilitaciones(filtros).flatMap(habilitacion =>
+      this.getEventos(habilitacion)
+    );
+
+    const partes = ['Habilitaciones de trámites'];
+    if (filtros.periodo) partes.push(filtros.periodo);
+    if (filtros.sede) {
+      const sedeService = this.getServicio('Sede');
+      partes.push(
+        sedeService ? sedeService.getNombre(filtros.sede) : filtros.sede
+      );
+    }
+
+    return {
+      contenido: ICalendar.construir(eventos, { nombre: partes.join(' - ') }),
+      cantidad: eventos.length,
+    };
+  }
+
+  /**
+   * Separa el resumen de un evento en el trámite y la ventana
+   * @param {string} resumen - SUMMARY del evento
+   * @returns {Object} { tramite, tipo } con tipo null si el resumen no la indica
+   */
+  static leerResumen(resumen = '') {
+    const partes =
+      /^(.*?)\s*[-–:]\s*(ventana principal|correcci[oó]n)\s*$/i.exec(
+        resumen.trim()
+      );
+    if (!partes) {
+      return { tramite: resumen.trim(), tipo: null };
+    }
+
+    return {
+      tramite: partes[1],
+      tipo: /^correcci/i.test(partes[2]) ? 'correccion' : 'principal',
+    };
+  }
+
+  /**
+   * Busca un trámite por código o por nombre, sin distinguir tildes ni mayúsculas
+   * @param {string} texto - Código o nombre del trámite
+   * @returns {Tramite|null} Trámite encontrado o null
+   */
+  buscarTramite(texto) {
+    const tramiteService = this.getServicio('Tramite');
+    const buscado = SearchIndex.fold(texto);
+    if (!tramiteService || !buscado) return null;
+
+    const tramites = tramiteService.getAll();
+    return (
+      tramites.find(tramite => SearchIndex.fold(tramite.codigo) === buscado) ||
+      tramites.find(tramite => SearchIndex.fold(tramite.nombre) === buscado) ||
+      null
+    );
+  }
+
+  /**
+   * Busca el código de una sede por código o por nombre
+   * @param {string} texto - Código o nombre de la sede
+   * @returns {string} Código de la sede o vacío si no está en el catálogo
+   */
+  buscarSede(texto) {
+    const sedeService = this.getServicio('Sede');
+    const buscado = SearchIndex.fold(texto);
+    if (!sedeService || !buscado) return '';
+
+    const sede = sedeService
+      .getAll()
+      .find(
+        candidata =>
+          SearchIndex.fold(candidata.codigo) === buscado ||
+          SearchIndex.fold(candidata.nombre) === buscado
+      );
+    return sede ? sede.codigo : '';
+  }
+
+  /**
+   * Busca el periodo del catálogo que contiene una fecha
+   * @param {string} fecha - Fecha en formato YYYY-MM-DD
+   * @returns {string} Código del periodo o vacío si ninguno la contiene
+   */
+  buscarPeriodo(fecha) {
+    const periodoService = this.getServicio('PeriodoAcademico');
+    if (!periodoService) return '';
+
+    const periodo = periodoService
+      .getOrdenados()
+      .find(
+        candidato =>
+          candidato.fechaInicio <= fecha && fecha <= candidato.fechaFin
+      );
+    return periodo ? periodo.codigo : '';
+  }
+
+  /**
+   * Interpreta un evento importado
+   * Las propiedades X-TRAMITE-* que escribe el exportador tienen prioridad; si
+   * no están, el trámite y la ventana se toman del resumen, la sede de la
+   * ubicación y el periodo del catálogo según la fecha de inicio.
+   * @param {Object} evento - Evento leído con ICalendar.parsear
+   * @param {Object} opciones - { sede, periodo } por defecto
+   * @returns {Object} { evento, texto, tramite, tipo, sede, periodo, inicio, fin }
+   */
+  leerEvento(evento, opciones = {}) {
+    const propiedades = evento.propiedades || {};
+    const resumen = HabilitacionICS.leerResumen(evento.resumen);
+    const codigo = propiedades['X-TRAMITE-CODIGO'];
+    const tramite =
+      (codigo && this.buscarTramite(codigo)) ||
+      this.buscarTramite(resumen.tramite);
+
+    // El fin del evento es exclusivo; el de la habilitación es el último día
+    const fin = ICalendar.sumarDias(evento.fin, -1);
+
+    const ventana = propiedades['X-TRAMITE-VENTANA'];
+    const tipo = HabilitacionICS.VENTANAS[ventana]
+      ? ventana
+      : resumen.tipo || 'principal';
+
+    return {
+      evento,
+      texto: resumen.tramite || codigo || evento.uid || '',
+      tramite,
+      tipo,
+      sede:
+        this.buscarSede(propiedades['X-TRAMITE-SEDE']) ||
+        this.buscarSede(evento.ubicacion) ||
+        opciones.sede ||
+        '',
+      periodo:
+        propiedades['X-TRAMITE-PERIODO'] ||
+        this.buscarPeriodo(evento.inicio) ||
+        opciones.periodo ||
+        '',
+      inicio: evento.inicio,
+      fin: fin < evento.inicio ? evento.inicio : fin,
+    };
+  }
+
+  /**
+   * Agrupa los eventos leídos en las habilitaciones que proponen
+   * @param {Array} leidos - Resultados de leerEvento
+   * @param {Object} opciones - { estado }
+   * @returns {Array} [{ habilitacion, eventos, errores }]
+   */
+  agrupar(leidos, { estado = 'Activo' } = {}) {
+    const grupos = new Map();
+
+    leidos.forEach(leido => {
+      const clave = leido.tramite
+        ? `${leido.tramite.id}|${leido.sede}|${leido.periodo}`
+        : `?${SearchIndex.fold(leido.texto)}`;
+
+      if (!grupos.has(clave)) {
+        grupos.set(clave, {
+          habilitacion: new HabilitarTramite({
+            periodoAcademico: leido.periodo,
+            semestre: HabilitarTramite.calcularSemestre(leido.periodo),
+            sede: leido.sede,
+            tramiteId: leido.tramite ? leido.tramite.id : '',
+            tramiteNombre: leido.tramite ? leido.tramite.nombre : leido.texto,
+            estado,
+          }),
+          eventos: [],
+          errores: leido.tramite
+            ? []
+            : [
+                `No se encontró el trámite "${leido.texto}" por nombre ni código`,
+              ],
+        });
+      }
+
+      const grupo = grupos.get(clave);
+      const ventana = HabilitacionConflictAnalyzer.VENTANAS.find(
+        candidata => candidata.tipo === leido.tipo
+      );
+      if (grupo.habilitacion[ventana.inicio]) {
+        grupo.errores.push(
+          `El calendario trae más de una ${ventana.nombre} para el trámite`
+        );
+      }
+      grupo.habilitacion[ventana.inicio] = leido.inicio;
+      grupo.habilitacion[ventana.fin] = leido.fin;
+      grupo.eventos.push(leido.evento);
+    });
+
+    return Array.from(grupos.values());
+  }
+
+  /**
+   * Previsualiza la importación de un calendario ICS sin guardar nada
+   * Cada fila es una habilitación propuesta con los errores que impiden
+   * crearla (trámite no encontrado, ya habilitado, fuera del catálogo...) y sus
+   * conflictos de fechas. Una fila con conflictos solo se importa si las
+   * opciones traen una justificación.
+   * @param {string} texto - Contenido del archivo ICS
+   * @param {Object} opciones - { sede, periodo, estado, justificacion }
+   * @returns {Object} { isValid, errors, filas: [{ habilitacion, eventos, errores, conflictos, incluir }] }
+   */
+  previsualizar(texto, opciones = {}) {
+    let eventos;
+    try {
+      eventos = ICalendar.parsear(texto);
+    } catch (error) {
+      return { isValid: false, errors: [error.message], filas: [] };
+    }
+    if (eventos.length === 0) {
+      return {
+        isValid: false,
+        errors: ['El calendario no tiene eventos'],
+        filas: [],
+      };
+    }
+
+    const service = this.habilitarTramiteService;
+    const justificacion = (opciones.justificacion || '').trim();
+    const incluidas = [];
+    const filas = this.agrupar(
+      eventos.map(evento => this.leerEvento(evento, opciones)),
+      opciones
+    ).map(({ habilitacion, eventos, errores }) => {
+      if (errores.length === 0) {
+        errores.push(
+          ...service.periodoCopier.getErroresCopia(habilitacion, incluidas)
+        );
+      }
+      const conflictos =
+        errores.length === 0
+          ? service.conflictAnalyzer.analizar(habilitacion, {
+              adicionales: incluidas,
+            })
+          : [];
+      if (conflictos.length > 0) {
+        habilitacion.justificacionConflictos = justificacion;
+      }
+
+      const incluir =
+        errores.length === 0 &&
+        (conflictos.length === 0 || justificacion !== '');
+      if (incluir) {
+        incluidas.push(habilitacion);
+      }
+
+      return { habilitacion, eventos, errores, conflictos, incluir };
+    });
+
+    return { isValid: true, errors: [], filas };
+  }
+
+  /**
+   * Importa las habilitaciones de un calendario ICS en una sola operación
+   * Se crean las filas que la previsualización marca para incluir; las demás
+   * se omiten.
+   * @param {string} texto - Contenido del archivo ICS
+   * @param {Object} opciones - { sede, periodo, estado, justificacion }
+   * @returns {Promise<Object>} { success, items, omitidas, errors, message }
+   */
+  async importar(texto, opciones = {}) {
+    const previa = this.previsualizar(texto, opciones);
+    if (!previa.isValid) {
+      return { success: false, errors: previa.errors };
+    }
+
+    const filas = previa.filas.filter(fila => fila.incluir);
+    if (filas.length === 0) {
+      return {
+        success: false,
+        errors: ['No hay habilitaciones que se puedan importar'],
+      };
+    }
+
+    const items = [];
+    const errors = [];
+    await this.habilitarTramiteService
+      .getJournal()
+      .runBatch('Importar habilitaciones desde ICS', async lote => {
+        for (const fila of filas) {
+          const result = await this.habilitarTramiteService.create(
+            fila.habilitacion,
+            lote
+          );
+          if (result.success) {
+            items.push(result.item);
+          } else {
+            errors.push(
+              `${this.habilitarTramiteService.getDisplayName(
+                fila.habilitacion
+              )}: ${result.errors.join(', ')}`
+            );
+          }
+        }
+      });
+
+    return {
+      success: items.length > 0,
+      items,
+      omitidas: previa.filas.length - items.length,
+      errors,
+      message: `${items.length} habilitación(es) importadas desde el calendario`,
+    };
+  }
+}
+
+// Dominio de los UID de los eventos exportados
+HabilitacionICS.DOMINIO_UID = 'config-tramite';
+
+// Texto de cada tipo de ventana en el resumen de los eventos
+HabilitacionICS.VENTANAS = {
+  principal: 'Ventana principal',
+  correccion: 'Corrección',
+};
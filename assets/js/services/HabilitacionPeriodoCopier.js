@@ -0,0 +1,289 @@
+/**
+ * Copia las habilitaciones de un periodo académico a otro
+ * Cada habilitación del periodo origen (en las sedes elegidas) se copia al
+ * periodo destino con sus fechas desplazadas los días que separan el inicio de
+ * ambos periodos. Antes de copiar se puede previsualizar el resultado con los
+ * conflictos de cada fila; la copia se registra como una sola operación que se
+ * deshace en un paso.
+ */
+class HabilitacionPeriodoCopier {
+  /**
+   * @param {HabilitarTramiteService} habilitarTramiteService - Servicio de habilitaciones
+   */
+  constructor(habilitarTramiteService) {
+    this.habilitarTramiteService = habilitarTramiteService;
+  }
+
+  /**
+   * Desplaza una fecha una cantidad de días
+   * @param {string} fecha - Fecha en formato YYYY-MM-DD
+   * @param {number} dias - Días a sumar (negativo para restar)
+   * @returns {string} Fecha desplazada o vacío si no hay fecha
+   */
+  static desplazarFecha(fecha, dias) {
+    if (!fecha) return '';
+
+    const [anio, mes, dia] = fecha.split('-').map(Number);
+    return new Date(Date.UTC(anio, mes - 1, dia + dias))
+      .toISOString()
+      .split('T')[0];
+  }
+
+  /**
+   * Calcula los días entre dos fechas
+   * @param {string} desde - Fecha en formato YYYY-MM-DD
+   * @param {string} hasta - Fecha en formato YYYY-MM-DD
+   * @returns {number} Días de desde a hasta
+   */
+  static diferenciaDias(desde, hasta) {
+    const aUTC = fecha => {
+      const [anio, mes, dia] = fecha.split('-').map(Number);
+      return Date.UTC(anio, mes - 1, dia);
+    };
+    return Math.round((aUTC(hasta) - aUTC(desde)) / 86400000);
+  }
+
+  /**
+   * Obtiene las sedes con habilitaciones en un periodo
+   * @param {string} periodoAcademico - Código del periodo
+   * @returns {Array} [{ sede, cantidad }] ordenadas por sede
+   */
+  getSedesOrigen(periodoAcademico) {
+    const cantidades = {};
+    this.getHabilitacionesOrigen(periodoAcademico).forEach(habilitacion => {
+      cantidades[habilitacion.sede] = (cantidades[habilitacion.sede] || 0) + 1;
+    });
+
+    return Object.keys(cantidades)
+      .sort((a, b) => a.localeCompare(b))
+      .map(sede => ({ sede, cantidad: cantidades[sede] }));
+  }
+
+  /**
+   * Obtiene las habilitaciones de un periodo en las sedes indicadas
+   * @param {string} periodoAcademico - Código del periodo
+   * @param {Array<string>|null} sedes - Códigos de sede; null para todas
+   * @returns {Array} Habilitaciones ordenadas por sede y trámite
+   */
+  getHabilitacionesOrigen(periodoAcademico, sedes = null) {
+    return this.habilitarTramiteService
+      .getAll()
+      .filter(
+        habilitacion =>
+          habilitacion.periodoAcademico === periodoAcademico &&
+          (!sedes || sedes.includes(habilitacion.sede))
+      )
+      .sort(
+        (a, b) =>
+          a.sede.localeCompare(b.sede) ||
+          (a.tramiteNombre || '').localeCompare(b.tramiteNombre || '')
+      );
+  }
+
+  /**
+   * Valida las opciones de la copia
+   * @param {Object} opciones - { origen, destino, sedes }
+   * @returns {Object} { isValid, errors, desplazamiento }
+   */
+  validarOpciones({ origen, destino, sedes }) {
+    const errors = [];
+
+    if (!origen || !destino) {
+      errors.push('Seleccione el periodo origen y el periodo destino');
+    } else if (origen === destino) {
+      errors.push('El periodo destino debe ser distinto del periodo origen');
+    }
+    if (!sedes || sedes.length === 0) {
+      errors.push('Seleccione al menos una sede');
+    }
+    if (errors.length > 0) {
+      return { isValid: false, errors, desplazamiento: null };
+    }
+
+    const limitesOrigen = HabilitarTramite.getLimitesPeriodo(origen);
+    const limitesDestino = HabilitarTramite.getLimitesPeriodo(destino);
+    if (!limitesOrigen || !limitesDestino) {
+      errors.push(
+        `No se conocen las fechas del periodo ${
+          limitesOrigen ? destino : origen
+        }`
+      );
+      return { isValid: false, errors, desplazamiento: null };
+    }
+
+    return {
+      isValid: true,
+      errors: [],
+      desplazamiento: HabilitacionPeriodoCopier.diferenciaDias(
+        limitesOrigen.inicio,
+        limitesDestino.inicio
+      ),
+    };
+  }
+
+  /**
+   * Genera la copia de una habilitación en el periodo destino
+   * @param {HabilitarTramite} original - Habilitación del periodo origen
+   * @param {Object} opciones - { destino, estado }
+   * @param {number} desplazamiento - Días a desplazar las fechas
+   * @returns {HabilitarTramite} Copia sin guardar
+   */
+  crearCopia(original, { destino, estado }, desplazamiento) {
+    const copia = new HabilitarTramite({
+      periodoAcademico: destino,
+      semestre: HabilitarTramite.calcularSemestre(destino),
+      sede: original.sede,
+      tramiteId: original.tramiteId,
+      tramiteNombre: original.tramiteNombre,
+      estado: estado || original.estado,
+    });
+
+    HabilitacionConflictAnalyzer.CAMPOS_FECHA.forEach(campo => {
+      copia[campo] = HabilitacionPeriodoCopier.desplazarFecha(
+        original[campo],
+        desplazamiento
+      );
+    });
+
+    return copia;
+  }
+
+  /**
+   * Previsualiza la copia de un periodo sin guardar nada
+   * Cada fila trae los errores que impiden copiarla (ya existe en el destino,
+   * sede fuera del catálogo...) y sus conflictos de fechas, que se comparan
+   * también con las filas anteriores. Una fila con conflictos solo se copia si
+   * las opciones traen una justificación.
+   * @param {Object} opciones - { origen, destino, sedes, estado, justificacion }
+   * @returns {Object} { isValid, errors, desplazamiento, filas: [{ original, copia, errores, conflictos, incluir }] }
+   */
+  previsualizar(opciones) {
+    const validacion = this.validarOpciones(opciones);
+    if (!validacion.isValid) {
+      return { ...validacion, filas: [] };
+    }
+
+    const justificacion = (opciones.justificacion || '').trim();
+    const incluidas = [];
+    const filas = this.getHabilitacionesOrigen(
+      opciones.origen,
+      opciones.sedes
+    ).map(original => {
+      const copia = this.crearCopia(
+        original,
+        opciones,
+        validacion.desplazamiento
+      );
+      const errores = this.getErroresCopia(copia, incluidas);
+      const conflictos = this.habilitarTramiteService.conflictAnalyzer.analizar(
+        copia,
+        { adicionales: incluidas }
+      );
+      if (conflictos.length > 0) {
+        copia.justificacionConflictos = justificacion;
+      }
+
+      const incluir =
+        errores.length === 0 &&
+        (conflictos.length === 0 || justificacion !== '');
+      if (incluir) {
+        incluidas.push(copia);
+      }
+
+      return { original, copia, errores, conflictos, incluir };
+    });
+
+    return {
+      isValid: true,
+      errors: [],
+      desplazamiento: validacion.desplazamiento,
+      filas,
+    };
+  }
+
+  /**
+   * Obtiene los errores que impiden copiar una habilitación
+   * @param {HabilitarTramite} copia - Copia a revisar
+   * @param {Array} incluidas - Copias anteriores que sí se van a guardar
+   * @returns {Array<string>} Errores
+   */
+  getErroresCopia(copia, incluidas) {
+    const service = this.habilitarTramiteService;
+    const errores = [
+      ...copia.validate().errors,
+      ...service.validarCatalogo(copia).errors,
+    ];
+
+    const duplicada =
+      !service.checkForDuplicates(copia).isValid ||
+      incluidas.some(
+        otra => otra.tramiteId === copia.tramiteId && otra.sede === copia.sede
+      );
+    if (duplicada) {
+      errores.push(
+        'El trámite ya está habilitado en el periodo destino y la sede'
+      );
+    }
+
+    if (!copia.getTramiteRelacionado()) {
+      errores.push('El trámite ya no existe en el sistema');
+    }
+
+    return errores;
+  }
+
+  /**
+   * Copia las habilitaciones de un periodo a otro en una sola operación
+   * Se copian las filas que la previsualización marca para incluir; las demás
+   * se omiten.
+   * @param {Object} opciones - { origen, destino, sedes, estado, justificacion }
+   * @returns {Promise<Object>} { success, items, omitidas, errors, message }
+   */
+  async copiar(opciones) {
+    const previa = this.previsualizar(opciones);
+    if (!previa.isValid) {
+      return { success: false, errors: previa.errors };
+    }
+
+    const filas = previa.filas.filter(fila => fila.incluir);
+    if (filas.length === 0) {
+      return {
+        success: false,
+        errors: ['No hay habilitaciones que se puedan copiar'],
+      };
+    }
+
+    const items = [];
+    const errors = [];
+    await this.habilitarTramiteService
+      .getJournal()
+      .runBatch(
+        `Copiar periodo ${opciones.origen} a ${opciones.destino}`,
+        async lote => {
+          for (const fila of filas) {
+            const result = await this.habilitarTramiteService.create(
+              fila.copia,
+              lote
+            );
+            if (result.success) {
+              items.push(result.item);
+            } else {
+              errors.push(
+                `${this.habilitarTramiteService.getDisplayName(
+                  fila.copia
+                )}: ${result.errors.join(', ')}`
+              );
+            }
+          }
+        }
+      );
+
+    return {
+      success: items.length > 0,
+      items,
+      omitidas: previa.filas.length - items.length,
+      errors,
+      message: `${items.length} habilitación(es) copiadas de ${opciones.origen} a ${opciones.destino}`,
+    };
+  }
+}
@@ -5,6 +5,10 @@
 class HabilitarTramiteService extends BaseService {
   constructor() {
     super('HabilitarTramite', 'habilitar_tramites');
+    this.conflictAnalyzer = new HabilitacionConflictAnalyzer(this);
+    this.periodoCopier = new HabilitacionPeriodoCopier(this);
+    this.cronograma = new HabilitacionCronograma(this);
+    this.calendarioICS = new HabilitacionICS(this);
   }
 
   /**
@@ -23,6 +27,96 @@ class HabilitarTramiteService extends BaseService {
     return new HabilitarTramite(data);
   }
 
+  /**
+   * Define las migraciones de esquema de los trámites habilitados
+   * @returns {Array} Migraciones
+   */
+  getMigrations() {
+    return [
+      {
+        version: 1,
+        descripcion: 'Estados "Activo"/"Inactivo" y semestre calculado',
+        migrate: data => ({
+          ...data,
+          estado: HabilitarTramite.normalizarEstado(data.estado),
+          semestre:
+            data.semestre ||
+            HabilitarTramite.calcularSemestre(data.periodoAcademico),
+        }),
+      },
+      {
+        version: 2,
+        descripcion: 'Justificación para guardar con conflictos de fechas',
+        migrate: data => ({
+          ...data,
+          justificacionConflictos: data.justificacionConflictos || '',
+        }),
+      },
+      {
+        version: 3,
+        descripcion: 'Versión de los documentos vigente al habilitar',
+        migrate: data => ({
+          ...data,
+          versionesDocumentos: data.versionesDocumentos || {},
+        }),
+      },
+    ];
+  }
+
+  /**
+   * Define las relaciones con otras entidades
+   * @returns {Array} Relaciones de la entidad
+   */
+  getRelations() {
+    return [
+      {
+        padre: 'Tramite',
+        campo: 'tramiteId',
+        onDelete: 'restrict',
+        descripcion: 'Un trámite con habilitaciones no se puede eliminar',
+      },
+      {
+        padre: 'PeriodoAcademico',
+        campo: 'periodoAcademico',
+        clave: 'codigo',
+        onDelete: 'restrict',
+        descripcion: 'Un periodo con habilitaciones no se puede eliminar',
+      },
+      {
+        padre: 'Sede',
+        campo: 'sede',
+        clave: 'codigo',
+        onDelete: 'restrict',
+        descripcion: 'Una sede con habilitaciones no se puede eliminar',
+      },
+    ];
+  }
+
+  /**
+   * Define los campos que se indexan para la búsqueda de texto
+   * @returns {Object} Peso de cada campo
+   */
+  getSearchFields() {
+    return {
+      tramiteNombre: 3,
+      periodoAcademico: 2,
+      sede: 2,
+      semestre: 1,
+    };
+  }
+
+  /**
+   * Obtiene un nombre legible de la habilitación
+   * @param {HabilitarTramite} habilitacion - Habilitación
+   * @returns {string} Nombre de la habilitación
+   */
+  getDisplayName(habilitacion) {
+    if (!habilitacion) return '';
+    return `${habilitacion.tramiteNombre || habilitacion.tramiteId} (${
+      habilitacion.periodoAcademico
+    }, ${habilitacion.sede})`;
+  }
+
   /**
    * Valida un item antes de crear
    * @param {HabilitarTramite} habilitarTramite - Trámite habilitado a validar
@@ -55,6 +149,17 @@ class HabilitarTramiteService extends BaseService {
         habilitarTramiteObj.tramiteNombre = tramiteRelacionado.nombre;
       }
 
+      const catalogo = this.validarCatalogo(habilitarTramiteObj);
+      if (!catalogo.isValid) {
+        return catalogo;
+      }
+
+      // Los conflictos de fechas solo se aceptan con justificación
+      const conflictos = this.conflictAnalyzer.validar(habilitarTramiteObj);
+      if (!conflictos.isValid) {
+        return { isValid: false, errors: conflictos.errors };
+      }
+
       return { isValid: true, data: habilitarTramiteObj };
     } catch (error) {
       console.error('❌ Error al validar item:', error);
@@ -62,6 +167,252 @@ class HabilitarTramiteService extends BaseService {
     }
   }
 
+  /**
+   * Valida el periodo y la sede contra sus catálogos
+   * Al editar solo se revisan si cambian: una habilitación ya guardada sigue
+   * siendo válida aunque después se cierre su periodo o se desactive su sede.
+   * @param {HabilitarTramite} habilitacion - Habilitación a guardar
+   * @param {HabilitarTramite|null} anterior - Habilitación antes de editarla
+   * @returns {Object} Resultado de la validación
+   */
+  validarCatalogo(habilitacion, anterior = null) {
+    const errors = [];
+    const registry = this.getRelationRegistry();
+    const periodoService = registry.getService('PeriodoAcademico');
+    const sedeService = registry.getService('Sede');
+
+    if (
+      periodoService &&
+      habilitacion.periodoAcademico &&
+      (!anterior || anterior.periodoAcademico !== habilitacion.periodoAcademico)
+    ) {
+      const periodo = periodoService.getByCodigo(habilitacion.periodoAcademico);
+      if (!periodo) {
+        errors.push(
+          `El periodo académico ${habilitacion.periodoAcademico} no está en el catálogo`
+        );
+      } else if (!periodo.abierto) {
+        errors.push(
+          `El periodo académico ${periodo.codigo} está cerrado y no admite habilitaciones`
+        );
+      }
+    }
+
+    if (
+      sedeService &&
+      habilitacion.sede &&
+      (!anterior || anterior.sede !== habilitacion.sede)
+    ) {
+      const sede = sedeService.getByCodigo(habilitacion.sede);
+      if (!sede) {
+        errors.push(`La sede ${habilitacion.sede} no está en el catálogo`);
+      } else if (!sede.activa) {
+        errors.push(
+          `La sede ${sedeService.getDisplayName(
+            sede
+          )} está inactiva y no admite habilitaciones`
+        );
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Valida datos de actualización
+   * Revisa el catálogo si cambian el periodo o la sede. Si cambian el trámite,
+   * la sede, el periodo, las fechas o se reactiva se vuelven a analizar los
+   * conflictos con las demás habilitaciones.
+   * @param {HabilitarTramite} habilitacion - Habilitación existente
+   * @param {Object} newData - Nuevos datos
+   * @returns {Object} Resultado de la validación
+   */
+  validateUpdateData(habilitacion, newData) {
+    const resultado = new HabilitarTramite({
+      ...habilitacion.toJSON(),
+      ...newData,
+    });
+
+    const catalogo = this.validarCatalogo(resultado, habilitacion);
+    if (!catalogo.isValid) {
+      return catalogo;
+    }
+
+    const cambiaVentana = HabilitarTramiteService.CAMPOS_CONFLICTO.some(
+      campo => campo in newData && newData[campo] !== habilitacion[campo]
+    );
+    if (!cambiaVentana) {
+      return { isValid: true, errors: [] };
+    }
+
+    // Una habilitación inactiva no entra en conflicto con ninguna otra
+    if (!resultado.isActivo()) {
+      return { isValid: true, errors: [] };
+    }
+
+    const conflictos = this.conflictAnalyzer.validar(resultado, {
+      excluirId: habilitacion.id,
+    });
+    return { isValid: conflictos.isValid, errors: conflictos.errors };
+  }
+
+  /**
+   * Analiza los conflictos de fechas de una habilitación sin guardarla
+   * @param {HabilitarTramite|Object} habilitacion - Habilitación a revisar
+   * @param {string|null} excluirId - ID de la habilitación que se edita
+   * @returns {Array} [{ tipo, mensaje, habilitacionId }]
+   */
+  analizarConflictos(habilitacion, excluirId = null) {
+    return this.conflictAnalyzer.analizar(habilitacion, { excluirId });
+  }
+
+  /**
+   * Obtiene las sedes con habilitaciones en un periodo
+   * @param {string} periodoAcademico - Código del periodo
+   * @returns {Array} [{ sede, cantidad }]
+   */
+  getSedesPeriodo(periodoAcademico) {
+    this.validateInitialization();
+    return this.periodoCopier.getSedesOrigen(periodoAcademico);
+  }
+
+  /**
+   * Previsualiza la copia de las habilitaciones de un periodo a otro
+   * @param {Object} opciones - { origen, destino, sedes, estado, justificacion }
+   * @returns {Object} { isValid, errors, desplazamiento, filas }
+   */
+  previsualizarCopiaPeriodo(opciones) {
+    this.validateInitialization();
+    return this.periodoCopier.previsualizar(opciones);
+  }
+
+  /**
+   * Copia las habilitaciones de un periodo a otro como una sola operación
+   * @param {Object} opciones - { origen, destino, sedes, estado, justificacion }
+   * @returns {Promise<Object>} { success, items, omitidas, errors, message }
+   */
+  async copiarPeriodo(opciones) {
+    try {
+      this.validateInitialization();
+      return await this.periodoCopier.copiar(opciones);
+    } catch (error) {
+      console.error('❌ Error al copiar el periodo académico:', error);
+      return {
+        success: false,
+        errors: ['Error interno al copiar el periodo académico'],
+      };
+    }
+  }
+
+  /**
+   * Obtiene los periodos que tienen habilitaciones, del más reciente al más antiguo
+   * @returns {Array<string>} Códigos de periodo
+   */
+  getPeriodosConHabilitaciones() {
+    this.validateInitialization();
+    return this.cronograma.getPeriodos();
+  }
+
+  /**
+   * Obtiene la línea de tiempo de las ventanas de un periodo
+   * @param {Object} opciones - { periodo, agrupar: 'sede' o 'tramite' }
+   * @returns {Object} { periodo, agrupar, rango, grupos }
+   */
+  getLineaTiempo(opciones) {
+    this.validateInitialization();
+    return this.cronograma.getLineaTiempo(opciones);
+  }
+
+  /**
+   * Obtiene el calendario de un mes con las ventanas de un periodo
+   * @param {Object} opciones - { periodo, mes } con mes en formato YYYY-MM (opcional)
+   * @returns {Object} { periodo, mes, semanas }
+   */
+  getCalendarioMes(opciones) {
+    this.validateInitialization();
+    return this.cronograma.getMes(opciones);
+  }
+
+  /**
+   * Valida el cambio de una fecha de ventana como lo hace el formulario
+   * @param {HabilitarTramite} habilitacion - Habilitación que se modifica
+   * @param {string} campo - Campo de fecha que cambia
+   * @param {string} fecha - Nueva fecha en formato YYYY-MM-DD
+   * @returns {Object} { isValid, errors }
+   */
+  validarFechaVentana(habilitacion, campo, fecha) {
+    return this.cronograma.validarMovimiento(habilitacion, campo, fecha);
+  }
+
+  /**
+   * Cambia una fecha de ventana de una habilitación
+   * Se usa al arrastrar el borde de una barra del cronograma: primero se
+   * valida como en el formulario y luego se guarda con las validaciones de
+   * catálogo y conflictos de update().
+   * @param {string} id - ID de la habilitación
+   * @param {string} campo - Campo de fecha que cambia
+   * @param {string} fecha - Nueva fecha en formato YYYY-MM-DD
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async moverFechaVentana(id, campo, fecha) {
+    this.validateInitialization();
+
+    const habilitacion = this.getById(id);
+    if (!habilitacion) {
+      return { success: false, errors: ['Habilitación no encontrada'] };
+    }
+
+    const validacion = this.validarFechaVentana(habilitacion, campo, fecha);
+    if (!validacion.isValid) {
+      return { success: false, errors: validacion.errors };
+    }
+
+    return await this.update(id, { [campo]: fecha });
+  }
+
+  /**
+   * Exporta las ventanas de las habilitaciones a un calendario ICS
+   * @param {Object} filtros - { sede, periodo, tramiteId }; vacío para todos
+   * @returns {Object} { contenido, cantidad }
+   */
+  exportarICS(filtros = {}) {
+    this.validateInitialization();
+    return this.calendarioICS.exportar(filtros);
+  }
+
+  /**
+   * Previsualiza las habilitaciones que propone un calendario ICS
+   * @param {string} texto - Contenido del archivo ICS
+   * @param {Object} opciones - { sede, periodo, estado, justificacion }
+   * @returns {Object} { isValid, errors, filas }
+   */
+  previsualizarImportacionICS(texto, opciones = {}) {
+    this.validateInitialization();
+    return this.calendarioICS.previsualizar(texto, opciones);
+  }
+
+  /**
+   * Importa las habilitaciones de un calendario ICS como una sola operación
+   * @param {string} texto - Contenido del archivo ICS
+   * @param {Object} opciones - { sede, periodo, estado, justificacion }
+   * @returns {Promise<Object>} { success, items, omitidas, errors, message }
+   */
+  async importarICS(texto, opciones = {}) {
+    try {
+      this.validateInitialization();
+      return await this.calendarioICS.importar(texto, opciones);
+    } catch (error) {
+      console.error('❌ Error al importar el calendario ICS:', error);
+      return {
+        success: false,
+        errors: ['Error interno al importar el calendario ICS'],
+      };
+    }
+  }
+
   /**
    * Verifica duplicados antes de crear
    * @param {HabilitarTramite} habilitarTramite - Trámite habilitado a verificar
@@ -87,14 +438,44 @@ class HabilitarTramiteService extends BaseService {
     return { isValid: true };
   }
 
+  /**
+   * Obtiene la versión vigente de cada documento vinculado a un trámite
+   * @param {string} tramiteId - ID del trámite
+   * @returns {Object} { [documentoId]: version }
+   */
+  getVersionesVigentes(tramiteId) {
+    const registry = this.getRelationRegistry();
+    const vinculacionService = registry.getService('Vinculacion');
+    const documentoService = registry.getService('Documento');
+    const versiones = {};
+    if (!vinculacionService || !documentoService) return versiones;
+
+    vinculacionService.getByTramiteId(tramiteId).forEach(vinculacion => {
+      const documento = documentoService.getById(vinculacion.documentoId);
+      if (documento) {
+        versiones[documento.id] = documento.version;
+      }
+    });
+    return versiones;
+  }
+
   /**
    * Crea un nuevo trámite habilitado
+   * La habilitación queda con la versión vigente de los documentos del trámite:
+   * los cambios posteriores de los documentos no cambian su formulario.
    * @param {Object} data - Datos del trámite habilitado
+   * @param {Object|null} lote - Lote del diario al que se suma la escritura
    * @returns {Object} Resultado de la operación
    */
-  async create(data) {
+  async create(data, lote = null) {
     try {
-      const result = await super.create(data);
+      const habilitacion =
+        data instanceof HabilitarTramite ? data : new HabilitarTramite(data);
+      habilitacion.versionesDocumentos = this.getVersionesVigentes(
+        habilitacion.tramiteId
+      );
+
+      const result = await super.create(habilitacion, lote);
       return result;
     } catch (error) {
       console.error('❌ Error en HabilitarTramiteService.create():', error);
@@ -105,6 +486,41 @@ class HabilitarTramiteService extends BaseService {
     }
   }
 
+  /**
+   * Registra la copia de un trámite habilitado
+   * No verifica duplicados: la copia comparte periodo, sede y trámite con el original.
+   * @param {HabilitarTramite|Object} habilitarTramite - Trámite habilitado duplicado
+   * @returns {Object} Resultado de la operación
+   */
+  async createDuplicado(habilitarTramite) {
+    try {
+      this.validateInitialization();
+
+      const duplicado =
+        habilitarTramite instanceof HabilitarTramite
+          ? habilitarTramite
+          : new HabilitarTramite(habilitarTramite);
+      duplicado.versionesDocumentos = this.getVersionesVigentes(
+        duplicado.tramiteId
+      );
+
+      this.items.push(duplicado);
+      await this.persistItem(duplicado);
+
+      return {
+        success: true,
+        item: duplicado,
+        message: 'Trámite habilitado duplicado exitosamente',
+      };
+    } catch (error) {
+      console.error('❌ Error al duplicar trámite habilitado:', error);
+      return {
+        success: false,
+        errors: ['Error interno al duplicar el trámite habilitado'],
+      };
+    }
+  }
+
   /**
    * Busca trámites habilitados por criterios
    * @param {Object} criterios - Criterios de búsqueda
@@ -128,10 +544,11 @@ class HabilitarTramiteService extends BaseService {
   /**
    * Obtiene trámites habilitados por ID de trámite específico
    * @param {string} tramiteId - ID del trámite
+   * @param {Object} options - Opciones de consulta ({ includeDeleted })
    * @returns {Array} Array de trámites habilitados para ese trámite
    */
-  getByTramiteId(tramiteId) {
-    return this.items.filter(item => item.tramiteId === tramiteId);
+  getByTramiteId(tramiteId, options = {}) {
+    return this.getItems(options).filter(item => item.tramiteId === tramiteId);
   }
 
   /**
@@ -159,15 +576,7 @@ class HabilitarTramiteService extends BaseService {
     if (!termino || termino.trim() === '') {
       return this.items;
     }
-
-    const terminoLower = termino.toLowerCase();
-    return this.items.filter(
-      item =>
-        item.periodoAcademico.toLowerCase().includes(terminoLower) ||
-        item.semestre.toLowerCase().includes(terminoLower) ||
-        item.sede.toLowerCase().includes(terminoLower) ||
-        item.tramiteNombre.toLowerCase().includes(terminoLower)
-    );
+    return this.searchText(termino);
   }
 
   /**
@@ -214,8 +623,18 @@ class HabilitarTramiteService extends BaseService {
    * @returns {Array} Array de trámites habilitados de ejemplo
    */
   generateSampleData(cantidad = 5) {
-    const periodosAcademicos = ['2025-1', '2025-2', '2026-1', '2026-2'];
-    const sedes = ['Cartagena', 'Barranquilla', 'Santa Marta', 'Montería'];
+    const registry = this.getRelationRegistry();
+    const periodoService = registry.getService('PeriodoAcademico');
+    const sedeService = registry.getService('Sede');
+    const periodosAcademicos = periodoService
+      ? periodoService.getAbiertos().map(periodo => periodo.codigo)
+      : PeriodoAcademicoService.CODIGOS_INICIALES;
+    const sedes = sedeService
+      ? sedeService.getActivas().map(sede => sede.codigo)
+      : SedeService.CODIGOS_INICIALES;
+    if (periodosAcademicos.length === 0 || sedes.length === 0) {
+      return [];
+    }
     const tramites = [
       { id: 'tramite_1', nombre: 'Matrícula Académica' },
       { id: 'tramite_2', nombre: 'Cambio de Programa' },
@@ -273,3 +692,12 @@ class HabilitarTramiteService extends BaseService {
     );
   }
 }
+
+// Campos que, al cambiar, obligan a revisar los conflictos de fechas
+HabilitarTramiteService.CAMPOS_CONFLICTO = [
+  'tramiteId',
+  'sede',
+  'periodoAcademico',
+  'estado',
+  ...HabilitacionConflictAnalyzer.CAMPOS_FECHA,
+];
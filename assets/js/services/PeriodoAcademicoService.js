@@ -0,0 +1,229 @@
+/**
+ * Servicio para el catálogo de periodos académicos
+ * Las habilitaciones apuntan a los periodos por su código, por eso un código
+ * en uso no se puede cambiar y un periodo en uso no se puede eliminar.
+ */
+class PeriodoAcademicoService extends BaseService {
+  constructor() {
+    super('PeriodoAcademico', 'periodos_academicos');
+  }
+
+  /**
+   * Inicializa el servicio
+   */
+  async initialize() {
+    await super.initialize();
+  }
+
+  /**
+   * Crea una entidad desde datos
+   * @param {Object} data - Datos de la entidad
+   * @returns {PeriodoAcademico} Entidad creada
+   */
+  createEntityFromData(data) {
+    return new PeriodoAcademico(data);
+  }
+
+  /**
+   * Obtiene un nombre legible del periodo
+   * @param {PeriodoAcademico} periodo - Periodo académico
+   * @returns {string} Código del periodo
+   */
+  getDisplayName(periodo) {
+    return periodo ? periodo.codigo : '';
+  }
+
+  /**
+   * Valida un item antes de crear
+   * @param {PeriodoAcademico|Object} periodo - Periodo a validar
+   * @returns {Object} Resultado de la validación
+   */
+  validateItem(periodo) {
+    const periodoObj =
+      periodo instanceof PeriodoAcademico
+        ? periodo
+        : new PeriodoAcademico(periodo);
+
+    const validation = periodoObj.validate();
+    if (!validation.isValid) {
+      return { isValid: false, errors: validation.errors };
+    }
+
+    return { isValid: true, data: periodoObj };
+  }
+
+  /**
+   * Verifica que no exista otro periodo con el mismo código
+   * @param {PeriodoAcademico} periodo - Periodo a verificar
+   * @returns {Object} Resultado de la verificación
+   */
+  checkForDuplicates(periodo) {
+    // Incluye la papelera; al restaurar el mismo item no cuenta como duplicado
+    const existente = this.getByCodigo(periodo.codigo, {
+      includeDeleted: true,
+    });
+    if (existente && existente.id !== periodo.id) {
+      return {
+        isValid: false,
+        errors: [
+          `Ya existe un periodo académico con el código ${periodo.codigo}`,
+        ],
+      };
+    }
+
+    return { isValid: true, errors: [] };
+  }
+
+  /**
+   * Valida datos de actualización
+   * El código solo se puede cambiar si ninguna habilitación lo usa.
+   * @param {PeriodoAcademico} periodo - Periodo existente
+   * @param {Object} newData - Nuevos datos
+   * @returns {Object} Resultado de la validación
+   */
+  validateUpdateData(periodo, newData) {
+    const resultado = new PeriodoAcademico({ ...periodo.toJSON(), ...newData });
+    const errors = [...resultado.validate().errors];
+
+    if (resultado.codigo !== periodo.codigo) {
+      const existente = this.getByCodigo(resultado.codigo, {
+        includeDeleted: true,
+      });
+      if (existente && existente.id !== periodo.id) {
+        errors.push(
+          `Ya existe un periodo académico con el código ${resultado.codigo}`
+        );
+      }
+
+      const enUso = this.getCantidadEnUso(periodo.id);
+      if (enUso > 0) {
+        errors.push(
+          `El código ${periodo.codigo} no se puede cambiar porque lo usan ${enUso} habilitación(es)`
+        );
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Obtiene un periodo por código
+   * @param {string} codigo - Código del periodo
+   * @param {Object} options - Opciones de consulta ({ includeDeleted })
+   * @returns {PeriodoAcademico|null} Periodo o null
+   */
+  getByCodigo(codigo, options = {}) {
+    this.validateInitialization();
+    return (
+      this.getItems(options).find(periodo => periodo.codigo === codigo) || null
+    );
+  }
+
+  /**
+   * Obtiene los periodos ordenados del más reciente al más antiguo
+   * @returns {Array} Periodos académicos
+   */
+  getOrdenados() {
+    return this.query({ sort: ['-fechaInicio', 'codigo'] }).items;
+  }
+
+  /**
+   * Obtiene los periodos abiertos, en los que se pueden habilitar trámites
+   * @returns {Array} Periodos abiertos ordenados
+   */
+  getAbiertos() {
+    return this.getOrdenados().filter(periodo => periodo.abierto);
+  }
+
+  /**
+   * Cuenta los registros que usan un periodo
+   * @param {string} id - ID del periodo
+   * @returns {number} Cantidad de registros relacionados
+   */
+  getCantidadEnUso(id) {
+    return this.getRelationRegistry()
+      .getDependents(this, id)
+      .reduce((total, { items }) => total + items.length, 0);
+  }
+
+  /**
+   * Completa el catálogo con los periodos por defecto y los que ya se usan
+   * Los periodos por defecto solo se agregan la primera vez (catálogo vacío).
+   * Las fechas de un código en uso que no tiene el formato AAAA-1/AAAA-2 se
+   * toman de las habilitaciones que lo usan.
+   * @param {Array} habilitaciones - Habilitaciones existentes
+   * @param {Object|null} lote - Lote del diario al que se suman los agregados
+   * @returns {Promise<number>} Cantidad de periodos agregados
+   */
+  async asegurarCatalogo(habilitaciones = [], lote = null) {
+    this.validateInitialization();
+
+    const primeraVez =
+      this.items.length === 0 && this.deletedItems.length === 0;
+    const codigos = new Set([
+      ...(primeraVez ? PeriodoAcademicoService.CODIGOS_INICIALES : []),
+      ...habilitaciones.map(habilitacion => habilitacion.periodoAcademico),
+    ]);
+
+    const nuevos = [];
+    codigos.forEach(codigo => {
+      if (!codigo || this.getByCodigo(codigo, { includeDeleted: true })) {
+        return;
+      }
+
+      const limites =
+        PeriodoAcademico.inferirLimites(codigo) ||
+        this.getRangoEnUso(codigo, habilitaciones);
+      const periodo = new PeriodoAcademico({
+        codigo,
+        fechaInicio: limites ? limites.inicio : '',
+        fechaFin: limites ? limites.fin : '',
+      });
+      if (periodo.validate().isValid) {
+        nuevos.push(periodo);
+      } else {
+        console.warn(
+          `⚠️ No se pudo agregar al catálogo el periodo ${codigo}: sin fechas válidas`
+        );
+      }
+    });
+
+    if (nuevos.length > 0) {
+      this.items.push(...nuevos);
+      await this.persistItems(nuevos, null, lote);
+    }
+    return nuevos.length;
+  }
+
+  /**
+   * Obtiene el rango de fechas de las habilitaciones de un periodo
+   * @param {string} codigo - Código del periodo
+   * @param {Array} habilitaciones - Habilitaciones existentes
+   * @returns {Object|null} { inicio, fin } o null si no hay fechas
+   */
+  getRangoEnUso(codigo, habilitaciones) {
+    const fechas = habilitaciones
+      .filter(habilitacion => habilitacion.periodoAcademico === codigo)
+      .flatMap(habilitacion =>
+        HabilitacionConflictAnalyzer.CAMPOS_FECHA.map(
+          campo => habilitacion[campo]
+        )
+      )
+      .filter(Boolean)
+      .sort();
+    if (fechas.length === 0) return null;
+
+    return { inicio: fechas[0], fin: fechas[fechas.length - 1] };
+  }
+}
+
+// Periodos con que se crea el catálogo la primera vez
+PeriodoAcademicoService.CODIGOS_INICIALES = [
+  '2025-1',
+  '2025-2',
+  '2026-1',
+  '2026-2',
+];
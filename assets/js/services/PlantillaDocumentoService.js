@@ -0,0 +1,508 @@
+/**
+ * Servicio para la biblioteca de plantillas de documentos
+ * Guarda documentos reutilizables con sus campos, crea documentos nuevos a
+ * partir de ellas y lleva a los documentos derivados los cambios de una
+ * plantilla. Las plantillas se comparten como archivos JSON.
+ */
+class PlantillaDocumentoService extends BaseService {
+  constructor() {
+    super('PlantillaDocumento', 'plantillas_documentos');
+  }
+
+  /**
+   * Inicializa el servicio
+   */
+  async initialize() {
+    await super.initialize();
+  }
+
+  /**
+   * Crea una entidad desde datos
+   * @param {Object} data - Datos de la entidad
+   * @returns {PlantillaDocumento} Entidad creada
+   */
+  createEntityFromData(data) {
+    return new PlantillaDocumento(data);
+  }
+
+  /**
+   * Define los campos que se guardan cifrados
+   * Los datos de la plantilla incluyen el responsable de validación.
+   * @returns {Array<string>} Campos sensibles
+   */
+  getSensitiveFields() {
+    return ['datos'];
+  }
+
+  /**
+   * Define los campos que se indexan para la búsqueda de texto
+   * @returns {Object} Peso de cada campo
+   */
+  getSearchFields() {
+    return {
+      nombre: 3,
+      descripcion: 1,
+    };
+  }
+
+  /**
+   * Valida un item antes de crear
+   * @param {PlantillaDocumento} plantilla - Plantilla a validar
+   * @returns {Object} Resultado de la validación
+   */
+  validateItem(plantilla) {
+    const plantillaObj =
+      plantilla instanceof PlantillaDocumento
+        ? plantilla
+        : new PlantillaDocumento(plantilla);
+
+    const validation = plantillaObj.validate();
+    if (!validation.isValid) {
+      return { isValid: false, errors: validation.errors };
+    }
+
+    return { isValid: true, data: plantillaObj };
+  }
+
+  /**
+   * Verifica que no exista otra plantilla con el mismo nombre
+   * @param {PlantillaDocumento} plantilla - Plantilla a verificar
+   * @returns {Object} Resultado de la verificación
+   */
+  checkForDuplicates(plantilla) {
+    const existente = this.getByNombre(plantilla.nombre);
+    if (existente && existente.id !== plantilla.id) {
+      return {
+        isValid: false,
+        errors: [`Ya existe una plantilla con el nombre "${plantilla.nombre}"`],
+      };
+    }
+
+    return { isValid: true, errors: [] };
+  }
+
+  /**
+   * Valida los datos antes de actualizar
+   * @param {PlantillaDocumento} plantilla - Plantilla existente
+   * @param {Object} newData - Nuevos datos
+   * @returns {Object} Resultado de la validación
+   */
+  validateUpdateData(plantilla, newData) {
+    const resultado = new PlantillaDocumento({
+      ...plantilla.toJSON(),
+      ...newData,
+    });
+
+    const validation = resultado.validate();
+    if (!validation.isValid) {
+      return validation;
+    }
+
+    return this.checkForDuplicates(resultado);
+  }
+
+  /**
+   * Obtiene una plantilla por su nombre, sin distinguir mayúsculas
+   * @param {string} nombre - Nombre de la plantilla
+   * @returns {PlantillaDocumento|null} Plantilla o null si no existe
+   */
+  getByNombre(nombre) {
+    const buscado = (nombre || '').trim().toLowerCase();
+    return (
+      this.items.find(
+        plantilla => plantilla.nombre.toLowerCase() === buscado
+      ) || null
+    );
+  }
+
+  /**
+   * Obtiene las plantillas activas ordenadas por nombre
+   * @returns {Array<PlantillaDocumento>} Plantillas activas
+   */
+  getActivas() {
+    this.validateInitialization();
+    return this.items
+      .filter(plantilla => plantilla.isActivo())
+      .sort((a, b) => a.nombre.localeCompare(b.nombre));
+  }
+
+  /**
+   * Obtiene los documentos creados desde una plantilla
+   * @param {string} plantillaId - ID de la plantilla
+   * @returns {Array<Documento>} Documentos derivados
+   */
+  getDocumentosDerivados(plantillaId) {
+    const documentoService = this.getRelationRegistry().getService('Documento');
+    return documentoService
+      ? documentoService
+          .getItems()
+          .filter(documento => documento.plantillaId === plantillaId)
+      : [];
+  }
+
+  /**
+   * Guarda un documento y sus campos como plantilla
+   * @param {string} documentoId - ID del documento
+   * @param {Object} data - { nombre, descripcion } de la plantilla
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async crearDesdeDocumento(documentoId, data = {}) {
+    const { documento, campos } = this.getContenidoDocumento(documentoId);
+    if (!documento) {
+      return { success: false, errors: ['Documento no encontrado'] };
+    }
+
+    return await this.create(
+      PlantillaDocumento.fromDocumento(documento, campos, data)
+    );
+  }
+
+  /**
+   * Crea un documento a partir de una plantilla
+   * @param {string} plantillaId - ID de la plantilla
+   * @param {Object} overrides - Datos del documento que reemplazan los de la plantilla
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async instanciar(plantillaId, overrides = {}) {
+    try {
+      this.validateInitialization();
+
+      const plantilla = this.getById(plantillaId);
+      if (!plantilla) {
+        return { success: false, errors: ['Plantilla no encontrada'] };
+      }
+
+      const documentoService =
+        this.getRelationRegistry().getService('Documento');
+      return await this.getJournal().runBatch(
+        `Crear documento desde la plantilla "${plantilla.nombre}"`,
+        async lote =>
+          await documentoService.createDocumentoFromForm(
+            plantilla.getFormData(overrides),
+            plantilla.getCampos(),
+            lote
+          )
+      );
+    } catch (error) {
+      console.error('❌ Error al instanciar la plantilla:', error);
+      return {
+        success: false,
+        errors: ['Error al crear el documento desde la plantilla'],
+      };
+    }
+  }
+
+  /**
+   * Actualiza una plantilla y, si se pide, lleva el cambio a sus documentos
+   * El contenido (datos y campos) sube la versión de la plantilla y se guarda
+   * el de la versión anterior. Al propagar, cada documento derivado recibe solo
+   * lo que cambió en la plantilla desde su versión, así que conserva lo que se
+   * ajustó en él y los campos que se le agregaron.
+   * @param {string} plantillaId - ID de la plantilla
+   * @param {Object} data - { nombre, descripcion, datos, campos }
+   * @param {Object} opciones - { propagar, autor }
+   * @returns {Promise<Object>} { success, item, actualizados, errores, message }
+   */
+  async actualizar(plantillaId, data, { propagar = false, autor } = {}) {
+    try {
+      this.validateInitialization();
+
+      const plantilla = this.getById(plantillaId);
+      if (!plantilla) {
+        return { success: false, errors: ['Plantilla no encontrada'] };
+      }
+
+      const cambios = { ...data };
+      if (
+        new PlantillaDocumento({
+          ...plantilla.toJSON(),
+          ...data,
+        }).cambiaContenido(plantilla)
+      ) {
+        cambios.version = plantilla.version + 1;
+        cambios.anteriores = [
+          ...plantilla.anteriores,
+          plantilla.getContenido(plantilla.version),
+        ];
+      }
+
+      return await this.getJournal().runBatch(
+        `Actualizar plantilla "${plantilla.nombre}"`,
+        async lote => {
+          const result = await this.update(plantillaId, cambios, lote);
+          if (!result.success) return result;
+
+          const actualizados = [];
+          const errores = [];
+          if (propagar) {
+            for (const documento of this.getDocumentosDerivados(plantillaId)) {
+              if (documento.plantillaVersion === plantilla.version) continue;
+
+              const propagado = await this.propagarCambios(
+                plantilla,
+                documento,
+                autor,
+                lote
+              );
+              if (propagado.success) {
+                actualizados.push(documento);
+              } else {
+                errores.push(
+                  `${documento.nombreDocumento}: ${propagado.errors.join(', ')}`
+                );
+              }
+            }
+          }
+
+          return {
+            success: true,
+            item: plantilla,
+            actualizados,
+            errores,
+            message: propagar
+              ? `Plantilla "${plantilla.nombre}" actualizada (versión ${plantilla.version}); ${actualizados.length} documento(s) actualizado(s)`
+              : `Plantilla "${plantilla.nombre}" actualizada (versión ${plantilla.version})`,
+          };
+        }
+      );
+    } catch (error) {
+      console.error('❌ Error al actualizar la plantilla:', error);
+      return {
+        success: false,
+        errors: this.getPersistenceErrors(
+          error,
+          'Error al actualizar la plantilla'
+        ),
+      };
+    }
+  }
+
+  /**
+   * Reemplaza el contenido de una plantilla con el de un documento
+   * Sirve para ajustar la plantilla editando uno de sus documentos.
+   * @param {string} plantillaId - ID de la plantilla
+   * @param {string} documentoId - ID del documento
+   * @param {Object} opciones - { propagar, autor }
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async actualizarDesdeDocumento(plantillaId, documentoId, opciones = {}) {
+    const { documento, campos } = this.getContenidoDocumento(documentoId);
+    if (!documento) {
+      return { success: false, errors: ['Documento no encontrado'] };
+    }
+
+    const plantilla = this.getById(plantillaId);
+    const datos = PlantillaDocumento.extraerDatos(documento);
+    // El nombre sugerido de la plantilla no cambia por el de un documento
+    if (plantilla) {
+      datos.nombreDocumento = plantilla.datos.nombreDocumento;
+    }
+
+    return await this.actualizar(plantillaId, { datos, campos }, opciones);
+  }
+
+  /**
+   * Lleva a un documento derivado lo que cambió en su plantilla
+   * Solo se copian los datos y campos que cambiaron entre la versión de la
+   * que salió el documento y la actual; los campos que la plantilla quitó se
+   * inactivan y los propios del documento se conservan. Si no se conoce esa
+   * versión (p. ej. una plantilla importada) el documento recibe todo el
+   * contenido de la plantilla. El cambio queda como una versión nueva del
+   * documento.
+   * @param {PlantillaDocumento} plantilla - Plantilla actualizada
+   * @param {Documento} documento - Documento derivado
+   * @param {string} autor - Usuario que propaga el cambio
+   * @param {Object|null} lote - Lote del diario al que se suma la versión nueva
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async propagarCambios(plantilla, documento, autor, lote = null) {
+    const registry = this.getRelationRegistry();
+    const documentoService = registry.getService('Documento');
+    const campoService = documentoService.getCampoService();
+
+    const base = plantilla.getContenido(documento.plantillaVersion) || {
+      datos: {},
+      campos: [],
+    };
+
+    const datos = { plantillaVersion: plantilla.version };
+    PlantillaDocumento.DATOS_PLANTILLA.filter(
+      campo => campo !== 'nombreDocumento'
+    ).forEach(campo => {
+      if (
+        plantilla.datos[campo] !== undefined &&
+        JSON.stringify(plantilla.datos[campo]) !==
+          JSON.stringify(base.datos[campo])
+      ) {
+        datos[campo] = plantilla.datos[campo];
+      }
+    });
+
+    const clave = campo => campo.nombreCampo.trim().toLowerCase();
+    const anteriores = new Map(base.campos.map(campo => [clave(campo), campo]));
+    const actuales = campoService
+      ? campoService.getCamposByDocumentoId(documento.id)
+      : [];
+    const porNombre = new Map(actuales.map(campo => [clave(campo), campo]));
+
+    const campos = [];
+    plantilla.campos.forEach(campo => {
+      const propio = porNombre.get(clave(campo));
+      const cambio =
+        JSON.stringify(campo) !==
+        JSON.stringify(anteriores.get(clave(campo)) || null);
+      if (!propio) {
+        campos.push({ ...campo, documentoId: documento.id });
+      } else {
+        campos.push(
+          cambio ? { ...propio.toJSON(), ...campo } : propio.toJSON()
+        );
+      }
+    });
+    actuales
+      .filter(
+        campo =>
+          !plantilla.campos.some(item => clave(item) === clave(campo)) &&
+          !anteriores.has(clave(campo))
+      )
+      .forEach(campo => campos.push(campo.toJSON()));
+
+    const validation = new Documento({
+      ...documento.toJSON(),
+      ...datos,
+    }).validateCrearDocumento();
+    validation.errors.push(
+      ...FieldRuleEngine.validateRules(
+        campos.map(campo => new CampoDocumento(campo))
+      ).errors
+    );
+    if (validation.errors.length > 0) {
+      return { success: false, errors: validation.errors };
+    }
+
+    await documentoService.guardarRevision(
+      documento,
+      datos,
+      {
+        autor,
+        nota: `Cambios de la plantilla "${plantilla.nombre}" (versión ${plantilla.version})`,
+        campos,
+      },
+      lote
+    );
+    return { success: true };
+  }
+
+  /**
+   * Obtiene un documento y sus campos activos
+   * @param {string} documentoId - ID del documento
+   * @returns {Object} { documento, campos } con documento null si no existe
+   */
+  getContenidoDocumento(documentoId) {
+    const documentoService = this.getRelationRegistry().getService('Documento');
+    const documento = documentoService
+      ? documentoService.getById(documentoId)
+      : null;
+    const campoService = documento ? documentoService.getCampoService() : null;
+    return {
+      documento,
+      campos: campoService
+        ? campoService.getCamposByDocumentoId(documentoId)
+        : [],
+    };
+  }
+
+  /**
+   * Exporta plantillas a un archivo JSON para compartirlas
+   * @param {Array<string>|null} ids - IDs de las plantillas; null para todas las activas
+   * @returns {string} Contenido JSON
+   */
+  exportarJSON(ids = null) {
+    this.validateInitialization();
+    const plantillas = ids
+      ? ids.map(id => this.getById(id)).filter(Boolean)
+      : this.getActivas();
+
+    return JSON.stringify(
+      {
+        formato: PlantillaDocumento.FORMATO_ARCHIVO,
+        plantillas: plantillas.map(
+          ({ nombre, descripcion, version, datos, campos }) => ({
+            nombre,
+            descripcion,
+            version,
+            datos,
+            campos,
+          })
+        ),
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Importa plantillas desde un archivo JSON
+   * Las plantillas cuyo nombre ya existe se omiten; la importación completa se
+   * deshace en un paso.
+   * @param {string} texto - Contenido del archivo
+   * @returns {Promise<Object>} { success, imported, omitidas, message } o { success: false, errors }
+   */
+  async importarJSON(texto) {
+    let datos;
+    try {
+      datos = JSON.parse(texto);
+    } catch (error) {
+      return { success: false, errors: ['El archivo no es un JSON válido'] };
+    }
+    if (
+      !datos ||
+      datos.formato !== PlantillaDocumento.FORMATO_ARCHIVO ||
+      !Array.isArray(datos.plantillas)
+    ) {
+      return {
+        success: false,
+        errors: ['El archivo no contiene plantillas de documentos'],
+      };
+    }
+
+    try {
+      this.validateInitialization();
+
+      const omitidas = [];
+      let imported = 0;
+      await this.getJournal().runBatch('Importar plantillas', async lote => {
+        for (const data of datos.plantillas) {
+          // Se guarda como plantilla nueva aunque venga con ID
+          const plantilla = new PlantillaDocumento({ ...data, id: undefined });
+          const result = await this.create(plantilla, lote);
+          if (result.success) {
+            imported++;
+          } else {
+            omitidas.push(
+              `${plantilla.nombre || 'Sin nombre'}: ${result.errors.join(', ')}`
+            );
+          }
+        }
+      });
+
+      return {
+        success: true,
+        imported,
+        omitidas,
+        message: `${imported} plantilla(s) importada(s)${
+          omitidas.length > 0 ? `, ${omitidas.length} omitida(s)` : ''
+        }`,
+      };
+    } catch (error) {
+      console.error('❌ Error al importar plantillas:', error);
+      return {
+        success: false,
+        errors: this.getPersistenceErrors(
+          error,
+          'Error al importar las plantillas'
+        ),
+      };
+    }
+  }
+}
@@ -0,0 +1,976 @@
+/**
+ * Servicio para manejo de radicaciones
+ * Guarda los documentos que radican los solicitantes en una habilitación y
+ * lleva su revisión: cola de revisión por responsable, aprobación, rechazo y
+ * solicitud de corrección. Un documento rechazado pasa a la ventana de
+ * corrección de la habilitación si todavía no ha terminado; si termina sin que
+ * se subsane queda rechazado.
+ *
+ * Cada documento que requiere aprobación avanza por la cadena de aprobación
+ * del Documento (ApprovalChain): solo queda aprobado cuando se aprueban todas
+ * sus etapas, y una etapa cuyo plazo vence se escala.
+ */
+class RadicacionService extends BaseService {
+  constructor() {
+    super('Radicacion', 'radicaciones');
+    this.stateMachine = null;
+  }
+
+  /**
+   * Inicializa el servicio
+   */
+  async initialize() {
+    await super.initialize();
+  }
+
+  /**
+   * Crea una entidad desde datos
+   * @param {Object} data - Datos de la entidad
+   * @returns {Radicacion} Entidad creada
+   */
+  createEntityFromData(data) {
+    return new Radicacion(data);
+  }
+
+  /**
+   * Define los campos que se guardan cifrados
+   * Los datos del solicitante, lo que diligenció y las decisiones sobre sus documentos.
+   * @returns {Array<string>} Campos sensibles
+   */
+  getSensitiveFields() {
+    return ['solicitante', 'documentos', 'historial'];
+  }
+
+  /**
+   * Migraciones del esquema de radicaciones
+   * Los documentos radicados antes de las cadenas de aprobación que siguen
+   * pendientes se revisan en una sola etapa de su responsable de validación.
+   * @returns {Array} Migraciones { version, descripcion, migrate }
+   */
+  getMigrations() {
+    return [
+      {
+        version: 1,
+        descripcion: 'Avance de la cadena de aprobación de cada documento',
+        migrate: data => ({
+          ...data,
+          documentos: (data.documentos || []).map(documento => ({
+            ...documento,
+            aprobaciones:
+              documento.aprobaciones ||
+              (documento.requiereAprobacion && documento.estado === 'pendiente'
+                ? ApprovalChain.start(
+                    new Documento({
+                      requiereAprobacion: 'Sí',
+                      responsableValidacion: documento.responsableValidacion,
+                    }).getCadenaAprobacion(),
+                    new Date(data.fechaModificacion || Date.now()),
+                    () => ''
+                  )
+                : []),
+          })),
+        }),
+      },
+    ];
+  }
+
+  /**
+   * Define las relaciones con otras entidades
+   * @returns {Array} Relaciones de la entidad
+   */
+  getRelations() {
+    return [
+      {
+        padre: 'HabilitarTramite',
+        campo: 'habilitacionId',
+        onDelete: 'restrict',
+        descripcion: 'Una habilitación con radicaciones no se puede eliminar',
+      },
+    ];
+  }
+
+  /**
+   * Obtiene un nombre legible de la radicación
+   * @param {Radicacion} radicacion - Radicación
+   * @returns {string} Nombre de la radicación
+   */
+  getDisplayName(radicacion) {
+    if (!radicacion) return '';
+    return `${radicacion.tramiteNombre} - ${radicacion.solicitante.nombre}`;
+  }
+
+  /**
+   * Valida un item antes de crear
+   * @param {Radicacion} radicacion - Radicación a validar
+   * @returns {Object} Resultado de la validación
+   */
+  validateItem(radicacion) {
+    return radicacion.validate();
+  }
+
+  /**
+   * Asigna la máquina de estados que decide qué cambios se permiten
+   * @param {StateMachine} stateMachine - Máquina a usar
+   */
+  setStateMachine(stateMachine) {
+    this.stateMachine = stateMachine;
+  }
+
+  /**
+   * Obtiene la máquina de estados, usando la del modelo si no fue asignada
+   * @returns {StateMachine} Máquina de estados
+   */
+  getStateMachine() {
+    if (!this.stateMachine) {
+      this.stateMachine = Radicacion.getStateMachine();
+    }
+    return this.stateMachine;
+  }
+
+  /**
+   * Obtiene una habilitación
+   * @param {string} habilitacionId - ID de la habilitación
+   * @returns {HabilitarTramite|null} Habilitación o null si no está disponible
+   */
+  getHabilitacion(habilitacionId) {
+    const service = this.getRelationRegistry().getService('HabilitarTramite');
+    return service ? service.getById(habilitacionId) : null;
+  }
+
+  /**
+   * Obtiene el contexto con el que se evalúan las guardas de un cambio
+   * @param {Radicacion} radicacion - Radicación
+   * @param {Date} fecha - Fecha del cambio
+   * @returns {Object} { habilitacion, fecha, maquina }
+   */
+  getContextoTransicion(radicacion, fecha = new Date()) {
+    return {
+      habilitacion: this.getHabilitacion(radicacion.habilitacionId),
+      fecha,
+      maquina: this.getStateMachine(),
+    };
+  }
+
+  /**
+   * Obtiene las radicaciones de una habilitación
+   * @param {string} habilitacionId - ID de la habilitación
+   * @returns {Array<Radicacion>} Radicaciones de la habilitación
+   */
+  getByHabilitacionId(habilitacionId) {
+    this.validateInitialization();
+    return this.items.filter(
+      radicacion => radicacion.habilitacionId === habilitacionId
+    );
+  }
+
+  /**
+   * Obtiene el responsable de validar un documento en un trámite
+   * El de la vinculación prevalece sobre el del documento.
+   * @param {string} tramiteId - ID del trámite
+   * @param {Documento|null} documento - Documento
+   * @returns {string} Responsable de validación
+   */
+  getResponsableValidacion(tramiteId, documento) {
+    if (!documento) return '';
+    const vinculacion = this.getRelationRegistry()
+      .getService('Vinculacion')
+      .getByTramiteId(tramiteId)
+      .find(item => item.documentoId === documento.id);
+    return (
+      (vinculacion && vinculacion.responsableValidacion) ||
+      documento.responsableValidacion
+    );
+  }
+
+  /**
+   * Calcula la fecha límite de una etapa de aprobación
+   * El plazo se cuenta en días hábiles de la sede de la radicación; sin
+   * calendario se cuentan días calendario.
+   * @param {Radicacion} radicacion - Radicación
+   * @param {Date} fecha - Fecha en que empieza la etapa
+   * @param {number} dias - Días del plazo
+   * @returns {string} Fecha límite (YYYY-MM-DD)
+   */
+  getFechaLimiteEtapa(radicacion, fecha, dias) {
+    const calendario = this.getCalendario();
+    if (calendario) {
+      return calendario.sumarDiasHabiles(fecha, dias, radicacion.sede);
+    }
+    return ICalendar.sumarDias(CalendarioService.toFecha(fecha), dias);
+  }
+
+  /**
+   * Obtiene la etapa de la cadena sobre la que decide un revisor
+   * Si no se indica y solo hay una etapa pendiente, se toma esa.
+   * @param {Object} documento - Documento radicado
+   * @param {string} etapaId - ID de la etapa (opcional)
+   * @returns {Object} La etapa pendiente, o { errors } si no se puede decidir
+   */
+  getEtapaRevision(documento, etapaId = '') {
+    const activas = ApprovalChain.getActivas(documento.aprobaciones);
+    if (!etapaId) {
+      if (activas.length === 1) return activas[0];
+      return {
+        errors: [
+          activas.length === 0
+            ? 'El documento no tiene etapas de aprobación pendientes'
+            : 'Indique la etapa que decide: hay varias etapas pendientes',
+        ],
+      };
+    }
+
+    const etapa = activas.find(item => item.id === etapaId);
+    return etapa || { errors: ['La etapa no está pendiente de aprobación'] };
+  }
+
+  /**
+   * Radica las respuestas de un formulario en una habilitación
+   * La habilitación debe estar activa y dentro de sus fechas. Las respuestas
+   * se validan otra vez con la definición actual del formulario. Los
+   * documentos que no requieren aprobación quedan aprobados de una vez; los
+   * demás empiezan su cadena de aprobación.
+   * @param {string} habilitacionId - ID de la habilitación
+   * @param {Object} envio - Objeto de envío de FormularioTramite.construirEnvio
+   * @param {Object} solicitante - { nombre, identificacion, correo }
+   * @param {Date} fecha - Fecha de la radicación (por defecto ahora)
+   * @returns {Object} Resultado de la operación
+   */
+  async radicar(habilitacionId, envio, solicitante, fecha = new Date()) {
+    try {
+      this.validateInitialization();
+
+      const habilitacion = this.getHabilitacion(habilitacionId);
+      if (!habilitacion) {
+        return { success: false, errors: ['La habilitación no existe'] };
+      }
+      if (!habilitacion.isActivo()) {
+        return {
+          success: false,
+          errors: ['La habilitación está inactiva y no recibe radicaciones'],
+        };
+      }
+      if (habilitacion.getEstadoPorFechas(fecha) !== 'activo') {
+        return {
+          success: false,
+          errors: [
+            `La habilitación solo recibe radicaciones entre ${Tramite.formatDate(
+              habilitacion.fechaInicio
+            )} y ${Tramite.formatDate(habilitacion.fechaFinalizacion)}`,
+          ],
+        };
+      }
+
+      const registry = this.getRelationRegistry();
+      const definicion = registry
+        .getService('Tramite')
+        .getDefinicionFormulario(
+          habilitacion.tramiteId,
+          habilitacion.versionesDocumentos
+        );
+      if (!definicion) {
+        return {
+          success: false,
+          errors: ['El trámite de la habilitación no existe'],
+        };
+      }
+
+      const respuestas = {};
+      (envio.documentos || []).forEach(documento => {
+        respuestas[documento.documentoId] = {
+          archivo: documento.archivo,
+          valores: documento.valores,
+        };
+      });
+      const validacion = FormularioTramite.validar(definicion, respuestas);
+      if (!validacion.isValid) {
+        return { success: false, errors: validacion.errors };
+      }
+
+      const documentoService = registry.getService('Documento');
+      const radicacion = new Radicacion({
+        habilitacionId,
+        tramiteId: habilitacion.tramiteId,
+        tramiteNombre: habilitacion.tramiteNombre || definicion.nombre,
+        periodoAcademico: habilitacion.periodoAcademico,
+        sede: habilitacion.sede,
+        solicitante,
+        fechaRadicacion: fecha.toISOString(),
+        documentos: FormularioTramite.construirEnvio(definicion, respuestas)
+          .documentos.filter(
+            documento =>
+              documento.archivo || Object.keys(documento.valores).length > 0
+          )
+          .map(documento => {
+            const original = documentoService.getById(documento.documentoId);
+            return {
+              ...documento,
+              responsableValidacion: this.getResponsableValidacion(
+                habilitacion.tramiteId,
+                original
+              ),
+              requiereAprobacion: Boolean(
+                original && original.requiereAprobacion === 'Sí'
+              ),
+              estado: null,
+              fechaLimite: '',
+            };
+          }),
+      });
+      radicacion.documentos.forEach(documento => {
+        const original = documentoService.getById(documento.documentoId);
+        documento.aprobaciones = original
+          ? ApprovalChain.start(
+              original.getCadenaAprobacion(documento.responsableValidacion),
+              fecha,
+              (inicio, dias) =>
+                this.getFechaLimiteEtapa(radicacion, inicio, dias)
+            )
+          : [];
+      });
+
+      const contexto = this.getContextoTransicion(radicacion, fecha);
+      const entradas = radicacion.documentos.map(documento =>
+        documento.requiereAprobacion
+          ? radicacion.cambiarEstadoDocumento(
+              documento.documentoId,
+              'pendiente',
+              {
+                usuario: radicacion.solicitante.nombre,
+                motivo: 'Radicado por el solicitante',
+                contexto,
+              }
+            )
+          : radicacion.cambiarEstadoDocumento(
+              documento.documentoId,
+              'aprobado',
+              {
+                usuario: 'Sistema',
+                motivo: 'El documento no requiere aprobación',
+                tipoCambio: 'sistema',
+                contexto,
+              }
+            )
+      );
+
+      const result = await this.create(radicacion);
+      if (result.success) {
+        entradas.forEach(entrada =>
+          this.notificarTransicion(result.item, entrada)
+        );
+        result.message = `Solicitud radicada exitosamente (${radicacion.getEstadoText()})`;
+      }
+      return result;
+    } catch (error) {
+      console.error('❌ Error al radicar la solicitud:', error);
+      return {
+        success: false,
+        errors: this.getPersistenceErrors(
+          error,
+          'Error interno al radicar la solicitud'
+        ),
+      };
+    }
+  }
+
+  /**
+   * Obtiene la cola de revisión, de la radicación más antigua a la más reciente
+   * Un documento pendiente aparece una vez por cada etapa de su cadena que
+   * espera decisión, y el filtro de responsable incluye las etapas escaladas
+   * a él. Los documentos en otros estados aparecen una vez, sin etapa.
+   * @param {Object} filtros - Filtros de la cola
+   * @param {string} filtros.responsable - Rol o área responsable (vacío para todos)
+   * @param {string} filtros.estado - Estado de los documentos (vacío para todos)
+   * @param {string} filtros.habilitacionId - ID de la habilitación (vacío para todas)
+   * @returns {Array} [{ radicacion, documento, etapa }]
+   */
+  getColaRevision({
+    responsable = '',
+    estado = 'pendiente',
+    habilitacionId = '',
+  } = {}) {
+    this.validateInitialization();
+
+    const cola = [];
+    this.items
+      .filter(
+        radicacion =>
+          !habilitacionId || radicacion.habilitacionId === habilitacionId
+      )
+      .sort((a, b) => a.fechaRadicacion.localeCompare(b.fechaRadicacion))
+      .forEach(radicacion => {
+        radicacion.documentos
+          .filter(
+            documento =>
+              documento.requiereAprobacion &&
+              (!estado || documento.estado === estado)
+          )
+          .forEach(documento => {
+            const activas = ApprovalChain.getActivas(documento.aprobaciones);
+            if (documento.estado === 'pendiente' && activas.length > 0) {
+              activas
+                .filter(
+                  etapa =>
+                    !responsable || ApprovalChain.isAsignada(etapa, responsable)
+                )
+                .forEach(etapa => cola.push({ radicacion, documento, etapa }));
+            } else if (
+              !responsable ||
+              documento.responsableValidacion === responsable ||
+              documento.aprobaciones.some(etapa =>
+                ApprovalChain.isAsignada(etapa, responsable)
+              )
+            ) {
+              cola.push({ radicacion, documento, etapa: null });
+            }
+          });
+      });
+    return cola;
+  }
+
+  /**
+   * Obtiene los responsables que tienen documentos radicados por revisar
+   * Incluye los roles y áreas de las etapas y a quienes se escalan.
+   * @returns {Array<string>} Responsables ordenados alfabéticamente
+   */
+  getResponsables() {
+    this.validateInitialization();
+
+    const responsables = new Set();
+    this.items.forEach(radicacion =>
+      radicacion.documentos
+        .filter(documento => documento.requiereAprobacion)
+        .forEach(documento =>
+          [
+            documento.responsableValidacion,
+            ...documento.aprobaciones.flatMap(etapa => [
+              etapa.asignadoA,
+              etapa.escalarA,
+            ]),
+          ]
+            .filter(Boolean)
+            .forEach(responsable => responsables.add(responsable))
+        )
+    );
+    return Array.from(responsables).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Aprueba una etapa de un documento radicado
+   * El documento queda aprobado cuando se aprueba la última etapa de su cadena.
+   * @param {string} radicacionId - ID de la radicación
+   * @param {string} documentoId - ID del documento
+   * @param {string} comentario - Comentario del revisor
+   * @param {string} usuario - Usuario que revisa
+   * @param {string} etapaId - Etapa que aprueba (opcional si solo hay una pendiente)
+   * @returns {Object} Resultado de la operación
+   */
+  async aprobar(
+    radicacionId,
+    documentoId,
+    comentario = '',
+    usuario = 'Usuario',
+    etapaId = ''
+  ) {
+    return this.revisar(radicacionId, documentoId, 'aprobado', {
+      comentario,
+      usuario,
+      etapaId,
+    });
+  }
+
+  /**
+   * Rechaza un documento radicado
+   * Si la habilitación tiene una ventana de corrección que no ha terminado, el
+   * documento pasa a subsanación con el fin de la ventana como fecha límite.
+   * @param {string} radicacionId - ID de la radicación
+   * @param {string} documentoId - ID del documento
+   * @param {string} comentario - Motivo del rechazo
+   * @param {string} usuario - Usuario que revisa
+   * @param {string} etapaId - Etapa que rechaza (opcional si solo hay una pendiente)
+   * @returns {Object} Resultado de la operación
+   */
+  async rechazar(
+    radicacionId,
+    documentoId,
+    comentario = '',
+    usuario = 'Usuario',
+    etapaId = ''
+  ) {
+    return this.revisar(radicacionId, documentoId, 'rechazado', {
+      comentario,
+      usuario,
+      etapaId,
+    });
+  }
+
+  /**
+   * Solicita al solicitante que corrija un documento radicado
+   * @param {string} radicacionId - ID de la radicación
+   * @param {string} documentoId - ID del documento
+   * @param {string} comentario - Qué debe corregir
+   * @param {string} usuario - Usuario que revisa
+   * @param {string} etapaId - Etapa que pide la corrección (opcional si solo hay una pendiente)
+   * @returns {Object} Resultado de la operación
+   */
+  async solicitarCorreccion(
+    radicacionId,
+    documentoId,
+    comentario = '',
+    usuario = 'Usuario',
+    etapaId = ''
+  ) {
+    return this.revisar(radicacionId, documentoId, 'en_correccion', {
+      comentario,
+      usuario,
+      etapaId,
+    });
+  }
+
+  /**
+   * Registra la decisión de un revisor sobre una etapa de un documento
+   * Aprobar una etapa que no es la última solo la registra en el historial y
+   * deja pendiente el siguiente nivel; rechazar o pedir corrección detiene la
+   * cadena, que vuelve a empezar cuando el documento se subsana.
+   * @param {string} radicacionId - ID de la radicación
+   * @param {string} documentoId - ID del documento
+   * @param {string} nuevoEstado - aprobado, rechazado o en_correccion
+   * @param {Object} revision - { comentario, usuario, etapaId, fecha }
+   * @returns {Object} Resultado de la operación
+   */
+  async revisar(
+    radicacionId,
+    documentoId,
+    nuevoEstado,
+    { comentario = '', usuario = 'Usuario', etapaId = '', fecha = new Date() }
+  ) {
+    try {
+      this.validateInitialization();
+
+      const radicacion = this.getById(radicacionId);
+      if (!radicacion) {
+        return { success: false, errors: ['Radicación no encontrada'] };
+      }
+
+      return await this.aplicarCambios(radicacion, copia => {
+        const documento = copia.getDocumento(documentoId);
+        let etapa = null;
+        if (documento && documento.estado === 'pendiente') {
+          etapa = this.getEtapaRevision(documento, etapaId);
+          if (etapa.errors) return etapa.errors;
+        }
+
+        if (etapa && nuevoEstado === 'aprobado') {
+          const { completa } = ApprovalChain.approve(
+            documento.aprobaciones,
+            etapa.id,
+            { usuario, comentario, fecha },
+            (inicio, dias) => this.getFechaLimiteEtapa(copia, inicio, dias)
+          );
+          if (!completa) {
+            return [
+              copia.registrarEvento(documentoId, {
+                usuario,
+                motivo: `Etapa "${etapa.nombre}" aprobada${
+                  comentario ? `: ${comentario}` : ''
+                }`,
+                etapaId: etapa.id,
+              }),
+            ];
+          }
+        }
+
+        const entrada = this.aplicarTransicion(
+          copia,
+          documentoId,
+          nuevoEstado,
+          { usuario, motivo: comentario, etapaId: etapa ? etapa.id : '' },
+          fecha
+        );
+        if (entrada.errors || nuevoEstado !== 'rechazado') {
+          return entrada.errors || [entrada];
+        }
+
+        const contexto = this.getContextoTransicion(copia, fecha);
+        const subsanacion = this.getStateMachine().validate(
+          'rechazado',
+          'en_subsanacion',
+          contexto
+        );
+        if (!subsanacion.isValid) return [entrada];
+
+        const { fin } = contexto.habilitacion.getPeriodoSubsanacion();
+        copia.getDocumento(documentoId).fechaLimite = fin;
+        return [
+          entrada,
+          this.aplicarTransicion(
+            copia,
+            documentoId,
+            'en_subsanacion',
+            {
+              usuario: 'Sistema',
+              motivo: `Puede subsanarse hasta el ${Tramite.formatDate(fin)}`,
+              tipoCambio: 'sistema',
+            },
+            fecha
+          ),
+        ];
+      });
+    } catch (error) {
+      console.error('❌ Error al registrar la revisión:', error);
+      return {
+        success: false,
+        errors: this.getPersistenceErrors(
+          error,
+          'Error interno al registrar la revisión'
+        ),
+      };
+    }
+  }
+
+  /**
+   * Reemplaza un documento en corrección o subsanación y lo devuelve a revisión
+   * Un documento en subsanación solo se puede reemplazar dentro de la ventana
+   * de corrección de la habilitación. Su cadena de aprobación empieza de nuevo.
+   * @param {string} radicacionId - ID de la radicación
+   * @param {string} documentoId - ID del documento
+   * @param {Object} respuesta - { archivo, valores }
+   * @param {string} usuario - Usuario que subsana (por defecto el solicitante)
+   * @param {Date} fecha - Fecha del cambio (por defecto ahora)
+   * @returns {Object} Resultado de la operación
+   */
+  async subsanar(
+    radicacionId,
+    documentoId,
+    respuesta,
+    usuario = '',
+    fecha = new Date()
+  ) {
+    try {
+      this.validateInitialization();
+
+      const radicacion = this.getById(radicacionId);
+      if (!radicacion) {
+        return { success: false, errors: ['Radicación no encontrada'] };
+      }
+
+      const documento = radicacion.getDocumento(documentoId);
+      if (!documento || !Radicacion.POR_CORREGIR.includes(documento.estado)) {
+        return {
+          success: false,
+          errors: ['El documento no tiene una corrección pendiente'],
+        };
+      }
+
+      const habilitacion = this.getHabilitacion(radicacion.habilitacionId);
+      const definicion = this.getRelationRegistry()
+        .getService('Tramite')
+        .getDefinicionFormulario(
+          radicacion.tramiteId,
+          habilitacion ? habilitacion.versionesDocumentos : {}
+        );
+      const definicionDocumento =
+        definicion &&
+        definicion.documentos.find(item => item.id === documentoId);
+      if (!definicionDocumento) {
+        return {
+          success: false,
+          errors: ['El documento ya no está vinculado al trámite'],
+        };
+      }
+
+      const formulario = { ...definicion, documentos: [definicionDocumento] };
+      const respuestas = { [documentoId]: respuesta };
+      const validacion = FormularioTramite.validar(formulario, respuestas);
+      if (!validacion.isValid) {
+        return { success: false, errors: validacion.errors };
+      }
+      const [envio] = FormularioTramite.construirEnvio(
+        formulario,
+        respuestas
+      ).documentos;
+
+      return await this.aplicarCambios(radicacion, copia => {
+        const entrada = this.aplicarTransicion(
+          copia,
+          documentoId,
+          'pendiente',
+          {
+            usuario: usuario || copia.solicitante.nombre,
+            motivo: 'Documento subsanado por el solicitante',
+          },
+          fecha
+        );
+        if (entrada.errors) return entrada.errors;
+
+        // Las radicaciones anteriores a las cadenas no guardaron sus etapas
+        const subsanado = copia.getDocumento(documentoId);
+        const original = this.getRelationRegistry()
+          .getService('Documento')
+          .getById(documentoId);
+        const etapas =
+          subsanado.aprobaciones.length > 0 || !original
+            ? subsanado.aprobaciones
+            : original.getCadenaAprobacion(subsanado.responsableValidacion);
+        Object.assign(subsanado, {
+          archivo: envio.archivo,
+          valores: envio.valores,
+          secciones: envio.secciones,
+          fechaLimite: '',
+          aprobaciones: ApprovalChain.restart(etapas, fecha, (inicio, dias) =>
+            this.getFechaLimiteEtapa(copia, inicio, dias)
+          ),
+        });
+        return [entrada];
+      });
+    } catch (error) {
+      console.error('❌ Error al subsanar el documento:', error);
+      return {
+        success: false,
+        errors: this.getPersistenceErrors(
+          error,
+          'Error interno al subsanar el documento'
+        ),
+      };
+    }
+  }
+
+  /**
+   * Rechaza los documentos en subsanación cuya ventana de corrección terminó
+   * La ejecuta el programador de estados al iniciar la aplicación y en cada
+   * ejecución periódica; los cambios quedan con tipoCambio 'sistema'.
+   * @param {Date} fecha - Fecha a evaluar (por defecto ahora)
+   * @returns {Object} { success, cambios } con el número de documentos rechazados
+   */
+  async vencerSubsanaciones(fecha = new Date()) {
+    try {
+      this.validateInitialization();
+
+      // Se buscan ya dentro del lote, con lo que dejó guardado el lote anterior
+      let cambios = 0;
+      await this.getJournal().runUnrecorded(async lote => {
+        const vencidas = this.items.filter(radicacion =>
+          radicacion.documentos.some(
+            documento =>
+              documento.estado === 'en_subsanacion' &&
+              this.getStateMachine().validate(
+                'en_subsanacion',
+                'rechazado',
+                this.getContextoTransicion(radicacion, fecha)
+              ).isValid
+          )
+        );
+        // Cada una se vuelve a buscar: guardar la anterior pudo traer una
+        // recarga con instancias nuevas
+        for (const { id } of vencidas) {
+          const radicacion = this.getById(id);
+          if (!radicacion) continue;
+          const result = await this.aplicarCambios(
+            radicacion,
+            copia =>
+              copia.documentos
+                .filter(documento => documento.estado === 'en_subsanacion')
+                .map(documento =>
+                  this.aplicarTransicion(
+                    copia,
+                    documento.documentoId,
+                    'rechazado',
+                    {
+                      usuario: 'Sistema',
+                      motivo: 'Terminó la ventana de corrección sin subsanar',
+                      tipoCambio: 'sistema',
+                    },
+                    fecha
+                  )
+                )
+                .filter(entrada => !entrada.errors),
+            lote
+          );
+          cambios += result.success ? result.entradas.length : 0;
+        }
+      });
+
+      return { success: true, cambios };
+    } catch (error) {
+      console.error('❌ Error al vencer las subsanaciones:', error);
+      return {
+        success: false,
+        errors: this.getPersistenceErrors(
+          error,
+          'Error interno al vencer las subsanaciones'
+        ),
+      };
+    }
+  }
+
+  /**
+   * Escala las etapas de aprobación pendientes cuyo plazo venció
+   * La ejecuta el programador de estados junto con vencerSubsanaciones(). La
+   * etapa sigue pendiente y desde entonces la puede decidir también a quien se
+   * escaló; el escalamiento queda en el historial con tipoCambio 'sistema'.
+   * @param {Date} fecha - Fecha a evaluar (por defecto ahora)
+   * @returns {Object} { success, cambios } con el número de etapas escaladas
+   */
+  async escalarVencidas(fecha = new Date()) {
+    try {
+      this.validateInitialization();
+
+      const hoy = CalendarioService.toFecha(fecha);
+      const vencida = documento =>
+        documento.estado === 'pendiente' &&
+        ApprovalChain.getActivas(documento.aprobaciones).some(
+          etapa =>
+            !etapa.escalada && etapa.fechaLimite && etapa.fechaLimite < hoy
+        );
+
+      // Se buscan ya dentro del lote, con lo que dejó guardado el lote anterior
+      let cambios = 0;
+      await this.getJournal().runUnrecorded(async lote => {
+        const pendientes = this.items.filter(radicacion =>
+          radicacion.documentos.some(vencida)
+        );
+        for (const { id } of pendientes) {
+          const radicacion = this.getById(id);
+          if (!radicacion) continue;
+          const result = await this.aplicarCambios(
+            radicacion,
+            copia =>
+              copia.documentos.filter(vencida).flatMap(documento =>
+                ApprovalChain.escalate(documento.aprobaciones, hoy).map(etapa =>
+                  copia.registrarEvento(documento.documentoId, {
+                    usuario: 'Sistema',
+                    motivo: `Venció el plazo de la etapa "${
+                      etapa.nombre
+                    }" (${Tramite.formatDate(
+                      etapa.fechaLimite
+                    )}); se escala a ${etapa.escalarA}`,
+                    tipoCambio: 'sistema',
+                    etapaId: etapa.id,
+                  })
+                )
+              ),
+            lote
+          );
+          cambios += result.success ? result.entradas.length : 0;
+        }
+      });
+
+      return { success: true, cambios };
+    } catch (error) {
+      console.error('❌ Error al escalar las etapas vencidas:', error);
+      return {
+        success: false,
+        errors: this.getPersistenceErrors(
+          error,
+          'Error interno al escalar las etapas vencidas'
+        ),
+      };
+    }
+  }
+
+  /**
+   * Cambia el estado de un documento sin lanzar errores
+   * @param {Radicacion} radicacion - Radicación a modificar
+   * @param {string} documentoId - ID del documento
+   * @param {string} nuevoEstado - Estado destino
+   * @param {Object} cambio - { usuario, motivo, tipoCambio, etapaId }
+   * @param {Date} fecha - Fecha del cambio
+   * @returns {Object} Entrada del historial, o { errors } si no se permite
+   */
+  aplicarTransicion(radicacion, documentoId, nuevoEstado, cambio, fecha) {
+    try {
+      return radicacion.cambiarEstadoDocumento(documentoId, nuevoEstado, {
+        ...cambio,
+        contexto: this.getContextoTransicion(radicacion, fecha),
+      });
+    } catch (error) {
+      return { errors: [error.message] };
+    }
+  }
+
+  /**
+   * Aplica cambios a una copia de la radicación y la guarda
+   * La radicación original no se toca si un cambio no se permite o si falla el
+   * guardado.
+   * @param {Radicacion} radicacion - Radicación a modificar
+   * @param {Function} cambios - (copia) => entradas del historial o errores (strings)
+   * @param {Object|null} lote - Lote del diario al que se suma la escritura
+   * @returns {Object} Resultado de la operación con las entradas registradas
+   */
+  async aplicarCambios(radicacion, cambios, lote = null) {
+    const copia = new Radicacion(radicacion.toJSON());
+    const entradas = cambios(copia);
+    if (entradas.some(entrada => typeof entrada === 'string')) {
+      return { success: false, errors: entradas };
+    }
+
+    await this.persistItem(copia, null, lote);
+
+    // Mientras se guardaba, una recarga desde otra pestaña pudo cambiar las
+    // instancias: se reemplaza por ID
+    const index = this.items.findIndex(item => item.id === copia.id);
+    if (index === -1) {
+      this.items.push(copia);
+    } else {
+      this.items[index] = copia;
+    }
+    entradas.forEach(entrada => this.notificarTransicion(copia, entrada));
+
+    const ultima = entradas[entradas.length - 1];
+    return {
+      success: true,
+      item: copia,
+      entradas,
+      message: ultima
+        ? `Documento "${
+            copia.getDocumento(ultima.documentoId).nombreDocumento
+          }": ${
+            ultima.estado === ultima.estadoAnterior
+              ? ultima.motivo
+              : Radicacion.getEtiqueta(ultima.estado)
+          }`
+        : 'Radicación sin cambios',
+    };
+  }
+
+  /**
+   * Notifica el cambio de estado de un documento a la máquina de estados
+   * Las entradas de la cadena que no cambian el estado (etapas intermedias
+   * aprobadas o escaladas) se emiten como radicacion:etapa.
+   * @param {Radicacion} radicacion - Radicación con el cambio aplicado
+   * @param {Object} entrada - Entrada del historial
+   */
+  notificarTransicion(radicacion, entrada) {
+    const documento = radicacion.getDocumento(entrada.documentoId);
+    const datos = {
+      radicacionId: radicacion.id,
+      habilitacionId: radicacion.habilitacionId,
+      documentoId: entrada.documentoId,
+      nombreDocumento: documento.nombreDocumento,
+      responsableValidacion: documento.responsableValidacion,
+      etapa:
+        documento.aprobaciones.find(etapa => etapa.id === entrada.etapaId) ||
+        null,
+      tipoCambio: entrada.tipoCambio,
+      usuario: entrada.usuario,
+      motivo: entrada.motivo,
+      radicacion,
+    };
+
+    if (entrada.estado === entrada.estadoAnterior) {
+      this.emitEvent('radicacion:etapa', datos);
+      return;
+    }
+    this.getStateMachine().notifyTransition(
+      entrada.estadoAnterior,
+      entrada.estado,
+      datos
+    );
+  }
+}
+
+// Métodos con los que el revisor decide sobre un documento pendiente
+RadicacionService.ACCIONES_REVISION = [
+  'aprobar',
+  'solicitarCorreccion',
+  'rechazar',
+];
@@ -0,0 +1,190 @@
+/**
+ * Servicio para el catálogo de sedes
+ * Las habilitaciones apuntan a las sedes por su código, por eso un código en
+ * uso no se puede cambiar y una sede en uso no se puede eliminar.
+ */
+class SedeService extends BaseService {
+  constructor() {
+    super('Sede', 'sedes');
+  }
+
+  /**
+   * Inicializa el servicio
+   */
+  async initialize() {
+    await super.initialize();
+  }
+
+  /**
+   * Crea una entidad desde datos
+   * @param {Object} data - Datos de la entidad
+   * @returns {Sede} Entidad creada
+   */
+  createEntityFromData(data) {
+    return new Sede(data);
+  }
+
+  /**
+   * Obtiene un nombre legible de la sede
+   * @param {Sede} sede - Sede
+   * @returns {string} Nombre de la sede
+   */
+  getDisplayName(sede) {
+    return sede ? sede.nombre || sede.codigo : '';
+  }
+
+  /**
+   * Valida un item antes de crear
+   * @param {Sede|Object} sede - Sede a validar
+   * @returns {Object} Resultado de la validación
+   */
+  validateItem(sede) {
+    const sedeObj = sede instanceof Sede ? sede : new Sede(sede);
+
+    const validation = sedeObj.validate();
+    if (!validation.isValid) {
+      return { isValid: false, errors: validation.errors };
+    }
+
+    return { isValid: true, data: sedeObj };
+  }
+
+  /**
+   * Verifica que no exista otra sede con el mismo código
+   * @param {Sede} sede - Sede a verificar
+   * @returns {Object} Resultado de la verificación
+   */
+  checkForDuplicates(sede) {
+    // Incluye la papelera; al restaurar el mismo item no cuenta como duplicado
+    const existente = this.getByCodigo(sede.codigo, { includeDeleted: true });
+    if (existente && existente.id !== sede.id) {
+      return {
+        isValid: false,
+        errors: [`Ya existe una sede con el código ${sede.codigo}`],
+      };
+    }
+
+    return { isValid: true, errors: [] };
+  }
+
+  /**
+   * Valida datos de actualización
+   * El código solo se puede cambiar si ninguna habilitación lo usa.
+   * @param {Sede} sede - Sede existente
+   * @param {Object} newData - Nuevos datos
+   * @returns {Object} Resultado de la validación
+   */
+  validateUpdateData(sede, newData) {
+    const resultado = new Sede({ ...sede.toJSON(), ...newData });
+    const errors = [...resultado.validate().errors];
+
+    if (resultado.codigo !== sede.codigo) {
+      const existente = this.getByCodigo(resultado.codigo, {
+        includeDeleted: true,
+      });
+      if (existente && existente.id !== sede.id) {
+        errors.push(`Ya existe una sede con el código ${resultado.codigo}`);
+      }
+
+      const enUso = this.getCantidadEnUso(sede.id);
+      if (enUso > 0) {
+        errors.push(
+          `El código ${sede.codigo} no se puede cambiar porque lo usan ${enUso} habilitación(es)`
+        );
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Obtiene una sede por código
+   * @param {string} codigo - Código de la sede
+   * @param {Object} options - Opciones de consulta ({ includeDeleted })
+   * @returns {Sede|null} Sede o null
+   */
+  getByCodigo(codigo, options = {}) {
+    this.validateInitialization();
+    return this.getItems(options).find(sede => sede.codigo === codigo) || null;
+  }
+
+  /**
+   * Obtiene el nombre de una sede a partir de su código
+   * @param {string} codigo - Código de la sede
+   * @returns {string} Nombre de la sede o el mismo código si no está en el catálogo
+   */
+  getNombre(codigo) {
+    const sede = this.getByCodigo(codigo, { includeDeleted: true });
+    return sede ? this.getDisplayName(sede) : codigo;
+  }
+
+  /**
+   * Obtiene las sedes ordenadas por nombre
+   * @returns {Array} Sedes
+   */
+  getOrdenadas() {
+    return this.query({ sort: ['nombre', 'codigo'] }).items;
+  }
+
+  /**
+   * Obtiene las sedes activas, en las que se pueden habilitar trámites
+   * @returns {Array} Sedes activas ordenadas
+   */
+  getActivas() {
+    return this.getOrdenadas().filter(sede => sede.activa);
+  }
+
+  /**
+   * Cuenta los registros que usan una sede
+   * @param {string} id - ID de la sede
+   * @returns {number} Cantidad de registros relacionados
+   */
+  getCantidadEnUso(id) {
+    return this.getRelationRegistry()
+      .getDependents(this, id)
+      .reduce((total, { items }) => total + items.length, 0);
+  }
+
+  /**
+   * Completa el catálogo con las sedes por defecto y las que ya se usan
+   * Las sedes por defecto solo se agregan la primera vez (catálogo vacío); las
+   * que ya se usan se agregan con su código como nombre.
+   * @param {Array} habilitaciones - Habilitaciones existentes
+   * @param {Object|null} lote - Lote del diario al que se suman los agregados
+   * @returns {Promise<number>} Cantidad de sedes agregadas
+   */
+  async asegurarCatalogo(habilitaciones = [], lote = null) {
+    this.validateInitialization();
+
+    const primeraVez =
+      this.items.length === 0 && this.deletedItems.length === 0;
+    const codigos = new Set([
+      ...(primeraVez ? SedeService.CODIGOS_INICIALES : []),
+      ...habilitaciones.map(habilitacion => habilitacion.sede),
+    ]);
+
+    const nuevas = [...codigos]
+      .filter(
+        codigo => codigo && !this.getByCodigo(codigo, { includeDeleted: true })
+      )
+      .map(codigo => new Sede({ codigo, nombre: codigo }));
+
+    if (nuevas.length > 0) {
+      this.items.push(...nuevas);
+      await this.persistItems(nuevas, null, lote);
+    }
+    return nuevas.length;
+  }
+}
+
+// Sedes con que se crea el catálogo la primera vez
+SedeService.CODIGOS_INICIALES = [
+  'Norte',
+  'Sur',
+  'Centro',
+  'Oriente',
+  'Occidente',
+];
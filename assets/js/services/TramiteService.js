@@ -5,6 +5,7 @@
 class TramiteService extends BaseService {
   constructor() {
     super('Tramite', 'tramites_data');
+    this.formulario = new FormularioTramite(this);
   }
 
   /**
@@ -23,6 +24,61 @@ class TramiteService extends BaseService {
     return new Tramite(data);
   }
 
+  /**
+   * Define los campos que se guardan cifrados
+   * Las observaciones pueden traer datos personales.
+   * @returns {Array<string>} Campos sensibles
+   */
+  getSensitiveFields() {
+    return ['observaciones'];
+  }
+
+  /**
+   * Define los campos calculados disponibles en las consultas
+   * @returns {Object} Campos calculados
+   */
+  getQueryFields() {
+    return {
+      estadoPorFechas: tramite => tramite.getEstadoPorFechas(),
+    };
+  }
+
+  /**
+   * Define los campos que se indexan para la búsqueda de texto
+   * @returns {Object} Peso de cada campo
+   */
+  getSearchFields() {
+    return {
+      nombre: 3,
+      codigo: 3,
+      descripcion: 1,
+      observaciones: 1,
+    };
+  }
+
+  /**
+   * Define las migraciones de esquema de los trámites
+   * @returns {Array} Migraciones
+   */
+  getMigrations() {
+    return [
+      {
+        version: 1,
+        descripcion: 'Fechas de vigencia, subsanación e historial de fechas',
+        migrate: data => ({
+          ...data,
+          fechaInicio: data.fechaInicio || '',
+          fechaFinalizacion: data.fechaFinalizacion || '',
+          fechaInicioSubsanacion: data.fechaInicioSubsanacion || '',
+          fechaFinSubsanacion: data.fechaFinSubsanacion || '',
+          historialFechas: Array.isArray(data.historialFechas)
+            ? data.historialFechas
+            : [],
+        }),
+      },
+    ];
+  }
+
   /**
    * Valida un item antes de crear
    * @param {Tramite} tramite - Trámite a validar
@@ -89,6 +145,18 @@ class TramiteService extends BaseService {
     return this.items.filter(tramite => tramite.codigo === codigo);
   }
 
+  /**
+   * Obtiene la definición del formulario que diligencia el solicitante
+   * @param {string} tramiteId - ID del trámite
+   * @param {Object} versiones - Versiones fijadas de los documentos (las de una habilitación)
+   * @returns {Object|null} Definición del formulario o null si el trámite no existe
+   */
+  getDefinicionFormulario(tramiteId, versiones = {}) {
+    this.validateInitialization();
+    const tramite = this.getById(tramiteId);
+    return tramite ? this.formulario.getDefinicion(tramite, versiones) : null;
+  }
+
   /**
    * Obtiene trámites activos
    * @returns {Array} Array de trámites activos
@@ -104,10 +172,7 @@ class TramiteService extends BaseService {
    * @returns {Array} Array de trámites del estado especificado
    */
   getByEstado(estado) {
-    this.validateInitialization();
-    return this.items.filter(
-      tramite => tramite.getEstadoPorFechas() === estado
-    );
+    return this.query({ where: { estadoPorFechas: estado } }).items;
   }
 
   /**
@@ -121,19 +186,16 @@ class TramiteService extends BaseService {
 
   /**
    * Obtiene trámites que expiran pronto
-   * @param {number} diasAdvertencia - Número de días para la advertencia (por defecto 7)
+   * @param {number} diasAdvertencia - Número de días hábiles para la advertencia (por defecto 7)
    * @returns {Array} Array de trámites que expiran pronto
    */
   getQueExpiranPronto(diasAdvertencia = 7) {
-    this.validateInitialization();
-    const fechaLimite = new Date();
-    fechaLimite.setDate(fechaLimite.getDate() + diasAdvertencia);
+    const ahora = new Date();
+    const fechaLimite = this.getFechaLimiteAdvertencia(diasAdvertencia);
 
-    return this.items.filter(tramite => {
-      if (!tramite.fechaFinalizacion) return false;
-      const fechaFin = new Date(tramite.fechaFinalizacion);
-      return fechaFin <= fechaLimite && fechaFin > new Date();
-    });
+    return this.query({
+      where: { fechaFinalizacion: { $gt: ahora, $lte: fechaLimite } },
+    }).items;
   }
 
   /**
@@ -143,15 +205,14 @@ class TramiteService extends BaseService {
    * @returns {Array} Array de trámites en el rango especificado
    */
   getByRangoFechas(fechaInicio, fechaFin) {
-    this.validateInitialization();
-    const inicio = new Date(fechaInicio);
-    const fin = new Date(fechaFin);
-
-    return this.items.filter(tramite => {
-      if (!tramite.fechaCreacion) return false;
-      const fechaCreacion = new Date(tramite.fechaCreacion);
-      return fechaCreacion >= inicio && fechaCreacion <= fin;
-    });
+    return this.query({
+      where: {
+        fechaCreacion: {
+          $gte: new Date(fechaInicio),
+          $lte: new Date(fechaFin),
+        },
+      },
+    }).items;
   }
 
   /**
@@ -160,20 +221,10 @@ class TramiteService extends BaseService {
    * @returns {Array} Array de trámites que coinciden
    */
   searchByText(searchText) {
-    this.validateInitialization();
     if (!searchText || searchText.trim() === '') {
       return this.getAll();
     }
-
-    const searchLower = searchText.toLowerCase();
-    return this.items.filter(tramite => {
-      return (
-        tramite.nombre.toLowerCase().includes(searchLower) ||
-        tramite.codigo.toLowerCase().includes(searchLower) ||
-        tramite.descripcion.toLowerCase().includes(searchLower) ||
-        tramite.observaciones.toLowerCase().includes(searchLower)
-      );
-    });
+    return this.searchText(searchText);
   }
 
   /**
@@ -209,9 +260,9 @@ class TramiteService extends BaseService {
   /**
    * Genera datos de ejemplo
    * @param {number} count - Número de trámites a generar
-   * @returns {Object} Resultado de la operación
+   * @returns {Promise<Object>} Resultado de la operación
    */
-  generateSampleData(count = 5) {
+  async generateSampleData(count = 5) {
     try {
       this.validateInitialization();
 
@@ -252,8 +303,9 @@ class TramiteService extends BaseService {
         sampleTramites.push(tramite);
       }
 
+      // Solo quedan en memoria si se guardaron
+      await this.persistItems(sampleTramites);
       this.items = [...this.items, ...sampleTramites];
-      this.saveToStorage();
 
       return {
         success: true,
@@ -265,7 +317,10 @@ class TramiteService extends BaseService {
       console.error('❌ Error al generar datos de ejemplo:', error);
       return {
         success: false,
-        errors: ['Error al generar datos de ejemplo'],
+        errors: this.getPersistenceErrors(
+          error,
+          'Error al generar datos de ejemplo'
+        ),
       };
     }
   }
@@ -0,0 +1,196 @@
+/**
+ * Servicio para las versiones de los documentos
+ * Guarda una revisión inmutable cada vez que se guarda un documento y compara
+ * dos revisiones. Las versiones no se editan: para volver a una anterior se
+ * registra una versión nueva con sus datos (DocumentoService.restaurarVersion).
+ */
+class VersionDocumentoService extends BaseService {
+  constructor() {
+    super('VersionDocumento', 'versiones_documentos');
+  }
+
+  /**
+   * Inicializa el servicio
+   */
+  async initialize() {
+    await super.initialize();
+  }
+
+  /**
+   * Crea una entidad desde datos
+   * @param {Object} data - Datos de la entidad
+   * @returns {VersionDocumento} Entidad creada
+   */
+  createEntityFromData(data) {
+    return new VersionDocumento(data);
+  }
+
+  /**
+   * Define los campos que se guardan cifrados
+   * Las instantáneas guardan el responsable y las observaciones del documento.
+   * @returns {Array<string>} Campos sensibles
+   */
+  getSensitiveFields() {
+    return ['autor', 'datos'];
+  }
+
+  /**
+   * Define las relaciones con otras entidades
+   * @returns {Array} Relaciones de la entidad
+   */
+  getRelations() {
+    return [
+      {
+        padre: 'Documento',
+        campo: 'documentoId',
+        onDelete: 'cascade',
+        descripcion: 'Las versiones se eliminan con el documento',
+      },
+    ];
+  }
+
+  /**
+   * Obtiene un nombre legible de la versión
+   * @param {VersionDocumento} version - Versión
+   * @returns {string} Nombre de la versión
+   */
+  getDisplayName(version) {
+    if (!version) return '';
+    return `${
+      version.datos.nombreDocumento || version.documentoId
+    } v${version.getVersionText()}`;
+  }
+
+  /**
+   * Valida un item antes de crear
+   * @param {VersionDocumento} version - Versión a validar
+   * @returns {Object} Resultado de la validación
+   */
+  validateItem(version) {
+    return version.validate();
+  }
+
+  /**
+   * Verifica que el documento no tenga ya una versión con el mismo número
+   * @param {VersionDocumento} version - Versión a verificar
+   * @returns {Object} Resultado de la verificación
+   */
+  checkForDuplicates(version) {
+    const existente = this.getVersion(version.documentoId, version.numero, {
+      includeDeleted: true,
+    });
+    if (existente && existente.id !== version.id) {
+      return {
+        isValid: false,
+        errors: [
+          `El documento ya tiene la versión ${version.getVersionText()}`,
+        ],
+      };
+    }
+
+    return { isValid: true, errors: [] };
+  }
+
+  /**
+   * Las versiones son inmutables
+   * @returns {Object} Resultado de la validación
+   */
+  validateUpdateData() {
+    return {
+      isValid: false,
+      errors: ['Las versiones de un documento no se pueden modificar'],
+    };
+  }
+
+  /**
+   * Obtiene las versiones de un documento, de la más antigua a la más reciente
+   * @param {string} documentoId - ID del documento
+   * @param {Object} options - Opciones de consulta ({ includeDeleted })
+   * @returns {Array<VersionDocumento>} Versiones del documento
+   */
+  getByDocumentoId(documentoId, options = {}) {
+    this.validateInitialization();
+    return this.getItems(options)
+      .filter(version => version.documentoId === documentoId)
+      .sort((a, b) => a.numero - b.numero);
+  }
+
+  /**
+   * Obtiene una versión de un documento
+   * @param {string} documentoId - ID del documento
+   * @param {number|string} numero - Número de versión o texto (p. ej. "2.0")
+   * @param {Object} options - Opciones de consulta ({ includeDeleted })
+   * @returns {VersionDocumento|null} Versión o null si no existe
+   */
+  getVersion(documentoId, numero, options = {}) {
+    const buscado = VersionDocumento.toNumero(numero);
+    return (
+      this.getByDocumentoId(documentoId, options).find(
+        version => version.numero === buscado
+      ) || null
+    );
+  }
+
+  /**
+   * Obtiene la versión más reciente de un documento
+   * @param {string} documentoId - ID del documento
+   * @returns {VersionDocumento|null} Versión o null si no tiene versiones
+   */
+  getUltima(documentoId) {
+    const versiones = this.getByDocumentoId(documentoId);
+    return versiones.length > 0 ? versiones[versiones.length - 1] : null;
+  }
+
+  /**
+   * Registra la versión actual de un documento
+   * El número es el de Documento.version, que el documento ya debe tener.
+   * @param {Documento} documento - Documento guardado
+   * @param {Array<CampoDocumento>} campos - Campos activos del documento
+   * @param {Object} revision - { autor, nota }
+   * @param {Object|null} lote - Lote del diario al que se suma la versión
+   * @returns {Object} Resultado de la operación
+   */
+  async registrar(
+    documento,
+    campos,
+    { autor = 'Usuario', nota = '' } = {},
+    lote = null
+  ) {
+    return this.create(
+      new VersionDocumento({
+        documentoId: documento.id,
+        numero: VersionDocumento.toNumero(documento.version),
+        autor,
+        nota,
+        datos: documento.toJSON(),
+        campos: campos.map(campo => campo.toJSON()),
+      }),
+      lote
+    );
+  }
+
+  /**
+   * Compara dos versiones de un documento
+   * @param {string} documentoId - ID del documento
+   * @param {number|string} desde - Versión anterior
+   * @param {number|string} hasta - Versión posterior
+   * @returns {Object} { success, desde, hasta, diferencias } o { success: false, errors }
+   */
+  comparar(documentoId, desde, hasta) {
+    const anterior = this.getVersion(documentoId, desde);
+    const posterior = this.getVersion(documentoId, hasta);
+    if (!anterior || !posterior) {
+      return {
+        success: false,
+        errors: ['La versión que se quiere comparar no existe'],
+      };
+    }
+
+    return {
+      success: true,
+      desde: anterior,
+      hasta: posterior,
+      diferencias: VersionDocumento.comparar(anterior, posterior),
+    };
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * Servicio para manejar las vinculaciones entre trámites y documentos
+ * Extiende BaseService para operaciones CRUD
+ */
+class VinculacionService extends BaseService {
+  constructor() {
+    super('Vinculacion', 'tramite_documentos_vinculaciones');
+  }
+
+  /**
+   * Crea una entidad desde datos
+   * @param {Object} data - Datos de la entidad
+   * @returns {Vinculacion} Entidad creada
+   */
+  createEntityFromData(data) {
+    return new Vinculacion(data);
+  }
+
+  /**
+   * Define los campos que se guardan cifrados
+   * El responsable de validación de cada vínculo.
+   * @returns {Array<string>} Campos sensibles
+   */
+  getSensitiveFields() {
+    return ['responsableValidacion'];
+  }
+
+  /**
+   * Valida un item antes de crear
+   * @param {Vinculacion} vinculacion - Vinculación a validar
+   * @returns {Object} Resultado de la validación
+   */
+  validateItem(vinculacion) {
+    return vinculacion.validate();
+  }
+
+  /**
+   * Define las relaciones con otras entidades
+   * @returns {Array} Relaciones de la entidad
+   */
+  getRelations() {
+    return [
+      {
+        padre: 'Tramite',
+        campo: 'tramiteId',
+        onDelete: 'cascade',
+        descripcion: 'Las vinculaciones se eliminan con el trámite',
+      },
+      {
+        padre: 'Documento',
+        campo: 'documentoId',
+        onDelete: 'cascade',
+        descripcion: 'Las vinculaciones se eliminan con el documento',
+      },
+    ];
+  }
+
+  /**
+   * Obtiene un nombre legible de la vinculación a partir del documento vinculado
+   * @param {Vinculacion} vinculacion - Vinculación
+   * @returns {string} Nombre de la vinculación
+   */
+  getDisplayName(vinculacion) {
+    if (!vinculacion) return '';
+
+    const documentoService = this.getRelationRegistry().getService('Documento');
+    const documento = documentoService
+      ? documentoService.getById(vinculacion.documentoId, {
+          includeDeleted: true,
+        })
+      : null;
+
+    return documento
+      ? documentoService.getDisplayName(documento)
+      : vinculacion.documentoNombre || vinculacion.documentoId;
+  }
+
+  /**
+   * Obtiene las vinculaciones de un trámite
+   * @param {string} tramiteId - ID del trámite
+   * @param {Object} options - Opciones de consulta ({ includeDeleted })
+   * @returns {Array} Vinculaciones del trámite
+   */
+  getByTramiteId(tramiteId, options = {}) {
+    this.validateInitialization();
+    return this.getItems(options).filter(
+      vinculacion => vinculacion.tramiteId === tramiteId
+    );
+  }
+
+  /**
+   * Vincula un documento a un trámite, reemplazando la vinculación anterior del
+   * mismo documento si existe
+   * @param {Tramite} tramite - Trámite
+   * @param {Object} documento - Documento con los datos del formulario de vinculación
+   * @returns {Object} Resultado de la operación
+   */
+  async vincularDocumento(tramite, documento) {
+    try {
+      this.validateInitialization();
+
+      return await this.getJournal().runBatch(
+        `Vincular documento "${documento.nombreDocumento}"`,
+        async lote => {
+          const anteriores = this.items.filter(
+            v => v.tramiteId === tramite.id && v.documentoId === documento.id
+          );
+          if (anteriores.length > 0) {
+            this.items = this.items.filter(v => !anteriores.includes(v));
+            await this.removeFromStorage(
+              anteriores.map(v => v.id),
+              'eliminar',
+              lote
+            );
+          }
+
+          const vinculacion = new Vinculacion({
+            tramiteId: tramite.id,
+            documentoId: documento.id,
+            areaSolicitante: documento.areaSolicitante,
+            responsableValidacion: documento.responsableValidacion,
+            seEnviaMatfin: documento.seEnviaMatfin,
+          });
+
+          this.items.push(vinculacion);
+          await this.persistItem(vinculacion, null, lote);
+
+          return {
+            success: true,
+            item: vinculacion,
+            message: `Documento "${documento.nombreDocumento}" vinculado exitosamente al trámite`,
+          };
+        }
+      );
+    } catch (error) {
+      console.error('❌ Error al vincular documento:', error);
+      return {
+        success: false,
+        errors: this.getPersistenceErrors(
+          error,
+          'Error al vincular el documento'
+        ),
+      };
+    }
+  }
+
+  /**
+   * Vincula varios documentos a un trámite
+   * @param {Tramite} tramite - Trámite
+   * @param {Array} documentos - Documentos a vincular
+   * @returns {Object} Resultado de la operación
+   */
+  async vincularDocumentos(tramite, documentos) {
+    try {
+      this.validateInitialization();
+
+      const nuevas = documentos.map(
+        documento =>
+          new Vinculacion({
+            tramiteId: tramite.id,
+            tramiteNombre: tramite.nombre,
+            documentoId: documento.id,
+            documentoNombre: documento.nombreDocumento,
+            documentoTipo: documento.tipoDocumental,
+          })
+      );
+
+      this.items.push(...nuevas);
+      await this.getJournal().runBatch(
+        `Vincular ${nuevas.length} documento(s) al trámite "${tramite.nombre}"`,
+        lote => this.persistItems(nuevas, null, lote)
+      );
+
+      return {
+        success: true,
+        items: nuevas,
+        message: `${nuevas.length} documento(s) vinculado(s) exitosamente al trámite "${tramite.nombre}"`,
+      };
+    } catch (error) {
+      console.error('❌ Error al vincular documentos:', error);
+      return {
+        success: false,
+        errors: this.getPersistenceErrors(
+          error,
+          'Error al guardar las vinculaciones'
+        ),
+      };
+    }
+  }
+
+  /**
+   * Elimina una vinculación
+   * @param {string} vinculacionId - ID de la vinculación
+   * @returns {Object} Resultado de la operación
+   */
+  async desvincular(vinculacionId) {
+    const result = await this.delete(vinculacionId);
+    if (result.success) {
+      result.message = 'Documento desvinculado exitosamente';
+    }
+    return result;
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * Vista de la búsqueda global del encabezado
+ * Muestra los resultados del índice de búsqueda agrupados por entidad; cada
+ * resultado enlaza al registro con el hash de navegación (#modulo:view?id=...).
+ */
+class BusquedaView extends BaseView {
+  constructor() {
+    super();
+    this.input = document.getElementById('busquedaGlobal');
+    this.resultados = document.getElementById('busquedaResultados');
+    this.temporizador = null;
+  }
+
+  /**
+   * Configura los elementos comunes de la vista
+   */
+  setupCommonElements() {
+    if (!this.input || !this.resultados) {
+      console.warn(
+        '⚠️ Algunos elementos del DOM no están disponibles para BusquedaView'
+      );
+    }
+  }
+
+  /**
+   * Inicializa la vista
+   */
+  async initialize() {
+    await super.initialize();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Configura los event listeners del cuadro de búsqueda
+   */
+  setupEventListeners() {
+    if (!this.input || !this.resultados) return;
+
+    this.input.addEventListener('input', () => {
+      clearTimeout(this.temporizador);
+      this.temporizador = setTimeout(
+        () => this.buscar(this.input.value),
+        BusquedaView.DEBOUNCE_MS
+      );
+    });
+
+    this.input.addEventListener('focus', () => {
+      if (this.input.value.trim()) {
+        this.buscar(this.input.value);
+      }
+    });
+
+    this.input.addEventListener('keydown', e => {
+      if (e.key === 'Escape') {
+        this.ocultarResultados();
+        this.input.blur();
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        const primero = this.resultados.querySelector('a.dropdown-item');
+        if (primero) primero.click();
+      } else if (e.key === 'ArrowDown') {
+        const primero = this.resultados.querySelector('a.dropdown-item');
+        if (primero) {
+          e.preventDefault();
+          primero.focus();
+        }
+      }
+    });
+
+    this.resultados.addEventListener('click', e => {
+      const enlace = e.target.closest('a.dropdown-item');
+      if (!enlace) return;
+
+      // Volver a elegir el mismo resultado no dispara hashchange
+      if (window.location.hash === enlace.getAttribute('href')) {
+        e.preventDefault();
+        window.tramiteApp.handleHashChange();
+      }
+      this.ocultarResultados();
+    });
+
+    document.addEventListener('click', e => {
+      if (!e.target.closest('.busqueda-global')) {
+        this.ocultarResultados();
+      }
+    });
+  }
+
+  /**
+   * Busca el texto en el índice y muestra los resultados
+   * @param {string} texto - Texto buscado
+   */
+  buscar(texto) {
+    const app = window.tramiteApp;
+    if (
+      !app ||
+      !app.searchIndex ||
+      texto.trim().length < BusquedaView.MIN_LENGTH
+    ) {
+      this.ocultarResultados();
+      return;
+    }
+
+    try {
+      this.renderResultados(texto, app.searchIndex.search(texto));
+    } catch (error) {
+      console.error('❌ Error en la búsqueda global:', error);
+      this.ocultarResultados();
+    }
+  }
+
+  /**
+   * Renderiza los resultados agrupados por entidad
+   * @param {string} texto - Texto buscado
+   * @param {Array} resultados - Resultados de SearchIndex.search()
+   */
+  renderResultados(texto, resultados) {
+    const grupos = BusquedaView.GROUPS.map(grupo => ({
+      ...grupo,
+      resultados: resultados.filter(
+        resultado => resultado.entityName === grupo.entityName
+      ),
+    })).filter(grupo => grupo.resultados.length > 0);
+
+    if (grupos.length === 0) {
+      this.resultados.innerHTML = `
+        <span class="dropdown-item-text text-muted">
+          Sin resultados para "${this.escapeHtml(texto.trim())}"
+        </span>
+      `;
+    } else {
+      this.resultados.innerHTML = grupos
+        .map(grupo => this.renderGrupo(grupo))
+        .join('<div class="dropdown-divider"></div>');
+    }
+
+    this.resultados.classList.add('show');
+  }
+
+  /**
+   * Renderiza un grupo de resultados
+   * @param {Object} grupo - Grupo con sus resultados
+   * @returns {string} HTML del grupo
+   */
+  renderGrupo(grupo) {
+    const visibles = grupo.resultados.slice(0, BusquedaView.MAX_PER_GROUP);
+    const ocultos = grupo.resultados.length - visibles.length;
+
+    return `
+      <h6 class="dropdown-header d-flex justify-content-between">
+        <span><i class="${grupo.icono} me-2"></i>${grupo.etiqueta}</span>
+        <span class="badge bg-secondary">${grupo.resultados.length}</span>
+      </h6>
+      ${visibles
+        .map(resultado => this.renderResultado(grupo, resultado))
+        .join('')}
+      ${
+        ocultos > 0
+          ? `<span class="dropdown-item-text small text-muted">y ${ocultos} más…</span>`
+          : ''
+      }
+    `;
+  }
+
+  /**
+   * Renderiza un resultado con enlace al registro
+   * @param {Object} grupo - Grupo del resultado
+   * @param {Object} resultado - { service, item, campos }
+   * @returns {string} HTML del resultado
+   */
+  renderResultado(grupo, resultado) {
+    const { service, item } = resultado;
+    return `
+      <a class="dropdown-item" href="#${
+        grupo.modulo
+      }:view?id=${encodeURIComponent(item.id)}">
+        <div class="text-truncate fw-semibold">${this.escapeHtml(
+          service.getDisplayName(item)
+        )}</div>
+        <small class="d-block text-truncate text-muted">${this.escapeHtml(
+          this.getDetalle(resultado)
+        )}</small>
+      </a>
+    `;
+  }
+
+  /**
+   * Obtiene el texto secundario de un resultado
+   * @param {Object} resultado - { entityName, item }
+   * @returns {string} Detalle del resultado
+   */
+  getDetalle({ entityName, item }) {
+    switch (entityName) {
+      case 'Tramite':
+        return `Código ${item.codigo}`;
+      case 'Documento':
+        return item.tipoDocumental || item.descripcionDocumento || '';
+      case 'CampoDocumento': {
+        const documentoService = window.tramiteApp.getService('documento');
+        const documento = documentoService
+          ? documentoService.getById(item.documentoId)
+          : null;
+        return documento
+          ? `Campo de ${documentoService.getDisplayName(documento)}`
+          : 'Campo de documento';
+      }
+      case 'HabilitarTramite':
+        return item.estado || '';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Oculta la lista de resultados
+   */
+  ocultarResultados() {
+    if (this.resultados) {
+      this.resultados.classList.remove('show');
+    }
+  }
+}
+
+// Caracteres mínimos para buscar
+BusquedaView.MIN_LENGTH = 2;
+
+// Espera tras la última tecla antes de buscar (ms)
+BusquedaView.DEBOUNCE_MS = 150;
+
+// Resultados visibles por grupo
+BusquedaView.MAX_PER_GROUP = 5;
+
+// Grupos de resultados en el orden en que se muestran
+BusquedaView.GROUPS = [
+  {
+    entityName: 'Tramite',
+    modulo: 'tramite',
+    etiqueta: 'Trámites',
+    icono: 'fas fa-list-alt',
+  },
+  {
+    entityName: 'Documento',
+    modulo: 'documento',
+    etiqueta: 'Documentos',
+    icono: 'fas fa-file-alt',
+  },
+  {
+    entityName: 'CampoDocumento',
+    modulo: 'campoDocumento',
+    etiqueta: 'Campos',
+    icono: 'fas fa-i-cursor',
+  },
+  {
+    entityName: 'HabilitarTramite',
+    modulo: 'habilitarTramite',
+    etiqueta: 'Habilitaciones',
+    icono: 'fas fa-calendar-check',
+  },
+];
@@ -0,0 +1,309 @@
+/**
+ * Vista para exportar e importar las ventanas de las habilitaciones en ICS
+ * La exportación se filtra por periodo, sede o trámite. La importación lee un
+ * archivo ICS y muestra las habilitaciones que propone, con sus errores y
+ * conflictos, antes de confirmar.
+ */
+class CalendarioICSView extends BaseView {
+  constructor() {
+    super();
+    this.modalId = 'modalCalendarioICS';
+  }
+
+  /**
+   * Inicializa la vista
+   */
+  async initialize() {
+    await super.initialize();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Configura los elementos comunes de la vista
+   */
+  setupCommonElements() {
+    if (!document.getElementById(this.modalId)) {
+      console.warn(
+        '⚠️ Algunos elementos del DOM no están disponibles para CalendarioICSView'
+      );
+    }
+  }
+
+  /**
+   * Configura los event listeners del modal
+   */
+  setupEventListeners() {
+    const btnCalendarioICS = document.getElementById('btnCalendarioICS');
+    if (btnCalendarioICS) {
+      btnCalendarioICS.addEventListener('click', () => {
+        window.tramiteApp.eventManager.emit('calendarioICS:abrir');
+      });
+    }
+
+    const btnExportar = document.getElementById('btnExportarICS');
+    if (btnExportar) {
+      btnExportar.addEventListener('click', () => {
+        window.tramiteApp.eventManager.emit(
+          'calendarioICS:exportar',
+          this.getFiltrosExportacion()
+        );
+      });
+    }
+
+    // Al elegir un archivo se lee y se previsualiza
+    const archivo = document.getElementById('icsArchivo');
+    if (archivo) {
+      archivo.addEventListener('change', () => {
+        if (archivo.files.length === 0) return;
+        window.tramiteApp.eventManager.emit('calendarioICS:archivo', {
+          file: archivo.files[0],
+          opciones: this.getOpcionesImportacion(),
+        });
+      });
+    }
+
+    // Cualquier otro cambio actualiza la previsualización
+    [
+      'icsImportPeriodo',
+      'icsImportSede',
+      'icsImportEstado',
+      'icsJustificacion',
+    ].forEach(id => {
+      const elemento = document.getElementById(id);
+      if (elemento) {
+        elemento.addEventListener('change', () =>
+          this.emitir('calendarioICS:previsualizar')
+        );
+      }
+    });
+
+    const btnConfirmar = document.getElementById('btnConfirmarImportarICS');
+    if (btnConfirmar) {
+      btnConfirmar.addEventListener('click', () =>
+        this.emitir('calendarioICS:importar')
+      );
+    }
+  }
+
+  /**
+   * Emite un evento con las opciones de importación elegidas
+   * @param {string} eventName - Nombre del evento
+   */
+  emitir(eventName) {
+    window.tramiteApp.eventManager.emit(
+      eventName,
+      this.getOpcionesImportacion()
+    );
+  }
+
+  /**
+   * Obtiene los filtros de la exportación
+   * @returns {Object} { periodo, sede, tramiteId }
+   */
+  getFiltrosExportacion() {
+    return {
+      periodo: document.getElementById('icsExportPeriodo').value,
+      sede: document.getElementById('icsExportSede').value,
+      tramiteId: document.getElementById('icsExportTramite').value,
+    };
+  }
+
+  /**
+   * Obtiene las opciones de la importación
+   * @returns {Object} { periodo, sede, estado, justificacion }
+   */
+  getOpcionesImportacion() {
+    return {
+      periodo: document.getElementById('icsImportPeriodo').value,
+      sede: document.getElementById('icsImportSede').value,
+      estado: document.getElementById('icsImportEstado').value,
+      justificacion: document.getElementById('icsJustificacion').value.trim(),
+    };
+  }
+
+  /**
+   * Muestra el modal
+   * @param {Object} datos - { periodos: [PeriodoAcademico], sedes: [Sede], tramites: [Tramite] }
+   */
+  showModal({ periodos, sedes, tramites }) {
+    document.getElementById('formExportarICS').reset();
+    document.getElementById('formImportarICS').reset();
+
+    const opcionesPeriodo = periodos.map(periodo => ({
+      value: periodo.codigo,
+      text: periodo.codigo,
+    }));
+    const opcionesSede = sedes.map(sede => ({
+      value: sede.codigo,
+      text: sede.nombre,
+    }));
+
+    this.renderOpciones('icsExportPeriodo', opcionesPeriodo, 'Todos');
+    this.renderOpciones('icsExportSede', opcionesSede, 'Todas');
+    this.renderOpciones(
+      'icsExportTramite',
+      tramites.map(tramite => ({
+        value: tramite.id,
+        text: tramite.codigo
+          ? `${tramite.codigo} - ${tramite.nombre}`
+          : tramite.nombre,
+      })),
+      'Todos'
+    );
+    this.renderOpciones(
+      'icsImportPeriodo',
+      opcionesPeriodo,
+      'Según la fecha del evento'
+    );
+    this.renderOpciones(
+      'icsImportSede',
+      opcionesSede,
+      'Según la ubicación del evento'
+    );
+    this.renderPrevisualizacion(null);
+
+    bootstrap.Modal.getOrCreateInstance(
+      document.getElementById(this.modalId)
+    ).show();
+  }
+
+  /**
+   * Cierra el modal
+   */
+  hide() {
+    this.hideModal(this.modalId);
+  }
+
+  /**
+   * Llena un selector
+   * @param {string} selectId - ID del selector
+   * @param {Array} opciones - [{ value, text }]
+   * @param {string} textoVacio - Texto de la opción sin valor
+   */
+  renderOpciones(selectId, opciones, textoVacio) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+
+    select.innerHTML =
+      `<option value="">${this.escapeHtml(textoVacio)}</option>` +
+      opciones
+        .map(
+          ({ value, text }) =>
+            `<option value="${this.escapeHtml(value)}">${this.escapeHtml(
+              text
+            )}</option>`
+        )
+        .join('');
+  }
+
+  /**
+   * Muestra la previsualización de la importación
+   * @param {Object|null} previa - Resultado de previsualizarImportacionICS o null para limpiar
+   */
+  renderPrevisualizacion(previa) {
+    const contenedor = document.getElementById('icsPrevisualizacion');
+    const btnConfirmar = document.getElementById('btnConfirmarImportarICS');
+    if (!contenedor) return;
+
+    const incluidas = previa
+      ? previa.filas.filter(fila => fila.incluir).length
+      : 0;
+    if (btnConfirmar) {
+      btnConfirmar.disabled = incluidas === 0;
+    }
+
+    if (!previa) {
+      contenedor.innerHTML = '';
+      return;
+    }
+
+    if (!previa.isValid) {
+      contenedor.innerHTML = `
+        <div class="alert alert-info mb-0">
+          ${previa.errors.map(error => this.escapeHtml(error)).join('<br>')}
+        </div>
+      `;
+      return;
+    }
+
+    contenedor.innerHTML = `
+      <p class="mb-2">
+        Se importarán <strong>${incluidas}</strong> de ${
+      previa.filas.length
+    } habilitación(es) propuestas.
+      </p>
+      <div class="table-responsive">
+        <table class="table table-sm align-middle mb-0">
+          <thead>
+            <tr>
+              <th>Trámite</th>
+              <th>Sede</th>
+              <th>Periodo</th>
+              <th>Ventana principal</th>
+              <th>Corrección</th>
+              <th>Resultado</th>
+            </tr>
+          </thead>
+          <tbody>${previa.filas
+            .map(fila => this.renderFilaPrevisualizacion(fila))
+            .join('')}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza una fila de la previsualización
+   * @param {Object} fila - { habilitacion, eventos, errores, conflictos, incluir }
+   * @returns {string} HTML de la fila
+   */
+  renderFilaPrevisualizacion({ habilitacion, errores, conflictos, incluir }) {
+    const rango = (inicio, fin) =>
+      inicio
+        ? `${Tramite.formatDate(inicio)} - ${Tramite.formatDate(fin)}`
+        : '-';
+
+    let resultado;
+    if (errores.length > 0) {
+      resultado = this.createBadge('Se omite', 'secondary');
+    } else if (conflictos.length === 0) {
+      resultado = this.createBadge('Se importa', 'success');
+    } else if (incluir) {
+      resultado = this.createBadge('Se importa con conflictos', 'warning');
+    } else {
+      resultado = this.createBadge('Requiere justificación', 'danger');
+    }
+
+    const detalles = [...errores, ...conflictos.map(c => c.mensaje)];
+
+    return `
+      <tr class="${incluir ? '' : 'table-light text-muted'}">
+        <td>${this.escapeHtml(habilitacion.tramiteNombre)}</td>
+        <td>${this.escapeHtml(
+          habilitacion.sede
+            ? window.tramiteApp.getService('sede').getNombre(habilitacion.sede)
+            : '-'
+        )}</td>
+        <td>${this.escapeHtml(habilitacion.periodoAcademico || '-')}</td>
+        <td><small>${rango(
+          habilitacion.fechaInicio,
+          habilitacion.fechaFinalizacion
+        )}</small></td>
+        <td><small>${rango(
+          habilitacion.fechaInicioCorreccion,
+          habilitacion.fechaFinCorreccion
+        )}</small></td>
+        <td>
+          ${resultado}
+          ${
+            detalles.length > 0
+              ? `<ul class="small mb-0 ps-3">${detalles
+                  .map(detalle => `<li>${this.escapeHtml(detalle)}</li>`)
+                  .join('')}</ul>`
+              : ''
+          }
+        </td>
+      </tr>
+    `;
+  }
+}
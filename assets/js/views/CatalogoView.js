@@ -0,0 +1,489 @@
+/**
+ * Vista del catálogo de periodos académicos, sedes y días no hábiles
+ * Muestra el modal de administración con una pestaña por catálogo; cada
+ * pestaña tiene un formulario para crear o editar y la tabla de items. La
+ * pestaña de días no hábiles además filtra por sede, exporta e importa.
+ */
+class CatalogoView extends BaseView {
+  constructor() {
+    super();
+    this.modalId = 'modalCatalogos';
+    this.catalogos = { periodos: [], sedes: [], festivos: [] };
+  }
+
+  /**
+   * Inicializa la vista
+   */
+  async initialize() {
+    await super.initialize();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Configura los elementos comunes de la vista
+   */
+  setupCommonElements() {
+    if (!document.getElementById(this.modalId)) {
+      console.warn(
+        '⚠️ Algunos elementos del DOM no están disponibles para CatalogoView'
+      );
+    }
+  }
+
+  /**
+   * Configura los event listeners del modal
+   */
+  setupEventListeners() {
+    const btnCatalogos = document.getElementById('btnCatalogos');
+    if (btnCatalogos) {
+      btnCatalogos.addEventListener('click', () => {
+        window.tramiteApp.eventManager.emit('catalogo:abrir');
+      });
+    }
+
+    const formPeriodo = document.getElementById('formPeriodoAcademico');
+    if (formPeriodo) {
+      formPeriodo.addEventListener('submit', e => {
+        e.preventDefault();
+        this.emitirGuardar('periodo');
+      });
+    }
+
+    const formSede = document.getElementById('formSede');
+    if (formSede) {
+      formSede.addEventListener('submit', e => {
+        e.preventDefault();
+        this.emitirGuardar('sede');
+      });
+    }
+
+    const formDiaNoHabil = document.getElementById('formDiaNoHabil');
+    if (formDiaNoHabil) {
+      formDiaNoHabil.addEventListener('submit', e => {
+        e.preventDefault();
+        this.emitirGuardar('festivo');
+      });
+    }
+
+    // El filtro de sede también define qué se exporta y la sede de lo importado
+    const filtro = document.getElementById('diaNoHabilFiltroSede');
+    if (filtro) {
+      filtro.addEventListener('change', () =>
+        this.renderDiasNoHabiles(this.catalogos)
+      );
+    }
+
+    const archivo = document.getElementById('diaNoHabilArchivo');
+    if (archivo) {
+      archivo.addEventListener('change', () => {
+        if (archivo.files.length === 0) return;
+        window.tramiteApp.eventManager.emit('catalogo:importar', {
+          file: archivo.files[0],
+          sede: filtro ? filtro.value : '',
+        });
+        archivo.value = '';
+      });
+    }
+
+    const modal = document.getElementById(this.modalId);
+    if (!modal) return;
+
+    modal.addEventListener('click', e => {
+      const boton = e.target.closest('[data-calendario-exportar]');
+      if (!boton) return;
+
+      window.tramiteApp.eventManager.emit('catalogo:exportar', {
+        formato: boton.dataset.calendarioExportar,
+        sede: filtro ? filtro.value : '',
+      });
+    });
+
+    // Acciones de las filas y botones de cancelar edición
+    modal.addEventListener('click', e => {
+      const boton = e.target.closest('[data-catalogo-accion]');
+      if (!boton) return;
+
+      const { catalogoAccion, tipo, id } = boton.dataset;
+      if (catalogoAccion === 'editar') {
+        this.editar(tipo, id);
+      } else if (catalogoAccion === 'cancelar') {
+        this.resetForm(tipo);
+      } else {
+        window.tramiteApp.eventManager.emit(`catalogo:${catalogoAccion}`, {
+          tipo,
+          id,
+        });
+      }
+    });
+  }
+
+  /**
+   * Muestra el modal del catálogo
+   * @param {Object} catalogos - { periodos, sedes, festivos } con { item, enUso }
+   */
+  showModal(catalogos) {
+    this.renderCatalogos(catalogos);
+    this.resetForm('periodo');
+    this.resetForm('sede');
+    this.resetForm('festivo');
+
+    bootstrap.Modal.getOrCreateInstance(
+      document.getElementById(this.modalId)
+    ).show();
+  }
+
+  /**
+   * Indica si el modal está abierto
+   * @returns {boolean} True si se está mostrando
+   */
+  isVisible() {
+    const modal = document.getElementById(this.modalId);
+    return Boolean(modal && modal.classList.contains('show'));
+  }
+
+  /**
+   * Renderiza las tablas de los catálogos
+   * @param {Object} catalogos - { periodos, sedes, festivos } con { item, enUso }
+   */
+  renderCatalogos(catalogos) {
+    this.catalogos = catalogos;
+
+    const tablaPeriodos = document.getElementById('tablaPeriodos');
+    if (tablaPeriodos) {
+      tablaPeriodos.innerHTML = this.renderTabla(
+        ['Código', 'Tipo', 'Inicio', 'Fin', 'Estado', 'En uso'],
+        catalogos.periodos.map(registro => this.renderPeriodoRow(registro)),
+        'No hay periodos académicos en el catálogo'
+      );
+    }
+
+    const tablaSedes = document.getElementById('tablaSedes');
+    if (tablaSedes) {
+      tablaSedes.innerHTML = this.renderTabla(
+        ['Código', 'Nombre', 'Estado', 'En uso'],
+        catalogos.sedes.map(registro => this.renderSedeRow(registro)),
+        'No hay sedes en el catálogo'
+      );
+    }
+
+    this.renderOpcionesSede(catalogos.sedes);
+    this.renderDiasNoHabiles(catalogos);
+  }
+
+  /**
+   * Llena los selectores de sede de la pestaña de días no hábiles
+   * Conserva la opción elegida si la sede sigue en el catálogo.
+   * @param {Array} sedes - [{ item, enUso }]
+   */
+  renderOpcionesSede(sedes) {
+    const opciones = sedes
+      .map(
+        ({ item }) =>
+          `<option value="${this.escapeHtml(item.codigo)}">${this.escapeHtml(
+            item.nombre
+          )}</option>`
+      )
+      .join('');
+
+    ['diaNoHabilSede', 'diaNoHabilFiltroSede'].forEach(selectId => {
+      const select = document.getElementById(selectId);
+      if (!select) return;
+
+      const valor = select.value;
+      select.innerHTML = `<option value="">Todas las sedes</option>${opciones}`;
+      select.value = sedes.some(({ item }) => item.codigo === valor)
+        ? valor
+        : '';
+    });
+  }
+
+  /**
+   * Renderiza la tabla de días no hábiles de la sede elegida en el filtro
+   * Con una sede se muestran sus días y los que aplican a todas las sedes.
+   * @param {Object} catalogos - { sedes, festivos } con { item, enUso }
+   */
+  renderDiasNoHabiles(catalogos) {
+    const tabla = document.getElementById('tablaDiasNoHabiles');
+    if (!tabla) return;
+
+    const filtro = document.getElementById('diaNoHabilFiltroSede');
+    const sede = filtro ? filtro.value : '';
+    const nombres = {};
+    catalogos.sedes.forEach(({ item }) => {
+      nombres[item.codigo] = item.nombre;
+    });
+
+    tabla.innerHTML = this.renderTabla(
+      ['Fecha', 'Descripción', 'Tipo', 'Sede'],
+      catalogos.festivos
+        .filter(({ item }) => !sede || item.aplicaA(sede))
+        .map(({ item }) => this.renderDiaNoHabilRow(item, nombres)),
+      'No hay días no hábiles registrados'
+    );
+  }
+
+  /**
+   * Renderiza la fila de un día no hábil
+   * @param {DiaNoHabil} item - Día no hábil
+   * @param {Object} nombres - Nombre de cada sede por código
+   * @returns {string} HTML de la fila
+   */
+  renderDiaNoHabilRow(item, nombres) {
+    return `
+      <tr>
+        <td><strong>${Tramite.formatDate(item.fecha)}</strong>
+          <small class="text-muted">${CalendarioService.getDiaSemana(
+            item.fecha
+          )}</small></td>
+        <td>${this.escapeHtml(item.descripcion)}</td>
+        <td>${this.createBadge(
+          DiaNoHabil.TIPOS[item.tipo] || item.tipo,
+          item.tipo === 'nacional' ? 'info' : 'warning'
+        )}</td>
+        <td>${
+          item.sede
+            ? this.escapeHtml(nombres[item.sede] || item.sede)
+            : '<span class="text-muted">Todas</span>'
+        }</td>
+        <td class="text-end text-nowrap">
+          ${this.renderAcciones('festivo', item.id, 0, null)}
+        </td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Renderiza una tabla del catálogo
+   * @param {Array<string>} columnas - Encabezados
+   * @param {Array<string>} filas - HTML de las filas
+   * @param {string} vacio - Mensaje si no hay filas
+   * @returns {string} HTML de la tabla
+   */
+  renderTabla(columnas, filas, vacio) {
+    if (filas.length === 0) {
+      return `<p class="text-muted text-center py-3 mb-0">${vacio}</p>`;
+    }
+
+    return `
+      <div class="table-responsive">
+        <table class="table table-sm table-hover align-middle mb-0">
+          <thead>
+            <tr>
+              ${columnas.map(columna => `<th>${columna}</th>`).join('')}
+              <th class="text-end">Acciones</th>
+            </tr>
+          </thead>
+          <tbody>${filas.join('')}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza la fila de un periodo académico
+   * @param {Object} registro - { item, enUso }
+   * @returns {string} HTML de la fila
+   */
+  renderPeriodoRow({ item, enUso }) {
+    return `
+      <tr>
+        <td><strong>${this.escapeHtml(item.codigo)}</strong></td>
+        <td>${this.escapeHtml(
+          PeriodoAcademico.TIPOS[item.tipo] || item.tipo
+        )}</td>
+        <td><small>${Tramite.formatDate(item.fechaInicio)}</small></td>
+        <td><small>${Tramite.formatDate(item.fechaFin)}</small></td>
+        <td>${
+          item.abierto
+            ? this.createBadge('Abierto', 'success')
+            : this.createBadge('Cerrado', 'secondary')
+        }</td>
+        <td>${enUso}</td>
+        <td class="text-end text-nowrap">
+          ${this.renderAcciones('periodo', item.id, enUso, {
+            icono: item.abierto ? 'fa-lock' : 'fa-lock-open',
+            titulo: item.abierto ? 'Cerrar periodo' : 'Abrir periodo',
+          })}
+        </td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Renderiza la fila de una sede
+   * @param {Object} registro - { item, enUso }
+   * @returns {string} HTML de la fila
+   */
+  renderSedeRow({ item, enUso }) {
+    return `
+      <tr>
+        <td><strong>${this.escapeHtml(item.codigo)}</strong></td>
+        <td>${this.escapeHtml(item.nombre)}</td>
+        <td>${
+          item.activa
+            ? this.createBadge('Activa', 'success')
+            : this.createBadge('Inactiva', 'secondary')
+        }</td>
+        <td>${enUso}</td>
+        <td class="text-end text-nowrap">
+          ${this.renderAcciones('sede', item.id, enUso, {
+            icono: item.activa ? 'fa-toggle-on' : 'fa-toggle-off',
+            titulo: item.activa ? 'Desactivar sede' : 'Activar sede',
+          })}
+        </td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Renderiza los botones de acción de una fila
+   * Un item en uso no se puede eliminar.
+   * @param {string} tipo - 'periodo', 'sede' o 'festivo'
+   * @param {string} id - ID del item
+   * @param {number} enUso - Habilitaciones que lo usan
+   * @param {Object|null} alternar - { icono, titulo } del botón de abrir/cerrar o
+   *   activar/desactivar; null si el catálogo no lo tiene
+   * @returns {string} HTML de los botones
+   */
+  renderAcciones(tipo, id, enUso, alternar) {
+    const datos = `data-tipo="${tipo}" data-id="${this.escapeHtml(id)}"`;
+    return `
+      <button type="button" class="btn btn-sm btn-outline-primary" data-catalogo-accion="editar" ${datos} title="Editar">
+        <i class="fas fa-edit"></i>
+      </button>
+      ${
+        alternar
+          ? `<button type="button" class="btn btn-sm btn-outline-secondary" data-catalogo-accion="alternar" ${datos} title="${alternar.titulo}">
+        <i class="fas ${alternar.icono}"></i>
+      </button>`
+          : ''
+      }
+      <button type="button" class="btn btn-sm btn-outline-danger" data-catalogo-accion="eliminar" ${datos}
+              title="${enUso > 0 ? 'En uso por habilitaciones' : 'Eliminar'}" ${
+      enUso > 0 ? 'disabled' : ''
+    }>
+        <i class="fas fa-trash"></i>
+      </button>
+    `;
+  }
+
+  /**
+   * Carga un item en su formulario para editarlo
+   * @param {string} tipo - 'periodo', 'sede' o 'festivo'
+   * @param {string} id - ID del item
+   */
+  editar(tipo, id) {
+    const lista = this.catalogos[CatalogoView.LISTAS[tipo]];
+    const registro = lista.find(({ item }) => item.id === id);
+    if (!registro) return;
+
+    const { item } = registro;
+    if (tipo === 'festivo') {
+      document.getElementById('diaNoHabilId').value = item.id;
+      document.getElementById('diaNoHabilFecha').value = item.fecha;
+      document.getElementById('diaNoHabilDescripcion').value = item.descripcion;
+      document.getElementById('diaNoHabilTipo').value = item.tipo;
+      document.getElementById('diaNoHabilSede').value = item.sede;
+      return;
+    }
+
+    if (tipo === 'sede') {
+      document.getElementById('sedeId').value = item.id;
+      document.getElementById('sedeCodigo').value = item.codigo;
+      document.getElementById('sedeNombre').value = item.nombre;
+      document.getElementById('sedeActiva').checked = item.activa;
+    } else {
+      document.getElementById('periodoId').value = item.id;
+      document.getElementById('periodoCodigo').value = item.codigo;
+      document.getElementById('periodoTipo').value = item.tipo;
+      document.getElementById('periodoFechaInicio').value = item.fechaInicio;
+      document.getElementById('periodoFechaFin').value = item.fechaFin;
+      document.getElementById('periodoAbierto').checked = item.abierto;
+    }
+
+    // Un código en uso no se puede cambiar
+    document.getElementById(
+      tipo === 'sede' ? 'sedeCodigo' : 'periodoCodigo'
+    ).readOnly = registro.enUso > 0;
+  }
+
+  /**
+   * Limpia el formulario de un catálogo y sale del modo edición
+   * @param {string} tipo - 'periodo', 'sede' o 'festivo'
+   */
+  resetForm(tipo) {
+    if (tipo === 'festivo') {
+      const formDiaNoHabil = document.getElementById('formDiaNoHabil');
+      if (!formDiaNoHabil) return;
+
+      formDiaNoHabil.reset();
+      document.getElementById('diaNoHabilId').value = '';
+      return;
+    }
+
+    const form = document.getElementById(
+      tipo === 'sede' ? 'formSede' : 'formPeriodoAcademico'
+    );
+    if (!form) return;
+
+    form.reset();
+    document.getElementById(tipo === 'sede' ? 'sedeId' : 'periodoId').value =
+      '';
+    document.getElementById(
+      tipo === 'sede' ? 'sedeCodigo' : 'periodoCodigo'
+    ).readOnly = false;
+  }
+
+  /**
+   * Emite el evento para guardar el formulario de un catálogo
+   * @param {string} tipo - 'periodo', 'sede' o 'festivo'
+   */
+  emitirGuardar(tipo) {
+    if (tipo === 'festivo') {
+      window.tramiteApp.eventManager.emit('catalogo:guardar', {
+        tipo,
+        id: document.getElementById('diaNoHabilId').value || null,
+        datos: {
+          fecha: document.getElementById('diaNoHabilFecha').value,
+          descripcion: document
+            .getElementById('diaNoHabilDescripcion')
+            .value.trim(),
+          tipo: document.getElementById('diaNoHabilTipo').value,
+          sede: document.getElementById('diaNoHabilSede').value,
+        },
+      });
+      return;
+    }
+
+    const datos =
+      tipo === 'sede'
+        ? {
+            codigo: document.getElementById('sedeCodigo').value.trim(),
+            nombre: document.getElementById('sedeNombre').value.trim(),
+            activa: document.getElementById('sedeActiva').checked,
+          }
+        : {
+            codigo: document.getElementById('periodoCodigo').value.trim(),
+            tipo: document.getElementById('periodoTipo').value,
+            fechaInicio: document.getElementById('periodoFechaInicio').value,
+            fechaFin: document.getElementById('periodoFechaFin').value,
+            abierto: document.getElementById('periodoAbierto').checked,
+          };
+    const id = document.getElementById(
+      tipo === 'sede' ? 'sedeId' : 'periodoId'
+    ).value;
+
+    window.tramiteApp.eventManager.emit('catalogo:guardar', {
+      tipo,
+      id: id || null,
+      datos,
+    });
+  }
+}
+
+// Lista de los catálogos donde está cada tipo de item
+CatalogoView.LISTAS = {
+  periodo: 'periodos',
+  sede: 'sedes',
+  festivo: 'festivos',
+};
@@ -0,0 +1,313 @@
+/**
+ * Vista del asistente para copiar un periodo académico
+ * Permite elegir el periodo origen, el destino y las sedes, y muestra la
+ * previsualización de las habilitaciones que se van a crear con sus conflictos
+ * antes de confirmar la copia.
+ */
+class CopiaPeriodoView extends BaseView {
+  constructor() {
+    super();
+    this.modalId = 'modalCopiarPeriodo';
+  }
+
+  /**
+   * Inicializa la vista
+   */
+  async initialize() {
+    await super.initialize();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Configura los elementos comunes de la vista
+   */
+  setupCommonElements() {
+    if (!document.getElementById(this.modalId)) {
+      console.warn(
+        '⚠️ Algunos elementos del DOM no están disponibles para CopiaPeriodoView'
+      );
+    }
+  }
+
+  /**
+   * Configura los event listeners del asistente
+   */
+  setupEventListeners() {
+    const btnCopiarPeriodo = document.getElementById('btnCopiarPeriodo');
+    if (btnCopiarPeriodo) {
+      btnCopiarPeriodo.addEventListener('click', () => {
+        window.tramiteApp.eventManager.emit('copiaPeriodo:abrir');
+      });
+    }
+
+    // Al cambiar el origen se vuelven a cargar sus sedes
+    const origen = document.getElementById('copiaOrigen');
+    if (origen) {
+      origen.addEventListener('change', () => {
+        window.tramiteApp.eventManager.emit('copiaPeriodo:origen', {
+          origen: origen.value,
+        });
+      });
+    }
+
+    // Cualquier otro cambio actualiza la previsualización
+    ['copiaDestino', 'copiaEstado', 'copiaJustificacion', 'copiaSedes'].forEach(
+      id => {
+        const elemento = document.getElementById(id);
+        if (elemento) {
+          elemento.addEventListener('change', () =>
+            this.emitir('copiaPeriodo:previsualizar')
+          );
+        }
+      }
+    );
+
+    const btnConfirmar = document.getElementById('btnConfirmarCopiaPeriodo');
+    if (btnConfirmar) {
+      btnConfirmar.addEventListener('click', () =>
+        this.emitir('copiaPeriodo:copiar')
+      );
+    }
+  }
+
+  /**
+   * Emite un evento con las opciones elegidas en el asistente
+   * @param {string} eventName - Nombre del evento
+   */
+  emitir(eventName) {
+    window.tramiteApp.eventManager.emit(eventName, this.getOpciones());
+  }
+
+  /**
+   * Obtiene las opciones elegidas en el asistente
+   * @returns {Object} { origen, destino, sedes, estado, justificacion }
+   */
+  getOpciones() {
+    return {
+      origen: document.getElementById('copiaOrigen').value,
+      destino: document.getElementById('copiaDestino').value,
+      sedes: Array.from(
+        document.querySelectorAll('#copiaSedes input[type="checkbox"]:checked')
+      ).map(checkbox => checkbox.value),
+      estado: document.getElementById('copiaEstado').value,
+      justificacion: document.getElementById('copiaJustificacion').value.trim(),
+    };
+  }
+
+  /**
+   * Muestra el asistente
+   * @param {Object} datos - { origenes: [{ periodo, cantidad }], destinos: [PeriodoAcademico] }
+   */
+  showModal({ origenes, destinos }) {
+    document.getElementById('formCopiarPeriodo').reset();
+
+    this.renderOpcionesPeriodo(
+      'copiaOrigen',
+      origenes.map(({ periodo, cantidad }) => ({
+        value: periodo.codigo,
+        text: `${periodo.codigo} (${cantidad} habilitación(es))`,
+        disabled: cantidad === 0,
+      }))
+    );
+    this.renderOpcionesPeriodo(
+      'copiaDestino',
+      destinos.map(periodo => ({
+        value: periodo.codigo,
+        text: `${periodo.codigo} - ${PeriodoAcademico.TIPOS[periodo.tipo]}`,
+        disabled: false,
+      }))
+    );
+    this.renderSedes([]);
+    this.renderPrevisualizacion(null);
+
+    bootstrap.Modal.getOrCreateInstance(
+      document.getElementById(this.modalId)
+    ).show();
+  }
+
+  /**
+   * Cierra el asistente
+   */
+  hide() {
+    this.hideModal(this.modalId);
+  }
+
+  /**
+   * Llena un selector de periodos
+   * @param {string} selectId - ID del selector
+   * @param {Array} opciones - [{ value, text, disabled }]
+   */
+  renderOpcionesPeriodo(selectId, opciones) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+
+    select.innerHTML =
+      '<option value="">Seleccionar periodo...</option>' +
+      opciones
+        .map(
+          ({ value, text, disabled }) =>
+            `<option value="${this.escapeHtml(value)}"${
+              disabled ? ' disabled' : ''
+            }>${this.escapeHtml(text)}</option>`
+        )
+        .join('');
+  }
+
+  /**
+   * Muestra las sedes del periodo origen, todas marcadas
+   * @param {Array} sedes - [{ sede, nombre, cantidad }]
+   */
+  renderSedes(sedes) {
+    const contenedor = document.getElementById('copiaSedes');
+    if (!contenedor) return;
+
+    if (sedes.length === 0) {
+      contenedor.innerHTML =
+        '<span class="text-muted">Seleccione un periodo origen</span>';
+      return;
+    }
+
+    contenedor.innerHTML = sedes
+      .map(
+        ({ sede, nombre, cantidad }, index) => `
+          <div class="form-check form-check-inline">
+            <input class="form-check-input" type="checkbox" id="copiaSede_${index}"
+                   value="${this.escapeHtml(sede)}" checked>
+            <label class="form-check-label" for="copiaSede_${index}">
+              ${this.escapeHtml(
+                nombre
+              )} <small class="text-muted">(${cantidad})</small>
+            </label>
+          </div>
+        `
+      )
+      .join('');
+  }
+
+  /**
+   * Muestra la previsualización de la copia
+   * @param {Object|null} previa - Resultado de previsualizarCopiaPeriodo o null para limpiar
+   */
+  renderPrevisualizacion(previa) {
+    const contenedor = document.getElementById('copiaPrevisualizacion');
+    const btnConfirmar = document.getElementById('btnConfirmarCopiaPeriodo');
+    if (!contenedor) return;
+
+    const incluidas = previa
+      ? previa.filas.filter(fila => fila.incluir).length
+      : 0;
+    if (btnConfirmar) {
+      btnConfirmar.disabled = incluidas === 0;
+    }
+
+    if (!previa) {
+      contenedor.innerHTML = '';
+      return;
+    }
+
+    if (!previa.isValid) {
+      contenedor.innerHTML = `
+        <div class="alert alert-info mb-0">
+          ${previa.errors.map(error => this.escapeHtml(error)).join('<br>')}
+        </div>
+      `;
+      return;
+    }
+
+    if (previa.filas.length === 0) {
+      contenedor.innerHTML =
+        '<p class="text-muted text-center py-3 mb-0">No hay habilitaciones para copiar en las sedes elegidas</p>';
+      return;
+    }
+
+    const desplazamiento =
+      previa.desplazamiento >= 0
+        ? `+${previa.desplazamiento}`
+        : `${previa.desplazamiento}`;
+    contenedor.innerHTML = `
+      <p class="mb-2">
+        Las fechas se desplazan <strong>${desplazamiento} días</strong>.
+        Se copiarán <strong>${incluidas}</strong> de ${
+      previa.filas.length
+    } habilitación(es).
+      </p>
+      <div class="table-responsive">
+        <table class="table table-sm align-middle mb-0">
+          <thead>
+            <tr>
+              <th>Trámite</th>
+              <th>Sede</th>
+              <th>Ventana origen</th>
+              <th>Ventana destino</th>
+              <th>Corrección destino</th>
+              <th>Resultado</th>
+            </tr>
+          </thead>
+          <tbody>${previa.filas
+            .map(fila => this.renderFilaPrevisualizacion(fila))
+            .join('')}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza una fila de la previsualización
+   * @param {Object} fila - { original, copia, errores, conflictos, incluir }
+   * @returns {string} HTML de la fila
+   */
+  renderFilaPrevisualizacion({
+    original,
+    copia,
+    errores,
+    conflictos,
+    incluir,
+  }) {
+    const rango = (inicio, fin) =>
+      `${Tramite.formatDate(inicio)} - ${Tramite.formatDate(fin)}`;
+
+    let resultado;
+    if (errores.length > 0) {
+      resultado = this.createBadge('Se omite', 'secondary');
+    } else if (conflictos.length === 0) {
+      resultado = this.createBadge('Se copia', 'success');
+    } else if (incluir) {
+      resultado = this.createBadge('Se copia con conflictos', 'warning');
+    } else {
+      resultado = this.createBadge('Requiere justificación', 'danger');
+    }
+
+    const detalles = [...errores, ...conflictos.map(c => c.mensaje)];
+
+    return `
+      <tr class="${incluir ? '' : 'table-light text-muted'}">
+        <td>${this.escapeHtml(copia.tramiteNombre || copia.tramiteId)}</td>
+        <td>${this.escapeHtml(
+          window.tramiteApp.getService('sede').getNombre(copia.sede)
+        )}</td>
+        <td><small>${rango(
+          original.fechaInicio,
+          original.fechaFinalizacion
+        )}</small></td>
+        <td><small>${rango(
+          copia.fechaInicio,
+          copia.fechaFinalizacion
+        )}</small></td>
+        <td><small>${rango(
+          copia.fechaInicioCorreccion,
+          copia.fechaFinCorreccion
+        )}</small></td>
+        <td>
+          ${resultado}
+          ${
+            detalles.length > 0
+              ? `<ul class="small mb-0 ps-3">${detalles
+                  .map(detalle => `<li>${this.escapeHtml(detalle)}</li>`)
+                  .join('')}</ul>`
+              : ''
+          }
+        </td>
+      </tr>
+    `;
+  }
+}
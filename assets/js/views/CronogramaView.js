@@ -0,0 +1,583 @@
+/**
+ * Vista del cronograma de habilitaciones
+ * Dibuja en el contenedor de reportes el calendario mensual y la línea de
+ * tiempo (tipo Gantt) de las ventanas de un periodo. La ventana principal y la
+ * de corrección son barras distintas; en la línea de tiempo se puede arrastrar
+ * el borde de una barra para cambiar su fecha.
+ */
+class CronogramaView extends BaseView {
+  constructor() {
+    super();
+    this.container = document.getElementById('reportContainer');
+    this.reportTitle = document.getElementById('reportTitle');
+    this.filtros = { periodo: null, agrupar: 'sede', mes: null };
+    this.rango = null;
+    this.arrastre = null;
+    this.arrastrado = false;
+  }
+
+  /**
+   * Configura los elementos comunes de la vista
+   */
+  setupCommonElements() {
+    if (!this.container) {
+      console.warn(
+        '⚠️ Algunos elementos del DOM no están disponibles para CronogramaView'
+      );
+    }
+  }
+
+  /**
+   * Inicializa la vista
+   */
+  async initialize() {
+    await super.initialize();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Configura los event listeners del contenedor de reportes
+   * Los controles se vuelven a dibujar con cada reporte, así que se escuchan
+   * por delegación.
+   */
+  setupEventListeners() {
+    if (!this.container) return;
+
+    this.container.addEventListener('change', e => {
+      const filtro = e.target.closest('[data-cronograma-filtro]');
+      if (!filtro) return;
+
+      this.filtros[filtro.dataset.cronogramaFiltro] = filtro.value;
+      if (filtro.dataset.cronogramaFiltro === 'periodo') {
+        this.filtros.mes = null;
+      }
+      this.emitir('cronograma:filtrar');
+    });
+
+    this.container.addEventListener('click', e => {
+      const mes = e.target.closest('[data-cronograma-mes]');
+      if (mes) {
+        this.filtros.mes = CronogramaView.desplazarMes(
+          this.filtros.mes,
+          parseInt(mes.dataset.cronogramaMes)
+        );
+        this.emitir('cronograma:filtrar');
+        return;
+      }
+
+      // Al soltar un borde el navegador también genera un click
+      const barra = e.target.closest('[data-habilitacion-id]');
+      if (!barra || this.arrastrado) return;
+
+      this.emitir('habilitado:showOpciones', {
+        habilitadoId: barra.dataset.habilitacionId,
+      });
+    });
+
+    this.container.addEventListener('pointerdown', e => {
+      const borde = e.target.closest('.cronograma-borde');
+      if (borde) this.iniciarArrastre(e, borde);
+    });
+  }
+
+  /**
+   * Emite un evento por el gestor de la aplicación
+   * @param {string} eventName - Nombre del evento
+   * @param {Object} data - Datos del evento
+   */
+  emitir(eventName, data = {}) {
+    if (window.tramiteApp && window.tramiteApp.eventManager) {
+      window.tramiteApp.eventManager.emit(eventName, data);
+    }
+  }
+
+  /**
+   * Obtiene los filtros del cronograma
+   * Si el periodo elegido ya no tiene habilitaciones se usa el más reciente.
+   * @param {Array<string>} periodos - Periodos con habilitaciones
+   * @returns {Object} { periodo, agrupar, mes }
+   */
+  getFiltros(periodos) {
+    if (
+      this.filtros.periodo === null ||
+      (this.filtros.periodo && !periodos.includes(this.filtros.periodo))
+    ) {
+      this.filtros.periodo = periodos[0] || '';
+      this.filtros.mes = null;
+    }
+    return { ...this.filtros };
+  }
+
+  /**
+   * Actualiza el título del reporte
+   * @param {string} title - Título del reporte
+   * @param {string} icon - Icono del reporte
+   */
+  updateReportTitle(title, icon) {
+    if (this.reportTitle) {
+      this.reportTitle.innerHTML = `<i class="${icon} me-2"></i>${title}`;
+    }
+  }
+
+  /**
+   * Renderiza el selector de periodo del cronograma
+   * @param {Array<string>} periodos - Periodos con habilitaciones
+   * @param {string} seleccionado - Periodo elegido
+   * @returns {string} HTML del selector
+   */
+  renderSelectorPeriodo(periodos, seleccionado) {
+    return `
+      <select class="form-select form-select-sm w-auto" data-cronograma-filtro="periodo">
+        <option value="" ${
+          seleccionado === '' ? 'selected' : ''
+        }>Todos los periodos</option>
+        ${periodos
+          .map(
+            periodo =>
+              `<option value="${this.escapeHtml(periodo)}" ${
+                periodo === seleccionado ? 'selected' : ''
+              }>${this.escapeHtml(periodo)}</option>`
+          )
+          .join('')}
+      </select>
+    `;
+  }
+
+  /**
+   * Renderiza la leyenda de los tipos de barra
+   * @returns {string} HTML de la leyenda
+   */
+  renderLeyenda() {
+    return `
+      <span class="small text-muted ms-auto">
+        <span class="cronograma-muestra cronograma-principal"></span> Ventana principal
+        <span class="cronograma-muestra cronograma-correccion ms-2"></span> Corrección
+      </span>
+    `;
+  }
+
+  /**
+   * Renderiza el estado vacío del cronograma
+   * @param {string} toolbarHTML - Barra de filtros
+   */
+  renderVacio(toolbarHTML) {
+    this.container.innerHTML = `
+      <div class="fade-in">
+        ${toolbarHTML}
+        <div class="text-center py-5">
+          <i class="fas fa-calendar-check fa-3x text-muted mb-3"></i>
+          <h5 class="text-muted">No hay habilitaciones con fechas en el periodo</h5>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza la línea de tiempo de las habilitaciones
+   * @param {Object} datos - Resultado de HabilitarTramiteService.getLineaTiempo
+   * @param {Array<string>} periodos - Periodos con habilitaciones
+   */
+  renderLineaTiempo(datos, periodos) {
+    this.updateReportTitle('Línea de Tiempo', 'fas fa-stream');
+
+    const toolbarHTML = `
+      <div class="d-flex flex-wrap align-items-center gap-2 mb-3">
+        ${this.renderSelectorPeriodo(periodos, datos.periodo)}
+        <select class="form-select form-select-sm w-auto" data-cronograma-filtro="agrupar">
+          <option value="sede" ${
+            datos.agrupar === 'sede' ? 'selected' : ''
+          }>Agrupar por sede</option>
+          <option value="tramite" ${
+            datos.agrupar === 'tramite' ? 'selected' : ''
+          }>Agrupar por trámite</option>
+        </select>
+        <small class="text-muted">Arrastre el borde de una barra para cambiar su fecha</small>
+        ${this.renderLeyenda()}
+      </div>
+    `;
+
+    if (!datos.rango || datos.grupos.length === 0) {
+      this.renderVacio(toolbarHTML);
+      return;
+    }
+
+    this.rango = datos.rango;
+    this.container.innerHTML = `
+      <div class="fade-in">
+        ${toolbarHTML}
+        <div class="cronograma">
+          <div class="cronograma-fila cronograma-escala">
+            <div class="cronograma-etiqueta"></div>
+            <div class="cronograma-pista">${this.renderEscala(
+              datos.rango
+            )}</div>
+          </div>
+          ${datos.grupos
+            .map(grupo => this.renderGrupo(grupo, datos.agrupar))
+            .join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza las marcas de inicio de cada mes y del día de hoy
+   * @param {Object} rango - { inicio, fin, dias }
+   * @returns {string} HTML de la escala
+   */
+  renderEscala(rango) {
+    const marcas = [];
+    let mes = rango.inicio.slice(0, 7);
+    while (`${mes}-01` <= rango.fin) {
+      const fecha =
+        mes === rango.inicio.slice(0, 7) ? rango.inicio : `${mes}-01`;
+      const [anio, numero] = mes.split('-').map(Number);
+      marcas.push(
+        `<span class="cronograma-marca" style="left: ${this.getPosicion(
+          fecha
+        )}%">${CronogramaView.MESES[numero - 1].slice(0, 3)} ${anio}</span>`
+      );
+      mes = CronogramaView.desplazarMes(mes, 1);
+    }
+
+    const hoy = CalendarioService.toFecha(new Date());
+    if (hoy >= rango.inicio && hoy <= rango.fin) {
+      marcas.push(
+        `<span class="cronograma-hoy" style="left: ${this.getPosicion(
+          hoy
+        )}%" title="Hoy"></span>`
+      );
+    }
+    return marcas.join('');
+  }
+
+  /**
+   * Renderiza un grupo de la línea de tiempo
+   * @param {Object} grupo - { clave, nombre, filas }
+   * @param {string} agrupar - 'sede' o 'tramite'
+   * @returns {string} HTML del grupo
+   */
+  renderGrupo(grupo, agrupar) {
+    const sedeService = window.tramiteApp.getService('sede');
+    return `
+      <div class="cronograma-grupo">
+        <strong>${this.escapeHtml(grupo.nombre)}</strong>
+        <small class="text-muted">(${grupo.filas.length})</small>
+      </div>
+      ${grupo.filas
+        .map(
+          ({ habilitacion, barras }) => `
+            <div class="cronograma-fila">
+              <div class="cronograma-etiqueta text-truncate" title="${this.escapeHtml(
+                habilitacion.tramiteNombre
+              )}">
+                ${this.escapeHtml(
+                  agrupar === 'sede'
+                    ? habilitacion.tramiteNombre
+                    : sedeService.getNombre(habilitacion.sede)
+                )}
+                ${
+                  habilitacion.isActivo()
+                    ? ''
+                    : this.createBadge('Inactivo', 'secondary')
+                }
+              </div>
+              <div class="cronograma-pista">
+                ${barras
+                  .map(barra => this.renderBarra(barra, habilitacion))
+                  .join('')}
+              </div>
+            </div>
+          `
+        )
+        .join('')}
+    `;
+  }
+
+  /**
+   * Renderiza una barra de la línea de tiempo con sus bordes arrastrables
+   * @param {Object} barra - { habilitacionId, tipo, nombre, campoInicio, campoFin, inicio, fin }
+   * @param {HabilitarTramite} habilitacion - Habilitación de la barra
+   * @returns {string} HTML de la barra
+   */
+  renderBarra(barra, habilitacion) {
+    const izquierda = this.getPosicion(barra.inicio);
+    const ancho =
+      this.getPosicion(ICalendar.sumarDias(barra.fin, 1)) - izquierda;
+
+    return `
+      <div class="cronograma-barra cronograma-${barra.tipo} ${
+      habilitacion.isActivo() ? '' : 'cronograma-inactiva'
+    }"
+           data-habilitacion-id="${this.escapeHtml(barra.habilitacionId)}"
+           style="left: ${izquierda}%; width: ${ancho}%"
+           title="${this.escapeHtml(this.getTituloBarra(barra, habilitacion))}">
+        <span class="cronograma-borde cronograma-borde-inicio" data-campo="${
+          barra.campoInicio
+        }"></span>
+        <span class="cronograma-borde cronograma-borde-fin" data-campo="${
+          barra.campoFin
+        }"></span>
+      </div>
+    `;
+  }
+
+  /**
+   * Obtiene el texto de ayuda de una barra
+   * @param {Object} barra - Barra de una ventana
+   * @param {HabilitarTramite} habilitacion - Habilitación de la barra
+   * @returns {string} Texto con trámite, sede, ventana y fechas
+   */
+  getTituloBarra(barra, habilitacion) {
+    const sede = window.tramiteApp
+      .getService('sede')
+      .getNombre(habilitacion.sede);
+    return `${habilitacion.tramiteNombre} - ${sede}\n${
+      barra.nombre.charAt(0).toUpperCase() + barra.nombre.slice(1)
+    }: ${Tramite.formatDate(barra.inicio)} - ${Tramite.formatDate(barra.fin)}`;
+  }
+
+  /**
+   * Calcula la posición horizontal de una fecha en la línea de tiempo
+   * @param {string} fecha - Fecha en formato YYYY-MM-DD
+   * @returns {number} Porcentaje desde el inicio del rango
+   */
+  getPosicion(fecha) {
+    return (
+      (HabilitacionPeriodoCopier.diferenciaDias(this.rango.inicio, fecha) /
+        this.rango.dias) *
+      100
+    );
+  }
+
+  /**
+   * Empieza a arrastrar el borde de una barra
+   * Mientras se arrastra la barra muestra la nueva fecha y se marca en rojo si
+   * no pasa la validación de la habilitación; al soltar se emite
+   * 'cronograma:mover' con la fecha elegida.
+   * @param {PointerEvent} e - Evento que inicia el arrastre
+   * @param {HTMLElement} borde - Borde arrastrado
+   */
+  iniciarArrastre(e, borde) {
+    const barra = borde.closest('.cronograma-barra');
+    const pista = borde.closest('.cronograma-pista');
+    const service = window.tramiteApp.getService('habilitarTramite');
+    const habilitacion = service.getById(barra.dataset.habilitacionId);
+    if (!habilitacion) return;
+
+    e.preventDefault();
+    const campo = borde.dataset.campo;
+    this.arrastre = {
+      barra,
+      campo,
+      habilitacion,
+      esInicio: borde.classList.contains('cronograma-borde-inicio'),
+      fechaOriginal: habilitacion[campo],
+      fecha: habilitacion[campo],
+      x: e.clientX,
+      pixelesPorDia: pista.getBoundingClientRect().width / this.rango.dias,
+      izquierda: parseFloat(barra.style.left),
+      ancho: parseFloat(barra.style.width),
+    };
+    barra.classList.add('cronograma-arrastrando');
+
+    const mover = evento => this.moverArrastre(evento, service);
+    const soltar = () => {
+      document.removeEventListener('pointermove', mover);
+      document.removeEventListener('pointerup', soltar);
+      this.terminarArrastre();
+    };
+    document.addEventListener('pointermove', mover);
+    document.addEventListener('pointerup', soltar);
+  }
+
+  /**
+   * Actualiza la barra mientras se arrastra su borde
+   * @param {PointerEvent} e - Evento de movimiento
+   * @param {HabilitarTramiteService} service - Servicio que valida la fecha
+   */
+  moverArrastre(e, service) {
+    const arrastre = this.arrastre;
+    if (!arrastre) return;
+
+    const dias = Math.round((e.clientX - arrastre.x) / arrastre.pixelesPorDia);
+    const paso = (dias / this.rango.dias) * 100;
+    arrastre.fecha = ICalendar.sumarDias(arrastre.fechaOriginal, dias);
+
+    if (arrastre.esInicio) {
+      arrastre.barra.style.left = `${arrastre.izquierda + paso}%`;
+      arrastre.barra.style.width = `${Math.max(arrastre.ancho - paso, 0)}%`;
+    } else {
+      arrastre.barra.style.width = `${Math.max(arrastre.ancho + paso, 0)}%`;
+    }
+
+    const validacion = service.validarFechaVentana(
+      arrastre.habilitacion,
+      arrastre.campo,
+      arrastre.fecha
+    );
+    arrastre.barra.classList.toggle('cronograma-invalida', !validacion.isValid);
+    arrastre.barra.title = validacion.isValid
+      ? `${arrastre.habilitacion.getFieldLabel(
+          arrastre.campo
+        )}: ${Tramite.formatDate(arrastre.fecha)}`
+      : validacion.errors.join('\n');
+  }
+
+  /**
+   * Termina el arrastre y emite el cambio de fecha si la hubo
+   */
+  terminarArrastre() {
+    const arrastre = this.arrastre;
+    this.arrastre = null;
+    if (!arrastre) return;
+
+    arrastre.barra.classList.remove('cronograma-arrastrando');
+    this.arrastrado = true;
+    setTimeout(() => {
+      this.arrastrado = false;
+    }, 0);
+    if (arrastre.fecha === arrastre.fechaOriginal) return;
+
+    this.emitir('cronograma:mover', {
+      habilitacionId: arrastre.habilitacion.id,
+      campo: arrastre.campo,
+      fecha: arrastre.fecha,
+    });
+  }
+
+  /**
+   * Renderiza el calendario mensual de las habilitaciones
+   * @param {Object} datos - Resultado de HabilitarTramiteService.getCalendarioMes
+   * @param {Array<string>} periodos - Periodos con habilitaciones
+   */
+  renderCalendario(datos, periodos) {
+    this.updateReportTitle('Calendario de Habilitaciones', 'fas fa-calendar');
+    this.filtros.mes = datos.mes;
+
+    const [anio, mes] = datos.mes.split('-').map(Number);
+    const calendario = window.tramiteApp.getService('calendario');
+    const hoy = CalendarioService.toFecha(new Date());
+
+    const semanasHTML = datos.semanas
+      .map(
+        semana => `
+          <tr>${semana
+            .map(dia => {
+              const motivo = calendario
+                ? calendario.getMotivoNoHabil(dia.fecha)
+                : null;
+              const clases = [
+                dia.delMes ? '' : 'text-muted cronograma-otro-mes',
+                motivo ? 'cronograma-no-habil' : '',
+                dia.fecha === hoy ? 'cronograma-dia-hoy' : '',
+              ].join(' ');
+              return `
+                <td class="${clases}" ${
+                motivo ? `title="${this.escapeHtml(motivo)}"` : ''
+              }>
+                  <div class="small fw-bold">${Number(dia.fecha.slice(8))}</div>
+                  ${dia.barras
+                    .map(barra => this.renderChip(barra, dia.fecha))
+                    .join('')}
+                </td>
+              `;
+            })
+            .join('')}</tr>
+        `
+      )
+      .join('');
+
+    this.container.innerHTML = `
+      <div class="fade-in">
+        <div class="d-flex flex-wrap align-items-center gap-2 mb-3">
+          ${this.renderSelectorPeriodo(periodos, datos.periodo)}
+          <div class="btn-group btn-group-sm">
+            <button type="button" class="btn btn-outline-secondary" data-cronograma-mes="-1" title="Mes anterior">
+              <i class="fas fa-chevron-left"></i>
+            </button>
+            <button type="button" class="btn btn-outline-secondary" data-cronograma-mes="1" title="Mes siguiente">
+              <i class="fas fa-chevron-right"></i>
+            </button>
+          </div>
+          <strong>${CronogramaView.MESES[mes - 1]} ${anio}</strong>
+          ${this.renderLeyenda()}
+        </div>
+        <div class="table-responsive">
+          <table class="table table-bordered table-sm cronograma-mes mb-0">
+            <thead>
+              <tr>${CronogramaView.DIAS_SEMANA.map(
+                dia => `<th class="text-center">${dia}</th>`
+              ).join('')}</tr>
+            </thead>
+            <tbody>${semanasHTML}</tbody>
+          </table>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza la marca de una ventana en un día del calendario
+   * El nombre se muestra el primer día de la ventana y al inicio de cada semana.
+   * @param {Object} barra - Barra con habilitacion, esInicio y esFin
+   * @param {string} fecha - Día del calendario
+   * @returns {string} HTML de la marca
+   */
+  renderChip(barra, fecha) {
+    const { habilitacion } = barra;
+    const mostrarNombre =
+      barra.esInicio || HabilitacionCronograma.getDiaSemana(fecha) === 0;
+    const sede = window.tramiteApp
+      .getService('sede')
+      .getNombre(habilitacion.sede);
+
+    return `
+      <div class="cronograma-chip cronograma-${barra.tipo} ${
+      barra.esInicio ? 'cronograma-chip-inicio' : ''
+    } ${barra.esFin ? 'cronograma-chip-fin' : ''} ${
+      habilitacion.isActivo() ? '' : 'cronograma-inactiva'
+    }"
+           data-habilitacion-id="${this.escapeHtml(habilitacion.id)}"
+           title="${this.escapeHtml(this.getTituloBarra(barra, habilitacion))}">
+        ${
+          mostrarNombre
+            ? this.escapeHtml(`${habilitacion.tramiteNombre} · ${sede}`)
+            : '&nbsp;'
+        }
+      </div>
+    `;
+  }
+
+  /**
+   * Desplaza un mes hacia adelante o hacia atrás
+   * @param {string} mes - Mes en formato YYYY-MM
+   * @param {number} cantidad - Meses a desplazar (negativo para retroceder)
+   * @returns {string} Mes resultante en formato YYYY-MM
+   */
+  static desplazarMes(mes, cantidad) {
+    const [anio, numero] = mes.split('-').map(Number);
+    return new Date(Date.UTC(anio, numero - 1 + cantidad, 1))
+      .toISOString()
+      .slice(0, 7);
+  }
+}
+
+// Nombres de los meses para el encabezado del calendario y la escala
+CronogramaView.MESES = [
+  'Enero',
+  'Febrero',
+  'Marzo',
+  'Abril',
+  'Mayo',
+  'Junio',
+  'Julio',
+  'Agosto',
+  'Septiembre',
+  'Octubre',
+  'Noviembre',
+  'Diciembre',
+];
+
+// Encabezados de las columnas del calendario (las semanas empiezan en lunes)
+CronogramaView.DIAS_SEMANA = ['Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb', 'Dom'];
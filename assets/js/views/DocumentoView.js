@@ -7,6 +7,7 @@ class DocumentoView extends BaseView {
     super();
     this.container = null;
     this.currentTramiteId = null;
+    this.campoArrastrado = null; // Índice del campo que se está arrastrando
   }
 
   /**
@@ -123,7 +124,7 @@ class DocumentoView extends BaseView {
           }')">
             <i class="fas fa-edit"></i>
           </button>
-          <button class="btn btn-sm btn-danger" onclick="this.deleteDocumento('${
+          <button class="btn btn-sm btn-danger" onclick="documentoView.eliminarDocumento('${
             documento.id
           }')">
             <i class="fas fa-trash"></i>
@@ -183,6 +184,9 @@ class DocumentoView extends BaseView {
    * Muestra el modal para crear un nuevo documento
    */
   showCrearDocumentoModal() {
+    this.etapasTemporales = [];
+    this.camposTemporales = [];
+    this.reglaEdicion = null;
     const modalHTML = `
       <div class="modal fade" id="modalCrearDocumento" tabindex="-1" aria-labelledby="modalCrearDocumentoLabel" aria-hidden="true">
         <div class="modal-dialog modal-lg">
@@ -362,14 +366,17 @@ class DocumentoView extends BaseView {
                   </div>
                 </div>
 
-                <!-- Vigencia en días -->
+                ${this.renderDisenadorCadena(false)}
+
+                <!-- Vigencia en días hábiles -->
                 <div class="mb-3">
                   <label for="vigenciaEnDias" class="form-label">
                     <i class="fas fa-calendar-alt me-1"></i>
-                    Vigencia en días
+                    Vigencia en días hábiles
                   </label>
                   <input type="number" class="form-control" id="vigenciaEnDias" 
-                         placeholder="Ingrese el número de días" min="0" required>
+                         placeholder="Ingrese el número de días hábiles" min="0" required>
+                  <div class="form-text" id="vigenciaVencimiento"></div>
                 </div>
 
                 <!-- ¿Permite plazos ampliados? -->
@@ -399,80 +406,7 @@ class DocumentoView extends BaseView {
                 </div>
 
 
-                <!-- Campos del Documento -->
-                <div class="mb-4">
-                  <div class="card">
-                    <div class="card-header bg-light">
-                      <h6 class="mb-0">
-                        <i class="fas fa-list me-2"></i>
-                        Campos del Documento
-                      </h6>
-                    </div>
-                    <div class="card-body">
-                      <!-- Formulario para agregar nuevo campo -->
-                      <div class="row mb-3">
-                        <div class="col-md-4">
-                          <label for="nombreCampo" class="form-label">
-                            <i class="fas fa-tag me-1"></i>
-                            Nombre del Campo
-                          </label>
-                          <input type="text" class="form-control" id="nombreCampo" 
-                                 placeholder="Ej: Número de Identificación">
-                        </div>
-                        <div class="col-md-3">
-                          <label for="tipoCampo" class="form-label">
-                            <i class="fas fa-cog me-1"></i>
-                            Tipo de Campo
-                          </label>
-                          <select class="form-select" id="tipoCampo">
-                            <option value="linea_texto">Línea de Texto</option>
-                            <option value="fecha">Fecha</option>
-                            <option value="numerico">Numérico</option>
-                          </select>
-                        </div>
-                        <div class="col-md-3">
-                          <label class="form-label">
-                            <i class="fas fa-exclamation-circle me-1"></i>
-                            Obligatorio
-                          </label>
-                          <div class="row">
-                            <div class="col-6">
-                              <div class="form-check">
-                                <input class="form-check-input" type="radio" name="obligatorioCampo" id="obligatorioCampoSi" value="Sí">
-                                <label class="form-check-label" for="obligatorioCampoSi">
-                                  Sí
-                                </label>
-                              </div>
-                            </div>
-                            <div class="col-6">
-                              <div class="form-check">
-                                <input class="form-check-input" type="radio" name="obligatorioCampo" id="obligatorioCampoNo" value="No" checked>
-                                <label class="form-check-label" for="obligatorioCampoNo">
-                                  No
-                                </label>
-                              </div>
-                            </div>
-                          </div>
-                        </div>
-                        <div class="col-md-2 d-flex align-items-end">
-                          <button type="button" class="btn btn-outline-primary w-100" id="btnAgregarCampo">
-                            <i class="fas fa-plus me-1"></i>
-                            Agregar
-                          </button>
-                        </div>
-                      </div>
-
-                      <!-- Tabla de campos agregados -->
-                      <div id="camposDocumentoContainer">
-                        <div class="text-center py-3 text-muted">
-                          <i class="fas fa-list fa-2x mb-2"></i>
-                          <p class="mb-0">No hay campos agregados</p>
-                          <small>Use el formulario de arriba para agregar campos al documento</small>
-                        </div>
-                      </div>
-                    </div>
-                  </div>
-                </div>
+                ${this.renderSeccionCampos()}
               </form>
             </div>
             <div class="modal-footer">
@@ -515,11 +449,117 @@ class DocumentoView extends BaseView {
     });
   }
 
+  /**
+   * Renderiza la sección de campos de los modales de crear y editar documento
+   * @returns {string} HTML de la sección
+   */
+  renderSeccionCampos() {
+    return `
+      <!-- Campos del Documento -->
+      <div class="mb-4">
+        <div class="card">
+          <div class="card-header bg-light">
+            <h6 class="mb-0">
+              <i class="fas fa-list me-2"></i>
+              Campos del Documento
+            </h6>
+          </div>
+          <div class="card-body">
+            <!-- Formulario para agregar nuevo campo -->
+            <div class="row mb-3">
+              <div class="col-md-3">
+                <label for="nombreCampo" class="form-label">
+                  <i class="fas fa-tag me-1"></i>
+                  Nombre del Campo
+                </label>
+                <input type="text" class="form-control" id="nombreCampo" 
+                       placeholder="Ej: Número de Identificación">
+              </div>
+              <div class="col-md-2">
+                <label for="seccionCampo" class="form-label">
+                  <i class="fas fa-layer-group me-1"></i>
+                  Sección
+                </label>
+                <input type="text" class="form-control" id="seccionCampo"
+                       list="seccionesCampoLista" placeholder="Opcional">
+                <datalist id="seccionesCampoLista"></datalist>
+              </div>
+              <div class="col-md-2">
+                <label for="tipoCampo" class="form-label">
+                  <i class="fas fa-cog me-1"></i>
+                  Tipo de Campo
+                </label>
+                <select class="form-select" id="tipoCampo">
+                  ${this.renderOpcionesTipoCampo()}
+                </select>
+              </div>
+              <div class="col-md-3">
+                <label class="form-label">
+                  <i class="fas fa-exclamation-circle me-1"></i>
+                  Obligatorio
+                </label>
+                <div class="row">
+                  <div class="col-6">
+                    <div class="form-check">
+                      <input class="form-check-input" type="radio" name="obligatorioCampo" id="obligatorioCampoSi" value="Sí">
+                      <label class="form-check-label" for="obligatorioCampoSi">
+                        Sí
+                      </label>
+                    </div>
+                  </div>
+                  <div class="col-6">
+                    <div class="form-check">
+                      <input class="form-check-input" type="radio" name="obligatorioCampo" id="obligatorioCampoNo" value="No" checked>
+                      <label class="form-check-label" for="obligatorioCampoNo">
+                        No
+                      </label>
+                    </div>
+                  </div>
+                </div>
+              </div>
+              <div class="col-md-2 d-flex align-items-end">
+                <button type="button" class="btn btn-outline-primary w-100" id="btnAgregarCampo">
+                  <i class="fas fa-plus me-1"></i>
+                  Agregar
+                </button>
+              </div>
+            </div>
+
+            <!-- Configuración propia del tipo de campo -->
+            <div id="configuracionCampoContainer" class="row g-2 mb-3"></div>
+
+            <!-- Tabla de campos agregados -->
+            <div id="camposDocumentoContainer">
+              <div class="text-center py-3 text-muted">
+                <i class="fas fa-list fa-2x mb-2"></i>
+                <p class="mb-0">No hay campos agregados</p>
+                <small>Use el formulario de arriba para agregar campos al documento</small>
+              </div>
+            </div>
+
+            <!-- Editor de reglas condicionales del campo elegido -->
+            <div id="reglasCampoContainer"></div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
   /**
    * Muestra el modal para editar un documento existente
    * @param {Object} documento - Documento a editar
    */
   showEditarDocumentoModal(documento) {
+    this.etapasTemporales = (documento.cadenaAprobacion || []).map(etapa => ({
+      ...etapa,
+    }));
+    // Los campos se editan en la misma tabla que al crear el documento
+    this.camposTemporales = window.campoDocumentoService
+      ? window.campoDocumentoService
+          .getCamposByDocumentoId(documento.id)
+          .map(campo => campo.toJSON())
+      : [];
+    this.reglaEdicion = null;
     const modalHTML = `
       <div class="modal fade" id="modalCrearDocumento" tabindex="-1" aria-labelledby="modalCrearDocumentoLabel" aria-hidden="true">
         <div class="modal-dialog modal-lg">
@@ -907,15 +947,20 @@ class DocumentoView extends BaseView {
                   </div>
                 </div>
 
-                <!-- Vigencia en días -->
+                ${this.renderDisenadorCadena(
+                  documento.requiereAprobacion === 'Sí'
+                )}
+
+                <!-- Vigencia en días hábiles -->
                 <div class="mb-3">
                   <label for="vigenciaEnDias" class="form-label">
                     <i class="fas fa-calendar-alt me-1"></i>
-                    Vigencia en días
+                    Vigencia en días hábiles
                   </label>
                   <input type="number" class="form-control" id="vigenciaEnDias" 
-                         placeholder="Ingrese el número de días" min="0" 
+                         placeholder="Ingrese el número de días hábiles" min="0" 
                          value="${documento.vigenciaEnDias || ''}" required>
+                  <div class="form-text" id="vigenciaVencimiento"></div>
                 </div>
 
                 <!-- ¿Permite plazos ampliados? -->
@@ -951,6 +996,22 @@ class DocumentoView extends BaseView {
                     </div>
                   </div>
                 </div>
+                ${this.renderSeccionCampos()}
+
+                <!-- Nota del cambio -->
+                <div class="mb-3">
+                  <label for="notaVersion" class="form-label">
+                    <i class="fas fa-history me-1"></i>
+                    Nota del cambio
+                  </label>
+                  <textarea class="form-control" id="notaVersion" rows="2"
+                            placeholder="Describa qué cambió (queda en el historial de versiones)"></textarea>
+                  <div class="form-text">
+                    Al guardar se crea la versión ${VersionDocumento.toVersionText(
+                      VersionDocumento.toNumero(documento.version) + 1
+                    )} del documento.
+                  </div>
+                </div>
               </form>
             </div>
             <div class="modal-footer">
@@ -1003,6 +1064,8 @@ class DocumentoView extends BaseView {
 
     // Configurar eventos para campos del documento
     this.setupCamposDocumentoEvents();
+    this.setupCadenaAprobacionEvents();
+    this.setupVigenciaEvents();
 
     if (form) {
       form.addEventListener('submit', e => {
@@ -1022,6 +1085,10 @@ class DocumentoView extends BaseView {
     const btnGuardarDocumento = document.getElementById('btnGuardarDocumento');
     const form = document.getElementById('formCrearDocumento');
 
+    this.setupCamposDocumentoEvents();
+    this.setupCadenaAprobacionEvents();
+    this.setupVigenciaEvents();
+
     if (btnGuardarDocumento) {
       btnGuardarDocumento.addEventListener('click', () => {
         this.actualizarDocumento(documentoId);
@@ -1040,6 +1107,35 @@ class DocumentoView extends BaseView {
     }
   }
 
+  /**
+   * Muestra el vencimiento de un documento entregado hoy al cambiar la vigencia
+   */
+  setupVigenciaEvents() {
+    const vigencia = document.getElementById('vigenciaEnDias');
+    if (!vigencia) return;
+
+    vigencia.addEventListener('input', () => this.actualizarVencimiento());
+    this.actualizarVencimiento();
+  }
+
+  /**
+   * Actualiza el texto con el vencimiento de un documento entregado hoy
+   */
+  actualizarVencimiento() {
+    const vigencia = document.getElementById('vigenciaEnDias');
+    const texto = document.getElementById('vigenciaVencimiento');
+    if (!vigencia || !texto) return;
+
+    const fechaVencimiento = window.tramiteApp
+      .getService('documento')
+      .getFechaVencimiento(new Documento({ vigenciaEnDias: vigencia.value }));
+    texto.textContent = fechaVencimiento
+      ? `Un documento entregado hoy vence el ${Tramite.formatDate(
+          fechaVencimiento
+        )}`
+      : '';
+  }
+
   /**
    * Guarda el documento desde el formulario
    */
@@ -1080,6 +1176,8 @@ class DocumentoView extends BaseView {
         'input[name="permitePlazosAmpliados"]:checked'
       )?.value,
     };
+    formData.cadenaAprobacion =
+      formData.requiereAprobacion === 'Sí' ? this.etapasTemporales || [] : [];
 
     // Validar campos requeridos
     const requiredFields = [
@@ -1138,8 +1236,10 @@ class DocumentoView extends BaseView {
         callback: result => {
           if (result.success) {
             this.showAlert(result.message, 'success');
-            // Limpiar campos temporales
+            // Limpiar campos y etapas temporales
             this.camposTemporales = [];
+            this.etapasTemporales = [];
+            this.reglaEdicion = null;
             // Cerrar el modal
             const modal = bootstrap.Modal.getInstance(
               document.getElementById('modalCrearDocumento')
@@ -1174,7 +1274,7 @@ class DocumentoView extends BaseView {
       tamanoMaximoPermitido: 'Tamaño máximo permitido',
       obligatoriedad: 'Obligatoriedad',
       requiereAprobacion: '¿Requiere aprobación?',
-      vigenciaEnDias: 'Vigencia en días',
+      vigenciaEnDias: 'Vigencia en días hábiles',
       permitePlazosAmpliados: '¿Permite plazos ampliados?',
     };
     return labels[field] || field;
@@ -1211,6 +1311,15 @@ class DocumentoView extends BaseView {
       });
     }
 
+    // Cada tipo de campo tiene su propia configuración
+    const tipoCampo = document.getElementById('tipoCampo');
+    if (tipoCampo) {
+      tipoCampo.addEventListener('change', () => {
+        this.renderConfiguracionCampo(tipoCampo.value);
+      });
+      this.renderConfiguracionCampo(tipoCampo.value);
+    }
+
     // Permitir agregar campo con Enter
     const nombreCampo = document.getElementById('nombreCampo');
     if (nombreCampo) {
@@ -1221,6 +1330,75 @@ class DocumentoView extends BaseView {
         }
       });
     }
+
+    this.setupOrdenCamposEvents();
+    this.renderCamposDocumento();
+  }
+
+  /**
+   * Configura el cambio de posición y de sección de los campos de la tabla
+   * Las filas se arrastran por su asa o se mueven con Alt+↑ y Alt+↓; la tabla
+   * se vuelve a dibujar con cada cambio, así que se escucha por delegación.
+   */
+  setupOrdenCamposEvents() {
+    const container = document.getElementById('camposDocumentoContainer');
+    if (!container) return;
+
+    const getFila = e => e.target.closest('tr[data-campo-index]');
+
+    container.addEventListener('dragstart', e => {
+      const fila = getFila(e);
+      if (!fila || !e.target.closest('[data-campo-arrastrar]')) return;
+      this.campoArrastrado = parseInt(fila.dataset.campoIndex);
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', fila.dataset.campoIndex);
+      e.dataTransfer.setDragImage(fila, 0, 0);
+    });
+
+    container.addEventListener('dragover', e => {
+      const fila = getFila(e);
+      if (!fila || this.campoArrastrado === null) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      container
+        .querySelectorAll('tr.table-active')
+        .forEach(otra => otra.classList.remove('table-active'));
+      fila.classList.add('table-active');
+    });
+
+    container.addEventListener('drop', e => {
+      const fila = getFila(e);
+      if (!fila || this.campoArrastrado === null) return;
+      e.preventDefault();
+      this.moverCampo(this.campoArrastrado, parseInt(fila.dataset.campoIndex));
+      this.campoArrastrado = null;
+    });
+
+    container.addEventListener('dragend', () => {
+      this.campoArrastrado = null;
+      container
+        .querySelectorAll('tr.table-active')
+        .forEach(fila => fila.classList.remove('table-active'));
+    });
+
+    container.addEventListener('keydown', e => {
+      const fila = getFila(e);
+      if (!fila || !e.altKey) return;
+      if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+      e.preventDefault();
+      const index = parseInt(fila.dataset.campoIndex);
+      this.moverCampo(index, index + (e.key === 'ArrowUp' ? -1 : 1), true);
+    });
+
+    container.addEventListener('change', e => {
+      const input = e.target.closest('[data-campo-seccion]');
+      if (input) {
+        this.cambiarSeccionCampo(
+          parseInt(input.dataset.campoSeccion),
+          input.value
+        );
+      }
+    });
   }
 
   /**
@@ -1245,17 +1423,33 @@ class DocumentoView extends BaseView {
       return;
     }
 
+    const registry = FieldTypeRegistry.getDefault();
+    const configuracion = registry.normalizeConfig(
+      tipoCampo.value,
+      this.leerConfiguracionCampo()
+    );
+    const validacion = registry.validateConfig(tipoCampo.value, configuracion);
+    if (!validacion.isValid) {
+      this.showAlert(validacion.errors.join(', '), 'warning');
+      return;
+    }
+
     // Crear objeto del campo
+    const seccionCampo = document.getElementById('seccionCampo');
     const campoData = {
       id: this.generateId(),
       nombreCampo: nombreCampo.value.trim(),
       tipoCampo: tipoCampo.value,
       obligatorio: obligatorioCampo.value,
+      configuracion,
+      seccion: seccionCampo ? seccionCampo.value.trim() : '',
     };
 
-    // Agregar a la lista temporal
-    this.camposTemporales = this.camposTemporales || [];
-    this.camposTemporales.push(campoData);
+    // Agregar a la lista temporal, al final de su sección
+    this.camposTemporales = this.ordenarCamposTemporales([
+      ...(this.camposTemporales || []),
+      campoData,
+    ]);
 
     // Actualizar la tabla
     this.renderCamposDocumento();
@@ -1263,17 +1457,21 @@ class DocumentoView extends BaseView {
     // Limpiar formulario
     nombreCampo.value = '';
     tipoCampo.value = 'linea_texto';
+    this.renderConfiguracionCampo(tipoCampo.value);
     document.getElementById('obligatorioCampoNo').checked = true;
     nombreCampo.focus();
   }
 
   /**
    * Renderiza la tabla de campos del documento
+   * Los campos se muestran en su orden, bajo el título de su sección.
    */
   renderCamposDocumento() {
     const container = document.getElementById('camposDocumentoContainer');
     if (!container) return;
 
+    this.renderOpcionesSeccion();
+
     if (!this.camposTemporales || this.camposTemporales.length === 0) {
       container.innerHTML = `
         <div class="text-center py-3 text-muted">
@@ -1285,61 +1483,630 @@ class DocumentoView extends BaseView {
       return;
     }
 
-    let tableHTML = `
+    const grupos = CampoDocumento.agruparPorSeccion(this.camposTemporales);
+    const conSecciones = grupos.some(grupo => grupo.seccion);
+    let index = 0;
+
+    container.innerHTML = `
       <div class="table-responsive">
         <table class="table table-sm table-hover">
           <thead>
             <tr>
+              <th class="text-center"><span class="visually-hidden">Mover</span></th>
               <th class="text-center">Nombre del Campo</th>
               <th class="text-center">Tipo</th>
               <th class="text-center">Obligatorio</th>
+              <th class="text-center">Sección</th>
+              <th class="text-center">Reglas</th>
               <th class="text-center">Acciones</th>
             </tr>
           </thead>
           <tbody>
+            ${grupos
+              .map(
+                grupo => `
+                  ${
+                    conSecciones
+                      ? `<tr class="table-light">
+                           <td colspan="7">
+                             <i class="fas fa-layer-group me-1"></i>
+                             <strong>${
+                               grupo.seccion
+                                 ? this.escapeHtml(grupo.seccion)
+                                 : 'Sin sección'
+                             }</strong>
+                           </td>
+                         </tr>`
+                      : ''
+                  }
+                  ${grupo.campos
+                    .map(campo => this.renderFilaCampo(campo, index++))
+                    .join('')}
+                `
+              )
+              .join('')}
+          </tbody>
+        </table>
+      </div>
+      <small class="text-muted">
+        Arrastre las filas por <i class="fas fa-grip-vertical"></i> o use
+        Alt+↑ y Alt+↓ para cambiar el orden. Un campo que se mueve a otra
+        sección toma esa sección.
+      </small>
     `;
+  }
 
-    this.camposTemporales.forEach((campo, index) => {
-      const tipoIcono = this.getTipoCampoIcono(campo.tipoCampo);
-      const tipoBadge = this.getTipoCampoBadge(campo.tipoCampo);
-      const obligatorioBadge =
-        campo.obligatorio === 'Sí' ? 'bg-warning' : 'bg-secondary';
-
-      tableHTML += `
-        <tr>
-          <td class="text-center">
-            <strong>${this.escapeHtml(campo.nombreCampo)}</strong>
-          </td>
-          <td class="text-center">
-            <span class="badge ${tipoBadge}">
-              <i class="${tipoIcono} me-1"></i>
-              ${this.getTipoCampoLegible(campo.tipoCampo)}
-            </span>
-          </td>
-          <td class="text-center">
-            <span class="badge ${obligatorioBadge}">
-              ${this.escapeHtml(campo.obligatorio)}
-            </span>
-          </td>
-          <td class="text-center">
-            <button class="btn btn-sm btn-outline-danger" 
-                    onclick="documentoView.eliminarCampoTemporal(${index})"
-                    data-bs-toggle="tooltip" 
-                    title="Eliminar campo">
-              <i class="fas fa-trash"></i>
-            </button>
-          </td>
-        </tr>
-      `;
+  /**
+   * Renderiza la fila de un campo de la tabla
+   * @param {Object} campo - Campo temporal
+   * @param {number} index - Índice del campo
+   * @returns {string} HTML de la fila
+   */
+  renderFilaCampo(campo, index) {
+    const reglas = campo.reglas || [];
+    const tipoIcono = this.getTipoCampoIcono(campo.tipoCampo);
+    const tipoBadge = this.getTipoCampoBadge(campo.tipoCampo);
+    const obligatorioBadge =
+      campo.obligatorio === 'Sí' ? 'bg-warning' : 'bg-secondary';
+    const total = this.camposTemporales.length;
+
+    return `
+      <tr data-campo-index="${index}" tabindex="0"
+          aria-label="${this.escapeHtml(campo.nombreCampo)}, posición ${
+      index + 1
+    } de ${total}">
+        <td class="text-center text-muted">
+          <span draggable="true" data-campo-arrastrar style="cursor: grab;"
+                title="Arrastrar para cambiar la posición">
+            <i class="fas fa-grip-vertical"></i>
+          </span>
+        </td>
+        <td class="text-center">
+          <strong>${this.escapeHtml(campo.nombreCampo)}</strong>
+        </td>
+        <td class="text-center">
+          <span class="badge ${tipoBadge}">
+            <i class="${tipoIcono} me-1"></i>
+            ${this.getTipoCampoLegible(campo.tipoCampo)}
+          </span>
+          ${FieldTypeRegistry.getDefault()
+            .describeConfig(campo.tipoCampo, campo.configuracion)
+            .map(
+              detalle =>
+                `<div><small class="text-muted">${this.escapeHtml(
+                  detalle
+                )}</small></div>`
+            )
+            .join('')}
+        </td>
+        <td class="text-center">
+          <span class="badge ${obligatorioBadge}">
+            ${this.escapeHtml(campo.obligatorio)}
+          </span>
+        </td>
+        <td>
+          <input type="text" class="form-control form-control-sm"
+                 list="seccionesCampoLista" placeholder="Sin sección"
+                 value="${this.escapeHtml(campo.seccion || '')}"
+                 data-campo-seccion="${index}"
+                 aria-label="Sección de ${this.escapeHtml(campo.nombreCampo)}">
+        </td>
+        <td>
+          ${
+            reglas.length > 0
+              ? reglas
+                  .map(
+                    regla =>
+                      `<div><small>${this.escapeHtml(
+                        FieldRuleEngine.describeRule(regla)
+                      )}</small></div>`
+                  )
+                  .join('')
+              : '<small class="text-muted">Siempre visible</small>'
+          }
+        </td>
+        <td class="text-center text-nowrap">
+          <button type="button" class="btn btn-sm btn-outline-secondary"
+                  onclick="documentoView.moverCampo(${index}, ${
+      index - 1
+    }, true)"
+                  ${index === 0 ? 'disabled' : ''} title="Subir">
+            <i class="fas fa-arrow-up"></i>
+          </button>
+          <button type="button" class="btn btn-sm btn-outline-secondary me-1"
+                  onclick="documentoView.moverCampo(${index}, ${
+      index + 1
+    }, true)"
+                  ${index === total - 1 ? 'disabled' : ''} title="Bajar">
+            <i class="fas fa-arrow-down"></i>
+          </button>
+          <button type="button" class="btn btn-sm btn-outline-secondary me-1"
+                  onclick="documentoView.editarReglasCampo(${index})"
+                  data-bs-toggle="tooltip"
+                  title="Reglas condicionales">
+            <i class="fas fa-code-branch"></i>
+          </button>
+          <button type="button" class="btn btn-sm btn-outline-danger"
+                  onclick="documentoView.eliminarCampoTemporal(${index})"
+                  data-bs-toggle="tooltip"
+                  title="Eliminar campo">
+            <i class="fas fa-trash"></i>
+          </button>
+        </td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Llena la lista de secciones que se sugieren al escribir una sección
+   */
+  renderOpcionesSeccion() {
+    const lista = document.getElementById('seccionesCampoLista');
+    if (!lista) return;
+
+    lista.innerHTML = CampoDocumento.agruparPorSeccion(
+      this.camposTemporales || []
+    )
+      .filter(grupo => grupo.seccion)
+      .map(grupo => `<option value="${this.escapeHtml(grupo.seccion)}">`)
+      .join('');
+  }
+
+  /**
+   * Deja los campos temporales en el orden en que se guardan
+   * Los campos de una sección quedan juntos y cada uno recibe su posición.
+   * @param {Array<Object>} campos - Campos en el orden elegido
+   * @returns {Array<Object>} Campos ordenados con su orden
+   */
+  ordenarCamposTemporales(campos) {
+    return CampoDocumento.ordenar(
+      campos.map((campo, index) => ({ ...campo, orden: index + 1 }))
+    ).map((campo, index) => ({ ...campo, orden: index + 1 }));
+  }
+
+  /**
+   * Mueve un campo temporal a otra posición
+   * El campo toma la sección del campo cuyo lugar ocupa, así que moverlo más
+   * allá del borde de su sección lo pasa a la sección vecina.
+   * @param {number} desde - Índice actual del campo
+   * @param {number} hasta - Índice de destino
+   * @param {boolean} enfocar - Si se enfoca la fila después de moverla (teclado)
+   */
+  moverCampo(desde, hasta, enfocar = false) {
+    const campos = [...(this.camposTemporales || [])];
+    if (desde === hasta || !campos[desde] || !campos[hasta]) return;
+
+    const seccion = campos[hasta].seccion || '';
+    const [campo] = campos.splice(desde, 1);
+    campos.splice(hasta, 0, { ...campo, seccion });
+    this.camposTemporales = this.ordenarCamposTemporales(campos);
+
+    // El editor de reglas se refiere al campo por su índice
+    this.reglaEdicion = null;
+    this.renderEditorReglas();
+    this.renderCamposDocumento();
+
+    if (enfocar) {
+      const destino = this.camposTemporales.findIndex(
+        item => item.id === campo.id
+      );
+      const fila = document.querySelector(
+        `#camposDocumentoContainer tr[data-campo-index="${destino}"]`
+      );
+      if (fila) fila.focus();
+    }
+  }
+
+  /**
+   * Cambia la sección de un campo temporal
+   * El campo pasa al final de la sección; si la sección es nueva queda en su
+   * lugar.
+   * @param {number} index - Índice del campo
+   * @param {string} seccion - Nombre de la sección; vacío para quitarla
+   */
+  cambiarSeccionCampo(index, seccion) {
+    const campos = [...(this.camposTemporales || [])];
+    if (!campos[index]) return;
+
+    const nueva = seccion.trim();
+    const [campo] = campos.splice(index, 1);
+    const ultimo = campos.map(item => item.seccion || '').lastIndexOf(nueva);
+    campos.splice(ultimo === -1 ? index : ultimo + 1, 0, {
+      ...campo,
+      seccion: nueva,
     });
+    this.camposTemporales = this.ordenarCamposTemporales(campos);
 
-    tableHTML += `
-          </tbody>
-        </table>
+    this.reglaEdicion = null;
+    this.renderEditorReglas();
+    this.renderCamposDocumento();
+  }
+
+  /**
+   * Abre el editor de reglas de un campo temporal
+   * @param {number} index - Índice del campo
+   */
+  editarReglasCampo(index) {
+    this.reglaEdicion = {
+      index,
+      accion: 'mostrar',
+      operador: 'y',
+      condiciones: [{ campo: '', comparador: 'igual', valor: '' }],
+    };
+    this.renderEditorReglas();
+  }
+
+  /**
+   * Cierra el editor de reglas
+   */
+  cerrarEditorReglas() {
+    this.reglaEdicion = null;
+    this.renderEditorReglas();
+  }
+
+  /**
+   * Renderiza el editor de reglas del campo en edición
+   * Muestra las reglas del campo y el formulario de una regla nueva cuyas
+   * condiciones se refieren a los demás campos del documento.
+   */
+  renderEditorReglas() {
+    const container = document.getElementById('reglasCampoContainer');
+    if (!container) return;
+
+    const edicion = this.reglaEdicion;
+    const campo =
+      edicion && this.camposTemporales && this.camposTemporales[edicion.index];
+    if (!campo) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const otros = this.camposTemporales.filter(
+      (_, index) => index !== edicion.index
+    );
+    const reglas = campo.reglas || [];
+    const opciones = (valores, seleccionado) =>
+      Object.entries(valores)
+        .map(
+          ([valor, texto]) =>
+            `<option value="${this.escapeHtml(valor)}"${
+              valor === seleccionado ? ' selected' : ''
+            }>${this.escapeHtml(texto)}</option>`
+        )
+        .join('');
+
+    container.innerHTML = `
+      <div class="card border-secondary mt-3">
+        <div class="card-header d-flex justify-content-between align-items-center">
+          <span>
+            <i class="fas fa-code-branch me-2"></i>
+            Reglas de "${this.escapeHtml(campo.nombreCampo)}"
+          </span>
+          <button type="button" class="btn-close" aria-label="Cerrar"
+                  onclick="documentoView.cerrarEditorReglas()"></button>
+        </div>
+        <div class="card-body">
+          ${
+            reglas.length > 0
+              ? `<ul class="list-group mb-3">${reglas
+                  .map(
+                    (regla, reglaIndex) => `
+                      <li class="list-group-item d-flex justify-content-between align-items-center">
+                        <small>${this.escapeHtml(
+                          FieldRuleEngine.describeRule(regla)
+                        )}</small>
+                        <button type="button" class="btn btn-sm btn-outline-danger"
+                                onclick="documentoView.eliminarReglaCampo(${reglaIndex})"
+                                title="Eliminar regla">
+                          <i class="fas fa-trash"></i>
+                        </button>
+                      </li>
+                    `
+                  )
+                  .join('')}</ul>`
+              : '<p class="text-muted small">El campo no tiene reglas: siempre es visible.</p>'
+          }
+          ${
+            otros.length === 0
+              ? '<p class="text-muted small mb-0">Agregue otro campo para poder definir reglas.</p>'
+              : `
+                <div class="row g-2 mb-2">
+                  <div class="col-md-6">
+                    <select class="form-select form-select-sm" id="reglaAccion">
+                      ${opciones(FieldRuleEngine.ACCIONES, edicion.accion)}
+                    </select>
+                  </div>
+                  <div class="col-md-6">
+                    <select class="form-select form-select-sm" id="reglaOperador">
+                      ${opciones(
+                        DocumentoView.OPERADORES_REGLA,
+                        edicion.operador
+                      )}
+                    </select>
+                  </div>
+                </div>
+                ${edicion.condiciones
+                  .map((condicion, condicionIndex) =>
+                    this.renderCondicionRegla(condicion, condicionIndex, otros)
+                  )
+                  .join('')}
+                <div class="d-flex gap-2">
+                  <button type="button" class="btn btn-sm btn-outline-secondary"
+                          onclick="documentoView.agregarCondicionRegla()">
+                    <i class="fas fa-plus me-1"></i>
+                    Agregar condición
+                  </button>
+                  <button type="button" class="btn btn-sm btn-primary"
+                          onclick="documentoView.guardarReglaCampo()">
+                    <i class="fas fa-save me-1"></i>
+                    Guardar regla
+                  </button>
+                </div>
+              `
+          }
+        </div>
       </div>
     `;
+  }
+
+  /**
+   * Renderiza una condición de la regla en edición
+   * El control del valor depende del campo elegido: las listas y las casillas
+   * ofrecen sus opciones.
+   * @param {Object} condicion - { campo, comparador, valor }
+   * @param {number} index - Índice de la condición
+   * @param {Array} otros - Campos que se pueden comparar
+   * @returns {string} HTML de la condición
+   */
+  renderCondicionRegla(condicion, index, otros) {
+    const referido = otros.find(otro => otro.nombreCampo === condicion.campo);
+    const comparador = FieldRuleEngine.COMPARADORES[condicion.comparador];
+    const atributos = `class="form-select form-select-sm" data-condicion="valor" data-index="${index}"`;
+
+    let valores = null;
+    if (referido && referido.tipoCampo === 'casilla') {
+      valores = ['Sí', 'No'];
+    } else if (
+      referido &&
+      referido.configuracion &&
+      referido.configuracion.opciones
+    ) {
+      valores = referido.configuracion.opciones;
+    }
+
+    let control;
+    if (comparador && !comparador.requiereValor) {
+      control = '';
+    } else if (valores) {
+      control = `<select ${atributos}>${valores
+        .map(
+          valor =>
+            `<option value="${this.escapeHtml(valor)}"${
+              valor === condicion.valor ? ' selected' : ''
+            }>${this.escapeHtml(valor)}</option>`
+        )
+        .join('')}</select>`;
+    } else {
+      control = `<input type="text" class="form-control form-control-sm" data-condicion="valor"
+                        data-index="${index}" value="${this.escapeHtml(
+        condicion.valor
+      )}" placeholder="Valor">`;
+    }
 
-    container.innerHTML = tableHTML;
+    return `
+      <div class="row g-2 mb-2 align-items-center">
+        <div class="col-md-4">
+          <select class="form-select form-select-sm" data-condicion="campo" data-index="${index}"
+                  onchange="documentoView.actualizarCondicionRegla()">
+            <option value="">Campo...</option>
+            ${otros
+              .map(
+                otro =>
+                  `<option value="${this.escapeHtml(otro.nombreCampo)}"${
+                    otro.nombreCampo === condicion.campo ? ' selected' : ''
+                  }>${this.escapeHtml(otro.nombreCampo)}</option>`
+              )
+              .join('')}
+          </select>
+        </div>
+        <div class="col-md-3">
+          <select class="form-select form-select-sm" data-condicion="comparador" data-index="${index}"
+                  onchange="documentoView.actualizarCondicionRegla()">
+            ${Object.entries(FieldRuleEngine.COMPARADORES)
+              .map(
+                ([clave, definicion]) =>
+                  `<option value="${clave}"${
+                    clave === condicion.comparador ? ' selected' : ''
+                  }>${this.escapeHtml(definicion.etiqueta)}</option>`
+              )
+              .join('')}
+          </select>
+        </div>
+        <div class="col-md-4">${control}</div>
+        <div class="col-md-1 text-end">
+          <button type="button" class="btn btn-sm btn-outline-danger"
+                  onclick="documentoView.quitarCondicionRegla(${index})"
+                  title="Quitar condición">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Lee del editor la regla en edición
+   */
+  leerReglaEdicion() {
+    const edicion = this.reglaEdicion;
+    const accion = document.getElementById('reglaAccion');
+    const operador = document.getElementById('reglaOperador');
+    if (!edicion || !accion) return;
+
+    edicion.accion = accion.value;
+    edicion.operador = operador.value;
+    document
+      .querySelectorAll('#reglasCampoContainer [data-condicion]')
+      .forEach(control => {
+        const condicion = edicion.condiciones[Number(control.dataset.index)];
+        if (condicion) {
+          condicion[control.dataset.condicion] = control.value;
+        }
+      });
+  }
+
+  /**
+   * Vuelve a renderizar el editor cuando cambia el campo o el comparador de una condición
+   */
+  actualizarCondicionRegla() {
+    this.leerReglaEdicion();
+    this.renderEditorReglas();
+  }
+
+  /**
+   * Agrega una condición vacía a la regla en edición
+   */
+  agregarCondicionRegla() {
+    this.leerReglaEdicion();
+    this.reglaEdicion.condiciones.push({
+      campo: '',
+      comparador: 'igual',
+      valor: '',
+    });
+    this.renderEditorReglas();
+  }
+
+  /**
+   * Quita una condición de la regla en edición
+   * @param {number} index - Índice de la condición
+   */
+  quitarCondicionRegla(index) {
+    this.leerReglaEdicion();
+    this.reglaEdicion.condiciones.splice(index, 1);
+    this.renderEditorReglas();
+  }
+
+  /**
+   * Agrega la regla en edición al campo
+   * Antes se validan las reglas de todos los campos para rechazar las
+   * dependencias circulares.
+   */
+  guardarReglaCampo() {
+    this.leerReglaEdicion();
+    const edicion = this.reglaEdicion;
+    const regla = FieldRuleEngine.normalizeRule(edicion);
+
+    const campos = this.camposTemporales.map((campo, index) =>
+      index === edicion.index
+        ? { ...campo, reglas: [...(campo.reglas || []), regla] }
+        : campo
+    );
+    const validacion = FieldRuleEngine.validateRules(campos);
+    if (!validacion.isValid) {
+      this.showAlert(validacion.errors.join(', '), 'warning');
+      return;
+    }
+
+    this.camposTemporales = campos;
+    this.editarReglasCampo(edicion.index);
+    this.renderCamposDocumento();
+  }
+
+  /**
+   * Elimina una regla del campo en edición
+   * @param {number} reglaIndex - Índice de la regla
+   */
+  eliminarReglaCampo(reglaIndex) {
+    const campo = this.camposTemporales[this.reglaEdicion.index];
+    campo.reglas = (campo.reglas || []).filter(
+      (_, index) => index !== reglaIndex
+    );
+    this.leerReglaEdicion();
+    this.renderEditorReglas();
+    this.renderCamposDocumento();
+  }
+
+  /**
+   * Renderiza las opciones del selector de tipo de campo
+   * @returns {string} HTML de las opciones
+   */
+  renderOpcionesTipoCampo() {
+    return FieldTypeRegistry.getDefault()
+      .getAll()
+      .map(
+        definicion =>
+          `<option value="${definicion.tipo}">${this.escapeHtml(
+            definicion.etiqueta
+          )}</option>`
+      )
+      .join('');
+  }
+
+  /**
+   * Renderiza los controles de configuración del tipo de campo elegido
+   * @param {string} tipoCampo - Tipo del campo
+   */
+  renderConfiguracionCampo(tipoCampo) {
+    const container = document.getElementById('configuracionCampoContainer');
+    if (!container) return;
+
+    const definicion = FieldTypeRegistry.getDefault().get(tipoCampo);
+    const esquemas = definicion ? Object.entries(definicion.configuracion) : [];
+    container.innerHTML = esquemas
+      .map(([clave, esquema]) => {
+        const id = `configCampo_${clave}`;
+        const requerido = esquema.requerido
+          ? ' <span class="text-danger">*</span>'
+          : '';
+
+        if (esquema.tipo === 'booleano') {
+          return `
+            <div class="col-md-4 d-flex align-items-end">
+              <div class="form-check">
+                <input class="form-check-input" type="checkbox" id="${id}" data-config="${clave}">
+                <label class="form-check-label" for="${id}">${this.escapeHtml(
+            esquema.etiqueta
+          )}</label>
+              </div>
+            </div>
+          `;
+        }
+
+        const control =
+          esquema.tipo === 'opciones'
+            ? `<textarea class="form-control form-control-sm" id="${id}" data-config="${clave}" rows="3"></textarea>`
+            : `<input type="${
+                DocumentoView.TIPOS_INPUT_CONFIGURACION[esquema.tipo] || 'text'
+              }" class="form-control form-control-sm" id="${id}" data-config="${clave}"${
+                esquema.min !== undefined ? ` min="${esquema.min}"` : ''
+              }>`;
+        return `
+          <div class="${
+            esquema.tipo === 'opciones' ? 'col-md-12' : 'col-md-4'
+          }">
+            <label for="${id}" class="form-label small mb-1">${this.escapeHtml(
+          esquema.etiqueta
+        )}${requerido}</label>
+            ${control}
+          </div>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * Lee los controles de configuración del tipo de campo
+   * @returns {Object} Configuración sin normalizar
+   */
+  leerConfiguracionCampo() {
+    const configuracion = {};
+    document
+      .querySelectorAll('#configuracionCampoContainer [data-config]')
+      .forEach(control => {
+        configuracion[control.dataset.config] =
+          control.type === 'checkbox' ? control.checked : control.value;
+      });
+    return configuracion;
   }
 
   /**
@@ -1349,24 +2116,310 @@ class DocumentoView extends BaseView {
   eliminarCampoTemporal(index) {
     if (this.camposTemporales && this.camposTemporales[index]) {
       const campo = this.camposTemporales[index];
+      const dependientes = this.camposTemporales.filter(otro =>
+        FieldRuleEngine.getDependencies(otro).includes(campo.nombreCampo)
+      );
+      if (dependientes.length > 0) {
+        this.showAlert(
+          `El campo "${campo.nombreCampo}" lo usan las reglas de: ${dependientes
+            .map(otro => otro.nombreCampo)
+            .join(', ')}`,
+          'warning'
+        );
+        return;
+      }
+
       this.camposTemporales.splice(index, 1);
+      this.reglaEdicion = null;
+      this.renderEditorReglas();
       this.renderCamposDocumento();
       this.showAlert(`Campo "${campo.nombreCampo}" eliminado`, 'info');
     }
   }
 
+  /**
+   * Renderiza el diseñador de la cadena de aprobación
+   * Solo se muestra cuando el documento requiere aprobación.
+   * @param {boolean} visible - Si el diseñador empieza visible
+   * @returns {string} HTML del diseñador
+   */
+  renderDisenadorCadena(visible) {
+    const asignaciones = window.tramiteApp
+      ? window.tramiteApp.getService('documento').getAsignacionesAprobacion()
+      : [];
+
+    return `
+      <!-- Cadena de aprobación -->
+      <div class="mb-4 ${visible ? '' : 'd-none'}" id="cadenaAprobacionCard">
+        <div class="card">
+          <div class="card-header bg-light">
+            <h6 class="mb-0">
+              <i class="fas fa-sitemap me-2"></i>
+              Cadena de aprobación
+            </h6>
+            <small class="text-muted">
+              Sin etapas, el documento lo aprueba su responsable de validación en una sola etapa
+            </small>
+          </div>
+          <div class="card-body">
+            <div class="row g-2 mb-2">
+              <div class="col-md-4">
+                <label for="nombreEtapa" class="form-label">Etapa</label>
+                <input type="text" class="form-control" id="nombreEtapa"
+                       placeholder="Ej: Coordinación de área">
+              </div>
+              <div class="col-md-3">
+                <label for="tipoAsignacionEtapa" class="form-label">Asignada a</label>
+                <select class="form-select" id="tipoAsignacionEtapa">
+                  ${Object.entries(ApprovalChain.TIPOS_ASIGNACION)
+                    .map(
+                      ([valor, etiqueta]) =>
+                        `<option value="${valor}">${etiqueta}</option>`
+                    )
+                    .join('')}
+                </select>
+              </div>
+              <div class="col-md-5">
+                <label for="asignadoAEtapa" class="form-label">Rol o área</label>
+                <input type="text" class="form-control" id="asignadoAEtapa"
+                       list="asignacionesAprobacion" placeholder="Ej: Registro Académico">
+              </div>
+              <div class="col-md-3">
+                <label for="diasSLAEtapa" class="form-label">Plazo (días hábiles)</label>
+                <input type="number" class="form-control" id="diasSLAEtapa"
+                       min="0" placeholder="Sin plazo">
+              </div>
+              <div class="col-md-5">
+                <label for="escalarAEtapa" class="form-label">Al vencer, escalar a</label>
+                <input type="text" class="form-control" id="escalarAEtapa"
+                       list="asignacionesAprobacion" placeholder="Ej: Decanatura">
+              </div>
+              <div class="col-md-4 d-flex align-items-end">
+                <div class="form-check mb-2">
+                  <input class="form-check-input" type="checkbox" id="paralelaEtapa">
+                  <label class="form-check-label" for="paralelaEtapa">
+                    En paralelo con la etapa anterior
+                  </label>
+                </div>
+              </div>
+            </div>
+            <datalist id="asignacionesAprobacion">
+              ${asignaciones
+                .map(
+                  asignacion =>
+                    `<option value="${this.escapeHtml(asignacion)}"></option>`
+                )
+                .join('')}
+            </datalist>
+            <div class="text-end mb-3">
+              <button type="button" class="btn btn-outline-primary btn-sm" id="btnAgregarEtapa">
+                <i class="fas fa-plus me-1"></i>
+                Agregar etapa
+              </button>
+            </div>
+
+            <!-- Etapas agregadas, por nivel -->
+            <div id="etapasAprobacionContainer"></div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Configura los eventos del diseñador de la cadena de aprobación
+   */
+  setupCadenaAprobacionEvents() {
+    const card = document.getElementById('cadenaAprobacionCard');
+    if (!card) return;
+
+    document
+      .querySelectorAll('input[name="requiereAprobacion"]')
+      .forEach(radio => {
+        radio.addEventListener('change', () => {
+          card.classList.toggle(
+            'd-none',
+            document.querySelector('input[name="requiereAprobacion"]:checked')
+              ?.value !== 'Sí'
+          );
+        });
+      });
+
+    const btnAgregarEtapa = document.getElementById('btnAgregarEtapa');
+    if (btnAgregarEtapa) {
+      btnAgregarEtapa.addEventListener('click', () => {
+        this.agregarEtapaAprobacion();
+      });
+    }
+
+    this.renderEtapasAprobacion();
+  }
+
+  /**
+   * Agrega una etapa al final de la cadena de aprobación
+   */
+  agregarEtapaAprobacion() {
+    const nombreEtapa = document.getElementById('nombreEtapa');
+    const etapa = {
+      nombre: nombreEtapa.value.trim(),
+      asignadoA: document.getElementById('asignadoAEtapa').value.trim(),
+      tipoAsignacion: document.getElementById('tipoAsignacionEtapa').value,
+      paralela: document.getElementById('paralelaEtapa').checked,
+      diasSLA: document.getElementById('diasSLAEtapa').value || 0,
+      escalarA: document.getElementById('escalarAEtapa').value.trim(),
+    };
+
+    this.etapasTemporales = this.etapasTemporales || [];
+    const validacion = ApprovalChain.validate([
+      ...this.etapasTemporales,
+      etapa,
+    ]);
+    if (!validacion.isValid) {
+      this.showAlert(validacion.errors.join(', '), 'warning');
+      return;
+    }
+
+    this.etapasTemporales = ApprovalChain.normalize([
+      ...this.etapasTemporales,
+      etapa,
+    ]);
+    this.renderEtapasAprobacion();
+
+    // Limpiar formulario
+    ['nombreEtapa', 'asignadoAEtapa', 'diasSLAEtapa', 'escalarAEtapa'].forEach(
+      id => {
+        document.getElementById(id).value = '';
+      }
+    );
+    document.getElementById('paralelaEtapa').checked = false;
+    nombreEtapa.focus();
+  }
+
+  /**
+   * Renderiza las etapas de la cadena agrupadas por nivel
+   */
+  renderEtapasAprobacion() {
+    const container = document.getElementById('etapasAprobacionContainer');
+    if (!container) return;
+
+    const etapas = this.etapasTemporales || [];
+    if (etapas.length === 0) {
+      container.innerHTML = `
+        <div class="text-center py-2 text-muted">
+          <small>No hay etapas agregadas</small>
+        </div>
+      `;
+      return;
+    }
+
+    let indice = 0;
+    container.innerHTML = ApprovalChain.getNiveles(etapas)
+      .map(
+        (nivel, numero) => `
+          <div class="border rounded p-2 mb-2">
+            <div class="small text-muted mb-1">
+              Nivel ${numero + 1}${nivel.length > 1 ? ' · en paralelo' : ''}
+            </div>
+            ${nivel
+              .map(etapa => {
+                const index = indice++;
+                return `
+                  <div class="d-flex align-items-center gap-2 mb-1">
+                    <small class="flex-grow-1">${this.escapeHtml(
+                      ApprovalChain.describe(etapa)
+                    )}</small>
+                    ${
+                      index > 0
+                        ? `<button type="button" class="btn btn-sm btn-outline-secondary"
+                              onclick="documentoView.alternarParalelaEtapa(${index})"
+                              title="${
+                                etapa.paralela
+                                  ? 'Revisar después de la etapa anterior'
+                                  : 'Revisar en paralelo con la etapa anterior'
+                              }">
+                            <i class="fas ${
+                              etapa.paralela
+                                ? 'fa-level-down-alt'
+                                : 'fa-columns'
+                            }"></i>
+                          </button>`
+                        : ''
+                    }
+                    <button type="button" class="btn btn-sm btn-outline-secondary"
+                            onclick="documentoView.moverEtapaAprobacion(${index}, -1)"
+                            ${index === 0 ? 'disabled' : ''} title="Subir">
+                      <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary"
+                            onclick="documentoView.moverEtapaAprobacion(${index}, 1)"
+                            ${
+                              index === etapas.length - 1 ? 'disabled' : ''
+                            } title="Bajar">
+                      <i class="fas fa-arrow-down"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-danger"
+                            onclick="documentoView.eliminarEtapaAprobacion(${index})"
+                            title="Eliminar etapa">
+                      <i class="fas fa-trash"></i>
+                    </button>
+                  </div>
+                `;
+              })
+              .join('')}
+          </div>
+        `
+      )
+      .join('');
+  }
+
+  /**
+   * Mueve una etapa de la cadena una posición
+   * @param {number} index - Índice de la etapa
+   * @param {number} desplazamiento - -1 para subir, 1 para bajar
+   */
+  moverEtapaAprobacion(index, desplazamiento) {
+    const destino = index + desplazamiento;
+    const etapas = [...(this.etapasTemporales || [])];
+    if (!etapas[index] || !etapas[destino]) return;
+
+    [etapas[index], etapas[destino]] = [etapas[destino], etapas[index]];
+    this.etapasTemporales = ApprovalChain.normalize(etapas);
+    this.renderEtapasAprobacion();
+  }
+
+  /**
+   * Cambia si una etapa se revisa en paralelo con la anterior
+   * @param {number} index - Índice de la etapa
+   */
+  alternarParalelaEtapa(index) {
+    const etapa = this.etapasTemporales && this.etapasTemporales[index];
+    if (!etapa) return;
+
+    etapa.paralela = !etapa.paralela;
+    this.etapasTemporales = ApprovalChain.normalize(this.etapasTemporales);
+    this.renderEtapasAprobacion();
+  }
+
+  /**
+   * Elimina una etapa de la cadena
+   * @param {number} index - Índice de la etapa
+   */
+  eliminarEtapaAprobacion(index) {
+    if (!this.etapasTemporales || !this.etapasTemporales[index]) return;
+
+    const [etapa] = this.etapasTemporales.splice(index, 1);
+    this.etapasTemporales = ApprovalChain.normalize(this.etapasTemporales);
+    this.renderEtapasAprobacion();
+    this.showAlert(`Etapa "${etapa.nombre}" eliminada`, 'info');
+  }
+
   /**
    * Obtiene el icono del tipo de campo
    * @param {string} tipoCampo - Tipo del campo
    * @returns {string} Clase del icono
    */
   getTipoCampoIcono(tipoCampo) {
-    const iconos = {
-      linea_texto: 'fas fa-font',
-      fecha: 'fas fa-calendar-alt',
-      numerico: 'fas fa-hashtag',
-    };
-    return iconos[tipoCampo] || 'fas fa-question';
+    return FieldTypeRegistry.getDefault().getIcon(tipoCampo);
   }
 
   /**
@@ -1375,12 +2428,7 @@ class DocumentoView extends BaseView {
    * @returns {string} Clase del badge
    */
   getTipoCampoBadge(tipoCampo) {
-    const colores = {
-      linea_texto: 'bg-primary',
-      fecha: 'bg-info',
-      numerico: 'bg-success',
-    };
-    return colores[tipoCampo] || 'bg-secondary';
+    return FieldTypeRegistry.getDefault().getBadgeColor(tipoCampo);
   }
 
   /**
@@ -1389,12 +2437,7 @@ class DocumentoView extends BaseView {
    * @returns {string} Nombre legible
    */
   getTipoCampoLegible(tipoCampo) {
-    const tipos = {
-      linea_texto: 'Línea de Texto',
-      fecha: 'Fecha',
-      numerico: 'Numérico',
-    };
-    return tipos[tipoCampo] || tipoCampo;
+    return FieldTypeRegistry.getDefault().getLabel(tipoCampo);
   }
 
   /**
@@ -1446,6 +2489,8 @@ class DocumentoView extends BaseView {
         'input[name="permitePlazosAmpliados"]:checked'
       )?.value,
     };
+    formData.cadenaAprobacion =
+      formData.requiereAprobacion === 'Sí' ? this.etapasTemporales || [] : [];
 
     // Validar campos requeridos
     const requiredFields = [
@@ -1471,51 +2516,80 @@ class DocumentoView extends BaseView {
       return;
     }
 
-    try {
-      // Obtener documentos existentes
-      const documentosData = localStorage.getItem('documentos_tramites');
-      let documentos = documentosData ? JSON.parse(documentosData) : [];
-
-      // Buscar el documento a actualizar
-      const documentoIndex = documentos.findIndex(
-        doc => doc.id === documentoId
-      );
-      if (documentoIndex === -1) {
-        this.showAlert('Documento no encontrado', 'danger');
-        return;
-      }
-
-      // Actualizar el documento
-      const documentoActualizado = {
-        ...documentos[documentoIndex],
-        ...formData,
-        fechaModificacion: new Date().toISOString(),
-      };
-
-      documentos[documentoIndex] = documentoActualizado;
+    // Emitir evento para actualizar el documento
+    if (window.tramiteApp && window.tramiteApp.eventManager) {
+      window.tramiteApp.eventManager.emit('documento:updateFromForm', {
+        documentoId,
+        formData,
+        nota: document.getElementById('notaVersion').value.trim(),
+        campos: this.camposTemporales || [],
+        callback: result => {
+          if (result.success) {
+            this.showUndoToast(result.message, {
+              onUndo: () => {
+                if (window.tramiteApp && window.tramiteApp.tramiteView) {
+                  window.tramiteApp.tramiteView.renderDocumentosReport();
+                }
+              },
+            });
+
+            this.etapasTemporales = [];
+            this.camposTemporales = [];
+            this.reglaEdicion = null;
 
-      // Guardar en localStorage
-      localStorage.setItem('documentos_tramites', JSON.stringify(documentos));
+            // Cerrar modal
+            const modal = document.getElementById('modalCrearDocumento');
+            if (modal) {
+              const bsModal = bootstrap.Modal.getInstance(modal);
+              if (bsModal) {
+                bsModal.hide();
+              }
+            }
 
-      // Mostrar mensaje de éxito
-      this.showAlert('Documento actualizado exitosamente', 'success');
+            // Refrescar el reporte de documentos
+            if (window.tramiteApp && window.tramiteApp.tramiteView) {
+              window.tramiteApp.tramiteView.renderDocumentosReport();
+            }
+          } else {
+            this.showAlert(result.errors.join(', '), 'danger');
+          }
+        },
+      });
+    } else {
+      console.error('❌ EventManager no encontrado');
+      this.showAlert('Error: No se puede conectar con el sistema', 'danger');
+    }
+  }
 
-      // Cerrar modal
-      const modal = document.getElementById('modalCrearDocumento');
-      if (modal) {
-        const bsModal = bootstrap.Modal.getInstance(modal);
-        if (bsModal) {
-          bsModal.hide();
+  /**
+   * Solicita confirmación y elimina un documento
+   * @param {string} documentoId - ID del documento
+   */
+  eliminarDocumento(documentoId) {
+    this.showConfirmModal(
+      'Eliminar Documento',
+      '¿Está seguro de que desea eliminar este documento? Se enviará a la papelera.',
+      () => {
+        if (window.tramiteApp && window.tramiteApp.eventManager) {
+          window.tramiteApp.eventManager.emit('documento:delete', documentoId);
         }
-      }
-
-      // Refrescar el reporte de documentos
-      if (window.tramiteApp && window.tramiteApp.tramiteView) {
-        window.tramiteApp.tramiteView.renderDocumentosReport();
-      }
-    } catch (error) {
-      console.error('Error al actualizar documento:', error);
-      this.showAlert('Error al actualizar el documento', 'danger');
-    }
+      },
+      'Eliminar',
+      'Cancelar'
+    );
   }
 }
+
+// Tipo de input HTML de cada tipo de configuración de los campos
+DocumentoView.TIPOS_INPUT_CONFIGURACION = {
+  numero: 'number',
+  fecha: 'date',
+  texto: 'text',
+  lista: 'text',
+};
+
+// Texto de los operadores de las reglas condicionales en el editor
+DocumentoView.OPERADORES_REGLA = {
+  y: 'Todas las condiciones (Y)',
+  o: 'Alguna condición (O)',
+};
@@ -42,6 +42,70 @@ class EstadoView extends BaseView {
     this.renderEstadosList([]);
   }
 
+  /**
+   * Muestra el formulario para cambiar el estado de un trámite
+   * Al enviarlo emite `estado:cambiar`; EstadoController rechaza los cambios
+   * que no permite la máquina de estados.
+   * @param {string} tramiteId - ID del trámite
+   */
+  showChangeForm(tramiteId) {
+    if (!this.container) return;
+    this.currentTramiteId = tramiteId;
+
+    const opciones = Estado.ESTADOS.map(
+      estado =>
+        `<option value="${estado}">${this.escapeHtml(
+          Estado.ETIQUETAS[estado] || estado
+        )}</option>`
+    ).join('');
+
+    this.container.innerHTML = `
+      <div class="card">
+        <div class="card-header">
+          <h5 class="mb-0">
+            <i class="fas fa-exchange-alt me-2"></i>
+            Cambiar Estado del Trámite
+          </h5>
+        </div>
+        <div class="card-body">
+          <form id="formCambiarEstado">
+            <div class="mb-3">
+              <label for="cambioEstado" class="form-label">Nuevo estado</label>
+              <select id="cambioEstado" class="form-select" required>
+                ${opciones}
+              </select>
+            </div>
+            <div class="mb-3">
+              <label for="cambioMotivo" class="form-label">Motivo</label>
+              <input type="text" id="cambioMotivo" class="form-control">
+            </div>
+            <div class="mb-3">
+              <label for="cambioObservaciones" class="form-label">Observaciones</label>
+              <textarea id="cambioObservaciones" class="form-control" rows="2"></textarea>
+            </div>
+            <button type="submit" class="btn btn-primary">
+              <i class="fas fa-save me-2"></i>Cambiar estado
+            </button>
+          </form>
+        </div>
+      </div>
+    `;
+
+    document
+      .getElementById('formCambiarEstado')
+      .addEventListener('submit', event => {
+        event.preventDefault();
+        window.tramiteApp.eventManager.emit('estado:cambiar', {
+          tramiteId,
+          estado: document.getElementById('cambioEstado').value,
+          motivo: document.getElementById('cambioMotivo').value.trim(),
+          observaciones: document
+            .getElementById('cambioObservaciones')
+            .value.trim(),
+        });
+      });
+  }
+
   /**
    * Renderiza la lista de estados
    * @param {Array} estados - Array de estados
@@ -0,0 +1,523 @@
+/**
+ * Vista del formulario que diligencia el solicitante de un trámite
+ * Dibuja en cualquier contenedor los documentos vinculados al trámite con su
+ * archivo y sus campos, aplica las reglas de visibilidad mientras se escribe y
+ * valida antes de entregar el objeto de envío. En la aplicación se usa como
+ * vista previa; para incrustarlo en otro sitio basta con llamar a render con
+ * la definición del formulario y un callback onEnviar.
+ */
+class FormularioTramiteView extends BaseView {
+  constructor() {
+    super();
+    this.modalId = 'modalFormularioTramite';
+    this.contenedor = null;
+    this.definicion = null;
+    this.onEnviar = null;
+    this.archivos = {};
+  }
+
+  /**
+   * Configura los elementos comunes de la vista
+   * El formulario se dibuja en el contenedor que recibe render, así que no
+   * depende de elementos fijos del DOM.
+   */
+  setupCommonElements() {}
+
+  /**
+   * Muestra el formulario de un trámite como vista previa
+   * Al enviarlo se muestra el objeto de envío en lugar de guardarlo.
+   * @param {Object} definicion - Definición del formulario (FormularioTramite)
+   */
+  showModal(definicion) {
+    const contenedor = document.getElementById('formularioTramiteContainer');
+    this.renderEnvio(null);
+    this.render(contenedor, definicion, {
+      textoEnviar: 'Validar y generar envío',
+      onEnviar: envio => this.renderEnvio(envio),
+    });
+
+    // El envío mostrado deja de valer en cuanto cambia el formulario
+    const form = contenedor.querySelector('form');
+    if (form) {
+      form.addEventListener('input', () => this.renderEnvio(null));
+    }
+
+    bootstrap.Modal.getOrCreateInstance(
+      document.getElementById(this.modalId)
+    ).show();
+  }
+
+  /**
+   * Muestra el objeto de envío de la vista previa
+   * @param {Object|null} envio - Objeto de envío o null para limpiar
+   */
+  renderEnvio(envio) {
+    const contenedor = document.getElementById('formularioTramiteEnvio');
+    if (!contenedor) return;
+
+    contenedor.innerHTML = envio
+      ? `
+      <div class="alert alert-success mt-3 mb-2">
+        <i class="fas fa-check-circle me-2"></i>
+        El formulario es válido. Este es el envío que se generaría:
+      </div>
+      <pre class="bg-light border rounded p-2 small mb-0">${this.escapeHtml(
+        JSON.stringify(envio, null, 2)
+      )}</pre>
+    `
+      : '';
+  }
+
+  /**
+   * Dibuja el formulario en un contenedor
+   * @param {HTMLElement} contenedor - Elemento donde se dibuja
+   * @param {Object} definicion - Definición del formulario (FormularioTramite)
+   * @param {Object} opciones - { onEnviar(envio, archivos), textoEnviar }
+   */
+  render(contenedor, definicion, opciones = {}) {
+    this.contenedor = contenedor;
+    this.definicion = definicion;
+    this.onEnviar = opciones.onEnviar || null;
+    this.archivos = {};
+
+    contenedor.innerHTML = this.renderFormulario(
+      opciones.textoEnviar || 'Enviar'
+    );
+
+    const form = contenedor.querySelector('form');
+    if (!form) return;
+
+    form.addEventListener('input', () => this.actualizarEstados());
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      this.enviar();
+    });
+    this.actualizarEstados();
+  }
+
+  /**
+   * Renderiza el formulario completo
+   * @param {string} textoEnviar - Texto del botón de envío
+   * @returns {string} HTML del formulario
+   */
+  renderFormulario(textoEnviar) {
+    const { codigo, nombre, descripcion, documentos } = this.definicion;
+
+    const encabezado = `
+      <div class="mb-3">
+        <h5 class="mb-1">${this.escapeHtml(
+          codigo ? `${codigo} - ${nombre}` : nombre
+        )}</h5>
+        ${
+          descripcion
+            ? `<p class="text-muted small mb-0">${this.escapeHtml(
+                descripcion
+              )}</p>`
+            : ''
+        }
+      </div>
+    `;
+
+    if (documentos.length === 0) {
+      return `${encabezado}
+        <div class="alert alert-info mb-0">
+          <i class="fas fa-info-circle me-2"></i>
+          El trámite no tiene documentos vinculados.
+        </div>
+      `;
+    }
+
+    return `${encabezado}
+      <form novalidate>
+        <div class="alert alert-danger d-none" data-formulario-errores></div>
+        ${documentos
+          .map((documento, indice) => this.renderDocumento(documento, indice))
+          .join('')}
+        <div class="text-end">
+          <button type="submit" class="btn btn-primary">
+            <i class="fas fa-paper-plane me-2"></i>
+            ${this.escapeHtml(textoEnviar)}
+          </button>
+        </div>
+      </form>
+    `;
+  }
+
+  /**
+   * Renderiza un documento con su archivo y sus campos
+   * @param {Object} documento - Documento de la definición
+   * @param {number} indice - Posición del documento
+   * @returns {string} HTML del documento
+   */
+  renderDocumento(documento, indice) {
+    const id = `formulario_${indice}_archivo`;
+    const detalles = [];
+    if (documento.formatos.length > 0) {
+      detalles.push(`Formatos: ${documento.formatos.join(', ')}`);
+    }
+    if (documento.tamanoMaximoMB) {
+      detalles.push(`Tamaño máximo: ${documento.tamanoMaximoMB} MB`);
+    }
+
+    return `
+      <div class="card mb-3" data-documento="${indice}">
+        <div class="card-header d-flex align-items-center">
+          <strong>${this.escapeHtml(documento.nombre)}</strong>
+          <span class="ms-auto">${this.createBadge(
+            documento.obligatorio ? 'Obligatorio' : 'Opcional',
+            documento.obligatorio ? 'danger' : 'secondary'
+          )}</span>
+        </div>
+        <div class="card-body">
+          ${
+            documento.descripcion
+              ? `<p class="text-muted small">${this.escapeHtml(
+                  documento.descripcion
+                )}</p>`
+              : ''
+          }
+          <div class="mb-3" data-archivo-documento>
+            <label for="${id}" class="form-label">
+              Archivo${
+                documento.obligatorio
+                  ? ' <span class="text-danger">*</span>'
+                  : ''
+              }
+            </label>
+            <input type="file" class="form-control" id="${id}" data-archivo${
+      documento.formatos.length > 0
+        ? ` accept="${this.escapeHtml(
+            documento.formatos.map(formato => `.${formato}`).join(',')
+          )}"`
+        : ''
+    }>
+            ${
+              detalles.length > 0
+                ? `<div class="form-text">${this.escapeHtml(
+                    detalles.join(' · ')
+                  )}</div>`
+                : ''
+            }
+            <div class="text-danger small" data-errores></div>
+          </div>
+          ${CampoDocumento.agruparPorSeccion(documento.campos)
+            .map(grupo => this.renderSeccion(grupo, documento, indice))
+            .join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza los campos de una sección, en un fieldset si tiene nombre
+   * @param {Object} grupo - { seccion, campos }
+   * @param {Object} documento - Documento de la definición
+   * @param {number} indice - Posición del documento
+   * @returns {string} HTML de la sección
+   */
+  renderSeccion(grupo, documento, indice) {
+    const campos = grupo.campos
+      .map(campo =>
+        this.renderCampo(campo, indice, documento.campos.indexOf(campo))
+      )
+      .join('');
+    if (!grupo.seccion) return campos;
+
+    return `
+      <fieldset class="border rounded px-3 pt-2 mb-3" data-seccion>
+        <legend class="float-none w-auto fs-6 px-1 mb-1">${this.escapeHtml(
+          grupo.seccion
+        )}</legend>
+        ${campos}
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Renderiza un campo con su etiqueta y el espacio para sus errores
+   * @param {Object} campo - Campo del documento
+   * @param {number} indice - Posición del documento
+   * @param {number} posicion - Posición del campo en el documento
+   * @returns {string} HTML del campo
+   */
+  renderCampo(campo, indice, posicion) {
+    const id = `formulario_${indice}_${posicion}`;
+    const etiqueta = `${this.escapeHtml(
+      campo.nombreCampo
+    )}<span class="text-danger" data-obligatorio> *</span>`;
+
+    const control =
+      campo.tipoCampo === 'casilla'
+        ? `
+        <div class="form-check">
+          <input class="form-check-input" type="checkbox" id="${id}" data-control>
+          <label class="form-check-label" for="${id}">${etiqueta}</label>
+        </div>
+      `
+        : `
+        <label ${
+          campo.tipoCampo === 'seleccion_multiple' ? '' : `for="${id}"`
+        } class="form-label">${etiqueta}</label>
+        ${this.renderControl(campo, id)}
+      `;
+
+    return `
+      <div class="mb-3" data-campo="${posicion}">
+        ${control}
+        <div class="text-danger small" data-errores></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza el control de entrada según el tipo del campo
+   * La configuración del tipo se traslada a los atributos del control cuando
+   * el navegador puede aplicarla; la validación completa la hace el registro.
+   * @param {Object} campo - Campo del documento
+   * @param {string} id - ID del control
+   * @returns {string} HTML del control
+   */
+  renderControl(campo, id) {
+    const config = campo.configuracion || {};
+    const atributo = (nombre, valor) =>
+      valor === undefined
+        ? ''
+        : ` ${nombre}="${this.escapeHtml(String(valor))}"`;
+
+    switch (campo.tipoCampo) {
+      case 'parrafo':
+        return `<textarea class="form-control" id="${id}" rows="3" data-control${atributo(
+          'maxlength',
+          config.longitudMaxima
+        )}></textarea>`;
+      case 'seleccion_unica':
+        return `
+          <select class="form-select" id="${id}" data-control>
+            <option value="">Seleccione una opción</option>
+            ${(config.opciones || [])
+              .map(
+                opcion =>
+                  `<option value="${this.escapeHtml(opcion)}">${this.escapeHtml(
+                    opcion
+                  )}</option>`
+              )
+              .join('')}
+          </select>
+        `;
+      case 'seleccion_multiple':
+        return (config.opciones || [])
+          .map(
+            (opcion, indice) => `
+            <div class="form-check">
+              <input class="form-check-input" type="checkbox" id="${id}_${indice}" value="${this.escapeHtml(
+              opcion
+            )}">
+              <label class="form-check-label" for="${id}_${indice}">${this.escapeHtml(
+              opcion
+            )}</label>
+            </div>
+          `
+          )
+          .join('');
+      case 'archivo':
+        return `<input type="file" class="form-control" id="${id}" data-control${atributo(
+          'accept',
+          config.tiposPermitidos && config.tiposPermitidos.join(',')
+        )}>`;
+      default:
+        return `<input type="${
+          FormularioTramiteView.TIPOS_INPUT[campo.tipoCampo] || 'text'
+        }" class="form-control" id="${id}" data-control${atributo(
+          'inputmode',
+          FormularioTramiteView.MODOS_TECLADO[campo.tipoCampo]
+        )}${atributo('maxlength', config.longitudMaxima)}${atributo(
+          'min',
+          config.fechaMinima
+        )}${atributo('max', config.fechaMaxima)}${atributo(
+          'placeholder',
+          config.moneda
+        )}>`;
+    }
+  }
+
+  /**
+   * Obtiene el contenedor de un campo
+   * @param {number} indice - Posición del documento
+   * @param {number} posicion - Posición del campo en el documento
+   * @returns {HTMLElement} Contenedor del campo
+   */
+  getContenedorCampo(indice, posicion) {
+    return this.contenedor.querySelector(
+      `[data-documento="${indice}"] [data-campo="${posicion}"]`
+    );
+  }
+
+  /**
+   * Lee las respuestas del formulario
+   * Los archivos elegidos se guardan en this.archivos para quien tenga que
+   * subirlos; las respuestas solo llevan sus datos.
+   * @returns {Object} Respuestas por ID de documento
+   */
+  leerRespuestas() {
+    const respuestas = {};
+    this.archivos = {};
+
+    this.definicion.documentos.forEach((documento, indice) => {
+      const archivo =
+        this.contenedor.querySelector(
+          `[data-documento="${indice}"] [data-archivo]`
+        ).files[0] || null;
+      const archivos = { archivo, campos: {} };
+      const valores = {};
+
+      documento.campos.forEach((campo, posicion) => {
+        const contenedorCampo = this.getContenedorCampo(indice, posicion);
+        if (campo.tipoCampo === 'archivo') {
+          const file =
+            contenedorCampo.querySelector('[data-control]').files[0] || null;
+          if (file) archivos.campos[campo.nombreCampo] = file;
+          valores[campo.nombreCampo] = FormularioTramite.describirArchivo(file);
+        } else {
+          valores[campo.nombreCampo] = this.leerValor(campo, contenedorCampo);
+        }
+      });
+
+      this.archivos[documento.id] = archivos;
+      respuestas[documento.id] = {
+        archivo: FormularioTramite.describirArchivo(archivo),
+        valores,
+      };
+    });
+
+    return respuestas;
+  }
+
+  /**
+   * Lee el valor de un campo según su tipo
+   * @param {Object} campo - Campo del documento
+   * @param {HTMLElement} contenedorCampo - Contenedor del campo
+   * @returns {*} Valor del campo
+   */
+  leerValor(campo, contenedorCampo) {
+    switch (campo.tipoCampo) {
+      case 'casilla':
+        return contenedorCampo.querySelector('[data-control]').checked;
+      case 'seleccion_multiple':
+        return Array.from(
+          contenedorCampo.querySelectorAll('input:checked')
+        ).map(opcion => opcion.value);
+      default:
+        return contenedorCampo.querySelector('[data-control]').value;
+    }
+  }
+
+  /**
+   * Muestra u oculta los campos y sus marcas de obligatorio según las reglas
+   */
+  actualizarEstados() {
+    const respuestas = this.leerRespuestas();
+
+    this.definicion.documentos.forEach((documento, indice) => {
+      const estados = FieldRuleEngine.evaluate(
+        documento.campos,
+        respuestas[documento.id].valores
+      );
+      documento.campos.forEach((campo, posicion) => {
+        const { visible, obligatorio } = estados[campo.nombreCampo];
+        const contenedorCampo = this.getContenedorCampo(indice, posicion);
+        contenedorCampo.classList.toggle('d-none', !visible);
+        contenedorCampo
+          .querySelector('[data-obligatorio]')
+          .classList.toggle('d-none', !obligatorio);
+      });
+
+      // Una sección sin campos visibles se oculta completa
+      this.contenedor
+        .querySelectorAll(`[data-documento="${indice}"] [data-seccion]`)
+        .forEach(seccion =>
+          seccion.classList.toggle(
+            'd-none',
+            !seccion.querySelector('[data-campo]:not(.d-none)')
+          )
+        );
+    });
+  }
+
+  /**
+   * Valida el formulario y, si es válido, entrega el objeto de envío
+   * @returns {Object|null} Objeto de envío o null si hay errores
+   */
+  enviar() {
+    const respuestas = this.leerRespuestas();
+    const resultado = FormularioTramite.validar(this.definicion, respuestas);
+    this.renderErrores(resultado);
+    if (!resultado.isValid) return null;
+
+    const envio = FormularioTramite.construirEnvio(this.definicion, respuestas);
+    if (this.onEnviar) {
+      this.onEnviar(envio, this.archivos);
+    }
+    return envio;
+  }
+
+  /**
+   * Muestra los errores de la validación junto a cada archivo y campo
+   * @param {Object} resultado - Resultado de FormularioTramite.validar
+   */
+  renderErrores(resultado) {
+    const resumen = this.contenedor.querySelector('[data-formulario-errores]');
+    resumen.classList.toggle('d-none', resultado.isValid);
+    resumen.innerHTML = resultado.isValid
+      ? ''
+      : `
+        <strong>Revise el formulario:</strong>
+        <ul class="mb-0">${resultado.errors
+          .map(error => `<li>${this.escapeHtml(error)}</li>`)
+          .join('')}</ul>
+      `;
+
+    this.definicion.documentos.forEach((documento, indice) => {
+      const errores = resultado.documentos[documento.id];
+      this.marcarErrores(
+        this.contenedor.querySelector(
+          `[data-documento="${indice}"] [data-archivo-documento]`
+        ),
+        errores.archivo
+      );
+      documento.campos.forEach((campo, posicion) => {
+        this.marcarErrores(
+          this.getContenedorCampo(indice, posicion),
+          errores.campos[campo.nombreCampo] || []
+        );
+      });
+    });
+  }
+
+  /**
+   * Marca los controles de un contenedor con sus errores
+   * @param {HTMLElement} contenedor - Contenedor del archivo o del campo
+   * @param {Array<string>} errores - Errores
+   */
+  marcarErrores(contenedor, errores) {
+    contenedor
+      .querySelectorAll('input, select, textarea')
+      .forEach(control =>
+        control.classList.toggle('is-invalid', errores.length > 0)
+      );
+    contenedor.querySelector('[data-errores]').textContent = errores.join(' ');
+  }
+}
+
+// Tipo del input de los campos que no son texto libre
+FormularioTramiteView.TIPOS_INPUT = {
+  fecha: 'date',
+  correo: 'email',
+  telefono: 'tel',
+};
+
+// Teclado que se sugiere en los dispositivos móviles
+FormularioTramiteView.MODOS_TECLADO = {
+  numerico: 'decimal',
+  moneda: 'decimal',
+  telefono: 'tel',
+};
@@ -57,6 +57,17 @@ class HabilitarTramiteView extends BaseView {
       });
     }
 
+    // Revisar conflictos de fechas al cambiar los campos que los determinan
+    HabilitarTramiteView.CAMPOS_CONFLICTO.forEach(campoId => {
+      const campo = document.getElementById(campoId);
+      if (campo) {
+        campo.addEventListener('change', () => {
+          this.actualizarConflictos();
+          this.actualizarDiasNoHabiles();
+        });
+      }
+    });
+
     // Event listener para el botón de guardar
     document.addEventListener('click', e => {
       if (e.target && e.target.id === 'btnGuardarHabilitarTramites') {
@@ -93,8 +104,8 @@ class HabilitarTramiteView extends BaseView {
    */
   showEditarHabilitadoModal(habilitado) {
     this.cargarTramites();
-    this.cargarPeriodosAcademicos();
-    this.cargarSedes();
+    this.cargarPeriodosAcademicos(habilitado.periodoAcademico);
+    this.cargarSedes(habilitado.sede);
 
     // Precargar los datos del trámite habilitado
     this.precargarDatos(habilitado);
@@ -156,8 +167,58 @@ class HabilitarTramiteView extends BaseView {
       fechaFinCorreccionInput.value = habilitado.fechaFinCorreccion || '';
     }
 
+    const justificacionInput = document.getElementById(
+      'justificacionConflictos'
+    );
+    if (justificacionInput) {
+      justificacionInput.value = habilitado.justificacionConflictos || '';
+    }
+
     // Guardar el ID del trámite habilitado para la actualización
     this.currentHabilitadoId = habilitado.id;
+
+    // Mostrar los conflictos que ya tenía la habilitación
+    this.actualizarConflictos();
+    this.actualizarDiasNoHabiles();
+  }
+
+  /**
+   * Advierte en cada fecha de la ventana si cae en un día no hábil de la sede
+   */
+  actualizarDiasNoHabiles() {
+    const sede = document.getElementById('sede');
+    HabilitacionConflictAnalyzer.CAMPOS_FECHA.forEach(campoId => {
+      this.advertirDiaNoHabil(
+        document.getElementById(campoId),
+        sede ? sede.value : ''
+      );
+    });
+  }
+
+  /**
+   * Analiza los conflictos de fechas del formulario y los muestra en línea
+   * @param {Object} formData - Datos del formulario (se leen si no se pasan)
+   * @returns {Array} Conflictos encontrados
+   */
+  actualizarConflictos(formData = null) {
+    const contenedor = document.getElementById('conflictosHabilitacion');
+    const lista = document.getElementById('listaConflictosHabilitacion');
+    const service = window.tramiteApp
+      ? window.tramiteApp.getService('habilitarTramite')
+      : null;
+    if (!contenedor || !lista || !service) return [];
+
+    const conflictos = service.analizarConflictos(
+      formData || this.getFormData(),
+      this.currentHabilitadoId
+    );
+
+    lista.innerHTML = conflictos
+      .map(conflicto => `<li>${this.escapeHtml(conflicto.mensaje)}</li>`)
+      .join('');
+    contenedor.classList.toggle('d-none', conflictos.length === 0);
+
+    return conflictos;
   }
 
   /**
@@ -218,57 +279,75 @@ class HabilitarTramiteView extends BaseView {
     tramiteSelect.innerHTML =
       '<option value="">Seleccionar trámite...</option>';
 
-    // Obtener trámites del localStorage
-    const tramitesData = localStorage.getItem('tramites_data');
-    if (tramitesData) {
-      try {
-        const tramites = JSON.parse(tramitesData);
-        tramites.forEach(tramite => {
-          const option = document.createElement('option');
-          option.value = tramite.id;
-          option.textContent = `${tramite.codigo} - ${tramite.nombre}`;
-          option.dataset.nombre = tramite.nombre;
-          tramiteSelect.appendChild(option);
-        });
-      } catch (error) {
-        console.error('❌ Error al cargar trámites:', error);
-      }
+    // Obtener trámites del servicio
+    try {
+      const tramiteService = window.tramiteApp.getService('tramite');
+      const tramites = tramiteService ? tramiteService.getAll() : [];
+      tramites.forEach(tramite => {
+        const option = document.createElement('option');
+        option.value = tramite.id;
+        option.textContent = `${tramite.codigo} - ${tramite.nombre}`;
+        option.dataset.nombre = tramite.nombre;
+        tramiteSelect.appendChild(option);
+      });
+    } catch (error) {
+      console.error('❌ Error al cargar trámites:', error);
     }
   }
 
   /**
-   * Carga los periodos académicos disponibles
+   * Carga los periodos académicos abiertos del catálogo
+   * Al editar se incluye el periodo actual aunque esté cerrado.
+   * @param {string} actual - Periodo de la habilitación que se edita
    */
-  cargarPeriodosAcademicos() {
+  cargarPeriodosAcademicos(actual = '') {
     const periodoSelect = document.getElementById('periodoAcademico');
     if (!periodoSelect) return;
 
-    const periodos = ['2025-1', '2025-2', '2026-1', '2026-2'];
     periodoSelect.innerHTML =
       '<option value="">Seleccionar periodo...</option>';
 
+    const periodoService = window.tramiteApp.getService('periodoAcademico');
+    const periodos = periodoService.getAbiertos();
+    if (actual && !periodos.some(periodo => periodo.codigo === actual)) {
+      const periodoActual = periodoService.getByCodigo(actual);
+      periodos.unshift(
+        periodoActual || new PeriodoAcademico({ codigo: actual })
+      );
+    }
+
     periodos.forEach(periodo => {
       const option = document.createElement('option');
-      option.value = periodo;
-      option.textContent = periodo;
+      option.value = periodo.codigo;
+      option.textContent = `${periodo.codigo} - ${
+        PeriodoAcademico.TIPOS[periodo.tipo]
+      }${periodo.abierto ? '' : ' (cerrado)'}`;
       periodoSelect.appendChild(option);
     });
   }
 
   /**
-   * Carga las sedes disponibles
+   * Carga las sedes activas del catálogo
+   * Al editar se incluye la sede actual aunque esté inactiva.
+   * @param {string} actual - Sede de la habilitación que se edita
    */
-  cargarSedes() {
+  cargarSedes(actual = '') {
     const sedeSelect = document.getElementById('sede');
     if (!sedeSelect) return;
 
-    const sedes = ['Norte', 'Sur', 'Centro', 'Oriente', 'Occidente'];
     sedeSelect.innerHTML = '<option value="">Seleccionar sede...</option>';
 
+    const sedeService = window.tramiteApp.getService('sede');
+    const sedes = sedeService.getActivas();
+    if (actual && !sedes.some(sede => sede.codigo === actual)) {
+      const sedeActual = sedeService.getByCodigo(actual);
+      sedes.unshift(sedeActual || new Sede({ codigo: actual, nombre: actual }));
+    }
+
     sedes.forEach(sede => {
       const option = document.createElement('option');
-      option.value = sede;
-      option.textContent = sede;
+      option.value = sede.codigo;
+      option.textContent = `${sede.nombre}${sede.activa ? '' : ' (inactiva)'}`;
       sedeSelect.appendChild(option);
     });
   }
@@ -307,7 +386,7 @@ class HabilitarTramiteView extends BaseView {
     const tramiteOption = tramiteSelect.selectedOptions[0];
     const tramiteId = document.getElementById('tramite').value;
 
-    // Obtener el nombre del trámite desde el localStorage si no está en el dataset
+    // Obtener el nombre del trámite desde el servicio si no está en el dataset
     let tramiteNombre = tramiteOption ? tramiteOption.dataset.nombre : '';
     if (!tramiteNombre && tramiteId) {
       const tramiteRelacionado =
@@ -328,6 +407,9 @@ class HabilitarTramiteView extends BaseView {
       fechaInicioCorreccion: document.getElementById('fechaInicioCorreccion')
         .value,
       fechaFinCorreccion: document.getElementById('fechaFinCorreccion').value,
+      justificacionConflictos: document
+        .getElementById('justificacionConflictos')
+        .value.trim(),
     };
   }
 
@@ -374,6 +456,14 @@ class HabilitarTramiteView extends BaseView {
       }
     }
 
+    // Los conflictos de fechas se pueden aceptar indicando una justificación
+    const conflictos = this.actualizarConflictos(formData);
+    if (conflictos.length > 0 && !formData.justificacionConflictos) {
+      errors.push(
+        'Hay conflictos de fechas: indique una justificación para guardar de todos modos'
+      );
+    }
+
     return {
       isValid: errors.length === 0,
       errors: errors,
@@ -420,6 +510,12 @@ class HabilitarTramiteView extends BaseView {
       form.reset();
       document.getElementById('semestre').value = '';
     }
+
+    const contenedor = document.getElementById('conflictosHabilitacion');
+    if (contenedor) {
+      contenedor.classList.add('d-none');
+    }
+    this.actualizarDiasNoHabiles();
   }
 
   /**
@@ -484,3 +580,14 @@ class HabilitarTramiteView extends BaseView {
     }, 5000);
   }
 }
+
+// Campos del formulario que determinan los conflictos de fechas
+HabilitarTramiteView.CAMPOS_CONFLICTO = [
+  'periodoAcademico',
+  'sede',
+  'tramite',
+  'fechaInicio',
+  'fechaFinalizacion',
+  'fechaInicioCorreccion',
+  'fechaFinCorreccion',
+];
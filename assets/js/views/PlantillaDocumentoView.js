@@ -0,0 +1,433 @@
+/**
+ * Vista de la biblioteca de plantillas de documentos
+ * Muestra el modal con las plantillas guardadas, cuántos documentos se han
+ * creado con cada una y cuántos no tienen su última versión. Desde el modal se
+ * crea un documento con una plantilla, se actualiza una plantilla con el
+ * contenido de un documento (llevando o no el cambio a sus documentos) y se
+ * importan o exportan plantillas en JSON.
+ */
+class PlantillaDocumentoView extends BaseView {
+  constructor() {
+    super();
+    this.modalId = 'modalPlantillasDocumento';
+    this.plantillas = [];
+    this.documentos = [];
+  }
+
+  /**
+   * Inicializa la vista
+   */
+  async initialize() {
+    await super.initialize();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Configura los elementos comunes de la vista
+   */
+  setupCommonElements() {
+    if (!document.getElementById(this.modalId)) {
+      console.warn(
+        '⚠️ Algunos elementos del DOM no están disponibles para PlantillaDocumentoView'
+      );
+    }
+  }
+
+  /**
+   * Configura los event listeners del modal
+   * La lista y el formulario de cada acción se vuelven a dibujar, así que se
+   * escucha por delegación.
+   */
+  setupEventListeners() {
+    const btnPlantillas = document.getElementById('btnPlantillasDocumento');
+    if (btnPlantillas) {
+      btnPlantillas.addEventListener('click', () =>
+        this.emitir('plantilla:abrir')
+      );
+    }
+
+    const btnExportar = document.getElementById('btnExportarPlantillas');
+    if (btnExportar) {
+      btnExportar.addEventListener('click', () =>
+        this.emitir('plantilla:exportar', { ids: null })
+      );
+    }
+
+    const archivo = document.getElementById('plantillaArchivo');
+    if (archivo) {
+      archivo.addEventListener('change', () => {
+        if (archivo.files.length === 0) return;
+        this.emitir('plantilla:importar', { file: archivo.files[0] });
+        archivo.value = '';
+      });
+    }
+
+    const modal = document.getElementById(this.modalId);
+    if (!modal) return;
+
+    modal.addEventListener('click', e => {
+      const boton = e.target.closest('[data-plantilla-accion]');
+      if (!boton) return;
+
+      const { plantillaAccion, id } = boton.dataset;
+      if (plantillaAccion === 'usar') {
+        this.renderFormularioUsar(id);
+      } else if (plantillaAccion === 'actualizar') {
+        this.renderFormularioActualizar(id);
+      } else if (plantillaAccion === 'exportar') {
+        this.emitir('plantilla:exportar', { ids: [id] });
+      } else if (plantillaAccion === 'eliminar') {
+        this.confirmarEliminar(id);
+      } else if (plantillaAccion === 'cancelar') {
+        this.limpiarAccion();
+      }
+    });
+
+    modal.addEventListener('submit', e => {
+      const form = e.target.closest('[data-plantilla-form]');
+      if (!form) return;
+      e.preventDefault();
+      this.enviarFormulario(form);
+    });
+  }
+
+  /**
+   * Emite un evento por el gestor de la aplicación
+   * @param {string} eventName - Nombre del evento
+   * @param {Object} data - Datos del evento
+   */
+  emitir(eventName, data = {}) {
+    if (window.tramiteApp && window.tramiteApp.eventManager) {
+      window.tramiteApp.eventManager.emit(eventName, data);
+    }
+  }
+
+  /**
+   * Muestra el modal de la biblioteca
+   * @param {Object} datos - { plantillas: [{ item, derivados, desactualizados }], documentos }
+   * @param {Documento|null} documento - Documento que se quiere guardar como plantilla
+   */
+  showModal(datos, documento = null) {
+    this.render(datos);
+    if (documento) {
+      this.renderFormularioCrear(documento);
+    } else {
+      this.limpiarAccion();
+    }
+
+    bootstrap.Modal.getOrCreateInstance(
+      document.getElementById(this.modalId)
+    ).show();
+  }
+
+  /**
+   * Cierra el formulario de la acción en curso
+   */
+  limpiarAccion() {
+    const contenedor = document.getElementById('plantillaDocumentoAccion');
+    if (contenedor) contenedor.innerHTML = '';
+  }
+
+  /**
+   * Indica si el modal está abierto
+   * @returns {boolean} True si se está mostrando
+   */
+  isVisible() {
+    const modal = document.getElementById(this.modalId);
+    return Boolean(modal && modal.classList.contains('show'));
+  }
+
+  /**
+   * Dibuja la lista de plantillas
+   * @param {Object} datos - { plantillas: [{ item, derivados, desactualizados }], documentos }
+   */
+  render({ plantillas, documentos }) {
+    this.plantillas = plantillas;
+    this.documentos = documentos;
+
+    const contenedor = document.getElementById('plantillasDocumentoLista');
+    if (!contenedor) return;
+
+    if (plantillas.length === 0) {
+      contenedor.innerHTML = `
+        <div class="text-muted py-3">
+          No hay plantillas. Guarde un documento como plantilla desde sus
+          opciones o importe un archivo de plantillas.
+        </div>
+      `;
+      return;
+    }
+
+    contenedor.innerHTML = `
+      <table class="table table-sm align-middle">
+        <thead>
+          <tr>
+            <th>Plantilla</th>
+            <th>Versión</th>
+            <th>Campos</th>
+            <th>Documentos</th>
+            <th class="text-end">Acciones</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${plantillas.map(fila => this.renderPlantilla(fila)).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Renderiza la fila de una plantilla
+   * @param {Object} fila - { item, derivados, desactualizados }
+   * @returns {string} HTML de la fila
+   */
+  renderPlantilla({ item, derivados, desactualizados }) {
+    const id = this.escapeHtml(item.id);
+    return `
+      <tr>
+        <td>
+          <strong>${this.escapeHtml(item.nombre)}</strong>
+          <div class="small text-muted">${this.escapeHtml(
+            item.descripcion
+          )}</div>
+        </td>
+        <td>v${item.version}</td>
+        <td>${item.campos.length}</td>
+        <td>
+          ${derivados.length}
+          ${
+            desactualizados.length > 0
+              ? this.createBadge(
+                  `${desactualizados.length} desactualizado(s)`,
+                  'warning'
+                )
+              : ''
+          }
+        </td>
+        <td class="text-end text-nowrap">
+          <button type="button" class="btn btn-sm btn-success" data-plantilla-accion="usar" data-id="${id}">
+            <i class="fas fa-plus me-1"></i>Usar
+          </button>
+          <button type="button" class="btn btn-sm btn-outline-primary" data-plantilla-accion="actualizar" data-id="${id}"
+                  title="Actualizar desde un documento">
+            <i class="fas fa-sync-alt"></i>
+          </button>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-plantilla-accion="exportar" data-id="${id}"
+                  title="Exportar">
+            <i class="fas fa-download"></i>
+          </button>
+          <button type="button" class="btn btn-sm btn-outline-danger" data-plantilla-accion="eliminar" data-id="${id}"
+                  title="Eliminar">
+            <i class="fas fa-trash"></i>
+          </button>
+        </td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Muestra el formulario para guardar un documento como plantilla
+   * @param {Documento} documento - Documento de origen
+   */
+  renderFormularioCrear(documento) {
+    this.renderAccion(
+      `Guardar "${documento.nombreDocumento}" como plantilla`,
+      'crear',
+      `
+        <input type="hidden" name="documentoId" value="${this.escapeHtml(
+          documento.id
+        )}">
+        <div class="col-md-4">
+          <label class="form-label" for="plantillaNombre">Nombre *</label>
+          <input type="text" class="form-control" id="plantillaNombre" name="nombre" required
+                 value="${this.escapeHtml(documento.nombreDocumento)}">
+        </div>
+        <div class="col-md-8">
+          <label class="form-label" for="plantillaDescripcion">Descripción</label>
+          <input type="text" class="form-control" id="plantillaDescripcion" name="descripcion"
+                 value="${this.escapeHtml(documento.descripcionDocumento)}">
+        </div>
+      `,
+      'Guardar plantilla'
+    );
+  }
+
+  /**
+   * Muestra el formulario para crear un documento con una plantilla
+   * Los datos que se escriban reemplazan los de la plantilla.
+   * @param {string} plantillaId - ID de la plantilla
+   */
+  renderFormularioUsar(plantillaId) {
+    const fila = this.plantillas.find(({ item }) => item.id === plantillaId);
+    if (!fila) return;
+    const { datos } = fila.item;
+
+    this.renderAccion(
+      `Crear documento con "${fila.item.nombre}"`,
+      'usar',
+      `
+        <input type="hidden" name="plantillaId" value="${this.escapeHtml(
+          plantillaId
+        )}">
+        ${PlantillaDocumentoView.DATOS_EDITABLES.map(
+          ({ campo, etiqueta }) => `
+            <div class="col-md-6">
+              <label class="form-label" for="plantillaUsar_${campo}">${etiqueta}${
+            campo === 'nombreDocumento' ? ' *' : ''
+          }</label>
+              <input type="text" class="form-control" id="plantillaUsar_${campo}" name="${campo}"
+                     value="${this.escapeHtml(datos[campo] || '')}"${
+            campo === 'nombreDocumento' ? ' required' : ''
+          }>
+            </div>
+          `
+        ).join('')}
+      `,
+      'Crear documento'
+    );
+  }
+
+  /**
+   * Muestra el formulario para actualizar una plantilla con un documento
+   * Se ofrecen primero los documentos creados con la plantilla.
+   * @param {string} plantillaId - ID de la plantilla
+   */
+  renderFormularioActualizar(plantillaId) {
+    const fila = this.plantillas.find(({ item }) => item.id === plantillaId);
+    if (!fila) return;
+
+    const documentos = [
+      ...fila.derivados,
+      ...this.documentos.filter(
+        documento => !fila.derivados.includes(documento)
+      ),
+    ];
+
+    this.renderAccion(
+      `Actualizar "${fila.item.nombre}"`,
+      'actualizar',
+      `
+        <input type="hidden" name="plantillaId" value="${this.escapeHtml(
+          plantillaId
+        )}">
+        <div class="col-md-6">
+          <label class="form-label" for="plantillaDocumentoOrigen">Tomar el contenido de *</label>
+          <select class="form-select" id="plantillaDocumentoOrigen" name="documentoId" required>
+            ${documentos
+              .map(
+                documento => `
+                  <option value="${this.escapeHtml(documento.id)}">
+                    ${this.escapeHtml(documento.nombreDocumento)}${
+                  documento.plantillaId === plantillaId
+                    ? ` (v${documento.plantillaVersion} de la plantilla)`
+                    : ''
+                }
+                  </option>
+                `
+              )
+              .join('')}
+          </select>
+        </div>
+        <div class="col-md-6 d-flex align-items-end">
+          <div class="form-check">
+            <input class="form-check-input" type="checkbox" id="plantillaPropagar" name="propagar"
+                   ${fila.derivados.length === 0 ? 'disabled' : ''}>
+            <label class="form-check-label" for="plantillaPropagar">
+              Llevar los cambios a los ${
+                fila.derivados.length
+              } documento(s) creados con la plantilla
+            </label>
+          </div>
+        </div>
+      `,
+      'Actualizar plantilla'
+    );
+  }
+
+  /**
+   * Dibuja el formulario de una acción
+   * @param {string} titulo - Título del formulario
+   * @param {string} accion - 'crear', 'usar' o 'actualizar'
+   * @param {string} campos - HTML de los campos
+   * @param {string} textoBoton - Texto del botón de enviar
+   */
+  renderAccion(titulo, accion, campos, textoBoton) {
+    const contenedor = document.getElementById('plantillaDocumentoAccion');
+    if (!contenedor) return;
+
+    contenedor.innerHTML = `
+      <div class="card">
+        <div class="card-body">
+          <h6>${this.escapeHtml(titulo)}</h6>
+          <form class="row g-2" data-plantilla-form="${accion}" novalidate>
+            ${campos}
+            <div class="col-12 text-end">
+              <button type="button" class="btn btn-secondary" data-plantilla-accion="cancelar">
+                Cancelar
+              </button>
+              <button type="submit" class="btn btn-primary">${textoBoton}</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Emite la acción de un formulario con sus datos
+   * @param {HTMLFormElement} form - Formulario enviado
+   */
+  enviarFormulario(form) {
+    const datos = Object.fromEntries(new FormData(form).entries());
+    const accion = form.dataset.plantillaForm;
+
+    if (accion === 'crear') {
+      this.emitir('plantilla:crear', {
+        documentoId: datos.documentoId,
+        nombre: (datos.nombre || '').trim(),
+        descripcion: (datos.descripcion || '').trim(),
+      });
+    } else if (accion === 'usar') {
+      const overrides = {};
+      PlantillaDocumentoView.DATOS_EDITABLES.forEach(({ campo }) => {
+        overrides[campo] = (datos[campo] || '').trim();
+      });
+      this.emitir('plantilla:usar', {
+        plantillaId: datos.plantillaId,
+        overrides,
+      });
+    } else if (accion === 'actualizar') {
+      this.emitir('plantilla:actualizar', {
+        plantillaId: datos.plantillaId,
+        documentoId: datos.documentoId,
+        propagar: datos.propagar === 'on',
+      });
+    }
+  }
+
+  /**
+   * Pide confirmación y elimina una plantilla
+   * Los documentos creados con ella se conservan.
+   * @param {string} plantillaId - ID de la plantilla
+   */
+  confirmarEliminar(plantillaId) {
+    const fila = this.plantillas.find(({ item }) => item.id === plantillaId);
+    if (!fila) return;
+
+    this.showConfirmModal(
+      'Eliminar plantilla',
+      `¿Desea eliminar la plantilla "${fila.item.nombre}"? Los ${fila.derivados.length} documento(s) creados con ella se conservan.`,
+      () => this.emitir('plantilla:eliminar', { id: plantillaId }),
+      'Eliminar',
+      'Cancelar'
+    );
+  }
+}
+
+// Datos de la plantilla que se pueden cambiar al crear un documento con ella
+PlantillaDocumentoView.DATOS_EDITABLES = [
+  { campo: 'nombreDocumento', etiqueta: 'Nombre del documento' },
+  { campo: 'descripcionDocumento', etiqueta: 'Descripción' },
+  { campo: 'areaSolicitante', etiqueta: 'Área solicitante' },
+  { campo: 'responsableValidacion', etiqueta: 'Responsable de validación' },
+];
@@ -0,0 +1,496 @@
+/**
+ * Vista de las radicaciones
+ * Dibuja en el contenedor de reportes la cola de revisión de los documentos
+ * radicados, filtrada por responsable y estado, con el avance de la cadena de
+ * aprobación, las acciones del revisor y el historial de cada documento. También abre el formulario con el que se
+ * radica una solicitud en una habilitación.
+ */
+class RadicacionView extends BaseView {
+  constructor() {
+    super();
+    this.container = document.getElementById('reportContainer');
+    this.reportTitle = document.getElementById('reportTitle');
+    this.modalId = 'modalRadicarSolicitud';
+    this.filtros = { responsable: '', estado: 'pendiente' };
+    this.formularioView = null;
+  }
+
+  /**
+   * Configura los elementos comunes de la vista
+   */
+  setupCommonElements() {
+    if (!this.container) {
+      console.warn(
+        '⚠️ Algunos elementos del DOM no están disponibles para RadicacionView'
+      );
+    }
+  }
+
+  /**
+   * Inicializa la vista
+   */
+  async initialize() {
+    await super.initialize();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Configura los event listeners del contenedor de reportes
+   * La cola se vuelve a dibujar con cada decisión, así que se escucha por
+   * delegación.
+   */
+  setupEventListeners() {
+    if (!this.container) return;
+
+    this.container.addEventListener('change', e => {
+      const filtro = e.target.closest('[data-radicacion-filtro]');
+      if (!filtro) return;
+
+      this.filtros[filtro.dataset.radicacionFiltro] = filtro.value;
+      this.emitir('radicacion:filtrar');
+    });
+
+    this.container.addEventListener('click', e => {
+      const boton = e.target.closest('[data-radicacion-accion]');
+      if (!boton) return;
+
+      const item = boton.closest('[data-radicacion-item]');
+      this.emitir('radicacion:revisar', {
+        radicacionId: item.dataset.radicacionId,
+        documentoId: item.dataset.documentoId,
+        etapaId: item.dataset.etapaId || '',
+        accion: boton.dataset.radicacionAccion,
+        comentario: item.querySelector('[data-radicacion-comentario]').value,
+      });
+    });
+  }
+
+  /**
+   * Emite un evento por el gestor de la aplicación
+   * @param {string} eventName - Nombre del evento
+   * @param {Object} data - Datos del evento
+   */
+  emitir(eventName, data = {}) {
+    if (window.tramiteApp && window.tramiteApp.eventManager) {
+      window.tramiteApp.eventManager.emit(eventName, data);
+    }
+  }
+
+  /**
+   * Obtiene los filtros de la cola
+   * Si el responsable elegido ya no tiene documentos se muestran todos.
+   * @param {Array<string>} responsables - Responsables con documentos radicados
+   * @returns {Object} { responsable, estado }
+   */
+  getFiltros(responsables) {
+    if (
+      this.filtros.responsable &&
+      !responsables.includes(this.filtros.responsable)
+    ) {
+      this.filtros.responsable = '';
+    }
+    return { ...this.filtros };
+  }
+
+  /**
+   * Actualiza el título del reporte
+   * @param {string} title - Título del reporte
+   * @param {string} icon - Icono del reporte
+   */
+  updateReportTitle(title, icon) {
+    if (this.reportTitle) {
+      this.reportTitle.innerHTML = `<i class="${icon} me-2"></i>${title}`;
+    }
+  }
+
+  /**
+   * Renderiza la cola de revisión
+   * @param {Array} cola - Resultado de RadicacionService.getColaRevision
+   * @param {Array<string>} responsables - Responsables con documentos radicados
+   * @param {Object} filtros - { responsable, estado }
+   */
+  renderColaRevision(cola, responsables, filtros) {
+    this.updateReportTitle('Revisión de Radicaciones', 'fas fa-inbox');
+
+    const toolbarHTML = `
+      <div class="d-flex flex-wrap align-items-center gap-2 mb-3">
+        <select class="form-select form-select-sm w-auto" data-radicacion-filtro="responsable">
+          <option value="">Todos los responsables</option>
+          ${responsables
+            .map(
+              responsable =>
+                `<option value="${this.escapeHtml(responsable)}" ${
+                  responsable === filtros.responsable ? 'selected' : ''
+                }>${this.escapeHtml(responsable)}</option>`
+            )
+            .join('')}
+        </select>
+        <select class="form-select form-select-sm w-auto" data-radicacion-filtro="estado">
+          <option value="" ${
+            filtros.estado === '' ? 'selected' : ''
+          }>Todos los estados</option>
+          ${Radicacion.ESTADOS.map(
+            estado =>
+              `<option value="${estado}" ${
+                estado === filtros.estado ? 'selected' : ''
+              }>${this.escapeHtml(Radicacion.getEtiqueta(estado))}</option>`
+          ).join('')}
+        </select>
+        <span class="small text-muted ms-auto">${
+          cola.length
+        } documento(s)</span>
+      </div>
+    `;
+
+    if (cola.length === 0) {
+      this.container.innerHTML = `
+        <div class="fade-in">
+          ${toolbarHTML}
+          <div class="text-center py-5">
+            <i class="fas fa-inbox fa-3x text-muted mb-3"></i>
+            <h5 class="text-muted">No hay documentos radicados con estos filtros</h5>
+          </div>
+        </div>
+      `;
+      return;
+    }
+
+    this.container.innerHTML = `
+      <div class="fade-in">
+        ${toolbarHTML}
+        ${cola
+          .map(({ radicacion, documento, etapa }) =>
+            this.renderItem(radicacion, documento, etapa)
+          )
+          .join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza un documento de la cola
+   * @param {Radicacion} radicacion - Radicación
+   * @param {Object} documento - Documento radicado
+   * @param {Object|null} etapa - Etapa de la cadena que se decide, si está pendiente
+   * @returns {string} HTML del documento
+   */
+  renderItem(radicacion, documento, etapa = null) {
+    const { solicitante } = radicacion;
+
+    return `
+      <div class="card mb-3" data-radicacion-item data-radicacion-id="${
+        radicacion.id
+      }" data-documento-id="${documento.documentoId}" data-etapa-id="${
+      etapa ? etapa.id : ''
+    }">
+        <div class="card-body">
+          <div class="d-flex flex-wrap justify-content-between gap-2 mb-2">
+            <div>
+              <h6 class="mb-1">${this.escapeHtml(
+                documento.nombreDocumento
+              )}</h6>
+              <div class="small text-muted">
+                ${this.escapeHtml(radicacion.tramiteNombre)} ·
+                ${this.escapeHtml(radicacion.periodoAcademico)} ·
+                ${this.escapeHtml(radicacion.sede)}
+              </div>
+              <div class="small">
+                <i class="fas fa-user me-1"></i>
+                ${this.escapeHtml(solicitante.nombre)}
+                (${this.escapeHtml(solicitante.identificacion)})
+                ${
+                  solicitante.correo
+                    ? `· ${this.escapeHtml(solicitante.correo)}`
+                    : ''
+                }
+              </div>
+              <div class="small text-muted">
+                Radicado el ${this.formatDateTime(radicacion.fechaRadicacion)}
+                · Responsable: ${this.escapeHtml(
+                  documento.responsableValidacion || 'Sin asignar'
+                )}
+              </div>
+              ${etapa ? this.renderEtapa(etapa) : ''}
+            </div>
+            <div class="text-end">
+              ${this.createBadge(
+                Radicacion.getEtiqueta(documento.estado),
+                RadicacionView.COLORES[documento.estado] || 'secondary'
+              )}
+              ${
+                documento.fechaLimite
+                  ? `<div class="small text-muted mt-1">Subsanar hasta el ${Tramite.formatDate(
+                      documento.fechaLimite
+                    )}</div>`
+                  : ''
+              }
+            </div>
+          </div>
+          ${this.renderCadena(documento.aprobaciones)}
+          ${this.renderRespuesta(documento)}
+          ${
+            documento.estado === 'pendiente' && etapa
+              ? this.renderAcciones()
+              : ''
+          }
+          ${this.renderHistorial(
+            radicacion.getHistorial(documento.documentoId),
+            documento.aprobaciones
+          )}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza la etapa que se decide y su plazo
+   * @param {Object} etapa - Etapa pendiente del avance
+   * @returns {string} HTML de la etapa
+   */
+  renderEtapa(etapa) {
+    return `
+      <div class="small">
+        <i class="fas fa-sitemap me-1"></i>
+        Etapa: <strong>${this.escapeHtml(etapa.nombre)}</strong>
+        · ${ApprovalChain.TIPOS_ASIGNACION[etapa.tipoAsignacion]}
+        ${this.escapeHtml(etapa.asignadoA)}
+        ${
+          etapa.fechaLimite
+            ? `· Plazo hasta el ${Tramite.formatDate(etapa.fechaLimite)}`
+            : ''
+        }
+        ${
+          etapa.escalada
+            ? `<span class="badge bg-danger ms-1">Escalada a ${this.escapeHtml(
+                etapa.escalarA
+              )}</span>`
+            : ''
+        }
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza el avance de la cadena de aprobación, nivel por nivel
+   * @param {Array} aprobaciones - Avance de la cadena
+   * @returns {string} HTML del avance
+   */
+  renderCadena(aprobaciones = []) {
+    if (aprobaciones.length <= 1) return '';
+
+    return `
+      <div class="d-flex flex-wrap align-items-center gap-1 small mb-2">
+        ${ApprovalChain.getNiveles(aprobaciones)
+          .map(nivel =>
+            nivel
+              .map(etapa =>
+                this.createBadge(
+                  `${etapa.nombre}: ${ApprovalChain.ESTADOS[etapa.estado]}`,
+                  RadicacionView.COLORES_ETAPA[etapa.estado]
+                )
+              )
+              .join(' ')
+          )
+          .join('<i class="fas fa-arrow-right text-muted mx-1"></i>')}
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza el archivo y los valores radicados de un documento
+   * Los valores van en el orden del formulario, bajo el título de su sección.
+   * @param {Object} documento - Documento radicado
+   * @returns {string} HTML de la respuesta
+   */
+  renderRespuesta(documento) {
+    const secciones = documento.secciones || {};
+    const grupos = CampoDocumento.agruparPorSeccion(
+      Object.entries(documento.valores || {}).map(([nombreCampo, valor]) => ({
+        nombreCampo,
+        valor,
+        seccion: secciones[nombreCampo],
+      }))
+    );
+
+    return `
+      <div class="small mb-2">
+        <i class="fas fa-paperclip me-1"></i>
+        ${
+          documento.archivo
+            ? `${this.escapeHtml(documento.archivo.nombre)}
+               <span class="text-muted">(${(
+                 (documento.archivo.tamano || 0) / 1024
+               ).toFixed(1)} KB)</span>`
+            : '<span class="text-muted">Sin archivo</span>'
+        }
+      </div>
+      ${grupos
+        .map(
+          grupo => `
+            ${
+              grupo.seccion
+                ? `<div class="small fw-semibold text-muted">${this.escapeHtml(
+                    grupo.seccion
+                  )}</div>`
+                : ''
+            }
+            <dl class="row small mb-2">${grupo.campos
+              .map(
+                ({ nombreCampo, valor }) => `
+                  <dt class="col-sm-4">${this.escapeHtml(nombreCampo)}</dt>
+                  <dd class="col-sm-8 mb-1">${this.escapeHtml(
+                    Array.isArray(valor) ? valor.join(', ') : String(valor)
+                  )}</dd>
+                `
+              )
+              .join('')}</dl>
+          `
+        )
+        .join('')}
+    `;
+  }
+
+  /**
+   * Renderiza el comentario y los botones del revisor
+   * El rechazo y la solicitud de corrección exigen comentario; la máquina de
+   * estados lo verifica y el error se muestra como alerta.
+   * @returns {string} HTML de las acciones
+   */
+  renderAcciones() {
+    return `
+      <div class="border-top pt-2 mb-2">
+        <textarea class="form-control form-control-sm mb-2" rows="2"
+          placeholder="Comentario para el solicitante (obligatorio al rechazar o pedir corrección)"
+          data-radicacion-comentario></textarea>
+        <div class="d-flex flex-wrap gap-2 justify-content-end">
+          <button type="button" class="btn btn-sm btn-outline-success" data-radicacion-accion="aprobar">
+            <i class="fas fa-check me-1"></i>Aprobar
+          </button>
+          <button type="button" class="btn btn-sm btn-outline-info" data-radicacion-accion="solicitarCorreccion">
+            <i class="fas fa-undo me-1"></i>Solicitar corrección
+          </button>
+          <button type="button" class="btn btn-sm btn-outline-danger" data-radicacion-accion="rechazar">
+            <i class="fas fa-times me-1"></i>Rechazar
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza el historial de un documento, del cambio más reciente al más antiguo
+   * @param {Array} historial - Entradas del historial
+   * @param {Array} aprobaciones - Avance de la cadena, para nombrar las etapas
+   * @returns {string} HTML del historial
+   */
+  renderHistorial(historial, aprobaciones = []) {
+    const etapas = {};
+    aprobaciones.forEach(etapa => {
+      etapas[etapa.id] = etapa.nombre;
+    });
+
+    return `
+      <details class="small">
+        <summary class="text-muted">Historial (${historial.length})</summary>
+        <ul class="list-unstyled mb-0 mt-2">
+          ${[...historial]
+            .reverse()
+            .map(
+              cambio => `
+                <li class="mb-1">
+                  <span class="text-muted">${this.formatDateTime(
+                    cambio.fechaCambio
+                  )}</span>
+                  ${this.escapeHtml(
+                    cambio.estado === cambio.estadoAnterior
+                      ? 'Cadena de aprobación'
+                      : Radicacion.getEtiqueta(cambio.estado)
+                  )}
+                  ${
+                    etapas[cambio.etapaId]
+                      ? `(${this.escapeHtml(etapas[cambio.etapaId])})`
+                      : ''
+                  }
+                  · ${this.escapeHtml(cambio.usuario)}
+                  ${
+                    cambio.tipoCambio === 'sistema'
+                      ? '<span class="badge bg-light text-dark">automático</span>'
+                      : ''
+                  }
+                  ${
+                    cambio.motivo
+                      ? `<div class="text-muted">${this.escapeHtml(
+                          cambio.motivo
+                        )}</div>`
+                      : ''
+                  }
+                </li>
+              `
+            )
+            .join('')}
+        </ul>
+      </details>
+    `;
+  }
+
+  /**
+   * Abre el formulario para radicar una solicitud en una habilitación
+   * Al enviarlo se emite radicacion:radicar con el envío y el solicitante.
+   * @param {HabilitarTramite} habilitacion - Habilitación
+   * @param {Object} definicion - Definición del formulario (FormularioTramite)
+   */
+  showRadicar(habilitacion, definicion) {
+    const modal = document.getElementById(this.modalId);
+    const form = document.getElementById('formSolicitanteRadicacion');
+    if (!modal || !form || !this.formularioView) {
+      console.error('❌ El formulario de radicación no está disponible');
+      return;
+    }
+
+    document.getElementById('radicarHabilitacionInfo').textContent = `${
+      habilitacion.periodoAcademico
+    } · ${habilitacion.sede} · hasta el ${Tramite.formatDate(
+      habilitacion.fechaFinalizacion
+    )}`;
+    form.reset();
+
+    this.formularioView.render(
+      document.getElementById('radicarFormularioContainer'),
+      definicion,
+      {
+        textoEnviar: 'Radicar solicitud',
+        onEnviar: envio =>
+          this.emitir('radicacion:radicar', {
+            habilitacionId: habilitacion.id,
+            envio,
+            solicitante: this.getFormData(form),
+          }),
+      }
+    );
+
+    bootstrap.Modal.getOrCreateInstance(modal).show();
+  }
+
+  /**
+   * Cierra el formulario de radicación
+   */
+  hideRadicar() {
+    this.hideModal(this.modalId);
+  }
+}
+
+// Color del badge de cada estado de documento
+RadicacionView.COLORES = {
+  pendiente: 'warning',
+  aprobado: 'success',
+  rechazado: 'danger',
+  en_correccion: 'info',
+  en_subsanacion: 'secondary',
+};
+
+// Color del badge de cada estado de etapa de la cadena de aprobación
+RadicacionView.COLORES_ETAPA = {
+  en_espera: 'light text-dark',
+  pendiente: 'warning',
+  aprobada: 'success',
+};
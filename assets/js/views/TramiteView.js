@@ -19,6 +19,7 @@ class TramiteView extends BaseView {
     this.currentTramiteId = null;
     this.currentDocumentoId = null;
     this.currentHabilitadoId = null;
+    this.paginacion = {};
   }
 
   /**
@@ -70,15 +71,227 @@ class TramiteView extends BaseView {
     this.updateReportTitle('Seleccione un reporte para comenzar');
   }
 
+  /**
+   * Obtiene el estado de paginación y orden de un reporte
+   * @param {string} reporte - Tipo de reporte (tramites, documentos, ...)
+   * @returns {Object} { offset, sort }
+   */
+  getPaginacion(reporte) {
+    if (!this.paginacion[reporte]) {
+      this.paginacion[reporte] = {
+        offset: 0,
+        sort: TramiteView.REPORT_SORT[reporte] || [],
+      };
+    }
+    return this.paginacion[reporte];
+  }
+
+  /**
+   * Consulta la página actual de un reporte
+   * Si la página quedó fuera de rango (por ejemplo, tras eliminar registros)
+   * se muestra la última.
+   * @param {string} reporte - Tipo de reporte
+   * @param {BaseService} service - Servicio con los datos del reporte
+   * @returns {Object} Resultado de BaseService.query()
+   */
+  getReportPage(reporte, service) {
+    const vacio = { items: [], total: 0, offset: 0, hasMore: false };
+    if (!service) return vacio;
+
+    try {
+      const paginacion = this.getPaginacion(reporte);
+      const consulta = {
+        sort: paginacion.sort,
+        limit: TramiteView.PAGE_SIZE,
+        offset: paginacion.offset,
+      };
+
+      let resultado = service.query(consulta);
+      if (resultado.items.length === 0 && resultado.total > 0) {
+        paginacion.offset =
+          Math.floor((resultado.total - 1) / TramiteView.PAGE_SIZE) *
+          TramiteView.PAGE_SIZE;
+        resultado = service.query({ ...consulta, offset: paginacion.offset });
+      }
+      return resultado;
+    } catch (error) {
+      console.error(`❌ Error al consultar el reporte ${reporte}:`, error);
+      return vacio;
+    }
+  }
+
+  /**
+   * Renderiza el encabezado de una columna que permite ordenar el reporte
+   * @param {string} reporte - Tipo de reporte
+   * @param {string} campo - Campo por el que ordena la columna
+   * @param {string} titulo - Título de la columna
+   * @returns {string} HTML del encabezado
+   */
+  renderSortableHeader(reporte, campo, titulo) {
+    const [principal] = Query.normalizeSort(this.getPaginacion(reporte).sort);
+    let icono = 'fa-sort text-muted';
+    if (principal && principal.campo === campo) {
+      icono = principal.orden === 'desc' ? 'fa-sort-down' : 'fa-sort-up';
+    }
+
+    return `
+      <th class="text-center th-ordenable" role="button"
+          data-reporte="${reporte}" data-sort-campo="${campo}">
+        ${titulo} <i class="fas ${icono} ms-1"></i>
+      </th>
+    `;
+  }
+
+  /**
+   * Renderiza el resumen y los controles de paginación de un reporte
+   * @param {string} reporte - Tipo de reporte
+   * @param {Object} resultado - Resultado de BaseService.query()
+   * @returns {string} HTML de la paginación
+   */
+  renderPagination(reporte, resultado) {
+    const tamano = TramiteView.PAGE_SIZE;
+    const paginaActual = Math.floor(resultado.offset / tamano) + 1;
+    const totalPaginas = Math.max(1, Math.ceil(resultado.total / tamano));
+    const desde = resultado.total === 0 ? 0 : resultado.offset + 1;
+    const hasta = resultado.offset + resultado.items.length;
+
+    const boton = (icono, offset, deshabilitado) => `
+      <li class="page-item ${deshabilitado ? 'disabled' : ''}">
+        <button class="page-link btn-pagina" data-reporte="${reporte}"
+                data-offset="${offset}" ${deshabilitado ? 'disabled' : ''}>
+          <i class="fas ${icono}"></i>
+        </button>
+      </li>
+    `;
+
+    return `
+      <div class="d-flex justify-content-between align-items-center mt-2">
+        <small class="text-muted">
+          Mostrando ${desde}–${hasta} de ${resultado.total}
+        </small>
+        ${
+          totalPaginas > 1
+            ? `<nav aria-label="Paginación del reporte">
+                <ul class="pagination pagination-sm mb-0">
+                  ${boton(
+                    'fa-chevron-left',
+                    Math.max(0, resultado.offset - tamano),
+                    paginaActual === 1
+                  )}
+                  <li class="page-item disabled">
+                    <span class="page-link">Página ${paginaActual} de ${totalPaginas}</span>
+                  </li>
+                  ${boton(
+                    'fa-chevron-right',
+                    resultado.offset + tamano,
+                    !resultado.hasMore
+                  )}
+                </ul>
+              </nav>`
+            : ''
+        }
+      </div>
+    `;
+  }
+
+  /**
+   * Cambia el orden de un reporte
+   * La columna elegida pasa a ser el primer criterio; si ya lo era, se invierte.
+   * @param {string} reporte - Tipo de reporte
+   * @param {string} campo - Campo por el que ordenar
+   */
+  changeReportSort(reporte, campo) {
+    const paginacion = this.getPaginacion(reporte);
+    const [principal] = Query.normalizeSort(paginacion.sort);
+    const orden =
+      principal && principal.campo === campo && principal.orden === 'asc'
+        ? 'desc'
+        : 'asc';
+
+    const porDefecto = Query.normalizeSort(
+      TramiteView.REPORT_SORT[reporte] || []
+    ).filter(criterio => criterio.campo !== campo);
+
+    paginacion.sort = [{ campo, orden }, ...porDefecto];
+    paginacion.offset = 0;
+  }
+
+  /**
+   * Configura los encabezados ordenables y los botones de paginación
+   */
+  setupReportPaging() {
+    const emitirCambio = reporte => {
+      if (window.tramiteApp && window.tramiteApp.eventManager) {
+        window.tramiteApp.eventManager.emit('reporte:page', { reporte });
+      }
+    };
+
+    this.container.querySelectorAll('.th-ordenable').forEach(th => {
+      th.addEventListener('click', () => {
+        const reporte = th.getAttribute('data-reporte');
+        this.changeReportSort(reporte, th.getAttribute('data-sort-campo'));
+        emitirCambio(reporte);
+      });
+    });
+
+    this.container.querySelectorAll('.btn-pagina').forEach(button => {
+      button.addEventListener('click', e => {
+        e.preventDefault();
+        const reporte = button.getAttribute('data-reporte');
+        this.getPaginacion(reporte).offset = parseInt(
+          button.getAttribute('data-offset'),
+          10
+        );
+        emitirCambio(reporte);
+      });
+    });
+  }
+
+  /**
+   * Ubica la página de un reporte en la que aparece un registro
+   * @param {string} reporte - Tipo de reporte
+   * @param {BaseService} service - Servicio con los datos del reporte
+   * @param {string} id - ID del registro
+   * @returns {boolean} True si el registro está en el reporte
+   */
+  goToRecordPage(reporte, service, id) {
+    const paginacion = this.getPaginacion(reporte);
+    const posicion = service
+      .query({ sort: paginacion.sort })
+      .items.findIndex(item => item.id === id);
+    if (posicion === -1) return false;
+
+    paginacion.offset =
+      Math.floor(posicion / TramiteView.PAGE_SIZE) * TramiteView.PAGE_SIZE;
+    return true;
+  }
+
+  /**
+   * Resalta la fila de un registro en el reporte mostrado y la desplaza a la vista
+   * @param {string} id - ID del registro
+   */
+  highlightRecord(id) {
+    const elemento = this.container.querySelector(
+      ['tramite', 'documento', 'habilitado']
+        .map(tipo => `[data-${tipo}-id="${id}"]`)
+        .join(', ')
+    );
+    const fila = elemento ? elemento.closest('tr') : null;
+    if (!fila) return;
+
+    fila.classList.add('table-warning');
+    fila.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }
+
   /**
    * Renderiza la tabla de trámites
-   * @param {Array} tramites - Array de trámites a mostrar
+   * @param {Object} resultado - Página de trámites (resultado de BaseService.query())
    */
-  renderTable(tramites = []) {
+  renderTable(resultado) {
     // Actualizar título del reporte
     this.updateReportTitle('Reporte de Trámites', 'fas fa-list-alt');
 
-    if (tramites.length === 0) {
+    if (resultado.total === 0) {
       this.renderEmptyState();
       return;
     }
@@ -88,24 +301,34 @@ class TramiteView extends BaseView {
                 <table class="table table-hover">
                     <thead>
                         <tr>
-                            <th class="text-center">Código</th>
-                            <th class="text-center">Nombre</th>
+                            ${this.renderSortableHeader(
+                              'tramites',
+                              'codigo',
+                              'Código'
+                            )}
+                            ${this.renderSortableHeader(
+                              'tramites',
+                              'nombre',
+                              'Nombre'
+                            )}
                             <th class="text-center">Descripción</th>
                             <th class="text-center">Acciones</th>
                         </tr>
                     </thead>
                     <tbody>
-                        ${tramites
+                        ${resultado.items
                           .map(tramite => this.renderTableRow(tramite))
                           .join('')}
                     </tbody>
                 </table>
             </div>
+            ${this.renderPagination('tramites', resultado)}
         `;
 
     this.container.innerHTML = tableHTML;
     this.initializeTooltips();
     this.setupOpcionesButtons();
+    this.setupReportPaging();
   }
 
   /**
@@ -148,10 +371,13 @@ class TramiteView extends BaseView {
     // Actualizar título del reporte
     this.updateReportTitle('Reporte de Documentos', 'fas fa-file-alt');
 
-    // Obtener documentos del localStorage
-    const documentos = this.getDocumentosFromStorage();
+    // Obtener la página actual de documentos del servicio
+    const resultado = this.getReportPage(
+      'documentos',
+      window.tramiteApp.getService('documento')
+    );
 
-    if (documentos.length === 0) {
+    if (resultado.total === 0) {
       this.renderEmptyDocumentosState();
       return;
     }
@@ -161,11 +387,27 @@ class TramiteView extends BaseView {
         <table class="table table-hover">
           <thead>
             <tr>
-              <th class="text-center">Nombre</th>
-              <th class="text-center">Tipo Documental</th>
+              ${this.renderSortableHeader(
+                'documentos',
+                'nombreDocumento',
+                'Nombre'
+              )}
+              ${this.renderSortableHeader(
+                'documentos',
+                'tipoDocumental',
+                'Tipo Documental'
+              )}
               <th class="text-center">Descripción</th>
-              <th class="text-center">Área Solicitante</th>
-              <th class="text-center">Responsable</th>
+              ${this.renderSortableHeader(
+                'documentos',
+                'areaSolicitante',
+                'Área Solicitante'
+              )}
+              ${this.renderSortableHeader(
+                'documentos',
+                'responsableValidacion',
+                'Responsable'
+              )}
               <th class="text-center">Formato</th>
               <th class="text-center">Tamaño (MB)</th>
               <th class="text-center">Obligatorio</th>
@@ -173,28 +415,38 @@ class TramiteView extends BaseView {
             </tr>
           </thead>
           <tbody>
-            ${documentos
+            ${resultado.items
               .map(documento => this.renderDocumentoRow(documento))
               .join('')}
           </tbody>
         </table>
       </div>
+      ${this.renderPagination('documentos', resultado)}
     `;
 
     this.container.innerHTML = tableHTML;
     this.initializeTooltips();
     this.setupOpcionesDocumentoButtons();
+    this.setupReportPaging();
+  }
+
+  /**
+   * Obtiene el servicio de vinculaciones entre trámites y documentos
+   * @returns {VinculacionService} Servicio de vinculaciones
+   */
+  getVinculacionService() {
+    return window.tramiteApp.getService('vinculacion');
   }
 
   /**
-   * Obtiene documentos del localStorage
+   * Obtiene documentos desde DocumentoService
    */
   getDocumentosFromStorage() {
     try {
-      const documentosData = localStorage.getItem('documentos_tramites');
-      return documentosData ? JSON.parse(documentosData) : [];
+      const documentoService = window.tramiteApp.getService('documento');
+      return documentoService ? documentoService.getAll() : [];
     } catch (error) {
-      console.error('Error al obtener documentos del localStorage:', error);
+      console.error('Error al obtener documentos:', error);
       return [];
     }
   }
@@ -269,10 +521,13 @@ class TramiteView extends BaseView {
     // Actualizar título del reporte
     this.updateReportTitle('Trámites Habilitados', 'fas fa-calendar-check');
 
-    // Obtener trámites habilitados del localStorage
-    const tramitesHabilitados = this.getTramitesHabilitadosFromStorage();
+    // Obtener la página actual de trámites habilitados del servicio
+    const resultado = this.getReportPage(
+      'tramites_habilitados',
+      window.tramiteApp.getService('habilitarTramite')
+    );
 
-    if (tramitesHabilitados.length === 0) {
+    if (resultado.total === 0) {
       this.renderEmptyTramitesHabilitadosState();
       return;
     }
@@ -282,12 +537,32 @@ class TramiteView extends BaseView {
         <table class="table table-hover">
           <thead>
             <tr>
-              <th class="text-center">Período Académico</th>
+              ${this.renderSortableHeader(
+                'tramites_habilitados',
+                'periodoAcademico',
+                'Período Académico'
+              )}
               <th class="text-center">Semestre</th>
-              <th class="text-center">Sede</th>
-              <th class="text-center">Trámite</th>
-              <th class="text-center">Fecha Inicio</th>
-              <th class="text-center">Fecha Finalización</th>
+              ${this.renderSortableHeader(
+                'tramites_habilitados',
+                'sede',
+                'Sede'
+              )}
+              ${this.renderSortableHeader(
+                'tramites_habilitados',
+                'tramiteNombre',
+                'Trámite'
+              )}
+              ${this.renderSortableHeader(
+                'tramites_habilitados',
+                'fechaInicio',
+                'Fecha Inicio'
+              )}
+              ${this.renderSortableHeader(
+                'tramites_habilitados',
+                'fechaFinalizacion',
+                'Fecha Finalización'
+              )}
               <th class="text-center">Inicio Corrección</th>
               <th class="text-center">Fin Corrección</th>
               <th class="text-center">Estado</th>
@@ -295,65 +570,33 @@ class TramiteView extends BaseView {
             </tr>
           </thead>
           <tbody>
-            ${tramitesHabilitados
+            ${resultado.items
               .map(tramite => this.renderTramiteHabilitadoRow(tramite))
               .join('')}
           </tbody>
         </table>
       </div>
+      ${this.renderPagination('tramites_habilitados', resultado)}
     `;
 
     this.container.innerHTML = tableHTML;
     this.initializeTooltips();
     this.setupOpcionesHabilitadoButtons();
-  }
-
-  /**
-   * Obtiene trámites habilitados del localStorage
-   */
-  getTramitesHabilitadosFromStorage() {
-    try {
-      const tramitesData = localStorage.getItem('habilitar_tramites');
-      const parsed = tramitesData ? JSON.parse(tramitesData) : [];
-
-      // Fix: Add missing IDs and normalize states
-      let needsUpdate = false;
-      const fixedData = parsed.map((tramite, index) => {
-        if (!tramite.id) {
-          // Generate a unique ID for records that don't have one
-          tramite.id = `habilitado_${Date.now()}_${index}`;
-          needsUpdate = true;
-        }
-        // Normalizar estados a "Activo" e "Inactivo"
-        if (tramite.estado === 'activo') {
-          tramite.estado = 'Activo';
-          needsUpdate = true;
-        } else if (tramite.estado === 'inactivo') {
-          tramite.estado = 'Inactivo';
-          needsUpdate = true;
-        }
-        return tramite;
-      });
-
-      // Update localStorage if we added missing IDs or normalized states
-      if (needsUpdate) {
-        localStorage.setItem('habilitar_tramites', JSON.stringify(fixedData));
-      }
-
-      return fixedData;
-    } catch (error) {
-      console.error(
-        'Error al obtener trámites habilitados del localStorage:',
-        error
-      );
-      return [];
-    }
+    this.setupReportPaging();
   }
 
   /**
    * Renderiza una fila de trámite habilitado
    */
   renderTramiteHabilitadoRow(tramite) {
+    // El semestre y el nombre de la sede se leen del catálogo vigente
+    const semestre =
+      HabilitarTramite.calcularSemestre(tramite.periodoAcademico) ||
+      tramite.semestre;
+    const sede = tramite.sede
+      ? window.tramiteApp.getService('sede').getNombre(tramite.sede)
+      : '';
+
     return `
       <tr>
         <td class="text-center">
@@ -363,12 +606,12 @@ class TramiteView extends BaseView {
         </td>
         <td class="text-center">
           <span class="badge bg-info">${this.escapeHtml(
-            tramite.semestre || 'N/A'
+            semestre || 'N/A'
           )}</span>
         </td>
         <td class="text-center">
           <span class="badge bg-success">${this.escapeHtml(
-            tramite.sede || 'N/A'
+            sede || 'N/A'
           )}</span>
         </td>
         <td class="text-center">
@@ -418,6 +661,396 @@ class TramiteView extends BaseView {
     `;
   }
 
+  /**
+   * Renderiza el reporte de la papelera con los items eliminados de todos los servicios
+   */
+  renderPapeleraReport() {
+    this.updateReportTitle('Papelera', 'fas fa-trash-alt');
+
+    const app = window.tramiteApp;
+    const diasRetencion = app.getTrashRetentionDays();
+    const eliminados = app
+      .getTrashServices()
+      .flatMap(({ entidad, etiqueta, service }) =>
+        service.getDeleted().map(item => ({
+          entidad,
+          etiqueta,
+          service,
+          item,
+          fechaPurga: service.getPurgeDate(item),
+        }))
+      )
+      .sort((a, b) => b.item.deletedAt.localeCompare(a.item.deletedAt));
+
+    const opcionesRetencion = [7, 15, 30, 60, 90]
+      .map(
+        dias =>
+          `<option value="${dias}" ${
+            dias === diasRetencion ? 'selected' : ''
+          }>${dias} días</option>`
+      )
+      .join('');
+
+    const toolbarHTML = `
+      <div class="d-flex align-items-center mb-3">
+        <label for="papeleraRetencion" class="form-label mb-0 me-2">
+          Purgar automáticamente después de
+        </label>
+        <select id="papeleraRetencion" class="form-select form-select-sm" style="width: auto;">
+          ${opcionesRetencion}
+        </select>
+        <button type="button" class="btn btn-sm btn-outline-danger ms-auto" id="btnVaciarPapelera"
+                ${eliminados.length === 0 ? 'disabled' : ''}>
+          <i class="fas fa-trash-alt me-1"></i>Vaciar papelera
+        </button>
+      </div>
+    `;
+
+    const contenidoHTML =
+      eliminados.length === 0
+        ? `
+      <div class="text-center py-5">
+        <i class="fas fa-trash-alt fa-3x text-muted mb-3"></i>
+        <h5 class="text-muted">La papelera está vacía</h5>
+        <p class="text-muted">Los trámites, documentos y habilitaciones eliminados aparecerán aquí</p>
+      </div>
+    `
+        : `
+      <div class="table-responsive">
+        <table class="table table-hover">
+          <thead>
+            <tr>
+              <th class="text-center">Tipo</th>
+              <th>Nombre</th>
+              <th class="text-center">Eliminado</th>
+              <th class="text-center">Eliminado por</th>
+              <th class="text-center">Se purga</th>
+              <th class="text-center">Acciones</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${eliminados
+              .map(eliminado => this.renderPapeleraRow(eliminado))
+              .join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    this.container.innerHTML = `
+      <div class="fade-in">
+        ${toolbarHTML}
+        ${contenidoHTML}
+      </div>
+    `;
+    this.initializeTooltips();
+    this.setupPapeleraButtons();
+  }
+
+  /**
+   * Renderiza el reporte de integridad: relaciones declaradas y registros huérfanos
+   */
+  renderIntegridadReport() {
+    this.updateReportTitle('Integridad de Datos', 'fas fa-project-diagram');
+
+    const registry = window.tramiteApp.relationRegistry;
+    const comportamientos = {
+      restrict: { texto: 'Impedir', clase: 'bg-danger' },
+      cascade: { texto: 'En cascada', clase: 'bg-warning text-dark' },
+      nullify: { texto: 'Vaciar campo', clase: 'bg-info' },
+    };
+
+    const relacionesHTML = registry
+      .getRelations()
+      .map(
+        relation => `
+          <tr>
+            <td>${this.escapeHtml(
+              relation.service.entityName
+            )}.${this.escapeHtml(relation.campo)}</td>
+            <td>${this.escapeHtml(relation.padre)}</td>
+            <td class="text-center">
+              <span class="badge ${comportamientos[relation.onDelete].clase}">
+                ${comportamientos[relation.onDelete].texto}
+              </span>
+            </td>
+            <td><small>${this.escapeHtml(relation.descripcion)}</small></td>
+          </tr>
+        `
+      )
+      .join('');
+
+    const huerfanos = registry.findOrphans();
+    const filasHuerfanos = huerfanos
+      .flatMap(({ relation, items }) =>
+        items.map(
+          item => `
+          <tr>
+            <td class="text-center">
+              <span class="badge bg-secondary">${this.escapeHtml(
+                relation.service.entityName
+              )}</span>
+            </td>
+            <td>${this.escapeHtml(relation.service.getDisplayName(item))}</td>
+            <td><code>${this.escapeHtml(relation.campo)} = ${this.escapeHtml(
+            item[relation.campo]
+          )}</code></td>
+            <td class="text-center">
+              <small>${
+                relation.onDelete === 'nullify'
+                  ? 'Vaciar campo'
+                  : 'Enviar a la papelera'
+              }</small>
+            </td>
+          </tr>
+        `
+        )
+      )
+      .join('');
+
+    const huerfanosHTML =
+      huerfanos.length === 0
+        ? `
+      <div class="text-center py-4">
+        <i class="fas fa-check-circle fa-3x text-success mb-3"></i>
+        <h5 class="text-muted">No hay registros con relaciones rotas</h5>
+      </div>
+    `
+        : `
+      <div class="d-flex align-items-center mb-2">
+        <h6 class="mb-0">Registros huérfanos</h6>
+        <button type="button" class="btn btn-sm btn-warning ms-auto" id="btnRepararRelaciones">
+          <i class="fas fa-wrench me-1"></i>Reparar
+        </button>
+      </div>
+      <div class="table-responsive">
+        <table class="table table-hover">
+          <thead>
+            <tr>
+              <th class="text-center">Tipo</th>
+              <th>Nombre</th>
+              <th>Referencia rota</th>
+              <th class="text-center">Reparación</th>
+            </tr>
+          </thead>
+          <tbody>${filasHuerfanos}</tbody>
+        </table>
+      </div>
+    `;
+
+    this.container.innerHTML = `
+      <div class="fade-in">
+        ${huerfanosHTML}
+        <h6 class="mt-4">Relaciones declaradas</h6>
+        <div class="table-responsive">
+          <table class="table table-sm">
+            <thead>
+              <tr>
+                <th>Campo</th>
+                <th>Apunta a</th>
+                <th class="text-center">Al eliminar</th>
+                <th>Descripción</th>
+              </tr>
+            </thead>
+            <tbody>${relacionesHTML}</tbody>
+          </table>
+        </div>
+      </div>
+    `;
+
+    const btnReparar = document.getElementById('btnRepararRelaciones');
+    if (btnReparar) {
+      btnReparar.addEventListener('click', () => {
+        if (window.tramiteApp && window.tramiteApp.eventManager) {
+          window.tramiteApp.eventManager.emit('integridad:repair');
+        }
+      });
+    }
+  }
+
+  /**
+   * Renderiza la vista previa del programador de estados (simulación)
+   * @param {Object} resultado - Resultado de EstadoScheduler.ejecutar({ dryRun: true })
+   */
+  renderProgramadorReport(resultado) {
+    this.updateReportTitle('Estados por Fechas', 'fas fa-business-time');
+
+    const maquina = Estado.getStateMachine();
+    const etiqueta = estado => this.escapeHtml(maquina.getEtiqueta(estado));
+    const aplicables = resultado.cambios.filter(
+      cambio => cambio.errors.length === 0
+    );
+
+    const toolbarHTML = `
+      <div class="d-flex align-items-center mb-3">
+        <span class="text-muted">${this.escapeHtml(resultado.message)}</span>
+        <button type="button" class="btn btn-sm btn-primary ms-auto" id="btnAplicarProgramador" ${
+          aplicables.length === 0 ? 'disabled' : ''
+        }>
+          <i class="fas fa-play me-1"></i>Aplicar cambios
+        </button>
+      </div>
+    `;
+
+    if (resultado.cambios.length === 0) {
+      this.container.innerHTML = `
+        <div class="fade-in">
+          ${toolbarHTML}
+          <div class="text-center py-4">
+            <i class="fas fa-check-circle fa-3x text-success mb-3"></i>
+            <h5 class="text-muted">Todos los estados coinciden con sus fechas</h5>
+          </div>
+        </div>
+      `;
+      return;
+    }
+
+    const filasHTML = resultado.cambios
+      .map(
+        cambio => `
+          <tr class="${cambio.errors.length > 0 ? 'table-warning' : ''}">
+            <td class="text-center">
+              <span class="badge bg-secondary">${this.escapeHtml(
+                cambio.etiqueta
+              )}</span>
+            </td>
+            <td>${this.escapeHtml(cambio.nombre)}</td>
+            <td class="text-center">${etiqueta(cambio.estadoActual)}</td>
+            <td class="text-center"><strong>${etiqueta(
+              cambio.estadoCalculado
+            )}</strong></td>
+            <td>
+              ${
+                cambio.errors.length > 0
+                  ? `<small class="text-danger">${this.escapeHtml(
+                      cambio.errors.join(', ')
+                    )}</small>`
+                  : `<small>${cambio.pasos.map(etiqueta).join(' → ')}</small>`
+              }
+            </td>
+          </tr>
+        `
+      )
+      .join('');
+
+    this.container.innerHTML = `
+      <div class="fade-in">
+        ${toolbarHTML}
+        <div class="table-responsive">
+          <table class="table table-hover">
+            <thead>
+              <tr>
+                <th class="text-center">Tipo</th>
+                <th>Nombre</th>
+                <th class="text-center">Estado actual</th>
+                <th class="text-center">Según fechas</th>
+                <th>Cambios a registrar</th>
+              </tr>
+            </thead>
+            <tbody>${filasHTML}</tbody>
+          </table>
+        </div>
+      </div>
+    `;
+
+    const btnAplicar = document.getElementById('btnAplicarProgramador');
+    if (btnAplicar) {
+      btnAplicar.addEventListener('click', () => {
+        if (window.tramiteApp && window.tramiteApp.eventManager) {
+          window.tramiteApp.eventManager.emit('programador:ejecutar');
+        }
+      });
+    }
+  }
+
+  /**
+   * Renderiza una fila de la papelera
+   * @param {Object} eliminado - { entidad, etiqueta, service, item, fechaPurga }
+   * @returns {string} HTML de la fila
+   */
+  renderPapeleraRow({ entidad, etiqueta, service, item, fechaPurga }) {
+    const nombre = service.getDisplayName(item);
+
+    return `
+      <tr>
+        <td class="text-center">
+          <span class="badge bg-secondary">${this.escapeHtml(etiqueta)}</span>
+        </td>
+        <td>${this.escapeHtml(nombre)}</td>
+        <td class="text-center">
+          <small>${this.formatearFecha(item.deletedAt)}</small>
+        </td>
+        <td class="text-center">
+          <small>${this.escapeHtml(item.deletedBy || 'N/A')}</small>
+        </td>
+        <td class="text-center">
+          <small>${this.formatearFecha(fechaPurga)}</small>
+        </td>
+        <td class="text-center">
+          <button class="btn btn-sm btn-outline-success btn-papelera-restaurar"
+                  data-entidad="${entidad}" data-id="${item.id}"
+                  data-bs-toggle="tooltip" title="Restaurar">
+            <i class="fas fa-trash-restore"></i>
+          </button>
+          <button class="btn btn-sm btn-outline-danger btn-papelera-purgar"
+                  data-entidad="${entidad}" data-id="${item.id}"
+                  data-bs-toggle="tooltip" title="Eliminar definitivamente">
+            <i class="fas fa-times"></i>
+          </button>
+        </td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Configura los botones de la papelera
+   */
+  setupPapeleraButtons() {
+    const emitir = (eventName, data = {}) => {
+      if (window.tramiteApp && window.tramiteApp.eventManager) {
+        window.tramiteApp.eventManager.emit(eventName, data);
+      } else {
+        console.error(
+          '❌ No se puede emitir evento: tramiteApp o eventManager no disponible'
+        );
+      }
+    };
+
+    this.container
+      .querySelectorAll('.btn-papelera-restaurar')
+      .forEach(button => {
+        button.addEventListener('click', e => {
+          e.preventDefault();
+          emitir('papelera:restore', {
+            entidad: button.getAttribute('data-entidad'),
+            id: button.getAttribute('data-id'),
+          });
+        });
+      });
+
+    this.container.querySelectorAll('.btn-papelera-purgar').forEach(button => {
+      button.addEventListener('click', e => {
+        e.preventDefault();
+        emitir('papelera:purge', {
+          entidad: button.getAttribute('data-entidad'),
+          id: button.getAttribute('data-id'),
+        });
+      });
+    });
+
+    const btnVaciar = document.getElementById('btnVaciarPapelera');
+    if (btnVaciar) {
+      btnVaciar.addEventListener('click', () => emitir('papelera:empty'));
+    }
+
+    const selectRetencion = document.getElementById('papeleraRetencion');
+    if (selectRetencion) {
+      selectRetencion.addEventListener('change', e =>
+        emitir('papelera:retention', { dias: parseInt(e.target.value, 10) })
+      );
+    }
+  }
+
   /**
    * Formatea una fecha para mostrar
    */
@@ -1537,7 +2170,7 @@ class TramiteView extends BaseView {
    * Cierra el modal y guarda el documento seleccionado
    * @param {Tramite} tramite - Trámite asociado
    */
-  cerrarYGuardarDocumento(tramite) {
+  async cerrarYGuardarDocumento(tramite) {
     try {
       // Obtener documento seleccionado
       const selectedKey = `documento_seleccionado_${tramite.id}`;
@@ -1546,58 +2179,22 @@ class TramiteView extends BaseView {
       if (documentoSeleccionado) {
         const documento = JSON.parse(documentoSeleccionado);
 
-        // Verificar si ya existe una vinculación para este documento específico en este trámite
-        const vinculacionesExistentes = this.obtenerDocumentosVinculados(
-          tramite.id
-        );
-        const vinculacionExistenteDelDocumento = vinculacionesExistentes.find(
-          v => v.documentoId === documento.id
+        // Reemplaza la vinculación anterior del mismo documento si existe
+        const result = await this.getVinculacionService().vincularDocumento(
+          tramite,
+          documento
         );
 
-        // Si ya existe una vinculación para este documento específico, removerla primero
-        if (vinculacionExistenteDelDocumento) {
-          const todasLasVinculaciones = this.obtenerTodasLasVinculaciones();
-          const vinculacionesFiltradas = todasLasVinculaciones.filter(
-            v => !(v.tramiteId === tramite.id && v.documentoId === documento.id)
-          );
-          localStorage.setItem(
-            'tramite_documentos_vinculaciones',
-            JSON.stringify(vinculacionesFiltradas)
-          );
+        if (!result.success) {
+          this.showAlert(result.errors.join(', '), 'danger');
+          return;
         }
 
-        // Crear nueva vinculación con información adicional
-        const nuevaVinculacion = {
-          id: this.generateId(),
-          tramiteId: tramite.id,
-          documentoId: documento.id,
-          fechaVinculacion: new Date().toISOString(),
-          // Campos adicionales del formulario
-          areaSolicitante: documento.areaSolicitante,
-          responsableValidacion: documento.responsableValidacion,
-          seEnviaMatfin: documento.seEnviaMatfin,
-        };
-
-        // Obtener todas las vinculaciones y agregar la nueva
-        const todasLasVinculaciones = this.obtenerTodasLasVinculaciones();
-        const vinculacionesActualizadas = [
-          ...todasLasVinculaciones,
-          nuevaVinculacion,
-        ];
-
-        // Guardar en localStorage
-        localStorage.setItem(
-          'tramite_documentos_vinculaciones',
-          JSON.stringify(vinculacionesActualizadas)
-        );
-
-        // Debug: Log para verificar que se guardó correctamente
-
         // Limpiar documento seleccionado temporal
         localStorage.removeItem(selectedKey);
 
         this.showAlert(
-          `Documento "${documento.nombreDocumento}" vinculado exitosamente al trámite. Puede vincular más documentos si lo desea.`,
+          `${result.message}. Puede vincular más documentos si lo desea.`,
           'success'
         );
       } else {
@@ -1694,18 +2291,12 @@ class TramiteView extends BaseView {
   }
 
   /**
-   * Obtiene los documentos creados desde localStorage
+   * Obtiene los documentos creados desde DocumentoService
    * @returns {Array} Array de documentos creados
    */
   obtenerDocumentosCreados() {
     try {
-      // Los documentos se guardan con la clave 'documentos_tramites' en DocumentoService
-      const documentos = localStorage.getItem('documentos_tramites');
-      const documentosParsed = documentos ? JSON.parse(documentos) : [];
-
-      // Debug: Log para verificar los documentos recuperados
-
-      return documentosParsed;
+      return this.getDocumentosFromStorage();
     } catch (error) {
       console.error('Error al obtener documentos creados:', error);
       return [];
@@ -1719,13 +2310,7 @@ class TramiteView extends BaseView {
    */
   obtenerDocumentosVinculados(tramiteId) {
     try {
-      const vinculaciones = localStorage.getItem(
-        'tramite_documentos_vinculaciones'
-      );
-      const todasLasVinculaciones = vinculaciones
-        ? JSON.parse(vinculaciones)
-        : [];
-      return todasLasVinculaciones.filter(v => v.tramiteId === tramiteId);
+      return this.getVinculacionService().getByTramiteId(tramiteId);
     } catch (error) {
       console.error('Error al obtener documentos vinculados:', error);
       return [];
@@ -2094,7 +2679,7 @@ class TramiteView extends BaseView {
    * Guarda las vinculaciones de documentos al trámite
    * @param {Tramite} tramite - Trámite al que se vincularán los documentos
    */
-  guardarVinculacionesDocumentos(tramite) {
+  async guardarVinculacionesDocumentos(tramite) {
     const temporalKey = `documentos_temporal_${tramite.id}`;
 
     try {
@@ -2109,51 +2694,20 @@ class TramiteView extends BaseView {
         return;
       }
 
-      // Obtener vinculaciones existentes
-      const vinculacionesExistentes = this.obtenerDocumentosVinculados(
-        tramite.id
+      const result = await this.getVinculacionService().vincularDocumentos(
+        tramite,
+        documentosTemporales
       );
 
-      // Crear nuevas vinculaciones
-      const nuevasVinculaciones = documentosTemporales.map(documento => ({
-        id: `vin_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        tramiteId: tramite.id,
-        tramiteNombre: tramite.nombre,
-        documentoId: documento.id,
-        documentoNombre: documento.nombreDocumento,
-        documentoTipo: documento.tipoDocumental,
-        fechaVinculacion: new Date().toISOString(),
-      }));
-
-      // Combinar con vinculaciones existentes
-      const todasLasVinculaciones = [
-        ...vinculacionesExistentes,
-        ...nuevasVinculaciones,
-      ];
-
-      // Obtener todas las vinculaciones del sistema
-      const todasLasVinculacionesSistema = this.obtenerTodasLasVinculaciones();
-      const otrasVinculaciones = todasLasVinculacionesSistema.filter(
-        v => v.tramiteId !== tramite.id
-      );
-      const vinculacionesFinales = [
-        ...otrasVinculaciones,
-        ...todasLasVinculaciones,
-      ];
-
-      // Guardar en localStorage
-      localStorage.setItem(
-        'tramite_documentos_vinculaciones',
-        JSON.stringify(vinculacionesFinales)
-      );
+      if (!result.success) {
+        this.showAlert(result.errors.join(', '), 'danger');
+        return;
+      }
 
       // Limpiar lista temporal
       localStorage.removeItem(temporalKey);
 
-      this.showAlert(
-        `${nuevasVinculaciones.length} documento(s) vinculado(s) exitosamente al trámite "${tramite.nombre}"`,
-        'success'
-      );
+      this.showAlert(result.message, 'success');
 
       // Recargar la tabla unificada
       this.cargarDocumentosUnificados(tramite.id);
@@ -2177,10 +2731,7 @@ class TramiteView extends BaseView {
    */
   obtenerTodasLasVinculaciones() {
     try {
-      const vinculaciones = localStorage.getItem(
-        'tramite_documentos_vinculaciones'
-      );
-      return vinculaciones ? JSON.parse(vinculaciones) : [];
+      return this.getVinculacionService().getAll();
     } catch (error) {
       console.error('Error al obtener todas las vinculaciones:', error);
       return [];
@@ -2634,32 +3185,30 @@ class TramiteView extends BaseView {
    * @param {string} documentoId - ID del documento
    * @param {string} tramiteId - ID del trámite
    */
-  desvincularDocumentoDirecto(vinculacionId, documentoId, tramiteId) {
+  async desvincularDocumentoDirecto(vinculacionId, documentoId, tramiteId) {
     try {
-      // Obtener todas las vinculaciones
-      const todasLasVinculaciones = this.obtenerTodasLasVinculaciones();
-
-      // Filtrar la vinculación a eliminar
-      const vinculacionesFiltradas = todasLasVinculaciones.filter(
-        v => v.id !== vinculacionId
+      const result = await this.getVinculacionService().desvincular(
+        vinculacionId
       );
 
-      // Guardar en localStorage
-      localStorage.setItem(
-        'tramite_documentos_vinculaciones',
-        JSON.stringify(vinculacionesFiltradas)
-      );
+      if (!result.success) {
+        this.showAlert(result.errors.join(', '), 'danger');
+        return;
+      }
 
-      this.showAlert('Documento desvinculado exitosamente', 'success');
+      const recargar = () => {
+        // Recargar la tabla unificada
+        this.cargarDocumentosUnificados(tramiteId);
 
-      // Recargar la tabla unificada
-      this.cargarDocumentosUnificados(tramiteId);
+        // Recargar opciones del select
+        const selectDocumento = document.getElementById('selectDocumento');
+        if (selectDocumento) {
+          this.cargarDocumentosDisponibles(selectDocumento, tramiteId);
+        }
+      };
 
-      // Recargar opciones del select
-      const selectDocumento = document.getElementById('selectDocumento');
-      if (selectDocumento) {
-        this.cargarDocumentosDisponibles(selectDocumento, tramiteId);
-      }
+      recargar();
+      this.showUndoToast(result.message, { onUndo: recargar });
     } catch (error) {
       console.error('Error al desvincular documento:', error);
       this.showAlert('Error al desvincular el documento', 'danger');
@@ -2672,26 +3221,24 @@ class TramiteView extends BaseView {
    * @param {string} documentoId - ID del documento
    * @param {string} tramiteId - ID del trámite
    */
-  eliminarDocumentoVinculado(vinculacionId, documentoId, tramiteId) {
+  async eliminarDocumentoVinculado(vinculacionId, documentoId, tramiteId) {
     try {
-      // Obtener todas las vinculaciones
-      const todasLasVinculaciones = this.obtenerTodasLasVinculaciones();
-
-      // Filtrar la vinculación a eliminar
-      const vinculacionesFiltradas = todasLasVinculaciones.filter(
-        v => v.id !== vinculacionId
-      );
-
-      // Guardar en localStorage
-      localStorage.setItem(
-        'tramite_documentos_vinculaciones',
-        JSON.stringify(vinculacionesFiltradas)
+      const result = await this.getVinculacionService().desvincular(
+        vinculacionId
       );
 
-      this.showAlert('Documento eliminado exitosamente', 'success');
+      if (!result.success) {
+        this.showAlert(result.errors.join(', '), 'danger');
+        return;
+      }
 
       // Recargar la tabla de documentos vinculados
-      this.cargarDocumentosVinculadosParaVer(tramiteId);
+      const recargar = () => this.cargarDocumentosVinculadosParaVer(tramiteId);
+
+      recargar();
+      this.showUndoToast('Documento eliminado exitosamente', {
+        onUndo: recargar,
+      });
     } catch (error) {
       console.error('Error al eliminar documento vinculado:', error);
       this.showAlert('Error al eliminar el documento', 'danger');
@@ -2742,11 +3289,18 @@ class TramiteView extends BaseView {
         `;
       }
 
-      // Si hay múltiples campos, mostrar un badge con el número
+      // Si hay múltiples campos, mostrar un badge con el número y, en el
+      // tooltip, los campos en su orden agrupados por sección
+      const detalle = CampoDocumento.agruparPorSeccion(campos)
+        .map(grupo => {
+          const nombres = grupo.campos.map(c => c.nombreCampo).join(', ');
+          return grupo.seccion ? `${grupo.seccion}: ${nombres}` : nombres;
+        })
+        .join(' · ');
       return `
-        <span class="badge bg-info" data-bs-toggle="tooltip" title="${campos
-          .map(c => c.nombreCampo)
-          .join(', ')}">
+        <span class="badge bg-info" data-bs-toggle="tooltip" title="${this.escapeHtml(
+          detalle
+        )}">
           <i class="fas fa-list me-1"></i>
           ${campos.length} campo(s)
         </span>
@@ -2763,12 +3317,7 @@ class TramiteView extends BaseView {
    * @returns {string} Clase del icono
    */
   getTipoCampoIcono(tipoCampo) {
-    const iconos = {
-      linea_texto: 'fas fa-font',
-      fecha: 'fas fa-calendar-alt',
-      numerico: 'fas fa-hashtag',
-    };
-    return iconos[tipoCampo] || 'fas fa-question';
+    return FieldTypeRegistry.getDefault().getIcon(tipoCampo);
   }
 
   /**
@@ -2777,12 +3326,7 @@ class TramiteView extends BaseView {
    * @returns {string} Clase del badge
    */
   getTipoCampoBadgeColor(tipoCampo) {
-    const colores = {
-      linea_texto: 'bg-primary',
-      fecha: 'bg-info',
-      numerico: 'bg-success',
-    };
-    return colores[tipoCampo] || 'bg-secondary';
+    return FieldTypeRegistry.getDefault().getBadgeColor(tipoCampo);
   }
 
   /**
@@ -2840,3 +3384,13 @@ class TramiteView extends BaseView {
     }
   }
 }
+
+// Cantidad de filas por página en los reportes
+TramiteView.PAGE_SIZE = 20;
+
+// Orden inicial de cada reporte paginado
+TramiteView.REPORT_SORT = {
+  tramites: ['codigo', 'nombre'],
+  documentos: ['nombreDocumento'],
+  tramites_habilitados: ['-periodoAcademico', 'tramiteNombre', 'sede'],
+};
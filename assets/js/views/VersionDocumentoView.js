@@ -0,0 +1,323 @@
+/**
+ * Vista del historial de versiones de un documento
+ * Lista las versiones guardadas con su autor, fecha y nota, muestra las
+ * diferencias campo por campo entre dos versiones cualesquiera y permite
+ * restaurar una versión anterior.
+ */
+class VersionDocumentoView extends BaseView {
+  constructor() {
+    super();
+    this.modalId = 'modalVersionesDocumento';
+    this.documento = null;
+    this.versiones = [];
+  }
+
+  /**
+   * Inicializa la vista
+   */
+  async initialize() {
+    await super.initialize();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Configura los elementos comunes de la vista
+   */
+  setupCommonElements() {
+    if (!document.getElementById(this.modalId)) {
+      console.warn(
+        '⚠️ Algunos elementos del DOM no están disponibles para VersionDocumentoView'
+      );
+    }
+  }
+
+  /**
+   * Configura los event listeners del historial
+   * La lista se vuelve a dibujar después de cada restauración, así que se
+   * escucha por delegación.
+   */
+  setupEventListeners() {
+    ['versionDesde', 'versionHasta'].forEach(id => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.addEventListener('change', () => this.renderDiferencias());
+      }
+    });
+
+    const lista = document.getElementById('versionesDocumentoLista');
+    if (lista) {
+      lista.addEventListener('click', e => {
+        const boton = e.target.closest('[data-version-restaurar]');
+        if (boton) {
+          this.confirmarRestauracion(parseInt(boton.dataset.versionRestaurar));
+        }
+      });
+    }
+  }
+
+  /**
+   * Muestra el historial de un documento
+   * Compara por defecto la versión actual con la anterior.
+   * @param {Documento} documento - Documento
+   * @param {Array<VersionDocumento>} versiones - Versiones, de la más antigua a la más reciente
+   */
+  show(documento, versiones) {
+    this.render(documento, versiones);
+    bootstrap.Modal.getOrCreateInstance(
+      document.getElementById(this.modalId)
+    ).show();
+  }
+
+  /**
+   * Dibuja el historial de un documento sin abrir el modal
+   * @param {Documento} documento - Documento
+   * @param {Array<VersionDocumento>} versiones - Versiones, de la más antigua a la más reciente
+   */
+  render(documento, versiones) {
+    this.documento = documento;
+    this.versiones = versiones;
+
+    const info = document.getElementById('versionesDocumentoInfo');
+    if (info) {
+      info.textContent = `${documento.nombreDocumento} · versión actual ${documento.version}`;
+    }
+
+    const actual =
+      versiones.length > 0 ? versiones[versiones.length - 1] : null;
+    const anterior =
+      versiones.length > 1 ? versiones[versiones.length - 2] : actual;
+    this.renderOpcionesVersion('versionDesde', anterior);
+    this.renderOpcionesVersion('versionHasta', actual);
+
+    this.renderLista();
+    this.renderDiferencias();
+  }
+
+  /**
+   * Dibuja la lista de versiones, la más reciente primero
+   */
+  renderLista() {
+    const contenedor = document.getElementById('versionesDocumentoLista');
+    if (!contenedor) return;
+
+    if (this.versiones.length === 0) {
+      contenedor.innerHTML =
+        '<div class="text-muted">El documento todavía no tiene versiones guardadas</div>';
+      return;
+    }
+
+    contenedor.innerHTML = `
+      <ul class="list-group">
+        ${[...this.versiones]
+          .reverse()
+          .map(version => this.renderVersion(version))
+          .join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Renderiza una versión de la lista
+   * @param {VersionDocumento} version - Versión
+   * @returns {string} HTML de la versión
+   */
+  renderVersion(version) {
+    const esActual = version.getVersionText() === this.documento.version;
+
+    return `
+      <li class="list-group-item">
+        <div class="d-flex justify-content-between align-items-start">
+          <div>
+            <strong>v${this.escapeHtml(version.getVersionText())}</strong>
+            ${esActual ? this.createBadge('Actual', 'success') : ''}
+            <div class="small text-muted">
+              ${this.formatDateTime(version.fecha)} · ${this.escapeHtml(
+      version.autor
+    )}
+            </div>
+          </div>
+          ${
+            esActual
+              ? ''
+              : `<button type="button" class="btn btn-sm btn-outline-secondary"
+                         data-version-restaurar="${version.numero}">
+                   <i class="fas fa-undo me-1"></i>Restaurar
+                 </button>`
+          }
+        </div>
+        ${
+          version.nota
+            ? `<div class="small mt-1">${this.escapeHtml(version.nota)}</div>`
+            : ''
+        }
+      </li>
+    `;
+  }
+
+  /**
+   * Llena un selector de versiones
+   * @param {string} selectId - ID del selector
+   * @param {VersionDocumento|null} seleccionada - Versión seleccionada
+   */
+  renderOpcionesVersion(selectId, seleccionada) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+
+    select.innerHTML = [...this.versiones]
+      .reverse()
+      .map(
+        version => `
+          <option value="${version.numero}"${
+          version === seleccionada ? ' selected' : ''
+        }>
+            v${this.escapeHtml(version.getVersionText())} · ${this.formatDate(
+          version.fecha
+        )}
+          </option>
+        `
+      )
+      .join('');
+  }
+
+  /**
+   * Dibuja las diferencias entre las dos versiones elegidas
+   */
+  renderDiferencias() {
+    const contenedor = document.getElementById('versionesDocumentoDiferencias');
+    if (!contenedor) return;
+
+    const desde = this.getVersionSeleccionada('versionDesde');
+    const hasta = this.getVersionSeleccionada('versionHasta');
+    if (!desde || !hasta) {
+      contenedor.innerHTML = '';
+      return;
+    }
+    if (desde === hasta) {
+      contenedor.innerHTML =
+        '<div class="text-muted">Elija dos versiones distintas para compararlas</div>';
+      return;
+    }
+
+    const diferencias = VersionDocumento.comparar(desde, hasta);
+    if (diferencias.documento.length === 0 && diferencias.campos.length === 0) {
+      contenedor.innerHTML =
+        '<div class="text-muted">Las versiones no tienen diferencias</div>';
+      return;
+    }
+
+    contenedor.innerHTML = `
+      ${
+        diferencias.documento.length > 0
+          ? `<h6>Documento</h6>${this.renderTablaCambios(
+              diferencias.documento
+            )}`
+          : ''
+      }
+      ${
+        diferencias.campos.length > 0
+          ? `<h6>Campos</h6>${diferencias.campos
+              .map(campo => this.renderCambioCampo(campo))
+              .join('')}`
+          : ''
+      }
+    `;
+  }
+
+  /**
+   * Obtiene la versión elegida en un selector
+   * @param {string} selectId - ID del selector
+   * @returns {VersionDocumento|null} Versión elegida
+   */
+  getVersionSeleccionada(selectId) {
+    const select = document.getElementById(selectId);
+    const numero = select ? parseInt(select.value) : NaN;
+    return this.versiones.find(version => version.numero === numero) || null;
+  }
+
+  /**
+   * Renderiza una tabla con los valores antes y después de cada cambio
+   * @param {Array} cambios - [{ etiqueta, antes, despues }]
+   * @returns {string} HTML de la tabla
+   */
+  renderTablaCambios(cambios) {
+    return `
+      <table class="table table-sm small">
+        <thead>
+          <tr>
+            <th>Dato</th>
+            <th>Antes</th>
+            <th>Después</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${cambios
+            .map(
+              cambio => `
+                <tr>
+                  <td>${this.escapeHtml(cambio.etiqueta)}</td>
+                  <td class="text-danger">${this.escapeHtml(
+                    cambio.antes || '—'
+                  )}</td>
+                  <td class="text-success">${this.escapeHtml(
+                    cambio.despues || '—'
+                  )}</td>
+                </tr>
+              `
+            )
+            .join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Renderiza el cambio de un campo del documento
+   * @param {Object} campo - { nombreCampo, cambio, detalles }
+   * @returns {string} HTML del cambio
+   */
+  renderCambioCampo(campo) {
+    const { texto, color } = VersionDocumentoView.CAMBIOS_CAMPO[campo.cambio];
+    return `
+      <div class="mb-2">
+        <span class="badge bg-${color}">${texto}</span>
+        <strong>${this.escapeHtml(campo.nombreCampo)}</strong>
+        ${
+          campo.detalles.length > 0
+            ? this.renderTablaCambios(campo.detalles)
+            : ''
+        }
+      </div>
+    `;
+  }
+
+  /**
+   * Pide confirmación y restaura una versión
+   * @param {number} numero - Número de la versión
+   */
+  confirmarRestauracion(numero) {
+    const version = this.versiones.find(item => item.numero === numero);
+    if (!version || !this.documento) return;
+
+    this.showConfirmModal(
+      'Restaurar versión',
+      `El documento y sus campos volverán a quedar como en la versión ${version.getVersionText()}. Se guardará como una versión nueva y el historial se conserva.`,
+      () => {
+        if (window.tramiteApp && window.tramiteApp.eventManager) {
+          window.tramiteApp.eventManager.emit('documento:restaurarVersion', {
+            documentoId: this.documento.id,
+            version: numero,
+          });
+        }
+      },
+      'Restaurar',
+      'Cancelar'
+    );
+  }
+}
+
+// Texto y color del tipo de cambio de un campo entre dos versiones
+VersionDocumentoView.CAMBIOS_CAMPO = {
+  agregado: { texto: 'Agregado', color: 'success' },
+  modificado: { texto: 'Modificado', color: 'warning' },
+  eliminado: { texto: 'Eliminado', color: 'danger' },
+};